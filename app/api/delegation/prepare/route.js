@@ -0,0 +1,82 @@
+/**
+ * POST /api/delegation/prepare
+ * Prepare a bounded USDC delegate approval for unattended recurring buys
+ * Returns an unsigned approveChecked transaction for the user to sign
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { prepareDelegationGrant } from '@/lib/delegation';
+import { serializeDelegation } from '@/lib/amount';
+import { AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+  
+  try {
+    const { user: authUser } = await requireAuth(request);
+    user = authUser;
+    
+    const body = await request.json();
+    const { amountCapUsdc, expiresInDays } = body;
+    
+    if (amountCapUsdc === undefined || expiresInDays === undefined) {
+      throw new ValidationError('Missing required fields: amountCapUsdc, expiresInDays');
+    }
+    
+    logger.info('[DELEGATION] Preparing grant', { userId: user.id, amountCapUsdc, expiresInDays, requestId });
+    
+    const { delegation, unsignedTransaction, lastValidBlockHeight } = await prepareDelegationGrant({
+      user,
+      amountCapUsdc,
+      expiresInDays,
+      requestId
+    });
+    
+    return Response.json({
+      success: true,
+      delegationId: delegation.id,
+      delegation: serializeDelegation(delegation),
+      unsignedTransaction,
+      lastValidBlockHeight
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('[DELEGATION] Failed to prepare grant', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId
+    });
+    
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+    
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          ...(error.hint && { hint: error.hint })
+        }
+      }, { status: error.statusCode });
+    }
+    
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to prepare delegation'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * POST /api/delegation/revoke
+ * Revoke delegated signing. The server stops using the delegation immediately;
+ * the returned unsigned transaction (if any) clears the on-chain allowance.
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { revokeDelegation } from '@/lib/delegation';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+  
+  try {
+    const { user: authUser } = await requireAuth(request);
+    user = authUser;
+    
+    const result = await revokeDelegation({ user, requestId });
+    
+    return Response.json({
+      success: true,
+      ...result
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('[DELEGATION] Failed to revoke delegation', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId
+    });
+    
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+    
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          ...(error.hint && { hint: error.hint })
+        }
+      }, { status: error.statusCode });
+    }
+    
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to revoke delegation'
+      }
+    }, { status: 500 });
+  }
+}
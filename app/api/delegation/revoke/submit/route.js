@@ -0,0 +1,77 @@
+/**
+ * POST /api/delegation/revoke/submit
+ * Submit the signed on-chain revoke for a revoked delegation
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { submitDelegationRevoke } from '@/lib/delegation';
+import { serializeDelegation } from '@/lib/amount';
+import { AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+  
+  try {
+    const { user: authUser } = await requireAuth(request);
+    user = authUser;
+    
+    const body = await request.json();
+    const { delegationId, signedTransaction, lastValidBlockHeight } = body;
+    
+    if (!delegationId || !signedTransaction) {
+      throw new ValidationError('Missing required fields: delegationId, signedTransaction');
+    }
+    
+    const delegation = await submitDelegationRevoke({
+      user,
+      delegationId,
+      signedTransaction,
+      lastValidBlockHeight,
+      requestId
+    });
+    
+    return Response.json({
+      success: true,
+      delegation: serializeDelegation(delegation)
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('[DELEGATION] Failed to submit revoke', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId
+    });
+    
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+    
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          ...(error.hint && { hint: error.hint })
+        }
+      }, { status: error.statusCode });
+    }
+    
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to submit revoke'
+      }
+    }, { status: 500 });
+  }
+}
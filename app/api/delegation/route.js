@@ -0,0 +1,66 @@
+/**
+ * GET /api/delegation
+ * Current delegated-signing grant (checked against the chain) and recent delegated executions
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { getDelegationOverview } from '@/lib/delegation';
+import { serializeDelegation, serializeDelegatedExecution } from '@/lib/amount';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+  
+  try {
+    const { user: authUser } = await requireAuth(request);
+    user = authUser;
+    
+    const { delegation, onChain, executions } = await getDelegationOverview(user);
+    
+    return Response.json({
+      success: true,
+      delegation: serializeDelegation(delegation),
+      onChain,
+      executions: executions.map(serializeDelegatedExecution)
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('[DELEGATION] Failed to fetch delegation', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId
+    });
+    
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+    
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          ...(error.hint && { hint: error.hint })
+        }
+      }, { status: error.statusCode });
+    }
+    
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch delegation'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * DELETE /api/goals/:id/invites/:inviteId
+ * Revoke a pending invite link (owners)
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { findGoalForMember, revokeGoalInvite, serializeInvite } from '@/lib/goal-members';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+export async function DELETE(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId, inviteId } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+    const { goal } = await findGoalForMember(goalId, user.id, 'OWNER');
+
+    const invite = await revokeGoalInvite(goal, inviteId);
+
+    logger.info('Goal invite revoked', { goalId, inviteId, userId: user.id, requestId });
+
+    return Response.json({
+      success: true,
+      invite: serializeInvite(invite)
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to revoke goal invite', { goalId, inviteId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to revoke invite'
+      }
+    }, { status: 500 });
+  }
+}
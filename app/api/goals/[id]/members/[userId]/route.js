@@ -0,0 +1,108 @@
+/**
+ * PATCH /api/goals/:id/members/:userId
+ * Change a member's role (owners)
+ * Body: { role: 'OWNER' | 'CONTRIBUTOR' | 'VIEWER' }
+ *
+ * DELETE /api/goals/:id/members/:userId
+ * Remove a member (owners), or leave the goal (any member, with their own ID)
+ * A goal always keeps an owner; when the primary owner steps down or leaves,
+ * the longest-standing other owner becomes primary.
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { findGoalForMember, updateMemberRole, removeGoalMember } from '@/lib/goal-members';
+import { ValidationError, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+function errorResponse(error, fallbackMessage) {
+  if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code || 'AUTH_ERROR',
+        message: error.message
+      }
+    }, { status: error.statusCode || 401 });
+  }
+
+  if (error.statusCode) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    }, { status: error.statusCode });
+  }
+
+  return Response.json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage
+    }
+  }, { status: 500 });
+}
+
+export async function PATCH(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId, userId: memberUserId } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+    const { goal } = await findGoalForMember(goalId, user.id, 'OWNER', { where: { deletedAt: null } });
+
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object') {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const { role, primaryOwnerId } = await updateMemberRole({ goal, memberUserId, role: body.role });
+
+    logger.info('Goal member role changed', { goalId, memberUserId, role, primaryOwnerId, userId: user.id, requestId });
+
+    return Response.json({
+      success: true,
+      goalId,
+      userId: memberUserId,
+      role,
+      primaryOwnerId
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to change goal member role', { goalId, memberUserId, error: error.message, requestId });
+    return errorResponse(error, 'Failed to change member role');
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId, userId: memberUserId } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+    const leaving = memberUserId === user.id;
+    const { goal } = await findGoalForMember(goalId, user.id, leaving ? 'VIEWER' : 'OWNER');
+
+    const { primaryOwnerId } = await removeGoalMember({ goal, memberUserId });
+
+    logger.info(leaving ? 'Goal member left' : 'Goal member removed', {
+      goalId,
+      memberUserId,
+      primaryOwnerId,
+      userId: user.id,
+      requestId
+    });
+
+    return Response.json({
+      success: true,
+      goalId,
+      userId: memberUserId,
+      primaryOwnerId
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to remove goal member', { goalId, memberUserId, error: error.message, requestId });
+    return errorResponse(error, 'Failed to remove member');
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * GET /api/goals/:id/members
+ * Members of a shared goal with their role and what each contributed (any
+ * member); owners also get the pending invites
+ *
+ * POST /api/goals/:id/members
+ * Create an invite link (owners)
+ * Body: { role: 'OWNER' | 'CONTRIBUTOR' | 'VIEWER', expiresInDays? }
+ * Inviting someone as OWNER and then leaving gifts the goal to them.
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import {
+  findGoalForMember,
+  listGoalMembers,
+  listPendingInvites,
+  createGoalInvite,
+  serializeInvite
+} from '@/lib/goal-members';
+import { GoalErrors, ValidationError, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+function errorResponse(error, fallbackMessage) {
+  if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code || 'AUTH_ERROR',
+        message: error.message
+      }
+    }, { status: error.statusCode || 401 });
+  }
+
+  if (error.statusCode) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    }, { status: error.statusCode });
+  }
+
+  return Response.json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage
+    }
+  }, { status: 500 });
+}
+
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+    const { goal, role } = await findGoalForMember(goalId, user.id, 'VIEWER', { where: { deletedAt: null } });
+
+    const members = await listGoalMembers(goal, { userId: user.id, role });
+    const invites = role === 'OWNER' ? await listPendingInvites(goal) : undefined;
+
+    return Response.json({
+      success: true,
+      goalId: goal.id,
+      role,
+      members,
+      invites
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch goal members', { goalId, error: error.message, requestId });
+    return errorResponse(error, 'Failed to fetch goal members');
+  }
+}
+
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+    const { goal } = await findGoalForMember(goalId, user.id, 'OWNER', { where: { deletedAt: null } });
+
+    if (goal.status === 'CANCELLED') {
+      throw GoalErrors.GOAL_CLOSED();
+    }
+
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object') {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const invite = await createGoalInvite({
+      goal,
+      user,
+      role: body.role,
+      expiresInDays: body.expiresInDays
+    });
+
+    logger.info('Goal invite created', { goalId, inviteId: invite.id, role: invite.role, userId: user.id, requestId });
+
+    return Response.json({
+      success: true,
+      invite: serializeInvite(invite)
+    }, { status: 201 });
+
+  } catch (error) {
+    logger.error('Failed to create goal invite', { goalId, error: error.message, requestId });
+    return errorResponse(error, 'Failed to create invite');
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * GET /api/goals/:id/milestones
+ * Milestone timeline: reached milestones with the batch that crossed each,
+ * then the upcoming ones with the amount still to go (any member)
+ *
+ * PUT /api/goals/:id/milestones
+ * Replace the upcoming milestones (owners)
+ * Body: { milestones: [25, { percent: 50 }, { amount: 0.1, label? }] }
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { getMilestoneTimeline, replaceUpcomingMilestones } from '@/lib/milestones';
+import { calculateProgress } from '@/lib/goalValidation';
+import { findGoalForMember } from '@/lib/goal-members';
+import { GoalErrors, ValidationError, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+function errorResponse(error, fallbackMessage) {
+  if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code || 'AUTH_ERROR',
+        message: error.message
+      }
+    }, { status: error.statusCode || 401 });
+  }
+
+  if (error.statusCode) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    }, { status: error.statusCode });
+  }
+
+  return Response.json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage
+    }
+  }, { status: 500 });
+}
+
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+    const { goal } = await findGoalForMember(goalId, user.id, 'VIEWER', { where: { deletedAt: null } });
+
+    const timeline = await getMilestoneTimeline(goal);
+
+    return Response.json({
+      success: true,
+      goalId: goal.id,
+      coin: goal.coin,
+      status: goal.status,
+      progressPercentage: calculateProgress(goal.investedAmountRaw, goal.targetAmountRaw),
+      ...timeline
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch goal milestones', { goalId, error: error.message, requestId });
+    return errorResponse(error, 'Failed to fetch goal milestones');
+  }
+}
+
+export async function PUT(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+    const { goal } = await findGoalForMember(goalId, user.id, 'OWNER', { where: { deletedAt: null } });
+
+    if (goal.status === 'COMPLETED') {
+      throw GoalErrors.GOAL_ALREADY_COMPLETED();
+    }
+
+    if (goal.status === 'CANCELLED') {
+      throw GoalErrors.GOAL_CLOSED();
+    }
+
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object') {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const { created, skipped } = await replaceUpcomingMilestones(goal, body.milestones);
+
+    logger.info('Goal milestones updated', { userId: user.id, goalId, created, skipped, requestId });
+
+    const timeline = await getMilestoneTimeline(goal);
+
+    return Response.json({
+      success: true,
+      goalId: goal.id,
+      coin: goal.coin,
+      status: goal.status,
+      progressPercentage: calculateProgress(goal.investedAmountRaw, goal.targetAmountRaw),
+      ...timeline,
+      skipped
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to update goal milestones', { goalId, error: error.message, requestId });
+    return errorResponse(error, 'Failed to update goal milestones');
+  }
+}
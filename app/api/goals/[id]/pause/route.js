@@ -0,0 +1,96 @@
+/**
+ * GET /api/goals/:id/pause - Pause requests for a goal, newest first (any member)
+ * POST /api/goals/:id/pause - File a pause request { resumeAt?, reason? } (owners)
+ * Requests within the automatic policy pause the goal immediately; others
+ * wait for an admin (see lib/pause-requests.js).
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { createPauseRequest, getGoalPauseRequests } from '@/lib/pause-requests';
+import { findGoalForMember } from '@/lib/goal-members';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+function errorResponse(error, fallbackMessage) {
+  if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code || 'AUTH_ERROR',
+        message: error.message
+      }
+    }, { status: error.statusCode || 401 });
+  }
+  
+  if (error.statusCode) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    }, { status: error.statusCode });
+  }
+  
+  return Response.json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage
+    }
+  }, { status: 500 });
+}
+
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  
+  try {
+    const { user } = await requireAuth(request);
+    
+    const { goal } = await findGoalForMember(goalId, user.id, 'VIEWER');
+    
+    const pauseRequests = await getGoalPauseRequests(goalId);
+    
+    return Response.json({
+      success: true,
+      goalStatus: goal.status,
+      pauseRequests
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('Failed to fetch pause requests', { goalId, error: error.message, requestId });
+    return errorResponse(error, 'Failed to fetch pause requests');
+  }
+}
+
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  
+  try {
+    const { user } = await requireAuth(request);
+    const body = await request.json().catch(() => ({}));
+    
+    // Only owners pause; the 404 for non-members comes from here too
+    await findGoalForMember(goalId, user.id, 'OWNER');
+    
+    const { pauseRequest, policyReason } = await createPauseRequest({
+      user,
+      goalId,
+      resumeAt: body.resumeAt,
+      reason: body.reason,
+      requestId
+    });
+    
+    return Response.json({
+      success: true,
+      pauseRequest,
+      policyReason
+    }, { status: pauseRequest.status === 'APPROVED' ? 200 : 202 });
+    
+  } catch (error) {
+    logger.error('Failed to file pause request', { goalId, error: error.message, requestId });
+    return errorResponse(error, 'Failed to file pause request');
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * POST /api/goals/:id/resume
+ * Resume a paused goal now, ahead of any scheduled resume date
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { resumeGoal } from '@/lib/pause-requests';
+import { serializeGoal } from '@/lib/amount';
+import { findGoalForMember } from '@/lib/goal-members';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  
+  try {
+    const { user } = await requireAuth(request);
+    
+    const { goal } = await findGoalForMember(goalId, user.id, 'OWNER');
+    
+    const updatedGoal = await resumeGoal({ goal, requestId });
+    
+    return Response.json({
+      success: true,
+      goal: serializeGoal(updatedGoal)
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('Failed to resume goal', { goalId, error: error.message, requestId });
+    
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+    
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+    
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to resume goal'
+      }
+    }, { status: 500 });
+  }
+}
@@ -1,3 +1,4 @@
+import { Prisma } from '@prisma/client';
 import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
@@ -7,12 +8,25 @@ import {
   validateStatusTransition,
   shouldAutoComplete
 } from '@/lib/goalValidation';
-import { getTokenInfo } from '@/lib/prices';
+import { parseGoalSchedule, computeNextRunAt } from '@/lib/schedule';
+import {
+  createPauseRequest,
+  resumeGoal,
+  getActivePause,
+  getPausedUntil,
+  serializePauseRequest
+} from '@/lib/pause-requests';
+import { cancelGoal, softDeleteGoal } from '@/lib/goal-closure';
+import { fromRawAmount, serializeGoal } from '@/lib/amount';
+import { serializeGoalComponent } from '@/lib/basket';
+import { parseOverflowPolicy } from '@/lib/goal-overflow';
+import { parseContributionStrategy } from '@/lib/contribution-strategies';
+import { findGoalForMember } from '@/lib/goal-members';
 import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
 
 /**
  * GET /api/goals/:id
- * Get single goal details
+ * Get single goal details (any member; role is the caller's role)
  */
 export async function GET(request, { params }) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -25,38 +39,39 @@ export async function GET(request, { params }) {
     
     logger.info('Fetching goal', { userId: user.id, goalId, requestId });
     
-    // Fetch goal with ownership check
-    const goal = await prisma.goal.findFirst({
-      where: { 
-        id: goalId,
-        userId: user.id // Multi-tenancy filter
-      },
+    // Any member can read the goal
+    const { goal, role } = await findGoalForMember(goalId, user.id, 'VIEWER', {
       include: {
+        components: { orderBy: { createdAt: 'asc' } },
+        user: { select: { timezone: true } },
         _count: {
           select: { transactions: true }
         }
       }
     });
     
-    if (!goal) {
-      throw GoalErrors.GOAL_NOT_FOUND();
-    }
-    
     // Add computed fields
-    const tokenInfo = getTokenInfo(goal.coin);
-    const progressPercentage = calculateProgress(goal.investedAmount, goal.targetAmount);
+    const progressPercentage = calculateProgress(goal.investedAmountRaw, goal.targetAmountRaw);
     
     // Calculate remaining cost and ETA
-    const remainingAmount = Math.max(0, goal.targetAmount - goal.investedAmount);
+    const remainingAmountRaw = goal.targetAmountRaw > goal.investedAmountRaw
+      ? goal.targetAmountRaw - goal.investedAmountRaw
+      : 0n;
+    const remainingAmount = fromRawAmount(remainingAmountRaw, goal.amountDecimals);
     let estimatedCompletion = null;
     
-    if (remainingAmount > 0 && goal.status === 'ACTIVE') {
+    // A paused goal with a scheduled resume still gets an ETA, counted from the resume date
+    const activePause = goal.status === 'PAUSED' ? await getActivePause(goal.id) : null;
+    const pausedUntil = getPausedUntil(goal, activePause);
+    
+    if (remainingAmount > 0 && (goal.status === 'ACTIVE' || pausedUntil)) {
       try {
         estimatedCompletion = await calculateEstimatedCompletion(
-          goal.coin,
+          goal.tokenMint,
           remainingAmount,
           goal.amountPerInterval,
-          goal.frequency
+          goal.frequency,
+          { pausedUntil, schedule: goal.schedule, timeZone: goal.user.timezone }
         );
       } catch (e) {
         // If ETA calc fails (e.g., price lookup issues), just omit it
@@ -69,13 +84,18 @@ export async function GET(request, { params }) {
     return Response.json({
       success: true,
       goal: {
-        ...goal,
+        ...serializeGoal(goal),
+        user: undefined,
+        components: goal.components.map(serializeGoalComponent),
+        role,
+        isPrimaryOwner: goal.userId === user.id,
         progressPercentage,
-        tokenMint: tokenInfo.mint,
-        decimals: tokenInfo.decimals,
+        decimals: goal.amountDecimals,
         transactionCount: goal._count.transactions,
         remainingAmount,
-        estimatedCompletion
+        remainingAmountRaw: remainingAmountRaw.toString(),
+        estimatedCompletion,
+        pause: activePause ? serializePauseRequest(activePause) : null
       }
     }, { status: 200 });
     
@@ -120,7 +140,7 @@ export async function GET(request, { params }) {
 
 /**
  * PATCH /api/goals/:id
- * Update goal settings
+ * Update goal settings (owners only)
  */
 export async function PATCH(request, { params }) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -135,23 +155,20 @@ export async function PATCH(request, { params }) {
     
     logger.info('Updating goal', { userId: user.id, goalId, updates: body, requestId });
     
-    // Fetch goal with ownership check
-    const goal = await prisma.goal.findFirst({
-      where: { 
-        id: goalId,
-        userId: user.id // Multi-tenancy filter
-      }
-    });
-    
-    if (!goal) {
-      throw GoalErrors.GOAL_NOT_FOUND();
-    }
+    const { goal } = await findGoalForMember(goalId, user.id, 'OWNER');
+    // Schedules run in the primary owner's time zone, whoever edits them
+    const owner = await prisma.user.findUnique({ where: { id: goal.userId }, select: { timezone: true } });
     
     // Cannot modify completed goals
     if (goal.status === 'COMPLETED') {
       throw GoalErrors.GOAL_ALREADY_COMPLETED();
     }
     
+    // Closed goals are read-only (they can still be withdrawn or deleted)
+    if (goal.status === 'CANCELLED') {
+      throw GoalErrors.GOAL_CLOSED();
+    }
+    
     const updates = {};
     
     // Validate and apply amountPerInterval update
@@ -162,39 +179,81 @@ export async function PATCH(request, { params }) {
       updates.amountPerInterval = body.amountPerInterval;
     }
     
-    // Validate and apply frequency update
-    if (body.frequency !== undefined) {
-      if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(body.frequency)) {
-        throw GoalErrors.INVALID_FREQUENCY(body.frequency);
-      }
-      updates.frequency = body.frequency;
+    // Validate and apply frequency/schedule update; sending only schedule keeps the frequency
+    if (body.frequency !== undefined || body.schedule !== undefined) {
+      updates.frequency = body.frequency ?? goal.frequency;
+      updates.schedule = parseGoalSchedule(updates.frequency, body.schedule, { timeZone: owner.timezone });
+    }
+    
+    // Strategy changes take effect from the next scheduled run; sending only
+    // strategyParams keeps the current strategy
+    if (body.strategy !== undefined || body.strategyParams !== undefined || updates.amountPerInterval !== undefined) {
+      Object.assign(updates, parseContributionStrategy(
+        body.strategy ?? goal.strategy,
+        body.strategyParams ?? (body.strategy !== undefined ? {} : goal.strategyParams ?? {}),
+        updates.amountPerInterval ?? goal.amountPerInterval
+      ));
     }
     
-    // Validate and apply status update (state machine)
+    // Takes effect from the next credited swap
+    if (body.overflowPolicy !== undefined) {
+      updates.overflowPolicy = parseOverflowPolicy(body.overflowPolicy, goal.kind);
+    }
+    
+    // Status changes go through the pause workflow (lib/pause-requests.js) and
+    // run first, so a refused pause request leaves the other settings untouched
+    let currentGoal = goal;
+    let pauseRequest = null;
     if (body.status !== undefined) {
       validateStatusTransition(goal.status, body.status);
-      updates.status = body.status;
+      
+      if (body.status === 'PAUSED') {
+        ({ pauseRequest } = await createPauseRequest({
+          user,
+          goalId,
+          resumeAt: body.resumeAt,
+          reason: body.reason,
+          requestId
+        }));
+        currentGoal = await prisma.goal.findUnique({ where: { id: goalId } });
+      } else if (body.status === 'CANCELLED') {
+        currentGoal = await cancelGoal({ goal, reason: body.reason, requestId });
+      } else {
+        currentGoal = await resumeGoal({ goal, requestId });
+      }
+    }
+    
+    // Changing the schedule of an active goal restarts the interval from now;
+    // paused goals get their next run when they resume
+    if (updates.frequency !== undefined && currentGoal.status === 'ACTIVE') {
+      updates.nextRunAt = computeNextRunAt(new Date(), updates.frequency, {
+        schedule: updates.schedule,
+        timeZone: owner.timezone
+      });
     }
     
     // Update goal
-    const updatedGoal = await prisma.goal.update({
-      where: { id: goalId },
-      data: updates
-    });
+    const updatedGoal = Object.keys(updates).length > 0
+      ? await prisma.goal.update({
+          where: { id: goalId },
+          data: {
+            ...updates,
+            ...(updates.schedule === null && { schedule: Prisma.DbNull })
+          }
+        })
+      : currentGoal;
     
     logger.info('Goal updated', { userId: user.id, goalId, requestId });
     
     // Return with metadata
-    const tokenInfo = getTokenInfo(updatedGoal.coin);
-    
     return Response.json({
       success: true,
       goal: {
-        ...updatedGoal,
-        progressPercentage: calculateProgress(updatedGoal.investedAmount, updatedGoal.targetAmount),
-        tokenMint: tokenInfo.mint,
-        decimals: tokenInfo.decimals
-      }
+        ...serializeGoal(updatedGoal),
+        progressPercentage: calculateProgress(updatedGoal.investedAmountRaw, updatedGoal.targetAmountRaw),
+        decimals: updatedGoal.amountDecimals
+      },
+      pauseRequest
     }, { status: 200 });
     
   } catch (error) {
@@ -238,7 +297,8 @@ export async function PATCH(request, { params }) {
 
 /**
  * DELETE /api/goals/:id
- * Delete a goal
+ * Soft-delete a goal: hidden from the dashboard, history kept, restorable
+ * via POST /api/goals/:id/restore. An active or paused goal is closed first.
  */
 export async function DELETE(request, { params }) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -251,28 +311,24 @@ export async function DELETE(request, { params }) {
     
     logger.info('Deleting goal', { userId: user.id, goalId, requestId });
     
-    // Fetch goal with ownership check
-    const goal = await prisma.goal.findFirst({
-      where: { 
-        id: goalId,
-        userId: user.id // Multi-tenancy filter
-      }
-    });
+    const { goal } = await findGoalForMember(goalId, user.id, 'OWNER');
     
-    if (!goal) {
+    if (goal.deletedAt) {
       throw GoalErrors.GOAL_NOT_FOUND();
     }
     
-    // Delete the goal (cascade will handle related records if configured)
-    await prisma.goal.delete({
-      where: { id: goalId }
-    });
+    const deletedGoal = await softDeleteGoal({ goal, requestId });
     
     logger.info('Goal deleted', { userId: user.id, goalId, requestId });
     
     return Response.json({
       success: true,
-      message: 'Goal deleted successfully'
+      message: 'Goal deleted successfully',
+      goal: {
+        id: deletedGoal.id,
+        status: deletedGoal.status,
+        deletedAt: deletedGoal.deletedAt.toISOString()
+      }
     }, { status: 200 });
     
   } catch (error) {
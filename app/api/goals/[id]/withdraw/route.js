@@ -0,0 +1,73 @@
+/**
+ * POST /api/goals/:id/withdraw
+ * Build an unsigned transfer of a closed or completed goal's coin to another
+ * wallet: { toAddress, amount?, coin? }. A basket goal names the component
+ * `coin` to withdraw. Any member can withdraw up to their own share of what
+ * the goal accumulated; they sign and send it from their wallet.
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { prepareGoalWithdrawal } from '@/lib/goal-closure';
+import { findGoalForMember, getMemberShares } from '@/lib/goal-members';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  
+  try {
+    const { user } = await requireAuth(request);
+    const body = await request.json().catch(() => ({}));
+    
+    const { goal } = await findGoalForMember(goalId, user.id, 'VIEWER', {
+      include: { components: true }
+    });
+    
+    const withdrawal = await prepareGoalWithdrawal({
+      user,
+      goal,
+      shares: await getMemberShares([goal], user.id),
+      toAddress: body.toAddress,
+      amount: body.amount,
+      coin: body.coin,
+      requestId
+    });
+    
+    return Response.json({
+      success: true,
+      withdrawal
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('Failed to prepare goal withdrawal', { goalId, error: error.message, requestId });
+    
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+    
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+    
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to prepare withdrawal'
+      }
+    }, { status: 500 });
+  }
+}
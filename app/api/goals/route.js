@@ -1,3 +1,4 @@
+import { Prisma } from '@prisma/client';
 import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
@@ -6,12 +7,29 @@ import {
   calculateEstimatedCompletion, 
   calculateProgress 
 } from '@/lib/goalValidation';
-import { getTokenInfo } from '@/lib/prices';
-import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+import { getRegisteredToken } from '@/lib/token-registry';
+import { buildBasketComponents, serializeGoalComponent } from '@/lib/basket';
+import { parseContributionStrategy } from '@/lib/contribution-strategies';
+import { parseGoalSchedule, computeNextRunAt } from '@/lib/schedule';
+import { parseMilestones, serializeMilestone, sortByThreshold } from '@/lib/milestones';
+import { parseOverflowPolicy } from '@/lib/goal-overflow';
+import { goalAccessWhere } from '@/lib/goal-members';
+import { toRawAmount, serializeGoal } from '@/lib/amount';
+import { GoalErrors, ValidationError, AuthenticationError, AuthorizationError } from '@/lib/errors';
 
 /**
  * POST /api/goals
  * Create a new goal
+ * A basket goal sends kind: 'BASKET' and components: [{ coin, weight }];
+ * coin and targetAmount then name the basket's reference value.
+ * strategy/strategyParams pick how each interval's amount is computed
+ * (lib/contribution-strategies.js); the default is a fixed amountPerInterval.
+ * schedule sets the day of the month (MONTHLY/QUARTERLY) or a cron expression
+ * (CUSTOM), evaluated in the user's time zone (lib/schedule.js).
+ * milestones lists percentages and { amount } checkpoints (lib/milestones.js);
+ * without it the goal gets 10/25/50/75/100%.
+ * overflowPolicy (KEEP, ROLLOVER or EXACT) decides what happens to coin
+ * bought past the target (lib/goal-overflow.js).
  */
 export async function POST(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -22,46 +40,104 @@ export async function POST(request) {
     user = authUser;
     
     const body = await request.json();
-    const { coin, targetAmount, amountPerInterval, frequency } = body;
+    const { coin, targetAmount, amountPerInterval, frequency, kind = 'SINGLE' } = body;
     
-    logger.info('Creating goal', { userId: user.id, coin, requestId });
+    logger.info('Creating goal', { userId: user.id, coin, kind, requestId });
     
-    // Validate and normalize coin
-    const normalizedCoin = validateGoalInput({ coin, targetAmount, amountPerInterval, frequency });
+    if (!['SINGLE', 'BASKET'].includes(kind)) {
+      throw new ValidationError('kind must be SINGLE or BASKET');
+    }
+    
+    // Resolve the coin (symbol or mint) in the token registry
+    const token = await validateGoalInput({
+      coin,
+      token: await getRegisteredToken(coin),
+      targetAmount,
+      amountPerInterval,
+      frequency
+    });
+    
+    const now = new Date();
+    const schedule = parseGoalSchedule(frequency, body.schedule, { now, timeZone: user.timezone });
+    
+    const { strategy, strategyParams } = parseContributionStrategy(
+      body.strategy,
+      body.strategyParams ?? {},
+      amountPerInterval
+    );
+    
+    const overflowPolicy = parseOverflowPolicy(body.overflowPolicy, kind);
     
-    // Calculate ETA (for response only, not stored)
-    const { monthsToComplete, estimatedCompletionDate, totalCostUSD } = 
-      await calculateEstimatedCompletion(normalizedCoin, targetAmount, amountPerInterval, frequency);
+    const milestones = parseMilestones(body.milestones, {
+      coin: token.symbol,
+      decimals: token.decimals,
+      targetAmountRaw: toRawAmount(targetAmount, token.decimals)
+    });
+    
+    const components = kind === 'BASKET'
+      ? await buildBasketComponents({
+          components: body.components,
+          referenceToken: token,
+          targetAmount,
+          amountPerInterval
+        })
+      : [];
     
-    // Get token metadata for response
-    const tokenInfo = getTokenInfo(normalizedCoin);
+    // Calculate ETA (for response only, not stored); a missing price must not block the goal
+    let eta = null;
+    try {
+      eta = await calculateEstimatedCompletion(token.mint, targetAmount, amountPerInterval, frequency, {
+        schedule,
+        timeZone: user.timezone
+      });
+    } catch (e) {
+      logger.warn('ETA calculation failed', { coin: token.symbol, error: e.message, requestId });
+    }
     
     // Create goal
     const goal = await prisma.goal.create({
       data: {
         userId: user.id,
-        coin: normalizedCoin,
-        targetAmount,
-        investedAmount: 0,
+        coin: token.symbol,
+        tokenMint: token.mint,
+        kind,
+        targetAmountRaw: toRawAmount(targetAmount, token.decimals),
+        investedAmountRaw: 0n,
+        amountDecimals: token.decimals,
         frequency,
+        schedule: schedule ?? Prisma.DbNull,
         amountPerInterval,
-        status: 'ACTIVE'
+        strategy,
+        strategyParams,
+        overflowPolicy,
+        status: 'ACTIVE',
+        nextRunAt: computeNextRunAt(now, frequency, { schedule, timeZone: user.timezone }),
+        components: { create: components },
+        milestones: { create: milestones },
+        members: { create: { userId: user.id, role: 'OWNER' } }
+      },
+      include: {
+        components: { orderBy: { createdAt: 'asc' } },
+        milestones: true
       }
     });
     
-    logger.info('Goal created', { goalId: goal.id, userId: user.id, requestId });
+    logger.info('Goal created', { goalId: goal.id, userId: user.id, kind, requestId });
     
     return Response.json({
       success: true,
       goalId: goal.id,
       goal: {
-        ...goal,
-        tokenMint: tokenInfo.mint,
-        decimals: tokenInfo.decimals
+        ...serializeGoal(goal),
+        components: goal.components.map(serializeGoalComponent),
+        milestones: sortByThreshold(goal.milestones.map(m => serializeMilestone(m, goal))),
+        decimals: token.decimals
       },
-      estimatedCompletionDate,
-      monthsToComplete,
-      totalCostUSD
+      estimatedCompletionDate: eta?.estimatedCompletionDate ?? null,
+      monthsToComplete: eta?.monthsToComplete ?? null,
+      totalCostUSD: eta?.totalCostUSD ?? null,
+      priceSource: eta?.priceSource ?? null,
+      priceConfidence: eta?.priceConfidence ?? null
     }, { status: 201 });
     
   } catch (error) {
@@ -105,7 +181,7 @@ export async function POST(request) {
 
 /**
  * GET /api/goals
- * List user's goals
+ * List the goals the user is a member of, each with the user's role
  */
 export async function GET(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -117,29 +193,36 @@ export async function GET(request) {
     
     const { searchParams } = new URL(request.url);
     const statusFilter = searchParams.get('status');
+    // deleted=true lists only soft-deleted goals (for restoring them)
+    const deletedOnly = searchParams.get('deleted') === 'true';
     
-    logger.info('Fetching goals', { userId: user.id, statusFilter, requestId });
+    logger.info('Fetching goals', { userId: user.id, statusFilter, deletedOnly, requestId });
     
-    const where = { userId: user.id };
-    if (statusFilter && ['ACTIVE', 'PAUSED', 'COMPLETED'].includes(statusFilter)) {
+    const where = {
+      ...goalAccessWhere(user.id),
+      deletedAt: deletedOnly ? { not: null } : null
+    };
+    if (statusFilter && ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED'].includes(statusFilter)) {
       where.status = statusFilter;
     }
     
     const goals = await prisma.goal.findMany({
       where,
+      include: {
+        components: { orderBy: { createdAt: 'asc' } },
+        members: { where: { userId: user.id }, select: { role: true } }
+      },
       orderBy: { createdAt: 'desc' }
     });
     
     // Add computed fields
-    const goalsWithMetadata = goals.map(g => {
-      const tokenInfo = getTokenInfo(g.coin);
-      return {
-        ...g,
-        progressPercentage: calculateProgress(g.investedAmount, g.targetAmount),
-        tokenMint: tokenInfo.mint,
-        decimals: tokenInfo.decimals
-      };
-    });
+    const goalsWithMetadata = goals.map(({ members, ...g }) => ({
+      ...serializeGoal(g),
+      components: g.components.map(serializeGoalComponent),
+      role: members[0].role,
+      progressPercentage: calculateProgress(g.investedAmountRaw, g.targetAmountRaw),
+      decimals: g.amountDecimals
+    }));
     
     logger.info('Goals fetched', { userId: user.id, count: goals.length, requestId });
     
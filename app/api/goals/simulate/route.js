@@ -0,0 +1,107 @@
+/**
+ * POST /api/goals/simulate
+ * Backtest a proposed goal against stored price history
+ * Body: { coin, targetAmount, amountPerInterval, frequency, schedule?, strategy?, strategyParams? }
+ * Nothing is stored; the create wizard shows the result before the goal exists.
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { validateGoalInput } from '@/lib/goalValidation';
+import { getRegisteredToken } from '@/lib/token-registry';
+import { parseContributionStrategy } from '@/lib/contribution-strategies';
+import { parseGoalSchedule } from '@/lib/schedule';
+import { simulateGoal } from '@/lib/goal-simulator';
+import { ValidationError, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+
+  try {
+    const { user: authUser } = await requireAuth(request);
+    user = authUser;
+
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object') {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const { coin, targetAmount, amountPerInterval, frequency } = body;
+
+    const token = await validateGoalInput({
+      coin,
+      token: await getRegisteredToken(coin),
+      targetAmount,
+      amountPerInterval,
+      frequency
+    });
+
+    const schedule = parseGoalSchedule(frequency, body.schedule, { timeZone: user.timezone });
+
+    const { strategy, strategyParams } = parseContributionStrategy(
+      body.strategy,
+      body.strategyParams ?? {},
+      amountPerInterval
+    );
+
+    const simulation = await simulateGoal({
+      token,
+      targetAmount,
+      frequency,
+      schedule,
+      timeZone: user.timezone,
+      amountPerInterval,
+      strategy,
+      strategyParams
+    });
+
+    logger.info('Goal simulated', {
+      userId: user.id,
+      coin: token.symbol,
+      strategy,
+      scenarios: simulation.scenarios,
+      requestId
+    });
+
+    return Response.json({
+      success: true,
+      simulation
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Goal simulation failed', {
+      error: error.message,
+      userId: user?.id,
+      requestId
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to simulate goal'
+      }
+    }, { status: 500 });
+  }
+}
@@ -2,17 +2,21 @@ import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { groupByBatchId } from '@/lib/history';
-import { getTokenMint } from '@/lib/tokens';
+import { getRegisteredToken } from '@/lib/token-registry';
+import { goalAccessWhere, describeMember } from '@/lib/goal-members';
 import { AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
 
 /**
  * GET /api/history
- * Get transaction history grouped by batch (onramp + swap pairs)
+ * Get transaction history grouped by batch (onramp + swap pairs) across the
+ * goals the user is a member of; each batch names the member who paid for it
+ * (with their email address only for the goal's owners)
  * 
  * Query params:
  * - goalId (optional): Filter by specific goal
+ * - contributor (optional): Filter by paying member (user ID, or "me")
  * - type (optional): Filter by transaction type (ONRAMP | SWAP)
- * - coin (optional): Filter by coin (BTC | ETH | SOL)
+ * - coin (optional): Filter by coin (registered token symbol or mint)
  * - startDate (optional): ISO date string
  * - endDate (optional): ISO date string
  * - after (optional): Cursor for pagination (ISO timestamp)
@@ -30,6 +34,7 @@ export async function GET(request) {
     const goalId = searchParams.get('goalId');
     const type = searchParams.get('type');
     const coin = searchParams.get('coin');
+    const contributor = searchParams.get('contributor');
     const startDate = searchParams.get('startDate');
     const endDate = searchParams.get('endDate');
     const after = searchParams.get('after');
@@ -47,13 +52,13 @@ export async function GET(request) {
 
     // Build where clause with filters (server-side)
     const where = {
-      goal: { userId: user.id },
+      goal: goalAccessWhere(user.id),
     };
 
     if (goalId) {
-      // Validate goal ownership
+      // Validate goal membership
       const goal = await prisma.goal.findFirst({
-        where: { id: goalId, userId: user.id },
+        where: { id: goalId, ...goalAccessWhere(user.id) },
       });
 
       if (!goal) {
@@ -67,13 +72,16 @@ export async function GET(request) {
       where.type = type;
     }
 
+    if (contributor) {
+      where.contributorId = contributor === 'me' ? user.id : contributor;
+    }
+
     if (coin) {
-      try {
-        const tokenInfo = getTokenMint(coin);
-        where.tokenMint = tokenInfo.mint;
-      } catch (error) {
+      const token = await getRegisteredToken(coin, { includeDisabled: true });
+      if (!token) {
         throw new ValidationError(`Invalid coin: ${coin}`);
       }
+      where.tokenMint = token.mint;
     }
 
     // Date range filters
@@ -109,14 +117,24 @@ export async function GET(request) {
       where,
       orderBy: { timestamp: 'desc' },
       take: limit + 1, // Fetch one extra to determine hasMore
-      include: { goal: true },
+      include: {
+        goal: { include: { members: { where: { userId: user.id }, select: { role: true } } } },
+        contributor: { select: { id: true, email: true } },
+      },
     });
 
     const hasMore = transactions.length > limit;
     const results = hasMore ? transactions.slice(0, limit) : transactions;
 
+    // Only owners see other members' email addresses
+    const visible = results.map(({ goal: { members, ...goal }, contributor, ...tx }) => ({
+      ...tx,
+      goal,
+      contributor: contributor && describeMember(contributor, members[0]?.role === 'OWNER' || contributor.id === user.id),
+    }));
+
     // Group by batchId
-    const grouped = groupByBatchId(results);
+    const grouped = groupByBatchId(visible);
 
     logger.info('Transaction history fetched', {
       userId: user.id,
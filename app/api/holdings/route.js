@@ -1,12 +1,18 @@
 /**
  * GET /api/holdings
  * Get user's token holdings across all goals
+ * On a shared goal the user holds their share: what their own confirmed
+ * swaps bought (lib/goal-members.js), not the whole goal.
  */
 
 import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { AuthenticationError } from '@/lib/errors';
+import { fromRawAmount, serializeGoalAmounts, USD_DECIMALS } from '@/lib/amount';
+import { summarizeCostBasis } from '@/lib/cost-basis';
+import { getPricesForTokens } from '@/lib/prices';
+import { goalAccessWhere, getMemberShares } from '@/lib/goal-members';
 
 export async function GET(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -24,30 +30,56 @@ export async function GET(request) {
       requestId 
     });
     
-    // Get all goals with their invested amounts
+    // Goals the user is a member of or has paid into, with their invested amounts
     const goals = await prisma.goal.findMany({
       where: {
-        userId: user.id,
+        OR: [
+          goalAccessWhere(user.id),
+          { transactions: { some: { contributorId: user.id } } },
+        ],
       },
       select: {
         id: true,
+        userId: true,
         coin: true,
-        investedAmount: true,
-        targetAmount: true,
+        tokenMint: true,
+        investedAmountRaw: true,
+        targetAmountRaw: true,
+        amountDecimals: true,
         status: true,
+        kind: true,
+        components: {
+          select: {
+            id: true,
+            coin: true,
+            tokenMint: true,
+            investedAmountRaw: true,
+            targetAmountRaw: true,
+            amountDecimals: true,
+          },
+        },
       },
     });
     
-    // Fetch confirmed swap transactions for these goals
+    // A basket goal holds each of its component tokens; the user holds their share of each
+    const shares = await getMemberShares(goals, user.id);
+    const positions = goals.flatMap(goal => (goal.kind === 'BASKET'
+      ? goal.components.map(component => ({
+          ...component,
+          id: goal.id,
+          status: goal.status,
+          goalAmountRaw: component.investedAmountRaw,
+          investedAmountRaw: shares.get(component.id) ?? 0n,
+        }))
+      : [{ ...goal, goalAmountRaw: goal.investedAmountRaw, investedAmountRaw: shares.get(goal.id) ?? 0n }]));
+    
+    // Fetch the confirmed swaps the user paid for
     const swapTransactions = await prisma.transaction.findMany({
       where: {
         type: 'SWAP',
-        goal: {
-          userId: user.id,
-        },
-        meta: {
-          path: ['state'],
-          equals: 'SWAP_CONFIRMED',
+        contributorId: user.id,
+        batch: {
+          state: 'SWAP_CONFIRMED',
         },
       },
       orderBy: {
@@ -56,8 +88,10 @@ export async function GET(request) {
       select: {
         id: true,
         goalId: true,
-        amountCrypto: true,
-        amountUsd: true,
+        amountCryptoRaw: true,
+        amountUsdRaw: true,
+        cryptoDecimals: true,
+        costUsdRaw: true,
         txnHash: true,
         network: true,
         provider: true,
@@ -66,6 +100,18 @@ export async function GET(request) {
         goal: {
           select: {
             coin: true,
+            tokenMint: true,
+          },
+        },
+        component: {
+          select: {
+            coin: true,
+            tokenMint: true,
+          },
+        },
+        batch: {
+          select: {
+            state: true,
           },
         },
       },
@@ -74,57 +120,110 @@ export async function GET(request) {
     // Group by coin
     const holdingsByCoin = {};
     
-    for (const goal of goals) {
+    for (const goal of positions) {
       const coin = goal.coin;
-      const amount = parseFloat(goal.investedAmount) || 0;
+      const { investedAmount: amount, targetAmount, investedAmountRaw } = serializeGoalAmounts(goal);
       
       if (!holdingsByCoin[coin]) {
         holdingsByCoin[coin] = {
           coin,
-          totalAmount: 0,
+          tokenMint: goal.tokenMint,
+          totalAmountRaw: 0n,
+          decimals: goal.amountDecimals,
           goals: [],
           swaps: [],
+          costRows: [],
         };
       }
       
-      holdingsByCoin[coin].totalAmount += amount;
+      // Sum raw units so totals stay exact
+      holdingsByCoin[coin].totalAmountRaw += goal.investedAmountRaw;
       holdingsByCoin[coin].goals.push({
         id: goal.id,
         amount,
-        targetAmount: goal.targetAmount,
+        amountRaw: investedAmountRaw,
+        goalAmount: fromRawAmount(goal.goalAmountRaw, goal.amountDecimals),
+        targetAmount,
         status: goal.status,
       });
     }
     
     for (const txn of swapTransactions) {
-      const coin = txn.goal?.coin;
+      const token = txn.component ?? txn.goal;
+      const coin = token?.coin;
       if (!coin) continue;
       
       if (!holdingsByCoin[coin]) {
         holdingsByCoin[coin] = {
           coin,
-          totalAmount: 0,
+          tokenMint: token.tokenMint,
+          totalAmountRaw: 0n,
+          decimals: txn.cryptoDecimals,
           goals: [],
           swaps: [],
+          costRows: [],
         };
       }
       
       holdingsByCoin[coin].swaps.push({
         id: txn.id,
         goalId: txn.goalId,
-        amountCrypto: txn.amountCrypto ?? 0,
-        amountUsd: txn.amountUsd ?? 0,
+        amountCrypto: txn.amountCryptoRaw === null ? 0 : fromRawAmount(txn.amountCryptoRaw, txn.cryptoDecimals),
+        amountCryptoRaw: txn.amountCryptoRaw?.toString() ?? null,
+        amountUsd: txn.amountUsdRaw === null ? 0 : fromRawAmount(txn.amountUsdRaw, USD_DECIMALS),
+        costUsd: fromRawAmount(txn.costUsdRaw, USD_DECIMALS),
         txnHash: txn.txnHash,
         network: txn.network,
         provider: txn.provider,
         timestamp: txn.timestamp,
-        state: txn.meta?.state ?? null,
+        state: txn.batch?.state ?? null,
         simulated: Boolean(txn.meta?.simulated),
       });
+      holdingsByCoin[coin].costRows.push({
+        amountCryptoRaw: txn.amountCryptoRaw ?? 0n,
+        costUsdRaw: txn.costUsdRaw,
+        timestamp: txn.timestamp,
+      });
+    }
+    
+    // Current prices for P&L; holdings are still returned without them
+    let currentPrices = {};
+    const tokens = Object.values(holdingsByCoin).map(h => ({ symbol: h.coin, mint: h.tokenMint }));
+    if (tokens.length > 0) {
+      try {
+        ({ prices: currentPrices } = await getPricesForTokens(tokens));
+      } catch (error) {
+        logger.warn('[HOLDINGS] Failed to fetch prices for P&L', {
+          error: error.message,
+          requestId
+        });
+      }
     }
     
     // Convert to array
-    const holdings = Object.values(holdingsByCoin).filter(h => h.totalAmount > 0 || h.swaps.length > 0);
+    const holdings = Object.values(holdingsByCoin)
+      .filter(h => h.totalAmountRaw > 0n || h.swaps.length > 0)
+      .map(({ totalAmountRaw, costRows, ...h }) => {
+        const currentPriceUSD = currentPrices[h.coin] ?? null;
+        const costBasis = summarizeCostBasis(costRows, {
+          decimals: h.decimals,
+          currentPriceUSD,
+        });
+        
+        return {
+          ...h,
+          totalAmount: fromRawAmount(totalAmountRaw, h.decimals),
+          totalAmountRaw: totalAmountRaw.toString(),
+          currentPriceUSD,
+          costBasisUSD: costBasis.totalCostUSD,
+          costBasisUsdRaw: costBasis.totalCostUsdRaw,
+          averageEntryPriceUSD: costBasis.averageEntryPriceUSD,
+          unrealizedPnlUSD: costBasis.unrealizedPnlUSD,
+          unrealizedPnlPercentage: costBasis.unrealizedPnlPercentage,
+          uncostedSwapCount: costBasis.uncostedSwapCount,
+          dcaVsLumpSum: costBasis.dcaVsLumpSum,
+        };
+      });
     
     logger.info('[HOLDINGS] Holdings retrieved', { 
       userId: user.id,
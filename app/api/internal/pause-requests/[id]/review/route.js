@@ -0,0 +1,46 @@
+/**
+ * POST /api/internal/pause-requests/:id/review
+ * Approve or reject a pending pause request: { decision: 'APPROVE' | 'REJECT', note? }
+ */
+
+import { requireAuth, ensureAdmin } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { reviewPauseRequest } from '@/lib/pause-requests';
+import { formatErrorResponse } from '@/lib/errors';
+
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: pauseRequestId } = await params;
+  let adminUser = null;
+
+  try {
+    const { user } = await requireAuth(request);
+    ensureAdmin(user);
+    adminUser = user;
+
+    const body = await request.json().catch(() => ({}));
+    const decision = typeof body.decision === 'string' ? body.decision.toUpperCase() : body.decision;
+
+    const pauseRequest = await reviewPauseRequest({
+      admin: adminUser,
+      pauseRequestId,
+      decision,
+      note: body.note,
+      requestId,
+    });
+
+    return Response.json({ success: true, pauseRequest });
+  } catch (error) {
+    logger.error('Pause request review failed', {
+      error: error.message,
+      pauseRequestId,
+      requestId,
+      adminUserId: adminUser?.id,
+    });
+
+    return Response.json(
+      { success: false, ...formatErrorResponse(error, requestId) },
+      { status: error.statusCode || 500 }
+    );
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * GET /api/internal/pause-requests?status=PENDING&limit=50
+ * Admin review queue for goal pause requests (oldest pending first)
+ */
+
+import { requireAuth, ensureAdmin } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { listPauseRequests, getPausePolicy } from '@/lib/pause-requests';
+import { formatErrorResponse } from '@/lib/errors';
+
+const MAX_LIMIT = 200;
+
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let adminUser = null;
+
+  try {
+    const { user } = await requireAuth(request);
+    ensureAdmin(user);
+    adminUser = user;
+
+    const { searchParams } = new URL(request.url);
+    const status = (searchParams.get('status') || 'PENDING').toUpperCase();
+    const limitParam = parseInt(searchParams.get('limit') || '50', 10);
+    const limit = Math.min(Math.max(Number.isNaN(limitParam) ? 50 : limitParam, 1), MAX_LIMIT);
+
+    const pauseRequests = await listPauseRequests({ status, limit });
+
+    return Response.json({
+      success: true,
+      status,
+      policy: getPausePolicy(),
+      pauseRequests,
+    });
+  } catch (error) {
+    logger.error('Pause request queue failed', {
+      error: error.message,
+      requestId,
+      adminUserId: adminUser?.id,
+    });
+
+    return Response.json(
+      { success: false, ...formatErrorResponse(error, requestId) },
+      { status: error.statusCode || 500 }
+    );
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * GET/POST /api/internal/prices/collect
+ * Store one price snapshot for every popular token.
+ * Called by a cron job with `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+import { verifyCronRequest } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { collectPriceSnapshots } from '@/lib/price-history';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+async function handleCollect(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    verifyCronRequest(request);
+
+    logger.info('[PRICE_HISTORY] Collection requested', { requestId });
+
+    const result = await collectPriceSnapshots();
+
+    return Response.json({
+      success: true,
+      ...result,
+    });
+
+  } catch (error) {
+    logger.error('[PRICE_HISTORY] Collection failed', {
+      error: error.message,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Price collection failed',
+      },
+    }, { status: 500 });
+  }
+}
+
+export async function GET(request) {
+  return handleCollect(request);
+}
+
+export async function POST(request) {
+  return handleCollect(request);
+}
@@ -0,0 +1,66 @@
+/**
+ * GET/POST /api/internal/scheduler/run
+ * Run one scheduler tick: execute every due recurring investment.
+ * Called by a cron job with `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+import { verifyCronRequest } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { runSchedulerTick } from '@/lib/scheduler';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+const MAX_TICK_LIMIT = 100;
+
+async function handleTick(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    verifyCronRequest(request);
+
+    const { searchParams } = new URL(request.url);
+    const limitParam = parseInt(searchParams.get('limit') || '25', 10);
+    const limit = Math.min(Math.max(Number.isNaN(limitParam) ? 25 : limitParam, 1), MAX_TICK_LIMIT);
+
+    logger.info('[SCHEDULER] Tick requested', { limit, requestId });
+
+    // Server-side ticks never hold user keys: runs without a delegated signer wait for the user
+    const result = await runSchedulerTick({ limit, requestId });
+
+    return Response.json({
+      success: true,
+      ...result,
+    });
+
+  } catch (error) {
+    logger.error('[SCHEDULER] Tick failed', {
+      error: error.message,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Scheduler tick failed',
+      },
+    }, { status: 500 });
+  }
+}
+
+export async function GET(request) {
+  return handleTick(request);
+}
+
+export async function POST(request) {
+  return handleTick(request);
+}
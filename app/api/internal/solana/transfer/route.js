@@ -4,13 +4,11 @@ import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { getSolanaConnection, isValidSolanaAddress } from '@/lib/solana';
 import { ValidationError, formatErrorResponse } from '@/lib/errors';
-import { buildUnsignedTokenTransfer } from '@/lib/solana-token-transfer';
+import { buildUnsignedTokenTransfer, buildUnsignedSolTransfer } from '@/lib/solana-token-transfer';
 import { getTokenMint } from '@/lib/tokens';
 import {
   LAMPORTS_PER_SOL,
   PublicKey,
-  SystemProgram,
-  TransactionMessage,
   VersionedTransaction,
 } from '@solana/web3.js';
 
@@ -29,40 +27,6 @@ function isBlockhashExpiredError(error) {
   );
 }
 
-async function buildUnsignedTransfer({ connection, sourceAddress, destinationAddress, lamports }) {
-  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
-
-  const transferIx = SystemProgram.transfer({
-    fromPubkey: new PublicKey(sourceAddress),
-    toPubkey: new PublicKey(destinationAddress),
-    lamports,
-  });
-
-  const messageV0 = new TransactionMessage({
-    instructions: [transferIx],
-    payerKey: new PublicKey(sourceAddress),
-    recentBlockhash: blockhash,
-  }).compileToV0Message();
-
-  const transaction = new VersionedTransaction(messageV0);
-  const unsignedTransaction = Buffer.from(transaction.serialize()).toString('base64');
-
-  let feeEstimateLamports = null;
-  try {
-    const feeResult = await connection.getFeeForMessage(messageV0, 'confirmed');
-    feeEstimateLamports = feeResult.value ?? null;
-  } catch {
-    feeEstimateLamports = null;
-  }
-
-  return {
-    unsignedTransaction,
-    recentBlockhash: blockhash,
-    lastValidBlockHeight,
-    feeEstimateLamports,
-  };
-}
-
 function formatTransferResponse({
   sourceAddress,
   destinationAddress,
@@ -257,10 +221,9 @@ async function handlePrepareMode({ body, batchId, requestId, adminUser }) {
       throw new ValidationError('amountSol converts to an invalid lamport value');
     }
 
-    const unsignedTransfer = await buildUnsignedTransfer({
-      connection,
-      sourceAddress,
-      destinationAddress: toAddress,
+    const unsignedTransfer = await buildUnsignedSolTransfer({
+      fromAddress: sourceAddress,
+      toAddress,
       lamports,
     });
 
@@ -514,12 +477,9 @@ async function refreshExpiredTransfer({ batchId, adminUserId, requestId }) {
     throw new ValidationError('Stored transfer amount is invalid for refresh');
   }
 
-  const connection = getSolanaConnection();
-
-  const unsignedTransfer = await buildUnsignedTransfer({
-    connection,
-    sourceAddress: existing.sourceAddress,
-    destinationAddress: existing.destinationAddress,
+  const unsignedTransfer = await buildUnsignedSolTransfer({
+    fromAddress: existing.sourceAddress,
+    toAddress: existing.destinationAddress,
     lamports: lamportsValue,
   });
 
@@ -0,0 +1,44 @@
+/**
+ * PATCH /api/internal/tokens/:mint
+ * Update a registered token: { name?, maxTarget?, logoUri?, enabled? }
+ * Disabling stops new goals; existing goals keep buying.
+ */
+
+import { requireAuth, ensureAdmin } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { updateToken, serializeToken } from '@/lib/token-registry';
+import { formatErrorResponse } from '@/lib/errors';
+
+export async function PATCH(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { mint } = await params;
+  let adminUser = null;
+
+  try {
+    const { user } = await requireAuth(request);
+    ensureAdmin(user);
+    adminUser = user;
+
+    const body = await request.json().catch(() => ({}));
+    const token = await updateToken(mint, {
+      name: body.name,
+      maxTarget: body.maxTarget,
+      logoUri: body.logoUri,
+      enabled: body.enabled,
+    }, requestId);
+
+    return Response.json({ success: true, token: serializeToken(token) });
+  } catch (error) {
+    logger.error('Token update failed', {
+      error: error.message,
+      mint,
+      requestId,
+      adminUserId: adminUser?.id,
+    });
+
+    return Response.json(
+      { success: false, ...formatErrorResponse(error, requestId) },
+      { status: error.statusCode || 500 }
+    );
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * GET /api/internal/tokens
+ * Every registered token, disabled ones included
+ *
+ * POST /api/internal/tokens
+ * Register a mint for goals: { mint, maxTarget, symbol?, name?, decimals?, logoUri? }
+ * Missing metadata is filled from Jupiter's token list.
+ */
+
+import { requireAuth, ensureAdmin } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { listRegisteredTokens, registerToken, serializeToken } from '@/lib/token-registry';
+import { formatErrorResponse } from '@/lib/errors';
+
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let adminUser = null;
+
+  try {
+    const { user } = await requireAuth(request);
+    ensureAdmin(user);
+    adminUser = user;
+
+    const tokens = await listRegisteredTokens({ includeDisabled: true });
+
+    return Response.json({ success: true, tokens: tokens.map(serializeToken) });
+  } catch (error) {
+    logger.error('Token registry listing failed', {
+      error: error.message,
+      requestId,
+      adminUserId: adminUser?.id,
+    });
+
+    return Response.json(
+      { success: false, ...formatErrorResponse(error, requestId) },
+      { status: error.statusCode || 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let adminUser = null;
+
+  try {
+    const { user } = await requireAuth(request);
+    ensureAdmin(user);
+    adminUser = user;
+
+    const body = await request.json().catch(() => ({}));
+    const token = await registerToken({
+      mint: body.mint,
+      maxTarget: body.maxTarget,
+      symbol: body.symbol,
+      name: body.name,
+      decimals: body.decimals,
+      logoUri: body.logoUri,
+      requestId,
+    });
+
+    logger.info('Token registered by admin', { mint: token.mint, adminUserId: adminUser.id, requestId });
+
+    return Response.json({ success: true, token: serializeToken(token) }, { status: 201 });
+  } catch (error) {
+    logger.error('Token registration failed', {
+      error: error.message,
+      requestId,
+      adminUserId: adminUser?.id,
+    });
+
+    return Response.json(
+      { success: false, ...formatErrorResponse(error, requestId) },
+      { status: error.statusCode || 500 }
+    );
+  }
+}
@@ -7,173 +7,11 @@
 import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
-import { getSolanaConnection } from '@/lib/solana';
-import { VersionedTransaction } from '@solana/web3.js';
-import { getTokenMint, fromSmallestUnits, getNetwork } from '@/lib/tokens';
-import { SwapErrors, AuthenticationError, ValidationError } from '@/lib/errors';
-import { calculateProgress } from '@/lib/goalValidation';
-import { sendInvestmentNotification } from '@/lib/notifications';
-
-/**
- * Submit transaction and confirm
- */
-async function submitAndConfirm(signedTransaction, connection, lastValidBlockHeight, requestId) {
-  const startTime = Date.now();
-  
-  logger.info('[INVEST] Starting submitAndConfirm', {
-    hasSignedTransaction: !!signedTransaction,
-    signedTransactionLength: signedTransaction?.length,
-    lastValidBlockHeight,
-    requestId,
-    timestamp: new Date().toISOString()
-  });
-  
-  // Validate transaction
-  if (!signedTransaction || typeof signedTransaction !== 'string') {
-    throw new ValidationError('Invalid signed transaction: must be a base64 string');
-  }
-  
-  if (!/^[A-Za-z0-9+/=]+$/.test(signedTransaction)) {
-    throw new ValidationError('swapTransaction is not valid base64');
-  }
-  
-  const txBuffer = Buffer.from(signedTransaction, 'base64');
-  if (!txBuffer || txBuffer.length === 0) {
-    throw new ValidationError('Invalid signed transaction: empty buffer');
-  }
-  
-  logger.info('[INVEST] Transaction buffer created', {
-    bufferLength: txBuffer.length,
-    requestId
-  });
-  
-  // Deserialize transaction
-  let transaction;
-  try {
-    transaction = VersionedTransaction.deserialize(txBuffer);
-    logger.info('[INVEST] Transaction deserialized', {
-      hasTransaction: !!transaction,
-      requestId
-    });
-  } catch (deserializeError) {
-    logger.error('[INVEST] Transaction deserialization failed', {
-      error: deserializeError.message,
-      stack: deserializeError.stack,
-      requestId
-    });
-    throw new ValidationError(`Transaction deserialization failed: ${deserializeError.message}`);
-  }
-  
-  const blockhash = transaction.message.recentBlockhash?.toString() || null;
-  
-  // Get current block height before submission
-  let currentBlockHeight = null;
-  try {
-    const slot = await connection.getSlot('confirmed');
-    currentBlockHeight = slot;
-    const blocksRemaining = lastValidBlockHeight ? lastValidBlockHeight - currentBlockHeight : null;
-    
-    logger.info('[INVEST] Current block height before submission', {
-      currentBlockHeight,
-      lastValidBlockHeight,
-      blocksRemaining,
-      blockhash,
-      requestId
-    });
-    
-    if (lastValidBlockHeight && currentBlockHeight >= lastValidBlockHeight) {
-      logger.error('[INVEST] Block height already exceeded before submission', {
-        currentBlockHeight,
-        lastValidBlockHeight,
-        blocksOver: currentBlockHeight - lastValidBlockHeight,
-        requestId
-      });
-      throw new ValidationError(`Transaction block height expired: current ${currentBlockHeight} >= lastValid ${lastValidBlockHeight}`);
-    }
-  } catch (blockHeightError) {
-    if (blockHeightError instanceof ValidationError) {
-      throw blockHeightError;
-    }
-    logger.warn('[INVEST] Failed to get current block height', {
-      error: blockHeightError.message,
-      requestId
-    });
-  }
-  
-  // Send transaction
-  const submitStartTime = Date.now();
-  logger.info('[INVEST] Submitting transaction to Solana', {
-    blockhash,
-    lastValidBlockHeight,
-    currentBlockHeight,
-    skipPreflight: true,
-    maxRetries: 3,
-    requestId
-  });
-  
-  const signature = await connection.sendRawTransaction(txBuffer, {
-    skipPreflight: true,
-    maxRetries: 3,
-    preflightCommitment: 'confirmed',
-  });
-  
-  const submitDuration = Date.now() - submitStartTime;
-  
-  logger.info('Transaction submitted', { 
-    signature, 
-    blockhash, 
-    requestId,
-    submitDuration: `${submitDuration}ms`,
-    timestamp: new Date().toISOString()
-  });
-  
-  // Confirm transaction
-  const confirmStartTime = Date.now();
-  logger.info('[INVEST] Starting transaction confirmation', {
-    signature,
-    blockhash,
-    lastValidBlockHeight,
-    currentBlockHeight,
-    requestId
-  });
-  
-  try {
-    if (blockhash && lastValidBlockHeight) {
-      await connection.confirmTransaction({
-        signature,
-        blockhash,
-        lastValidBlockHeight,
-      }, 'confirmed');
-    } else {
-      await connection.confirmTransaction(signature, 'confirmed');
-    }
-    
-    const confirmDuration = Date.now() - confirmStartTime;
-    const totalDuration = Date.now() - startTime;
-    
-    logger.info('[INVEST] Transaction confirmed successfully', {
-      signature,
-      confirmDuration: `${confirmDuration}ms`,
-      totalDuration: `${totalDuration}ms`,
-      requestId
-    });
-  } catch (confirmError) {
-    const confirmDuration = Date.now() - confirmStartTime;
-    logger.error('[INVEST] Transaction confirmation failed', {
-      signature,
-      error: confirmError.message,
-      errorName: confirmError.name,
-      confirmDuration: `${confirmDuration}ms`,
-      blockhash,
-      lastValidBlockHeight,
-      currentBlockHeight,
-      requestId
-    });
-    throw confirmError;
-  }
-  
-  return signature;
-}
+import { getNetwork } from '@/lib/tokens';
+import { SwapErrors, BatchErrors, AuthenticationError, ValidationError, GoalErrors, MemberErrors } from '@/lib/errors';
+import { getBatch, canTransition } from '@/lib/investment-batch';
+import { goalAccessWhere, getBatchContributorId } from '@/lib/goal-members';
+import { swapService } from '@/lib/swap-service';
 
 export async function POST(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -206,11 +44,11 @@ export async function POST(request) {
       throw new ValidationError('Missing required fields: goalId, batchId, signedTransaction, quoteResponse');
     }
     
-    // Validate goal
+    // Validate goal (owners and contributors can invest)
     const goal = await prisma.goal.findFirst({
       where: {
         id: goalId,
-        userId: user.id,
+        ...goalAccessWhere(user.id, 'CONTRIBUTOR'),
       },
     });
     
@@ -222,83 +60,83 @@ export async function POST(request) {
       throw new ValidationError('Goal must be ACTIVE to execute investment');
     }
     
-    // Get output token info
-    const outputTokenInfo = getTokenMint(goal.coin);
-    const outputAmount = fromSmallestUnits(quoteResponse.outAmount, outputTokenInfo.decimals);
+    if (goal.kind === 'BASKET') {
+      throw GoalErrors.BASKET_NOT_SUPPORTED();
+    }
     
-    // Get or create SWAP transaction
-    let swapTransaction = await prisma.transaction.findFirst({
-      where: {
-        batchId,
-        type: 'SWAP',
-      },
-    });
+    // The batch must hold a live quote before anything is sent on-chain
+    const batch = await getBatch(batchId);
+    if (!batch || batch.goalId !== goal.id) {
+      throw BatchErrors.BATCH_NOT_FOUND();
+    }
+    if (!canTransition(batch.state, 'SWAP_SUBMITTED')) {
+      throw BatchErrors.INVALID_TRANSITION(batch.state, 'SWAP_SUBMITTED');
+    }
     
-    const connection = getSolanaConnection();
+    // Only the member who funded the batch signs its swap
+    const contributorId = await getBatchContributorId(batchId, goal);
+    if (contributorId && contributorId !== user.id) {
+      throw MemberErrors.NOT_BATCH_CONTRIBUTOR();
+    }
     
-    // Submit and confirm transaction
-    const signature = await submitAndConfirm(signedTransaction, connection, lastValidBlockHeight, requestId);
+    // The swap must be paid by the member's own wallet
+    if (!user.walletAddress) {
+      throw SwapErrors.INVALID_WALLET();
+    }
     
-    // Update transaction in database
-    if (swapTransaction) {
-      swapTransaction = await prisma.transaction.update({
-        where: { id: swapTransaction.id },
-        data: {
-          txnHash: signature,
-          amountCrypto: outputAmount,
-          tokenMint: outputTokenInfo.mint,
-          meta: {
-            state: 'SWAP_CONFIRMED',
-            quoteId: quoteResponse.quoteId,
-          },
-        },
-      });
-    } else {
-      swapTransaction = await prisma.transaction.create({
-        data: {
-          goalId: goal.id,
-          batchId,
-          type: 'SWAP',
-          provider: 'JUPITER',
-          network: getNetwork() === 'devnet' ? 'DEVNET' : 'MAINNET',
-          txnHash: signature,
-          amountCrypto: outputAmount,
-          tokenMint: outputTokenInfo.mint,
-          meta: {
-            state: 'SWAP_CONFIRMED',
-            quoteId: quoteResponse.quoteId,
-          },
-        },
+    // The SWAP row is recorded as soon as the signature exists so
+    // reconciliation can settle it if confirmation times out
+    let submitted;
+    try {
+      submitted = await swapService.submit({
+        batchId,
+        goal,
+        signedTransaction,
+        quoteResponse,
+        lastValidBlockHeight,
+        walletAddress: user.walletAddress,
+        contributorId: user.id,
+        requestId,
       });
+    } catch (error) {
+      await swapService.fail({ batchId, error });
+      throw error;
     }
     
-    // Update goal invested amount
-    const updatedGoal = await prisma.goal.update({
-      where: { id: goal.id },
-      data: {
-        investedAmount: {
-          increment: outputAmount,
-        },
-      },
-    });
+    const { signature, swapTxn } = submitted;
+    const explorerUrl = `https://explorer.solana.com/tx/${signature}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`;
     
-    // Check if goal is completed
-    if (updatedGoal.investedAmount >= updatedGoal.targetAmount) {
-      await prisma.goal.update({
-        where: { id: goal.id },
-        data: { status: 'COMPLETED' },
+    let confirmed;
+    try {
+      confirmed = await swapService.confirm({
+        signature,
+        blockhash: submitted.blockhash,
+        lastValidBlockHeight: submitted.lastValidBlockHeight,
+        requestId,
       });
-      updatedGoal.status = 'COMPLETED';
+    } catch (error) {
+      await swapService.fail({ batchId, error, swapTxn, signature });
+      throw error;
     }
     
-    const progress = calculateProgress(updatedGoal.investedAmount, updatedGoal.targetAmount);
+    if (!confirmed) {
+      logger.info('[INVEST] Investment pending confirmation', { batchId, signature, requestId });
+      return Response.json({
+        success: true,
+        pending: true,
+        transactionHash: signature,
+        explorerUrl,
+      }, { status: 202 });
+    }
     
-    // Send notification
-    await sendInvestmentNotification(batchId, 'SWAP_CONFIRMED', {
-      outputAmount,
+    // Confirm the batch and credit the goal atomically, with what the recorded quote bought
+    const credited = await swapService.finalize({
+      swapTxn,
+      amountRaw: BigInt(swapTxn.meta.quoteOutAmountRaw),
+      signature,
       goalCoin: goal.coin,
-      progressPercentage: progress,
     });
+    const outputAmount = credited.outputAmount;
     
     logger.info('[INVEST] Investment executed successfully', {
       batchId,
@@ -311,7 +149,8 @@ export async function POST(request) {
       success: true,
       btcAmount: outputAmount, // Note: This is actually the goal coin amount
       transactionHash: signature,
-      explorerUrl: `https://explorer.solana.com/tx/${signature}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`,
+      explorerUrl,
+      milestones: credited.milestones,
     }, { status: 200 });
     
   } catch (error) {
@@ -2,22 +2,26 @@
  * POST /api/invest/prepare
  * Prepare investment: simulate onramp + get quote
  * Returns simplified response for user-facing flow
+ * Owners and contributors of a goal invest from their own wallet.
  */
 
 import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { nanoid } from 'nanoid';
-import { getSwapQuote, getSwapTransaction } from '@/lib/jupiter';
-import { getSolanaConnection, checkATAExists, createATAWithAppWallet, isToken2022 } from '@/lib/solana';
+import { getSolanaConnection } from '@/lib/solana';
 import { PublicKey } from '@solana/web3.js';
-import { TOKEN_MINTS, getTokenMint, toSmallestUnits, fromSmallestUnits, getNetwork, isNativeSOL } from '@/lib/tokens';
-import { SwapErrors, AuthenticationError, ValidationError } from '@/lib/errors';
+import { TOKEN_MINTS, getTokenMint, getGoalTokenMint, toSmallestUnits, fromSmallestUnits, getNetwork } from '@/lib/tokens';
+import { SwapErrors, AuthenticationError, ValidationError, GoalErrors } from '@/lib/errors';
 import { ensureIdempotency } from '@/lib/idempotency';
+import { ensureBatch, transitionBatch } from '@/lib/investment-batch';
+import { toRawAmount, USD_DECIMALS } from '@/lib/amount';
 import { checkRateLimit } from '@/lib/rateLimit';
+import { goalAccessWhere } from '@/lib/goal-members';
+import { prepareExecutionPolicy } from '@/lib/execution-policy';
+import { swapService } from '@/lib/swap-service';
 
 const MIN_AMOUNT_SOL = 0.01;
-const SLIPPAGE_BPS = 50; // 0.5% slippage
 const SOL_FEE_BUFFER = 0.01;
 
 export async function POST(request) {
@@ -48,13 +52,12 @@ export async function POST(request) {
       throw new ValidationError(`Amount must be at least ${MIN_AMOUNT_SOL} SOL`);
     }
     
-    // Validate goal
+    // Validate goal (owners and contributors can invest)
     const goal = await prisma.goal.findFirst({
       where: {
         id: goalId,
-        userId: user.id,
+        ...goalAccessWhere(user.id, 'CONTRIBUTOR'),
       },
-      include: { user: true },
     });
     
     if (!goal) {
@@ -65,7 +68,11 @@ export async function POST(request) {
       throw new ValidationError('Goal must be ACTIVE to invest');
     }
     
-    if (!goal.user.walletAddress) {
+    if (goal.kind === 'BASKET') {
+      throw GoalErrors.BASKET_NOT_SUPPORTED();
+    }
+    
+    if (!user.walletAddress) {
       throw SwapErrors.INVALID_WALLET();
     }
     
@@ -74,7 +81,7 @@ export async function POST(request) {
     
     // Step 1: Simulate onramp (create DB record)
     const connection = getSolanaConnection();
-    const userPublicKey = new PublicKey(goal.user.walletAddress);
+    const userPublicKey = new PublicKey(user.walletAddress);
     
     // Check SOL balance
     // amountUsd is now treated as SOL amount
@@ -93,6 +100,8 @@ export async function POST(request) {
     const solMintInfo = TOKEN_MINTS.SOL;
     const simulatedSignature = `sim_${crypto.randomUUID().replace(/-/g, '')}`;
     
+    await ensureBatch({ batchId, goalId: goal.id, reason: 'Investment prepared' });
+    
     const onrampTransaction = await ensureIdempotency(batchId, 'ONRAMP', async () => {
       return await prisma.$transaction(async (tx) => {
         return await tx.transaction.create({
@@ -103,25 +112,31 @@ export async function POST(request) {
             provider: 'FAUCET',
             network: network === 'devnet' ? 'DEVNET' : 'MAINNET',
             txnHash: simulatedSignature,
-            amountUsd: amountUsd * 100, // Store USD equivalent for reporting (approximate)
-            amountCrypto: amountUsd, // Store actual SOL amount
+            amountUsdRaw: toRawAmount(amountUsd * 100, USD_DECIMALS), // Store USD equivalent for reporting (approximate)
+            amountCryptoRaw: toSmallestUnits(amountUsd, solMintInfo.decimals), // Store actual SOL amount
+            cryptoDecimals: solMintInfo.decimals,
             tokenMint: solMintInfo.mint,
+            contributorId: user.id,
             meta: {
-              state: 'ONRAMP_CONFIRMED',
               simulation: true,
               simulated: true,
               solValidated: true,
-              userWalletAddress: goal.user.walletAddress,
+              userWalletAddress: user.walletAddress,
             },
           },
         });
       });
     });
     
-    // Step 2: Get quote (SOL → Goal Coin)
+    await transitionBatch(batchId, 'ONRAMP_CONFIRMED', {
+      reason: 'Simulated onramp recorded',
+      meta: { transactionId: onrampTransaction.id },
+    });
+    
+    // Step 2: Quote SOL → goal coin, build the transaction and check it before the member signs
     // amountUsd is now treated as SOL amount
     const inputTokenInfo = getTokenMint('SOL', 'mainnet');
-    const outputTokenInfo = getTokenMint(goal.coin, 'mainnet');
+    const outputTokenInfo = getGoalTokenMint(goal, 'mainnet');
     const swapAmountInSmallestUnits = toSmallestUnits(amountUsd, inputTokenInfo.decimals); // SOL has 9 decimals
     
     logger.info('[INVEST] Getting swap quote', {
@@ -132,76 +147,36 @@ export async function POST(request) {
       requestId
     });
     
-    // Check and create ATA for output token if needed (skip for native SOL)
-    if (isNativeSOL(outputTokenInfo.mint)) {
-      logger.info('[INVEST] Skipping ATA check for native SOL', {
-        outputMint: outputTokenInfo.mint,
-        userWallet: goal.user.walletAddress,
-        requestId
-      });
-    } else {
-      logger.info('[INVEST] Checking ATA for output token', {
-        outputMint: outputTokenInfo.mint,
-        userWallet: goal.user.walletAddress,
+    // Slippage and priority fee for this trade, within the member's maximums
+    const preparedPolicy = await prepareExecutionPolicy({
+      symbols: ['SOL', goal.coin],
+      userId: user.id,
+      connection,
+    });
+    
+    // An EXACT goal's final swap is trimmed to what the target still needs
+    const swapData = await swapService.quote({
+      goal,
+      batchId,
+      onramp: onrampTransaction,
+      inputToken: inputTokenInfo,
+      amountRaw: swapAmountInSmallestUnits,
+      executionPolicy: preparedPolicy,
+      walletAddress: user.walletAddress,
+      contributorId: user.id,
+      requestId,
+    });
+    const { quote, capped, inputAmount, executionPolicy, preview } = swapData;
+    
+    if (capped) {
+      logger.info('[INVEST] Final contribution capped at the goal target', {
+        goalId: goal.id,
+        requestedSol: amountUsd,
+        cappedSol: inputAmount,
         requestId
       });
-      
-      const isToken2022Mint = await isToken2022(outputTokenInfo.mint);
-      const { exists: ataExists } = await checkATAExists(
-        outputTokenInfo.mint,
-        goal.user.walletAddress,
-        isToken2022Mint
-      );
-      
-      if (!ataExists) {
-        logger.info('[INVEST] Creating ATA for output token', {
-          outputMint: outputTokenInfo.mint,
-          userWallet: goal.user.walletAddress,
-          requestId
-        });
-        
-        await createATAWithAppWallet(
-          outputTokenInfo.mint,
-          goal.user.walletAddress,
-          isToken2022Mint
-        );
-        
-        logger.info('[INVEST] ATA created successfully', {
-          outputMint: outputTokenInfo.mint,
-          requestId
-        });
-      } else {
-        logger.debug('[INVEST] ATA already exists', {
-          outputMint: outputTokenInfo.mint,
-          requestId
-        });
-      }
     }
     
-    // Get Jupiter quote
-    const quote = await getSwapQuote(
-      inputTokenInfo.mint,
-      outputTokenInfo.mint,
-      swapAmountInSmallestUnits.toString(),
-      SLIPPAGE_BPS
-    );
-    
-    // Get swap transaction
-    const swapData = await getSwapTransaction(
-      quote,
-      goal.user.walletAddress,
-      SLIPPAGE_BPS
-    );
-    
-    logger.info('[INVEST] Swap transaction received from Jupiter', {
-      hasSwapTransaction: !!swapData.swapTransaction,
-      swapTransactionLength: swapData.swapTransaction?.length,
-      lastValidBlockHeight: swapData.lastValidBlockHeight,
-      quoteId: quote.quoteId,
-      quoteExpiresAt: quote.expiresAt,
-      requestId
-    });
-    
     // Calculate output amount
     const outputAmount = fromSmallestUnits(quote.outAmount, outputTokenInfo.decimals);
     
@@ -249,7 +224,15 @@ export async function POST(request) {
         quoteResponse: quote,
         swapTransaction: swapData.swapTransaction,
         lastValidBlockHeight: swapData.lastValidBlockHeight,
+        // What the transaction will do, from its simulation
+        preview,
       },
+      // Set when the swap was trimmed to land on the goal target (EXACT overflow policy)
+      finalContribution: capped
+        ? { inputAmount, inputCoin: 'SOL' }
+        : null,
+      // Chosen slippage and priority fee, with the reasons for each
+      executionPolicy,
       batchId,
     }, { status: 200 });
     
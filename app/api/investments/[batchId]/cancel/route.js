@@ -8,8 +8,9 @@ import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { sendInvestmentNotification } from '@/lib/notifications';
 import { ValidationError } from '@/lib/errors';
-
-const CANCELABLE_STATES = ['PENDING_ONRAMP', 'ONRAMP_CONFIRMED', 'QUOTED', 'EXPIRED'];
+import { getBatch, isCancelable, transitionBatch } from '@/lib/investment-batch';
+import { fromRawAmount, USD_DECIMALS } from '@/lib/amount';
+import { goalAccessWhere } from '@/lib/goal-members';
 
 export async function POST(request, { params }) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -30,13 +31,9 @@ export async function POST(request, { params }) {
 
     logger.info('Canceling investment', { batchId, userId: user.id, requestId });
 
-    // Get all transactions for this batch
-    const transactions = await prisma.transaction.findMany({
-      where: { batchId },
-      orderBy: { timestamp: 'asc' },
-    });
+    const batch = await getBatch(batchId, { include: { transactions: true } });
 
-    if (transactions.length === 0) {
+    if (!batch) {
       return Response.json({
         success: false,
         error: {
@@ -46,15 +43,19 @@ export async function POST(request, { params }) {
       }, { status: 404 });
     }
 
-    // Get goal to verify ownership
+    // The member who funded an investment can cancel it, and owners can cancel any
     const goal = await prisma.goal.findFirst({
       where: {
-        id: transactions[0].goalId,
-        userId: user.id,
+        id: batch.goalId,
+        ...goalAccessWhere(user.id, 'CONTRIBUTOR'),
       },
+      include: { members: { where: { userId: user.id }, select: { role: true } } },
     });
 
-    if (!goal) {
+    const onrampTxn = batch.transactions.find(t => t.type === 'ONRAMP');
+    const isFunder = goal && (onrampTxn?.contributorId ?? goal.userId) === user.id;
+
+    if (!goal || (!isFunder && goal.members[0]?.role !== 'OWNER')) {
       return Response.json({
         success: false,
         error: {
@@ -64,18 +65,10 @@ export async function POST(request, { params }) {
       }, { status: 403 });
     }
 
-    // Determine current state
-    let currentState = null;
-    for (const txn of transactions) {
-      const state = txn.meta?.state;
-      if (state && state !== 'CANCELED') {
-        currentState = state;
-      }
-    }
+    const currentState = batch.state;
 
     // Check if already canceled
-    const isAlreadyCanceled = transactions.some(txn => txn.meta?.state === 'CANCELED');
-    if (isAlreadyCanceled) {
+    if (currentState === 'CANCELED') {
       return Response.json({
         success: true,
         batchId,
@@ -85,7 +78,7 @@ export async function POST(request, { params }) {
     }
 
     // Check if cancelable
-    if (!currentState || !CANCELABLE_STATES.includes(currentState)) {
+    if (!isCancelable(currentState)) {
       const message = currentState === 'SWAP_SUBMITTED' || currentState === 'SWAP_CONFIRMED'
         ? 'Cannot cancel: transaction already submitted to blockchain'
         : `Cannot cancel investment in state: ${currentState}`;
@@ -99,25 +92,14 @@ export async function POST(request, { params }) {
       }, { status: 422 });
     }
 
-    // Get ONRAMP transaction to get amount for notification
-    const onrampTxn = transactions.find(t => t.type === 'ONRAMP');
-    const amountUsdc = onrampTxn?.amountUsd || 0;
-
-    // Update all transactions to CANCELED state
-    await prisma.$transaction(async (tx) => {
-      for (const txn of transactions) {
-        await tx.transaction.update({
-          where: { id: txn.id },
-          data: {
-            meta: {
-              ...(txn.meta || {}),
-              state: 'CANCELED',
-              canceledAt: new Date().toISOString(),
-              canceledBy: user.id,
-            },
-          },
-        });
-      }
+    // ONRAMP amount for the notification
+    const amountUsdc = fromRawAmount(onrampTxn?.amountUsdRaw ?? 0n, USD_DECIMALS);
+
+    // Guarded on the state read above, so a concurrent submission wins
+    await transitionBatch(batchId, 'CANCELED', {
+      reason: 'Canceled by user',
+      meta: { canceledBy: user.id },
+      from: [currentState],
     });
 
     logger.info('Investment canceled', {
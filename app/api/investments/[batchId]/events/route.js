@@ -0,0 +1,97 @@
+/**
+ * GET /api/investments/:batchId/events
+ * Stream investment status for a batch as Server-Sent Events
+ * See lib/investment-events.js for the event types.
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { loadBatchForUser } from '@/lib/investment-status';
+import { createInvestmentEventStream } from '@/lib/investment-events';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { batchId } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+
+    if (!batchId) {
+      return Response.json({
+        success: false,
+        error: {
+          code: 'INVALID_BATCH_ID',
+          message: 'batchId is required'
+        }
+      }, { status: 400 });
+    }
+
+    const { batch, goal } = await loadBatchForUser(batchId, user.id);
+
+    if (!batch) {
+      return Response.json({
+        success: false,
+        error: {
+          code: 'BATCH_NOT_FOUND',
+          message: 'Investment batch not found'
+        }
+      }, { status: 404 });
+    }
+
+    if (!goal) {
+      return Response.json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Not authorized to view this investment'
+        }
+      }, { status: 403 });
+    }
+
+    logger.info('Opening investment event stream', { batchId, userId: user.id, requestId });
+
+    const stream = createInvestmentEventStream({
+      batchId,
+      userId: user.id,
+      signal: request.signal,
+      requestId,
+    });
+
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      },
+    });
+
+  } catch (error) {
+    logger.error('Failed to open investment event stream', {
+      error: error.message,
+      batchId,
+      requestId
+    });
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to open investment event stream'
+      }
+    }, { status: 500 });
+  }
+}
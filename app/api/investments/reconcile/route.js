@@ -6,48 +6,13 @@
 
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
-import { getSolanaConnection } from '@/lib/solana';
-import { getTokenMint, fromSmallestUnits, getNetwork } from '@/lib/tokens';
-import { calculateProgress, shouldAutoComplete } from '@/lib/goalValidation';
-import { sendInvestmentNotification } from '@/lib/notifications';
+import { SwapError } from '@/lib/errors';
+import { swapService } from '@/lib/swap-service';
+import { HOPS } from '@/lib/swap-routing';
+import { settleDelegatedExecution } from '@/lib/delegation';
 
 const RECONCILE_OLDER_THAN_MS = 60000; // 1 minute
-
-/**
- * Poll for transaction confirmation
- */
-async function pollConfirmation(connection, signature, maxWaitMs = 30000) {
-  const startTime = Date.now();
-  let backoffMs = 1000;
-  
-  while (Date.now() - startTime < maxWaitMs) {
-    try {
-      const status = await connection.getSignatureStatus(signature);
-      
-      if (status?.value) {
-        if (status.value.err) {
-          throw new Error(`Transaction failed: ${JSON.stringify(status.value.err)}`);
-        }
-        
-        if (status.value.confirmationStatus === 'confirmed' || status.value.confirmationStatus === 'finalized') {
-          return true;
-        }
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, backoffMs));
-      backoffMs = Math.min(backoffMs * 2, 4000);
-      
-    } catch (error) {
-      if (error.message.includes('Transaction failed')) {
-        throw error;
-      }
-      await new Promise(resolve => setTimeout(resolve, backoffMs));
-      backoffMs = Math.min(backoffMs * 2, 4000);
-    }
-  }
-  
-  return false;
-}
+const CONFIRM_WAIT_MS = 30000;
 
 export async function POST(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -61,12 +26,11 @@ export async function POST(request) {
     const pendingTransactions = await prisma.transaction.findMany({
       where: {
         type: 'SWAP',
-        meta: {
-          path: ['state'],
-          equals: 'SWAP_SUBMITTED',
-        },
-        timestamp: {
-          lt: cutoffTime,
+        batch: {
+          state: 'SWAP_SUBMITTED',
+          swapSubmittedAt: {
+            lt: cutoffTime,
+          },
         },
       },
       include: {
@@ -87,104 +51,74 @@ export async function POST(request) {
       }, { status: 200 });
     }
 
-    const connection = getSolanaConnection();
     let reconciled = 0;
     let failed = 0;
 
     for (const txn of pendingTransactions) {
       try {
+        // Basket legs the scheduler already credited, or never sent, and
+        // two-hop legs that are not waiting on the chain
+        if (txn.meta?.creditedAt || txn.meta?.skipped || (txn.meta?.hop && txn.meta.status !== 'SUBMITTED')) {
+          continue;
+        }
+
         if (!txn.txnHash) {
           logger.warn('Transaction has no signature', { transactionId: txn.id, requestId });
           continue;
         }
 
         // Poll for confirmation
-        const confirmed = await pollConfirmation(connection, txn.txnHash, 30000);
-
-        if (confirmed) {
-          // Update to SWAP_CONFIRMED and update goal
-          const result = await prisma.$transaction(async (tx) => {
-            // Get the transaction again to ensure we have latest data
-            const currentTxn = await tx.transaction.findUnique({
-              where: { id: txn.id },
-            });
-
-            if (!currentTxn || currentTxn.meta?.state !== 'SWAP_SUBMITTED') {
-              // Already processed or state changed
-              return null;
-            }
-
-            // Get output token info
-            const outputTokenInfo = getTokenMint(txn.goal.coin);
-            const outAmount = currentTxn.meta?.quoteOutAmountRaw;
-            
-            if (!outAmount) {
-              throw new Error('Missing quote output amount in transaction meta');
-            }
-
-            const outAmountSmallestUnits = BigInt(outAmount);
-            const outAmountGoalTokenUnits = fromSmallestUnits(
-              Number(outAmountSmallestUnits),
-              outputTokenInfo.decimals
-            );
-
-            // Update transaction
-            const updatedTxn = await tx.transaction.update({
-              where: { id: txn.id },
-              data: {
-                meta: {
-                  ...currentTxn.meta,
-                  state: 'SWAP_CONFIRMED',
-                  reconciledAt: new Date().toISOString(),
-                },
-              },
-            });
-
-            // Update goal
-            const updatedGoal = await tx.goal.update({
-              where: { id: txn.goalId },
-              data: {
-                investedAmount: {
-                  increment: outAmountGoalTokenUnits,
-                },
-              },
-            });
-
-            // Check auto-complete
-            if (shouldAutoComplete(updatedGoal.investedAmount, updatedGoal.targetAmount)) {
-              await tx.goal.update({
-                where: { id: txn.goalId },
-                data: { status: 'COMPLETED' },
-              });
-              updatedGoal.status = 'COMPLETED';
-            }
-
-            const progress = calculateProgress(updatedGoal.investedAmount, updatedGoal.targetAmount);
-
-            return {
-              transaction: updatedTxn,
-              goal: updatedGoal,
-              progress,
-              outAmountGoalTokenUnits,
-            };
+        const confirmed = await swapService.confirm({
+          signature: txn.txnHash,
+          maxWaitMs: CONFIRM_WAIT_MS,
+          requestId,
+        });
+
+        if (confirmed && txn.meta?.hop === HOPS.INTERMEDIATE) {
+          // The SOL leg: the batch waits for its final (or return) leg
+          await swapService.completeHop({ swapTxn: txn, signature: txn.txnHash, requestId });
+
+          reconciled++;
+          logger.info('First swap leg reconciled', {
+            transactionId: txn.id,
+            batchId: txn.batchId,
+            requestId
+          });
+        } else if (confirmed && txn.meta?.hop === HOPS.RETURN) {
+          await swapService.settleReturn({ swapTxn: txn, signature: txn.txnHash });
+
+          reconciled++;
+          logger.info('Returned swap leg reconciled', {
+            transactionId: txn.id,
+            batchId: txn.batchId,
+            requestId
           });
+        } else if (confirmed) {
+          const outAmount = txn.meta?.quoteOutAmountRaw;
+          if (!outAmount) {
+            throw new Error('Missing quote output amount in transaction meta');
+          }
 
-          if (result) {
-            reconciled++;
-            
-            // Send notification
-            await sendInvestmentNotification(txn.batchId, 'SWAP_CONFIRMED', {
-              outputAmount: result.outAmountGoalTokenUnits,
-              goalCoin: txn.goal.coin,
-              progressPercentage: result.progress,
-            });
-
-            logger.info('Transaction reconciled', {
-              transactionId: txn.id,
-              batchId: txn.batchId,
-              requestId
-            });
+          // Confirms the batch and credits the goal (and basket component) atomically
+          await swapService.finalize({
+            swapTxn: txn,
+            amountRaw: BigInt(outAmount),
+            signature: txn.txnHash,
+            goalCoin: txn.meta?.coin ?? txn.goal.coin,
+            reason: 'Confirmed by reconciliation',
+            meta: { reconciledAt: new Date().toISOString() },
+          });
+
+          if (txn.meta?.delegated) {
+            await settleDelegatedExecution({ batchId: txn.batchId, leg: txn.leg, succeeded: true, requestId });
           }
+
+          reconciled++;
+          logger.info('Transaction reconciled', {
+            transactionId: txn.id,
+            batchId: txn.batchId,
+            requestId
+          });
         } else {
           logger.warn('Transaction still pending after reconciliation attempt', {
             transactionId: txn.id,
@@ -193,6 +127,11 @@ export async function POST(request) {
           });
         }
       } catch (error) {
+        // Already settled by the request that submitted it
+        if (error.code === 'INVALID_BATCH_TRANSITION') {
+          continue;
+        }
+
         failed++;
         logger.error('Reconciliation failed for transaction', {
           transactionId: txn.id,
@@ -202,22 +141,21 @@ export async function POST(request) {
         });
 
         // Mark as FAILED if transaction failed on-chain
-        if (error.message.includes('Transaction failed')) {
-          await prisma.transaction.update({
-            where: { id: txn.id },
-            data: {
-              meta: {
-                ...txn.meta,
-                state: 'FAILED',
-                error: error.message,
-                reconciledAt: new Date().toISOString(),
-              },
-            },
+        if (error instanceof SwapError) {
+          await swapService.fail({
+            batchId: txn.batchId,
+            error,
+            swapTxn: txn,
+            leg: txn.leg,
+            signature: txn.txnHash,
+            from: ['SWAP_SUBMITTED'],
+            meta: { reconciledAt: new Date().toISOString() },
           });
 
-          await sendInvestmentNotification(txn.batchId, 'FAILED', {
-            reason: error.message,
-          });
+          // A failed swap under delegation left the pulled USDC in the app wallet
+          if (txn.meta?.delegated) {
+            await settleDelegatedExecution({ batchId: txn.batchId, leg: txn.leg, succeeded: false, error, requestId });
+          }
         }
       }
     }
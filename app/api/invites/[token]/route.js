@@ -0,0 +1,98 @@
+/**
+ * GET /api/invites/:token
+ * Preview an invite link: the goal, the role it grants and whether it can
+ * still be accepted
+ *
+ * POST /api/invites/:token
+ * Accept the invite and join the goal
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { findInvite, acceptGoalInvite, serializeInvite } from '@/lib/goal-members';
+import { calculateProgress } from '@/lib/goalValidation';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+function errorResponse(error, fallbackMessage) {
+  if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code || 'AUTH_ERROR',
+        message: error.message
+      }
+    }, { status: error.statusCode || 401 });
+  }
+
+  if (error.statusCode) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    }, { status: error.statusCode });
+  }
+
+  return Response.json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage
+    }
+  }, { status: 500 });
+}
+
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { token } = await params;
+
+  try {
+    await requireAuth(request);
+    const invite = await findInvite(token);
+    const { status, role, expiresAt } = serializeInvite(invite);
+
+    return Response.json({
+      success: true,
+      invite: {
+        role,
+        status,
+        expiresAt,
+        invitedBy: invite.createdBy.email,
+        goal: {
+          id: invite.goal.id,
+          coin: invite.goal.coin,
+          kind: invite.goal.kind,
+          status: invite.goal.status,
+          progressPercentage: calculateProgress(invite.goal.investedAmountRaw, invite.goal.targetAmountRaw)
+        }
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch invite', { error: error.message, requestId });
+    return errorResponse(error, 'Failed to fetch invite');
+  }
+}
+
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { token } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+    const { goal, role } = await acceptGoalInvite({ token, user });
+
+    logger.info('Goal invite accepted', { goalId: goal.id, role, userId: user.id, requestId });
+
+    return Response.json({
+      success: true,
+      goalId: goal.id,
+      role
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to accept invite', { error: error.message, requestId });
+    return errorResponse(error, 'Failed to accept invite');
+  }
+}
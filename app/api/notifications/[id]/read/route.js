@@ -0,0 +1,57 @@
+/**
+ * POST /api/notifications/:id/read
+ * Mark one notification as read
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import {
+  markNotificationAsRead,
+  getUnreadNotificationCount,
+  serializeNotification,
+} from '@/lib/notifications';
+
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id } = await params;
+
+  try {
+    const { user } = await requireAuth(request);
+
+    const notification = await markNotificationAsRead(id, user.id);
+    const unreadCount = await getUnreadNotificationCount(user.id);
+
+    logger.info('Notification marked as read', { notificationId: id, userId: user.id, requestId });
+
+    return Response.json({
+      success: true,
+      notification: serializeNotification(notification),
+      unreadCount,
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to mark notification as read', {
+      notificationId: id,
+      error: error.message,
+      requestId,
+    });
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update notification',
+      },
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,71 @@
+import { requireAuth } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { serializeDelivery } from '@/lib/notification-delivery';
+import { ValidationError } from '@/lib/errors';
+
+/**
+ * GET /api/notifications/deliveries
+ * Email/webhook delivery log, newest first
+ *
+ * Query params:
+ * - status (optional): PENDING | SENT | FAILED
+ * - limit (optional): Results (default: 20, max: 100)
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user } = await requireAuth(request);
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status');
+    const limit = parseInt(searchParams.get('limit') || '20');
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError('limit must be between 1 and 100');
+    }
+    if (status && !['PENDING', 'SENT', 'FAILED'].includes(status)) {
+      throw new ValidationError('status must be PENDING, SENT or FAILED');
+    }
+
+    const deliveries = await prisma.notificationDelivery.findMany({
+      where: {
+        notification: { userId: user.id },
+        ...(status && { status }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      include: { notification: { select: { type: true } } },
+    });
+
+    return Response.json({
+      success: true,
+      deliveries: deliveries.map((delivery) => ({
+        ...serializeDelivery(delivery),
+        type: delivery.notification.type,
+      })),
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch notification deliveries', { error: error.message, requestId });
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch notification deliveries',
+      },
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,86 @@
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  serializePreferences,
+} from '@/lib/notification-delivery';
+import { ValidationError } from '@/lib/errors';
+
+function errorResponse(error, fallbackMessage) {
+  if (error.statusCode) {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message,
+      },
+    }, { status: error.statusCode });
+  }
+
+  return Response.json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage,
+    },
+  }, { status: 500 });
+}
+
+/**
+ * GET /api/notifications/preferences
+ * Channel preferences (in-app, email, webhook) and the event types sent externally
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user } = await requireAuth(request);
+
+    const preferences = await getNotificationPreferences(user.id);
+
+    return Response.json({
+      success: true,
+      preferences: serializePreferences(preferences, user),
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch notification preferences', { error: error.message, requestId });
+    return errorResponse(error, 'Failed to fetch notification preferences');
+  }
+}
+
+/**
+ * PUT /api/notifications/preferences
+ * Body (all optional): inAppEnabled, emailEnabled, emailAddress, webhookEnabled,
+ * webhookUrl, eventTypes, rotateWebhookSecret
+ * The webhook signing secret is returned only when it is generated or rotated.
+ */
+export async function PUT(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user } = await requireAuth(request);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw new ValidationError('Request body must be JSON');
+    }
+
+    const { preferences, webhookSecret } = await updateNotificationPreferences(user.id, body || {});
+
+    logger.info('Notification preferences saved', { userId: user.id, requestId });
+
+    return Response.json({
+      success: true,
+      preferences: serializePreferences(preferences, user),
+      ...(webhookSecret && { webhookSecret }),
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to update notification preferences', { error: error.message, requestId });
+    return errorResponse(error, 'Failed to update notification preferences');
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * POST /api/notifications/read-all
+ * Mark every unread notification as read
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { markAllNotificationsAsRead } from '@/lib/notifications';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user } = await requireAuth(request);
+
+    const updated = await markAllNotificationsAsRead(user.id);
+
+    logger.info('All notifications marked as read', { userId: user.id, updated, requestId });
+
+    return Response.json({ success: true, updated, unreadCount: 0 }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to mark notifications as read', { error: error.message, requestId });
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update notifications',
+      },
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,84 @@
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import {
+  getUserNotifications,
+  getUnreadNotificationCount,
+  serializeNotification,
+} from '@/lib/notifications';
+import { ValidationError } from '@/lib/errors';
+
+/**
+ * GET /api/notifications
+ * List the user's notifications, newest first
+ *
+ * Query params:
+ * - status (optional): UNREAD | READ
+ * - cursor (optional): nextCursor from the previous page
+ * - limit (optional): Results per page (default: 20, max: 100)
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+
+  try {
+    const { user: authUser } = await requireAuth(request);
+    user = authUser;
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status');
+    const cursor = searchParams.get('cursor');
+    const limit = parseInt(searchParams.get('limit') || '20');
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError('limit must be between 1 and 100');
+    }
+
+    const [{ notifications, nextCursor }, unreadCount] = await Promise.all([
+      getUserNotifications(user.id, { limit, status, cursor }),
+      getUnreadNotificationCount(user.id),
+    ]);
+
+    logger.info('Notifications fetched', {
+      userId: user.id,
+      count: notifications.length,
+      status,
+      requestId,
+    });
+
+    return Response.json({
+      success: true,
+      notifications: notifications.map(serializeNotification),
+      unreadCount,
+      pagination: {
+        limit,
+        hasMore: nextCursor !== null,
+        nextCursor,
+      },
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch notifications', {
+      error: error.message,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch notifications',
+      },
+    }, { status: 500 });
+  }
+}
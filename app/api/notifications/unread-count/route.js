@@ -0,0 +1,40 @@
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { getUnreadNotificationCount } from '@/lib/notifications';
+
+/**
+ * GET /api/notifications/unread-count
+ * Number of unread notifications (for the inbox badge)
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user } = await requireAuth(request);
+
+    const unreadCount = await getUnreadNotificationCount(user.id);
+
+    return Response.json({ success: true, unreadCount }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to count unread notifications', { error: error.message, requestId });
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to count unread notifications',
+      },
+    }, { status: 500 });
+  }
+}
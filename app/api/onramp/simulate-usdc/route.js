@@ -9,11 +9,13 @@ import { logger } from '@/lib/logger';
 import { nanoid } from 'nanoid';
 import { isValidSolanaAddress, getSolanaConnection } from '@/lib/solana';
 import { PublicKey } from '@solana/web3.js';
-import { TOKEN_MINTS, getNetwork } from '@/lib/tokens';
-import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
-import { ensureIdempotency } from '@/lib/idempotency';
+import { getNetwork } from '@/lib/tokens';
+import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError, GoalErrors } from '@/lib/errors';
 import { checkRateLimit } from '@/lib/rateLimit';
 import { sendInvestmentNotification } from '@/lib/notifications';
+import { recordSimulatedUsdcOnramp } from '@/lib/onramp';
+import { goalAccessWhere } from '@/lib/goal-members';
+import { fromRawAmount, USD_DECIMALS } from '@/lib/amount';
 
 const MIN_AMOUNT_USDC = 0.00001; // Allow very small test amounts
 const SOL_FEE_BUFFER = 0.01; // Reserve 0.01 SOL for transaction fees and rent
@@ -83,7 +85,7 @@ export async function POST(request) {
     const goal = await prisma.goal.findFirst({
       where: {
         id: goalId,
-        userId: user.id,
+        ...goalAccessWhere(user.id, 'CONTRIBUTOR'),
       },
     });
     
@@ -112,6 +114,10 @@ export async function POST(request) {
       throw new ValidationError('Goal must be ACTIVE to simulate onramp');
     }
     
+    if (goal.kind === 'BASKET') {
+      throw GoalErrors.BASKET_NOT_SUPPORTED();
+    }
+    
     // Step 5: Validate user wallet address
     logger.debug('[ONRAMP] Validating user wallet address', { 
       walletAddress: user.walletAddress, 
@@ -201,108 +207,49 @@ export async function POST(request) {
       );
     }
     
-    // Step 6: Get network and USDC mint
-    const network = getNetwork();
-    const usdcMintInfo = TOKEN_MINTS.USDC;
-    logger.debug('[ONRAMP] Network configuration', { 
-      network, 
-      usdcMint: usdcMintInfo.mint,
-      requestId 
-    });
-    
-    // Step 7: Generate simulated transaction signature
-    const simulatedSignature = `sim_${crypto.randomUUID().replace(/-/g, '')}`;
-    logger.debug('[ONRAMP] Generated simulated signature', { 
-      signature: simulatedSignature, 
-      requestId 
-    });
-    
-    // Step 8: Check idempotency and create transaction if needed
+    // Step 6: Check idempotency and create transaction if needed
     logger.info('[ONRAMP] Checking idempotency and creating transaction', { 
       userId: user.id,
       goalId,
       amountUsdc,
       batchId: finalBatchId,
-      network,
+      network: getNetwork(),
       requestId 
     });
     
-    const dbTransaction = await ensureIdempotency(finalBatchId, 'ONRAMP', async () => {
-      // This function only runs if transaction doesn't exist
-      logger.debug('[ONRAMP] Transaction does not exist, creating new one', { 
-        batchId: finalBatchId, 
-        requestId 
-      });
-      
-      return await prisma.$transaction(async (tx) => {
-        logger.debug('[ONRAMP] Inside DB transaction, creating record', { 
-          batchId: finalBatchId, 
-          requestId 
-        });
-        
-        const txn = await tx.transaction.create({
-          data: {
-            goalId: goal.id,
-            batchId: finalBatchId,
-            type: 'ONRAMP',
-            provider: 'FAUCET',
-            network: network === 'devnet' ? 'DEVNET' : 'MAINNET',
-            txnHash: simulatedSignature,
-            amountUsd: amountUsdc,
-            amountCrypto: amountUsdc, // Amount in USDC (not converted)
-            tokenMint: usdcMintInfo.mint, // Mainnet USDC mint
-            meta: {
-              state: 'ONRAMP_CONFIRMED',
-              simulation: true,
-              simulated: true,
-              solValidated: true,
-              userWalletAddress: user.walletAddress,
-            },
-          },
-        });
-        
-        logger.debug('[ONRAMP] Transaction record created in DB', { 
-          transactionId: txn.id, 
-          requestId 
-        });
-        
-        return txn;
-      });
+    const { transaction: dbTransaction, batch, created } = await recordSimulatedUsdcOnramp({
+      goalId: goal.id,
+      batchId: finalBatchId,
+      amountUsdc,
+      walletAddress: user.walletAddress,
+      contributorId: user.id,
     });
     
-    // Check if this was an existing transaction (from idempotency check)
-    if (dbTransaction.meta?.state === 'ONRAMP_CONFIRMED' && dbTransaction.meta?.simulated) {
-      // Check if we just created it or if it already existed
-      // If created, the signature should match what we just generated
-      const isNewlyCreated = dbTransaction.txnHash === simulatedSignature;
+    // Existing transaction (from idempotency check) - return it as-is
+    if (!created) {
+      logger.info('[ONRAMP] Transaction already exists (idempotency)', { 
+        transactionId: dbTransaction.id, 
+        batchId: finalBatchId,
+        state: batch.state,
+        requestId 
+      });
       
-      if (!isNewlyCreated) {
-        logger.info('[ONRAMP] Transaction already exists (idempotency)', { 
-          transactionId: dbTransaction.id, 
-          batchId: finalBatchId,
-          state: dbTransaction.meta?.state,
-          requestId 
-        });
-        
-        const state = dbTransaction.meta?.state || 'ONRAMP_CONFIRMED';
-        
-        return Response.json({
-          success: true,
-          batchId: finalBatchId,
-          transaction: {
-            id: dbTransaction.id,
-            type: dbTransaction.type,
-            txnHash: dbTransaction.txnHash,
-            amountUsdc: dbTransaction.amountUsd,
-            amountCrypto: dbTransaction.amountCrypto,
-            network: dbTransaction.network,
-            state,
-          },
-          explorerUrl: dbTransaction.txnHash 
-            ? `https://explorer.solana.com/tx/${dbTransaction.txnHash}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`
-            : null,
-        }, { status: 200 });
-      }
+      return Response.json({
+        success: true,
+        batchId: finalBatchId,
+        transaction: {
+          id: dbTransaction.id,
+          type: dbTransaction.type,
+          txnHash: dbTransaction.txnHash,
+          amountUsdc: fromRawAmount(dbTransaction.amountUsdRaw, USD_DECIMALS),
+          amountCrypto: fromRawAmount(dbTransaction.amountCryptoRaw, dbTransaction.cryptoDecimals),
+          network: dbTransaction.network,
+          state: batch.state,
+        },
+        explorerUrl: dbTransaction.txnHash 
+          ? `https://explorer.solana.com/tx/${dbTransaction.txnHash}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`
+          : null,
+      }, { status: 200 });
     }
     
     logger.info('[ONRAMP] Transaction successfully recorded', { 
@@ -311,7 +258,7 @@ export async function POST(request) {
       requestId 
     });
     
-    // Step 9: Send notification (non-critical)
+    // Step 7: Send notification (non-critical)
     logger.debug('[ONRAMP] Sending notification', { batchId: finalBatchId, requestId });
     try {
       await sendInvestmentNotification(finalBatchId, 'ONRAMP_CONFIRMED', {
@@ -329,7 +276,7 @@ export async function POST(request) {
       // Don't fail the whole request if notification fails
     }
     
-    // Step 10: Return success response
+    // Step 8: Return success response
     logger.info('[ONRAMP] USDC onramp simulation completed successfully', { 
       transactionId: dbTransaction.id,
       batchId: finalBatchId,
@@ -344,10 +291,10 @@ export async function POST(request) {
         id: dbTransaction.id,
         type: dbTransaction.type,
         txnHash: dbTransaction.txnHash,
-        amountUsdc: dbTransaction.amountUsd,
-        amountCrypto: dbTransaction.amountCrypto,
+        amountUsdc: fromRawAmount(dbTransaction.amountUsdRaw, USD_DECIMALS),
+        amountCrypto: fromRawAmount(dbTransaction.amountCryptoRaw, dbTransaction.cryptoDecimals),
         network: dbTransaction.network,
-        state: dbTransaction.meta?.state || 'ONRAMP_CONFIRMED',
+        state: batch.state,
       },
       explorerUrl: null, // No real transaction, so no explorer URL
     }, { status: 201 });
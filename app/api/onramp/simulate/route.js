@@ -16,8 +16,11 @@ import {
 } from '@/lib/solana';
 import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
 import { ensureIdempotency } from '@/lib/idempotency';
+import { ensureBatch, transitionBatch } from '@/lib/investment-batch';
 import { checkRateLimit } from '@/lib/rateLimit';
 import { TOKEN_MINTS } from '@/lib/tokens';
+import { goalAccessWhere } from '@/lib/goal-members';
+import { toRawAmount, fromRawAmount, USD_DECIMALS } from '@/lib/amount';
 import { SystemProgram, Transaction, PublicKey } from '@solana/web3.js';
 
 const MIN_AMOUNT_USDC = 10;
@@ -80,8 +83,8 @@ export async function POST(request) {
           id: existing.id,
           type: existing.type,
           txnHash: existing.txnHash,
-          amountUsdc: existing.amountUsd,
-          amountCrypto: existing.amountCrypto,
+          amountUsdc: fromRawAmount(existing.amountUsdRaw, USD_DECIMALS),
+          amountCrypto: fromRawAmount(existing.amountCryptoRaw, existing.cryptoDecimals),
           network: existing.network,
         },
         explorerUrl: existing.txnHash 
@@ -90,11 +93,11 @@ export async function POST(request) {
       }, { status: 200 });
     }
     
-    // Validate goal
+    // Validate goal (owners and contributors fund it from their own wallet)
     const goal = await prisma.goal.findFirst({
       where: {
         id: goalId,
-        userId: user.id,
+        ...goalAccessWhere(user.id, 'CONTRIBUTOR'),
       },
     });
     
@@ -111,6 +114,8 @@ export async function POST(request) {
       throw SwapErrors.INVALID_WALLET();
     }
     
+    await ensureBatch({ batchId: finalBatchId, goalId: goal.id, reason: 'SOL onramp simulation requested' });
+    
     // Convert USDC to SOL (mock conversion)
     const solAmount = amountUsdc / SOL_PRICE_USDC;
     const lamports = solToLamports(solAmount);
@@ -194,9 +199,11 @@ export async function POST(request) {
           provider: 'ONMETA',
           network: 'MAINNET',
           txnHash: signature,
-          amountUsd: amountUsdc,
-          amountCrypto: solAmount,
+          amountUsdRaw: toRawAmount(amountUsdc, USD_DECIMALS),
+          amountCryptoRaw: BigInt(lamports),
+          cryptoDecimals: TOKEN_MINTS.SOL.decimals,
           tokenMint: TOKEN_MINTS.SOL.mint,
+          contributorId: user.id,
           meta: {
             simulation: true,
             source: 'app_wallet',
@@ -206,6 +213,12 @@ export async function POST(request) {
         },
       });
       
+      await transitionBatch(finalBatchId, 'ONRAMP_CONFIRMED', {
+        reason: 'SOL onramp transfer confirmed',
+        meta: { transactionId: txn.id, signature },
+        tx,
+      });
+      
       return txn;
     });
     
@@ -222,8 +235,8 @@ export async function POST(request) {
         id: dbTransaction.id,
         type: dbTransaction.type,
         txnHash: dbTransaction.txnHash,
-        amountUsdc: dbTransaction.amountUsd,
-        amountCrypto: dbTransaction.amountCrypto,
+        amountUsdc: fromRawAmount(dbTransaction.amountUsdRaw, USD_DECIMALS),
+        amountCrypto: fromRawAmount(dbTransaction.amountCryptoRaw, dbTransaction.cryptoDecimals),
         network: dbTransaction.network,
       },
       explorerUrl: `https://explorer.solana.com/tx/${signature}?cluster=mainnet-beta`,
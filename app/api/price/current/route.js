@@ -1,12 +1,16 @@
 import { requireAuth } from '@/lib/auth';
-import { getPricesInUSD } from '@/lib/prices';
+import { getPricesForTokens } from '@/lib/prices';
+import { resolveTokenSymbols } from '@/lib/token-registry';
 import { getPopularTokenSymbols } from '@/lib/popular-tokens';
 import { logger } from '@/lib/logger';
 
 /**
  * GET /api/price/current?coins=BTC,ETH,SOL&currency=USD
  * GET /api/price/current?currency=USD (returns all popular tokens in USD)
+ * Any registered goal token can be requested by symbol.
  * Returns current prices in USD with caching
+ * Each price in `quotes` carries its `source` and `confidence`; tokens no
+ * trustworthy source could price are listed in `unavailable`.
  */
 export async function GET(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -66,23 +70,24 @@ export async function GET(request) {
       }, { status: 400 });
     }
     
-    // Fetch prices in USD
-    const priceData = await getPricesInUSD(coinSymbols);
+    // Fetch prices in USD (registered and popular tokens)
+    const priceData = await getPricesForTokens(await resolveTokenSymbols(coinSymbols));
     
     logger.info('Prices fetched', { 
       coins: coinSymbols, 
       count: Object.keys(priceData.prices).length,
-      stale: priceData.stale,
-      source: priceData.source || 'jupiter',
+      unavailable: Object.keys(priceData.unavailable),
+      source: priceData.source,
       requestId 
     });
     
     return Response.json({
       success: true,
       prices: priceData.prices,
+      quotes: priceData.quotes,
+      unavailable: priceData.unavailable,
       fetchedAt: priceData.fetchedAt,
-      stale: priceData.stale || false,
-      source: priceData.source || 'jupiter',
+      source: priceData.source,
       currency: 'USD',
       count: Object.keys(priceData.prices).length
     }, { status: 200 });
@@ -1,21 +1,22 @@
 import { requireAuth } from '@/lib/auth';
-import { isValidCoin, getPriceUSD, getTokenInfo } from '@/lib/prices';
+import { getPriceHistory } from '@/lib/price-history';
 import { logger } from '@/lib/logger';
 
 /**
  * GET /api/price/historical?coin=BTC&range=30d
- * Returns mock historical prices (30 daily candles)
+ * Returns OHLC candles from the local price history.
+ * Ranges: 24h (1h candles), 7d (4h), 30d/90d/1y (1d), all (1w)
  */
 export async function GET(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
-  
+
   try {
     const { user } = await requireAuth(request);
-    
+
     const { searchParams } = new URL(request.url);
     const coin = searchParams.get('coin');
     const range = searchParams.get('range') || '30d';
-    
+
     if (!coin) {
       return Response.json({
         success: false,
@@ -25,73 +26,47 @@ export async function GET(request) {
         }
       }, { status: 400 });
     }
-    
-    const normalized = coin.toUpperCase();
-    if (!isValidCoin(normalized)) {
-      return Response.json({
-        success: false,
-        error: {
-          code: 'INVALID_COIN',
-          message: `Unknown token: ${coin}. Supported tokens: BTC, ETH, SOL, USDC, USDT, JUP, RAY, BONK, WIF, PYTH`
-        }
-      }, { status: 422 });
-    }
-    
-    // Only support 30d for now
-    if (range !== '30d') {
-      return Response.json({
-        success: false,
-        error: {
-          code: 'INVALID_RANGE',
-          message: 'Only "30d" range supported currently'
-        }
-      }, { status: 400 });
-    }
-    
-    logger.info('Fetching historical prices', { coin: normalized, range, userId: user.id, requestId });
-    
-    // Generate mock 30-day series
-    const tokenInfo = getTokenInfo(normalized);
-    if (!tokenInfo) {
-      return Response.json({
-        success: false,
-        error: {
-          code: 'INVALID_COIN',
-          message: `Unknown token: ${coin}. Supported tokens: BTC, ETH, SOL, USDC, USDT, JUP, RAY, BONK, WIF, PYTH`
-        }
-      }, { status: 422 });
-    }
-    const currentPrice = await getPriceUSD(tokenInfo.mint);
-    const series = [];
-    const now = new Date();
-    
-    for (let i = 29; i >= 0; i--) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - i);
-      
-      // Add random variance ±5%
-      const variance = 0.95 + Math.random() * 0.1;
-      const price = Math.round(currentPrice * variance * 100) / 100;
-      
-      series.push({
-        date: date.toISOString().split('T')[0], // YYYY-MM-DD
-        priceUsd: price
-      });
-    }
-    
-    logger.info('Historical prices generated', { coin: normalized, points: series.length, requestId });
-    
+
+    logger.info('Fetching historical prices', { coin, range, userId: user.id, requestId });
+
+    const history = await getPriceHistory(coin, range);
+
+    logger.info('Historical prices aggregated', {
+      coin: history.symbol,
+      range,
+      candles: history.candles.length,
+      requestId
+    });
+
     return Response.json({
       success: true,
-      coin: normalized,
-      range,
-      series,
-      source: 'mock' // Flag for frontend to know this is simulated
+      coin: history.symbol,
+      range: history.range,
+      interval: history.interval,
+      from: history.from,
+      to: history.to,
+      candles: history.candles,
+      // Close prices in the original { date, priceUsd } shape
+      series: history.candles.map((candle) => ({
+        date: candle.time,
+        priceUsd: candle.close
+      })),
+      source: 'snapshots'
     }, { status: 200 });
-    
+
   } catch (error) {
     logger.error('Historical price fetch failed', { error: error.message, requestId });
-    
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
     return Response.json({
       success: false,
       error: {
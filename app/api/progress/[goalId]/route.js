@@ -2,9 +2,71 @@ import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { calculateProgress, calculateEstimatedCompletion } from '@/lib/goalValidation';
-import { getPriceUSD } from '@/lib/prices';
+import { describeSchedule } from '@/lib/schedule';
+import { getPriceQuote } from '@/lib/prices';
 import { GoalErrors } from '@/lib/errors';
-import { getTokenMint } from '@/lib/tokens';
+import { getGoalTokenMint } from '@/lib/tokens';
+import { fromRawAmount, serializeGoalAmounts, USD_DECIMALS } from '@/lib/amount';
+import { summarizeCostBasis } from '@/lib/cost-basis';
+import { getActivePause, getPausedUntil } from '@/lib/pause-requests';
+import { serializeGoalComponent } from '@/lib/basket';
+import { goalAccessWhere } from '@/lib/goal-members';
+
+function roundUsd(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Per-component progress and cost basis for a basket goal, plus basket totals
+ * Each component's swaps are costed in its own token's decimals.
+ */
+async function summarizeBasket(goal, confirmedSwaps, requestId) {
+  const components = await Promise.all(goal.components.map(async (component) => {
+    let priceUSD = null;
+    try {
+      priceUSD = (await getPriceQuote(component.tokenMint)).priceUsd;
+    } catch (error) {
+      logger.warn('Failed to fetch component USD price', { coin: component.coin, error: error.message, requestId });
+    }
+
+    const summary = summarizeCostBasis(
+      confirmedSwaps.filter(s => s.componentId === component.id),
+      { decimals: component.amountDecimals, currentPriceUSD: priceUSD }
+    );
+    const serialized = serializeGoalComponent(component);
+
+    return {
+      ...serialized,
+      currentPriceUSD: priceUSD,
+      currentValueUSD: priceUSD === null ? null : roundUsd(serialized.investedAmount * priceUSD),
+      totalInvestedUsdRaw: summary.totalCostUsdRaw,
+      averageEntryPriceUSD: summary.averageEntryPriceUSD,
+      uncostedSwapCount: summary.uncostedSwapCount,
+    };
+  }));
+
+  const totalCostUsdRaw = components.reduce((sum, c) => sum + BigInt(c.totalInvestedUsdRaw), 0n);
+  const totalCostUSD = fromRawAmount(totalCostUsdRaw, USD_DECIMALS);
+  const currentValueUSD = components.every(c => c.currentValueUSD !== null)
+    ? components.reduce((sum, c) => sum + c.currentValueUSD, 0)
+    : null;
+
+  return {
+    components,
+    costBasis: {
+      totalCostUSD,
+      totalCostUsdRaw: totalCostUsdRaw.toString(),
+      averageEntryPriceUSD: null,
+      currentValueUSD,
+      unrealizedPnlUSD: currentValueUSD === null ? null : roundUsd(currentValueUSD - totalCostUSD),
+      unrealizedPnlPercentage: currentValueUSD !== null && totalCostUSD > 0
+        ? Math.round(((currentValueUSD - totalCostUSD) / totalCostUSD) * 10000) / 100
+        : null,
+      uncostedSwapCount: components.reduce((sum, c) => sum + c.uncostedSwapCount, 0),
+      dcaVsLumpSum: null,
+    },
+  };
+}
 
 /**
  * GET /api/progress/:goalId
@@ -19,101 +81,149 @@ export async function GET(request, { params }) {
     
     logger.info('Fetching goal progress', { goalId, userId: user.id, requestId });
     
-    // Fetch goal with ownership check
+    // Any member can follow the goal's progress
     const goal = await prisma.goal.findFirst({
       where: {
         id: goalId,
-        userId: user.id
-      }
+        ...goalAccessWhere(user.id)
+      },
+      include: { components: { orderBy: { createdAt: 'asc' } } }
     });
     
     if (!goal) {
       throw GoalErrors.GOAL_NOT_FOUND();
     }
     
+    const amounts = serializeGoalAmounts(goal);
+    
     // Get current price in USD
     let currentPriceUSD = null;
+    let currentPriceQuote = null;
     let currentValueUSD = null;
     try {
-      const tokenInfo = getTokenMint(goal.coin);
-      currentPriceUSD = await getPriceUSD(tokenInfo.mint);
-      currentValueUSD = goal.investedAmount * currentPriceUSD;
+      const tokenInfo = getGoalTokenMint(goal);
+      currentPriceQuote = await getPriceQuote(tokenInfo.mint);
+      currentPriceUSD = currentPriceQuote.priceUsd;
+      currentValueUSD = amounts.investedAmount * currentPriceUSD;
     } catch (error) {
       logger.warn('Failed to fetch USD price', { error: error.message, goalId, requestId });
       // Continue without USD values if price fetch fails
     }
     
     // Calculate progress metrics
-    const progressPercentage = calculateProgress(goal.investedAmount, goal.targetAmount);
+    const progressPercentage = calculateProgress(goal.investedAmountRaw, goal.targetAmountRaw);
+    
+    // Cost basis from the USD cost each confirmed swap recorded at execution
+    const confirmedSwaps = await prisma.transaction.findMany({
+      where: {
+        goalId: goal.id,
+        type: 'SWAP',
+        batch: { state: 'SWAP_CONFIRMED' },
+      },
+      select: {
+        componentId: true,
+        amountCryptoRaw: true,
+        costUsdRaw: true,
+        timestamp: true,
+      },
+    });
+    
+    // A basket's swaps are in several tokens: cost them per component and value
+    // the basket by what it actually holds
+    const basket = goal.kind === 'BASKET'
+      ? await summarizeBasket(goal, confirmedSwaps, requestId)
+      : null;
+    const costBasis = basket
+      ? basket.costBasis
+      : summarizeCostBasis(confirmedSwaps, {
+          decimals: goal.amountDecimals,
+          currentPriceUSD,
+        });
+    if (basket) {
+      currentValueUSD = basket.costBasis.currentValueUSD;
+    }
     
     // Calculate USD totals
-    const totalInvestedUSD = currentValueUSD ?? 0;
-    const targetValueUSD = currentPriceUSD ? goal.targetAmount * currentPriceUSD : 0;
+    const totalInvestedUSD = costBasis.totalCostUSD;
+    const targetValueUSD = currentPriceUSD ? amounts.targetAmount * currentPriceUSD : 0;
     
-    // For now, profit/loss is 0 until we track buy prices
-    const profitLossUSD = 0;
-    const profitLossPercentage = 0;
+    // Unrealized P&L covers the swaps that have a recorded cost
+    const profitLossUSD = costBasis.unrealizedPnlUSD ?? 0;
+    const profitLossPercentage = costBasis.unrealizedPnlPercentage ?? 0;
     
     // Calculate remaining and ETA
-    const remainingAmount = Math.max(0, goal.targetAmount - goal.investedAmount);
+    const remainingAmountRaw = goal.targetAmountRaw > goal.investedAmountRaw
+      ? goal.targetAmountRaw - goal.investedAmountRaw
+      : 0n;
+    const remainingAmount = fromRawAmount(remainingAmountRaw, goal.amountDecimals);
     let estimatedCompletion = null;
     
-    if (remainingAmount > 0 && goal.status === 'ACTIVE') {
-      const eta = await calculateEstimatedCompletion(
-        goal.coin,
-        remainingAmount,
-        goal.amountPerInterval,
-        goal.frequency
-      );
-      estimatedCompletion = {
-        estimatedCompletionDate: eta.estimatedCompletionDate,
-        monthsToComplete: eta.monthsToComplete,
-        intervalsNeeded: eta.intervalsNeeded
-      };
-    }
+    // Paused time is left out of the ETA: a dated pause counts from its resume date
+    const activePause = goal.status === 'PAUSED' ? await getActivePause(goal.id) : null;
+    const pausedUntil = getPausedUntil(goal, activePause);
     
-    // Next investment date (simple calculation based on frequency)
-    let nextInvestmentDate = null;
-    if (goal.status === 'ACTIVE') {
-      const now = new Date();
-      const next = new Date(now);
-      
-      switch (goal.frequency) {
-        case 'DAILY':
-          next.setDate(next.getDate() + 1);
-          break;
-        case 'WEEKLY':
-          next.setDate(next.getDate() + 7);
-          break;
-        case 'MONTHLY':
-          next.setMonth(next.getMonth() + 1);
-          break;
+    if (remainingAmount > 0 && (goal.status === 'ACTIVE' || pausedUntil)) {
+      try {
+        const eta = await calculateEstimatedCompletion(
+          goal.tokenMint,
+          remainingAmount,
+          goal.amountPerInterval,
+          goal.frequency,
+          { pausedUntil, schedule: goal.schedule, timeZone: user.timezone }
+        );
+        estimatedCompletion = {
+          estimatedCompletionDate: eta.estimatedCompletionDate,
+          monthsToComplete: eta.monthsToComplete,
+          intervalsNeeded: eta.intervalsNeeded,
+          pausedDays: eta.pausedDays,
+          priceSource: eta.priceSource,
+          priceConfidence: eta.priceConfidence
+        };
+      } catch (e) {
+        // No trustworthy price: omit the ETA rather than guess
+        logger.warn('ETA calculation failed', { goalId, error: e.message, requestId });
       }
-      
-      nextInvestmentDate = next.toISOString();
     }
     
+    // Next scheduled investment (maintained by the scheduler)
+    const nextInvestmentDate = goal.status === 'ACTIVE' && goal.nextRunAt
+      ? goal.nextRunAt.toISOString()
+      : null;
+    
     logger.info('Progress computed', { goalId, progressPercentage, requestId });
     
     return Response.json({
       success: true,
       goalId: goal.id,
+      kind: goal.kind,
       coin: goal.coin,
-      targetAmount: goal.targetAmount,
-      investedAmount: goal.investedAmount,
+      ...amounts,
       progressPercentage,
       currentPriceUSD: currentPriceUSD ? Math.round(currentPriceUSD * 100) / 100 : null,
-      totalInvestedUSD: Math.round(totalInvestedUSD * 100) / 100,
+      currentPriceSource: currentPriceQuote?.source ?? null,
+      currentPriceConfidence: currentPriceQuote?.confidence ?? null,
+      totalInvestedUSD,
+      totalInvestedUsdRaw: costBasis.totalCostUsdRaw,
+      averageEntryPriceUSD: costBasis.averageEntryPriceUSD,
       targetValueUSD: Math.round(targetValueUSD * 100) / 100,
       currentValueUSD: currentValueUSD ? Math.round(currentValueUSD * 100) / 100 : null,
       profitLossUSD,
       profitLossPercentage,
+      uncostedSwapCount: costBasis.uncostedSwapCount,
+      dcaVsLumpSum: costBasis.dcaVsLumpSum,
       remainingAmount,
+      remainingAmountRaw: remainingAmountRaw.toString(),
       estimatedCompletion,
       nextInvestmentDate,
+      resumeAt: pausedUntil ? pausedUntil.toISOString() : null,
+      components: basket?.components ?? null,
       status: goal.status,
       frequency: goal.frequency,
+      schedule: goal.schedule,
+      scheduleLabel: describeSchedule(goal.frequency, goal.schedule),
+      timezone: user.timezone,
       amountPerInterval: goal.amountPerInterval,
+      lastRunAt: goal.lastRunAt ? goal.lastRunAt.toISOString() : null,
       createdAt: goal.createdAt.toISOString(),
       updatedAt: goal.updatedAt.toISOString()
     }, { status: 200 });
@@ -0,0 +1,136 @@
+/**
+ * POST /api/strategies/preview
+ * Preview the next contribution a strategy would make
+ * Body: { goalId } for an existing goal, or a draft goal
+ * { coin, amountPerInterval, strategy, strategyParams, kind?, components? }.
+ */
+
+import { requireAuth } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { getRegisteredToken } from '@/lib/token-registry';
+import { parseBasketComponents } from '@/lib/basket';
+import { parseContributionStrategy, planContribution } from '@/lib/contribution-strategies';
+import { goalAccessWhere } from '@/lib/goal-members';
+import { GoalErrors, ValidationError, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * Shape a draft goal like a goal row (nothing invested yet)
+ */
+async function buildDraftGoal(body) {
+  const token = await getRegisteredToken(body.coin);
+  if (!token) {
+    throw GoalErrors.INVALID_COIN(body.coin);
+  }
+
+  const amountPerInterval = Number(body.amountPerInterval);
+  if (!Number.isFinite(amountPerInterval) || amountPerInterval < 10) {
+    throw GoalErrors.INVALID_AMOUNT('amountPerInterval', 10, Infinity);
+  }
+
+  const { strategy, strategyParams } = parseContributionStrategy(
+    body.strategy,
+    body.strategyParams ?? {},
+    amountPerInterval
+  );
+
+  const components = [];
+  if (body.kind === 'BASKET') {
+    for (const { coin, weightBps } of parseBasketComponents(body.components)) {
+      const componentToken = await getRegisteredToken(coin);
+      if (!componentToken) {
+        throw GoalErrors.INVALID_COIN(coin);
+      }
+      components.push({
+        coin: componentToken.symbol,
+        tokenMint: componentToken.mint,
+        weightBps,
+        investedAmountRaw: 0n,
+        amountDecimals: componentToken.decimals,
+      });
+    }
+  }
+
+  return {
+    kind: body.kind === 'BASKET' ? 'BASKET' : 'SINGLE',
+    coin: token.symbol,
+    tokenMint: token.mint,
+    investedAmountRaw: 0n,
+    amountDecimals: token.decimals,
+    amountPerInterval,
+    strategy,
+    strategyParams,
+    components,
+  };
+}
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+  
+  try {
+    const { user: authUser } = await requireAuth(request);
+    user = authUser;
+    
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object') {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+    
+    let goal;
+    if (body.goalId) {
+      goal = await prisma.goal.findFirst({
+        where: { id: body.goalId, ...goalAccessWhere(user.id) },
+        include: { components: true }
+      });
+      if (!goal) {
+        throw GoalErrors.GOAL_NOT_FOUND();
+      }
+    } else {
+      goal = await buildDraftGoal(body);
+    }
+    
+    const { market, ...contribution } = await planContribution(goal);
+    
+    return Response.json({
+      success: true,
+      contribution,
+      market
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('Contribution preview failed', {
+      error: error.message,
+      userId: user?.id,
+      requestId
+    });
+    
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+    
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+    
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to preview contribution'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * GET /api/strategies
+ * Contribution strategies a goal can use
+ */
+
+import { listContributionStrategies, DEFAULT_DIP_TIERS, DEFAULT_MAX_MULTIPLIER } from '@/lib/contribution-strategies';
+
+export async function GET() {
+  return Response.json({
+    success: true,
+    strategies: listContributionStrategies(),
+    defaults: {
+      dipTiers: DEFAULT_DIP_TIERS,
+      maxMultiplier: DEFAULT_MAX_MULTIPLIER,
+    },
+  }, { status: 200 });
+}
@@ -1,48 +1,35 @@
 /**
  * POST /api/swap/execute
  * Execute Jupiter swap: get quote and unsigned transaction, or submit signed transaction
+ * Owners and contributors of a goal swap from their own wallet.
+ *
+ * A routed quote (route: auto or two-hop) spends the batch's USDC and may go
+ * through SOL in two transactions. Confirming the first leg returns the final
+ * leg to sign; if that leg fails, mode 'recover' re-quotes it (action: retry)
+ * or sells the SOL back for USDC (action: return).
  */
 
 import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
-import { getSwapQuote, getSwapTransaction, submitSwapTransaction } from '@/lib/jupiter';
-import { getSolanaConnection, isValidSolanaAddress, checkATAExists, createATAWithAppWallet, isToken2022 } from '@/lib/solana';
-import { PublicKey, VersionedTransaction } from '@solana/web3.js';
-import { getTokenMint, toSmallestUnits, fromSmallestUnits, getNetwork, isNativeSOL } from '@/lib/tokens';
-import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError, SwapError } from '@/lib/errors';
-import { ensureIdempotency } from '@/lib/idempotency';
-import { calculateProgress, shouldAutoComplete } from '@/lib/goalValidation';
+import { getSolanaConnection, isValidSolanaAddress } from '@/lib/solana';
+import { PublicKey } from '@solana/web3.js';
+import { getTokenMint, getGoalTokenMint, toSmallestUnits, fromSmallestUnits, getNetwork } from '@/lib/tokens';
+import { SwapErrors, BatchErrors, AuthenticationError, AuthorizationError, ValidationError, SwapError, GoalErrors, MemberErrors } from '@/lib/errors';
+import { getBatch, canTransition, transitionBatch } from '@/lib/investment-batch';
+import { fromRawAmount } from '@/lib/amount';
+import { calculateProgress } from '@/lib/goalValidation';
 import { sendInvestmentNotification } from '@/lib/notifications';
+import { goalAccessWhere, getBatchContributorId } from '@/lib/goal-members';
+import { swapService, SLIPPAGE_CONFIG, checkQuoteExpiry, isSlippageError } from '@/lib/swap-service';
+import { parseRouteMode, getHopRecovery, HOPS, HOP_LEGS } from '@/lib/swap-routing';
+import { prepareExecutionPolicy, getExecutionLimits } from '@/lib/execution-policy';
 
-const SLIPPAGE_CONFIG = {
-  DEFAULT: 50,           // 0.5%
-  HIGH_VOLATILITY: 100,  // 1%
-  MAX_ALLOWED: 200       // 2%
+const RECOVERY_ACTIONS = {
+  retry: HOPS.FINAL,
+  return: HOPS.RETURN,
 };
 
-/**
- * Calculate next slippage level for retry attempts
- * Progression: 50 bps (0.5%) → 100 bps (1%) → 150 bps (1.5%) → 200 bps (2% max)
- * @param {number} currentSlippageBps - Current slippage in basis points
- * @returns {number|null} Next slippage level in bps, or null if max reached
- */
-function calculateNextSlippage(currentSlippageBps) {
-  const current = currentSlippageBps || SLIPPAGE_CONFIG.DEFAULT;
-  
-  if (current < 50) {
-    return 50; // Start at default if below
-  } else if (current < 100) {
-    return 100; // 0.5% → 1%
-  } else if (current < 150) {
-    return 150; // 1% → 1.5%
-  } else if (current < SLIPPAGE_CONFIG.MAX_ALLOWED) {
-    return SLIPPAGE_CONFIG.MAX_ALLOWED; // 1.5% → 2% (max)
-  } else {
-    return null; // Max reached
-  }
-}
-
 export async function POST(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
   let user = null;
@@ -56,17 +43,22 @@ export async function POST(request) {
       goalId, 
       batchId, 
       inputMint, // 'USDC' (default) or 'SOL'
-      outputMint, // Goal token: 'BTC', 'ETH', 'SOL'
+      outputMint, // Goal token: symbol ('BTC') or mint
       amount, // Amount in smallest units (from SwapCard)
       slippageBps,
       signedTransaction, // Optional: if provided, submit instead of getting quote
       quoteResponse, // Required when submitting signed transaction
       lastValidBlockHeight, // Optional: for better confirmation reliability
-      mode, // 'quote' or 'execute' (defaults based on signedTransaction presence)
+      mode, // 'quote', 'execute' or 'recover' (defaults based on signedTransaction presence)
+      route, // Quote mode: 'direct' (default), 'auto' or 'two-hop'
+      leg, // Execute mode: SWAP leg being signed (defaults to quoteResponse.leg, then 0)
+      action, // Recover mode: 'retry' or 'return'
     } = body;
     
     // Determine mode
     const actualMode = mode || (signedTransaction ? 'execute' : 'quote');
+    const routeMode = parseRouteMode(route);
+    const swapLeg = leg ?? quoteResponse?.leg ?? 0;
     
     // Validate inputs
     if (!goalId) {
@@ -87,6 +79,24 @@ export async function POST(request) {
       throw new ValidationError('quoteResponse required when submitting signed transaction');
     }
     
+    if (!Object.values(HOP_LEGS).includes(swapLeg)) {
+      throw new ValidationError(`leg must be one of: ${Object.values(HOP_LEGS).join(', ')}`);
+    }
+    
+    // A later leg of a two-hop swap spends SOL the first leg already bought
+    if (signedTransaction && swapLeg > 0) {
+      return await handleHopExecuteMode({
+        goalId,
+        batchId,
+        leg: swapLeg,
+        signedTransaction,
+        quoteResponse,
+        lastValidBlockHeight,
+        userId: user.id,
+        requestId,
+      });
+    }
+    
     // If signedTransaction provided, submit it
     if (signedTransaction) {
       return await handleExecuteMode({
@@ -113,11 +123,28 @@ export async function POST(request) {
         outputMint,
         amount,
         slippageBps,
+        route: routeMode,
         userId: user.id,
         requestId,
     });
     }
     
+    // Recover mode: spend the SOL of a two-hop swap whose final leg did not complete
+    if (actualMode === 'recover') {
+      if (!RECOVERY_ACTIONS[action]) {
+        throw new ValidationError(`action must be one of: ${Object.keys(RECOVERY_ACTIONS).join(', ')}`);
+      }
+      
+      return await handleRecoverMode({
+        goalId,
+        batchId,
+        hop: RECOVERY_ACTIONS[action],
+        slippageBps,
+        userId: user.id,
+        requestId,
+      });
+    }
+    
     // Execute mode: submit signed transaction
     if (actualMode === 'execute') {
       if (!signedTransaction || !quoteResponse) {
@@ -135,7 +162,7 @@ export async function POST(request) {
       });
     }
     
-    throw new ValidationError(`Invalid mode: ${actualMode}. Must be 'quote' or 'execute'`);
+    throw new ValidationError(`Invalid mode: ${actualMode}. Must be 'quote', 'execute' or 'recover'`);
   } catch (error) {
     logger.error('Swap execution failed', { 
       error: error.message,
@@ -208,519 +235,326 @@ export async function POST(request) {
   }
 }
 
+function explorerUrl(signature) {
+  return `https://explorer.solana.com/tx/${signature}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`;
+}
+
+/**
+ * The SWAP leg a confirmed batch credited: its only leg, or a two-hop swap's final leg
+ */
+function findCreditedSwap(batchId) {
+  return prisma.transaction.findFirst({
+    where: {
+      batchId,
+      type: 'SWAP',
+    },
+    orderBy: { leg: 'desc' },
+  });
+}
+
+/**
+ * Goal the member may swap for (owners and contributors, active single-coin
+ * goals), on a batch they funded
+ */
+async function loadSwapGoal(goalId, userId, batchId) {
+  const goal = await prisma.goal.findFirst({
+    where: {
+      id: goalId,
+      ...goalAccessWhere(userId, 'CONTRIBUTOR'),
+    },
+  });
+  
+  if (!goal) {
+    throw SwapErrors.INVALID_WALLET();
+  }
+  
+  // The member who funded the batch signs every leg from their own wallet
+  const contributorId = await getBatchContributorId(batchId, goal);
+  if (contributorId && contributorId !== userId) {
+    throw MemberErrors.NOT_BATCH_CONTRIBUTOR();
+  }
+  
+  if (goal.status !== 'ACTIVE') {
+    throw new ValidationError('Goal must be ACTIVE to execute swap');
+  }
+  
+  if (goal.kind === 'BASKET') {
+    throw GoalErrors.BASKET_NOT_SUPPORTED();
+  }
+  
+  return goal;
+}
+
+/**
+ * Wallet of the member swapping: they sign and pay for it, not the goal owner
+ */
+async function loadMemberWallet(userId) {
+  const member = await prisma.user.findUnique({ where: { id: userId } });
+  
+  if (!member?.walletAddress || !isValidSolanaAddress(member.walletAddress)) {
+    throw SwapErrors.INVALID_WALLET();
+  }
+  
+  return member.walletAddress;
+}
+
+// A malformed payload is the client's mistake and leaves the quote usable
+function validateSignedTransaction(signedTransaction) {
+  if (!signedTransaction || typeof signedTransaction !== 'string') {
+    throw new ValidationError('Missing or invalid swapTransaction string');
+  }
+  
+  if (!/^[A-Za-z0-9+/=]+$/.test(signedTransaction)) {
+    throw new ValidationError('swapTransaction is not valid base64');
+  }
+}
+
+function confirmedSwapResponse({ batchId, transaction, amountCrypto, goal, progress, milestones, signature }) {
+  return {
+    success: true,
+    batchId,
+    transaction: {
+      id: transaction.id,
+      type: transaction.type,
+      txnHash: transaction.txnHash,
+      amountCrypto,
+      tokenMint: transaction.tokenMint,
+      network: transaction.network,
+      state: 'SWAP_CONFIRMED',
+    },
+    goal: goal ? {
+      id: goal.id,
+      investedAmount: fromRawAmount(goal.investedAmountRaw, goal.amountDecimals),
+      investedAmountRaw: goal.investedAmountRaw.toString(),
+      progressPercentage: progress,
+      status: goal.status,
+    } : null,
+    ...(milestones && { milestones }),
+    explorerUrl: signature ? explorerUrl(signature) : null,
+  };
+}
+
 /**
  * Get quote data (internal helper - returns data object, not Response)
- * Used by both handleQuoteMode and auto-requote logic
+ * Used by both handleQuoteMode and the auto re-quotes in handleExecuteMode
  */
-async function getQuoteData({ goalId, batchId, inputMint, outputMint, amount, slippageBps, userId, requestId }) {
-  try {
-    const finalSlippageBps = slippageBps || SLIPPAGE_CONFIG.DEFAULT;
-      
-    logger.info('Swap quote request', { 
-      userId, 
-      goalId, 
-      batchId, 
-      inputMint,
+async function getQuoteData({ goalId, batchId, inputMint, outputMint, amount, slippageBps, route = 'DIRECT', userId, requestId }) {
+  logger.info('Swap quote request', { 
+    userId, 
+    goalId, 
+    batchId, 
+    inputMint,
+    outputMint,
+    slippageBps: slippageBps || 'dynamic',
+    route,
+    requestId 
+  });
+  
+  // Early validation
+  if (!inputMint || !outputMint) {
+    throw new ValidationError('inputMint and outputMint are required');
+  }
+  
+  // Jupiter quotes use mainnet mints; non-SOL goals have little liquidity on devnet
+  if (getNetwork() === 'devnet' && outputMint.toUpperCase() !== 'SOL') {
+    logger.warn('Non-SOL quotes on devnet have limited liquidity', {
       outputMint,
-      slippageBps: finalSlippageBps,
-      requestId 
+      requestId
     });
-    
-    // Early validation
-    if (!inputMint || !outputMint) {
-      throw new ValidationError('inputMint and outputMint are required');
-    }
-    
-    // Network validation - Jupiter quotes should use mainnet for better liquidity
-    const currentNetwork = getNetwork();
-    const normalizedOutputMint = outputMint.toUpperCase();
-    
-    logger.info('Quote network check', { 
-      currentNetwork, 
-      outputMint: normalizedOutputMint,
+  }
+  
+  // Check idempotency (allow re-quoting if previous quote expired)
+  const existing = await findCreditedSwap(batchId);
+  const batch = await getBatch(batchId);
+  
+  if (existing && batch?.state === 'SWAP_CONFIRMED') {
+    logger.info('Swap already confirmed, returning existing', { 
+      transactionId: existing.id, 
+      batchId,
       requestId 
     });
     
-    if (currentNetwork === 'devnet' && (normalizedOutputMint === 'BTC' || normalizedOutputMint === 'ETH')) {
-      logger.warn('BTC/ETH quotes on devnet have limited liquidity', {
-        outputMint: normalizedOutputMint,
-        currentNetwork,
-        requestId
-      });
-      // Note: We still try, but warn that it may fail
-      // getTokenMint will throw error for BTC/ETH on devnet anyway
-    }
-    
-    // Check idempotency (allow re-quoting if previous quote expired)
-    const existing = await ensureIdempotency(batchId, 'SWAP', async () => null);
-    
-    if (existing && existing.meta?.state === 'SWAP_CONFIRMED') {
-      logger.info('Swap already confirmed, returning existing', { 
-        transactionId: existing.id, 
-        batchId,
-        requestId 
-      });
-      
-      // Return data object (not Response) for getQuoteData
-      return {
-        success: true,
-        batchId,
-        alreadyConfirmed: true,
-        transaction: {
-          id: existing.id,
-          type: existing.type,
-          txnHash: existing.txnHash,
-          amountCrypto: existing.amountCrypto,
-          tokenMint: existing.tokenMint,
-          network: existing.network,
-          state: existing.meta?.state || 'SWAP_CONFIRMED',
-        },
-        explorerUrl: existing.txnHash 
-          ? `https://explorer.solana.com/tx/${existing.txnHash}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`
-          : null,
-      };
-    }
-    
-    // Validate goal
-    const goal = await prisma.goal.findFirst({
-      where: {
-        id: goalId,
-        userId: userId,
-      },
-    });
-    
-    if (!goal) {
-      throw SwapErrors.INVALID_WALLET();
-    }
-    
-    if (goal.status !== 'ACTIVE') {
-      throw new ValidationError('Goal must be ACTIVE to execute swap');
-    }
-    
-    // Get ONRAMP transaction for this batchId
-    const onrampTransaction = await prisma.transaction.findFirst({
-      where: {
-        batchId,
-        type: 'ONRAMP',
+    // Return data object (not Response) for getQuoteData
+    return {
+      success: true,
+      batchId,
+      alreadyConfirmed: true,
+      transaction: {
+        id: existing.id,
+        type: existing.type,
+        txnHash: existing.txnHash,
+        amountCrypto: fromRawAmount(existing.amountCryptoRaw, existing.cryptoDecimals),
+        tokenMint: existing.tokenMint,
+        network: existing.network,
+        state: batch.state,
       },
-    });
-    
-    if (!onrampTransaction) {
-      throw new ValidationError('ONRAMP transaction not found for this batchId. Please simulate onramp first.');
-    }
-    
-    // Check if onramp is confirmed
-    const onrampState = onrampTransaction.meta?.state || 'ONRAMP_CONFIRMED';
-    if (onrampState !== 'ONRAMP_CONFIRMED') {
-      throw new ValidationError(`ONRAMP not confirmed. Current state: ${onrampState}`);
-    }
-    
-    // Always use SOL as input (no intermediate swap needed)
-    const actualInputMint = 'SOL';
-    
-    // Get swap amount from request body (user input from SwapCard)
-    // If not provided, use a fallback estimate from onramp amount
-    let swapAmount;
-    if (amount) {
-      // Amount provided in request (from SwapCard in smallest units)
-      swapAmount = fromSmallestUnits(amount, 9); // SOL has 9 decimals
-      logger.info('Using swap amount from request body', {
-        amountInSmallestUnits: amount,
-        amountInSol: swapAmount,
-        batchId,
-        requestId
-      });
-    } else {
-      // Fallback: rough estimate from onramp USDC amount (1 USDC ≈ 0.01 SOL)
-      swapAmount = onrampTransaction.amountCrypto / 100;
-      logger.warn('No amount in request body, using fallback estimate', {
-        onrampUsdc: onrampTransaction.amountCrypto,
-        estimatedSol: swapAmount,
-        batchId,
-        requestId
-      });
-    }
-    
-    // Get token mint addresses with error handling
-    // Use mainnet mints for Jupiter quotes (Jupiter API provides accurate mainnet prices)
-    let inputTokenInfo, outputTokenInfo;
-    try {
-      inputTokenInfo = getTokenMint(actualInputMint, 'mainnet');
-      outputTokenInfo = getTokenMint(outputMint, 'mainnet');
-    } catch (mintError) {
-      logger.error('Invalid token symbol', { 
-        inputMint: actualInputMint, 
-        outputMint, 
-        error: mintError.message,
-        requestId 
-      });
-      throw new ValidationError(`Invalid token symbol: ${mintError.message}`);
-    }
-    
-    const swapAmountInSmallestUnits = toSmallestUnits(swapAmount, inputTokenInfo.decimals);
-      
-    logger.info('Getting swap quote', { 
-      inputMint: inputTokenInfo.mint,
-      outputMint: outputTokenInfo.mint,
-      amount: swapAmountInSmallestUnits,
-      slippageBps: finalSlippageBps,
-      requestId,
-      isNativeSOL: inputTokenInfo.mint === 'So11111111111111111111111111111111111111112'
-    });
-      
-    // Get quote from Jupiter
-    const quote = await getSwapQuote(
-      inputTokenInfo.mint,
-      outputTokenInfo.mint,
-      swapAmountInSmallestUnits.toString(),
-      finalSlippageBps
-    );
-    
-    // Verify quote response structure includes required fields
-    logger.info('Validating quote response structure', {
-      hasInputMint: !!quote.inputMint,
-      hasOutputMint: !!quote.outputMint,
-      hasOutAmount: !!quote.outAmount,
-      hasExpiresAt: !!quote.expiresAt,
-      hasQuoteId: !!quote.quoteId,
-      inputMint: quote.inputMint,
-      outputMint: quote.outputMint,
-      inAmount: quote.inAmount,
-      outAmount: quote.outAmount,
-      priceImpactPct: quote.priceImpactPct,
+      explorerUrl: existing.txnHash ? explorerUrl(existing.txnHash) : null,
+    };
+  }
+  
+  // Validate goal (owners and contributors can swap)
+  const goal = await loadSwapGoal(goalId, userId, batchId);
+  
+  // Get ONRAMP transaction for this batchId
+  const onrampTransaction = await prisma.transaction.findFirst({
+    where: {
+      batchId,
+      type: 'ONRAMP',
+    },
+  });
+  
+  if (!onrampTransaction || !batch) {
+    throw new ValidationError('ONRAMP transaction not found for this batchId. Please simulate onramp first.');
+  }
+  
+  if (batch.goalId !== goal.id) {
+    throw BatchErrors.BATCH_GOAL_MISMATCH();
+  }
+  
+  // Check if onramp is confirmed
+  if (batch.state === 'PENDING_ONRAMP') {
+    throw new ValidationError(`ONRAMP not confirmed. Current state: ${batch.state}`);
+  }
+  
+  // A direct swap spends SOL; a routed one spends the batch's USDC, going
+  // through SOL when that fills better
+  const actualInputMint = route === 'DIRECT' ? 'SOL' : 'USDC';
+  
+  // Get swap amount from request body (user input from SwapCard)
+  // If not provided, use the onramp amount (USDC) or an estimate from it (SOL)
+  let swapAmount;
+  if (amount) {
+    // Amount provided in request (from SwapCard in smallest units)
+    swapAmount = fromSmallestUnits(amount, actualInputMint === 'SOL' ? 9 : 6);
+  } else if (actualInputMint === 'USDC') {
+    swapAmount = fromRawAmount(onrampTransaction.amountCryptoRaw, onrampTransaction.cryptoDecimals);
+  } else {
+    // Fallback: rough estimate from onramp USDC amount (1 USDC ≈ 0.01 SOL)
+    const onrampAmount = fromRawAmount(onrampTransaction.amountCryptoRaw, onrampTransaction.cryptoDecimals);
+    swapAmount = onrampAmount / 100;
+    logger.warn('No amount in request body, using fallback estimate', {
+      onrampUsdc: onrampAmount,
+      estimatedSol: swapAmount,
+      batchId,
       requestId
     });
-      
-    // Get user wallet address (needed for swap transaction)
-    // Note: We'll get it from the goal's user relation
-    const goalWithUser = await prisma.goal.findFirst({
-      where: { id: goalId },
-      include: { user: true },
-    });
-    
-    if (!goalWithUser?.user?.walletAddress || !isValidSolanaAddress(goalWithUser.user.walletAddress)) {
-      throw SwapErrors.INVALID_WALLET();
-    }
-    
-    // SAFETY: Check user wallet balance before swap execution
-    const connection = getSolanaConnection();
-    const userWalletPubkey = new PublicKey(goalWithUser.user.walletAddress);
-    const userBalance = await connection.getBalance(userWalletPubkey);
-    const userBalanceSol = userBalance / 1e9;
-    
-    // Estimate required SOL (rough estimate: swap amount + 0.005 SOL for fees)
-    // Note: This is a conservative estimate. Actual swap may need more depending on token and Jupiter fees
-    const estimatedRequiredSol = (swapAmount / 100) + 0.005; // Rough estimate assuming 1 SOL ≈ 100 USDC
-    const MIN_SOL_FOR_TEST = 0.001; // Minimum 0.001 SOL needed for any transaction
-    
-    if (userBalanceSol < MIN_SOL_FOR_TEST) {
-      throw new ValidationError(
-        `User wallet has insufficient SOL balance (${userBalanceSol.toFixed(6)} SOL). ` +
-        `Minimum ${MIN_SOL_FOR_TEST} SOL required for swap execution. ` +
-        `User needs to fund their wallet first.`
-      );
-    }
-    
-    if (userBalanceSol < estimatedRequiredSol) {
-      logger.warn('User wallet balance may be insufficient for swap', {
-        userBalanceSol,
-        estimatedRequiredSol,
-        swapAmountUsdc: swapAmount,
-        userWallet: goalWithUser.user.walletAddress,
-        requestId
-      });
-      // Continue with warning - actual swap will fail if insufficient, providing better error message
-    }
-    
-    // Check and create ATA for output token if needed (app wallet pays)
-    // Skip ATA creation for native SOL - it doesn't use token accounts
-    if (isNativeSOL(outputTokenInfo.mint)) {
-      logger.info('Skipping ATA check for native SOL', {
-        outputMint: outputTokenInfo.mint,
-        userWallet: goalWithUser.user.walletAddress,
-        requestId
-      });
-    } else {
-      logger.info('Checking ATA for output token', {
-        outputMint: outputTokenInfo.mint,
-        userWallet: goalWithUser.user.walletAddress,
-        requestId
-      });
-      
-      try {
-        // Detect if this is a Token-2022 mint
-        const isToken2022Mint = await isToken2022(outputTokenInfo.mint);
-        
-        logger.debug('Token program detected', {
-          outputMint: outputTokenInfo.mint,
-          isToken2022: isToken2022Mint,
-          requestId
-        });
-        
-        // Check if ATA exists
-        const { exists: ataExists, address: ataAddress } = await checkATAExists(
-          outputTokenInfo.mint,
-          goalWithUser.user.walletAddress,
-          isToken2022Mint
-        );
-        
-        if (!ataExists) {
-          logger.info('ATA does not exist, attempting to create with app wallet', {
-            outputMint: outputTokenInfo.mint,
-            userWallet: goalWithUser.user.walletAddress,
-            ataAddress: ataAddress.toBase58(),
-            requestId
-          });
-          
-          try {
-            // Try to create ATA using app wallet as payer (optimization - user doesn't pay)
-            // If this fails, Jupiter will handle ATA creation in the swap transaction
-            const { signature, alreadyExists } = await createATAWithAppWallet(
-              outputTokenInfo.mint,
-              goalWithUser.user.walletAddress,
-              isToken2022Mint
-            );
-            
-            if (!alreadyExists && signature) {
-              logger.info('ATA created successfully', {
-                signature,
-                ataAddress: ataAddress.toBase58(),
-                outputMint: outputTokenInfo.mint,
-                isToken2022: isToken2022Mint,
-                requestId
-              });
-              
-              // Store ATA creation in metadata for tracking
-              quote.ataCreated = {
-                signature,
-                address: ataAddress.toBase58(),
-                mint: outputTokenInfo.mint,
-                createdAt: new Date().toISOString(),
-              };
-            }
-          } catch (ataCreationError) {
-            // If ATA creation fails, log warning but continue
-            // Jupiter will automatically handle ATA creation in the swap transaction
-            logger.warn('ATA creation failed, but continuing - Jupiter will handle it in swap transaction', {
-              error: ataCreationError.message,
-              errorName: ataCreationError.name,
-              outputMint: outputTokenInfo.mint,
-              userWallet: goalWithUser.user.walletAddress,
-              ataAddress: ataAddress.toBase58(),
-              isToken2022: isToken2022Mint,
-              requestId
-            });
-            
-            // Mark that ATA creation was attempted but failed
-            quote.ataCreationAttempted = {
-              failed: true,
-              error: ataCreationError.message,
-              willBeCreatedByJupiter: true,
-            };
-            // Don't throw - let Jupiter handle ATA creation
-          }
-        } else {
-          logger.debug('ATA already exists', {
-            ataAddress: ataAddress.toBase58(),
-            requestId
-          });
-        }
-      } catch (ataError) {
-        // If ATA check fails, log warning but continue
-        // Jupiter will automatically handle ATA creation in the swap transaction
-        logger.warn('ATA check failed, but continuing - Jupiter will handle ATA creation in swap transaction', {
-          error: ataError.message,
-          outputMint: outputTokenInfo.mint,
-          userWallet: goalWithUser.user.walletAddress,
-          requestId
-        });
-        // Don't throw - let Jupiter handle ATA creation
-      }
-    }
-    
-    // Get swap transaction (unsigned)
-    // Verify quote has inputMint before passing to getSwapTransaction
-    if (!quote.inputMint && inputTokenInfo.mint) {
-      // Ensure inputMint is set if not in quote response
-      quote.inputMint = inputTokenInfo.mint;
-    }
-    if (!quote.outputMint && outputTokenInfo.mint) {
-      // Ensure outputMint is set if not in quote response
-      quote.outputMint = outputTokenInfo.mint;
+  }
+  
+  // Get token mint addresses with error handling
+  // Use mainnet mints for Jupiter quotes (Jupiter API provides accurate mainnet prices)
+  let inputTokenInfo;
+  try {
+    inputTokenInfo = getTokenMint(actualInputMint, 'mainnet');
+    // The output is always the goal's own token (symbol or mint accepted)
+    if (outputMint.toUpperCase() !== goal.coin && outputMint !== goal.tokenMint) {
+      throw new Error(`${outputMint} is not this goal's token (${goal.coin})`);
     }
-    
-    // Swap transaction preparation
-    logger.info('Preparing swap transaction request', {
-      quoteId: quote.quoteId,
-      inputMint: quote.inputMint || inputTokenInfo.mint,
-      outputMint: quote.outputMint || outputTokenInfo.mint,
-      userWallet: goalWithUser.user.walletAddress,
-      slippageBps: finalSlippageBps,
-      inAmount: quote.inAmount,
-      outAmount: quote.outAmount,
-      requestId
+    // Throws for a goal token without a mainnet mint
+    getGoalTokenMint(goal, 'mainnet');
+  } catch (mintError) {
+    logger.error('Invalid token symbol', { 
+      inputMint: actualInputMint, 
+      outputMint, 
+      error: mintError.message,
+      requestId 
     });
-    
-    const swapData = await getSwapTransaction(
-      quote,
-      goalWithUser.user.walletAddress,
-      finalSlippageBps
+    throw new ValidationError(`Invalid token symbol: ${mintError.message}`);
+  }
+  
+  if (actualInputMint === 'USDC' && onrampTransaction.tokenMint !== inputTokenInfo.mint) {
+    throw new ValidationError('A routed swap spends the batch\'s USDC, but this batch was not funded in USDC');
+  }
+  
+  // The member quoting the swap pays for it, so it is their wallet, not the goal owner's
+  const walletAddress = await loadMemberWallet(userId);
+  
+  // SAFETY: Check user wallet balance before swap execution
+  const connection = getSolanaConnection();
+  const userBalance = await connection.getBalance(new PublicKey(walletAddress));
+  const userBalanceSol = userBalance / 1e9;
+  
+  // Estimate required SOL (rough estimate: swap amount + 0.005 SOL for fees)
+  // Note: This is a conservative estimate. Actual swap may need more depending on token and Jupiter fees
+  // A USDC swap only needs SOL for its fees
+  const estimatedRequiredSol = (actualInputMint === 'SOL' ? swapAmount / 100 : 0) + 0.005; // Rough estimate assuming 1 SOL ≈ 100 USDC
+  const MIN_SOL_FOR_TEST = 0.001; // Minimum 0.001 SOL needed for any transaction
+  
+  if (userBalanceSol < MIN_SOL_FOR_TEST) {
+    throw new ValidationError(
+      `User wallet has insufficient SOL balance (${userBalanceSol.toFixed(6)} SOL). ` +
+      `Minimum ${MIN_SOL_FOR_TEST} SOL required for swap execution. ` +
+      `User needs to fund their wallet first.`
     );
-    
-    // Validate swap transaction response
-    logger.info('Swap transaction response received', {
-      hasSwapTransaction: !!swapData.swapTransaction,
-      hasLastValidBlockHeight: !!swapData.lastValidBlockHeight,
-      swapTransactionLength: swapData.swapTransaction?.length,
-      lastValidBlockHeight: swapData.lastValidBlockHeight,
+  }
+  
+  if (userBalanceSol < estimatedRequiredSol) {
+    logger.warn('User wallet balance may be insufficient for swap', {
+      userBalanceSol,
+      estimatedRequiredSol,
+      swapAmountUsdc: swapAmount,
+      userWallet: walletAddress,
       requestId
     });
-      
-    // Calculate output amount in human-readable format
-    const outputAmount = fromSmallestUnits(quote.outAmount, outputTokenInfo.decimals);
-    
-    logger.info('Swap transaction prepared', { 
-      inAmount: quote.inAmount,
-      outAmount: quote.outAmount,
-      outputAmount,
-      priceImpact: quote.priceImpactPct,
-      expiresAt: quote.expiresAt,
-      quoteId: quote.quoteId,
-      lastValidBlockHeight: swapData.lastValidBlockHeight,
-      requestId 
-    });
-    
-    // Record QUOTED state transaction (upsert to handle re-quoting)
-    const quotedTxn = await prisma.transaction.upsert({
-      where: {
-        batchId_type: {
-          batchId,
-          type: 'SWAP',
-        },
-      },
-    create: {
-      goalId,
-      batchId,
-      type: 'SWAP',
-      provider: 'JUPITER',
-      network: getNetwork() === 'devnet' ? 'DEVNET' : 'MAINNET',
-      tokenMint: outputTokenInfo.mint,
-      amountUsd: onrampTransaction.amountUsd,
-      amountCrypto: outputAmount,
-      meta: {
-        state: 'QUOTED',
-        expiresAt: quote.expiresAt,
-        quoteId: quote.quoteId,
-        inputMint: inputTokenInfo.mint,
-        outputMint: outputTokenInfo.mint,
-        inputAmount: swapAmount,
-        outputAmount,
-        priceImpactPct: quote.priceImpactPct,
-        slippageBps: finalSlippageBps,
-      },
-    },
-    update: {
-      meta: {
-        state: 'QUOTED',
-        expiresAt: quote.expiresAt,
-        quoteId: quote.quoteId,
-        inputMint: inputTokenInfo.mint,
-        outputMint: outputTokenInfo.mint,
-        inputAmount: swapAmount,
-        outputAmount,
-        priceImpactPct: quote.priceImpactPct,
-        slippageBps: finalSlippageBps,
-      },
-    },
-    });
-    
-    // Send notification
-    const expiresIn = quote.expiresAt ? 
-      Math.round((new Date(quote.expiresAt).getTime() - Date.now()) / 1000) : 30;
-    await sendInvestmentNotification(batchId, 'QUOTED', {
-      inputAmount: swapAmount,
-      outputAmount,
-      goalCoin: outputMint,
-      expiresIn,
-    });
+    // Continue with warning - actual swap will fail if insufficient, providing better error message
+  }
   
-    // Return quote data object (not wrapped in Response)
-    return {
-      success: true,
-      batchId,
-      quote: {
-        inAmount: quote.inAmount,
-        outAmount: quote.outAmount,
-        outputAmount,
-        inputMint: inputTokenInfo.mint,
-        outputMint: outputTokenInfo.mint,
-        priceImpactPct: quote.priceImpactPct,
-        slippageBps: finalSlippageBps,
-        expiresAt: quote.expiresAt,
-        quoteId: quote.quoteId,
-      },
-      swapTransaction: swapData.swapTransaction,
-      lastValidBlockHeight: swapData.lastValidBlockHeight,
-    };
-  } catch (error) {
-    // Return structured error response with enhanced context
-    const errorCode = error.code || (error instanceof ValidationError ? 'VALIDATION_ERROR' : 'QUOTE_FAILED');
-    let errorMessage = error.message || 'Failed to get quote';
-    const statusCode = error.statusCode || (error instanceof ValidationError ? 400 : 500);
-    
-    // Enhance error message with token context if available
-    // Try to get resolved mint addresses if error occurred after token resolution
-    let inputMintAddress = inputMint;
-    let outputMintAddress = outputMint;
-    
-    try {
-      // If we got past token resolution, try to include resolved addresses
-      const inputInfo = getTokenMint(inputMint, 'mainnet');
-      const outputInfo = getTokenMint(outputMint, 'mainnet');
-      inputMintAddress = inputInfo?.mint || inputMint;
-      outputMintAddress = outputInfo?.mint || outputMint;
-    } catch {
-      // If token resolution failed, use symbols as-is
-    }
-    
-    // Add mint addresses to error message for NO_ROUTE_FOUND
-    if (errorCode === 'NO_ROUTE_FOUND') {
-      errorMessage = `No swap route found for ${inputMint} → ${outputMint} (input: ${inputMintAddress}, output: ${outputMintAddress}). This may be due to limited liquidity or unsupported token pair.`;
-    } else if (errorCode === 'JUPITER_API_ERROR' || errorCode === 'QUOTE_FAILED') {
-      errorMessage = `${errorMessage} (Input: ${inputMint}/${inputMintAddress}, Output: ${outputMint}/${outputMintAddress})`;
-    }
-    
-    logger.error('Quote failed', { 
-      error: errorMessage, 
-      code: errorCode, 
-      requestId,
-      inputMint,
-      outputMint,
-      inputMintAddress,
-      outputMintAddress,
-      stack: error.stack
-    });
-    
-    throw error; // Re-throw to be caught by caller
-  }
-}
-
-/**
- * Handle quote mode (Step A) - wraps getQuoteData in Response
- */
-async function handleQuoteMode({ goalId, batchId, inputMint, outputMint, amount, slippageBps, userId, requestId }) {
-  try {
-    const quoteData = await getQuoteData({ goalId, batchId, inputMint, outputMint, amount, slippageBps, userId, requestId });
-    // If already confirmed, return transaction data, otherwise return quote data
-    if (quoteData.alreadyConfirmed) {
-      return Response.json({
-        success: true,
-        batchId,
-        transaction: quoteData.transaction,
-        explorerUrl: quoteData.explorerUrl,
-      }, { status: 200 });
-    }
-    return Response.json(quoteData, { status: 200 });
+  // Slippage and priority fee for this trade, within the member's maximums;
+  // a requested slippage (including the re-quotes below) is kept as is
+  const executionPolicy = await prepareExecutionPolicy({
+    symbols: [actualInputMint, goal.coin],
+    userId,
+    slippageBps: slippageBps || null,
+    connection,
+  });
+  
+  // Quote, build the unsigned transaction and record the quote on the batch;
+  // an EXACT goal's final swap is trimmed to what the target still needs
+  const quoted = await swapService.quote({
+    goal,
+    batchId,
+    onramp: onrampTransaction,
+    inputToken: inputTokenInfo,
+    amountRaw: toSmallestUnits(swapAmount, inputTokenInfo.decimals),
+    executionPolicy,
+    route,
+    walletAddress,
+    contributorId: userId,
+    requestId,
+  });
+  
+  return {
+    success: true,
+    batchId,
+    quote: quoted.quote,
+    swapTransaction: quoted.swapTransaction,
+    lastValidBlockHeight: quoted.lastValidBlockHeight,
+    preview: quoted.preview,
+    finalContribution: quoted.capped ? { inputAmount: quoted.inputAmount, inputCoin: actualInputMint } : null,
+    executionPolicy: quoted.executionPolicy,
+    ...(route !== 'DIRECT' && {
+      route: quoted.route,
+      legs: quoted.legs,
+      routeComparison: quoted.routeComparison,
+    }),
+  };
+}
+
+/**
+ * Handle quote mode (Step A) - wraps getQuoteData in Response
+ */
+async function handleQuoteMode({ goalId, batchId, inputMint, outputMint, amount, slippageBps, route, userId, requestId }) {
+  try {
+    const quoteData = await getQuoteData({ goalId, batchId, inputMint, outputMint, amount, slippageBps, route, userId, requestId });
+    // If already confirmed, return transaction data, otherwise return quote data
+    if (quoteData.alreadyConfirmed) {
+      return Response.json({
+        success: true,
+        batchId,
+        transaction: quoteData.transaction,
+        explorerUrl: quoteData.explorerUrl,
+      }, { status: 200 });
+    }
+    return Response.json(quoteData, { status: 200 });
   } catch (error) {
     // Return structured error response with enhanced context
     const errorCode = error.code || (error instanceof ValidationError ? 'VALIDATION_ERROR' : 'QUOTE_FAILED');
@@ -783,62 +617,43 @@ async function handleQuoteMode({ goalId, batchId, inputMint, outputMint, amount,
 async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResponse, lastValidBlockHeight, userId, requestId }) {
   logger.info('Submitting signed swap transaction', { goalId, batchId, lastValidBlockHeight, requestId });
   
-  // Get existing SWAP transaction (should be in QUOTED state)
+  // Get existing SWAP transaction (batch should be in QUOTED state)
   const existingSwap = await prisma.transaction.findFirst({
     where: {
       batchId,
       type: 'SWAP',
+      leg: 0,
     },
   });
+  const batch = await getBatch(batchId);
   
-  if (existingSwap && existingSwap.meta?.state === 'SWAP_CONFIRMED') {
+  if (existingSwap && batch?.state === 'SWAP_CONFIRMED') {
+    const creditedSwap = await findCreditedSwap(batchId);
     logger.info('Swap already confirmed', { 
-      transactionId: existingSwap.id, 
+      transactionId: creditedSwap.id, 
       batchId,
       requestId 
     });
     
     const goal = await prisma.goal.findFirst({ where: { id: goalId } });
-    const progress = calculateProgress(goal.investedAmount, goal.targetAmount);
+    const progress = calculateProgress(goal.investedAmountRaw, goal.targetAmountRaw);
     
-    return Response.json({
-      success: true,
+    return Response.json(confirmedSwapResponse({
       batchId,
-      transaction: {
-        id: existingSwap.id,
-        type: existingSwap.type,
-        txnHash: existingSwap.txnHash,
-        amountCrypto: existingSwap.amountCrypto,
-        tokenMint: existingSwap.tokenMint,
-        network: existingSwap.network,
-        state: 'SWAP_CONFIRMED',
-      },
-      goal: goal ? {
-        id: goal.id,
-        investedAmount: goal.investedAmount,
-        progressPercentage: progress,
-        status: goal.status,
-      } : null,
-      explorerUrl: existingSwap.txnHash 
-        ? `https://explorer.solana.com/tx/${existingSwap.txnHash}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`
-        : null,
-    }, { status: 200 });
+      transaction: creditedSwap,
+      amountCrypto: fromRawAmount(creditedSwap.amountCryptoRaw, creditedSwap.cryptoDecimals),
+      goal,
+      progress,
+      signature: creditedSwap.txnHash,
+    }), { status: 200 });
   }
   
   // Get goal and ONRAMP transaction early (needed for auto-requote)
-  const goal = await prisma.goal.findFirst({
-    where: {
-      id: goalId,
-      userId: userId,
-    },
-  });
+  const goal = await loadSwapGoal(goalId, userId, batchId);
   
-  if (!goal) {
-    throw SwapErrors.INVALID_WALLET();
-  }
-  
-  if (goal.status !== 'ACTIVE') {
-    throw new ValidationError('Goal must be ACTIVE to execute swap');
+  // Once a two-hop swap's SOL leg confirmed, only its later legs can be signed
+  if (existingSwap?.meta?.hopConfirmedAt) {
+    throw SwapErrors.HOP_IN_PROGRESS();
   }
   
   const onrampTransaction = await prisma.transaction.findFirst({
@@ -852,687 +667,176 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
     throw new ValidationError('ONRAMP transaction not found for this batchId');
   }
   
-  // Validate quote expiry with improved handling + AUTO-REQUOTE (Option C from help.txt)
-  if (quoteResponse.expiresAt) {
-    const now = Date.now();
-    const expiresAt = new Date(quoteResponse.expiresAt).getTime();
-    const clockSkewMs = 8000; // 8 seconds buffer (increased from 2s for clock skew tolerance)
-    const gracePeriodMs = 10000; // 10 seconds grace period after expiry
-    const expiredMs = now - expiresAt;
-    const remainingMs = expiresAt - now;
-    
-    // Check if quote is expired or about to expire
-    if (now > expiresAt - clockSkewMs) {
-      logger.warn('Quote expired or about to expire', { 
-        expiresAt: quoteResponse.expiresAt,
-        now: new Date(now).toISOString(),
-        expiredMs,
-        remainingMs,
-        batchId,
-        requestId 
-      });
-      
-      // AUTO-REQUOTE: If quote expired less than 10s ago, fetch new quote automatically
-      if (expiredMs > 0 && expiredMs < gracePeriodMs) {
-        logger.info('Quote expired within grace period, attempting auto re-quote', {
-          expiredMs,
-          batchId,
-          requestId
-        });
-        
-        try {
-          // Get token info from existing quote or transaction
-          const inputMint = quoteResponse.inputMint || existingSwap?.meta?.inputMint || 'USDC';
-          const outputMint = quoteResponse.outputMint || existingSwap?.meta?.outputMint || goal.coin;
-          const slippageBps = quoteResponse.slippageBps || existingSwap?.meta?.slippageBps || SLIPPAGE_CONFIG.DEFAULT;
-          
-          // Fetch new quote automatically (like sher-web auto-requote pattern)
-          // Use getQuoteData directly to get data object (not Response)
-          // Use amount from existing swap metadata if available, otherwise undefined (will use fallback)
-          const retryAmount = existingSwap?.meta?.inputAmount ? 
-            toSmallestUnits(existingSwap.meta.inputAmount, 9) : undefined;
-          const newQuoteData = await getQuoteData({
-            goalId,
-            batchId,
-            inputMint,
-            outputMint,
-            amount: retryAmount,
-            slippageBps,
-            userId,
-            requestId: `${requestId}-auto-requote`,
-          });
-          
-          if (newQuoteData.success && newQuoteData.quote) {
-            logger.info('Auto re-quote successful, returning new quote to frontend', {
-              newQuoteId: newQuoteData.quote.quoteId,
-              batchId,
-              requestId
-            });
-            
-            // Update state to indicate auto-requote occurred
-            if (existingSwap) {
-              await prisma.transaction.update({
-                where: { id: existingSwap.id },
-                data: {
-                  meta: {
-                    ...existingSwap.meta,
-                    state: 'EXPIRED',
-                    expiredAt: new Date().toISOString(),
-                    gracePeriodUsed: true,
-                    autoReQuoted: true,
-                  },
-                },
-              });
-            }
-            
-            // Return special response with retryable flag and new quote (Option C from help.txt)
-            return Response.json({
-              success: false,
-              retryable: true,
-              error: {
-                code: 'QUOTE_EXPIRED',
-                message: 'Quote expired. New quote automatically fetched - please re-sign and try again.',
-              },
-              newQuote: newQuoteData.quote,
-              newSwapTransaction: newQuoteData.swapTransaction,
-              newLastValidBlockHeight: newQuoteData.lastValidBlockHeight,
-            }, { status: 400 });
-          } else {
-            logger.error('Auto re-quote failed', {
-              error: newQuoteData.error,
-              batchId,
-              requestId
-            });
-            // Fall through to normal error handling
-          }
-        } catch (requoteError) {
-          logger.error('Auto re-quote exception', {
-            error: requoteError.message,
-            batchId,
-            requestId,
-            stack: requoteError.stack
-          });
-          // Fall through to normal error handling - will return QUOTE_EXPIRED without retryable
-        }
-      } else if (expiredMs >= gracePeriodMs) {
-        // Quote significantly expired (> 10s), hard fail
-        logger.error('Quote significantly expired, blocking execution', {
-          expiredMs,
-          gracePeriodMs,
-          batchId,
-          requestId
-        });
-        
-        // Update state to EXPIRED
-        if (existingSwap) {
-          await prisma.transaction.update({
-            where: { id: existingSwap.id },
-            data: {
-              meta: {
-                ...existingSwap.meta,
-                state: 'EXPIRED',
-                expiredAt: new Date().toISOString(),
-              },
-            },
-          });
-        }
-        
-        await sendInvestmentNotification(batchId, 'EXPIRED', {});
-        
-        return Response.json({
-          success: false,
-          error: {
-            code: 'QUOTE_EXPIRED',
-            message: `Quote expired ${Math.round(expiredMs / 1000)}s ago. Please request a new quote.`
-          }
-        }, { status: 422 });
-      } else {
-        // Quote about to expire (< 8s remaining), warn but allow
-        logger.warn('Quote about to expire, execution may fail', {
-          remainingMs,
-          batchId,
-          requestId
-        });
-      }
-    }
-  }
-  
-  // Validate quoteId idempotency if available
-  if (quoteResponse.quoteId && existingSwap) {
-    const existingQuoteId = existingSwap.meta?.quoteId;
-    if (existingQuoteId && existingQuoteId !== quoteResponse.quoteId) {
-      logger.warn('QuoteId mismatch', { 
-        existing: existingQuoteId,
-        provided: quoteResponse.quoteId,
-        batchId 
-      });
-    }
-  }
-  
-  // Get output token info
-  const outputTokenInfo = getTokenMint(goal.coin);
-
-  // Validate quote response
-  if (!quoteResponse || !quoteResponse.outAmount) {
-    throw new ValidationError('quoteResponse must include outAmount');
-  }
-
-  // Submit transaction - validate before submission (per help.txt)
-  const connection = getSolanaConnection();
+  const currentSlippageBps = quoteResponse.slippageBps || existingSwap?.meta?.slippageBps || SLIPPAGE_CONFIG.DEFAULT;
   
-  // Step 1: Verify transaction integrity before decoding (per help.txt)
-  if (!signedTransaction || typeof signedTransaction !== 'string') {
-    throw new ValidationError('Missing or invalid swapTransaction string');
-  }
-  
-  // Validate base64 format (per help.txt)
-  if (!/^[A-Za-z0-9+/=]+$/.test(signedTransaction)) {
-    throw new ValidationError('swapTransaction is not valid base64');
-  }
-  
-  // Log length for debugging (per help.txt)
-  logger.info('Transaction string received', {
-    length: signedTransaction.length,
+  // Re-quote the batch for the same input amount (auto re-quote and slippage escalation)
+  const requote = (slippageBps, requoteRequestId) => getQuoteData({
+    goalId,
     batchId,
-    requestId
+    inputMint: quoteResponse.inputMint || existingSwap?.meta?.inputMint || 'USDC',
+    outputMint: quoteResponse.outputMint || existingSwap?.meta?.outputMint || goal.coin,
+    // Without a recorded amount getQuoteData falls back to an estimate from the onramp
+    amount: existingSwap?.meta?.inputAmount
+      ? toSmallestUnits(existingSwap.meta.inputAmount, existingSwap.meta.inputDecimals ?? 9)
+      : undefined,
+    slippageBps,
+    route: existingSwap?.meta?.routeMode ?? 'DIRECT',
+    userId,
+    requestId: requoteRequestId,
   });
   
-  // If too short, it's truncated (per help.txt)
-  if (signedTransaction.length < 1000) {
-    logger.warn('Transaction string seems too short, may be truncated', {
-      length: signedTransaction.length,
+  // Validate quote expiry + AUTO-REQUOTE within the grace period
+  const expiry = checkQuoteExpiry(quoteResponse.expiresAt);
+  if (expiry.status === 'grace') {
+    logger.info('Quote expired within grace period, attempting auto re-quote', {
+      expiresAt: quoteResponse.expiresAt,
+      expiredMs: expiry.expiredMs,
       batchId,
       requestId
     });
-  }
-  
-  // NOTE: Cannot refresh blockhash of signed transactions - it invalidates signatures
-  // Jupiter quotes already include fresh blockhashes, so we submit as-is
-  // If blockhash expires, auto-retry will handle it
-  
-  let signature;
-  let blockhash;
-  let lastValidBlockHeightFromTx;
-  try {
-    const result = await submitSwapTransactionImmediate(signedTransaction, connection, lastValidBlockHeight, requestId);
-    signature = result.signature;
-    blockhash = result.blockhash;
-    lastValidBlockHeightFromTx = result.lastValidBlockHeight || lastValidBlockHeight;
-  } catch (error) {
-    // Handle slippage errors during submission with auto-requote (similar to confirmation errors)
-    if (error instanceof SwapError && error.code === 'SLIPPAGE_EXCEEDED') {
-      logger.warn('Slippage exceeded during submission, attempting auto-requote with increased slippage', {
-        batchId,
-        requestId,
-        currentSlippage: quoteResponse.slippageBps || existingSwap?.meta?.slippageBps || SLIPPAGE_CONFIG.DEFAULT
+    
+    try {
+      // Expire the old quote first so the re-quote below moves EXPIRED → QUOTED
+      await transitionBatch(batchId, 'EXPIRED', {
+        reason: 'Quote expired within grace period, auto re-quoting',
+        meta: { quoteId: quoteResponse.quoteId, expiredMs: expiry.expiredMs, autoReQuoted: true },
       });
       
-      // Get current slippage from quote or transaction meta
-      const currentSlippageBps = quoteResponse.slippageBps || existingSwap?.meta?.slippageBps || SLIPPAGE_CONFIG.DEFAULT;
-      const slippageRetryCount = existingSwap?.meta?.slippageRetryCount || 0;
-      const maxSlippageRetries = 2; // Limit to 2 retries
+      const newQuoteData = await requote(currentSlippageBps, `${requestId}-auto-requote`);
       
-      // Check if we can retry (haven't exceeded max retries)
-      if (slippageRetryCount < maxSlippageRetries) {
-        const nextSlippageBps = calculateNextSlippage(currentSlippageBps);
-        
-        if (nextSlippageBps && nextSlippageBps <= SLIPPAGE_CONFIG.MAX_ALLOWED) {
-          logger.info('Attempting auto-requote with increased slippage (submission error)', {
-            currentSlippageBps,
-            nextSlippageBps,
-            slippageRetryCount: slippageRetryCount + 1,
-            batchId,
-            requestId
-          });
-          
-          try {
-            // Get token info from existing quote or transaction meta
-            // Handle all coin types: SOL, USDC, BTC, ETH
-            const inputMint = quoteResponse.inputMint || existingSwap?.meta?.inputMint || 'USDC';
-            const outputMint = quoteResponse.outputMint || existingSwap?.meta?.outputMint || goal.coin;
-            
-            // Fetch new quote with increased slippage (works for all coins via getQuoteData)
-            // Use amount from existing swap metadata if available, otherwise undefined (will use fallback)
-            const retryAmount = existingSwap?.meta?.inputAmount ? 
-              toSmallestUnits(existingSwap.meta.inputAmount, 9) : undefined;
-            const newQuoteData = await getQuoteData({
-              goalId,
-              batchId,
-              inputMint,
-              outputMint,
-              amount: retryAmount,
-              slippageBps: nextSlippageBps,
-              userId,
-              requestId: `${requestId}-slippage-retry-submission-${slippageRetryCount + 1}`,
-            });
-            
-            if (newQuoteData.success && newQuoteData.quote) {
-              logger.info('Auto re-quote with increased slippage successful (submission error)', {
-                newSlippageBps: nextSlippageBps,
-                newQuoteId: newQuoteData.quote.quoteId,
-                inputMint,
-                outputMint,
-                batchId,
-                requestId
-              });
-              
-              // Update transaction meta with slippage retry info
-              const swapTxnToUpdate = existingSwap || await prisma.transaction.findFirst({
-                where: { batchId, type: 'SWAP' }
-              });
-              
-              if (swapTxnToUpdate) {
-                await prisma.transaction.update({
-                  where: { id: swapTxnToUpdate.id },
-                  data: {
-                    meta: {
-                      ...swapTxnToUpdate.meta,
-                      state: 'FAILED',
-                      error: 'Slippage exceeded during submission - auto-requoting with increased slippage',
-                      errorCode: 'SLIPPAGE_EXCEEDED',
-                      slippageRetryCount: slippageRetryCount + 1,
-                      originalSlippageBps: existingSwap?.meta?.originalSlippageBps || currentSlippageBps,
-                      currentSlippageBps: nextSlippageBps,
-                      autoReQuoted: true,
-                    },
-                  },
-                });
-              }
-              
-              // Return retryable error response with new quote (same format as confirmation handler)
-              // This works for all coin types (SOL, USDC, BTC, ETH) since getQuoteData handles them all
-              return Response.json({
-                success: false,
-                retryable: true,
-                error: {
-                  code: 'SLIPPAGE_EXCEEDED',
-                  message: `Slippage exceeded. New quote fetched with ${(nextSlippageBps / 100).toFixed(1)}% slippage tolerance - please re-sign and try again.`,
-                },
-                newQuote: newQuoteData.quote,
-                newSwapTransaction: newQuoteData.swapTransaction,
-                newLastValidBlockHeight: newQuoteData.lastValidBlockHeight,
-                newSlippageBps: nextSlippageBps,
-              }, { status: 400 });
-            } else {
-              logger.error('Auto re-quote with increased slippage failed (submission error)', {
-                error: newQuoteData.error,
-                inputMint,
-                outputMint,
-                batchId,
-                requestId
-              });
-              // Fall through to normal error handling
-            }
-          } catch (requoteError) {
-            logger.error('Auto re-quote with increased slippage exception (submission error)', {
-              error: requoteError.message,
-              batchId,
-              requestId,
-              stack: requoteError.stack
-            });
-            // Fall through to normal error handling
-          }
-        } else {
-          logger.warn('Max slippage reached, cannot auto-requote (submission error)', {
-            currentSlippageBps,
-            maxSlippage: SLIPPAGE_CONFIG.MAX_ALLOWED,
-            batchId,
-            requestId
-          });
-          // Fall through to normal error handling
-        }
-      } else {
-        logger.warn('Max slippage retries reached (submission error)', {
-          slippageRetryCount,
-          maxSlippageRetries,
-          batchId,
-          requestId
-        });
-        // Fall through to normal error handling
-      }
-    }
-    
-    // If submission fails (or auto-requote not possible), record as FAILED
-    if (existingSwap) {
-      await prisma.transaction.update({
-        where: { id: existingSwap.id },
-        data: {
-          meta: {
-            ...existingSwap.meta,
-            state: 'FAILED',
-            error: error.message,
-            errorCode: error.code,
+      if (newQuoteData.quote) {
+        // Return special response with retryable flag and new quote
+        return Response.json({
+          success: false,
+          retryable: true,
+          error: {
+            code: 'QUOTE_EXPIRED',
+            message: 'Quote expired. New quote automatically fetched - please re-sign and try again.',
           },
-        },
+          newQuote: newQuoteData.quote,
+          newSwapTransaction: newQuoteData.swapTransaction,
+          newLastValidBlockHeight: newQuoteData.lastValidBlockHeight,
+          newPreview: newQuoteData.preview,
+        }, { status: 400 });
+      }
+    } catch (requoteError) {
+      // Fall through: the batch is EXPIRED, so the submission check below refuses it
+      logger.error('Auto re-quote exception', {
+        error: requoteError.message,
+        batchId,
+        requestId
       });
     }
-    
-    await sendInvestmentNotification(batchId, 'FAILED', {
-      reason: error.message,
+  } else if (expiry.status === 'expired') {
+    // Quote significantly expired (> 10s), hard fail
+    logger.error('Quote significantly expired, blocking execution', {
+      expiredMs: expiry.expiredMs,
+      batchId,
+      requestId
     });
     
-    throw error;
-  }
-
-  logger.info('Swap transaction submitted', { signature, requestId });
-
-  // Send notification
-  await sendInvestmentNotification(batchId, 'SWAP_SUBMITTED', {});
-
-  // Calculate output amount
-  const outAmountSmallestUnits = BigInt(quoteResponse.outAmount);
-  const outAmountGoalTokenUnits = fromSmallestUnits(Number(outAmountSmallestUnits), outputTokenInfo.decimals);
-
-  // Record SWAP_SUBMITTED state
-  const swapTxn = await prisma.transaction.upsert({
-    where: {
-      batchId_type: {
-        batchId,
-        type: 'SWAP',
-      },
-    },
-    create: {
-        goalId: goal.id,
-        batchId,
-        type: 'SWAP',
-        provider: 'JUPITER',
-      network: getNetwork() === 'devnet' ? 'DEVNET' : 'MAINNET',
-        txnHash: signature,
-        amountUsd: onrampTransaction.amountUsd,
-      amountCrypto: outAmountGoalTokenUnits,
-        tokenMint: outputTokenInfo.mint,
-        meta: {
-        state: 'SWAP_SUBMITTED',
-        expiresAt: quoteResponse.expiresAt,
-        quoteId: quoteResponse.quoteId,
-          onrampTransactionId: onrampTransaction.id,
-          inputMint: onrampTransaction.tokenMint,
-          outputMint: outputTokenInfo.mint,
-        quoteOutAmountRaw: quoteResponse.outAmount,
-          quoteOutAmountDecimals: outputTokenInfo.decimals,
-          slippageBps: quoteResponse.slippageBps || SLIPPAGE_CONFIG.DEFAULT,
-          originalSlippageBps: quoteResponse.slippageBps || SLIPPAGE_CONFIG.DEFAULT,
-          slippageRetryCount: 0,
-      },
-    },
-    update: {
-      txnHash: signature,
-      meta: {
-        ...existingSwap?.meta,
-        state: 'SWAP_SUBMITTED',
-        expiresAt: quoteResponse.expiresAt,
-        quoteId: quoteResponse.quoteId,
-        slippageBps: quoteResponse.slippageBps || existingSwap?.meta?.slippageBps || SLIPPAGE_CONFIG.DEFAULT,
-        originalSlippageBps: existingSwap?.meta?.originalSlippageBps || quoteResponse.slippageBps || SLIPPAGE_CONFIG.DEFAULT,
-        slippageRetryCount: existingSwap?.meta?.slippageRetryCount || 0,
-      },
-    },
-  });
-
-  // Confirm transaction using blockhash (sher-web approach) - more reliable than polling
-  let confirmed = false;
-  try {
-    // Confirmation method selection
-    logger.info('Selecting confirmation method', {
-      hasBlockhash: !!blockhash,
-      hasLastValidBlockHeight: !!lastValidBlockHeightFromTx,
-      willUseBlockhash: !!(blockhash && lastValidBlockHeightFromTx),
-      signature,
-      requestId
+    await transitionBatch(batchId, 'EXPIRED', {
+      reason: `Quote expired ${Math.round(expiry.expiredMs / 1000)}s before execution`,
+      meta: { quoteId: quoteResponse.quoteId, expiredMs: expiry.expiredMs },
     });
     
-    // Use blockhash confirmation if available, otherwise fall back to signature confirmation
-    if (blockhash && lastValidBlockHeightFromTx) {
-      confirmed = await confirmTransactionWithBlockhash(connection, signature, blockhash, lastValidBlockHeightFromTx, requestId);
-    } else {
-      // Fallback: confirm by signature only (less reliable but works)
-      logger.info('Confirming transaction by signature only (no blockhash)', { signature, requestId });
-      await connection.confirmTransaction(signature, 'confirmed');
-      confirmed = true;
-    }
+    await sendInvestmentNotification(batchId, 'EXPIRED', {});
     
-    // After confirmation - log result
-    logger.info('Transaction confirmation result', {
-      signature,
-      confirmed,
+    return Response.json({
+      success: false,
+      error: {
+        code: 'QUOTE_EXPIRED',
+        message: `Quote expired ${Math.round(expiry.expiredMs / 1000)}s ago. Please request a new quote.`
+      }
+    }, { status: 422 });
+  } else if (expiry.status === 'expiring') {
+    logger.warn('Quote about to expire, execution may fail', {
+      remainingMs: -expiry.expiredMs,
+      batchId,
       requestId
     });
-  } catch (error) {
-    // Handle slippage errors with auto-requote (similar to quote expiration)
-    if (error instanceof SwapError && error.code === 'SLIPPAGE_EXCEEDED') {
-      logger.warn('Slippage exceeded during confirmation, attempting auto-requote with increased slippage', {
+  }
+  
+  // Only a batch holding a live quote may be submitted on-chain
+  const batchBeforeSubmit = await getBatch(batchId);
+  if (!batchBeforeSubmit || batchBeforeSubmit.goalId !== goal.id) {
+    throw BatchErrors.BATCH_NOT_FOUND();
+  }
+  if (!canTransition(batchBeforeSubmit.state, 'SWAP_SUBMITTED')) {
+    throw BatchErrors.INVALID_TRANSITION(batchBeforeSubmit.state, 'SWAP_SUBMITTED');
+  }
+  
+  validateSignedTransaction(signedTransaction);
+  const walletAddress = await loadMemberWallet(userId);
+  
+  // A slippage failure is re-quoted one step up the slippage ladder; anything
+  // else (or a used-up ladder) fails the batch
+  const handleSwapFailure = async (error, { stage, signature = null, swapTxn = null }) => {
+    if (isSlippageError(error)) {
+      const requoted = await swapService.retryWithHigherSlippage({
         batchId,
+        slippageBps: currentSlippageBps,
+        stage,
+        signature,
+        requote: (slippageBps) => requote(slippageBps, `${requestId}-slippage-retry-${stage}`),
+        maxSlippageBps: (await getExecutionLimits(userId)).maxSlippageBps,
         requestId,
-        currentSlippage: quoteResponse.slippageBps || existingSwap?.meta?.slippageBps || SLIPPAGE_CONFIG.DEFAULT
       });
       
-      // Get current slippage from quote or transaction meta
-      const currentSlippageBps = quoteResponse.slippageBps || existingSwap?.meta?.slippageBps || SLIPPAGE_CONFIG.DEFAULT;
-      const slippageRetryCount = existingSwap?.meta?.slippageRetryCount || 0;
-      const maxSlippageRetries = 2; // Limit to 2 retries
-      
-      // Check if we can retry (haven't exceeded max retries)
-      if (slippageRetryCount < maxSlippageRetries) {
-        const nextSlippageBps = calculateNextSlippage(currentSlippageBps);
-        
-        if (nextSlippageBps && nextSlippageBps <= SLIPPAGE_CONFIG.MAX_ALLOWED) {
-          logger.info('Attempting auto-requote with increased slippage', {
-            currentSlippageBps,
-            nextSlippageBps,
-            slippageRetryCount: slippageRetryCount + 1,
-            batchId,
-            requestId
-          });
-          
-          try {
-            // Get token info from existing quote or transaction
-            const inputMint = quoteResponse.inputMint || existingSwap?.meta?.inputMint || 'USDC';
-            const outputMint = quoteResponse.outputMint || existingSwap?.meta?.outputMint || goal.coin;
-            
-            // Fetch new quote with increased slippage
-            // Use amount from existing swap metadata if available, otherwise undefined (will use fallback)
-            const retryAmount = existingSwap?.meta?.inputAmount ? 
-              toSmallestUnits(existingSwap.meta.inputAmount, 9) : undefined;
-            const newQuoteData = await getQuoteData({
-              goalId,
-              batchId,
-              inputMint,
-              outputMint,
-              amount: retryAmount,
-              slippageBps: nextSlippageBps,
-              userId,
-              requestId: `${requestId}-slippage-retry-${slippageRetryCount + 1}`,
-            });
-            
-            if (newQuoteData.success && newQuoteData.quote) {
-              logger.info('Auto re-quote with increased slippage successful', {
-                newSlippageBps: nextSlippageBps,
-                newQuoteId: newQuoteData.quote.quoteId,
-                batchId,
-                requestId
-              });
-              
-              // Update transaction meta with slippage retry info
-              await prisma.transaction.update({
-                where: { id: swapTxn.id },
-                data: {
-                  meta: {
-                    ...swapTxn.meta,
-                    state: 'FAILED',
-                    error: 'Slippage exceeded - auto-requoting with increased slippage',
-                    errorCode: 'SLIPPAGE_EXCEEDED',
-                    slippageRetryCount: slippageRetryCount + 1,
-                    originalSlippageBps: existingSwap?.meta?.originalSlippageBps || currentSlippageBps,
-                    currentSlippageBps: nextSlippageBps,
-                    autoReQuoted: true,
-                  },
-                },
-              });
-              
-              // Return retryable error response with new quote (similar to QUOTE_EXPIRED)
-              return Response.json({
-                success: false,
-                retryable: true,
-                error: {
-                  code: 'SLIPPAGE_EXCEEDED',
-                  message: `Slippage exceeded. New quote fetched with ${(nextSlippageBps / 100).toFixed(1)}% slippage tolerance - please re-sign and try again.`,
-                },
-                newQuote: newQuoteData.quote,
-                newSwapTransaction: newQuoteData.swapTransaction,
-                newLastValidBlockHeight: newQuoteData.lastValidBlockHeight,
-                newSlippageBps: nextSlippageBps,
-              }, { status: 400 });
-            } else {
-              logger.error('Auto re-quote with increased slippage failed', {
-                error: newQuoteData.error,
-                batchId,
-                requestId
-              });
-              // Fall through to normal error handling
-            }
-          } catch (requoteError) {
-            logger.error('Auto re-quote with increased slippage exception', {
-              error: requoteError.message,
-              batchId,
-              requestId,
-              stack: requoteError.stack
-            });
-            // Fall through to normal error handling
-          }
-        } else {
-          logger.warn('Max slippage reached, cannot auto-requote', {
-            currentSlippageBps,
-            maxSlippage: SLIPPAGE_CONFIG.MAX_ALLOWED,
-            batchId,
-            requestId
-          });
-          // Fall through to normal error handling
-        }
-      } else {
-        logger.warn('Max slippage retries reached', {
-          slippageRetryCount,
-          maxSlippageRetries,
-          batchId,
-          requestId
-        });
-        // Fall through to normal error handling
+      if (requoted?.quote) {
+        return Response.json({
+          success: false,
+          retryable: true,
+          error: {
+            code: 'SLIPPAGE_EXCEEDED',
+            message: `Slippage exceeded. New quote fetched with ${(requoted.slippageBps / 100).toFixed(1)}% slippage tolerance - please re-sign and try again.`,
+          },
+          newQuote: requoted.quote,
+          newSwapTransaction: requoted.swapTransaction,
+          newLastValidBlockHeight: requoted.lastValidBlockHeight,
+          newPreview: requoted.preview,
+          newSlippageBps: requoted.slippageBps,
+        }, { status: 400 });
       }
     }
     
-    // If confirmation fails (or auto-requote not possible), record as FAILED
-    logger.info('Updating transaction state in database - FAILED', {
-      transactionId: swapTxn.id,
-      oldState: swapTxn.meta?.state,
-      newState: 'FAILED',
-      error: error.message,
-      errorCode: error.code,
-      requestId
-    });
-    
-    await prisma.transaction.update({
-      where: { id: swapTxn.id },
-      data: {
-        meta: {
-          ...swapTxn.meta,
-          state: 'FAILED',
-          error: error.message,
-          errorCode: error.code,
-        },
-      },
-    });
-    
-    await sendInvestmentNotification(batchId, 'FAILED', {
-      reason: error.message,
-    });
-    
+    await swapService.fail({ batchId, error, swapTxn, signature });
     throw error;
-  }
+  };
   
-  if (confirmed) {
-    // Update to SWAP_CONFIRMED and update goal
-    logger.info('Updating transaction state in database - SWAP_CONFIRMED', {
-      transactionId: swapTxn.id,
-      oldState: swapTxn.meta?.state,
-      newState: 'SWAP_CONFIRMED',
-      signature,
-      requestId
-    });
-    
-    const result = await prisma.$transaction(async (tx) => {
-      const updatedTxn = await tx.transaction.update({
-        where: { id: swapTxn.id },
-        data: {
-          meta: {
-            ...swapTxn.meta,
-            state: 'SWAP_CONFIRMED',
-        },
-      },
-    });
-    
-      // Update goal invested amount
-    const updatedGoal = await tx.goal.update({
-      where: { id: goal.id },
-      data: {
-        investedAmount: {
-          increment: outAmountGoalTokenUnits,
-        },
-      },
+  let submitted;
+  try {
+    submitted = await swapService.submit({
+      batchId,
+      goal,
+      signedTransaction,
+      quoteResponse,
+      lastValidBlockHeight,
+      onramp: onrampTransaction,
+      walletAddress,
+      contributorId: userId,
+      requestId,
     });
-    
-    // Check if goal should auto-complete
-    if (shouldAutoComplete(updatedGoal.investedAmount, updatedGoal.targetAmount)) {
-      await tx.goal.update({
-        where: { id: goal.id },
-        data: { status: 'COMPLETED' },
-      });
-      updatedGoal.status = 'COMPLETED';
-    }
-    
-    const progress = calculateProgress(updatedGoal.investedAmount, updatedGoal.targetAmount);
-    
-    return {
-        transaction: updatedTxn,
-      goal: updatedGoal,
-      progress,
-    };
-  });
+  } catch (error) {
+    return await handleSwapFailure(error, { stage: 'submission' });
+  }
   
-    logger.info('Swap transaction confirmed and goal updated', { 
-    transactionId: result.transaction.id,
-    goalId: result.goal.id,
-    progress: result.progress,
-    requestId 
-  });
-    
-    // Send success notification
-    await sendInvestmentNotification(batchId, 'SWAP_CONFIRMED', {
-      outputAmount: outAmountGoalTokenUnits,
-      goalCoin: goal.coin,
-      progressPercentage: result.progress,
+  const { signature, swapTxn } = submitted;
+  
+  let confirmed;
+  try {
+    confirmed = await swapService.confirm({
+      signature,
+      blockhash: submitted.blockhash,
+      lastValidBlockHeight: submitted.lastValidBlockHeight,
+      requestId,
     });
+  } catch (error) {
+    return await handleSwapFailure(error, { stage: 'confirmation', signature, swapTxn });
+  }
   
-    return Response.json({
-      success: true,
-      batchId,
-      transaction: {
-        id: result.transaction.id,
-        type: result.transaction.type,
-        txnHash: result.transaction.txnHash,
-        amountCrypto: result.transaction.amountCrypto,
-        tokenMint: result.transaction.tokenMint,
-        network: result.transaction.network,
-        state: 'SWAP_CONFIRMED',
-      },
-      goal: {
-      id: result.goal.id,
-      investedAmount: result.goal.investedAmount,
-      progressPercentage: result.progress,
-      status: result.goal.status,
-    },
-      explorerUrl: `https://explorer.solana.com/tx/${signature}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`,
-  }, { status: 201 });
-  } else {
-    // Timeout - return 202 with pending status
+  if (!confirmed) {
+    // Timeout - return 202 with pending status; the reconciler settles it
     logger.info('Swap transaction pending confirmation', { signature, requestId });
     
     return Response.json({
@@ -1542,295 +846,355 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
       signature,
       state: 'SWAP_SUBMITTED',
       message: 'Transaction submitted. Confirmation pending.',
-      explorerUrl: `https://explorer.solana.com/tx/${signature}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`,
+      explorerUrl: explorerUrl(signature),
     }, { status: 202 });
   }
+  
+  // The first leg of a two-hop swap bought SOL: hand back the final leg to sign
+  if (swapTxn.meta?.hop === HOPS.INTERMEDIATE) {
+    return await continueTwoHop({ goal, batchId, swapTxn, signature, slippageBps: currentSlippageBps, userId, requestId });
+  }
+  
+  // Confirm the batch and credit the goal atomically
+  // Credit what the recorded quote bought, not the client's copy of it
+  const result = await swapService.finalize({
+    swapTxn,
+    amountRaw: BigInt(swapTxn.meta.quoteOutAmountRaw),
+    signature,
+    goalCoin: goal.coin,
+  });
+  
+  logger.info('Swap transaction confirmed and goal updated', { 
+    transactionId: result.transaction.id,
+    goalId: result.goal.id,
+    progress: result.progress,
+    requestId 
+  });
+  
+  return Response.json(confirmedSwapResponse({
+    batchId,
+    transaction: result.transaction,
+    amountCrypto: result.outputAmount,
+    goal: result.goal,
+    progress: result.progress,
+    milestones: result.milestones,
+    signature,
+  }), { status: 201 });
+}
+
+async function loadRecovery(batchId) {
+  const legs = await prisma.transaction.findMany({
+    where: {
+      batchId,
+      type: 'SWAP',
+    },
+    orderBy: { leg: 'asc' },
+  });
+  return getHopRecovery(legs);
 }
 
 /**
- * Submit transaction without waiting for confirmation
- * Validates transaction integrity and submits as-is (cannot modify signed transactions)
- * Jupiter quotes include fresh blockhashes, and auto-retry handles expired blockhashes
+ * Record a two-hop swap's confirmed first leg and quote its final leg
+ * The SOL is bought either way; if the final leg cannot be quoted right now
+ * the response carries the recovery options instead.
  */
-async function submitSwapTransactionImmediate(signedTransaction, connection, lastValidBlockHeight = null, requestId = null) {
+async function continueTwoHop({ goal, batchId, swapTxn, signature, slippageBps, userId, requestId }) {
+  const { receivedAmountRaw } = await swapService.completeHop({ swapTxn, signature, requestId });
+  
+  const hopConfirmed = {
+    success: true,
+    batchId,
+    state: 'SWAP_SUBMITTED',
+    transaction: {
+      id: swapTxn.id,
+      type: swapTxn.type,
+      txnHash: signature,
+      leg: swapTxn.leg,
+      hop: HOPS.INTERMEDIATE,
+      amountSol: fromSmallestUnits(receivedAmountRaw, 9),
+      network: swapTxn.network,
+    },
+    explorerUrl: explorerUrl(signature),
+  };
+  
   try {
-    // Validate transaction buffer (per help.txt)
-    if (!signedTransaction || typeof signedTransaction !== 'string') {
-      throw new ValidationError('Invalid signed transaction: must be a base64 string');
-    }
-    
-    // Validate base64 format (per help.txt)
-    if (!/^[A-Za-z0-9+/=]+$/.test(signedTransaction)) {
-      throw new ValidationError('swapTransaction is not valid base64');
-    }
-    
-    // Before deserialization
-    logger.info('Deserializing swap transaction', { 
-      transactionLength: signedTransaction.length,
-      requestId 
-    });
-    
-    const txBuffer = Buffer.from(signedTransaction, 'base64');
-    if (!txBuffer || txBuffer.length === 0) {
-      throw new ValidationError('Invalid signed transaction: empty buffer');
-    }
-    
-    // Deserialize transaction (Jupiter returns VersionedTransaction)
-    let transaction;
-    try {
-      transaction = VersionedTransaction.deserialize(txBuffer);
-    } catch (deserializeError) {
-      logger.error('Transaction deserialization failed', {
-        error: deserializeError.message,
-        bufferLength: txBuffer.length,
-        stringLength: signedTransaction.length,
-        errorName: deserializeError.name,
-        requestId
-      });
-      throw new ValidationError(
-        `Transaction deserialization failed: ${deserializeError.message}. ` +
-        `This usually means the transaction string was corrupted or truncated. ` +
-        `Length: ${signedTransaction.length} chars, Buffer: ${txBuffer.length} bytes.`
-      );
-    }
-    
-    // After deserialization - log transaction structure
-    const numInstructions = transaction.message?.compiledInstructions?.length || transaction.instructions?.length || 0;
-    const accountKeys = transaction.message?.staticAccountKeys?.map(k => k.toBase58()) || 
-                       transaction.accountKeys?.map(k => k.toBase58()) || [];
-    const recentBlockhash = transaction.message?.recentBlockhash?.toString() || null;
-    
-    logger.info('Transaction deserialized', {
-      numInstructions,
-      accountKeysCount: accountKeys.length,
-      accountKeys: accountKeys.slice(0, 10), // Log first 10 to avoid huge logs
-      recentBlockhash,
-      bufferLength: txBuffer.length,
-      requestId
-    });
-    
-    // NOTE: Cannot modify signed transaction's blockhash - it invalidates the signature
-    // Jupiter quotes already include fresh blockhashes when generated
-    // If blockhash expires, the auto-retry mechanism will fetch a new quote
-    // Extract blockhash from transaction for confirmation
-    const blockhash = transaction.message.recentBlockhash?.toString() || null;
-    
-    // Before submission - log submission parameters
-    logger.info('Submitting transaction to Solana', {
-      blockhash,
-      lastValidBlockHeight,
-      skipPreflight: true,
-      maxRetries: 3,
-      preflightCommitment: 'confirmed',
-      bufferLength: txBuffer.length,
-      numInstructions,
-      requestId
-    });
-    
-    // Send transaction as-is (skipPreflight: true like sher-web for faster execution)
-    const signature = await connection.sendRawTransaction(txBuffer, {
-      skipPreflight: true,
-      maxRetries: 3,
-      preflightCommitment: 'confirmed',
-    });
-    
-    logger.info('Transaction submitted successfully', { 
-      signature, 
-      blockhash,
-      lastValidBlockHeight,
-      bufferLength: txBuffer.length,
-      numInstructions,
-      requestId
+    const walletAddress = await loadMemberWallet(userId);
+    const next = await swapService.quoteHop({
+      batchId,
+      goal,
+      hop: HOPS.FINAL,
+      slippageBps,
+      walletAddress,
+      contributorId: userId,
+      requestId,
     });
     
-    // Return signature and blockhash info for confirmation
-    return { signature, blockhash, lastValidBlockHeight };
+    return Response.json({
+      ...hopConfirmed,
+      message: `SOL leg confirmed. Sign the final leg to buy ${goal.coin}.`,
+      nextLeg: {
+        leg: next.quote.leg,
+        quote: next.quote,
+        swapTransaction: next.swapTransaction,
+        lastValidBlockHeight: next.lastValidBlockHeight,
+        preview: next.preview,
+      },
+    }, { status: 200 });
   } catch (error) {
-    logger.error('Failed to submit swap transaction', {
+    logger.warn('Failed to quote the final swap leg', {
+      batchId,
       error: error.message,
       errorCode: error.code,
-      errorName: error.name,
-      errorStack: error.stack,
       requestId
     });
     
-    // Handle blockhash-related errors
-    if (error.message?.includes('blockhash') || error.message?.includes('not found') || error.message?.includes('expired')) {
-      throw new ValidationError(`Transaction blockhash expired: ${error.message}. Please try again with a fresh transaction.`);
-    }
-    if (error.message?.includes('insufficient') || error.message?.includes('balance')) {
-      throw SwapErrors.INSUFFICIENT_BALANCE();
-    }
-    if (error.message?.includes('slippage')) {
-      throw SwapErrors.SLIPPAGE_EXCEEDED();
-    }
-    
-    throw new Error(`Transaction submission failed: ${error.message || 'Unknown error'}`);
+    return Response.json({
+      ...hopConfirmed,
+      message: `SOL leg confirmed, but the final leg could not be quoted (${error.message}). Retry it or return the SOL to USDC.`,
+      nextLeg: null,
+      recovery: await loadRecovery(batchId),
+    }, { status: 200 });
   }
 }
 
 /**
- * Confirm transaction using blockhash and lastValidBlockHeight (sher-web approach)
- * This is more reliable than polling getSignatureStatus
+ * Handle execute mode for a later leg of a two-hop swap (FINAL or RETURN)
+ * The SOL from the first leg stays in the member's wallet whatever happens
+ * here, so an expired quote is re-quoted and a failure reports the recovery
+ * options rather than ending the swap.
  */
-async function confirmTransactionWithBlockhash(connection, signature, blockhash, lastValidBlockHeight, requestId) {
-  try {
-    // Before confirmation - get current blockheight for comparison
-    let currentBlockHeight = null;
-    try {
-      currentBlockHeight = await connection.getBlockHeight('confirmed');
-    } catch (blockHeightError) {
-      logger.warn('Failed to get current blockheight', { error: blockHeightError.message, requestId });
-    }
-    
-    logger.info('Starting transaction confirmation', {
-      signature,
-      blockhash,
-      lastValidBlockHeight,
-      currentBlockHeight,
-      blockheightDifference: currentBlockHeight && lastValidBlockHeight ? currentBlockHeight - lastValidBlockHeight : null,
-      requestId
-    });
-    
-    const res = await connection.confirmTransaction({
-      signature,
-      blockhash,
-      lastValidBlockHeight,
-    }, 'confirmed');
-    
-    // After confirmation response - log response structure
-    logger.info('Confirmation response received', {
-      signature,
-      hasValue: !!res.value,
-      hasErr: !!res.value?.err,
-      err: res.value?.err,
-      slot: res.value?.slot,
-      confirmations: res.value?.confirmations,
-      requestId
-    });
-    
-    const jupErr = res.value?.err;
+async function handleHopExecuteMode({ goalId, batchId, leg, signedTransaction, quoteResponse, lastValidBlockHeight, userId, requestId }) {
+  logger.info('Submitting signed swap leg', { goalId, batchId, leg, lastValidBlockHeight, requestId });
+  
+  const goal = await loadSwapGoal(goalId, userId, batchId);
+  
+  const batch = await getBatch(batchId);
+  if (!batch || batch.goalId !== goal.id) {
+    throw BatchErrors.BATCH_NOT_FOUND();
+  }
+  if (!['QUOTED', 'SWAP_SUBMITTED'].includes(batch.state)) {
+    throw BatchErrors.INVALID_TRANSITION(batch.state, 'SWAP_SUBMITTED');
+  }
+  
+  const hopTxn = await prisma.transaction.findFirst({
+    where: {
+      batchId,
+      type: 'SWAP',
+      leg,
+    },
+  });
+  if (!await loadRecovery(batchId) || hopTxn?.meta?.status !== 'QUOTED') {
+    throw SwapErrors.HOP_NOT_RECOVERABLE(`leg ${leg} has no quote waiting to be signed`);
+  }
+  
+  const { hop } = hopTxn.meta;
+  const walletAddress = await loadMemberWallet(userId);
+  const currentSlippageBps = quoteResponse.slippageBps || hopTxn.meta.slippageBps || SLIPPAGE_CONFIG.DEFAULT;
+  const requote = (slippageBps) => swapService.quoteHop({
+    batchId,
+    goal,
+    hop,
+    slippageBps,
+    walletAddress,
+    contributorId: userId,
+    requestId,
+  });
+  
+  const expiry = checkQuoteExpiry(quoteResponse.expiresAt);
+  if (expiry.status === 'grace' || expiry.status === 'expired') {
+    logger.info('Swap leg quote expired, re-quoting', { batchId, leg, expiredMs: expiry.expiredMs, requestId });
     
-    if (jupErr) {
-      // Error parsing - log error structure
-      const errorObj = jupErr;
-      const errorStr = JSON.stringify(errorObj);
-      
-      logger.error('Transaction failed - parsing error details', {
-        signature,
-        errorObj: jupErr,
-        errorStr,
-        hasInstructionError: !!errorObj?.InstructionError,
-        instructionErrorType: Array.isArray(errorObj?.InstructionError) ? 'array' : typeof errorObj?.InstructionError,
-        instructionErrorLength: Array.isArray(errorObj?.InstructionError) ? errorObj.InstructionError.length : null,
-        requestId
-      });
-      
-      // Extract Jupiter error code from InstructionError
-      let jupiterErrorCode = null;
-      let instructionIndex = null;
-      let errorData = null;
-      
-      if (errorObj.InstructionError && Array.isArray(errorObj.InstructionError)) {
-        instructionIndex = errorObj.InstructionError[0];
-        errorData = errorObj.InstructionError[1];
-        
-        logger.info('Extracting Jupiter error code', {
-          signature,
-          instructionError: errorObj.InstructionError,
-          instructionIndex,
-          errorData,
-          hasCustom: !!errorData?.Custom,
-          customErrorCode: errorData?.Custom,
-          requestId
-        });
-        
-        if (errorData && errorData.Custom) {
-          jupiterErrorCode = errorData.Custom;
-        }
-      }
-      
-      logger.error('Transaction failed during confirmation', {
+    const requoted = await requote(currentSlippageBps);
+    return Response.json({
+      success: false,
+      retryable: true,
+      error: {
+        code: 'QUOTE_EXPIRED',
+        message: 'Quote expired. New quote fetched for this leg - please re-sign and try again.',
+      },
+      newQuote: requoted.quote,
+      newSwapTransaction: requoted.swapTransaction,
+      newLastValidBlockHeight: requoted.lastValidBlockHeight,
+      newPreview: requoted.preview,
+    }, { status: 400 });
+  }
+  
+  validateSignedTransaction(signedTransaction);
+  
+  const handleLegFailure = async (error, { stage, signature = null, swapTxn = null }) => {
+    if (isSlippageError(error)) {
+      const requoted = await swapService.retryWithHigherSlippage({
+        batchId,
+        slippageBps: currentSlippageBps,
+        stage,
         signature,
-        error: jupErr,
-        instructionIndex,
-        jupiterErrorCode,
-        errorStr,
-        requestId
+        requote,
+        leg,
+        maxSlippageBps: (await getExecutionLimits(userId)).maxSlippageBps,
+        requestId,
       });
       
-      // Handle specific Jupiter error codes (like sher-web)
-      if (jupiterErrorCode === 6025 || errorStr.includes('6025') || errorStr.includes('0x1789')) {
-        logger.warn('Jupiter slippage error detected (6025)', { signature, jupiterErrorCode, requestId });
-        throw SwapErrors.SLIPPAGE_EXCEEDED(null);
-      }
-      
-      if (jupiterErrorCode === 6001 || jupiterErrorCode === 6017 || 
-          errorStr.includes('6001') || errorStr.includes('6017')) {
-        logger.warn('Jupiter slippage error detected (6001/6017)', { signature, jupiterErrorCode, requestId });
-        throw SwapErrors.SLIPPAGE_EXCEEDED(null);
+      if (requoted?.quote) {
+        return Response.json({
+          success: false,
+          retryable: true,
+          error: {
+            code: 'SLIPPAGE_EXCEEDED',
+            message: `Slippage exceeded. New quote fetched with ${(requoted.slippageBps / 100).toFixed(1)}% slippage tolerance - please re-sign and try again.`,
+          },
+          newQuote: requoted.quote,
+          newSwapTransaction: requoted.swapTransaction,
+          newLastValidBlockHeight: requoted.lastValidBlockHeight,
+          newPreview: requoted.preview,
+          newSlippageBps: requoted.slippageBps,
+        }, { status: 400 });
       }
-      
-      // Generic transaction failure
-      logger.error('Transaction failed with generic error', {
-        signature,
-        jupiterErrorCode,
-        instructionIndex,
-        errorStr,
-        requestId
-      });
-      throw SwapErrors.SWAP_EXECUTION_FAILED(
-        `Transaction failed on-chain. ${jupiterErrorCode ? `Jupiter error code: ${jupiterErrorCode}. ` : ''}${instructionIndex !== null ? `Failed at instruction #${instructionIndex}. ` : ''}This may be due to slippage, insufficient liquidity, or price movement.`
-      );
     }
     
-    logger.info('Transaction confirmed successfully', { signature, requestId });
-    return true;
-  } catch (error) {
-    // Handle blockheight exceeded errors (like sher-web)
-    const errorStr = JSON.stringify(error).toLowerCase();
-    const errorMsg = error.message?.toLowerCase() || '';
-    const isBlockheightError =
-      error?.message?.includes('TransactionExpiredBlockheightExceededError') ||
-      error?.message?.includes('block height exceeded') ||
-      error?.message?.includes('expired') ||
-      error?.name === 'TransactionExpiredBlockheightExceededError' ||
-      errorStr.includes('transactionexpiredblockheightexceedederror') ||
-      errorStr.includes('block height exceeded') ||
-      errorStr.includes('expired');
+    await swapService.fail({ batchId, error, swapTxn, leg, signature });
     
-    if (isBlockheightError) {
-      logger.warn('Transaction expired due to blockheight exceeded', {
-        signature,
-        error: error.message,
-        errorName: error.name,
-        requestId
-      });
-      throw SwapErrors.QUOTE_EXPIRED();
-    }
-    
-    // Re-throw SwapError instances
-    if (error instanceof SwapError) {
-      logger.info('Re-throwing SwapError', {
-        signature,
-        errorCode: error.code,
-        errorMessage: error.message,
-        requestId
-      });
-      throw error;
-    }
+    logger.error('Swap leg failed', { batchId, leg, stage, error: error.message, errorCode: error.code, requestId });
     
-    // Wrap other errors
-    logger.error('Transaction confirmation failed with unknown error', {
+    return Response.json({
+      success: false,
+      error: {
+        code: error.code || 'SWAP_ERROR',
+        message: error.message || 'Swap execution failed',
+        ...(error.hint && { hint: error.hint }),
+      },
+      recovery: await loadRecovery(batchId),
+    }, { status: error.statusCode || 500 });
+  };
+  
+  let submitted;
+  try {
+    submitted = await swapService.submit({
+      batchId,
+      goal,
+      signedTransaction,
+      quoteResponse,
+      lastValidBlockHeight,
+      walletAddress,
+      contributorId: userId,
+      leg,
+      requestId,
+    });
+  } catch (error) {
+    return await handleLegFailure(error, { stage: 'submission' });
+  }
+  
+  const { signature, swapTxn } = submitted;
+  
+  let confirmed;
+  try {
+    confirmed = await swapService.confirm({
       signature,
-      error: error.message,
-      errorName: error.name,
-      errorStack: error.stack,
-      requestId
+      blockhash: submitted.blockhash,
+      lastValidBlockHeight: submitted.lastValidBlockHeight,
+      requestId,
     });
-    throw new Error(`Transaction confirmation failed: ${error.message || 'Unknown error'}`);
+  } catch (error) {
+    return await handleLegFailure(error, { stage: 'confirmation', signature, swapTxn });
   }
+  
+  if (!confirmed) {
+    logger.info('Swap leg pending confirmation', { signature, leg, requestId });
+    
+    return Response.json({
+      success: true,
+      pending: true,
+      batchId,
+      leg,
+      signature,
+      state: 'SWAP_SUBMITTED',
+      message: 'Transaction submitted. Confirmation pending.',
+      explorerUrl: explorerUrl(signature),
+    }, { status: 202 });
+  }
+  
+  if (hop === HOPS.RETURN) {
+    const returned = await swapService.settleReturn({ swapTxn, signature });
+    
+    logger.info('Two-hop swap SOL returned', { batchId, transactionId: returned.id, requestId });
+    
+    return Response.json({
+      success: true,
+      batchId,
+      returned: true,
+      state: 'FAILED',
+      transaction: {
+        id: returned.id,
+        type: returned.type,
+        txnHash: signature,
+        leg,
+        hop,
+        amountCrypto: returned.meta.outputAmount,
+        tokenMint: returned.tokenMint,
+        network: returned.network,
+      },
+      explorerUrl: explorerUrl(signature),
+    }, { status: 200 });
+  }
+  
+  // Credit what the recorded quote bought, not the client's copy of it
+  const result = await swapService.finalize({
+    swapTxn,
+    amountRaw: BigInt(swapTxn.meta.quoteOutAmountRaw),
+    signature,
+    goalCoin: goal.coin,
+  });
+  
+  logger.info('Two-hop swap confirmed and goal updated', {
+    transactionId: result.transaction.id,
+    goalId: result.goal.id,
+    progress: result.progress,
+    requestId
+  });
+  
+  return Response.json(confirmedSwapResponse({
+    batchId,
+    transaction: result.transaction,
+    amountCrypto: result.outputAmount,
+    goal: result.goal,
+    progress: result.progress,
+    milestones: result.milestones,
+    signature,
+  }), { status: 201 });
 }
 
-
-
+/**
+ * Handle recover mode: quote spending a two-hop swap's SOL, on the goal coin
+ * again (retry) or back into USDC (return). The quote is then signed and sent
+ * through execute mode like any other leg.
+ */
+async function handleRecoverMode({ goalId, batchId, hop, slippageBps, userId, requestId }) {
+  logger.info('Two-hop swap recovery requested', { goalId, batchId, hop, requestId });
+  
+  const goal = await loadSwapGoal(goalId, userId, batchId);
+  
+  const batch = await getBatch(batchId);
+  if (!batch || batch.goalId !== goal.id) {
+    throw BatchErrors.BATCH_NOT_FOUND();
+  }
+  
+  const walletAddress = await loadMemberWallet(userId);
+  const quoted = await swapService.quoteHop({
+    batchId,
+    goal,
+    hop,
+    slippageBps: slippageBps || SLIPPAGE_CONFIG.DEFAULT,
+    walletAddress,
+    contributorId: userId,
+    requestId,
+  });
+  
+  return Response.json({
+    success: true,
+    batchId,
+    quote: quoted.quote,
+    swapTransaction: quoted.swapTransaction,
+    lastValidBlockHeight: quoted.lastValidBlockHeight,
+    preview: quoted.preview,
+    inputAmount: quoted.inputAmount,
+  }, { status: 200 });
+}
@@ -0,0 +1,35 @@
+/**
+ * GET /api/tokens
+ * Tokens a goal can target (the enabled entries of the token registry)
+ */
+
+import { logger } from '@/lib/logger';
+import { listRegisteredTokens, serializeToken } from '@/lib/token-registry';
+
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const tokens = await listRegisteredTokens();
+
+    return Response.json({
+      success: true,
+      tokens: tokens.map(serializeToken),
+      count: tokens.length,
+    }, { status: 200 });
+  } catch (error) {
+    logger.error('Token list failed', {
+      error: error.message,
+      requestId,
+    });
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to list tokens',
+      },
+      tokens: [],
+    }, { status: 500 });
+  }
+}
@@ -1,10 +1,11 @@
 /**
  * GET /api/tokens/search
- * Search for tokens (from popular tokens list and Jupiter)
+ * Search for tokens (from the token registry and Jupiter)
+ * Registered tokens carry `registered: true`; only those can be goal targets.
  */
 
 import { logger } from '@/lib/logger';
-import { POPULAR_TOKENS } from '@/lib/popular-tokens';
+import { listRegisteredTokens } from '@/lib/token-registry';
 
 export async function GET(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -16,15 +17,17 @@ export async function GET(request) {
     
     logger.info('Token search request', { query, limit, requestId });
     
-    // Convert popular tokens to search format
-    const popularTokensList = Object.values(POPULAR_TOKENS).map(token => ({
+    // Convert registered tokens to search format
+    const popularTokensList = (await listRegisteredTokens()).map(token => ({
       id: token.mint,
       symbol: token.symbol,
       name: token.name,
       decimals: token.decimals,
-      icon: getTokenIcon(token.mint),
-      logoURI: getTokenIcon(token.mint),
+      icon: token.logoUri || getTokenIcon(token.mint),
+      logoURI: token.logoUri || getTokenIcon(token.mint),
+      maxTarget: token.maxTarget,
       isVerified: true,
+      registered: true,
       source: 'backend',
     }));
     
@@ -93,6 +96,7 @@ export async function GET(request) {
             icon: token.icon,
             logoURI: token.icon,
             isVerified: true,
+            registered: false,
             source: 'jupiter',
           }));
           
@@ -2,6 +2,8 @@ import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { ValidationError, AuthenticationError, AuthorizationError } from '@/lib/errors';
+import { serializeTransaction } from '@/lib/amount';
+import { goalAccessWhere } from '@/lib/goal-members';
 
 export async function GET(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -22,9 +24,9 @@ export async function GET(request) {
       throw new ValidationError('Missing required parameter: goalId');
     }
 
-    // Validate goalId belongs to the user
+    // Any member of the goal can list its transactions
     const goal = await prisma.goal.findFirst({
-      where: { id: goalId, userId: user.id },
+      where: { id: goalId, ...goalAccessWhere(user.id) },
     });
 
     if (!goal) {
@@ -54,7 +56,7 @@ export async function GET(request) {
 
     return Response.json({
       success: true,
-      transactions,
+      transactions: transactions.map(serializeTransaction),
       pagination: {
         total: totalCount,
         limit,
@@ -1,6 +1,9 @@
 import { requireAuth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
+import { isValidTimeZone } from '@/lib/schedule';
+import { ValidationError } from '@/lib/errors';
+import { validateExecutionLimits } from '@/lib/execution-policy';
 
 /**
  * GET /api/user
@@ -24,6 +27,9 @@ export async function GET(request) {
         privyId: true,
         email: true,
         walletAddress: true,
+        timezone: true,
+        maxSlippageBps: true,
+        maxPriorityFeeLamports: true,
         createdAt: true,
         updatedAt: true,
         _count: {
@@ -57,6 +63,9 @@ export async function GET(request) {
           privyId: userData.privyId,
           email: userData.email,
           walletAddress: userData.walletAddress,
+          timezone: userData.timezone,
+          maxSlippageBps: userData.maxSlippageBps,
+          maxPriorityFeeLamports: userData.maxPriorityFeeLamports,
           createdAt: userData.createdAt,
           updatedAt: userData.updatedAt,
           stats: {
@@ -113,6 +122,17 @@ export async function PATCH(request) {
       allowedUpdates.walletAddress = body.walletAddress;
     }
 
+    // IANA time zone that goal schedules run in; existing next runs keep their date
+    if (body.timezone !== undefined) {
+      if (!isValidTimeZone(body.timezone)) {
+        throw new ValidationError(`Invalid time zone: ${body.timezone}`);
+      }
+      allowedUpdates.timezone = body.timezone;
+    }
+
+    // Ceilings on the slippage and priority fee picked for each swap; null clears one
+    Object.assign(allowedUpdates, validateExecutionLimits(body));
+
     // Update user in database
     const updatedUser = await prisma.user.update({
       where: { id: user.id },
@@ -125,6 +145,9 @@ export async function PATCH(request) {
         privyId: true,
         email: true,
         walletAddress: true,
+        timezone: true,
+        maxSlippageBps: true,
+        maxPriorityFeeLamports: true,
         updatedAt: true,
       },
     });
@@ -142,6 +165,18 @@ export async function PATCH(request) {
     // fail() and errors return NextResponse; bubble it up
     if (res?.status) return res;
 
+    if (res instanceof ValidationError) {
+      return Response.json(
+        {
+          error: {
+            message: res.message,
+            code: res.code,
+          },
+        },
+        { status: res.statusCode }
+      );
+    }
+
     logger.error('Error updating user profile', {
       error: res?.message || 'Unknown error',
       stack: res?.stack,
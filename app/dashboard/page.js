@@ -8,12 +8,14 @@ import HoldingsDetailModal from '@/components/HoldingsDetailModal';
 import DeleteGoalModal from '@/components/DeleteGoalModal';
 import InvestModal from '@/components/InvestModal';
 import { getWalletAddressFromPrivy } from '@/lib/user';
+import { describeSchedule } from '@/lib/schedule';
 
 const STATUS_STYLES = {
   ACTIVE: 'border border-emerald-500/30 bg-emerald-500/10 text-emerald-300',
   PAUSED: 'border border-amber-400/30 bg-amber-500/10 text-amber-200',
   COMPLETED:
     'border border-[var(--accent)]/30 bg-[var(--accent)]/10 text-[var(--accent)]',
+  CANCELLED: 'border border-slate-500/30 bg-slate-500/10 text-slate-300',
 };
 
 export default function Dashboard() {
@@ -22,6 +24,7 @@ export default function Dashboard() {
 
   const [userData, setUserData] = useState(null);
   const [goals, setGoals] = useState([]);
+  const [deletedGoals, setDeletedGoals] = useState([]);
   const [holdings, setHoldings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
@@ -84,8 +87,8 @@ export default function Dashboard() {
         }
       }
       
-      // Also fetch holdings
-      await fetchHoldings();
+      // Also fetch holdings and restorable (soft-deleted) goals
+      await Promise.all([fetchHoldings(), fetchDeletedGoals()]);
     } catch (err) {
       console.error('Error fetching goals:', err);
     } finally {
@@ -107,6 +110,20 @@ export default function Dashboard() {
     }
   };
 
+  const fetchDeletedGoals = async () => {
+    try {
+      const response = await fetch('/api/goals?deleted=true', { credentials: 'include' });
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setDeletedGoals(data.goals || []);
+        }
+      }
+    } catch (err) {
+      console.error('Error fetching deleted goals:', err);
+    }
+  };
+
   const calculateStats = (goalsData) => {
     const activeGoals = goalsData.filter((g) => g.status === 'ACTIVE');
     const activeGoalsCount = activeGoals.length;
@@ -201,6 +218,25 @@ export default function Dashboard() {
     }
   };
 
+  const handleRestoreGoal = async (goalId) => {
+    try {
+      const response = await fetch(`/api/goals/${goalId}/restore`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        await fetchUserAndGoals();
+      } else {
+        alert(data.error?.message || 'Failed to restore goal. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error restoring goal:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
   const getUserName = () => {
     if (userData?.email) {
       const emailPrefix = userData.email.split('@')[0];
@@ -284,9 +320,9 @@ export default function Dashboard() {
     return TOKEN_SYMBOL_ICONS[coinSymbol?.toUpperCase()] || '';
   };
 
-  const humanizeFrequency = (freq) => {
+  const humanizeFrequency = (freq, schedule) => {
     if (!freq) return 'Flexible cadence';
-    return freq.charAt(0) + freq.slice(1).toLowerCase();
+    return describeSchedule(freq, schedule);
   };
 
   const renderGoalCard = (goal) => {
@@ -305,8 +341,9 @@ export default function Dashboard() {
       (goal.targetAmount || 0) - (goal.investedAmount || 0),
       goal.coin
     );
-    const frequency = humanizeFrequency(goal.frequency);
+    const frequency = humanizeFrequency(goal.frequency, goal.schedule);
     const tokenSymbolIcon = getTokenSymbolIcon(goal.coin);
+    const isBasket = goal.kind === 'BASKET';
 
     const createdAt = goal.createdAt
       ? new Date(goal.createdAt).toLocaleDateString('en-US', {
@@ -324,8 +361,16 @@ export default function Dashboard() {
         <div className="flex items-start justify-between gap-4">
           <div className="space-y-2 text-left">
             <p className="text-[10px] uppercase tracking-[0.24em] text-[var(--text-secondary)]">
-              {tokenSymbolIcon && <span className="mr-1.5">{tokenSymbolIcon}</span>}
-              {goal.coin} accumulation
+              {isBasket ? (
+                <>
+                  {goal.components.map((c) => `${c.weight}% ${c.coin}`).join(' / ')} basket
+                </>
+              ) : (
+                <>
+                  {tokenSymbolIcon && <span className="mr-1.5">{tokenSymbolIcon}</span>}
+                  {goal.coin} accumulation
+                </>
+              )}
             </p>
             <h3 className="text-xl font-semibold text-[var(--text-primary)]">
               <span className="text-[var(--accent)]">Target</span> {target}
@@ -359,6 +404,14 @@ export default function Dashboard() {
               {createdAt}
             </span>
           </div>
+          {isBasket && goal.components.map((c) => (
+            <div key={c.id} className="flex justify-between gap-3">
+              <span>{c.coin} ({c.weight}%)</span>
+              <span className="text-[var(--text-primary)]">
+                {formatTokenAmount(c.investedAmount, c.coin)} of {formatTokenAmount(c.targetAmount, c.coin)} · {c.progressPercentage.toFixed(1)}%
+              </span>
+            </div>
+          ))}
         </div>
 
         <div className="space-y-2">
@@ -389,6 +442,7 @@ export default function Dashboard() {
           >
             Delete Goal
           </button>
+          {goal.status !== 'CANCELLED' && !isBasket && (
           <button
             onClick={(e) => {
               e.stopPropagation();
@@ -412,6 +466,7 @@ export default function Dashboard() {
               />
             </svg>
           </button>
+          )}
         </div>
       </div>
     );
@@ -591,6 +646,25 @@ export default function Dashboard() {
                     <span className="text-xs text-[var(--text-secondary)]">
                       Total accumulated
                     </span>
+                    {holding.averageEntryPriceUSD !== null && (
+                      <div className="flex items-center justify-between border-t border-[#292018] pt-3 text-xs">
+                        <span className="text-[var(--text-secondary)]">
+                          Cost {formatFiat(holding.costBasisUSD)} • Avg {formatFiat(holding.averageEntryPriceUSD)}
+                        </span>
+                        {holding.unrealizedPnlUSD !== null && (
+                          <span
+                            className={
+                              holding.unrealizedPnlUSD >= 0 ? 'text-emerald-300' : 'text-red-300'
+                            }
+                          >
+                            {holding.unrealizedPnlUSD >= 0 ? '+' : '−'}
+                            {formatFiat(Math.abs(holding.unrealizedPnlUSD))} (
+                            {holding.unrealizedPnlPercentage >= 0 ? '+' : ''}
+                            {holding.unrealizedPnlPercentage}%)
+                          </span>
+                        )}
+                      </div>
+                    )}
                   </button>
                   );
                 })}
@@ -646,6 +720,43 @@ export default function Dashboard() {
               </div>
             )}
           </section>
+
+          {/* Deleted goals (soft-deleted, restorable) */}
+          {deletedGoals.length > 0 && (
+            <section className="space-y-4 rounded-3xl border border-[#292018] bg-[#17110b]/60 p-6 sm:p-8">
+              <div>
+                <h2 className="text-base font-semibold text-[var(--text-primary)]">
+                  Deleted goals
+                </h2>
+                <p className="text-xs text-[var(--text-secondary)]">
+                  Hidden from your dashboard. Their history is kept; restore one to bring it back.
+                </p>
+              </div>
+              <ul className="divide-y divide-[#292018]">
+                {deletedGoals.map((goal) => (
+                  <li key={goal.id} className="flex items-center justify-between gap-4 py-3 text-sm">
+                    <span className="text-[var(--text-primary)]">
+                      {formatTokenAmount(goal.investedAmount, goal.coin)} of {formatTokenAmount(goal.targetAmount, goal.coin)}
+                      <span className="ml-2 text-xs text-[var(--text-secondary)]">
+                        {goal.status} • deleted{' '}
+                        {new Date(goal.deletedAt).toLocaleDateString('en-US', {
+                          month: 'short',
+                          day: 'numeric',
+                          year: 'numeric',
+                        })}
+                      </span>
+                    </span>
+                    <button
+                      onClick={() => handleRestoreGoal(goal.id)}
+                      className="text-xs text-[var(--accent)] hover:underline"
+                    >
+                      Restore
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
         </div>
       </main>
 
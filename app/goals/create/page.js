@@ -5,10 +5,12 @@ import { useRouter } from 'next/navigation';
 import { usePrivy } from '@privy-io/react-auth';
 import Link from 'next/link';
 import UserProfileBadge from '@/components/UserProfileBadge';
+import GoalProjectionChart from '@/components/GoalProjectionChart';
 import { getWalletAddressFromPrivy } from '@/lib/user';
 import { useToast } from '@/components/ToastContainer';
 import { launchCelebration } from '@/lib/celebration';
 import { getGoalCreationToast } from '@/lib/celebrationMessages';
+import { computeNextRunAt, listRunDates } from '@/lib/schedule';
 
 const COIN_OPTIONS = [
   {
@@ -31,7 +33,29 @@ const COIN_OPTIONS = [
 const FREQUENCY_OPTIONS = [
   { value: 'DAILY', label: 'Daily', helper: 'Micro-purchases every day' },
   { value: 'WEEKLY', label: 'Weekly', helper: 'Automate your weekend buys' },
-  { value: 'MONTHLY', label: 'Monthly', helper: 'Align with payday momentum' }
+  { value: 'BIWEEKLY', label: 'Bi-weekly', helper: 'Every other payday' },
+  { value: 'MONTHLY', label: 'Monthly', helper: 'Align with payday momentum' },
+  { value: 'QUARTERLY', label: 'Quarterly', helper: 'Fewer, larger buys' },
+  { value: 'CUSTOM', label: 'Custom', helper: 'Pick your own days' }
+];
+
+// Cron: minute hour day-of-month month day-of-week, in the account time zone
+const CUSTOM_SCHEDULE_PRESETS = [
+  { label: '1st and 15th', cron: '0 9 1,15 * *' },
+  { label: 'Every Friday', cron: '0 9 * * 5' },
+  { label: 'Weekdays', cron: '0 9 * * 1-5' }
+];
+
+const STRATEGY_OPTIONS = [
+  { value: 'FIXED', label: 'Fixed', helper: 'Same amount every time' },
+  { value: 'VALUE_AVERAGING', label: 'Value averaging', helper: 'Top up to a growing target' },
+  { value: 'BUY_THE_DIP', label: 'Buy the dip', helper: 'Invest more after a drawdown' }
+];
+
+const OVERFLOW_OPTIONS = [
+  { value: 'KEEP', label: 'Keep', helper: 'Extra coin stays with this goal' },
+  { value: 'ROLLOVER', label: 'Roll over', helper: 'Extra coin starts your next goal' },
+  { value: 'EXACT', label: 'Land exactly', helper: 'Last buy is sized to hit the target' }
 ];
 
 const formatCurrency = (value) =>
@@ -52,12 +76,20 @@ export default function CreateGoalPage() {
     coin: 'BTC',
     targetAmount: 1,
     frequency: 'MONTHLY',
-    amountPerInterval: 5000
+    amountPerInterval: 5000,
+    strategy: 'FIXED',
+    overflowPolicy: 'KEEP'
   });
   const [goalName, setGoalName] = useState('BTC Investment Goal');
   const [estimatedCompletion, setEstimatedCompletion] = useState(null);
   const [loadingEstimate, setLoadingEstimate] = useState(false);
   const [coinPriceUSD, setCoinPriceUSD] = useState(null);
+  const [registeredTokens, setRegisteredTokens] = useState([]);
+  const [contributionPreview, setContributionPreview] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [simulationError, setSimulationError] = useState('');
+  const [accountTimeZone, setAccountTimeZone] = useState('UTC');
+  const browserTimeZone = useMemo(() => Intl.DateTimeFormat().resolvedOptions().timeZone, []);
 
   // Redirect if not authenticated
   useEffect(() => {
@@ -66,6 +98,76 @@ export default function CreateGoalPage() {
     }
   }, [ready, authenticated, router]);
 
+  // Schedules run in the account time zone
+  useEffect(() => {
+    if (!authenticated) return;
+    fetch('/api/user', { credentials: 'include' })
+      .then((response) => response.json())
+      .then((data) => {
+        if (data.success && data.user?.timezone) {
+          setAccountTimeZone(data.user.timezone);
+        }
+      })
+      .catch((error) => console.error('Failed to load account time zone:', error));
+  }, [authenticated]);
+
+  const adoptBrowserTimeZone = async () => {
+    try {
+      const response = await fetch('/api/user', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ timezone: browserTimeZone })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setAccountTimeZone(data.user.timezone);
+      }
+    } catch (error) {
+      console.error('Failed to update time zone:', error);
+    }
+  };
+
+  const setFrequency = (frequency) => {
+    setFormData({
+      ...formData,
+      frequency,
+      schedule: frequency === 'CUSTOM' ? { cron: CUSTOM_SCHEDULE_PRESETS[0].cron } : undefined
+    });
+  };
+
+  const upcomingRuns = useMemo(() => {
+    try {
+      return listRunDates(new Date(), formData.frequency, 3, {
+        schedule: formData.schedule,
+        timeZone: accountTimeZone
+      });
+    } catch {
+      return [];
+    }
+  }, [formData.frequency, formData.schedule, accountTimeZone]);
+
+  // Load every token a goal can target (featured coins are shown as cards)
+  useEffect(() => {
+    const fetchTokens = async () => {
+      try {
+        const response = await fetch('/api/tokens');
+        const data = await response.json();
+        if (data.success) {
+          setRegisteredTokens(data.tokens);
+        }
+      } catch (err) {
+        console.error('Error fetching tokens:', err);
+      }
+    };
+    fetchTokens();
+  }, []);
+
+  const moreTokens = useMemo(
+    () => registeredTokens.filter((token) => !COIN_OPTIONS.some((option) => option.value === token.symbol)),
+    [registeredTokens]
+  );
+
   // Update goal name when coin changes
   useEffect(() => {
     const coinNames = {
@@ -73,8 +175,9 @@ export default function CreateGoalPage() {
       'ETH': 'Ethereum',
       'SOL': 'Solana'
     };
-    setGoalName(`${coinNames[formData.coin] || formData.coin} Investment Goal`);
-  }, [formData.coin]);
+    const tokenName = registeredTokens.find((token) => token.symbol === formData.coin)?.name;
+    setGoalName(`${coinNames[formData.coin] || tokenName || formData.coin} Investment Goal`);
+  }, [formData.coin, registeredTokens]);
 
   // Calculate estimated completion time
   useEffect(() => {
@@ -126,17 +229,21 @@ export default function CreateGoalPage() {
             return;
           }
           
-          const daysPerInterval = {
-            'DAILY': 1,
-            'WEEKLY': 7,
-            'MONTHLY': 30
-          }[formData.frequency];
-          
-          const daysToComplete = intervalsNeeded * daysPerInterval;
-          const monthsToComplete = Math.ceil(daysToComplete / 30);
+          // Walk the real schedule: calendar months, custom days, account time zone
+          const now = new Date();
+          let estimatedDate = now;
+          for (let i = 0; i < intervalsNeeded; i++) {
+            estimatedDate = computeNextRunAt(estimatedDate, formData.frequency, {
+              schedule: formData.schedule,
+              timeZone: accountTimeZone
+            });
+          }
           
-          const estimatedDate = new Date();
-          estimatedDate.setDate(estimatedDate.getDate() + daysToComplete);
+          const daysToComplete = Math.ceil((estimatedDate.getTime() - now.getTime()) / (24 * 60 * 60 * 1000));
+          const monthsToComplete =
+            (estimatedDate.getFullYear() - now.getFullYear()) * 12 +
+            (estimatedDate.getMonth() - now.getMonth()) +
+            (estimatedDate.getDate() > now.getDate() ? 1 : 0);
 
           setEstimatedCompletion({
             monthsToComplete,
@@ -161,7 +268,80 @@ export default function CreateGoalPage() {
     // Debounce calculation
     const timeoutId = setTimeout(calculateEstimate, 500);
     return () => clearTimeout(timeoutId);
-  }, [formData.coin, formData.targetAmount, formData.amountPerInterval, formData.frequency]);
+  }, [
+    formData.coin,
+    formData.targetAmount,
+    formData.amountPerInterval,
+    formData.frequency,
+    formData.schedule,
+    accountTimeZone
+  ]);
+
+  // Preview the first contribution the chosen strategy would make
+  useEffect(() => {
+    if (!formData.coin || !(formData.amountPerInterval >= 10)) {
+      setContributionPreview(null);
+      return;
+    }
+
+    const loadPreview = async () => {
+      try {
+        const response = await fetch('/api/strategies/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({
+            coin: formData.coin,
+            amountPerInterval: formData.amountPerInterval,
+            strategy: formData.strategy
+          })
+        });
+        const data = await response.json();
+        setContributionPreview(data.success ? data.contribution : null);
+      } catch (error) {
+        console.error('Failed to preview contribution:', error);
+        setContributionPreview(null);
+      }
+    };
+
+    const timeoutId = setTimeout(loadPreview, 500);
+    return () => clearTimeout(timeoutId);
+  }, [formData.coin, formData.amountPerInterval, formData.strategy]);
+
+  // Backtest the plan against stored price history
+  useEffect(() => {
+    if (
+      !formData.coin ||
+      !(formData.targetAmount > 0) ||
+      !(formData.amountPerInterval >= 10) ||
+      !formData.frequency
+    ) {
+      setSimulation(null);
+      setSimulationError('');
+      return;
+    }
+
+    const runSimulation = async () => {
+      try {
+        const response = await fetch('/api/goals/simulate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify(formData)
+        });
+        const data = await response.json();
+        setSimulation(data.success ? data.simulation : null);
+        setSimulationError(data.success ? '' : data.error?.message || 'Backtest unavailable');
+      } catch (error) {
+        console.error('Failed to simulate goal:', error);
+        setSimulation(null);
+        setSimulationError('Backtest unavailable');
+      }
+    };
+
+    const timeoutId = setTimeout(runSimulation, 500);
+    return () => clearTimeout(timeoutId);
+  }, [formData]);
 
   const avatarUrl = useMemo(() => {
     if (!user?.linkedAccounts || !Array.isArray(user.linkedAccounts)) return null;
@@ -415,6 +595,35 @@ export default function CreateGoalPage() {
                   );
                 })}
               </div>
+
+              {moreTokens.length > 0 && (
+                <div className="mt-6">
+                  <p className="text-[0.62rem] uppercase tracking-[0.26em] text-[var(--text-secondary)]">
+                    More tokens
+                  </p>
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {moreTokens.map((token) => {
+                      const isActive = formData.coin === token.symbol;
+                      return (
+                        <button
+                          key={token.mint}
+                          type="button"
+                          title={`${token.name} (up to ${token.maxTarget.toLocaleString('en-US')} ${token.symbol})`}
+                          onClick={() => setFormData({ ...formData, coin: token.symbol })}
+                          className={`rounded-full border px-4 py-2 text-xs font-semibold uppercase tracking-[0.2em] transition-colors ${
+                            isActive
+                              ? 'border-[var(--accent)] bg-[var(--accent)]/15 text-[var(--accent)]'
+                              : 'border-[#2a2016] bg-[#140d08] text-[var(--text-secondary)] hover:border-[var(--accent)]/50'
+                          }`}
+                          aria-pressed={isActive}
+                        >
+                          {token.symbol}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
             </section>
 
             <section className="rounded-3xl border border-[#292018] bg-[#17110b]/85 p-6 shadow-[0_24px_80px_rgba(0,0,0,0.55)] sm:p-8">
@@ -496,7 +705,7 @@ export default function CreateGoalPage() {
                         <button
                           key={freq.value}
                           type="button"
-                          onClick={() => setFormData({ ...formData, frequency: freq.value })}
+                          onClick={() => setFrequency(freq.value)}
                           className={`flex h-full flex-col items-start gap-2 rounded-2xl border p-4 text-left transition ${
                             isActive
                               ? 'border-[var(--accent)] bg-[#1f150c] text-[var(--text-primary)] shadow-[0_18px_60px_rgba(255,159,28,0.15)]'
@@ -512,6 +721,68 @@ export default function CreateGoalPage() {
                       );
                     })}
                   </div>
+                  {formData.frequency === 'CUSTOM' && (
+                    <div className="flex flex-col gap-3 rounded-2xl border border-[#292018] bg-[#150e08] p-4">
+                      <div className="flex flex-wrap gap-2">
+                        {CUSTOM_SCHEDULE_PRESETS.map((preset) => (
+                          <button
+                            key={preset.cron}
+                            type="button"
+                            onClick={() => setFormData({ ...formData, schedule: { cron: preset.cron } })}
+                            className={`rounded-full border px-3 py-1 text-xs transition ${
+                              formData.schedule?.cron === preset.cron
+                                ? 'border-[var(--accent)] text-[var(--text-primary)]'
+                                : 'border-[#392715] text-[var(--text-secondary)] hover:text-[var(--text-primary)]'
+                            }`}
+                          >
+                            {preset.label}
+                          </button>
+                        ))}
+                      </div>
+                      <label className="flex flex-col gap-2 text-xs text-[var(--text-secondary)]">
+                        Cron (minute hour day-of-month month day-of-week)
+                        <input
+                          id="custom-schedule"
+                          type="text"
+                          value={formData.schedule?.cron ?? ''}
+                          onChange={(e) => setFormData({ ...formData, schedule: { cron: e.target.value } })}
+                          className="h-10 w-full rounded-full border border-[#392715] bg-[#1a120a] px-4 font-mono text-sm text-[var(--text-primary)] focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--accent)]/60"
+                        />
+                      </label>
+                    </div>
+                  )}
+                  <div className="text-xs text-[var(--text-secondary)]">
+                    {upcomingRuns.length > 0 ? (
+                      <span>
+                        Next buys:{' '}
+                        <span className="text-[var(--text-primary)]">
+                          {upcomingRuns
+                            .map((date) =>
+                              new Intl.DateTimeFormat('en-US', {
+                                month: 'short',
+                                day: 'numeric',
+                                hour: 'numeric',
+                                minute: '2-digit',
+                                timeZone: accountTimeZone
+                              }).format(date)
+                            )
+                            .join(' · ')}
+                        </span>{' '}
+                        ({accountTimeZone})
+                      </span>
+                    ) : (
+                      <span className="text-red-300">Enter a valid schedule to see upcoming buys.</span>
+                    )}
+                    {browserTimeZone && browserTimeZone !== accountTimeZone && (
+                      <button
+                        type="button"
+                        onClick={adoptBrowserTimeZone}
+                        className="ml-2 underline decoration-dotted hover:text-[var(--text-primary)]"
+                      >
+                        Use {browserTimeZone}
+                      </button>
+                    )}
+                  </div>
                 </div>
 
                 <label className="flex flex-col gap-3 rounded-2xl border border-[#292018] bg-[#150e08] p-5 text-sm text-[var(--text-secondary)]">
@@ -539,6 +810,73 @@ export default function CreateGoalPage() {
                   </span>
                 </label>
               </div>
+
+              <div className="mt-6 flex flex-col gap-4">
+                <span className="text-xs uppercase tracking-[0.26em] text-[var(--text-secondary)]">
+                  Contribution strategy
+                </span>
+                <div className="grid gap-3 sm:grid-cols-3">
+                  {STRATEGY_OPTIONS.map((option) => {
+                    const isActive = formData.strategy === option.value;
+                    return (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => setFormData({ ...formData, strategy: option.value })}
+                        className={`flex h-full flex-col items-start gap-2 rounded-2xl border p-4 text-left transition ${
+                          isActive
+                            ? 'border-[var(--accent)] bg-[#1f150c] text-[var(--text-primary)] shadow-[0_18px_60px_rgba(255,159,28,0.15)]'
+                            : 'border-[#2a2016] bg-[#140d08] text-[var(--text-secondary)] hover:border-[var(--accent)]/40 hover:text-[var(--text-primary)]'
+                        }`}
+                        aria-pressed={isActive}
+                      >
+                        <span className="text-sm font-semibold uppercase tracking-[0.24em]">
+                          {option.label}
+                        </span>
+                        <span className="text-xs text-[var(--text-secondary)]/80">{option.helper}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+                {contributionPreview && (
+                  <p className="text-xs text-[var(--text-secondary)]">
+                    Next contribution:{' '}
+                    <span className="font-medium text-[var(--text-primary)]">
+                      {formatCurrency(contributionPreview.amountUsd)}
+                    </span>
+                    {contributionPreview.reason ? ` — ${contributionPreview.reason}` : ''}
+                  </p>
+                )}
+              </div>
+
+              <div className="mt-6 flex flex-col gap-4">
+                <span className="text-xs uppercase tracking-[0.26em] text-[var(--text-secondary)]">
+                  When the last buy overshoots
+                </span>
+                <div className="grid gap-3 sm:grid-cols-3">
+                  {OVERFLOW_OPTIONS.map((option) => {
+                    const isActive = formData.overflowPolicy === option.value;
+                    return (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => setFormData({ ...formData, overflowPolicy: option.value })}
+                        className={`flex h-full flex-col items-start gap-2 rounded-2xl border p-4 text-left transition ${
+                          isActive
+                            ? 'border-[var(--accent)] bg-[#1f150c] text-[var(--text-primary)] shadow-[0_18px_60px_rgba(255,159,28,0.15)]'
+                            : 'border-[#2a2016] bg-[#140d08] text-[var(--text-secondary)] hover:border-[var(--accent)]/40 hover:text-[var(--text-primary)]'
+                        }`}
+                        aria-pressed={isActive}
+                      >
+                        <span className="text-sm font-semibold uppercase tracking-[0.24em]">
+                          {option.label}
+                        </span>
+                        <span className="text-xs text-[var(--text-secondary)]/80">{option.helper}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
             </section>
 
             <section className="rounded-3xl border border-[#292018] bg-[#17110b]/85 p-6 shadow-[0_24px_80px_rgba(0,0,0,0.55)] sm:p-8">
@@ -634,6 +972,47 @@ export default function CreateGoalPage() {
                   </div>
                 )}
               </div>
+
+              {(simulation || simulationError) && (
+                <div className="mt-6 rounded-2xl border border-[#292018] bg-[#150e08] p-6">
+                  <p className="text-xs uppercase tracking-[0.26em] text-[var(--text-secondary)]">
+                    Backtest against past prices
+                  </p>
+                  {simulation ? (
+                    <div className="mt-4 space-y-4">
+                      <div className="grid gap-3 sm:grid-cols-3">
+                        {['optimistic', 'median', 'pessimistic'].map((name) => {
+                          const projection = simulation.projections[name];
+                          return (
+                            <div key={name} className="rounded-2xl border border-[#292018] bg-[#1a120a] p-4">
+                              <span className="text-[10px] uppercase tracking-[0.24em] text-[var(--text-secondary)]">
+                                {name}
+                              </span>
+                              <p className="mt-1 text-lg font-semibold text-[var(--text-primary)]">
+                                {projection.completed
+                                  ? formatDate(new Date(projection.completionDate))
+                                  : 'Not within 20 years'}
+                              </p>
+                              {projection.completed && (
+                                <p className="text-xs text-[var(--text-secondary)]">
+                                  {formatCurrency(projection.totalUsd)} over {projection.intervals} buys
+                                </p>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                      <GoalProjectionChart series={simulation.series} />
+                      <p className="text-xs text-[var(--text-secondary)]">
+                        Replays {simulation.history.days} days of {simulation.coin} price moves from{' '}
+                        {simulation.scenarios} different starting points. Past prices do not predict future ones.
+                      </p>
+                    </div>
+                  ) : (
+                    <p className="mt-3 text-sm text-[var(--text-secondary)]">{simulationError}</p>
+                  )}
+                </div>
+              )}
             </section>
 
             {error && (
@@ -0,0 +1,111 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import { usePrivy } from '@privy-io/react-auth';
+import Link from 'next/link';
+import { useToast } from '@/components/ToastContainer';
+
+const ROLE_DESCRIPTIONS = {
+  OWNER: 'manage the goal and its members',
+  CONTRIBUTOR: 'buy into the goal from your own wallet',
+  VIEWER: 'follow its progress and history'
+};
+
+export default function InvitePage() {
+  const router = useRouter();
+  const { token } = useParams();
+  const { ready, authenticated } = usePrivy();
+  const { addToast } = useToast();
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState('');
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    if (ready && !authenticated) {
+      router.push('/');
+    }
+  }, [ready, authenticated, router]);
+
+  useEffect(() => {
+    if (!authenticated || !token) return;
+    fetch(`/api/invites/${token}`, { credentials: 'include' })
+      .then((response) => response.json())
+      .then((data) => {
+        if (data.success) {
+          setInvite(data.invite);
+        } else {
+          setError(data.error?.message || 'Invite not found');
+        }
+      })
+      .catch(() => setError('Failed to load invite'));
+  }, [authenticated, token]);
+
+  const acceptInvite = async () => {
+    setAccepting(true);
+    try {
+      const response = await fetch(`/api/invites/${token}`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.message || 'Failed to accept invite');
+      }
+      addToast(`You joined the goal as ${data.role === 'OWNER' ? 'an owner' : `a ${data.role.toLowerCase()}`}.`, 'success', 5000);
+      router.push('/dashboard');
+    } catch (err) {
+      setError(err.message);
+      setAccepting(false);
+    }
+  };
+
+  return (
+    <div className="relative flex min-h-screen w-full items-center justify-center bg-[var(--bg-main)] px-6 text-[var(--text-primary)]">
+      <div className="w-full max-w-md rounded-3xl border border-[var(--border-subtle)] bg-[var(--bg-elevated)] p-8 shadow-[0_20px_60px_rgba(0,0,0,0.35)]">
+        <p className="text-[10px] uppercase tracking-[0.26em] text-[var(--text-secondary)]">Goal invite</p>
+
+        {error && (
+          <p className="mt-4 text-sm text-red-400">{error}</p>
+        )}
+
+        {!invite && !error && (
+          <p className="mt-4 text-sm text-[var(--text-secondary)]">Loading invite…</p>
+        )}
+
+        {invite && (
+          <>
+            <h1 className="mt-3 text-2xl font-semibold">
+              {invite.goal.kind === 'BASKET' ? 'Basket goal' : `${invite.goal.coin} goal`}
+            </h1>
+            <p className="mt-2 text-sm text-[var(--text-secondary)]">
+              {invite.invitedBy} invited you as {invite.role === 'OWNER' ? 'an owner' : `a ${invite.role.toLowerCase()}`}: you can {ROLE_DESCRIPTIONS[invite.role]}.
+            </p>
+            <p className="mt-4 text-sm">
+              Progress: <span className="text-[var(--accent)]">{invite.goal.progressPercentage.toFixed(1)}%</span>
+            </p>
+
+            {invite.status === 'PENDING' ? (
+              <button
+                type="button"
+                onClick={acceptInvite}
+                disabled={accepting}
+                className="mt-6 w-full rounded-full bg-[var(--accent)] px-6 py-3 text-sm font-semibold text-[#0d0804] transition-opacity disabled:opacity-60"
+              >
+                {accepting ? 'Joining…' : 'Join goal'}
+              </button>
+            ) : (
+              <p className="mt-6 text-sm text-[var(--text-secondary)]">
+                This invite is {invite.status.toLowerCase()}.
+              </p>
+            )}
+          </>
+        )}
+
+        <Link href="/dashboard" className="mt-6 block text-center text-xs uppercase tracking-[0.24em] text-[var(--text-secondary)] hover:text-[var(--accent)]">
+          Back to dashboard
+        </Link>
+      </div>
+    </div>
+  );
+}
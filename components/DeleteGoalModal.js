@@ -68,7 +68,7 @@ export default function DeleteGoalModal({ isOpen, onClose, onConfirm, goalName }
                     You're making real progress toward your target.
                   </p>
                   <p>
-                    Deleting this goal will remove all history, progress, and momentum.
+                    Deleting this goal stops its recurring buys and hides it from your dashboard. Its history is kept, and you can restore it later.
                   </p>
                   <p>
                     Most users keep their goals and continue stacking — it's the best way to reach long-term milestones.
@@ -0,0 +1,42 @@
+const WIDTH = 600;
+const HEIGHT = 160;
+
+const toPoint = (index, pct, count) => {
+  const x = count > 1 ? (index / (count - 1)) * WIDTH : 0;
+  const y = HEIGHT - (Math.min(100, Math.max(0, pct)) / 100) * HEIGHT;
+  return `${x.toFixed(1)},${y.toFixed(1)}`;
+};
+
+/**
+ * Backtested progress over time: the median path inside the
+ * optimistic/pessimistic band (series from POST /api/goals/simulate)
+ */
+export default function GoalProjectionChart({ series }) {
+  if (!Array.isArray(series) || series.length < 2) return null;
+
+  const count = series.length;
+  const median = series.map((point, i) => toPoint(i, point.progressPct.median, count)).join(' ');
+  const band = [
+    ...series.map((point, i) => toPoint(i, point.progressPct.optimistic, count)),
+    ...series.map((point, i) => toPoint(i, point.progressPct.pessimistic, count)).reverse()
+  ].join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      preserveAspectRatio="none"
+      className="h-40 w-full"
+      role="img"
+      aria-label="Projected goal progress over time"
+    >
+      <polygon points={band} fill="var(--accent)" fillOpacity="0.15" />
+      <polyline
+        points={median}
+        fill="none"
+        stroke="var(--accent)"
+        strokeWidth="2"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+}
@@ -7,6 +7,21 @@ const NETWORK_CLUSTER = {
   MAINNET: 'mainnet-beta',
 };
 
+const formatUsd = (value) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 2,
+  }).format(Number(value || 0));
+
+const formatSignedUsd = (value) => `${value >= 0 ? '+' : '−'}${formatUsd(Math.abs(value))}`;
+
+const STRATEGY_LABELS = {
+  DCA: 'DCA came out ahead',
+  LUMP_SUM: 'A lump sum would have done better',
+  EVEN: 'DCA and a lump sum came out even',
+};
+
 export default function HoldingsDetailModal({ holding, onClose }) {
   const explorerRows = useMemo(() => {
     if (!holding?.swaps) return [];
@@ -48,6 +63,48 @@ export default function HoldingsDetailModal({ holding, onClose }) {
           </p>
         </header>
 
+        {holding.averageEntryPriceUSD !== null && holding.averageEntryPriceUSD !== undefined && (
+          <section className="mb-5 grid grid-cols-2 gap-3 text-sm sm:grid-cols-4">
+            <div className="rounded-2xl border border-[#2f2117] bg-[#1b120a] p-3">
+              <p className="text-[0.62rem] uppercase tracking-[0.2em] text-[var(--text-secondary)]">Cost basis</p>
+              <p className="mt-1 font-semibold">{formatUsd(holding.costBasisUSD)}</p>
+            </div>
+            <div className="rounded-2xl border border-[#2f2117] bg-[#1b120a] p-3">
+              <p className="text-[0.62rem] uppercase tracking-[0.2em] text-[var(--text-secondary)]">Avg entry</p>
+              <p className="mt-1 font-semibold">{formatUsd(holding.averageEntryPriceUSD)}</p>
+            </div>
+            <div className="rounded-2xl border border-[#2f2117] bg-[#1b120a] p-3">
+              <p className="text-[0.62rem] uppercase tracking-[0.2em] text-[var(--text-secondary)]">Current price</p>
+              <p className="mt-1 font-semibold">
+                {holding.currentPriceUSD ? formatUsd(holding.currentPriceUSD) : '—'}
+              </p>
+            </div>
+            <div className="rounded-2xl border border-[#2f2117] bg-[#1b120a] p-3">
+              <p className="text-[0.62rem] uppercase tracking-[0.2em] text-[var(--text-secondary)]">Unrealized P&amp;L</p>
+              {holding.unrealizedPnlUSD === null ? (
+                <p className="mt-1 font-semibold">—</p>
+              ) : (
+                <p
+                  className={`mt-1 font-semibold ${
+                    holding.unrealizedPnlUSD >= 0 ? 'text-emerald-300' : 'text-red-300'
+                  }`}
+                >
+                  {formatSignedUsd(holding.unrealizedPnlUSD)} ({holding.unrealizedPnlPercentage}%)
+                </p>
+              )}
+            </div>
+            {holding.dcaVsLumpSum && (
+              <p className="col-span-2 text-xs text-[var(--text-secondary)] sm:col-span-4">
+                {STRATEGY_LABELS[holding.dcaVsLumpSum.better]}: {holding.dcaVsLumpSum.dcaAmount} {holding.coin} via DCA
+                vs {holding.dcaVsLumpSum.lumpSumAmount} {holding.coin} buying everything at the first price
+                ({formatUsd(holding.dcaVsLumpSum.firstBuyPriceUSD)}).
+                {holding.uncostedSwapCount > 0 &&
+                  ` ${holding.uncostedSwapCount} older swap${holding.uncostedSwapCount === 1 ? ' has' : 's have'} no recorded cost and ${holding.uncostedSwapCount === 1 ? 'is' : 'are'} excluded.`}
+              </p>
+            )}
+          </section>
+        )}
+
         <section className="space-y-5">
           <div className="rounded-2xl border border-[#2f2117] bg-[#1b120a] p-4">
             <h3 className="text-sm font-semibold uppercase tracking-[0.16em] text-[var(--text-secondary)]">
@@ -79,7 +136,7 @@ export default function HoldingsDetailModal({ holding, onClose }) {
                           {Number(swap.amountCrypto || 0).toFixed(6)} {holding.coin}
                         </td>
                         <td className="py-3 align-top text-[var(--text-secondary)]">
-                          {swap.amountUsd ? `$${swap.amountUsd.toFixed(2)}` : '—'}
+                          {(swap.costUsd ?? swap.amountUsd) ? formatUsd(swap.costUsd ?? swap.amountUsd) : '—'}
                         </td>
                         <td className="py-3 align-top">
                           <span
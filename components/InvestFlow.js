@@ -7,8 +7,8 @@ import CancelInvestmentModal from './CancelInvestmentModal';
 import RetryCard from './RetryCard';
 import SwapCard from './SwapCard';
 import { useToast } from './ToastContainer';
-import { launchCelebration } from '@/lib/celebration';
-import { getInvestmentSuccessMessage } from '@/lib/celebrationMessages';
+import { launchCelebration, launchMilestoneCelebration } from '@/lib/celebration';
+import { getInvestmentSuccessMessage, getMilestoneMessage } from '@/lib/celebrationMessages';
 import CryptoTradeCardModal from './CryptoTradeCardModal';
 
 /**
@@ -138,6 +138,14 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
     console.log(`[${type.toUpperCase()}] ${message}`);
   };
 
+  // Milestones the confirmed swap crossed (execute response), on top of the regular celebration
+  const celebrateMilestones = (coin, milestones) => {
+    const milestoneMessage = getMilestoneMessage(coin, milestones);
+    if (!milestoneMessage) return;
+    launchMilestoneCelebration();
+    addToast(milestoneMessage.title, 'success', 7000);
+  };
+
   // Helper function to safely format price impact (handles string/null/undefined from Jupiter API)
   const formatPriceImpact = (value) => {
     const num = Number(value);
@@ -530,6 +538,7 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
       const coinAmount = executeData.btcAmount || executeData.amount || 0;
       const successMessage = getInvestmentSuccessMessage(coin, coinAmount);
       addToast(successMessage.title, 'success', 5000);
+      celebrateMilestones(coin, executeData.milestones);
       
       // Launch celebration
       launchCelebration();
@@ -819,6 +828,7 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
           const coinAmount = data.btcAmount || data.amount || 0;
           const successMessage = getInvestmentSuccessMessage(coin, coinAmount);
           addToast(successMessage.title, 'success', 5000);
+          celebrateMilestones(coin, data.milestones);
           
           showNotification('Investment complete!', 'success');
           // Reset slippage state on successful completion
@@ -946,6 +956,7 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
                     const coinAmount = retryData.btcAmount || retryData.amount || 0;
                     const successMessage = getInvestmentSuccessMessage(coin, coinAmount);
                     addToast(successMessage.title, 'success', 5000);
+                    celebrateMilestones(coin, retryData.milestones);
                     
                     showNotification('Investment complete!', 'success');
                     hasMountedRef.current = false; // Reset guard on success
@@ -1054,6 +1065,7 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
                   const coinAmount = retryData.btcAmount || retryData.amount || 0;
                   const successMessage = getInvestmentSuccessMessage(coin, coinAmount);
                   addToast(successMessage.title, 'success', 5000);
+                  celebrateMilestones(coin, retryData.milestones);
                   showNotification('Investment complete!', 'success');
                   setSlippageRetryCount(0);
                   setCurrentSlippageBps(50);
@@ -1249,7 +1261,7 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
           // Transaction submitted but pending confirmation
           showNotification('Transaction submitted! Waiting for confirmation...', 'info');
           setCurrentStep('executing');
-          // Status component will handle polling
+          // Status component follows the batch and finishes the flow
         } else {
           // Confirmed immediately
           // Launch celebration for investment success
@@ -1260,6 +1272,7 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
           const coinAmount = data.btcAmount || data.amount || 0;
           const successMessage = getInvestmentSuccessMessage(coin, coinAmount);
           addToast(successMessage.title, 'success', 5000);
+          celebrateMilestones(coin, data.milestones);
           
           showNotification('Investment complete!', 'success');
           // Reset slippage state on successful completion
@@ -1344,6 +1357,40 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
     }
   };
 
+  // Streamed batch state (InvestmentStatus): finish a pending swap once it confirms
+  const handleBatchStateChange = (state, status) => {
+    if (currentStep !== 'executing') return;
+
+    if (state === 'SWAP_CONFIRMED') {
+      launchCelebration();
+      showNotification('Investment complete!', 'success');
+      setSlippageRetryCount(0);
+      setCurrentSlippageBps(50);
+      hasMountedRef.current = false;
+      setCurrentStep('complete');
+      if (onSuccess) {
+        onSuccess(status);
+      }
+    } else if (state === 'FAILED') {
+      setError(status.failureReason || 'Swap failed on-chain');
+      showNotification(status.failureReason || 'Investment failed', 'error');
+    }
+  };
+
+  // Streamed goal progress replaces a refetch of /api/progress
+  const handleBatchProgress = (progress) => {
+    setGoalInfo((current) => ({
+      ...current,
+      coin: progress.coin,
+      targetAmount: progress.targetAmount,
+      investedAmount: progress.investedAmount,
+    }));
+    setProgressInfo({
+      progressPercentage: progress.percentage,
+      investedAmount: progress.investedAmount,
+    });
+  };
+
   // Reset flow to initial state
   const resetFlow = () => {
     console.log('[TEST] Resetting flow...');
@@ -1545,6 +1592,8 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
           batchId={batchId}
           onCancel={() => setShowCancelModal(true)}
           onReQuote={() => handleQuote()}
+          onStateChange={handleBatchStateChange}
+          onProgress={handleBatchProgress}
         />
 
         {/* Test Buttons in Debug Mode */}
@@ -1,70 +1,31 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useEffect, useRef } from 'react';
+import { useInvestmentEvents } from '@/lib/investment-events-client';
 
 /**
  * InvestmentStatus component
- * Polls investment status and displays state progression
+ * Follows investment status over the events stream (polling as a fallback)
+ * and displays state progression
  */
-export default function InvestmentStatus({ batchId, onCancel, onReQuote }) {
-  const [status, setStatus] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [polling, setPolling] = useState(false);
+export default function InvestmentStatus({ batchId, onCancel, onReQuote, onStateChange, onProgress }) {
+  const { status, secondsRemaining, progress, connection, error, refresh } = useInvestmentEvents(batchId);
+  const loading = !status && !error;
+  const lastStateRef = useRef(null);
 
   useEffect(() => {
-    if (!batchId) return;
+    if (!status || status.state === lastStateRef.current) return;
+    lastStateRef.current = status.state;
+    if (onStateChange) {
+      onStateChange(status.state, status);
+    }
+  }, [status, onStateChange]);
 
-    fetchStatus();
-    
-    // Poll every 2-4 seconds if in pending state
-    const interval = setInterval(() => {
-      const shouldPoll = status && (
-        status.state === 'SWAP_SUBMITTED' ||
-        status.state === 'PENDING_ONRAMP' ||
-        status.state === 'ONRAMP_CONFIRMED' ||
-        status.state === 'QUOTED'
-      );
-      
-      if (shouldPoll && !polling) {
-        fetchStatus();
-      }
-    }, 3000); // Poll every 3 seconds
-
-    return () => clearInterval(interval);
-  }, [batchId, status?.state, polling]);
-
-  const fetchStatus = async () => {
-    if (polling) return;
-    
-    setPolling(true);
-    try {
-      const response = await fetch(`/api/investments/${batchId}/status`, {
-        credentials: 'include',
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        setStatus(data);
-        setError('');
-        
-        // Stop polling if confirmed or canceled
-        if (data.state === 'SWAP_CONFIRMED' || data.state === 'CANCELED' || data.state === 'FAILED') {
-          setPolling(false);
-        }
-      } else {
-        setError(data.error?.message || 'Failed to fetch status');
-      }
-    } catch (err) {
-      setError('Network error. Please try again.');
-      console.error('Status fetch error:', err);
-    } finally {
-      setLoading(false);
-      // Reset polling flag after a delay
-      setTimeout(() => setPolling(false), 1000);
+  useEffect(() => {
+    if (progress && onProgress) {
+      onProgress(progress);
     }
-  };
+  }, [progress?.investedAmountRaw, onProgress]);
 
   const getStateDisplay = (state) => {
     const states = {
@@ -117,7 +78,7 @@ export default function InvestmentStatus({ batchId, onCancel, onReQuote }) {
       <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
         <p className="text-red-700 text-sm">{error}</p>
         <button
-          onClick={fetchStatus}
+          onClick={refresh}
           className="mt-2 text-xs text-red-600 hover:text-red-800 underline"
         >
           Retry
@@ -161,6 +122,16 @@ export default function InvestmentStatus({ batchId, onCancel, onReQuote }) {
                 You can keep using the app; we&apos;ll notify you when it lands.
               </p>
             )}
+            {status.state === 'QUOTED' && secondsRemaining !== null && (
+              <p className="text-xs text-black mt-1">
+                {secondsRemaining > 0
+                  ? `Quote expires in ${secondsRemaining}s`
+                  : 'Quote expiring...'}
+              </p>
+            )}
+            {connection === 'polling' && (
+              <p className="text-xs text-gray-500 mt-1">Live updates unavailable; checking every few seconds.</p>
+            )}
           </div>
         </div>
         {status.canCancel && onCancel && (
@@ -0,0 +1,227 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const PAGE_SIZE = 10;
+const UNREAD_POLL_MS = 60 * 1000;
+
+const formatTimestamp = (timestamp) => {
+  const diffMs = Date.now() - new Date(timestamp).getTime();
+  const minutes = Math.floor(diffMs / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * NotificationInbox - Bell button with an unread badge and a dropdown of
+ * investment notifications (GET /api/notifications)
+ */
+export default function NotificationInbox({ className = '' }) {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const containerRef = useRef(null);
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await fetch('/api/notifications/unread-count', { credentials: 'include' });
+      const data = await response.json();
+      if (data.success) {
+        setUnreadCount(data.unreadCount);
+      }
+    } catch (err) {
+      // Badge refresh is best-effort
+    }
+  }, []);
+
+  const fetchPage = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await fetch(`/api/notifications?${params}`, { credentials: 'include' });
+      const data = await response.json();
+
+      if (!data.success) {
+        setError(data.error?.message || 'Failed to load notifications');
+        return;
+      }
+
+      setNotifications((current) => (cursor ? [...current, ...data.notifications] : data.notifications));
+      setNextCursor(data.pagination.nextCursor);
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, UNREAD_POLL_MS);
+    return () => clearInterval(interval);
+  }, [fetchUnreadCount]);
+
+  useEffect(() => {
+    if (open) {
+      fetchPage();
+    }
+  }, [open, fetchPage]);
+
+  // Close when clicking outside the dropdown
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const markAsRead = async (notification) => {
+    if (notification.status === 'READ') return;
+    try {
+      const response = await fetch(`/api/notifications/${notification.id}/read`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const data = await response.json();
+      if (data.success) {
+        setNotifications((current) =>
+          current.map((n) => (n.id === notification.id ? data.notification : n))
+        );
+        setUnreadCount(data.unreadCount);
+      }
+    } catch (err) {
+      console.error('Failed to mark notification as read', err);
+    }
+  };
+
+  const markAllAsRead = async () => {
+    try {
+      const response = await fetch('/api/notifications/read-all', {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const data = await response.json();
+      if (data.success) {
+        setNotifications((current) => current.map((n) => ({ ...n, status: 'READ' })));
+        setUnreadCount(0);
+      }
+    } catch (err) {
+      console.error('Failed to mark notifications as read', err);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className={`relative flex-shrink-0 ${className}`.trim()}>
+      <button
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        className="relative flex items-center justify-center h-8 w-8 rounded-lg border border-[#2a2016] text-[var(--text-secondary)] transition-all hover:text-[var(--accent)] hover:border-[var(--accent)]/30 hover:bg-[var(--accent)]/5 active:scale-95"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={open}
+        title="Notifications"
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          className="h-4 w-4"
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+          strokeWidth={2}
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+          />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1.5 -right-1.5 min-w-[1.1rem] rounded-full bg-[var(--accent)] px-1 text-[10px] font-semibold leading-[1.1rem] text-[#17110b]">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-50 mt-2 w-80 max-w-[calc(100vw-2rem)] rounded-2xl border border-[#2a2016] bg-[#17110b] text-left shadow-[0_30px_100px_rgba(0,0,0,0.8)]">
+          <div className="flex items-center justify-between border-b border-[#2a2016] px-4 py-3">
+            <span className="text-[0.62rem] uppercase tracking-[0.28em] text-[var(--text-secondary)]">
+              Notifications
+            </span>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={markAllAsRead}
+                className="text-[10px] uppercase tracking-[0.18em] text-[var(--text-secondary)] transition-colors hover:text-[var(--accent)]"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {error && <p className="px-4 py-3 text-xs text-red-400">{error}</p>}
+
+            {!error && !loading && notifications.length === 0 && (
+              <p className="px-4 py-6 text-center text-sm text-[var(--text-secondary)]">No notifications yet</p>
+            )}
+
+            {notifications.map((notification) => (
+              <button
+                key={notification.id}
+                type="button"
+                onClick={() => markAsRead(notification)}
+                className="flex w-full items-start gap-3 border-b border-[#2a2016]/60 px-4 py-3 text-left transition-colors hover:bg-[var(--accent)]/5"
+              >
+                <span
+                  className={`mt-1.5 h-2 w-2 flex-shrink-0 rounded-full ${
+                    notification.status === 'UNREAD' ? 'bg-[var(--accent)]' : 'bg-transparent'
+                  }`}
+                />
+                <span className="flex min-w-0 flex-col gap-1">
+                  <span
+                    className={`text-sm ${
+                      notification.status === 'UNREAD' ? 'text-[var(--text-primary)]' : 'text-[var(--text-secondary)]'
+                    }`}
+                  >
+                    {notification.message}
+                  </span>
+                  <span className="text-[10px] uppercase tracking-[0.18em] text-[var(--text-secondary)]">
+                    {formatTimestamp(notification.timestamp)}
+                  </span>
+                </span>
+              </button>
+            ))}
+
+            {loading && (
+              <p className="px-4 py-3 text-center text-xs text-[var(--text-secondary)]">Loading…</p>
+            )}
+
+            {!loading && nextCursor && (
+              <button
+                type="button"
+                onClick={() => fetchPage(nextCursor)}
+                className="w-full px-4 py-3 text-center text-[10px] uppercase tracking-[0.18em] text-[var(--text-secondary)] transition-colors hover:text-[var(--accent)]"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
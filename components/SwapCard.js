@@ -102,6 +102,8 @@ export default function SwapCard({
   const [selectedSlippage, setSelectedSlippage] = useState(SLIPPAGE_OPTIONS[0]);
   const [quote, setQuote] = useState(null);
   const [swapTransaction, setSwapTransaction] = useState(null);
+  // What the transaction will do, from the server's simulation
+  const [preview, setPreview] = useState(null);
   const [isLoadingQuote, setIsLoadingQuote] = useState(false);
   const [isExecuting, setIsExecuting] = useState(false);
   const [error, setError] = useState(null);
@@ -190,6 +192,7 @@ export default function SwapCard({
     if (!fromToken || !toToken || !fromAmount || parseFloat(fromAmount) <= 0) {
       setQuote(null);
       setSwapTransaction(null);
+      setPreview(null);
       setToAmount('');
       return;
     }
@@ -232,6 +235,7 @@ export default function SwapCard({
 
       setQuote(data.quote);
       setSwapTransaction(data.swapTransaction);
+      setPreview(data.preview || null);
       
       // Calculate output amount
       if (data.quote?.outAmount) {
@@ -253,6 +257,7 @@ export default function SwapCard({
       setError(err.message);
       setQuote(null);
       setSwapTransaction(null);
+      setPreview(null);
       setToAmount('');
     } finally {
       setIsLoadingQuote(false);
@@ -332,6 +337,7 @@ export default function SwapCard({
           // Update quote and transaction
           setQuote(data.newQuote);
           setSwapTransaction(data.newSwapTransaction);
+          setPreview(data.newPreview || null);
           
           // Update slippage if provided
           if (data.newSlippageBps) {
@@ -393,6 +399,7 @@ export default function SwapCard({
             setToAmount('');
             setQuote(null);
             setSwapTransaction(null);
+            setPreview(null);
             
             return;
           } else {
@@ -421,6 +428,7 @@ export default function SwapCard({
       setToAmount('');
       setQuote(null);
       setSwapTransaction(null);
+      setPreview(null);
 
     } catch (err) {
       console.error('Swap execution error:', err);
@@ -620,8 +628,35 @@ export default function SwapCard({
           </div>
           <div className="quote-row">
             <span>Minimum Received:</span>
-            <span>{(quote.otherAmountThreshold / Math.pow(10, toToken?.decimals || 9)).toFixed(6)} {toToken?.symbol}</span>
+            <span>
+              {preview?.receives?.minimumAmount != null
+                ? Number(preview.receives.minimumAmount).toFixed(6)
+                : (quote.otherAmountThreshold / Math.pow(10, toToken?.decimals || 9)).toFixed(6)} {toToken?.symbol}
+            </span>
           </div>
+          {/* What this transaction will do (simulated before signing) */}
+          {preview && (
+            <div className="transaction-preview">
+              <div className="quote-row">
+                <span>You Pay:</span>
+                <span>{preview.spends.amount != null ? Number(preview.spends.amount).toFixed(6) : preview.spends.amountRaw} {fromToken?.symbol}</span>
+              </div>
+              <div className="quote-row">
+                <span>Max Network Fee:</span>
+                <span>{preview.networkFee.maxTotalSol} SOL</span>
+              </div>
+              {preview.newAccounts.length > 0 && (
+                <div className="quote-row">
+                  <span>New Token Accounts:</span>
+                  <span>{preview.newAccounts.map(account => account.symbol || `${account.mint.slice(0, 4)}…`).join(', ')}</span>
+                </div>
+              )}
+              <div className="quote-row">
+                <span>Programs:</span>
+                <span>{preview.programs.map(program => program.name).join(', ')}</span>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -838,6 +873,12 @@ export default function SwapCard({
           margin-bottom: 0;
         }
 
+        .transaction-preview {
+          margin-top: 8px;
+          padding-top: 8px;
+          border-top: 1px solid #e0e0e0;
+        }
+
         .quote-row .warning {
           color: #f57c00;
           font-weight: 700;
@@ -3,6 +3,7 @@
 import { useMemo, useState } from 'react';
 import Image from 'next/image';
 import { shortenAddress } from '@/lib/user';
+import NotificationInbox from '@/components/NotificationInbox';
 
 const AVATAR_SIZES = {
   sm: { box: 'h-8 w-8 text-xs', dimension: 32 },
@@ -34,6 +35,7 @@ export default function UserProfileBadge({
   orientation = 'horizontal',
   size = 'md',
   showCopy = true,
+  showNotifications = true,
   onLogout,
   className = '',
 }) {
@@ -103,7 +105,9 @@ export default function UserProfileBadge({
           </div>
         </div>
 
-        {/* Right side: Logout Button */}
+        {/* Right side: Notification inbox + Logout Button */}
+        {showNotifications && <NotificationInbox />}
+
         {onLogout && (
           <button
             type="button"
@@ -168,6 +172,7 @@ export default function UserProfileBadge({
             )}
           </div>
         </div>
+        {showNotifications && <NotificationInbox className="mx-auto mt-1" />}
         {onLogout && (
           <button
             type="button"
@@ -0,0 +1,197 @@
+/**
+ * Exact amount helpers
+ * Amounts are stored as raw on-chain integer units (BigInt) together with the
+ * token's decimals. Numbers are only produced at the edges, for display.
+ */
+
+// USD amounts are stored in USDC base units
+export const USD_DECIMALS = 6;
+
+const DECIMAL_PATTERN = /^(-)?(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Convert a human-readable amount to raw integer units
+ * Extra fraction digits beyond `decimals` are truncated (never rounded up).
+ * @param {bigint|number|string} value - Amount (a bigint is taken as already raw)
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Raw amount
+ */
+export function toRawAmount(value, decimals) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+    // Shortest round-trip form ("0.1", not 0.1000000000000000055...); exponent
+    // forms only occur for very large/small numbers, where toFixed is exact enough
+    text = String(value);
+    if (/e/i.test(text)) {
+      text = value.toFixed(Math.min(decimals, 100));
+    }
+  } else if (typeof value === 'string') {
+    text = value.trim();
+  } else {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const paddedFraction = fraction.slice(0, decimals).padEnd(decimals, '0');
+  const raw = BigInt(`${whole || '0'}${paddedFraction}`);
+
+  return sign ? -raw : raw;
+}
+
+/**
+ * Format a raw amount as an exact decimal string
+ * @param {bigint|number|string} raw - Raw integer amount
+ * @param {number} decimals - Token decimals
+ * @param {Object} options
+ * @param {boolean} options.trimZeros - Drop trailing fraction zeros (default: true)
+ * @returns {string} e.g. "1.5" or "1.50000000"
+ */
+export function formatRawAmount(raw, decimals, { trimZeros = true } = {}) {
+  const value = BigInt(raw ?? 0);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+  const whole = digits.slice(0, digits.length - decimals);
+  let fraction = decimals > 0 ? digits.slice(digits.length - decimals) : '';
+
+  if (trimZeros) {
+    fraction = fraction.replace(/0+$/, '');
+  }
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Convert a raw amount to a JS number (for display and API compatibility only)
+ * @param {bigint|number|string|null} raw - Raw integer amount
+ * @param {number} decimals - Token decimals
+ * @returns {number|null}
+ */
+export function fromRawAmount(raw, decimals) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  return Number(formatRawAmount(raw, decimals));
+}
+
+/**
+ * Progress of invested toward target, in percent with 2 decimals, capped at 100
+ * Computed on the raw integers so the goal reads 100 only once the target is met.
+ * @param {bigint} investedRaw - Invested raw amount
+ * @param {bigint} targetRaw - Target raw amount (same decimals)
+ * @returns {number}
+ */
+export function progressPercentage(investedRaw, targetRaw) {
+  const invested = BigInt(investedRaw ?? 0);
+  const target = BigInt(targetRaw ?? 0);
+
+  if (target <= 0n) return 0;
+  if (invested >= target) return 100;
+
+  // Hundredths of a percent, rounded half up; only a reached target shows 100
+  const hundredths = (invested * 10000n * 2n + target) / (target * 2n);
+  return Math.min(Number(hundredths), 9999) / 100;
+}
+
+/**
+ * Serialize goal amounts for API responses
+ * Numbers keep existing clients working; raw strings carry the exact value.
+ * @param {Object} goal - Goal with targetAmountRaw, investedAmountRaw and amountDecimals
+ * @returns {Object}
+ */
+export function serializeGoalAmounts(goal) {
+  return {
+    targetAmount: fromRawAmount(goal.targetAmountRaw, goal.amountDecimals),
+    investedAmount: fromRawAmount(goal.investedAmountRaw, goal.amountDecimals),
+    targetAmountRaw: goal.targetAmountRaw.toString(),
+    investedAmountRaw: goal.investedAmountRaw.toString(),
+    amountDecimals: goal.amountDecimals,
+  };
+}
+
+/**
+ * Serialize transaction amounts for API responses
+ * @param {Object} txn - Transaction with amountUsdRaw, amountCryptoRaw, cryptoDecimals and costUsdRaw
+ * @returns {Object}
+ */
+export function serializeTransactionAmounts(txn) {
+  return {
+    amountUsd: fromRawAmount(txn.amountUsdRaw, USD_DECIMALS),
+    amountCrypto: txn.cryptoDecimals === null || txn.cryptoDecimals === undefined
+      ? null
+      : fromRawAmount(txn.amountCryptoRaw, txn.cryptoDecimals),
+    amountUsdRaw: txn.amountUsdRaw?.toString() ?? null,
+    amountCryptoRaw: txn.amountCryptoRaw?.toString() ?? null,
+    cryptoDecimals: txn.cryptoDecimals ?? null,
+    costUsd: fromRawAmount(txn.costUsdRaw, USD_DECIMALS),
+    costUsdRaw: txn.costUsdRaw?.toString() ?? null,
+  };
+}
+
+/**
+ * Replace a goal's raw amount columns with serialized amounts (BigInt is not JSON-safe)
+ * @param {Object} goal - Goal row
+ * @returns {Object}
+ */
+export function serializeGoal(goal) {
+  const { targetAmountRaw: _target, investedAmountRaw: _invested, ...rest } = goal;
+  return { ...rest, ...serializeGoalAmounts(goal) };
+}
+
+/**
+ * Replace a transaction's raw amount columns with serialized amounts
+ * @param {Object} txn - Transaction row
+ * @returns {Object}
+ */
+export function serializeTransaction(txn) {
+  const { amountUsdRaw: _usd, amountCryptoRaw: _crypto, costUsdRaw: _cost, ...rest } = txn;
+  return { ...rest, ...serializeTransactionAmounts(txn) };
+}
+
+/**
+ * Replace a delegation's raw cap columns with serialized amounts (USDC)
+ * @param {Object|null} delegation - SwapDelegation row
+ * @returns {Object|null}
+ */
+export function serializeDelegation(delegation) {
+  if (!delegation) {
+    return null;
+  }
+  const { amountCapRaw, amountUsedRaw, ...rest } = delegation;
+  const remainingRaw = amountCapRaw > amountUsedRaw ? amountCapRaw - amountUsedRaw : 0n;
+  return {
+    ...rest,
+    amountCap: fromRawAmount(amountCapRaw, USD_DECIMALS),
+    amountUsed: fromRawAmount(amountUsedRaw, USD_DECIMALS),
+    amountRemaining: fromRawAmount(remainingRaw, USD_DECIMALS),
+    amountCapRaw: amountCapRaw.toString(),
+    amountUsedRaw: amountUsedRaw.toString(),
+    amountRemainingRaw: remainingRaw.toString(),
+  };
+}
+
+/**
+ * Replace a delegated execution's raw amount with serialized amounts (USDC)
+ * @param {Object} execution - DelegatedExecution row
+ * @returns {Object}
+ */
+export function serializeDelegatedExecution(execution) {
+  const { amountRaw, ...rest } = execution;
+  return {
+    ...rest,
+    amountUsdc: fromRawAmount(amountRaw, USD_DECIMALS),
+    amountRaw: amountRaw.toString(),
+  };
+}
@@ -91,6 +91,7 @@ export async function requireAuth(request = null) {
       privyId: true,
       email: true,
       walletAddress: true,
+      timezone: true,
     },
   });
   
@@ -128,5 +129,23 @@ export function ensureAdmin(user) {
   }
 }
 
+/**
+ * Verify a cron-triggered request (scheduler, reconciliation jobs).
+ * Expects `Authorization: Bearer <CRON_SECRET>` (the header Vercel Cron sends).
+ * When CRON_SECRET is not set, requests are only allowed outside production.
+ */
+export function verifyCronRequest(request) {
+  const cronSecret = process.env.CRON_SECRET;
 
+  if (!cronSecret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new AuthorizationError('CRON_SECRET is not configured');
+    }
+    return;
+  }
 
+  const authHeader = request.headers.get('authorization');
+  if (authHeader !== `Bearer ${cronSecret}`) {
+    throw new AuthenticationError('Invalid cron credentials');
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Basket goals
+ * A BASKET goal holds 2-5 weighted components. Its coin and targetAmount are
+ * the reference ("a basket worth 1 BTC"): at creation the reference value is
+ * split by weight and each component gets a fixed target in its own token.
+ * Every interval's USDC is split across one swap per component (legs of one
+ * batch), steered toward the components that are furthest behind.
+ * The goal's investedAmountRaw mirrors the weighted component progress in
+ * reference units, so progress and auto-complete work like any other goal.
+ */
+
+import { getRegisteredToken } from './token-registry.js';
+import { checkSwapRoute } from './swap-provider.js';
+import { getPriceQuote } from './prices.js';
+import { calculateProgress, shouldAutoComplete } from './goalValidation.js';
+import { toRawAmount, fromRawAmount, serializeGoalAmounts, USD_DECIMALS } from './amount.js';
+import { GoalErrors } from './errors.js';
+import { recordReachedMilestones } from './milestones.js';
+import { rollOverExcess } from './goal-overflow.js';
+
+export const MIN_BASKET_COMPONENTS = 2;
+export const MAX_BASKET_COMPONENTS = 5;
+
+// Legs below this are folded into the others (a $0.20 swap is mostly fees)
+export const MIN_LEG_USDC = 1;
+
+const TOTAL_WEIGHT_BPS = 10000;
+
+/**
+ * Parse `[{ coin, weight }]` from a request body
+ * Weights are percentages with up to two decimals and must add up to 100.
+ * @param {Array} components - Raw components
+ * @returns {Array<{coin: string, weightBps: number}>}
+ */
+export function parseBasketComponents(components) {
+  if (
+    !Array.isArray(components) ||
+    components.length < MIN_BASKET_COMPONENTS ||
+    components.length > MAX_BASKET_COMPONENTS
+  ) {
+    throw GoalErrors.INVALID_BASKET(
+      `components must list ${MIN_BASKET_COMPONENTS} to ${MAX_BASKET_COMPONENTS} tokens`
+    );
+  }
+
+  const parsed = components.map((component) => {
+    if (!component || typeof component.coin !== 'string' || !component.coin.trim()) {
+      throw GoalErrors.INVALID_BASKET('each component needs a coin');
+    }
+
+    const weight = Number(component.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw GoalErrors.INVALID_BASKET(`weight for ${component.coin} must be a positive percentage`);
+    }
+
+    const weightBps = Math.round(weight * 100);
+    if (Math.abs(weightBps - weight * 100) > 1e-6) {
+      throw GoalErrors.INVALID_BASKET('weights allow at most two decimals');
+    }
+
+    return { coin: component.coin.trim(), weightBps };
+  });
+
+  const totalBps = parsed.reduce((sum, c) => sum + c.weightBps, 0);
+  if (totalBps !== TOTAL_WEIGHT_BPS) {
+    throw GoalErrors.INVALID_BASKET(`weights must add up to 100 (got ${totalBps / 100})`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Resolve and plan a basket's components for goal creation
+ * Each component must be a registered token with a USDC route for its share of
+ * the contribution; its target is its weight of the reference value at current
+ * prices, fixed from then on.
+ * @param {Object} params
+ * @param {Array} params.components - Raw `[{ coin, weight }]` from the request
+ * @param {Object} params.referenceToken - Registry row of the goal's reference coin
+ * @param {number} params.targetAmount - Target in reference coin
+ * @param {number} params.amountPerInterval - USDC per interval
+ * @returns {Promise<Array<Object>>} GoalComponent create data
+ */
+export async function buildBasketComponents({ components, referenceToken, targetAmount, amountPerInterval }) {
+  const parsed = parseBasketComponents(components);
+
+  const referencePrice = await getPriceQuote(referenceToken.mint);
+  const targetUsd = targetAmount * referencePrice.priceUsd;
+
+  const seen = new Set();
+  const planned = [];
+
+  for (const { coin, weightBps } of parsed) {
+    const token = await getRegisteredToken(coin);
+    if (!token) {
+      throw GoalErrors.INVALID_COIN(coin);
+    }
+    if (seen.has(token.mint)) {
+      throw GoalErrors.INVALID_BASKET(`${token.symbol} is listed more than once`);
+    }
+    seen.add(token.mint);
+
+    const legUsdc = (amountPerInterval * weightBps) / TOTAL_WEIGHT_BPS;
+    if ((await checkSwapRoute(token.mint, legUsdc)) === false) {
+      throw GoalErrors.COIN_NOT_TRADABLE(token.symbol);
+    }
+
+    const priceUsd = token.mint === referenceToken.mint
+      ? referencePrice.priceUsd
+      : (await getPriceQuote(token.mint)).priceUsd;
+    const componentTarget = (targetUsd * weightBps) / TOTAL_WEIGHT_BPS / priceUsd;
+
+    if (componentTarget > token.maxTarget) {
+      throw GoalErrors.INVALID_BASKET(`${token.symbol} target exceeds its limit of ${token.maxTarget}`);
+    }
+
+    const targetAmountRaw = toRawAmount(componentTarget, token.decimals);
+    if (targetAmountRaw <= 0n) {
+      throw GoalErrors.INVALID_BASKET(`${token.symbol} share of the target is too small`);
+    }
+
+    planned.push({
+      tokenMint: token.mint,
+      coin: token.symbol,
+      weightBps,
+      targetAmountRaw,
+      amountDecimals: token.decimals,
+    });
+  }
+
+  return planned;
+}
+
+/**
+ * Goal investedAmountRaw for a basket, in reference units
+ * Each component counts up to its own target; the result equals the goal
+ * target only once every component is complete.
+ * @param {bigint} targetAmountRaw - Goal target (reference units)
+ * @param {Array} components - Component rows
+ * @returns {bigint}
+ */
+export function basketInvestedRaw(targetAmountRaw, components) {
+  const target = BigInt(targetAmountRaw);
+
+  if (components.every(c => BigInt(c.investedAmountRaw) >= BigInt(c.targetAmountRaw))) {
+    return target;
+  }
+
+  return components.reduce((sum, c) => {
+    const componentTarget = BigInt(c.targetAmountRaw);
+    const invested = BigInt(c.investedAmountRaw) < componentTarget ? BigInt(c.investedAmountRaw) : componentTarget;
+    return sum + (target * BigInt(c.weightBps) * invested) / (componentTarget * BigInt(TOTAL_WEIGHT_BPS));
+  }, 0n);
+}
+
+/**
+ * Split one contribution across a basket's components
+ * A component's share is its weight times how far it still is from its
+ * target, so under-weight components get more and complete ones nothing.
+ * @param {number} amountUsdc - USDC for this interval
+ * @param {Array} components - Component rows (weightBps, targetAmountRaw, investedAmountRaw)
+ * @returns {Array<{component: Object, amountRaw: bigint, amountUsdc: number}>} Legs in component order
+ */
+export function splitContribution(amountUsdc, components) {
+  const totalRaw = toRawAmount(amountUsdc, USD_DECIMALS);
+  const minLegRaw = toRawAmount(MIN_LEG_USDC, USD_DECIMALS);
+
+  // Remaining share in millionths, so the split stays in integers
+  let legs = components
+    .map((component) => {
+      const target = BigInt(component.targetAmountRaw);
+      const invested = BigInt(component.investedAmountRaw);
+      const remaining = target > invested ? target - invested : 0n;
+      return { component, need: (BigInt(component.weightBps) * remaining * 1000000n) / target };
+    })
+    .filter(leg => leg.need > 0n);
+
+  while (legs.length > 0) {
+    const totalNeed = legs.reduce((sum, leg) => sum + leg.need, 0n);
+    legs = legs.map(leg => ({ ...leg, amountRaw: (totalRaw * leg.need) / totalNeed }));
+
+    // Rounding dust goes to the component that is furthest behind
+    const allocated = legs.reduce((sum, leg) => sum + leg.amountRaw, 0n);
+    const neediest = legs.reduce((best, leg) => (leg.need > best.need ? leg : best));
+    neediest.amountRaw += totalRaw - allocated;
+
+    const smallest = legs.reduce((min, leg) => (leg.amountRaw < min.amountRaw ? leg : min));
+    if (smallest.amountRaw >= minLegRaw || legs.length === 1) break;
+    legs = legs.filter(leg => leg !== smallest);
+  }
+
+  return legs.map(({ component, amountRaw }) => ({
+    component,
+    amountRaw,
+    amountUsdc: fromRawAmount(amountRaw, USD_DECIMALS),
+  }));
+}
+
+/**
+ * Credit a confirmed swap to its goal (and basket component)
+ * Runs inside the caller's prisma transaction; completes the goal when the
+ * target is reached (applying its overflow policy) and records the milestones
+ * the credit crossed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {string} params.goalId - Goal ID
+ * @param {string|null} params.componentId - Basket component the swap bought (null for single-coin goals)
+ * @param {bigint} params.amountRaw - Output amount in the swapped token's raw units
+ * @param {string|null} params.batchId - Batch being confirmed, stored on reached milestones
+ * @returns {Promise<{goal: Object, progress: number, milestones: Array<Object>, rolloverGoal: Object|null}>}
+ */
+export async function creditGoalSwap(tx, { goalId, componentId = null, amountRaw, batchId = null }) {
+  let updatedGoal;
+
+  if (componentId) {
+    await tx.goalComponent.update({
+      where: { id: componentId },
+      data: { investedAmountRaw: { increment: amountRaw } },
+    });
+
+    const goal = await tx.goal.findUnique({
+      where: { id: goalId },
+      include: { components: true },
+    });
+    updatedGoal = await tx.goal.update({
+      where: { id: goalId },
+      data: { investedAmountRaw: basketInvestedRaw(goal.targetAmountRaw, goal.components) },
+    });
+  } else {
+    updatedGoal = await tx.goal.update({
+      where: { id: goalId },
+      data: { investedAmountRaw: { increment: amountRaw } },
+    });
+  }
+
+  let rolloverGoal = null;
+  if (shouldAutoComplete(updatedGoal.investedAmountRaw, updatedGoal.targetAmountRaw)) {
+    // Only the credit that flips the status completes the goal
+    const { count } = await tx.goal.updateMany({
+      where: { id: goalId, status: { not: 'COMPLETED' } },
+      data: { status: 'COMPLETED', nextRunAt: null },
+    });
+
+    if (updatedGoal.overflowPolicy === 'ROLLOVER') {
+      rolloverGoal = await rollOverExcess(tx, { goal: updatedGoal, amountRaw, completedNow: count === 1 });
+    }
+    updatedGoal.status = 'COMPLETED';
+    updatedGoal.nextRunAt = null;
+  }
+
+  const milestones = await recordReachedMilestones(tx, { goal: updatedGoal, batchId });
+
+  return {
+    goal: updatedGoal,
+    progress: calculateProgress(updatedGoal.investedAmountRaw, updatedGoal.targetAmountRaw),
+    milestones,
+    rolloverGoal,
+  };
+}
+
+/**
+ * Shape a basket component for API responses
+ * @param {Object} component - GoalComponent row
+ * @returns {Object}
+ */
+export function serializeGoalComponent(component) {
+  return {
+    id: component.id,
+    coin: component.coin,
+    tokenMint: component.tokenMint,
+    weight: component.weightBps / 100,
+    ...serializeGoalAmounts(component),
+    progressPercentage: calculateProgress(component.investedAmountRaw, component.targetAmountRaw),
+  };
+}
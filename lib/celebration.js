@@ -72,3 +72,23 @@ export function launchSubtleCelebration() {
   });
 }
 
+/**
+ * Launch a milestone celebration: a burst from both sides of the screen
+ * For goal milestones, which deserve more than a regular buy
+ */
+export function launchMilestoneCelebration() {
+  const colors = ['#F6C56D', '#F1A92B', '#FFD787', '#FF9F1C'];
+
+  [0.1, 0.9].forEach((x) => {
+    confetti({
+      particleCount: 60,
+      spread: 80,
+      angle: x < 0.5 ? 60 : 120,
+      origin: { x, y: 0.7 },
+      colors,
+      ticks: 250,
+      gravity: 0.8,
+      scalar: 1,
+    });
+  });
+}
@@ -57,6 +57,34 @@ export function getInvestmentSuccessMessage(coin, amount, progressPercentage = n
   return messages[coinUpper] || defaultMessage;
 }
 
+/**
+ * Get the message for milestones reached by an investment
+ * @param {string} coin - Coin symbol
+ * @param {Array} milestones - Milestones from the execute response (lowest first)
+ * @returns {Object|null} { title, description }, or null when none was reached
+ */
+export function getMilestoneMessage(coin, milestones) {
+  if (!Array.isArray(milestones) || milestones.length === 0) return null;
+
+  const coinUpper = coin?.toUpperCase() || 'COIN';
+  const highest = milestones[milestones.length - 1];
+
+  if (highest.thresholdPercentage === 100) {
+    return {
+      title: `Goal complete — you reached your ${coinUpper} target 🌕`,
+      description: 'Recurring buys for this goal have stopped.',
+    };
+  }
+
+  const others = milestones.length > 1 ? ` (plus ${milestones.length - 1} more)` : '';
+  return {
+    title: highest.kind === 'PERCENT'
+      ? `Milestone reached: ${highest.label} of the way to your ${coinUpper} goal 🎯`
+      : `Milestone reached: ${highest.label} stacked 🎯`,
+    description: `You passed ${highest.label}${others}. Keep stacking.`,
+  };
+}
+
 /**
  * Get floating badge text for investment success
  * @param {string} coin - Coin symbol
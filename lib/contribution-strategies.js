@@ -0,0 +1,317 @@
+/**
+ * Contribution strategies
+ * Each goal picks how much USDC a scheduled run invests. amountPerInterval is
+ * the base amount; the strategy scales it from the market state and the
+ * result is clamped to the goal's per-interval caps.
+ *
+ * - FIXED: the base amount every interval (plain DCA)
+ * - VALUE_AVERAGING: whatever brings the holdings up to a target value path
+ *   that grows by the base amount (optionally compounded) each interval
+ * - BUY_THE_DIP: the base amount times a multiplier picked from the drawdown
+ *   below the recent high in the price-history store
+ *
+ * Every strategy exposes computeNextContribution(goal, marketState); the
+ * scheduler consumes it and POST /api/strategies/preview shows it.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getPriceQuote } from './prices.js';
+import { getRecentHigh } from './price-history.js';
+import { fromRawAmount } from './amount.js';
+import { GoalErrors } from './errors.js';
+
+// Below this a run is skipped rather than swapping dust
+export const MIN_CONTRIBUTION_USDC = 1;
+
+// Scaling strategies cap themselves at this multiple of the base amount unless maxContribution is set
+export const DEFAULT_MAX_MULTIPLIER = 3;
+
+export const DEFAULT_DIP_TIERS = [
+  { drawdownPct: 10, multiplier: 1.5 },
+  { drawdownPct: 20, multiplier: 2 },
+  { drawdownPct: 35, multiplier: 3 },
+];
+
+export const DEFAULT_LOOKBACK_DAYS = 30;
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function parseOptionalAmount(value, field) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw GoalErrors.INVALID_STRATEGY(`${field} must be a non-negative number`);
+  }
+  return value;
+}
+
+function parseLookbackDays(value) {
+  if (value === undefined || value === null) return DEFAULT_LOOKBACK_DAYS;
+  if (!Number.isInteger(value) || value < 1 || value > 365) {
+    throw GoalErrors.INVALID_STRATEGY('lookbackDays must be a whole number of days between 1 and 365');
+  }
+  return value;
+}
+
+function parseDipTiers(tiers) {
+  if (tiers === undefined || tiers === null) return DEFAULT_DIP_TIERS;
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > 10) {
+    throw GoalErrors.INVALID_STRATEGY('tiers must list 1 to 10 { drawdownPct, multiplier } entries');
+  }
+
+  const parsed = tiers.map((tier) => {
+    const drawdownPct = Number(tier?.drawdownPct);
+    const multiplier = Number(tier?.multiplier);
+    if (!Number.isFinite(drawdownPct) || drawdownPct <= 0 || drawdownPct >= 100) {
+      throw GoalErrors.INVALID_STRATEGY('tier drawdownPct must be between 0 and 100');
+    }
+    if (!Number.isFinite(multiplier) || multiplier < 0 || multiplier > 10) {
+      throw GoalErrors.INVALID_STRATEGY('tier multiplier must be between 0 and 10');
+    }
+    return { drawdownPct, multiplier };
+  });
+
+  return parsed.sort((a, b) => a.drawdownPct - b.drawdownPct);
+}
+
+/**
+ * Strategy table: parseParams validates and fills defaults, compute returns
+ * the uncapped amount with a short reason
+ */
+const STRATEGIES = {
+  FIXED: {
+    description: 'The same USD amount every interval',
+    parseParams: () => ({}),
+    compute: (base) => ({ amountUsd: base, reason: 'Fixed contribution' }),
+  },
+
+  VALUE_AVERAGING: {
+    description: 'Invest whatever keeps the holdings on a target value path',
+    parseParams: (params) => {
+      const growthRatePct = params.growthRatePct ?? 0;
+      if (typeof growthRatePct !== 'number' || !Number.isFinite(growthRatePct) || growthRatePct < 0 || growthRatePct > 10) {
+        throw GoalErrors.INVALID_STRATEGY('growthRatePct must be between 0 and 10 (percent per interval)');
+      }
+      return { growthRatePct };
+    },
+    compute: (base, params, market) => {
+      if (market.holdingsValueUsd === null) {
+        return { amountUsd: base, reason: 'No current price; contributing the base amount' };
+      }
+
+      // Target after n intervals: base × (1 + (1+g) + ... + (1+g)^(n-1))
+      const g = params.growthRatePct / 100;
+      const n = market.intervalIndex;
+      const targetValueUsd = g === 0 ? base * n : (base * ((1 + g) ** n - 1)) / g;
+
+      const amountUsd = Math.max(0, targetValueUsd - market.holdingsValueUsd);
+      return {
+        amountUsd,
+        reason: amountUsd > 0
+          ? `Holdings of $${roundCents(market.holdingsValueUsd)} are below the $${roundCents(targetValueUsd)} target for interval ${market.intervalIndex}`
+          : `Holdings of $${roundCents(market.holdingsValueUsd)} are already above the $${roundCents(targetValueUsd)} target for interval ${market.intervalIndex}`,
+        details: { targetValueUsd: roundCents(targetValueUsd) },
+      };
+    },
+  },
+
+  BUY_THE_DIP: {
+    description: 'Invest more when the price is below its recent high',
+    parseParams: (params) => ({
+      tiers: parseDipTiers(params.tiers),
+      lookbackDays: parseLookbackDays(params.lookbackDays),
+    }),
+    compute: (base, params, market) => {
+      if (market.drawdownPct === null) {
+        return { amountUsd: base, reason: 'No recent price history; contributing the base amount' };
+      }
+
+      const tier = [...params.tiers].reverse().find(t => market.drawdownPct >= t.drawdownPct);
+      const multiplier = tier ? tier.multiplier : 1;
+      return {
+        amountUsd: base * multiplier,
+        reason: tier
+          ? `Price is ${market.drawdownPct}% below its ${params.lookbackDays}-day high (×${multiplier})`
+          : `Price is within ${params.tiers[0].drawdownPct}% of its ${params.lookbackDays}-day high`,
+        details: { multiplier },
+      };
+    },
+  },
+};
+
+export const CONTRIBUTION_STRATEGIES = Object.keys(STRATEGIES);
+
+/**
+ * Validate a strategy and its params for a goal
+ * Caps (minContribution, maxContribution) apply to every strategy.
+ * @param {string} strategy - One of CONTRIBUTION_STRATEGIES (default FIXED)
+ * @param {Object} params - Strategy params
+ * @param {number} amountPerInterval - Base amount
+ * @returns {{strategy: string, strategyParams: Object}} Normalized values to store
+ */
+export function parseContributionStrategy(strategy = 'FIXED', params = {}, amountPerInterval) {
+  const definition = STRATEGIES[strategy];
+  if (!definition) {
+    throw GoalErrors.INVALID_STRATEGY(`strategy must be one of ${CONTRIBUTION_STRATEGIES.join(', ')}`);
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw GoalErrors.INVALID_STRATEGY('strategyParams must be an object');
+  }
+
+  const minContribution = parseOptionalAmount(params.minContribution, 'minContribution');
+  const maxContribution = parseOptionalAmount(params.maxContribution, 'maxContribution');
+  if (maxContribution !== null && maxContribution < MIN_CONTRIBUTION_USDC) {
+    throw GoalErrors.INVALID_STRATEGY(`maxContribution must be at least ${MIN_CONTRIBUTION_USDC}`);
+  }
+  if (minContribution !== null && maxContribution !== null && minContribution > maxContribution) {
+    throw GoalErrors.INVALID_STRATEGY('minContribution cannot exceed maxContribution');
+  }
+  if (strategy === 'FIXED' && maxContribution !== null && maxContribution < amountPerInterval) {
+    throw GoalErrors.INVALID_STRATEGY('maxContribution is below amountPerInterval');
+  }
+
+  return {
+    strategy,
+    strategyParams: {
+      ...definition.parseParams(params),
+      ...(minContribution !== null && { minContribution }),
+      ...(maxContribution !== null && { maxContribution }),
+    },
+  };
+}
+
+/**
+ * Compute the next interval's contribution
+ * @param {Object} goal - Goal (strategy, strategyParams, amountPerInterval)
+ * @param {Object} marketState - From loadMarketState
+ * @returns {{strategy: string, amountUsd: number, baseAmountUsd: number, capped: boolean, reason: string, details: Object}}
+ */
+export function computeNextContribution(goal, marketState) {
+  const strategy = goal.strategy || 'FIXED';
+  const { strategyParams: params } = parseContributionStrategy(strategy, goal.strategyParams || {}, goal.amountPerInterval);
+  const base = goal.amountPerInterval;
+
+  const result = STRATEGIES[strategy].compute(base, params, marketState);
+
+  const maxContribution = params.maxContribution ?? (strategy === 'FIXED' ? null : base * DEFAULT_MAX_MULTIPLIER);
+  let amountUsd = result.amountUsd;
+  let capped = false;
+
+  if (maxContribution !== null && amountUsd > maxContribution) {
+    amountUsd = maxContribution;
+    capped = true;
+  }
+  if (params.minContribution !== undefined && amountUsd < params.minContribution) {
+    amountUsd = params.minContribution;
+    capped = true;
+  }
+
+  amountUsd = roundCents(amountUsd);
+  if (amountUsd < MIN_CONTRIBUTION_USDC) {
+    amountUsd = 0;
+  }
+
+  return {
+    strategy,
+    amountUsd,
+    baseAmountUsd: base,
+    capped,
+    reason: result.reason,
+    details: result.details ?? {},
+  };
+}
+
+async function loadTokenMarket(symbol, mint, lookbackDays, now) {
+  let priceUsd = null;
+  try {
+    priceUsd = (await getPriceQuote(mint)).priceUsd;
+  } catch (error) {
+    logger.warn('[STRATEGY] No current price', { symbol, error: error.message });
+  }
+
+  // Price history is keyed by symbol and covers the popular tokens only
+  const recentHigh = await getRecentHigh(symbol, { lookbackDays, now });
+  const drawdownPct = priceUsd !== null && recentHigh && recentHigh.highUsd > 0
+    ? Math.max(0, roundCents((1 - priceUsd / recentHigh.highUsd) * 100))
+    : null;
+
+  return { priceUsd, recentHighUsd: recentHigh?.highUsd ?? null, drawdownPct };
+}
+
+/**
+ * Load the market state a strategy needs for a goal
+ * A basket values every component and weights its drawdown by target weight.
+ * @param {Object} goal - Goal row (components included for a basket; id may be absent for a preview)
+ * @param {Object} options
+ * @param {number} options.lookbackDays - Drawdown window
+ * @param {Date} options.now - Reference time
+ * @returns {Promise<{priceUsd: number|null, recentHighUsd: number|null, drawdownPct: number|null, holdingsValueUsd: number|null, intervalIndex: number, lookbackDays: number}>}
+ */
+export async function loadMarketState(goal, { lookbackDays = DEFAULT_LOOKBACK_DAYS, now = new Date() } = {}) {
+  // Every scheduled run so far is an elapsed interval, whatever it invested
+  const intervalIndex = goal.id
+    ? (await prisma.scheduledRun.count({ where: { goalId: goal.id } })) + 1
+    : 1;
+
+  const holdings = goal.kind === 'BASKET' ? goal.components : [goal];
+  const markets = await Promise.all(
+    holdings.map(h => loadTokenMarket(h.coin, h.tokenMint, lookbackDays, now))
+  );
+
+  const holdingsValueUsd = markets.every(m => m.priceUsd !== null)
+    ? holdings.reduce(
+        (sum, h, i) => sum + fromRawAmount(h.investedAmountRaw ?? 0n, h.amountDecimals) * markets[i].priceUsd,
+        0
+      )
+    : null;
+
+  let drawdownPct = null;
+  if (goal.kind === 'BASKET') {
+    const known = holdings
+      .map((h, i) => ({ weightBps: h.weightBps, drawdownPct: markets[i].drawdownPct }))
+      .filter(m => m.drawdownPct !== null);
+    const totalBps = known.reduce((sum, m) => sum + m.weightBps, 0);
+    drawdownPct = totalBps > 0
+      ? roundCents(known.reduce((sum, m) => sum + m.drawdownPct * m.weightBps, 0) / totalBps)
+      : null;
+  } else {
+    drawdownPct = markets[0].drawdownPct;
+  }
+
+  return {
+    priceUsd: goal.kind === 'BASKET' ? null : markets[0].priceUsd,
+    recentHighUsd: goal.kind === 'BASKET' ? null : markets[0].recentHighUsd,
+    drawdownPct,
+    holdingsValueUsd: holdingsValueUsd === null ? null : roundCents(holdingsValueUsd),
+    intervalIndex,
+    lookbackDays,
+  };
+}
+
+/**
+ * Load the market state and compute a goal's next contribution
+ * FIXED goals skip the market lookups.
+ * @param {Object} goal - Goal row
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @returns {Promise<Object>} computeNextContribution result plus the market state it used
+ */
+export async function planContribution(goal, { now = new Date() } = {}) {
+  if ((goal.strategy || 'FIXED') === 'FIXED') {
+    return { ...computeNextContribution(goal, {}), market: null };
+  }
+
+  const lookbackDays = goal.strategyParams?.lookbackDays ?? DEFAULT_LOOKBACK_DAYS;
+  const market = await loadMarketState(goal, { lookbackDays, now });
+  return { ...computeNextContribution(goal, market), market };
+}
+
+/**
+ * Strategy names and descriptions for clients
+ * @returns {Array<{strategy: string, description: string}>}
+ */
+export function listContributionStrategies() {
+  return Object.entries(STRATEGIES).map(([strategy, { description }]) => ({ strategy, description }));
+}
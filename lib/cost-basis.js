@@ -0,0 +1,166 @@
+/**
+ * Cost basis and P&L
+ * Each SWAP records what it cost in USD at execution (cost_usd_raw). Average
+ * entry price, unrealized P&L and the DCA vs lump-sum comparison are derived
+ * from those rows.
+ */
+
+import { logger } from './logger.js';
+import { getPriceUSD } from './prices.js';
+import { TOKEN_MINTS, DEVNET_TOKEN_MINTS } from './tokens.js';
+import { toRawAmount, fromRawAmount, USD_DECIMALS } from './amount.js';
+
+// USDC is taken at exactly $1 so USDC-funded buys cost exactly what was spent
+const USD_STABLE_MINTS = new Set([TOKEN_MINTS.USDC.mint, DEVNET_TOKEN_MINTS.USDC.mint]);
+
+function roundUsd(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function findDecimals(mint) {
+  const token = [...Object.values(TOKEN_MINTS), ...Object.values(DEVNET_TOKEN_MINTS)]
+    .find((t) => t.mint === mint);
+  return token ? token.decimals : null;
+}
+
+function rescaleRaw(raw, fromDecimals, toDecimals) {
+  if (fromDecimals === toDecimals) return raw;
+  if (fromDecimals < toDecimals) return raw * 10n ** BigInt(toDecimals - fromDecimals);
+  return raw / 10n ** BigInt(fromDecimals - toDecimals);
+}
+
+/**
+ * USD cost of a swap's input, priced at execution time
+ * Never throws: a missing price leaves the swap without a cost basis rather
+ * than blocking the swap.
+ * @param {Object} params
+ * @param {string} params.inputMint - Input token mint
+ * @param {bigint|string} params.inputAmountRaw - Input amount in smallest units (quote inAmount)
+ * @param {number} params.inputDecimals - Input token decimals (looked up from the mint if omitted)
+ * @returns {Promise<{costUsdRaw: bigint|null, inputPriceUsd: number|null}>}
+ */
+export async function getSwapCostUsd({ inputMint, inputAmountRaw, inputDecimals = findDecimals(inputMint) }) {
+  if (inputAmountRaw === null || inputAmountRaw === undefined || inputDecimals === null) {
+    logger.warn('[COST_BASIS] Unknown swap input, swap recorded without cost basis', { inputMint });
+    return { costUsdRaw: null, inputPriceUsd: null };
+  }
+
+  const amountRaw = BigInt(inputAmountRaw);
+
+  if (USD_STABLE_MINTS.has(inputMint)) {
+    return {
+      costUsdRaw: rescaleRaw(amountRaw, inputDecimals, USD_DECIMALS),
+      inputPriceUsd: 1,
+    };
+  }
+
+  try {
+    const inputPriceUsd = await getPriceUSD(inputMint);
+    const priceRaw = toRawAmount(inputPriceUsd, USD_DECIMALS);
+
+    return {
+      costUsdRaw: (amountRaw * priceRaw) / 10n ** BigInt(inputDecimals),
+      inputPriceUsd,
+    };
+  } catch (error) {
+    logger.warn('[COST_BASIS] No input price, swap recorded without cost basis', {
+      inputMint,
+      error: error.message,
+    });
+    return { costUsdRaw: null, inputPriceUsd: null };
+  }
+}
+
+/**
+ * Compare the DCA result with investing the same total at the first buy's price
+ * @param {Object[]} swaps - Costed swaps (amountCryptoRaw, costUsdRaw, timestamp)
+ * @param {Object} options
+ * @param {number} options.decimals - Goal token decimals
+ * @param {number|null} options.currentPriceUSD - Current token price
+ * @returns {Object|null} null when there are no costed swaps
+ */
+export function compareDcaToLumpSum(swaps, { decimals, currentPriceUSD = null }) {
+  if (swaps.length === 0) return null;
+
+  const ordered = [...swaps].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const first = ordered[0];
+  const firstBuyPriceUSD =
+    fromRawAmount(first.costUsdRaw, USD_DECIMALS) / fromRawAmount(first.amountCryptoRaw, decimals);
+
+  const totalCostUSD = fromRawAmount(
+    ordered.reduce((sum, s) => sum + s.costUsdRaw, 0n),
+    USD_DECIMALS
+  );
+  const dcaAmount = fromRawAmount(
+    ordered.reduce((sum, s) => sum + s.amountCryptoRaw, 0n),
+    decimals
+  );
+  const lumpSumAmount = totalCostUSD / firstBuyPriceUSD;
+
+  const hasPrice = currentPriceUSD !== null && currentPriceUSD !== undefined;
+  const dcaValueUSD = hasPrice ? dcaAmount * currentPriceUSD : null;
+  const lumpSumValueUSD = hasPrice ? lumpSumAmount * currentPriceUSD : null;
+  const differenceUSD = hasPrice ? dcaValueUSD - lumpSumValueUSD : null;
+
+  // Same spend and same current price, so the amounts decide the winner
+  const amountDelta = dcaAmount - lumpSumAmount;
+  const better = Math.abs(amountDelta) < 10 ** -decimals ? 'EVEN' : amountDelta > 0 ? 'DCA' : 'LUMP_SUM';
+
+  return {
+    firstBuyAt: new Date(first.timestamp).toISOString(),
+    firstBuyPriceUSD: roundUsd(firstBuyPriceUSD),
+    dcaAmount,
+    lumpSumAmount: Number(lumpSumAmount.toFixed(decimals)),
+    dcaValueUSD: roundUsd(dcaValueUSD),
+    lumpSumValueUSD: roundUsd(lumpSumValueUSD),
+    differenceUSD: roundUsd(differenceUSD),
+    differencePercentage: lumpSumAmount > 0
+      ? Math.round((amountDelta / lumpSumAmount) * 10000) / 100
+      : 0,
+    better,
+  };
+}
+
+/**
+ * Summarize cost basis and unrealized P&L for one token's confirmed swaps
+ * Swaps without a recorded cost (older rows, or no price at execution) are
+ * left out of cost, entry price and P&L and counted in uncostedSwapCount.
+ * @param {Object[]} swaps - Confirmed SWAP rows (amountCryptoRaw, costUsdRaw, timestamp)
+ * @param {Object} options
+ * @param {number} options.decimals - Token decimals
+ * @param {number|null} options.currentPriceUSD - Current token price, if known
+ * @returns {Object}
+ */
+export function summarizeCostBasis(swaps, { decimals, currentPriceUSD = null }) {
+  const costed = swaps.filter(
+    (s) => s.costUsdRaw !== null && s.costUsdRaw !== undefined && s.amountCryptoRaw > 0n
+  );
+
+  const totalCostUsdRaw = costed.reduce((sum, s) => sum + s.costUsdRaw, 0n);
+  const costedAmountRaw = costed.reduce((sum, s) => sum + s.amountCryptoRaw, 0n);
+
+  const totalCostUSD = fromRawAmount(totalCostUsdRaw, USD_DECIMALS);
+  const costedAmount = fromRawAmount(costedAmountRaw, decimals);
+  const averageEntryPriceUSD = costedAmountRaw > 0n ? totalCostUSD / costedAmount : null;
+
+  const hasPrice = currentPriceUSD !== null && currentPriceUSD !== undefined;
+  const currentValueUSD = hasPrice ? costedAmount * currentPriceUSD : null;
+  const unrealizedPnlUSD = hasPrice ? currentValueUSD - totalCostUSD : null;
+  const unrealizedPnlPercentage = hasPrice && totalCostUSD > 0
+    ? Math.round((unrealizedPnlUSD / totalCostUSD) * 10000) / 100
+    : null;
+
+  return {
+    totalCostUSD: roundUsd(totalCostUSD),
+    totalCostUsdRaw: totalCostUsdRaw.toString(),
+    costedAmount,
+    costedAmountRaw: costedAmountRaw.toString(),
+    averageEntryPriceUSD: roundUsd(averageEntryPriceUSD),
+    currentValueUSD: roundUsd(currentValueUSD),
+    unrealizedPnlUSD: roundUsd(unrealizedPnlUSD),
+    unrealizedPnlPercentage,
+    costedSwapCount: costed.length,
+    uncostedSwapCount: swaps.length - costed.length,
+    dcaVsLumpSum: compareDcaToLumpSum(costed, { decimals, currentPriceUSD }),
+  };
+}
@@ -0,0 +1,780 @@
+/**
+ * Delegated signing for unattended recurring buys
+ *
+ * The user approves the app wallet as SPL token delegate on their USDC ATA,
+ * bounded by an amount cap. For each scheduled interval the app wallet pulls
+ * the USDC with transferChecked (signing as delegate), swaps it on Jupiter and
+ * delivers the output straight to the user's token account. The swap passes the
+ * same pre-trade checks as one the user signs, with the app wallet as its only
+ * signer and fee payer. If the swap fails the pulled USDC is refunded.
+ *
+ * SPL approvals have no expiry, so expiresAt is enforced here: the server stops
+ * using the allowance once it expires, but the on-chain allowance remains
+ * until it is consumed or the user revokes it.
+ */
+
+import {
+  getAssociatedTokenAddress,
+  getAccount,
+  createApproveCheckedInstruction,
+  createRevokeInstruction,
+  createTransferCheckedInstruction,
+  TokenAccountNotFoundError,
+} from '@solana/spl-token';
+import { PublicKey, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getSolanaConnection, getAppWallet, createATAWithAppWallet, isToken2022 } from './solana.js';
+import { getUsdcMint } from './tokens.js';
+import { toRawAmount, formatRawAmount } from './amount.js';
+import { getSwapTransaction, getSwapProvider } from './swap-provider.js';
+import { inspectSwapTransaction } from './swap-guardrails.js';
+import { AppError, ValidationError, SwapErrors, DelegationErrors } from './errors.js';
+
+export const DELEGATION_MIN_CAP_USDC = 10;
+export const DELEGATION_MAX_CAP_USDC = 10000;
+export const DELEGATION_MAX_DAYS = 365;
+
+const RECENT_EXECUTIONS_LIMIT = 20;
+
+/**
+ * Build an unsigned v0 transaction for the user to sign
+ */
+async function buildUnsignedUserTransaction(connection, payer, instructions) {
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+
+  const messageV0 = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+
+  const transaction = new VersionedTransaction(messageV0);
+
+  return {
+    unsignedTransaction: Buffer.from(transaction.serialize()).toString('base64'),
+    lastValidBlockHeight,
+  };
+}
+
+/**
+ * Submit a transaction signed by the user in the browser and wait for confirmation
+ */
+async function submitUserSignedTransaction(connection, signedTransaction, lastValidBlockHeight) {
+  if (!signedTransaction || typeof signedTransaction !== 'string' || !/^[A-Za-z0-9+/=]+$/.test(signedTransaction)) {
+    throw new ValidationError('Invalid signed transaction: must be a base64 string');
+  }
+
+  let transaction;
+  try {
+    transaction = VersionedTransaction.deserialize(Buffer.from(signedTransaction, 'base64'));
+  } catch (deserializeError) {
+    throw new ValidationError(`Transaction deserialization failed: ${deserializeError.message}`);
+  }
+
+  const signature = await connection.sendRawTransaction(transaction.serialize(), {
+    skipPreflight: false,
+    maxRetries: 3,
+    preflightCommitment: 'confirmed',
+  });
+
+  const blockhash = transaction.message.recentBlockhash;
+  const confirmation = lastValidBlockHeight
+    ? await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed')
+    : await connection.confirmTransaction(signature, 'confirmed');
+
+  if (confirmation.value?.err) {
+    throw new AppError(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`, 400, 'TRANSACTION_FAILED');
+  }
+
+  return signature;
+}
+
+/**
+ * Sign with the app wallet, submit and confirm
+ */
+async function sendAppWalletInstructions(connection, instructions) {
+  const appWallet = getAppWallet();
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+
+  const messageV0 = new TransactionMessage({
+    payerKey: appWallet.publicKey,
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+
+  const transaction = new VersionedTransaction(messageV0);
+  transaction.sign([appWallet]);
+
+  const signature = await connection.sendRawTransaction(transaction.serialize(), {
+    skipPreflight: false,
+    maxRetries: 3,
+    preflightCommitment: 'confirmed',
+  });
+
+  const confirmation = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+  if (confirmation.value?.err) {
+    throw new AppError(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`, 500, 'DELEGATED_TRANSFER_FAILED');
+  }
+
+  return signature;
+}
+
+/**
+ * Send USDC pulled for an execution back to the user's token account
+ * @returns {Promise<string>} Refund signature
+ */
+async function refundPulledUsdc(connection, delegation, amountRaw) {
+  const usdc = getUsdcMint();
+  const appWallet = getAppWallet();
+  const mint = new PublicKey(usdc.mint);
+  const appTokenAccount = await getAssociatedTokenAddress(mint, appWallet.publicKey);
+
+  return await sendAppWalletInstructions(connection, [
+    createTransferCheckedInstruction(
+      appTokenAccount,
+      mint,
+      new PublicKey(delegation.tokenAccount),
+      appWallet.publicKey,
+      amountRaw,
+      usdc.decimals
+    ),
+  ]);
+}
+
+/**
+ * Give an execution's reservation back to its delegation's cap
+ * Called whenever the USDC ends up in the user's account again: never pulled,
+ * or refunded. A failed release is logged rather than hiding the error that
+ * caused it.
+ */
+async function releaseReservation(execution, requestId) {
+  await prisma.swapDelegation.update({
+    where: { id: execution.delegationId },
+    data: { amountUsedRaw: { decrement: execution.amountRaw } },
+  }).catch((releaseError) => {
+    logger.error('[DELEGATION] Failed to release the reserved amount', {
+      executionId: execution.id,
+      delegationId: execution.delegationId,
+      amountUsdc: formatRawAmount(execution.amountRaw, getUsdcMint().decimals),
+      error: releaseError.message,
+      requestId,
+    });
+  });
+}
+
+/**
+ * Read the delegate state of a token account
+ * @returns {Promise<{exists: boolean, delegate: string|null, delegatedAmountRaw: string, balanceRaw: string}>}
+ */
+async function readOnChainDelegation(connection, tokenAccount) {
+  try {
+    const account = await getAccount(connection, new PublicKey(tokenAccount), 'confirmed');
+    return {
+      exists: true,
+      delegate: account.delegate ? account.delegate.toBase58() : null,
+      delegatedAmountRaw: account.delegatedAmount.toString(),
+      balanceRaw: account.amount.toString(),
+    };
+  } catch (error) {
+    if (error instanceof TokenAccountNotFoundError) {
+      return { exists: false, delegate: null, delegatedAmountRaw: '0', balanceRaw: '0' };
+    }
+    throw error;
+  }
+}
+
+async function getUserUsdcAccount(walletAddress) {
+  const usdc = getUsdcMint();
+  const owner = new PublicKey(walletAddress);
+  const tokenAccount = await getAssociatedTokenAddress(new PublicKey(usdc.mint), owner);
+  return { usdc, owner, tokenAccount };
+}
+
+function requireWallet(user) {
+  if (!user.walletAddress) {
+    throw SwapErrors.INVALID_WALLET();
+  }
+  return user.walletAddress;
+}
+
+/**
+ * Prepare a delegate approval for the user's USDC account
+ * Creates a PENDING delegation and returns the unsigned approveChecked transaction.
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user
+ * @param {number} params.amountCapUsdc - Maximum USDC the app may pull in total
+ * @param {number} params.expiresInDays - Days until the server stops using the delegation
+ * @returns {Promise<{delegation: Object, unsignedTransaction: string, lastValidBlockHeight: number}>}
+ */
+export async function prepareDelegationGrant({ user, amountCapUsdc, expiresInDays, requestId = null }) {
+  const walletAddress = requireWallet(user);
+
+  if (typeof amountCapUsdc !== 'number' || !Number.isFinite(amountCapUsdc) ||
+      amountCapUsdc < DELEGATION_MIN_CAP_USDC || amountCapUsdc > DELEGATION_MAX_CAP_USDC) {
+    throw DelegationErrors.INVALID_AMOUNT_CAP(DELEGATION_MIN_CAP_USDC, DELEGATION_MAX_CAP_USDC);
+  }
+
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > DELEGATION_MAX_DAYS) {
+    throw DelegationErrors.INVALID_EXPIRY(DELEGATION_MAX_DAYS);
+  }
+
+  const connection = getSolanaConnection();
+  const { usdc, owner, tokenAccount } = await getUserUsdcAccount(walletAddress);
+  const amountCapRaw = toRawAmount(amountCapUsdc, usdc.decimals);
+
+  const onChain = await readOnChainDelegation(connection, tokenAccount);
+  if (!onChain.exists) {
+    throw DelegationErrors.NO_TOKEN_ACCOUNT();
+  }
+
+  const delegate = getAppWallet().publicKey;
+  const approveIx = createApproveCheckedInstruction(
+    tokenAccount,
+    new PublicKey(usdc.mint),
+    delegate,
+    owner,
+    amountCapRaw,
+    usdc.decimals
+  );
+
+  const { unsignedTransaction, lastValidBlockHeight } = await buildUnsignedUserTransaction(connection, owner, [approveIx]);
+
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  // Only one grant can be in flight: an approval replaces the previous delegate on-chain anyway
+  const delegation = await prisma.$transaction(async (tx) => {
+    await tx.swapDelegation.updateMany({
+      where: { userId: user.id, status: 'PENDING' },
+      data: { status: 'SUPERSEDED' },
+    });
+
+    return await tx.swapDelegation.create({
+      data: {
+        userId: user.id,
+        delegateAddress: delegate.toBase58(),
+        tokenMint: usdc.mint,
+        tokenAccount: tokenAccount.toBase58(),
+        amountCapRaw,
+        expiresAt,
+      },
+    });
+  });
+
+  logger.info('[DELEGATION] Grant prepared', {
+    userId: user.id,
+    delegationId: delegation.id,
+    amountCapUsdc,
+    expiresAt,
+    requestId,
+  });
+
+  return { delegation, unsignedTransaction, lastValidBlockHeight };
+}
+
+/**
+ * Submit the user-signed approval and activate the delegation once it is visible on-chain
+ * @returns {Promise<Object>} Activated delegation
+ */
+export async function activateDelegation({ user, delegationId, signedTransaction, lastValidBlockHeight = null, requestId = null }) {
+  const delegation = await prisma.swapDelegation.findFirst({
+    where: { id: delegationId, userId: user.id },
+  });
+
+  if (!delegation) {
+    throw DelegationErrors.DELEGATION_NOT_FOUND();
+  }
+
+  if (delegation.status !== 'PENDING') {
+    throw DelegationErrors.INVALID_STATE(delegation.status);
+  }
+
+  const connection = getSolanaConnection();
+  const signature = await submitUserSignedTransaction(connection, signedTransaction, lastValidBlockHeight);
+
+  // Trust the chain, not the submitted bytes: the approval must name our delegate and cap
+  const expectedRaw = delegation.amountCapRaw.toString();
+  const onChain = await readOnChainDelegation(connection, delegation.tokenAccount);
+
+  if (onChain.delegate !== delegation.delegateAddress || onChain.delegatedAmountRaw !== expectedRaw) {
+    await prisma.swapDelegation.update({
+      where: { id: delegation.id },
+      data: { approveSignature: signature },
+    });
+
+    logger.warn('[DELEGATION] Approval not verified on-chain', {
+      delegationId,
+      signature,
+      onChainDelegate: onChain.delegate,
+      onChainAmountRaw: onChain.delegatedAmountRaw,
+      expectedRaw,
+      requestId,
+    });
+    throw DelegationErrors.NOT_VERIFIED_ON_CHAIN();
+  }
+
+  const activated = await prisma.$transaction(async (tx) => {
+    await tx.swapDelegation.updateMany({
+      where: { userId: user.id, status: 'ACTIVE' },
+      data: { status: 'SUPERSEDED' },
+    });
+
+    return await tx.swapDelegation.update({
+      where: { id: delegation.id },
+      data: {
+        status: 'ACTIVE',
+        approveSignature: signature,
+        activatedAt: new Date(),
+      },
+    });
+  });
+
+  logger.info('[DELEGATION] Delegation activated', { userId: user.id, delegationId, signature, requestId });
+
+  return activated;
+}
+
+/**
+ * Current delegation for a user, checked against the chain
+ * Marks the delegation EXPIRED or REVOKED when it no longer holds.
+ * @returns {Promise<{delegation: Object|null, onChain: Object|null, executions: Array}>}
+ */
+export async function getDelegationOverview(user, { now = new Date() } = {}) {
+  let delegation = await prisma.swapDelegation.findFirst({
+    where: { userId: user.id, status: 'ACTIVE' },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  let onChain = null;
+
+  if (delegation) {
+    onChain = await readOnChainDelegation(getSolanaConnection(), delegation.tokenAccount);
+
+    if (delegation.expiresAt <= now) {
+      delegation = await prisma.swapDelegation.update({
+        where: { id: delegation.id },
+        data: { status: 'EXPIRED' },
+      });
+    } else if (onChain.delegate !== delegation.delegateAddress) {
+      // Revoked (or replaced) directly from the wallet
+      delegation = await prisma.swapDelegation.update({
+        where: { id: delegation.id },
+        data: { status: 'REVOKED', revokedAt: now },
+      });
+    }
+  } else if (user.walletAddress) {
+    const { tokenAccount } = await getUserUsdcAccount(user.walletAddress);
+    onChain = await readOnChainDelegation(getSolanaConnection(), tokenAccount);
+  }
+
+  const executions = await prisma.delegatedExecution.findMany({
+    where: { delegation: { userId: user.id } },
+    orderBy: { createdAt: 'desc' },
+    take: RECENT_EXECUTIONS_LIMIT,
+  });
+
+  return {
+    delegation,
+    onChain,
+    executions,
+  };
+}
+
+/**
+ * Revoke the user's delegation
+ * The server stops using it immediately; the returned transaction (if any)
+ * clears the on-chain allowance once the user signs it.
+ * @returns {Promise<{revokedCount: number, delegationId: string|null, unsignedTransaction: string|null, lastValidBlockHeight: number|null}>}
+ */
+export async function revokeDelegation({ user, requestId = null }) {
+  const walletAddress = requireWallet(user);
+  const now = new Date();
+
+  const latest = await prisma.swapDelegation.findFirst({
+    where: { userId: user.id, status: { in: ['ACTIVE', 'PENDING', 'EXPIRED', 'EXHAUSTED'] } },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  const { count } = await prisma.swapDelegation.updateMany({
+    where: { userId: user.id, status: { in: ['ACTIVE', 'PENDING', 'EXPIRED', 'EXHAUSTED'] } },
+    data: { status: 'REVOKED', revokedAt: now },
+  });
+
+  const connection = getSolanaConnection();
+  const { owner, tokenAccount } = await getUserUsdcAccount(walletAddress);
+  const onChain = await readOnChainDelegation(connection, tokenAccount);
+
+  let unsigned = { unsignedTransaction: null, lastValidBlockHeight: null };
+  if (onChain.delegate) {
+    unsigned = await buildUnsignedUserTransaction(connection, owner, [
+      createRevokeInstruction(tokenAccount, owner),
+    ]);
+  }
+
+  logger.info('[DELEGATION] Delegation revoked', {
+    userId: user.id,
+    revokedCount: count,
+    onChainDelegate: onChain.delegate,
+    requestId,
+  });
+
+  return {
+    revokedCount: count,
+    delegationId: latest?.id || null,
+    ...unsigned,
+  };
+}
+
+/**
+ * Submit the user-signed on-chain revoke
+ * @returns {Promise<Object>} Updated delegation
+ */
+export async function submitDelegationRevoke({ user, delegationId, signedTransaction, lastValidBlockHeight = null, requestId = null }) {
+  const delegation = await prisma.swapDelegation.findFirst({
+    where: { id: delegationId, userId: user.id },
+  });
+
+  if (!delegation) {
+    throw DelegationErrors.DELEGATION_NOT_FOUND();
+  }
+
+  if (delegation.status !== 'REVOKED') {
+    throw DelegationErrors.INVALID_STATE(delegation.status);
+  }
+
+  const connection = getSolanaConnection();
+  const signature = await submitUserSignedTransaction(connection, signedTransaction, lastValidBlockHeight);
+
+  const updated = await prisma.swapDelegation.update({
+    where: { id: delegation.id },
+    data: { revokeSignature: signature },
+  });
+
+  logger.info('[DELEGATION] On-chain revoke confirmed', { userId: user.id, delegationId, signature, requestId });
+
+  return updated;
+}
+
+/**
+ * Find an ACTIVE delegation that can cover the given amount
+ * Expired and exhausted delegations are marked as such.
+ * @param {string} userId
+ * @param {bigint} amountRaw - USDC to pull, in base units
+ * @param {Date} now
+ * @returns {Promise<Object|null>}
+ */
+export async function findUsableDelegation(userId, amountRaw, now = new Date()) {
+  const delegation = await prisma.swapDelegation.findFirst({
+    where: { userId, status: 'ACTIVE' },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  if (!delegation) {
+    return null;
+  }
+
+  if (delegation.expiresAt <= now) {
+    await prisma.swapDelegation.update({
+      where: { id: delegation.id },
+      data: { status: 'EXPIRED' },
+    });
+    return null;
+  }
+
+  if (delegation.amountCapRaw - delegation.amountUsedRaw < amountRaw) {
+    await prisma.swapDelegation.update({
+      where: { id: delegation.id },
+      data: { status: 'EXHAUSTED' },
+    });
+    return null;
+  }
+
+  return delegation;
+}
+
+/**
+ * Execute a swap on the user's behalf under a delegation
+ * Pulls the USDC with the app wallet as delegate, swaps it with the output sent
+ * to the user's token account, and refunds the USDC if the swap fails.
+ * Every attempt is audited as a DelegatedExecution.
+ * @param {Object} params
+ * @param {Object} params.delegation - ACTIVE delegation (from findUsableDelegation)
+ * @param {Object} params.goal - Goal with user included
+ * @param {string} params.batchId - Investment batch ID
+ * @param {number} params.leg - Swap index within a basket batch (0 otherwise)
+ * @param {Object} params.quote - Jupiter quote for USDC → goal coin
+ * @param {Object|null} params.priorityFee - From the run's execution policy (provider default when null)
+ * @param {number|null} params.outputDecimals - Output token decimals, for the price impact check (skipped when null)
+ * @param {bigint} params.amountRaw - USDC to pull, in base units
+ * @param {string} params.scheduledRunId - Optional ScheduledRun ID
+ * @param {Function} params.onSubmitted - async (signature) => void, called once the swap is sent
+ * @returns {Promise<{signature: string, confirmed: boolean, onChainError: Object|null, executionId: string}>}
+ */
+export async function executeDelegatedSwap({
+  delegation,
+  goal,
+  batchId,
+  leg = 0,
+  quote,
+  priorityFee = null,
+  outputDecimals = null,
+  amountRaw,
+  scheduledRunId = null,
+  onSubmitted = async () => {},
+  requestId = null,
+}) {
+  const usdc = getUsdcMint();
+
+  if (quote.inputMint !== delegation.tokenMint) {
+    throw new AppError('Quote input mint does not match the delegated token', 400, 'DELEGATION_MINT_MISMATCH');
+  }
+
+  let execution = await prisma.delegatedExecution.create({
+    data: {
+      delegationId: delegation.id,
+      goalId: goal.id,
+      batchId,
+      leg,
+      scheduledRunId,
+      amountRaw,
+      meta: { quoteId: quote.quoteId, outputMint: quote.outputMint },
+    },
+  });
+
+  const audit = async (data) => {
+    execution = await prisma.delegatedExecution.update({
+      where: { id: execution.id },
+      data,
+    });
+  };
+
+  // Reserve the amount against the cap; the conditional update keeps concurrent runs within it
+  const { count: reserved } = await prisma.swapDelegation.updateMany({
+    where: {
+      id: delegation.id,
+      status: 'ACTIVE',
+      expiresAt: { gt: new Date() },
+      amountUsedRaw: { lte: delegation.amountCapRaw - amountRaw },
+    },
+    data: { amountUsedRaw: { increment: amountRaw } },
+  });
+
+  if (reserved === 0) {
+    await audit({ status: 'FAILED', error: 'Delegation no longer covers this amount' });
+    throw DelegationErrors.INVALID_STATE('unavailable');
+  }
+
+  const connection = getSolanaConnection();
+  const appWallet = getAppWallet();
+  const mint = new PublicKey(usdc.mint);
+  const userTokenAccount = new PublicKey(delegation.tokenAccount);
+  const appTokenAccount = await getAssociatedTokenAddress(mint, appWallet.publicKey);
+
+  let pulled = false;
+  let swapOutcomeUnknown = false;
+
+  try {
+    // Step 1: Verify the allowance and balance are really there
+    const onChain = await readOnChainDelegation(connection, delegation.tokenAccount);
+
+    if (onChain.delegate !== delegation.delegateAddress || BigInt(onChain.delegatedAmountRaw) < amountRaw) {
+      await prisma.swapDelegation.update({
+        where: { id: delegation.id },
+        data: { status: 'REVOKED', revokedAt: new Date() },
+      });
+      throw DelegationErrors.NOT_VERIFIED_ON_CHAIN();
+    }
+
+    if (BigInt(onChain.balanceRaw) < amountRaw) {
+      throw SwapErrors.INSUFFICIENT_BALANCE();
+    }
+
+    // Step 2: Pull USDC into the app wallet (app wallet signs as delegate)
+    const pullSignature = await sendAppWalletInstructions(connection, [
+      createTransferCheckedInstruction(
+        userTokenAccount,
+        mint,
+        appTokenAccount,
+        appWallet.publicKey,
+        amountRaw,
+        usdc.decimals
+      ),
+    ]);
+    pulled = true;
+    await audit({ status: 'PULLED', pullSignature });
+
+    logger.info('[DELEGATION] USDC pulled', { executionId: execution.id, pullSignature, amountUsdc: formatRawAmount(amountRaw, usdc.decimals), requestId });
+
+    // Step 3: Swap with the output delivered to the user's token account
+    // (native SOL output arrives as wrapped SOL in the user's wSOL account)
+    const outputIsToken2022 = await isToken2022(quote.outputMint);
+    const { ataAddress: destinationAccount } = await createATAWithAppWallet(
+      quote.outputMint,
+      goal.user.walletAddress,
+      outputIsToken2022
+    );
+
+    const swapData = await getSwapTransaction(quote, appWallet.publicKey.toBase58(), quote.slippageBps, {
+      destinationTokenAccount: destinationAccount.toBase58(),
+      ...(priorityFee && { priorityFee }),
+    });
+
+    const provider = getSwapProvider();
+    await inspectSwapTransaction({
+      swapTransaction: swapData.swapTransaction,
+      quote,
+      walletAddress: appWallet.publicKey.toBase58(),
+      destinationOwner: goal.user.walletAddress,
+      inputDecimals: usdc.decimals,
+      outputDecimals,
+      slippageBps: quote.slippageBps,
+      programs: provider.programs ?? {},
+      settlesBalances: provider.settlesBalances !== false,
+      connection,
+    });
+
+    const swapTransaction = VersionedTransaction.deserialize(Buffer.from(swapData.swapTransaction, 'base64'));
+    swapTransaction.sign([appWallet]);
+
+    const signature = await connection.sendRawTransaction(swapTransaction.serialize(), {
+      skipPreflight: false,
+      maxRetries: 3,
+      preflightCommitment: 'confirmed',
+    });
+    swapOutcomeUnknown = true;
+
+    await audit({ status: 'SUBMITTED', swapSignature: signature });
+    await onSubmitted(signature);
+
+    let confirmation;
+    try {
+      confirmation = await connection.confirmTransaction({
+        signature,
+        blockhash: swapTransaction.message.recentBlockhash,
+        lastValidBlockHeight: swapData.lastValidBlockHeight,
+      }, 'confirmed');
+    } catch (confirmError) {
+      // The swap may still land: never refund here, reconciliation settles it
+      logger.warn('[DELEGATION] Swap confirmation did not complete', {
+        executionId: execution.id,
+        signature,
+        error: confirmError.message,
+        requestId,
+      });
+      return { signature, confirmed: false, onChainError: null, executionId: execution.id };
+    }
+
+    if (confirmation.value?.err) {
+      // Failed swaps are atomic, so the USDC is still in the app wallet
+      swapOutcomeUnknown = false;
+      throw SwapErrors.SWAP_EXECUTION_FAILED(JSON.stringify(confirmation.value.err));
+    }
+
+    await audit({ status: 'SUCCEEDED' });
+
+    return { signature, confirmed: true, onChainError: null, executionId: execution.id };
+  } catch (error) {
+    if (pulled && !swapOutcomeUnknown) {
+      try {
+        const refundSignature = await refundPulledUsdc(connection, delegation, amountRaw);
+        await audit({ status: 'REFUNDED', refundSignature, error: error.message });
+        await releaseReservation(execution, requestId);
+
+        logger.info('[DELEGATION] USDC refunded after failed swap', {
+          executionId: execution.id,
+          refundSignature,
+          requestId,
+        });
+      } catch (refundError) {
+        await audit({ status: 'FAILED', error: `${error.message}; refund failed: ${refundError.message}` });
+
+        logger.error('[DELEGATION] Refund failed, manual refund required', {
+          executionId: execution.id,
+          amountUsdc: formatRawAmount(amountRaw, usdc.decimals),
+          userTokenAccount: delegation.tokenAccount,
+          error: refundError.message,
+          requestId,
+        });
+      }
+    } else if (!pulled) {
+      // Nothing left the user's account (a failed check, an RPC error or a failed pull)
+      await releaseReservation(execution, requestId);
+      await audit({ status: 'FAILED', error: error.message });
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Settle a delegated swap whose confirmation was left to reconciliation
+ * A confirmed swap marks its execution SUCCEEDED. A failed one is atomic, so
+ * the pulled USDC is still in the app wallet: it is refunded and the
+ * reservation released, or the execution is left FAILED for a manual refund
+ * when the refund itself fails.
+ * @param {Object} params
+ * @param {string} params.batchId - Investment batch ID
+ * @param {number} params.leg - Swap index within a basket batch (0 otherwise)
+ * @param {boolean} params.succeeded - Whether the swap confirmed
+ * @param {Error|null} params.error - Why the swap failed
+ * @param {string|null} params.requestId
+ * @returns {Promise<Object|null>} The settled execution, or null when none was waiting on the swap
+ */
+export async function settleDelegatedExecution({ batchId, leg = 0, succeeded, error = null, requestId = null }) {
+  const execution = await prisma.delegatedExecution.findUnique({
+    where: { batchId_leg: { batchId, leg } },
+    include: { delegation: true },
+  });
+
+  if (!execution || execution.status !== 'SUBMITTED') {
+    return null;
+  }
+
+  // Claimed with a conditional update, so concurrent reconciliations settle it once
+  const outcome = succeeded
+    ? { status: 'SUCCEEDED' }
+    : { status: 'FAILED', error: `${error?.message ?? 'Swap failed'}; refund pending` };
+  const { count: claimed } = await prisma.delegatedExecution.updateMany({
+    where: { id: execution.id, status: 'SUBMITTED' },
+    data: outcome,
+  });
+
+  if (claimed === 0) {
+    return null;
+  }
+
+  if (succeeded) {
+    return { ...execution, ...outcome };
+  }
+
+  const usdc = getUsdcMint();
+  try {
+    const refundSignature = await refundPulledUsdc(getSolanaConnection(), execution.delegation, execution.amountRaw);
+    const refunded = await prisma.delegatedExecution.update({
+      where: { id: execution.id },
+      data: { status: 'REFUNDED', refundSignature, error: error?.message ?? null },
+    });
+    await releaseReservation(execution, requestId);
+
+    logger.info('[DELEGATION] USDC refunded after reconciled swap failure', {
+      executionId: execution.id,
+      refundSignature,
+      requestId,
+    });
+
+    return refunded;
+  } catch (refundError) {
+    logger.error('[DELEGATION] Refund failed, manual refund required', {
+      executionId: execution.id,
+      amountUsdc: formatRawAmount(execution.amountRaw, usdc.decimals),
+      userTokenAccount: execution.delegation.tokenAccount,
+      error: refundError.message,
+      requestId,
+    });
+
+    return await prisma.delegatedExecution.update({
+      where: { id: execution.id },
+      data: { error: `${error?.message ?? 'Swap failed'}; refund failed: ${refundError.message}` },
+    });
+  }
+}
@@ -58,7 +58,7 @@ export class GoalValidationError extends AppError {
 
 export const GoalErrors = {
   INVALID_COIN: (coin) => new GoalValidationError(
-    `Invalid coin: ${coin}. Supported: BTC, ETH, SOL`, 
+    `Invalid coin: ${coin}. Use the symbol or mint of a registered token`, 
     'INVALID_COIN'
   ),
   INVALID_AMOUNT: (field, min, max) => {
@@ -68,10 +68,20 @@ export const GoalErrors = {
         : `${field} must be between ${min} and ${max}`;
     return new GoalValidationError(message, 'INVALID_AMOUNT');
   },
+  COIN_NOT_TRADABLE: (coin) => new GoalValidationError(
+    `No USDC swap route to ${coin} right now`,
+    'NO_ROUTE_FOUND'
+  ),
   INVALID_FREQUENCY: (freq) => new GoalValidationError(
-    `Invalid frequency: ${freq}. Must be DAILY, WEEKLY, or MONTHLY`, 
+    `Invalid frequency: ${freq}. Must be DAILY, WEEKLY, BIWEEKLY, MONTHLY, QUARTERLY, or CUSTOM`, 
     'INVALID_FREQUENCY'
   ),
+  INVALID_SCHEDULE: (message) => new GoalValidationError(`Invalid schedule: ${message}`, 'INVALID_SCHEDULE'),
+  INVALID_MILESTONE: (message) => new GoalValidationError(`Invalid milestone: ${message}`, 'INVALID_MILESTONE'),
+  INVALID_OVERFLOW_POLICY: (message) => new GoalValidationError(
+    `Invalid overflow policy: ${message}`,
+    'INVALID_OVERFLOW_POLICY'
+  ),
   GOAL_NOT_FOUND: () => new NotFoundError('Goal not found'),
   GOAL_NOT_OWNED: () => new AuthorizationError('You do not own this goal'),
   INVALID_STATUS_TRANSITION: (from, to) => new GoalValidationError(
@@ -81,6 +91,22 @@ export const GoalErrors = {
   GOAL_ALREADY_COMPLETED: () => new GoalValidationError(
     'Cannot modify completed goal',
     'GOAL_ALREADY_COMPLETED'
+  ),
+  GOAL_CLOSED: () => new GoalValidationError(
+    'Cannot modify a closed goal',
+    'GOAL_CLOSED'
+  ),
+  GOAL_NOT_WITHDRAWABLE: (status) => new GoalValidationError(
+    `Only closed or completed goals can be withdrawn (goal is ${status})`,
+    'GOAL_NOT_WITHDRAWABLE'
+  ),
+  INVALID_WITHDRAWAL: (message) => new ValidationError(`Invalid withdrawal: ${message}`),
+  GOAL_NOT_DELETED: () => new AppError('Goal is not deleted', 409, 'GOAL_NOT_DELETED'),
+  INVALID_BASKET: (message) => new GoalValidationError(`Invalid basket: ${message}`, 'INVALID_BASKET'),
+  INVALID_STRATEGY: (message) => new GoalValidationError(`Invalid contribution strategy: ${message}`, 'INVALID_STRATEGY'),
+  BASKET_NOT_SUPPORTED: () => new GoalValidationError(
+    'Basket goals are bought by the scheduler, one swap per component',
+    'BASKET_NOT_SUPPORTED'
   )
 };
 
@@ -113,6 +139,7 @@ export const SwapErrors = {
   INVALID_WALLET: () => new SwapError('Invalid wallet address', 'INVALID_WALLET', false, null, 'Please connect a valid Solana wallet.'),
   TRANSACTION_TIMEOUT: () => new SwapError('Transaction timeout, please try again', 'TRANSACTION_TIMEOUT', true, 10, 'Network may be congested. Wait a moment and retry.'),
   NETWORK_ERROR: () => new SwapError('Network error, please try again', 'NETWORK_ERROR', true, 30, 'Connection issue detected. Verify your internet connection and retry.'),
+  RATE_LIMITED: (retryAfterSec) => new SwapError('Swap provider is rate limiting requests', 'RATE_LIMITED', true, retryAfterSec, 'Too many quote requests in a short time. Wait a moment and retry.'),
   TOKEN_NOT_TRADABLE: (tokenMint) => new SwapError(
     `Token not tradable: ${tokenMint}`, 
     'TOKEN_NOT_TRADABLE', 
@@ -127,6 +154,165 @@ export const SwapErrors = {
     null, 
     'The requested swap amount exceeds available liquidity. Reduce the amount and try again.'
   ),
+  HOP_IN_PROGRESS: () => new SwapError(
+    'The first leg of this two-hop swap already confirmed',
+    'HOP_IN_PROGRESS',
+    false,
+    null,
+    'Retry the second leg or return the SOL to USDC instead of requesting a new quote.'
+  ),
+  HOP_NOT_RECOVERABLE: (reason) => new SwapError(
+    `This two-hop swap cannot continue: ${reason}`,
+    'HOP_NOT_RECOVERABLE',
+    false,
+    null,
+    'Only a two-hop swap whose SOL leg confirmed, and that has not been settled since, can be retried or returned.'
+  ),
+  SIMULATION_FAILED: (reason) => new SwapError(
+    `Swap simulation failed: ${reason}`,
+    'SIMULATION_FAILED',
+    true,
+    null,
+    'The swap would fail on-chain as built. Request a new quote and try again.'
+  ),
+  UNEXPECTED_PROGRAM: (programId) => new SwapError(
+    `Swap transaction calls an unexpected program: ${programId}`,
+    'UNEXPECTED_PROGRAM',
+    false,
+    null,
+    'The transaction was not signed. Only the swap provider and core Solana programs may be called.'
+  ),
+  UNEXPECTED_ACCOUNT: (reason) => new SwapError(
+    `Swap transaction ${reason}`,
+    'UNEXPECTED_ACCOUNT',
+    false,
+    null,
+    'The transaction was not signed. A swap may only change the wallet\'s input and output balances.'
+  ),
+  BALANCE_MISMATCH: (reason) => new SwapError(
+    `Swap transaction does not match its quote: ${reason}`,
+    'BALANCE_MISMATCH',
+    true,
+    null,
+    'Request a new quote; if this keeps happening the swap provider may be returning bad transactions.'
+  ),
+  PRICE_IMPACT_TOO_HIGH: (impactPct, maxPct) => new SwapError(
+    `Price impact of ${impactPct}% is above the ${maxPct}% limit`,
+    'PRICE_IMPACT_TOO_HIGH',
+    false,
+    null,
+    'The trade moves the price too far against you. Try a smaller amount.'
+  ),
+};
+
+// Investment batch lifecycle errors
+export const BatchErrors = {
+  BATCH_NOT_FOUND: () => new NotFoundError('Investment batch not found'),
+  BATCH_GOAL_MISMATCH: () => new ValidationError('batchId belongs to a different goal'),
+  INVALID_TRANSITION: (from, to) => new AppError(
+    `Cannot move investment batch from ${from} to ${to}`,
+    409,
+    'INVALID_BATCH_TRANSITION'
+  ),
+};
+
+// Delegated-signing errors
+export const DelegationErrors = {
+  DELEGATION_NOT_FOUND: () => new NotFoundError('Delegation not found'),
+  INVALID_AMOUNT_CAP: (min, max) => new ValidationError(`amountCapUsdc must be between ${min} and ${max}`),
+  INVALID_EXPIRY: (maxDays) => new ValidationError(`expiresInDays must be between 1 and ${maxDays}`),
+  INVALID_STATE: (status) => new AppError(`Delegation is ${status}`, 409, 'DELEGATION_INVALID_STATE'),
+  NOT_VERIFIED_ON_CHAIN: () => new AppError(
+    'Delegate approval not found on-chain for the expected amount',
+    422,
+    'DELEGATION_NOT_VERIFIED',
+    true,
+    5,
+    'The approval may not have landed yet. Try again in a few seconds.'
+  ),
+  NO_TOKEN_ACCOUNT: () => new AppError(
+    'No USDC token account found for this wallet',
+    422,
+    'DELEGATION_NO_TOKEN_ACCOUNT',
+    false,
+    null,
+    'Fund your wallet with USDC before enabling automatic buys.'
+  ),
+};
+
+// Notification inbox errors
+export const NotificationErrors = {
+  NOTIFICATION_NOT_FOUND: () => new NotFoundError('Notification not found'),
+  INVALID_STATUS: (status) => new ValidationError(`status must be UNREAD or READ (got ${status})`),
+  INVALID_CURSOR: () => new ValidationError('cursor does not match a notification'),
+  INVALID_PREFERENCES: (message) => new ValidationError(`Invalid notification preferences: ${message}`),
+};
+
+// Goal pause request errors
+export const PauseErrors = {
+  PAUSE_REQUEST_NOT_FOUND: () => new NotFoundError('Pause request not found'),
+  GOAL_NOT_PAUSABLE: (status) => new AppError(`Only active goals can be paused (goal is ${status})`, 409, 'GOAL_NOT_PAUSABLE'),
+  GOAL_NOT_PAUSED: (status) => new AppError(`Only paused goals can be resumed (goal is ${status})`, 409, 'GOAL_NOT_PAUSED'),
+  PAUSE_ALREADY_PENDING: () => new AppError('This goal already has a pause request awaiting review', 409, 'PAUSE_ALREADY_PENDING'),
+  ALREADY_REVIEWED: (status) => new AppError(`Pause request is already ${status}`, 409, 'PAUSE_REQUEST_ALREADY_REVIEWED'),
+  INVALID_RESUME_DATE: (maxDays) => new ValidationError(`resumeAt must be a future date within ${maxDays} days`),
+  INVALID_REASON: (maxLength) => new ValidationError(`reason must be a string of at most ${maxLength} characters`),
+  INVALID_DECISION: (decision) => new ValidationError(`decision must be APPROVE or REJECT (got ${decision})`),
+  INVALID_STATUS: (status) => new ValidationError(`status must be PENDING, APPROVED or REJECTED (got ${status})`),
+};
+
+// Shared goal membership and invite errors
+export const MemberErrors = {
+  INSUFFICIENT_ROLE: (required) => new AuthorizationError(`This requires the ${required} role on the goal`),
+  NOT_BATCH_CONTRIBUTOR: () => new AuthorizationError('Only the member who funded this investment can swap it'),
+  MEMBER_NOT_FOUND: () => new NotFoundError('Goal member not found'),
+  INVALID_ROLE: (role) => new ValidationError(`role must be OWNER, CONTRIBUTOR or VIEWER (got ${role})`),
+  LAST_OWNER: () => new AppError('A goal needs at least one owner', 409, 'LAST_OWNER'),
+  INVITE_NOT_FOUND: () => new NotFoundError('Invite not found'),
+  INVITE_EXPIRED: () => new AppError('This invite has expired', 410, 'INVITE_EXPIRED'),
+  INVITE_REVOKED: () => new AppError('This invite was revoked', 410, 'INVITE_REVOKED'),
+  INVITE_ALREADY_USED: () => new AppError('This invite has already been used', 409, 'INVITE_ALREADY_USED'),
+  INVALID_EXPIRY: (maxDays) => new ValidationError(`expiresInDays must be between 1 and ${maxDays}`),
+};
+
+// Token registry errors
+export const TokenErrors = {
+  TOKEN_NOT_FOUND: (token) => new NotFoundError(`Token not registered: ${token}`),
+  TOKEN_ALREADY_REGISTERED: (token) => new AppError(`Token already registered: ${token}`, 409, 'TOKEN_ALREADY_REGISTERED'),
+  TOKEN_METADATA_UNAVAILABLE: (mint) => new AppError(
+    `No token metadata found for ${mint}; pass symbol, name and decimals`,
+    422,
+    'TOKEN_METADATA_UNAVAILABLE'
+  ),
+  INVALID_TOKEN: (message) => new ValidationError(`Invalid token: ${message}`),
+};
+
+// Price oracle and price history errors
+export const PriceErrors = {
+  INVALID_COIN: (coin, supported) => new AppError(
+    `Unknown token: ${coin}. Supported tokens: ${supported.join(', ')}`,
+    422,
+    'INVALID_COIN'
+  ),
+  INVALID_RANGE: (range, supported) => new AppError(
+    `Unsupported range "${range}". Supported ranges: ${supported.join(', ')}`,
+    400,
+    'INVALID_RANGE'
+  ),
+  INVALID_IMPORT: (reason) => new ValidationError(`Invalid price import: ${reason}`),
+  INSUFFICIENT_HISTORY: (symbol, days, required) => new AppError(
+    `Not enough price history for ${symbol}: ${days} days stored, ${required} needed`,
+    422,
+    'INSUFFICIENT_PRICE_HISTORY'
+  ),
+  PRICE_UNAVAILABLE: (token, reason) => new AppError(
+    `No trustworthy price for ${token}: ${reason}`,
+    503,
+    'PRICE_UNAVAILABLE',
+    true,
+    30,
+    'Price sources are unavailable, stale or disagree. Try again shortly.'
+  ),
 };
 
 /**
@@ -0,0 +1,315 @@
+/**
+ * lib/execution-policy.js
+ * Slippage and priority fee for a swap, chosen per trade
+ *
+ * Slippage covers how far the price can move between quoting and landing: a
+ * floor for route variance, the pair's volatility over that window (daily
+ * closes from the price history store) and half the quote's price impact,
+ * which is how much of the market's liquidity the trade takes. The priority
+ * fee cap follows what recent transactions paid (getRecentPrioritizationFees).
+ * Both stay within the member's own maximums (users.max_slippage_bps,
+ * users.max_priority_fee_lamports) and the app's, and the chosen values with
+ * their reasons are recorded on the batch (investment_batches.execution_policy).
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getDailyCloses } from './price-history.js';
+import { getSolanaConnection } from './solana.js';
+import { ValidationError } from './errors.js';
+
+export const SLIPPAGE_CONFIG = {
+  MIN: 30,               // 0.3%, route variance with a perfectly still price
+  DEFAULT: 50,           // 0.5%
+  HIGH_VOLATILITY: 100,  // 1%
+  MAX_ALLOWED: 200       // 2%
+};
+
+export const PRIORITY_FEE_CONFIG = {
+  MIN_LAMPORTS: 5000,
+  DEFAULT_LAMPORTS: 10000,
+  VERY_HIGH_LAMPORTS: 50000, // above this the network is congested
+  MAX_ALLOWED_LAMPORTS: 200000,
+};
+
+// Quote → sign → land; the price has to hold for about this long
+const SLIPPAGE_WINDOW_MINUTES = 5;
+const VOLATILITY_LOOKBACK_DAYS = 30;
+const MIN_VOLATILITY_DAYS = 7;
+
+// Compute units a Jupiter swap is typically given, to turn a per-CU fee into lamports
+const SWAP_COMPUTE_UNITS = 300000;
+const FEE_PERCENTILE = 0.75;
+
+// Stablecoins add no volatility to a pair
+const STABLE_SYMBOLS = ['USDC', 'USDT'];
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function formatPct(bps) {
+  return `${(bps / 100).toFixed(2)}%`;
+}
+
+/**
+ * Daily volatility of each volatile side of a pair, combined
+ * Sides are treated as independent (√(σa² + σb²)), which errs high for
+ * correlated pairs.
+ * @param {string[]} symbols - Token symbols on both sides of the swap
+ * @param {Object} options
+ * @param {Date} options.now
+ * @returns {Promise<{dailyBps: number, bySymbol: Object}|null>} null without enough history for any side
+ */
+export async function measureVolatility(symbols, { now = new Date() } = {}) {
+  const bySymbol = {};
+
+  for (const symbol of symbols.map(s => s.toUpperCase())) {
+    if (STABLE_SYMBOLS.includes(symbol) || bySymbol[symbol] !== undefined) {
+      continue;
+    }
+
+    let closes;
+    try {
+      closes = (await getDailyCloses(symbol, { now })).slice(-(VOLATILITY_LOOKBACK_DAYS + 1));
+    } catch (error) {
+      logger.warn('Price history unavailable for volatility', { symbol, error: error.message });
+      return null;
+    }
+
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      if (closes[i - 1].close > 0 && closes[i].close > 0) {
+        returns.push(Math.log(closes[i].close / closes[i - 1].close));
+      }
+    }
+    if (returns.length < MIN_VOLATILITY_DAYS) {
+      return null;
+    }
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    bySymbol[symbol] = Math.round(Math.sqrt(variance) * 10000);
+  }
+
+  const values = Object.values(bySymbol);
+  return {
+    dailyBps: Math.round(Math.sqrt(values.reduce((sum, bps) => sum + bps ** 2, 0))),
+    bySymbol,
+  };
+}
+
+/**
+ * Pick the slippage tolerance for a trade
+ * @param {Object} params
+ * @param {Object|null} params.volatility - From measureVolatility
+ * @param {number|string|null} params.priceImpactPct - The quote's price impact, in percent
+ * @param {number|null} params.maxSlippageBps - Member's maximum
+ * @returns {{slippageBps: number, volatilityBps: number|null, priceImpactPct: number|null, reasons: string[]}}
+ */
+export function pickSlippage({ volatility = null, priceImpactPct = null, maxSlippageBps = null }) {
+  const reasons = [];
+  let slippageBps;
+  let volatilityBps = null;
+
+  if (volatility) {
+    // Daily volatility scaled to the quote-to-landing window (√time)
+    volatilityBps = Math.ceil(volatility.dailyBps * Math.sqrt(SLIPPAGE_WINDOW_MINUTES / (24 * 60)));
+    slippageBps = SLIPPAGE_CONFIG.MIN + volatilityBps;
+    reasons.push(`Daily volatility ${formatPct(volatility.dailyBps)} allows ${volatilityBps} bps over ${SLIPPAGE_WINDOW_MINUTES} minutes`);
+  } else {
+    slippageBps = SLIPPAGE_CONFIG.DEFAULT;
+    reasons.push('Not enough price history to measure volatility; using the default');
+  }
+
+  const impact = priceImpactPct === null || priceImpactPct === undefined ? null : Math.abs(Number(priceImpactPct));
+  if (impact) {
+    const impactBps = Math.ceil((impact * 100) / 2);
+    if (impactBps > 0) {
+      slippageBps += impactBps;
+      reasons.push(`Price impact ${impact}% (trade size against liquidity) adds ${impactBps} bps`);
+    }
+  }
+
+  const ceiling = Math.min(maxSlippageBps ?? SLIPPAGE_CONFIG.MAX_ALLOWED, SLIPPAGE_CONFIG.MAX_ALLOWED);
+  if (slippageBps > ceiling) {
+    reasons.push(ceiling === maxSlippageBps
+      ? `Capped at your maximum of ${ceiling} bps`
+      : `Capped at the ${ceiling} bps limit`);
+    slippageBps = ceiling;
+  } else if (slippageBps < SLIPPAGE_CONFIG.MIN) {
+    slippageBps = SLIPPAGE_CONFIG.MIN;
+  }
+
+  return { slippageBps, volatilityBps, priceImpactPct: impact, reasons };
+}
+
+/**
+ * Pick the priority fee cap from what recent transactions paid
+ * @param {Object} params
+ * @param {Array<{prioritizationFee: number}>|null} params.recentFees - getRecentPrioritizationFees result
+ * @param {number|null} params.maxPriorityFeeLamports - Member's maximum
+ * @returns {{maxLamports: number, priorityLevel: string, microLamportsPerCu: number|null, reasons: string[]}}
+ */
+export function pickPriorityFee({ recentFees = null, maxPriorityFeeLamports = null }) {
+  const ceiling = Math.min(maxPriorityFeeLamports ?? PRIORITY_FEE_CONFIG.MAX_ALLOWED_LAMPORTS, PRIORITY_FEE_CONFIG.MAX_ALLOWED_LAMPORTS);
+  const reasons = [];
+
+  if (!recentFees?.length) {
+    const maxLamports = Math.min(PRIORITY_FEE_CONFIG.DEFAULT_LAMPORTS, ceiling);
+    reasons.push('No recent prioritization fees; using the default cap');
+    return { maxLamports, priorityLevel: 'medium', microLamportsPerCu: null, reasons };
+  }
+
+  const sorted = recentFees.map(fee => fee.prioritizationFee).sort((a, b) => a - b);
+  const microLamportsPerCu = percentile(sorted, FEE_PERCENTILE);
+  const estimatedLamports = Math.ceil((microLamportsPerCu * SWAP_COMPUTE_UNITS) / 1e6);
+  reasons.push(`Recent fees: ${microLamportsPerCu} micro-lamports per compute unit at the 75th percentile (~${estimatedLamports} lamports a swap)`);
+
+  let priorityLevel = 'medium';
+  if (estimatedLamports >= PRIORITY_FEE_CONFIG.VERY_HIGH_LAMPORTS) {
+    priorityLevel = 'veryHigh';
+  } else if (estimatedLamports >= PRIORITY_FEE_CONFIG.DEFAULT_LAMPORTS) {
+    priorityLevel = 'high';
+  }
+
+  let maxLamports = Math.max(estimatedLamports, PRIORITY_FEE_CONFIG.MIN_LAMPORTS);
+  if (maxLamports > ceiling) {
+    reasons.push(ceiling === maxPriorityFeeLamports
+      ? `Capped at your maximum of ${ceiling} lamports`
+      : `Capped at the ${ceiling} lamport limit`);
+    maxLamports = ceiling;
+  }
+
+  return { maxLamports, priorityLevel, microLamportsPerCu, reasons };
+}
+
+/**
+ * Validate a member's execution maximums (PATCH /api/user)
+ * null clears a maximum.
+ * @param {Object} body - { maxSlippageBps, maxPriorityFeeLamports }
+ * @returns {Object} The fields to update
+ * @throws {ValidationError}
+ */
+export function validateExecutionLimits(body) {
+  const limits = {};
+
+  if (body.maxSlippageBps !== undefined) {
+    const value = body.maxSlippageBps;
+    if (value !== null && (!Number.isInteger(value) || value < SLIPPAGE_CONFIG.MIN || value > SLIPPAGE_CONFIG.MAX_ALLOWED)) {
+      throw new ValidationError(`maxSlippageBps must be an integer between ${SLIPPAGE_CONFIG.MIN} and ${SLIPPAGE_CONFIG.MAX_ALLOWED}, or null`);
+    }
+    limits.maxSlippageBps = value;
+  }
+
+  if (body.maxPriorityFeeLamports !== undefined) {
+    const value = body.maxPriorityFeeLamports;
+    if (value !== null && (!Number.isInteger(value) || value < 0 || value > PRIORITY_FEE_CONFIG.MAX_ALLOWED_LAMPORTS)) {
+      throw new ValidationError(`maxPriorityFeeLamports must be an integer between 0 and ${PRIORITY_FEE_CONFIG.MAX_ALLOWED_LAMPORTS}, or null`);
+    }
+    limits.maxPriorityFeeLamports = value;
+  }
+
+  return limits;
+}
+
+/**
+ * A member's execution maximums (null where they have not set one)
+ * @param {string} userId
+ * @returns {Promise<{maxSlippageBps: number|null, maxPriorityFeeLamports: number|null}>}
+ */
+export async function getExecutionLimits(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { maxSlippageBps: true, maxPriorityFeeLamports: true },
+  });
+  return {
+    maxSlippageBps: user?.maxSlippageBps ?? null,
+    maxPriorityFeeLamports: user?.maxPriorityFeeLamports ?? null,
+  };
+}
+
+/**
+ * Choose the execution policy for a swap before it is quoted
+ * A requested slippage is kept as is (within the member's maximum); otherwise
+ * the volatility-based pick is refined by quoteWithPolicy once the quote's
+ * price impact is known.
+ * @param {Object} params
+ * @param {string[]} params.symbols - Token symbols on both sides of the swap
+ * @param {string} params.userId - Member whose maximums apply
+ * @param {number|null} params.slippageBps - Slippage the caller asked for
+ * @param {Object} params.connection - Solana connection for recent fees
+ * @param {Date} params.now
+ * @returns {Promise<Object>} { slippage, priorityFee, volatility, limits, chosenAt }
+ * @throws {ValidationError} A requested slippage above the member's maximum
+ */
+export async function prepareExecutionPolicy({
+  symbols,
+  userId,
+  slippageBps = null,
+  connection = getSolanaConnection(),
+  now = new Date(),
+}) {
+  const limits = await getExecutionLimits(userId);
+
+  if (slippageBps && limits.maxSlippageBps !== null && slippageBps > limits.maxSlippageBps) {
+    throw new ValidationError(`Slippage cannot exceed your maximum of ${limits.maxSlippageBps} bps`);
+  }
+
+  const recentFees = await connection.getRecentPrioritizationFees().catch((error) => {
+    logger.warn('Failed to get recent prioritization fees', { error: error.message });
+    return null;
+  });
+
+  const volatility = slippageBps ? null : await measureVolatility(symbols, { now });
+
+  return {
+    slippage: slippageBps
+      ? { slippageBps, volatilityBps: null, priceImpactPct: null, reasons: ['Requested'], requested: true }
+      : pickSlippage({ volatility, maxSlippageBps: limits.maxSlippageBps }),
+    priorityFee: pickPriorityFee({ recentFees, maxPriorityFeeLamports: limits.maxPriorityFeeLamports }),
+    volatility,
+    limits,
+    chosenAt: now.toISOString(),
+  };
+}
+
+/**
+ * Quote at the policy's slippage, then size it to the trade
+ * The first quote's price impact can raise the slippage; the trade is then
+ * quoted again so the quote's minimum output matches the tolerance sent.
+ * @param {Object} policy - From prepareExecutionPolicy
+ * @param {Function} getQuote - (slippageBps) => Promise<{quote: Object}>
+ * @returns {Promise<{result: Object, policy: Object}>} The last getQuote result and the final policy
+ */
+export async function quoteWithPolicy(policy, getQuote) {
+  const result = await getQuote(policy.slippage.slippageBps);
+  if (policy.slippage.requested) {
+    return { result, policy };
+  }
+
+  const slippage = pickSlippage({
+    volatility: policy.volatility,
+    priceImpactPct: result.quote.priceImpactPct ?? null,
+    maxSlippageBps: policy.limits.maxSlippageBps,
+  });
+  const sized = { ...policy, slippage };
+
+  if (slippage.slippageBps === policy.slippage.slippageBps) {
+    return { result, policy: sized };
+  }
+  return { result: await getQuote(slippage.slippageBps), policy: sized };
+}
+
+/**
+ * Record the policy a batch was quoted with
+ * @param {string} batchId
+ * @param {Object} policy
+ * @param {Object} client - Prisma client or transaction
+ */
+export async function recordExecutionPolicy(batchId, policy, client = prisma) {
+  await client.investmentBatch.update({
+    where: { id: batchId },
+    data: { executionPolicy: policy },
+  });
+}
@@ -0,0 +1,240 @@
+/**
+ * Closing, withdrawing and soft-deleting goals
+ *
+ * Closing moves an ACTIVE or PAUSED goal to CANCELLED: recurring buys stop,
+ * open investment batches are canceled and pending pause requests are
+ * declined, but every transaction, batch and transition stays in place.
+ * The coin a goal accumulated already sits in the wallets of the members who
+ * paid for it; a withdrawal only builds an unsigned transfer of the user's
+ * share for them to sign.
+ * Deleting is a soft delete (deletedAt) that hides the goal from the
+ * dashboard until it is restored.
+ */
+
+import { TokenAccountNotFoundError } from '@solana/spl-token';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { isValidSolanaAddress, isToken2022 } from './solana.js';
+import { getGoalTokenMint } from './tokens.js';
+import { fromRawAmount, toRawAmount } from './amount.js';
+import { buildUnsignedTokenTransfer, buildUnsignedSolTransfer } from './solana-token-transfer.js';
+import { transitionBatch, CANCELABLE_BATCH_STATES } from './investment-batch.js';
+import { GoalErrors, ValidationError } from './errors.js';
+
+export const CANCEL_REASON_MAX_LENGTH = 500;
+
+const CLOSABLE_STATUSES = ['ACTIVE', 'PAUSED'];
+const WITHDRAWABLE_STATUSES = ['CANCELLED', 'COMPLETED'];
+
+function parseCancelReason(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > CANCEL_REASON_MAX_LENGTH) {
+    throw new ValidationError(`reason must be a string of at most ${CANCEL_REASON_MAX_LENGTH} characters`);
+  }
+  return value.trim() || null;
+}
+
+/**
+ * Close a goal (ACTIVE/PAUSED → CANCELLED)
+ * @param {Object} params
+ * @param {Object} params.goal - Goal row (already ownership-checked)
+ * @param {string} params.reason - Optional reason
+ * @param {Date} params.now - Reference time
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {Promise<Object>} Updated goal
+ */
+export async function cancelGoal({ goal, reason, now = new Date(), requestId = null }) {
+  const cancelReason = parseCancelReason(reason);
+
+  const updatedGoal = await prisma.$transaction(async (tx) => {
+    // Guards against a concurrent completion or close
+    const { count } = await tx.goal.updateMany({
+      where: { id: goal.id, status: { in: CLOSABLE_STATUSES } },
+      data: { status: 'CANCELLED', cancelledAt: now, cancelReason, nextRunAt: null },
+    });
+    if (count !== 1) {
+      const current = await tx.goal.findUnique({ where: { id: goal.id }, select: { status: true } });
+      throw GoalErrors.INVALID_STATUS_TRANSITION(current?.status ?? goal.status, 'CANCELLED');
+    }
+
+    await tx.pauseRequest.updateMany({
+      where: { goalId: goal.id, status: 'PENDING' },
+      data: { status: 'REJECTED', reviewedAt: now, reviewNote: 'Goal closed' },
+    });
+
+    return tx.goal.findUnique({ where: { id: goal.id } });
+  });
+
+  // Batches that have not reached the chain are canceled; a swap already
+  // submitted still settles and is recorded against the closed goal
+  const openBatches = await prisma.investmentBatch.findMany({
+    where: { goalId: goal.id, state: { in: CANCELABLE_BATCH_STATES } },
+    select: { id: true, state: true },
+  });
+  for (const batch of openBatches) {
+    try {
+      await transitionBatch(batch.id, 'CANCELED', { reason: 'Goal closed', from: batch.state });
+    } catch (error) {
+      logger.warn('[GOAL] Could not cancel batch for closed goal', {
+        goalId: goal.id,
+        batchId: batch.id,
+        error: error.message,
+        requestId,
+      });
+    }
+  }
+
+  logger.info('[GOAL] Goal closed', {
+    goalId: goal.id,
+    previousStatus: goal.status,
+    canceledBatches: openBatches.length,
+    requestId,
+  });
+
+  return updatedGoal;
+}
+
+/**
+ * Build an unsigned transfer of a closed or completed goal's coin
+ * The user signs and sends it from their wallet; nothing is recorded until then.
+ * @param {Object} params
+ * @param {Object} params.user - Goal member (walletAddress is the source)
+ * @param {Object} params.goal - Goal row (CANCELLED or COMPLETED), with components for a basket
+ * @param {Map<string, bigint>} params.shares - The user's share per goal/component ID
+ *   (getMemberShares); omitted, the user holds everything the goal accumulated
+ * @param {string} params.toAddress - Destination wallet
+ * @param {number|string} params.amount - Optional amount (defaults to the user's whole share)
+ * @param {string} params.coin - Basket component to withdraw (baskets withdraw one token at a time)
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {Promise<Object>} Transfer details with the unsigned transaction
+ */
+export async function prepareGoalWithdrawal({ user, goal, shares = null, toAddress, amount, coin = null, requestId = null }) {
+  if (!WITHDRAWABLE_STATUSES.includes(goal.status)) {
+    throw GoalErrors.GOAL_NOT_WITHDRAWABLE(goal.status);
+  }
+  if (!user.walletAddress) {
+    throw GoalErrors.INVALID_WITHDRAWAL('no wallet is linked to this account');
+  }
+  if (!toAddress || !isValidSolanaAddress(toAddress)) {
+    throw GoalErrors.INVALID_WITHDRAWAL('toAddress must be a valid Solana address');
+  }
+  if (toAddress === user.walletAddress) {
+    throw GoalErrors.INVALID_WITHDRAWAL('toAddress is your own wallet');
+  }
+
+  // Component rows carry the same coin/mint/amount fields as a goal
+  const holding = goal.kind === 'BASKET'
+    ? goal.components.find(c => c.coin === coin?.toUpperCase() || c.tokenMint === coin)
+    : goal;
+  if (!holding) {
+    throw GoalErrors.INVALID_WITHDRAWAL(
+      `coin must be one of this basket's tokens (${goal.components.map(c => c.coin).join(', ')})`
+    );
+  }
+
+  const heldRaw = shares ? (shares.get(holding.id) ?? 0n) : holding.investedAmountRaw;
+  const accumulated = fromRawAmount(heldRaw, holding.amountDecimals);
+  if (accumulated <= 0) {
+    throw GoalErrors.INVALID_WITHDRAWAL(
+      shares ? 'you have not contributed to this goal' : 'this goal has nothing to withdraw'
+    );
+  }
+
+  const withdrawAmount = amount === undefined || amount === null ? accumulated : Number(amount);
+  if (!Number.isFinite(withdrawAmount) || withdrawAmount <= 0 || withdrawAmount > accumulated) {
+    throw GoalErrors.INVALID_WITHDRAWAL(`amount must be greater than 0 and at most ${accumulated} ${holding.coin}`);
+  }
+
+  const token = getGoalTokenMint(holding);
+  let unsignedTransfer;
+  try {
+    unsignedTransfer = holding.coin === 'SOL'
+      ? await buildUnsignedSolTransfer({
+          fromAddress: user.walletAddress,
+          toAddress,
+          lamports: Number(toRawAmount(withdrawAmount, token.decimals)),
+        })
+      : await buildUnsignedTokenTransfer({
+          fromAddress: user.walletAddress,
+          toAddress,
+          mintAddress: token.mint,
+          amount: withdrawAmount,
+          decimals: token.decimals,
+          isToken2022: await isToken2022(token.mint),
+        });
+  } catch (error) {
+    // The wallet may hold less than the goal recorded (coins moved elsewhere)
+    if (error instanceof TokenAccountNotFoundError || /Insufficient balance/.test(error.message)) {
+      throw GoalErrors.INVALID_WITHDRAWAL(
+        error instanceof TokenAccountNotFoundError ? `your wallet holds no ${holding.coin}` : error.message
+      );
+    }
+    throw error;
+  }
+
+  logger.info('[GOAL] Withdrawal prepared', {
+    goalId: goal.id,
+    coin: holding.coin,
+    amount: withdrawAmount,
+    toAddress,
+    requestId,
+  });
+
+  return {
+    goalId: goal.id,
+    coin: holding.coin,
+    amount: withdrawAmount,
+    mintAddress: token.mint,
+    decimals: token.decimals,
+    fromAddress: user.walletAddress,
+    toAddress,
+    ...unsignedTransfer,
+  };
+}
+
+/**
+ * Hide a goal from the dashboard
+ * An ACTIVE or PAUSED goal is closed first so hidden goals never keep buying.
+ * @param {Object} params
+ * @param {Object} params.goal - Goal row (already ownership-checked)
+ * @param {Date} params.now - Reference time
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {Promise<Object>} Updated goal
+ */
+export async function softDeleteGoal({ goal, now = new Date(), requestId = null }) {
+  if (CLOSABLE_STATUSES.includes(goal.status)) {
+    await cancelGoal({ goal, reason: 'Deleted from the dashboard', now, requestId });
+  }
+
+  const updatedGoal = await prisma.goal.update({
+    where: { id: goal.id },
+    data: { deletedAt: now },
+  });
+
+  logger.info('[GOAL] Goal deleted', { goalId: goal.id, requestId });
+
+  return updatedGoal;
+}
+
+/**
+ * Bring a soft-deleted goal back to the dashboard
+ * The goal keeps its status; a goal closed by the delete stays CANCELLED.
+ * @param {Object} params
+ * @param {Object} params.goal - Goal row (already ownership-checked)
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {Promise<Object>} Updated goal
+ */
+export async function restoreGoal({ goal, requestId = null }) {
+  if (!goal.deletedAt) {
+    throw GoalErrors.GOAL_NOT_DELETED();
+  }
+
+  const updatedGoal = await prisma.goal.update({
+    where: { id: goal.id },
+    data: { deletedAt: null },
+  });
+
+  logger.info('[GOAL] Goal restored', { goalId: goal.id, requestId });
+
+  return updatedGoal;
+}
@@ -0,0 +1,521 @@
+/**
+ * Shared and gifted goals
+ *
+ * Every goal has members with a role:
+ * - OWNER: manages the goal, its schedule and its members
+ * - CONTRIBUTOR: buys into the goal from their own wallet
+ * - VIEWER: follows progress and history
+ * goals.user_id stays the primary owner, whose wallet and delegation the
+ * scheduler uses and who gets the goal's notifications. When the primary
+ * owner steps down or leaves, the longest-standing other owner takes over;
+ * inviting someone as OWNER and then leaving is how a goal is gifted.
+ *
+ * Swaps record the member who paid for them (transactions.contributor_id).
+ * The coin sits in that member's wallet, so a member's share of a goal is
+ * their part of its confirmed swaps.
+ */
+
+import { nanoid } from 'nanoid';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { fromRawAmount, USD_DECIMALS } from './amount.js';
+import { GoalErrors, MemberErrors } from './errors.js';
+
+export const GOAL_ROLES = ['OWNER', 'CONTRIBUTOR', 'VIEWER'];
+
+export const INVITE_DEFAULT_DAYS = 7;
+export const INVITE_MAX_DAYS = 30;
+
+const ROLE_RANK = { VIEWER: 1, CONTRIBUTOR: 2, OWNER: 3 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Roles at or above a minimum role
+ * @param {string} minRole - One of GOAL_ROLES
+ * @returns {string[]}
+ */
+export function rolesAtLeast(minRole) {
+  return GOAL_ROLES.filter(role => ROLE_RANK[role] >= ROLE_RANK[minRole]);
+}
+
+/**
+ * Prisma goal filter for goals the user is a member of
+ * @param {string} userId - User ID
+ * @param {string} minRole - Lowest role that qualifies (default VIEWER: any member)
+ * @returns {Object} Goal where clause
+ */
+export function goalAccessWhere(userId, minRole = 'VIEWER') {
+  return {
+    members: {
+      some: { userId, role: { in: rolesAtLeast(minRole) } },
+    },
+  };
+}
+
+/**
+ * Member who funded an investment batch: its onramp's contributor, or the
+ * primary owner for batches from before goals were shared
+ * @param {string} batchId - Investment batch ID
+ * @param {Object} goal - The batch's goal
+ * @returns {Promise<string|null>} null when the batch has no onramp yet
+ */
+export async function getBatchContributorId(batchId, goal) {
+  const onramp = await prisma.transaction.findFirst({
+    where: { batchId, type: 'ONRAMP' },
+    select: { contributorId: true },
+  });
+  if (!onramp) return null;
+  return onramp.contributorId ?? goal.userId;
+}
+
+/**
+ * Validate a role from a request body
+ * @param {string} value - Raw role
+ * @returns {string}
+ * @throws {ValidationError} INVALID_ROLE
+ */
+export function parseGoalRole(value) {
+  if (!GOAL_ROLES.includes(value)) {
+    throw MemberErrors.INVALID_ROLE(value);
+  }
+  return value;
+}
+
+/**
+ * Load a goal the user is a member of, requiring a minimum role
+ * Non-members get GOAL_NOT_FOUND so goal IDs do not leak; members below the
+ * role get INSUFFICIENT_ROLE.
+ * @param {string} goalId - Goal ID
+ * @param {string} userId - Acting user
+ * @param {string} minRole - Lowest role allowed (default VIEWER)
+ * @param {Object} options
+ * @param {Object} options.where - Extra goal filters (e.g. { deletedAt: null })
+ * @param {Object} options.include - Prisma include for the goal
+ * @returns {Promise<{goal: Object, role: string}>}
+ * @throws {NotFoundError|AuthorizationError}
+ */
+export async function findGoalForMember(goalId, userId, minRole = 'VIEWER', { where = {}, include = {} } = {}) {
+  const found = await prisma.goal.findFirst({
+    where: { id: goalId, ...where, members: { some: { userId } } },
+    include: { ...include, members: { where: { userId }, select: { role: true } } },
+  });
+
+  if (!found) {
+    throw GoalErrors.GOAL_NOT_FOUND();
+  }
+
+  const { members, ...goal } = found;
+  const role = members[0].role;
+  if (ROLE_RANK[role] < ROLE_RANK[minRole]) {
+    throw MemberErrors.INSUFFICIENT_ROLE(minRole);
+  }
+
+  return { goal, role };
+}
+
+/**
+ * Confirmed swap totals per goal, component and contributor
+ * @param {string[]} goalIds - Goals to summarize
+ * @returns {Promise<Array<{goalId: string, componentId: string|null, contributorId: string|null, amountRaw: bigint, costUsdRaw: bigint, swaps: number}>>}
+ */
+export async function summarizeContributions(goalIds) {
+  if (goalIds.length === 0) {
+    return [];
+  }
+
+  const groups = await prisma.transaction.groupBy({
+    by: ['goalId', 'componentId', 'contributorId'],
+    where: {
+      goalId: { in: goalIds },
+      type: 'SWAP',
+      batch: { state: 'SWAP_CONFIRMED' },
+    },
+    _sum: { amountCryptoRaw: true, costUsdRaw: true },
+    _count: { _all: true },
+  });
+
+  return groups.map(group => ({
+    goalId: group.goalId,
+    componentId: group.componentId,
+    contributorId: group.contributorId,
+    amountRaw: group._sum.amountCryptoRaw ?? 0n,
+    costUsdRaw: group._sum.costUsdRaw ?? 0n,
+    swaps: group._count._all,
+  }));
+}
+
+/**
+ * Split a holding's invested amount between its contributors
+ * Shares follow each contributor's confirmed swap amounts and always add up
+ * to the invested amount (the rounding remainder goes to the largest
+ * contributor). Without attributed swaps, such as a rolled-over goal, the
+ * primary owner holds everything.
+ * @param {bigint} investedAmountRaw - Goal or component invested amount
+ * @param {Array<Object>} contributions - summarizeContributions rows for this holding
+ * @param {string} primaryOwnerId - goals.user_id
+ * @returns {Map<string, bigint>} userId → share in raw units
+ */
+export function splitHolding(investedAmountRaw, contributions, primaryOwnerId) {
+  const invested = BigInt(investedAmountRaw);
+  const byContributor = new Map();
+  for (const row of contributions) {
+    const userId = row.contributorId ?? primaryOwnerId;
+    byContributor.set(userId, (byContributor.get(userId) ?? 0n) + BigInt(row.amountRaw));
+  }
+
+  const total = [...byContributor.values()].reduce((sum, amount) => sum + amount, 0n);
+  if (total <= 0n) {
+    return new Map(invested > 0n ? [[primaryOwnerId, invested]] : []);
+  }
+
+  const shares = new Map();
+  let assigned = 0n;
+  let largest = null;
+  for (const [userId, amount] of byContributor) {
+    const share = (invested * amount) / total;
+    shares.set(userId, share);
+    assigned += share;
+    if (largest === null || amount > byContributor.get(largest)) {
+      largest = userId;
+    }
+  }
+  shares.set(largest, shares.get(largest) + invested - assigned);
+
+  return shares;
+}
+
+/**
+ * A member's share of each holding of the given goals
+ * @param {Array<Object>} goals - Goals with id, userId, kind, investedAmountRaw and components (id, investedAmountRaw)
+ * @param {string} userId - Member
+ * @returns {Promise<Map<string, bigint>>} goal ID (or component ID for baskets) → share in raw units
+ */
+export async function getMemberShares(goals, userId) {
+  const contributions = await summarizeContributions(goals.map(g => g.id));
+  const shares = new Map();
+
+  for (const goal of goals) {
+    const holdings = goal.kind === 'BASKET'
+      ? goal.components.map(component => ({ key: component.id, componentId: component.id, investedAmountRaw: component.investedAmountRaw }))
+      : [{ key: goal.id, componentId: null, investedAmountRaw: goal.investedAmountRaw }];
+
+    for (const holding of holdings) {
+      const rows = contributions.filter(row =>
+        row.goalId === goal.id && (holding.componentId === null || row.componentId === holding.componentId)
+      );
+      const split = splitHolding(holding.investedAmountRaw, rows, goal.userId);
+      shares.set(holding.key, split.get(userId) ?? 0n);
+    }
+  }
+
+  return shares;
+}
+
+/**
+ * How a member appears to the rest of a goal
+ * Email addresses are shown to the goal's owners and to the member themselves;
+ * everyone else sees the part before the @.
+ * @param {{id: string, email: string}} member - User row
+ * @param {boolean} showEmail
+ * @returns {{userId: string, displayName: string, email?: string}}
+ */
+export function describeMember(member, showEmail) {
+  return {
+    userId: member.id,
+    displayName: member.email.split('@')[0],
+    ...(showEmail ? { email: member.email } : {}),
+  };
+}
+
+/**
+ * Members of a goal with what each contributed
+ * @param {Object} goal - Goal row
+ * @param {Object} viewer - Member asking
+ * @param {string} viewer.userId
+ * @param {string} viewer.role - Their role on the goal (owners see email addresses)
+ * @returns {Promise<Array<Object>>} Owners first, then by join date
+ */
+export async function listGoalMembers(goal, { userId: viewerId, role: viewerRole }) {
+  const [members, contributions] = await Promise.all([
+    prisma.goalMember.findMany({
+      where: { goalId: goal.id },
+      include: { user: { select: { id: true, email: true } } },
+      orderBy: { createdAt: 'asc' },
+    }),
+    summarizeContributions([goal.id]),
+  ]);
+
+  return members
+    .map(member => {
+      const rows = contributions.filter(row => (row.contributorId ?? goal.userId) === member.userId);
+      const costUsdRaw = rows.reduce((sum, row) => sum + row.costUsdRaw, 0n);
+      return {
+        ...describeMember(member.user, viewerRole === 'OWNER' || member.userId === viewerId),
+        role: member.role,
+        primary: member.userId === goal.userId,
+        joinedAt: member.createdAt.toISOString(),
+        contributedSwaps: rows.reduce((sum, row) => sum + row.swaps, 0),
+        contributedUsd: fromRawAmount(costUsdRaw, USD_DECIMALS),
+      };
+    })
+    .sort((a, b) => ROLE_RANK[b.role] - ROLE_RANK[a.role]);
+}
+
+function inviteUrl(token) {
+  const appUrl = (process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${appUrl}/invites/${token}`;
+}
+
+function inviteStatus(invite, now = new Date()) {
+  if (invite.acceptedAt) return 'ACCEPTED';
+  if (invite.revokedAt) return 'REVOKED';
+  if (invite.expiresAt <= now) return 'EXPIRED';
+  return 'PENDING';
+}
+
+/**
+ * Shape an invite for API responses
+ * @param {Object} invite - GoalInvite row
+ * @returns {Object}
+ */
+export function serializeInvite(invite) {
+  return {
+    id: invite.id,
+    goalId: invite.goalId,
+    role: invite.role,
+    url: inviteUrl(invite.token),
+    status: inviteStatus(invite),
+    expiresAt: invite.expiresAt.toISOString(),
+    acceptedAt: invite.acceptedAt?.toISOString() ?? null,
+    revokedAt: invite.revokedAt?.toISOString() ?? null,
+    createdAt: invite.createdAt.toISOString(),
+  };
+}
+
+/**
+ * Create an invite link for a goal
+ * @param {Object} params
+ * @param {Object} params.goal - Goal row (caller is an owner)
+ * @param {Object} params.user - Inviting owner
+ * @param {string} params.role - Role the invite grants
+ * @param {number} params.expiresInDays - Link lifetime (default INVITE_DEFAULT_DAYS)
+ * @param {Date} params.now - Reference time
+ * @returns {Promise<Object>} GoalInvite row
+ */
+export async function createGoalInvite({ goal, user, role, expiresInDays = INVITE_DEFAULT_DAYS, now = new Date() }) {
+  const parsedRole = parseGoalRole(role);
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > INVITE_MAX_DAYS) {
+    throw MemberErrors.INVALID_EXPIRY(INVITE_MAX_DAYS);
+  }
+
+  return prisma.goalInvite.create({
+    data: {
+      goalId: goal.id,
+      token: nanoid(32),
+      role: parsedRole,
+      createdById: user.id,
+      expiresAt: new Date(now.getTime() + days * DAY_MS),
+    },
+  });
+}
+
+/**
+ * Look up an invite by its link token
+ * @param {string} token - Invite token
+ * @returns {Promise<Object>} GoalInvite row with its goal
+ * @throws {NotFoundError} INVITE_NOT_FOUND (also for deleted goals)
+ */
+export async function findInvite(token) {
+  const invite = await prisma.goalInvite.findUnique({
+    where: { token },
+    include: {
+      goal: true,
+      createdBy: { select: { email: true } },
+    },
+  });
+  if (!invite || invite.goal.deletedAt) {
+    throw MemberErrors.INVITE_NOT_FOUND();
+  }
+  return invite;
+}
+
+/**
+ * Accept an invite and join the goal
+ * The invite is claimed with a conditional update, so a link works once.
+ * A member accepting an invite keeps the higher of their two roles.
+ * @param {Object} params
+ * @param {string} params.token - Invite token
+ * @param {Object} params.user - Accepting user
+ * @param {Date} params.now - Reference time
+ * @returns {Promise<{goal: Object, role: string}>}
+ */
+export async function acceptGoalInvite({ token, user, now = new Date() }) {
+  const invite = await findInvite(token);
+
+  if (invite.acceptedAt) {
+    if (invite.acceptedById === user.id) {
+      return findGoalForMember(invite.goalId, user.id);
+    }
+    throw MemberErrors.INVITE_ALREADY_USED();
+  }
+  if (invite.revokedAt) {
+    throw MemberErrors.INVITE_REVOKED();
+  }
+  if (invite.expiresAt <= now) {
+    throw MemberErrors.INVITE_EXPIRED();
+  }
+
+  const role = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.goalInvite.updateMany({
+      where: { id: invite.id, acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+      data: { acceptedAt: now, acceptedById: user.id },
+    });
+    if (count !== 1) {
+      throw MemberErrors.INVITE_ALREADY_USED();
+    }
+
+    const existing = await tx.goalMember.findUnique({
+      where: { goalId_userId: { goalId: invite.goalId, userId: user.id } },
+    });
+    if (existing) {
+      if (ROLE_RANK[existing.role] >= ROLE_RANK[invite.role]) {
+        return existing.role;
+      }
+      await tx.goalMember.update({ where: { id: existing.id }, data: { role: invite.role } });
+      return invite.role;
+    }
+
+    await tx.goalMember.create({
+      data: {
+        goalId: invite.goalId,
+        userId: user.id,
+        role: invite.role,
+        invitedById: invite.createdById,
+      },
+    });
+    return invite.role;
+  });
+
+  logger.info('[GOAL_MEMBERS] Invite accepted', { goalId: invite.goalId, inviteId: invite.id, userId: user.id, role });
+
+  return { goal: invite.goal, role };
+}
+
+/**
+ * Revoke a pending invite
+ * @param {Object} goal - Goal row (caller is an owner)
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} Updated invite
+ */
+export async function revokeGoalInvite(goal, inviteId, now = new Date()) {
+  const { count } = await prisma.goalInvite.updateMany({
+    where: { id: inviteId, goalId: goal.id, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: now },
+  });
+  const invite = await prisma.goalInvite.findFirst({ where: { id: inviteId, goalId: goal.id } });
+  if (!invite) {
+    throw MemberErrors.INVITE_NOT_FOUND();
+  }
+  if (count !== 1 && invite.acceptedAt) {
+    throw MemberErrors.INVITE_ALREADY_USED();
+  }
+  return invite;
+}
+
+/**
+ * Pending invites of a goal, newest first
+ * @param {Object} goal - Goal row
+ * @returns {Promise<Array<Object>>} Serialized invites
+ */
+export async function listPendingInvites(goal, now = new Date()) {
+  const invites = await prisma.goalInvite.findMany({
+    where: { goalId: goal.id, acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+    orderBy: { createdAt: 'desc' },
+  });
+  return invites.map(serializeInvite);
+}
+
+/**
+ * Hand the goal to another owner when the primary owner is no longer one
+ * Runs inside the caller's transaction, after the membership change.
+ */
+async function reassignPrimaryOwner(tx, goal, leavingUserId) {
+  if (goal.userId !== leavingUserId) {
+    return goal.userId;
+  }
+
+  const successor = await tx.goalMember.findFirst({
+    where: { goalId: goal.id, role: 'OWNER', userId: { not: leavingUserId } },
+    orderBy: { createdAt: 'asc' },
+  });
+  await tx.goal.update({ where: { id: goal.id }, data: { userId: successor.userId } });
+  return successor.userId;
+}
+
+async function assertAnotherOwner(tx, goalId, userId) {
+  const owners = await tx.goalMember.count({
+    where: { goalId, role: 'OWNER', userId: { not: userId } },
+  });
+  if (owners === 0) {
+    throw MemberErrors.LAST_OWNER();
+  }
+}
+
+/**
+ * Change a member's role
+ * @param {Object} params
+ * @param {Object} params.goal - Goal row (caller is an owner)
+ * @param {string} params.memberUserId - Member to change
+ * @param {string} params.role - New role
+ * @returns {Promise<{role: string, primaryOwnerId: string}>}
+ */
+export async function updateMemberRole({ goal, memberUserId, role }) {
+  const parsedRole = parseGoalRole(role);
+
+  return prisma.$transaction(async (tx) => {
+    const member = await tx.goalMember.findUnique({
+      where: { goalId_userId: { goalId: goal.id, userId: memberUserId } },
+    });
+    if (!member) {
+      throw MemberErrors.MEMBER_NOT_FOUND();
+    }
+    if (member.role === 'OWNER' && parsedRole !== 'OWNER') {
+      await assertAnotherOwner(tx, goal.id, memberUserId);
+    }
+
+    await tx.goalMember.update({ where: { id: member.id }, data: { role: parsedRole } });
+    const primaryOwnerId = parsedRole === 'OWNER'
+      ? goal.userId
+      : await reassignPrimaryOwner(tx, goal, memberUserId);
+
+    return { role: parsedRole, primaryOwnerId };
+  });
+}
+
+/**
+ * Remove a member (an owner removing someone, or a member leaving)
+ * Their past contributions stay attributed to them.
+ * @param {Object} params
+ * @param {Object} params.goal - Goal row
+ * @param {string} params.memberUserId - Member to remove
+ * @returns {Promise<{primaryOwnerId: string}>}
+ */
+export async function removeGoalMember({ goal, memberUserId }) {
+  return prisma.$transaction(async (tx) => {
+    const member = await tx.goalMember.findUnique({
+      where: { goalId_userId: { goalId: goal.id, userId: memberUserId } },
+    });
+    if (!member) {
+      throw MemberErrors.MEMBER_NOT_FOUND();
+    }
+    if (member.role === 'OWNER') {
+      await assertAnotherOwner(tx, goal.id, memberUserId);
+    }
+
+    await tx.goalMember.delete({ where: { id: member.id } });
+    const primaryOwnerId = await reassignPrimaryOwner(tx, goal, memberUserId);
+
+    return { primaryOwnerId };
+  });
+}
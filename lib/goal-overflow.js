@@ -0,0 +1,184 @@
+/**
+ * Goal overflow policies
+ * A swap rarely lands exactly on the target, so each goal says what happens
+ * to the coin bought past it:
+ * - KEEP: the excess stays on the completed goal
+ * - ROLLOVER: the excess starts a follow-on goal for the same coin and target
+ * - EXACT: the final swap is sized so it lands on the target
+ * ROLLOVER and EXACT need a single-coin goal; a basket's progress is the
+ * weighted progress of its components, so there is no single excess to move.
+ */
+
+import { computeNextRunAt } from './schedule.js';
+import { milestoneThresholdRaw } from './milestones.js';
+import { GoalErrors } from './errors.js';
+
+export const OVERFLOW_POLICIES = ['KEEP', 'ROLLOVER', 'EXACT'];
+
+/**
+ * Validate an overflow policy from a request body
+ * @param {string|undefined} value - Raw policy (undefined: KEEP)
+ * @param {string} kind - Goal kind (SINGLE or BASKET)
+ * @returns {string}
+ * @throws {GoalValidationError} INVALID_OVERFLOW_POLICY
+ */
+export function parseOverflowPolicy(value, kind = 'SINGLE') {
+  const policy = value ?? 'KEEP';
+  if (!OVERFLOW_POLICIES.includes(policy)) {
+    throw GoalErrors.INVALID_OVERFLOW_POLICY(`${policy} is not one of ${OVERFLOW_POLICIES.join(', ')}`);
+  }
+  if (policy !== 'KEEP' && kind === 'BASKET') {
+    throw GoalErrors.INVALID_OVERFLOW_POLICY('basket goals only support KEEP');
+  }
+  return policy;
+}
+
+/**
+ * Raw amount of the goal's coin still needed to reach the target
+ * @param {Object} goal - Goal with targetAmountRaw and investedAmountRaw
+ * @returns {bigint} 0 once the target is reached
+ */
+export function remainingToTargetRaw(goal) {
+  const remaining = BigInt(goal.targetAmountRaw) - BigInt(goal.investedAmountRaw);
+  return remaining > 0n ? remaining : 0n;
+}
+
+/**
+ * Quote a contribution, trimming an EXACT goal's final swap to the target
+ * When the quote would buy more than the goal still needs, the input is scaled
+ * down by the quoted rate (rounded up, so the goal is not left a unit short)
+ * and quoted again. Other policies get the first quote unchanged.
+ * @param {Object} goal - Goal row
+ * @param {Object} params
+ * @param {bigint} params.amountRaw - Input amount in the input token's raw units
+ * @param {Function} params.getQuote - (amountRaw: bigint) => Promise<Object> Jupiter quote
+ * @returns {Promise<{quote: Object, amountRaw: bigint, capped: boolean}>}
+ */
+export async function capFinalContribution(goal, { amountRaw, getQuote }) {
+  const quote = await getQuote(amountRaw);
+  if (goal.overflowPolicy !== 'EXACT') {
+    return { quote, amountRaw, capped: false };
+  }
+
+  const remainingRaw = remainingToTargetRaw(goal);
+  const outRaw = BigInt(quote.outAmount);
+  if (remainingRaw === 0n || outRaw <= remainingRaw) {
+    return { quote, amountRaw, capped: false };
+  }
+
+  const cappedRaw = (amountRaw * remainingRaw + outRaw - 1n) / outRaw;
+  return { quote: await getQuote(cappedRaw), amountRaw: cappedRaw, capped: true };
+}
+
+/**
+ * USD an EXACT goal still needs at a given price, for sizing the run before
+ * it is quoted; the slippage allowance keeps the estimate from undershooting
+ * @param {Object} goal - Goal row
+ * @param {number} amountUsd - Planned contribution
+ * @param {Object} options
+ * @param {number} options.priceUsd - Goal coin price
+ * @param {number} options.slippageBps - Slippage the swap is quoted with
+ * @returns {{amountUsd: number, capped: boolean}}
+ */
+export function capFinalContributionUsd(goal, amountUsd, { priceUsd, slippageBps }) {
+  if (goal.overflowPolicy !== 'EXACT' || !(priceUsd > 0)) {
+    return { amountUsd, capped: false };
+  }
+
+  const remaining = Number(remainingToTargetRaw(goal)) / 10 ** goal.amountDecimals;
+  const neededUsd = Math.ceil(remaining * priceUsd * (1 + slippageBps / 10000) * 100) / 100;
+  return neededUsd < amountUsd
+    ? { amountUsd: neededUsd, capped: true }
+    : { amountUsd, capped: false };
+}
+
+/**
+ * Settle the coin a credit pushed past a ROLLOVER goal's target
+ * Runs inside creditGoalSwap's transaction. On the credit that completed the
+ * goal, the excess moves into a new ACTIVE goal with the same coin, target,
+ * schedule, strategy and members, and the milestones it has not passed yet. A credit
+ * confirmed after that (a late reconciliation) goes to the follow-on goal as a whole.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {Object} params.goal - Goal after the credit (mutated to the target on rollover)
+ * @param {bigint} params.amountRaw - Amount just credited
+ * @param {boolean} params.completedNow - Whether this credit completed the goal
+ * @returns {Promise<Object|null>} Follow-on goal, or null when nothing moved
+ */
+export async function rollOverExcess(tx, { goal, amountRaw, completedNow }) {
+  const targetRaw = BigInt(goal.targetAmountRaw);
+  const investedRaw = BigInt(goal.investedAmountRaw);
+
+  if (!completedNow) {
+    const followOn = await tx.goal.findUnique({ where: { rolledOverFromId: goal.id } });
+    if (!followOn || !['ACTIVE', 'PAUSED'].includes(followOn.status)) {
+      return null;
+    }
+    await tx.goal.update({
+      where: { id: goal.id },
+      data: { investedAmountRaw: { decrement: amountRaw } },
+    });
+    goal.investedAmountRaw = investedRaw - amountRaw;
+    return await tx.goal.update({
+      where: { id: followOn.id },
+      data: { investedAmountRaw: { increment: amountRaw } },
+    });
+  }
+
+  const excessRaw = investedRaw - targetRaw;
+  // An excess of a whole target would complete the follow-on on the spot; it stays put
+  if (excessRaw <= 0n || excessRaw >= targetRaw) {
+    return null;
+  }
+
+  const owner = await tx.user.findUnique({ where: { id: goal.userId }, select: { timezone: true } });
+  const milestones = await tx.goalMilestone.findMany({ where: { goalId: goal.id } });
+  const members = await tx.goalMember.findMany({ where: { goalId: goal.id } });
+
+  const followOn = await tx.goal.create({
+    data: {
+      userId: goal.userId,
+      coin: goal.coin,
+      kind: goal.kind,
+      tokenMint: goal.tokenMint,
+      targetAmountRaw: targetRaw,
+      investedAmountRaw: excessRaw,
+      amountDecimals: goal.amountDecimals,
+      frequency: goal.frequency,
+      schedule: goal.schedule ?? undefined,
+      amountPerInterval: goal.amountPerInterval,
+      strategy: goal.strategy,
+      strategyParams: goal.strategyParams ?? undefined,
+      overflowPolicy: goal.overflowPolicy,
+      rolledOverFromId: goal.id,
+      status: 'ACTIVE',
+      // Keeps the completed goal's cadence
+      nextRunAt: goal.nextRunAt ?? computeNextRunAt(new Date(), goal.frequency, {
+        schedule: goal.schedule,
+        timeZone: owner?.timezone,
+      }),
+      milestones: {
+        create: milestones
+          .filter(m => milestoneThresholdRaw(m, targetRaw) > excessRaw)
+          .map(({ kind, percentBps, amountRaw: milestoneAmountRaw, label }) => ({
+            kind,
+            percentBps,
+            amountRaw: milestoneAmountRaw,
+            label,
+          })),
+      },
+      // A shared goal stays shared with the same people
+      members: {
+        create: members.map(({ userId, role, invitedById }) => ({ userId, role, invitedById })),
+      },
+    },
+  });
+
+  await tx.goal.update({
+    where: { id: goal.id },
+    data: { investedAmountRaw: targetRaw },
+  });
+  goal.investedAmountRaw = targetRaw;
+
+  return followOn;
+}
@@ -0,0 +1,214 @@
+/**
+ * Goal projection simulator
+ * Backtests a proposed goal against stored daily closes instead of assuming
+ * today's price holds. Each scenario replays the historical daily returns
+ * from a different start day (wrapping around at the end of the history),
+ * scaled to today's price, and runs the goal's contribution strategy on the
+ * schedule the scheduler would use. The spread of completion dates across
+ * scenarios gives the optimistic, median and pessimistic projections.
+ */
+
+import { getDailyCloses } from './price-history.js';
+import { getPriceQuote } from './prices.js';
+import { computeNextRunAt } from './schedule.js';
+import { computeNextContribution, DEFAULT_LOOKBACK_DAYS } from './contribution-strategies.js';
+import { PriceErrors } from './errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fewer daily closes than this says little about volatility
+export const MIN_HISTORY_DAYS = 30;
+
+// Scenarios still short of the target after this long count as not completing
+export const MAX_HORIZON_DAYS = 20 * 365;
+
+const MAX_SCENARIOS = 100;
+const MAX_SERIES_POINTS = 60;
+
+const PERCENTILES = { optimistic: 0.1, median: 0.5, pessimistic: 0.9 };
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Contribution dates within the horizon, as whole days after `now`
+ */
+function scheduleOffsets(frequency, now, options) {
+  const offsets = [];
+  let runAt = computeNextRunAt(now, frequency, options);
+  while (runAt.getTime() - now.getTime() <= MAX_HORIZON_DAYS * DAY_MS) {
+    offsets.push({ runAt, day: Math.round((runAt.getTime() - now.getTime()) / DAY_MS) });
+    runAt = computeNextRunAt(runAt, frequency, options);
+  }
+  return offsets;
+}
+
+/**
+ * Run one scenario: the daily returns from `start` onward drive the price
+ * @returns {{intervals: number|null, totalUsd: number, holdings: Float64Array, invested: Float64Array}}
+ */
+function runScenario({ goal, targetAmount, currentPriceUsd, returns, start, runs, lookbackDays }) {
+  const usesDrawdown = goal.strategy === 'BUY_THE_DIP';
+  const prices = [currentPriceUsd];
+  const holdings = new Float64Array(runs.length);
+  const invested = new Float64Array(runs.length);
+
+  let coins = 0;
+  let totalUsd = 0;
+  let completedAt = null;
+
+  for (let k = 0; k < runs.length; k++) {
+    if (completedAt === null) {
+      while (prices.length <= runs[k].day) {
+        const day = prices.length - 1;
+        prices.push(prices[day] * returns[(start + day) % returns.length]);
+      }
+
+      const priceUsd = prices[runs[k].day];
+      let drawdownPct = null;
+      if (usesDrawdown) {
+        const highUsd = Math.max(...prices.slice(Math.max(0, runs[k].day - lookbackDays), runs[k].day + 1));
+        drawdownPct = Math.max(0, roundCents((1 - priceUsd / highUsd) * 100));
+      }
+
+      const { amountUsd } = computeNextContribution(goal, {
+        priceUsd,
+        drawdownPct,
+        holdingsValueUsd: coins * priceUsd,
+        intervalIndex: k + 1,
+        lookbackDays,
+      });
+
+      coins += amountUsd / priceUsd;
+      totalUsd += amountUsd;
+      if (coins >= targetAmount) {
+        completedAt = k;
+      }
+    }
+
+    holdings[k] = coins;
+    invested[k] = totalUsd;
+  }
+
+  return {
+    intervals: completedAt === null ? null : completedAt + 1,
+    totalUsd: roundCents(totalUsd),
+    holdings,
+    invested,
+  };
+}
+
+/**
+ * Backtest a proposed goal against stored price history
+ * @param {Object} params
+ * @param {Object} params.token - Registry token the goal targets
+ * @param {number} params.targetAmount - Target in whole tokens
+ * @param {string} params.frequency - One of FREQUENCIES (lib/schedule.js)
+ * @param {Object|null} params.schedule - Parsed goal schedule
+ * @param {string} params.timeZone - Owner's time zone
+ * @param {number} params.amountPerInterval - Base USDC per interval
+ * @param {string} params.strategy - Parsed contribution strategy
+ * @param {Object} params.strategyParams - Parsed strategy params
+ * @param {Date} params.now - Projection start (default: now)
+ * @returns {Promise<Object>} Completion percentiles, USD totals and a chart series
+ * @throws {AppError} INSUFFICIENT_PRICE_HISTORY when fewer than MIN_HISTORY_DAYS closes are stored
+ */
+export async function simulateGoal({
+  token,
+  targetAmount,
+  frequency,
+  schedule = null,
+  timeZone,
+  amountPerInterval,
+  strategy = 'FIXED',
+  strategyParams = {},
+  now = new Date(),
+}) {
+  const closes = (await getDailyCloses(token.symbol, { now })).filter(c => c.close > 0);
+  if (closes.length < MIN_HISTORY_DAYS) {
+    throw PriceErrors.INSUFFICIENT_HISTORY(token.symbol, closes.length, MIN_HISTORY_DAYS);
+  }
+
+  const { priceUsd: currentPriceUsd, source: priceSource } = await getPriceQuote(token.mint);
+
+  const returns = closes.slice(1).map((c, i) => c.close / closes[i].close);
+  const runs = scheduleOffsets(frequency, now, { schedule, timeZone });
+  const goal = { strategy, strategyParams, amountPerInterval };
+  const lookbackDays = strategyParams.lookbackDays ?? DEFAULT_LOOKBACK_DAYS;
+
+  // Start days spread evenly over the history
+  const scenarioCount = Math.min(MAX_SCENARIOS, returns.length);
+  const scenarios = Array.from({ length: scenarioCount }, (_, i) =>
+    runScenario({
+      goal,
+      targetAmount,
+      currentPriceUsd,
+      returns,
+      start: Math.floor((i * returns.length) / scenarioCount),
+      runs,
+      lookbackDays,
+    })
+  );
+
+  // Scenarios that never complete rank last
+  const ranked = [...scenarios].sort(
+    (a, b) => (a.intervals ?? Infinity) - (b.intervals ?? Infinity) || a.totalUsd - b.totalUsd
+  );
+
+  const projections = Object.fromEntries(
+    Object.entries(PERCENTILES).map(([name, p]) => {
+      const scenario = percentile(ranked, p);
+      return [name, scenario.intervals === null
+        ? { completed: false, completionDate: null, intervals: null, totalUsd: null }
+        : {
+            completed: true,
+            completionDate: runs[scenario.intervals - 1].runAt.toISOString(),
+            intervals: scenario.intervals,
+            totalUsd: scenario.totalUsd,
+          }];
+    })
+  );
+
+  // Chart up to the pessimistic completion (or the horizon), at most MAX_SERIES_POINTS points
+  const seriesLength = projections.pessimistic.intervals ?? runs.length;
+  const step = Math.max(1, Math.ceil(seriesLength / MAX_SERIES_POINTS));
+  const series = [];
+  for (let k = 0; k < seriesLength; k += step) {
+    const index = Math.min(k + step - 1, seriesLength - 1);
+    const progress = scenarios.map(s => Math.min(100, (s.holdings[index] / targetAmount) * 100)).sort((a, b) => a - b);
+    const invested = scenarios.map(s => s.invested[index]).sort((a, b) => a - b);
+    series.push({
+      date: runs[index].runAt.toISOString(),
+      interval: index + 1,
+      progressPct: {
+        optimistic: roundCents(percentile(progress, 1 - PERCENTILES.optimistic)),
+        median: roundCents(percentile(progress, 0.5)),
+        pessimistic: roundCents(percentile(progress, 1 - PERCENTILES.pessimistic)),
+      },
+      investedUsd: roundCents(percentile(invested, 0.5)),
+    });
+  }
+
+  return {
+    coin: token.symbol,
+    targetAmount,
+    frequency,
+    amountPerInterval,
+    strategy,
+    currentPriceUsd,
+    priceSource,
+    // What the old estimate assumed: today's price, forever
+    staticTotalUsd: roundCents(targetAmount * currentPriceUsd),
+    history: { from: closes[0].time, to: closes[closes.length - 1].time, days: closes.length },
+    scenarios: scenarioCount,
+    completedScenarios: scenarios.filter(s => s.intervals !== null).length,
+    horizonDays: MAX_HORIZON_DAYS,
+    projections,
+    series,
+  };
+}
@@ -26,8 +26,10 @@ export const STATUS_ORDER = ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED'];
 export const FREQUENCY_LABELS = {
   DAILY: 'Daily',
   WEEKLY: 'Weekly',
+  BIWEEKLY: 'Every 2 weeks',
   MONTHLY: 'Monthly',
   QUARTERLY: 'Quarterly',
+  CUSTOM: 'Custom',
 };
 
 export const formatDate = (isoString, options = { month: 'long', year: 'numeric' }) => {
@@ -1,23 +1,25 @@
 import { GoalErrors } from './errors.js';
-import { isValidCoin, getPriceUSD, getTokenInfo } from './prices.js';
-
-const VALID_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+import { getPriceQuote } from './prices.js';
+import { checkSwapRoute } from './swap-provider.js';
+import { progressPercentage } from './amount.js';
+import { FREQUENCIES, computeNthRunAt } from './schedule.js';
 
 /**
- * Validate goal input with per-token limits
+ * Validate goal input against a registry token
+ * `token` is the registry row the caller resolved `coin` to (null when
+ * unknown); its maxTarget applies and Jupiter must be able to route the
+ * per-interval USDC amount into it.
+ * @returns {Promise<Object>} The token
  */
-export function validateGoalInput(data) {
-  const { coin, targetAmount, amountPerInterval, frequency } = data;
+export async function validateGoalInput(data) {
+  const { coin, token, targetAmount, amountPerInterval, frequency } = data;
   
-  // Normalize and validate coin
-  const normalizedCoin = coin?.toUpperCase();
-  if (!normalizedCoin || !isValidCoin(normalizedCoin)) {
+  if (!token) {
     throw GoalErrors.INVALID_COIN(coin);
   }
   
   // Get token-specific limits
-  const tokenInfo = getTokenInfo(normalizedCoin);
-  const maxTarget = tokenInfo.maxTarget;
+  const maxTarget = token.maxTarget;
   
   // Validate targetAmount with token-specific max
   if (!targetAmount || targetAmount <= 0 || targetAmount > maxTarget) {
@@ -30,53 +32,83 @@ export function validateGoalInput(data) {
   }
   
   // Validate frequency
-  if (!frequency || !VALID_FREQUENCIES.includes(frequency)) {
+  if (!frequency || !FREQUENCIES.includes(frequency)) {
     throw GoalErrors.INVALID_FREQUENCY(frequency);
   }
   
-  return normalizedCoin;
+  // An unreachable Jupiter does not block the goal; a missing route does
+  if ((await checkSwapRoute(token.mint, amountPerInterval)) === false) {
+    throw GoalErrors.COIN_NOT_TRADABLE(token.symbol);
+  }
+  
+  return token;
 }
 
 /**
  * Calculate estimated completion (don't store, return only)
+ * Throws PRICE_UNAVAILABLE when no trustworthy price exists; the result names
+ * the price source and confidence it was based on.
+ * Paused time is excluded: with `pausedUntil` the intervals count from the
+ * scheduled resume date instead of today.
+ * The date follows the goal's real schedule (calendar months, custom cron) in
+ * the owner's time zone, reached in one step (lib/schedule.js computeNthRunAt)
+ * however many intervals are left. A date past what JavaScript can represent
+ * is returned as null.
  */
-export async function calculateEstimatedCompletion(coin, targetAmount, amountPerInterval, frequency) {
-  const tokenInfo = getTokenInfo(coin.toUpperCase());
-  if (!tokenInfo) {
-    throw GoalErrors.INVALID_COIN(coin);
-  }
-  const pricePerCoinUSD = await getPriceUSD(tokenInfo.mint);
+export async function calculateEstimatedCompletion(
+  tokenMint,
+  targetAmount,
+  amountPerInterval,
+  frequency,
+  { pausedUntil = null, schedule = null, timeZone } = {}
+) {
+  const quote = await getPriceQuote(tokenMint);
+  const pricePerCoinUSD = quote.priceUsd;
   const totalCostUSD = targetAmount * pricePerCoinUSD;
   const intervalsNeeded = Math.ceil(totalCostUSD / amountPerInterval);
 
+  const now = new Date();
+  const startDate = pausedUntil && new Date(pausedUntil) > now ? new Date(pausedUntil) : now;
+  const pausedDays = Math.ceil((startDate.getTime() - now.getTime()) / (24 * 60 * 60 * 1000));
+
   if (!Number.isFinite(intervalsNeeded) || intervalsNeeded <= 0) {
     return {
       monthsToComplete: 0,
-      estimatedCompletionDate: new Date().toISOString(),
+      estimatedCompletionDate: now.toISOString(),
       intervalsNeeded: 0,
-      totalCostUSD: Math.round(totalCostUSD)
+      pausedDays: 0,
+      totalCostUSD: Math.round(totalCostUSD),
+      priceSource: quote.source,
+      priceConfidence: quote.confidence
     };
   }
   
-  // Convert intervals to days
-  const daysPerInterval = {
-    'DAILY': 1,
-    'WEEKLY': 7,
-    'MONTHLY': 30
-  }[frequency];
-  
-  const daysToComplete = intervalsNeeded * daysPerInterval;
-  const monthsToComplete = Math.ceil(daysToComplete / 30);
+  const estimatedDate = computeNthRunAt(startDate, frequency, intervalsNeeded, { schedule, timeZone });
+  if (Number.isNaN(estimatedDate.getTime())) {
+    return {
+      monthsToComplete: null,
+      estimatedCompletionDate: null,
+      intervalsNeeded,
+      pausedDays,
+      totalCostUSD: Math.round(totalCostUSD),
+      priceSource: quote.source,
+      priceConfidence: quote.confidence
+    };
+  }
   
-  // Calculate estimated date (don't persist)
-  const estimatedDate = new Date();
-  estimatedDate.setDate(estimatedDate.getDate() + daysToComplete);
+  // Calendar months, rounded up
+  const monthsToComplete = (estimatedDate.getUTCFullYear() - now.getUTCFullYear()) * 12
+    + (estimatedDate.getUTCMonth() - now.getUTCMonth())
+    + (estimatedDate.getUTCDate() > now.getUTCDate() ? 1 : 0);
   
   return {
-    monthsToComplete,
+    monthsToComplete: Math.max(monthsToComplete, 0),
     estimatedCompletionDate: estimatedDate.toISOString(),
     intervalsNeeded,
-    totalCostUSD: Math.round(totalCostUSD)
+    pausedDays,
+    totalCostUSD: Math.round(totalCostUSD),
+    priceSource: quote.source,
+    priceConfidence: quote.confidence
   };
 }
 
@@ -90,9 +122,10 @@ export function validateStatusTransition(currentStatus, newStatus) {
   }
   
   const validTransitions = {
-    'ACTIVE': ['PAUSED'],
-    'PAUSED': ['ACTIVE'],
-    'COMPLETED': [] // Terminal state
+    'ACTIVE': ['PAUSED', 'CANCELLED'],
+    'PAUSED': ['ACTIVE', 'CANCELLED'],
+    'COMPLETED': [], // Terminal state
+    'CANCELLED': [] // Terminal state (closed by the user)
   };
   
   if (!validTransitions[currentStatus]?.includes(newStatus)) {
@@ -101,17 +134,15 @@ export function validateStatusTransition(currentStatus, newStatus) {
 }
 
 /**
- * Calculate progress percentage
+ * Calculate progress percentage from raw amounts (same decimals)
  */
-export function calculateProgress(investedAmount, targetAmount) {
-  if (targetAmount <= 0) return 0;
-  const progress = (investedAmount / targetAmount) * 100;
-  return Math.min(Math.round(progress * 100) / 100, 100); // Round to 2 decimals
+export function calculateProgress(investedAmountRaw, targetAmountRaw) {
+  return progressPercentage(investedAmountRaw, targetAmountRaw);
 }
 
 /**
- * Check if goal should auto-complete
+ * Check if goal should auto-complete (exact comparison on raw amounts)
  */
-export function shouldAutoComplete(investedAmount, targetAmount) {
-  return investedAmount >= targetAmount;
+export function shouldAutoComplete(investedAmountRaw, targetAmountRaw) {
+  return BigInt(investedAmountRaw) >= BigInt(targetAmountRaw);
 }
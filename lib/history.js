@@ -2,9 +2,11 @@
  * History API helper functions
  */
 
+import { serializeTransactionAmounts } from './amount.js';
+
 /**
  * Group transactions by batchId into paired onramp/swap entries
- * @param {Array} transactions - Array of transaction objects with batchId and type
+ * @param {Array} transactions - Array of transaction objects with batchId and type (and optionally contributor)
  * @returns {Array} Array of grouped batch objects
  */
 export function groupByBatchId(transactions) {
@@ -16,6 +18,7 @@ export function groupByBatchId(transactions) {
         batchId: tx.batchId,
         goalId: tx.goalId,
         coin: tx.goal.coin,
+        contributor: tx.contributor ?? null,
         timestamp: tx.timestamp,
         onramp: null,
         swap: null,
@@ -27,17 +30,17 @@ export function groupByBatchId(transactions) {
     if (tx.type === 'ONRAMP') {
       batch.onramp = {
         id: tx.id,
-        amountUsd: tx.amountUsd,
-        amountCrypto: tx.amountCrypto,
+        ...serializeTransactionAmounts(tx),
         tokenMint: tx.tokenMint,
         txnHash: tx.txnHash,
         timestamp: tx.timestamp,
         network: tx.network,
       };
-    } else if (tx.type === 'SWAP') {
+    } else if (tx.type === 'SWAP' && !(batch.swap && tx.meta?.hop === 'INTERMEDIATE')) {
+      // A two-hop swap is shown by its later leg; its SOL leg buys nothing for the goal
       batch.swap = {
         id: tx.id,
-        amountCrypto: tx.amountCrypto,
+        ...serializeTransactionAmounts(tx),
         tokenMint: tx.tokenMint,
         txnHash: tx.txnHash,
         timestamp: tx.timestamp,
@@ -5,18 +5,20 @@
 import { prisma } from './prisma.js';
 
 /**
- * Check if a transaction with the given batchId and type already exists
+ * Check if a transaction with the given batchId, type and leg already exists
  * @param {string} batchId - Batch ID
  * @param {string} type - Transaction type (ONRAMP or SWAP)
+ * @param {number} leg - Swap index within a basket batch (0 otherwise)
  * @returns {Promise<Object|null>} Existing transaction or null
  */
-export async function checkIdempotency(batchId, type) {
+export async function checkIdempotency(batchId, type, leg = 0) {
   try {
     const existing = await prisma.transaction.findUnique({
       where: {
-        batchId_type: {
+        batchId_type_leg: {
           batchId,
           type,
+          leg,
         },
       },
     });
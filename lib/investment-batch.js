@@ -0,0 +1,205 @@
+/**
+ * Investment batch lifecycle
+ * Every batch (onramp → quote → swap) moves through BatchState via
+ * transitionBatch, which rejects illegal moves and appends to the
+ * batch_transitions log.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { BatchErrors } from './errors.js';
+import { publishBatchEvent } from './investment-event-bus.js';
+
+/**
+ * Allowed moves per state.
+ * QUOTED → QUOTED is a re-quote; EXPIRED/FAILED → QUOTED is a retry with a fresh quote.
+ */
+export const BATCH_TRANSITIONS = {
+  PENDING_ONRAMP: ['ONRAMP_CONFIRMED', 'FAILED', 'CANCELED'],
+  ONRAMP_CONFIRMED: ['QUOTED', 'FAILED', 'CANCELED'],
+  QUOTED: ['QUOTED', 'SWAP_SIGNED', 'SWAP_SUBMITTED', 'EXPIRED', 'FAILED', 'CANCELED'],
+  SWAP_SIGNED: ['SWAP_SUBMITTED', 'EXPIRED', 'FAILED'],
+  SWAP_SUBMITTED: ['SWAP_CONFIRMED', 'FAILED'],
+  SWAP_CONFIRMED: [],
+  EXPIRED: ['QUOTED', 'FAILED', 'CANCELED'],
+  FAILED: ['QUOTED'],
+  CANCELED: [],
+};
+
+export const CANCELABLE_BATCH_STATES = ['PENDING_ONRAMP', 'ONRAMP_CONFIRMED', 'QUOTED', 'EXPIRED'];
+
+const STATE_TIMESTAMP_FIELDS = {
+  ONRAMP_CONFIRMED: 'onrampConfirmedAt',
+  QUOTED: 'quotedAt',
+  SWAP_SIGNED: 'swapSignedAt',
+  SWAP_SUBMITTED: 'swapSubmittedAt',
+  SWAP_CONFIRMED: 'swapConfirmedAt',
+  EXPIRED: 'expiredAt',
+  FAILED: 'failedAt',
+  CANCELED: 'canceledAt',
+};
+
+/**
+ * Check whether a batch may move from one state to another
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (BATCH_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether a batch can still be canceled
+ * @param {string} state - Current state
+ * @returns {boolean}
+ */
+export function isCancelable(state) {
+  return CANCELABLE_BATCH_STATES.includes(state);
+}
+
+/**
+ * Get a batch by ID
+ * @param {string} batchId - Batch ID
+ * @param {Object} options
+ * @param {Object} options.include - Prisma include
+ * @param {Object} options.tx - Prisma transaction client
+ * @returns {Promise<Object|null>}
+ */
+export async function getBatch(batchId, { include = undefined, tx = prisma } = {}) {
+  return await tx.investmentBatch.findUnique({
+    where: { id: batchId },
+    include,
+  });
+}
+
+/**
+ * Create a batch in PENDING_ONRAMP, or return the existing one
+ * @param {Object} params
+ * @param {string} params.batchId - Batch ID (nanoid)
+ * @param {string} params.goalId - Goal the batch invests into
+ * @param {string} params.reason - Optional reason for the transition log
+ * @param {Object} params.tx - Prisma transaction client
+ * @returns {Promise<Object>} Batch
+ */
+export async function ensureBatch({ batchId, goalId, reason = null, tx = prisma }) {
+  const existing = await tx.investmentBatch.findUnique({ where: { id: batchId } });
+
+  if (existing) {
+    if (existing.goalId !== goalId) {
+      throw BatchErrors.BATCH_GOAL_MISMATCH();
+    }
+    return existing;
+  }
+
+  try {
+    return await tx.investmentBatch.create({
+      data: {
+        id: batchId,
+        goalId,
+        transitions: {
+          create: {
+            fromState: null,
+            toState: 'PENDING_ONRAMP',
+            reason,
+          },
+        },
+      },
+    });
+  } catch (error) {
+    // Lost a creation race: the other request's batch is just as good
+    // (only outside a caller's transaction, which the failed insert has aborted)
+    if (error.code === 'P2002' && tx === prisma) {
+      return await ensureBatch({ batchId, goalId, reason, tx });
+    }
+    throw error;
+  }
+}
+
+async function applyTransition(tx, batchId, toState, { reason, meta, from }) {
+  const batch = await tx.investmentBatch.findUnique({ where: { id: batchId } });
+
+  if (!batch) {
+    throw BatchErrors.BATCH_NOT_FOUND();
+  }
+
+  if (from && !from.includes(batch.state)) {
+    throw BatchErrors.INVALID_TRANSITION(batch.state, toState);
+  }
+
+  // Repeating the current state is a no-op (retried requests), unless it is a
+  // legal self-transition such as a re-quote
+  if (batch.state === toState && !canTransition(batch.state, toState)) {
+    return { batch, changed: false };
+  }
+
+  if (!canTransition(batch.state, toState)) {
+    throw BatchErrors.INVALID_TRANSITION(batch.state, toState);
+  }
+
+  const now = new Date();
+
+  // Guard on the state we read so a concurrent transition cannot be overwritten
+  const { count } = await tx.investmentBatch.updateMany({
+    where: { id: batchId, state: batch.state },
+    data: {
+      state: toState,
+      [STATE_TIMESTAMP_FIELDS[toState]]: now,
+      ...(toState === 'FAILED' && { failureReason: reason }),
+    },
+  });
+
+  if (count === 0) {
+    const current = await tx.investmentBatch.findUnique({ where: { id: batchId } });
+    throw BatchErrors.INVALID_TRANSITION(current?.state ?? batch.state, toState);
+  }
+
+  await tx.batchTransition.create({
+    data: {
+      batchId,
+      fromState: batch.state,
+      toState,
+      reason,
+      meta,
+    },
+  });
+
+  return {
+    batch: await tx.investmentBatch.findUnique({ where: { id: batchId } }),
+    changed: true,
+    fromState: batch.state,
+  };
+}
+
+/**
+ * Move a batch to a new state
+ * Rejects moves not listed in BATCH_TRANSITIONS and records each move in the
+ * transition log. Moving to the state the batch is already in is a no-op.
+ * @param {string} batchId - Batch ID
+ * @param {string} toState - Target BatchState
+ * @param {Object} options
+ * @param {string} options.reason - Human-readable reason (stored as failureReason for FAILED)
+ * @param {Object} options.meta - Extra context for the transition log (signature, quoteId, ...)
+ * @param {string[]} options.from - Only allow the move from these states
+ * @param {Object} options.tx - Prisma transaction client (to join a caller's transaction)
+ * @returns {Promise<Object>} Updated batch
+ */
+export async function transitionBatch(batchId, toState, { reason = null, meta = undefined, from = null, tx = null } = {}) {
+  const run = (client) => applyTransition(client, batchId, toState, { reason, meta, from });
+  const result = tx ? await run(tx) : await prisma.$transaction(run);
+
+  if (result.changed) {
+    logger.info('[BATCH] State transition', {
+      batchId,
+      from: result.fromState,
+      to: toState,
+      reason,
+    });
+
+    // Inside a caller's transaction this fires before commit; SSE streams
+    // re-check the database on their own interval and catch up
+    publishBatchEvent(batchId, { type: 'transition', fromState: result.fromState, toState });
+  }
+
+  return result.batch;
+}
@@ -0,0 +1,35 @@
+/**
+ * In-process bus for investment batch changes
+ * Kept apart from lib/investment-events.js so lib/investment-batch.js can
+ * publish without importing the status/stream modules that import it.
+ */
+
+import { EventEmitter } from 'events';
+
+// One bus per process (kept on `global` so dev hot reloads share it, like lib/prisma.js)
+const globalForEvents = global;
+const bus = globalForEvents.investmentEventBus || new EventEmitter();
+bus.setMaxListeners(0);
+if (process.env.NODE_ENV !== 'production') {
+  globalForEvents.investmentEventBus = bus;
+}
+
+/**
+ * Announce a change to a batch
+ * @param {string} batchId - Batch ID
+ * @param {Object} event - `{ type, ... }`
+ */
+export function publishBatchEvent(batchId, event) {
+  bus.emit(`batch:${batchId}`, event);
+}
+
+/**
+ * Listen for changes to a batch
+ * @param {string} batchId - Batch ID
+ * @param {Function} listener - (event) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToBatch(batchId, listener) {
+  bus.on(`batch:${batchId}`, listener);
+  return () => bus.off(`batch:${batchId}`, listener);
+}
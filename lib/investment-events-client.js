@@ -0,0 +1,139 @@
+'use client';
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const FINAL_STATES = ['SWAP_CONFIRMED', 'CANCELED'];
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Hook to follow an investment batch in real time
+ * Listens to GET /api/investments/:batchId/events and falls back to polling
+ * GET /api/investments/:batchId/status when EventSource is unavailable or the
+ * stream errors out.
+ * @param {string} batchId - Batch ID (null to stay idle)
+ * @returns {{status: Object|null, secondsRemaining: number|null, progress: Object|null, connection: string, error: string, refresh: Function}}
+ *   connection is 'connecting', 'live', 'polling' or 'closed'
+ */
+export function useInvestmentEvents(batchId) {
+  const [status, setStatus] = useState(null);
+  const [secondsRemaining, setSecondsRemaining] = useState(null);
+  const [connection, setConnection] = useState('connecting');
+  const [error, setError] = useState('');
+  const pollRef = useRef(null);
+
+  const applyStatus = useCallback((next) => {
+    setStatus(next);
+    setError('');
+    if (next.state !== 'QUOTED') {
+      setSecondsRemaining(null);
+    } else if (next.expiresAt) {
+      setSecondsRemaining(Math.max(0, Math.ceil((new Date(next.expiresAt).getTime() - Date.now()) / 1000)));
+    }
+  }, []);
+
+  const refresh = useCallback(async () => {
+    if (!batchId) return null;
+    try {
+      const response = await fetch(`/api/investments/${batchId}/status`, {
+        credentials: 'include',
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        setError(data.error?.message || 'Failed to fetch status');
+        return null;
+      }
+      applyStatus(data);
+      return data;
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Status fetch error:', err);
+      return null;
+    }
+  }, [batchId, applyStatus]);
+
+  useEffect(() => {
+    if (!batchId) return;
+    let stopped = false;
+
+    const stopPolling = () => {
+      if (pollRef.current) {
+        clearInterval(pollRef.current);
+        pollRef.current = null;
+      }
+    };
+
+    const startPolling = () => {
+      if (stopped || pollRef.current) return;
+      setConnection('polling');
+      const poll = async () => {
+        const next = await refresh();
+        if (next && FINAL_STATES.includes(next.state)) {
+          stopPolling();
+          setConnection('closed');
+        }
+      };
+      poll();
+      pollRef.current = setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    if (typeof window === 'undefined' || typeof window.EventSource === 'undefined') {
+      startPolling();
+      return () => {
+        stopped = true;
+        stopPolling();
+      };
+    }
+
+    setConnection('connecting');
+    const source = new EventSource(`/api/investments/${batchId}/events`, { withCredentials: true });
+
+    const parse = (handler) => (event) => {
+      try {
+        handler(JSON.parse(event.data));
+      } catch (err) {
+        console.error('Investment event parse error:', err);
+      }
+    };
+
+    source.addEventListener('ready', () => setConnection('live'));
+    source.addEventListener('status', parse(applyStatus));
+    source.addEventListener('quote', parse((data) => setSecondsRemaining(data.secondsRemaining)));
+    source.addEventListener('progress', parse((progress) => {
+      setStatus((current) => (current ? { ...current, progress } : current));
+    }));
+    source.addEventListener('transition', parse((transition) => {
+      setStatus((current) => (current
+        ? { ...current, transitions: [...(current.transitions || []), transition] }
+        : current));
+    }));
+    source.addEventListener('end', () => {
+      source.close();
+      setConnection('closed');
+    });
+
+    // The server closes streams after a while and EventSource reconnects on
+    // its own; only a stream that never opened or was closed for good falls
+    // back to polling
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        startPolling();
+      }
+    };
+
+    return () => {
+      stopped = true;
+      source.close();
+      stopPolling();
+    };
+  }, [batchId, refresh, applyStatus]);
+
+  return {
+    status,
+    secondsRemaining,
+    progress: status?.progress || null,
+    connection,
+    error,
+    refresh,
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Real-time investment events (Server-Sent Events)
+ * transitionBatch publishes every state change on an in-process bus
+ * (lib/investment-event-bus.js). Each SSE stream re-reads the batch when the
+ * bus fires and also re-checks the database every few seconds, so changes made
+ * by another server instance (scheduler, reconcile cron) still arrive.
+ *
+ * Events:
+ * - ready: connection open ({ batchId, retryMs })
+ * - status: full status snapshot (same shape as GET /api/investments/:batchId/status)
+ * - transition: one new transition log entry
+ * - quote: quote expiry countdown while QUOTED ({ expiresAt, secondsRemaining })
+ * - progress: goal progress after it changes
+ * - end: the batch reached a final state; the stream closes
+ */
+
+import { logger } from './logger.js';
+import { loadBatchForUser, buildInvestmentStatus } from './investment-status.js';
+import { subscribeToBatch } from './investment-event-bus.js';
+
+const FINAL_STATES = ['SWAP_CONFIRMED', 'CANCELED'];
+const DEFAULT_POLL_MS = 2000;
+const HEARTBEAT_MS = 15000;
+const COUNTDOWN_MS = 1000;
+const MAX_STREAM_MS = 10 * 60 * 1000;
+
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Stream a batch's events to one client
+ * The caller has already checked that the user owns the batch.
+ * @param {Object} params
+ * @param {string} params.batchId - Batch ID
+ * @param {string} params.userId - Owner
+ * @param {AbortSignal} params.signal - Client disconnect signal
+ * @param {number} params.pollMs - Database re-check interval
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createInvestmentEventStream({ batchId, userId, signal, pollMs = DEFAULT_POLL_MS, requestId = null }) {
+  const encoder = new TextEncoder();
+  const timers = [];
+  let unsubscribe = null;
+  let closed = false;
+  let refreshing = null;
+  let rerun = false;
+
+  let lastState = null;
+  let lastTransitionCount = 0;
+  let lastProgressKey = null;
+  let expiresAt = null;
+
+  return new ReadableStream({
+    start(controller) {
+      const send = (event, data) => {
+        if (!closed) controller.enqueue(encoder.encode(formatEvent(event, data)));
+      };
+
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        timers.forEach(clearInterval);
+        unsubscribe?.();
+        try {
+          controller.close();
+        } catch {
+          // Already closed by the client
+        }
+      };
+
+      const refresh = async () => {
+        const { batch, goal } = await loadBatchForUser(batchId, userId);
+        if (closed) return;
+        if (!batch || !goal) {
+          send('end', { state: null, reason: 'Investment batch not found' });
+          close();
+          return;
+        }
+
+        const status = buildInvestmentStatus(batch, goal);
+
+        // The first snapshot already carries the full transition log
+        if (lastState !== null) {
+          status.transitions.slice(lastTransitionCount).forEach((transition) => send('transition', transition));
+        }
+        lastTransitionCount = status.transitions.length;
+
+        const progressKey = `${status.progress.investedAmountRaw}/${status.progress.targetAmountRaw}`;
+        if (status.state !== lastState) {
+          send('status', status);
+        } else if (progressKey !== lastProgressKey) {
+          send('progress', status.progress);
+        }
+        lastState = status.state;
+        lastProgressKey = progressKey;
+        expiresAt = status.state === 'QUOTED' ? status.expiresAt : null;
+
+        if (FINAL_STATES.includes(status.state)) {
+          send('end', { state: status.state });
+          close();
+        }
+      };
+
+      // One database read at a time; a trigger during a read queues one more
+      const scheduleRefresh = () => {
+        if (closed) return;
+        if (refreshing) {
+          rerun = true;
+          return;
+        }
+        refreshing = refresh()
+          .catch((error) => {
+            logger.warn('[EVENTS] Status refresh failed', { batchId, error: error.message, requestId });
+          })
+          .finally(() => {
+            refreshing = null;
+            if (rerun) {
+              rerun = false;
+              scheduleRefresh();
+            }
+          });
+      };
+
+      unsubscribe = subscribeToBatch(batchId, scheduleRefresh);
+      signal?.addEventListener('abort', close);
+
+      timers.push(setInterval(scheduleRefresh, pollMs));
+
+      timers.push(setInterval(() => {
+        if (!expiresAt) return;
+        const secondsRemaining = Math.max(0, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000));
+        send('quote', { expiresAt, secondsRemaining });
+        if (secondsRemaining === 0) {
+          // Re-read so the snapshot reports EXPIRED
+          expiresAt = null;
+          scheduleRefresh();
+        }
+      }, COUNTDOWN_MS));
+
+      timers.push(setInterval(() => {
+        if (!closed) controller.enqueue(encoder.encode(': keep-alive\n\n'));
+      }, HEARTBEAT_MS));
+
+      // Bound each connection; EventSource reconnects on its own
+      timers.push(setTimeout(close, MAX_STREAM_MS));
+
+      send('ready', { batchId, retryMs: pollMs });
+      scheduleRefresh();
+    },
+    cancel() {
+      closed = true;
+      timers.forEach(clearInterval);
+      unsubscribe?.();
+    },
+  });
+}
@@ -0,0 +1,136 @@
+/**
+ * Investment status snapshots
+ * Shared by GET /api/investments/:batchId/status and the SSE stream in
+ * GET /api/investments/:batchId/events.
+ */
+
+import { prisma } from './prisma.js';
+import { calculateProgress } from './goalValidation.js';
+import { getNetwork } from './tokens.js';
+import { getBatch, isCancelable } from './investment-batch.js';
+import { serializeGoalAmounts, serializeTransactionAmounts } from './amount.js';
+import { goalAccessWhere } from './goal-members.js';
+import { getHopRecovery } from './swap-routing.js';
+
+/**
+ * Load a batch with its transactions and transitions, and its goal if the user is a member of it
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - Requesting user
+ * @returns {Promise<{batch: Object|null, goal: Object|null}>} goal is null when the user is not a member of the batch's goal
+ */
+export async function loadBatchForUser(batchId, userId) {
+  const batch = await getBatch(batchId, {
+    include: {
+      transactions: { orderBy: { timestamp: 'asc' } },
+      transitions: { orderBy: { createdAt: 'asc' } },
+    },
+  });
+
+  if (!batch) {
+    return { batch: null, goal: null };
+  }
+
+  const goal = await prisma.goal.findFirst({
+    where: {
+      id: batch.goalId,
+      ...goalAccessWhere(userId),
+    },
+  });
+
+  return { batch, goal };
+}
+
+/**
+ * Build the status payload for a batch
+ * A QUOTED batch whose quote has passed expiresAt is reported as EXPIRED. For a
+ * two-hop swap that is the quote of the leg being signed, and recovery lists
+ * what its SOL can still be used for.
+ * @param {Object} batch - Batch with transactions and transitions
+ * @param {Object} goal - The batch's goal
+ * @param {Object} options
+ * @param {Date} options.now - Reference time for quote expiry
+ * @returns {Object}
+ */
+export function buildInvestmentStatus(batch, goal, { now = new Date() } = {}) {
+  const { transactions } = batch;
+  const state = batch.state;
+
+  // Get last signature
+  const lastTransaction = transactions
+    .filter(t => t.txnHash)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+  const lastSignature = lastTransaction?.txnHash || null;
+
+  // Get expiresAt from the quoted SWAP transaction (the latest quoted leg of a two-hop swap)
+  const swapLegs = transactions.filter(t => t.type === 'SWAP');
+  const quotedHops = swapLegs
+    .filter(t => t.meta?.hop && t.meta.status !== 'PLANNED' && t.meta.expiresAt)
+    .sort((a, b) => new Date(b.meta.expiresAt) - new Date(a.meta.expiresAt));
+  const swapTxn = quotedHops[0] ?? swapLegs[0];
+  const expiresAt = swapTxn?.meta?.expiresAt || null;
+
+  // Check if expired
+  let isExpired = false;
+  if (expiresAt && state === 'QUOTED') {
+    isExpired = now.getTime() > new Date(expiresAt).getTime();
+  }
+
+  const progress = calculateProgress(goal.investedAmountRaw, goal.targetAmountRaw);
+
+  return {
+    batchId: batch.id,
+    state: isExpired ? 'EXPIRED' : state,
+    lastSignature,
+    transactions: transactions.map(txn => ({
+      id: txn.id,
+      type: txn.type,
+      provider: txn.provider,
+      network: txn.network,
+      txnHash: txn.txnHash,
+      ...serializeTransactionAmounts(txn),
+      tokenMint: txn.tokenMint,
+      leg: txn.leg,
+      hop: txn.meta?.hop ?? null,
+      timestamp: txn.timestamp.toISOString(),
+    })),
+    transitions: batch.transitions.map(serializeTransition),
+    timestamps: {
+      createdAt: batch.createdAt.toISOString(),
+      onrampConfirmedAt: batch.onrampConfirmedAt?.toISOString() || null,
+      quotedAt: batch.quotedAt?.toISOString() || null,
+      swapSubmittedAt: batch.swapSubmittedAt?.toISOString() || null,
+      swapConfirmedAt: batch.swapConfirmedAt?.toISOString() || null,
+      expiredAt: batch.expiredAt?.toISOString() || null,
+      failedAt: batch.failedAt?.toISOString() || null,
+      canceledAt: batch.canceledAt?.toISOString() || null,
+    },
+    failureReason: batch.failureReason,
+    canCancel: isCancelable(isExpired ? 'EXPIRED' : state),
+    expiresAt,
+    isExpired,
+    route: swapLegs[0]?.meta?.route ?? null,
+    recovery: getHopRecovery(swapLegs),
+    progress: {
+      percentage: progress,
+      ...serializeGoalAmounts(goal),
+      coin: goal.coin,
+    },
+    explorerUrl: lastSignature
+      ? `https://explorer.solana.com/tx/${lastSignature}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`
+      : null,
+  };
+}
+
+/**
+ * Shape a transition log row for API responses
+ * @param {Object} transition - BatchTransition row
+ * @returns {Object}
+ */
+export function serializeTransition(transition) {
+  return {
+    fromState: transition.fromState,
+    toState: transition.toState,
+    reason: transition.reason,
+    createdAt: transition.createdAt.toISOString(),
+  };
+}
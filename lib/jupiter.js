@@ -1,29 +1,57 @@
 /**
  * Jupiter API v6 client wrapper
+ * The Jupiter implementation of the SwapProvider interface (lib/swap-provider.js).
+ * JUPITER_API_URL points it at another Jupiter-compatible host, such as the
+ * local mock in scripts/jupiter-mock.js.
  */
 
 import { logger } from './logger.js';
-import { AppError, mapJupiterError } from './errors.js';
+import { AppError, SwapErrors, mapJupiterError } from './errors.js';
 import { NATIVE_SOL_MINT } from './tokens.js';
 
 // Using Jupiter Lite API (same as sher-web's working implementation)
 const JUPITER_API_BASE = process.env.JUPITER_API_URL || 'https://lite-api.jup.ag';
-const JUPITER_QUOTE_API = `${JUPITER_API_BASE}/swap/v1`;
-const JUPITER_SWAP_API = `${JUPITER_API_BASE}/swap/v1`;
 const DEFAULT_SLIPPAGE_BPS = 50; // 0.5%
 
+// Jupiter Aggregator v6, the only program a Jupiter swap calls besides the core ones
+export const JUPITER_PROGRAM_ID = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+
+function rateLimited(response) {
+  const retryAfterSec = parseInt(response.headers.get('retry-after') || '', 10);
+  return SwapErrors.RATE_LIMITED(Number.isFinite(retryAfterSec) ? retryAfterSec : 5);
+}
+
+/**
+ * Jupiter swap provider
+ * @param {Object} options
+ * @param {string} options.apiUrl - Jupiter API host (default JUPITER_API_URL or the Lite API)
+ * @returns {Object} SwapProvider
+ */
+export function createJupiterSwapProvider({ apiUrl = JUPITER_API_BASE } = {}) {
+  const swapApi = `${apiUrl.replace(/\/$/, '')}/swap/v1`;
+  return {
+    name: 'jupiter',
+    programs: { [JUPITER_PROGRAM_ID]: 'Jupiter' },
+    getQuote: (inputMint, outputMint, amount, slippageBps) =>
+      getSwapQuote(swapApi, inputMint, outputMint, amount, slippageBps),
+    getSwapTransaction: (quoteResponse, userPublicKey, slippageBps, options) =>
+      getSwapTransaction(swapApi, quoteResponse, userPublicKey, slippageBps, options),
+  };
+}
+
 /**
  * Get swap quote from Jupiter API
+ * @param {string} swapApi - Jupiter swap API base (…/swap/v1)
  * @param {string} inputMint - Input token mint address
  * @param {string} outputMint - Output token mint address  
  * @param {string|number} amount - Amount in smallest units (lamports for SOL, decimals for tokens)
  * @param {number} slippageBps - Slippage in basis points (default 50 = 0.5%)
  * @returns {Promise<Object>} Jupiter quote response with inputMint and outputMint preserved
  */
-export async function getSwapQuote(inputMint, outputMint, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+async function getSwapQuote(swapApi, inputMint, outputMint, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
   try {
     // Use same endpoint format as sher-web: /swap/v1/quote
-    const url = new URL(`${JUPITER_QUOTE_API}/quote`);
+    const url = new URL(`${swapApi}/quote`);
     url.searchParams.set('inputMint', inputMint);
     url.searchParams.set('outputMint', outputMint);
     url.searchParams.set('amount', amount.toString());
@@ -44,6 +72,11 @@ export async function getSwapQuote(inputMint, outputMint, amount, slippageBps =
       },
     });
 
+    if (response.status === 429) {
+      logger.warn('Jupiter quote API rate limited', { inputMint, outputMint });
+      throw rateLimited(response);
+    }
+
     // Parse JSON response even if status is 200 to check for Jupiter-specific errors
     let quote;
     const responseText = await response.text();
@@ -191,15 +224,21 @@ export async function getSwapQuote(inputMint, outputMint, amount, slippageBps =
 
 /**
  * Get swap transaction from Jupiter API
+ * @param {string} swapApi - Jupiter swap API base (…/swap/v1)
  * @param {Object} quoteResponse - Quote response from getSwapQuote
  * @param {string} userPublicKey - User's wallet public key (base58)
  * @param {number} slippageBps - Slippage in basis points
+ * @param {Object} options - Optional swap settings
+ * @param {string} options.destinationTokenAccount - Initialized token account that receives the output
+ *   (defaults to the signer's ATA; used when the app wallet swaps on a user's behalf)
+ * @param {Object} options.priorityFee - { maxLamports, priorityLevel } from lib/execution-policy.js
+ *   (defaults to a 10000 lamport cap at medium priority)
  * @returns {Promise<Object>} Swap transaction response
  */
-export async function getSwapTransaction(quoteResponse, userPublicKey, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+async function getSwapTransaction(swapApi, quoteResponse, userPublicKey, slippageBps = DEFAULT_SLIPPAGE_BPS, options = {}) {
   try {
     // Use same endpoint format as sher-web: /swap/v1/swap
-    const url = `${JUPITER_SWAP_API}/swap`;
+    const url = `${swapApi}/swap`;
     
     // Check if input is native SOL (mint address)
     // Jupiter quote response includes inputMint field
@@ -214,12 +253,12 @@ export async function getSwapTransaction(quoteResponse, userPublicKey, slippageB
       userPublicKey,
       // Explicitly set wrapAndUnwrapSol for native SOL to ensure proper token account handling
       ...(isNativeSOL && { wrapAndUnwrapSol: true }),
+      ...(options.destinationTokenAccount && { destinationTokenAccount: options.destinationTokenAccount }),
       // Prioritization fee format matches sher-web's pattern
       prioritizationFeeLamports: {
-        priorityLevelWithMaxLamports: {
-          maxLamports: 10000,
-          priorityLevel: 'medium',
-        },
+        priorityLevelWithMaxLamports: options.priorityFee
+          ? { maxLamports: options.priorityFee.maxLamports, priorityLevel: options.priorityFee.priorityLevel }
+          : { maxLamports: 10000, priorityLevel: 'medium' },
       },
     };
 
@@ -247,6 +286,11 @@ export async function getSwapTransaction(quoteResponse, userPublicKey, slippageB
       body: JSON.stringify(swapRequest),
     });
 
+    if (response.status === 429) {
+      logger.warn('Jupiter swap API rate limited', { userPublicKey });
+      throw rateLimited(response);
+    }
+
     if (!response.ok) {
       const errorText = await response.text();
       logger.error('Jupiter swap API error', { 
@@ -312,45 +356,3 @@ export async function getSwapTransaction(quoteResponse, userPublicKey, slippageB
     throw mapJupiterError(error);
   }
 }
-
-/**
- * Submit signed transaction to Solana network
- * @param {string} signedTransaction - Base64 encoded signed transaction
- * @param {Connection} connection - Solana connection
- * @returns {Promise<string>} Transaction signature
- */
-export async function submitSwapTransaction(signedTransaction, connection) {
-  try {
-    const txBuffer = Buffer.from(signedTransaction, 'base64');
-    
-    logger.info('Submitting swap transaction to Solana');
-
-    const signature = await connection.sendRawTransaction(txBuffer, {
-      skipPreflight: false,
-      maxRetries: 3,
-    });
-
-    logger.info('Swap transaction submitted', { signature });
-
-    // Wait for confirmation
-    const confirmation = await connection.confirmTransaction(signature, 'confirmed');
-    
-    if (confirmation.value.err) {
-      logger.error('Swap transaction failed', { signature, error: confirmation.value.err });
-      throw new AppError(`Swap transaction failed: ${JSON.stringify(confirmation.value.err)}`, 500, 'SWAP_EXECUTION_FAILED');
-    }
-
-    logger.info('Swap transaction confirmed', { signature });
-    return signature;
-  } catch (error) {
-    if (error instanceof AppError) {
-      throw error;
-    }
-    
-    logger.error('Failed to submit swap transaction', { error: error.message });
-    throw mapJupiterError(error);
-  }
-}
-
-
-
@@ -9,13 +9,18 @@ const LOG_LEVELS = {
   DEBUG: 'DEBUG',
 };
 
+// Raw token amounts are BigInt, which JSON.stringify rejects
+function jsonReplacer(_key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
 function formatLog(level, message, meta = {}) {
   return JSON.stringify({
     timestamp: new Date().toISOString(),
     level,
     message,
     ...meta,
-  });
+  }, jsonReplacer);
 }
 
 export const logger = {
@@ -0,0 +1,251 @@
+/**
+ * Goal milestones
+ * Checkpoints on the way to a goal's target: a percentage of the target
+ * ("25%") or a fixed amount of the goal's coin ("0.1 BTC"). Crossings are
+ * detected where swaps are credited (creditGoalSwap) and claimed with a
+ * conditional update, so a milestone is reached exactly once even when the
+ * scheduler and reconciliation race on the same goal.
+ */
+
+import { prisma } from './prisma.js';
+import { toRawAmount, formatRawAmount, fromRawAmount } from './amount.js';
+import { calculateProgress } from './goalValidation.js';
+import { GoalErrors } from './errors.js';
+
+export const DEFAULT_MILESTONE_PERCENTS = [10, 25, 50, 75, 100];
+
+export const MAX_MILESTONES = 10;
+
+/**
+ * Raw amount of the goal's coin at which a milestone is reached
+ * Percent thresholds round up, so 25% of a target is never reached early.
+ * @param {Object} milestone - GoalMilestone row or parsed milestone
+ * @param {bigint} targetAmountRaw - Goal target
+ * @returns {bigint}
+ */
+export function milestoneThresholdRaw(milestone, targetAmountRaw) {
+  if (milestone.kind === 'AMOUNT') {
+    return BigInt(milestone.amountRaw);
+  }
+  const target = BigInt(targetAmountRaw);
+  return (target * BigInt(milestone.percentBps) + 9999n) / 10000n;
+}
+
+function parsePercent(value) {
+  const percent = Number(value);
+  const bps = Math.round(percent * 100);
+  if (!Number.isFinite(percent) || Math.abs(percent * 100 - bps) > 1e-6 || bps <= 0 || bps > 10000) {
+    throw GoalErrors.INVALID_MILESTONE(`percent must be above 0 and at most 100 with up to two decimals (got ${value})`);
+  }
+  return { kind: 'PERCENT', percentBps: bps, amountRaw: null, label: `${bps / 100}%` };
+}
+
+function parseAmount(value, { coin, decimals, targetAmountRaw }) {
+  let amountRaw;
+  try {
+    amountRaw = toRawAmount(typeof value === 'number' ? value : String(value), decimals);
+  } catch {
+    throw GoalErrors.INVALID_MILESTONE(`amount must be a number (got ${value})`);
+  }
+  if (amountRaw <= 0n) {
+    throw GoalErrors.INVALID_MILESTONE(`amount must be at least 1 base unit of ${coin}`);
+  }
+  if (amountRaw > BigInt(targetAmountRaw)) {
+    throw GoalErrors.INVALID_MILESTONE(`amount ${value} ${coin} is above the goal target`);
+  }
+  return {
+    kind: 'AMOUNT',
+    percentBps: null,
+    amountRaw,
+    label: `${formatRawAmount(amountRaw, decimals)} ${coin}`,
+  };
+}
+
+/**
+ * Parse the `milestones` of a request body
+ * Entries are percentages (`25` or `{ percent: 25 }`) or coin amounts
+ * (`{ amount: 0.1 }`); an optional `label` replaces the generated one.
+ * Entries with the same threshold collapse into one.
+ * @param {Array|undefined} input - Raw milestones (undefined: the default percentages)
+ * @param {Object} goal
+ * @param {string} goal.coin - Goal coin symbol, used in labels
+ * @param {number} goal.decimals - Goal amount decimals
+ * @param {bigint} goal.targetAmountRaw - Goal target
+ * @returns {Array<{kind: string, percentBps: number|null, amountRaw: bigint|null, label: string}>} Sorted by threshold
+ * @throws {GoalValidationError} INVALID_MILESTONE
+ */
+export function parseMilestones(input, { coin, decimals, targetAmountRaw }) {
+  const entries = input === undefined ? DEFAULT_MILESTONE_PERCENTS : input;
+  if (!Array.isArray(entries)) {
+    throw GoalErrors.INVALID_MILESTONE('milestones must be an array');
+  }
+  if (entries.length > MAX_MILESTONES) {
+    throw GoalErrors.INVALID_MILESTONE(`at most ${MAX_MILESTONES} milestones per goal`);
+  }
+
+  const byThreshold = new Map();
+  for (const entry of entries) {
+    let milestone;
+    if (typeof entry === 'number' || typeof entry === 'string') {
+      milestone = parsePercent(entry);
+    } else if (entry && typeof entry === 'object' && (entry.percent !== undefined) !== (entry.amount !== undefined)) {
+      milestone = entry.percent !== undefined
+        ? parsePercent(entry.percent)
+        : parseAmount(entry.amount, { coin, decimals, targetAmountRaw });
+      if (entry.label !== undefined) {
+        if (typeof entry.label !== 'string' || !entry.label.trim() || entry.label.length > 60) {
+          throw GoalErrors.INVALID_MILESTONE('label must be a non-empty string of at most 60 characters');
+        }
+        milestone.label = entry.label.trim();
+      }
+    } else {
+      throw GoalErrors.INVALID_MILESTONE('each milestone is a percentage, { percent } or { amount }');
+    }
+
+    const threshold = milestoneThresholdRaw(milestone, targetAmountRaw);
+    if (!byThreshold.has(threshold)) {
+      byThreshold.set(threshold, milestone);
+    }
+  }
+
+  return [...byThreshold.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, milestone]) => milestone);
+}
+
+/**
+ * Shape a milestone for API responses and notification data
+ * @param {Object} milestone - GoalMilestone row
+ * @param {Object} goal - Goal with targetAmountRaw, investedAmountRaw, amountDecimals and coin
+ * @returns {Object}
+ */
+export function serializeMilestone(milestone, goal) {
+  const thresholdRaw = milestoneThresholdRaw(milestone, goal.targetAmountRaw);
+  const remainingRaw = thresholdRaw - BigInt(goal.investedAmountRaw);
+
+  return {
+    id: milestone.id,
+    kind: milestone.kind,
+    label: milestone.label,
+    percent: milestone.percentBps !== null ? milestone.percentBps / 100 : null,
+    coin: goal.coin,
+    thresholdAmount: fromRawAmount(thresholdRaw, goal.amountDecimals),
+    thresholdAmountRaw: thresholdRaw.toString(),
+    thresholdPercentage: calculateProgress(thresholdRaw, goal.targetAmountRaw),
+    reached: milestone.reachedAt !== null,
+    reachedAt: milestone.reachedAt ? milestone.reachedAt.toISOString() : null,
+    batchId: milestone.batchId,
+    investedAmountAtReach: milestone.investedAmountRaw !== null
+      ? fromRawAmount(milestone.investedAmountRaw, goal.amountDecimals)
+      : null,
+    remainingAmount: milestone.reachedAt === null && remainingRaw > 0n
+      ? fromRawAmount(remainingRaw, goal.amountDecimals)
+      : 0,
+  };
+}
+
+/**
+ * Order serialized milestones by threshold, lowest first
+ * @param {Array<Object>} milestones - serializeMilestone results
+ * @returns {Array<Object>} New array
+ */
+export function sortByThreshold(milestones) {
+  return [...milestones].sort((a, b) => {
+    const diff = BigInt(a.thresholdAmountRaw) - BigInt(b.thresholdAmountRaw);
+    return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+  });
+}
+
+/**
+ * Record the milestones a credited swap crossed
+ * Runs inside the caller's transaction right after the goal's investedAmountRaw
+ * moved. Each milestone is claimed with `reachedAt IS NULL` in the WHERE clause,
+ * so of two confirmations crossing it concurrently only one gets it.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {Object} params.goal - Goal after the credit
+ * @param {string|null} params.batchId - Batch whose confirmation triggered the crossing
+ * @returns {Promise<Array<Object>>} Serialized milestones reached by this credit, lowest first
+ */
+export async function recordReachedMilestones(tx, { goal, batchId = null }) {
+  const pending = await tx.goalMilestone.findMany({
+    where: { goalId: goal.id, reachedAt: null },
+  });
+
+  const invested = BigInt(goal.investedAmountRaw);
+  const crossed = pending
+    .map(milestone => ({ milestone, thresholdRaw: milestoneThresholdRaw(milestone, goal.targetAmountRaw) }))
+    .filter(({ thresholdRaw }) => thresholdRaw <= invested)
+    .sort((a, b) => (a.thresholdRaw < b.thresholdRaw ? -1 : a.thresholdRaw > b.thresholdRaw ? 1 : 0));
+
+  const reachedAt = new Date();
+  const reached = [];
+  for (const { milestone } of crossed) {
+    const { count } = await tx.goalMilestone.updateMany({
+      where: { id: milestone.id, reachedAt: null },
+      data: { reachedAt, batchId, investedAmountRaw: invested },
+    });
+    if (count === 1) {
+      reached.push(serializeMilestone(
+        { ...milestone, reachedAt, batchId, investedAmountRaw: invested },
+        goal
+      ));
+    }
+  }
+
+  return reached;
+}
+
+/**
+ * Milestone timeline of a goal: reached milestones in the order they were
+ * crossed, then the upcoming ones by threshold
+ * @param {Object} goal - Goal row
+ * @returns {Promise<{reached: Array<Object>, upcoming: Array<Object>, next: Object|null}>}
+ */
+export async function getMilestoneTimeline(goal) {
+  const milestones = await prisma.goalMilestone.findMany({
+    where: { goalId: goal.id },
+  });
+
+  // Milestones crossed by the same swap share reachedAt and keep their threshold order
+  const serialized = sortByThreshold(milestones.map(milestone => serializeMilestone(milestone, goal)));
+  const reached = serialized
+    .filter(m => m.reached)
+    .sort((a, b) => a.reachedAt.localeCompare(b.reachedAt));
+  const upcoming = serialized.filter(m => !m.reached);
+
+  return { reached, upcoming, next: upcoming[0] ?? null };
+}
+
+/**
+ * Replace a goal's upcoming milestones; reached ones are history and stay
+ * Thresholds the goal has already passed are not created (they would fire on
+ * the next swap) and are returned as skipped.
+ * @param {Object} goal - Goal row
+ * @param {Array} input - Raw milestones from the request body
+ * @returns {Promise<{created: number, skipped: Array<string>}>} Skipped milestone labels
+ * @throws {GoalValidationError} INVALID_MILESTONE
+ */
+export async function replaceUpcomingMilestones(goal, input) {
+  if (input === undefined) {
+    throw GoalErrors.INVALID_MILESTONE('milestones is required');
+  }
+
+  const parsed = parseMilestones(input, {
+    coin: goal.coin,
+    decimals: goal.amountDecimals,
+    targetAmountRaw: goal.targetAmountRaw,
+  });
+  const invested = BigInt(goal.investedAmountRaw);
+  const upcoming = parsed.filter(m => milestoneThresholdRaw(m, goal.targetAmountRaw) > invested);
+  const skipped = parsed.filter(m => !upcoming.includes(m)).map(m => m.label);
+
+  await prisma.$transaction([
+    prisma.goalMilestone.deleteMany({ where: { goalId: goal.id, reachedAt: null } }),
+    prisma.goalMilestone.createMany({
+      data: upcoming.map(m => ({ goalId: goal.id, ...m })),
+    }),
+  ]);
+
+  return { created: upcoming.length, skipped };
+}
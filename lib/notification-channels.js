@@ -0,0 +1,171 @@
+/**
+ * External notification channels: email over SMTP and signed webhooks
+ * Each sender resolves to `{ ok, responseCode, error, retryable }` and never throws.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import nodemailer from 'nodemailer';
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_SIGNATURE_HEADER = 'x-wholecoiner-signature';
+const WEBHOOK_SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+let smtpTransport = null;
+
+/**
+ * SMTP settings from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+ * @returns {Object|null} null when SMTP_HOST is not set
+ */
+export function getSmtpConfig() {
+  if (!process.env.SMTP_HOST) return null;
+
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    from: process.env.SMTP_FROM || 'Wholecoiner <notifications@wholecoiner.local>',
+  };
+}
+
+function getSmtpTransport() {
+  if (!smtpTransport) {
+    const config = getSmtpConfig();
+    if (!config) return null;
+
+    const { from, ...options } = config;
+    smtpTransport = {
+      from,
+      transporter: nodemailer.createTransport({
+        ...options,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 15000,
+      }),
+    };
+  }
+  return smtpTransport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to - Recipient
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain-text body
+ * @param {string} message.html - HTML body
+ * @param {Object} options
+ * @param {Object} options.transport - `{ from, transporter }` (default: from SMTP_* env)
+ * @returns {Promise<{ok: boolean, responseCode: number|null, error: string|null, retryable: boolean}>}
+ */
+export async function sendEmail({ to, subject, text, html }, { transport = getSmtpTransport() } = {}) {
+  if (!transport) {
+    return { ok: false, responseCode: null, error: 'SMTP is not configured', retryable: false };
+  }
+
+  try {
+    await transport.transporter.sendMail({ from: transport.from, to, subject, text, html });
+    return { ok: true, responseCode: 250, error: null, retryable: false };
+  } catch (error) {
+    // 5xx SMTP replies (bad mailbox, rejected sender) will not succeed on retry
+    const responseCode = error.responseCode ?? null;
+    return {
+      ok: false,
+      responseCode,
+      error: error.message,
+      retryable: !(responseCode >= 500 && responseCode < 600),
+    };
+  }
+}
+
+/**
+ * Sign a webhook body
+ * The signature covers `<timestamp>.<body>` so a captured request cannot be
+ * replayed later with a new timestamp.
+ * @param {string} secret - Per-user webhook secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value `t=<timestamp>,v1=<hex hmac-sha256>`
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a webhook signature header (for receivers)
+ * @param {string} secret - Webhook secret
+ * @param {string} header - x-wholecoiner-signature value
+ * @param {string} body - Raw request body
+ * @param {Object} options
+ * @param {number} options.toleranceSec - Maximum signature age (default: 300)
+ * @param {Date} options.now - Reference time
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(secret, header, body, { toleranceSec = WEBHOOK_SIGNATURE_TOLERANCE_SEC, now = new Date() } = {}) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map((part) => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Math.floor(now.getTime() / 1000) - timestamp) > toleranceSec) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * POST a signed JSON payload
+ * @param {Object} params
+ * @param {string} params.url - Receiver URL
+ * @param {string} params.secret - Signing secret
+ * @param {Object} params.payload - JSON payload
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Promise<{ok: boolean, responseCode: number|null, error: string|null, retryable: boolean}>}
+ */
+export async function sendWebhook({ url, secret, payload }, { timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Wholecoiner-Webhooks/1.0',
+        [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(secret, timestamp, body),
+      },
+      body,
+      signal: controller.signal,
+      redirect: 'manual',
+    });
+
+    if (response.ok) {
+      return { ok: true, responseCode: response.status, error: null, retryable: false };
+    }
+
+    // Client errors are permanent, except timeouts and rate limits
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    return {
+      ok: false,
+      responseCode: response.status,
+      error: `Receiver responded ${response.status} ${response.statusText}`.trim(),
+      retryable,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      responseCode: null,
+      error: error.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : error.message,
+      retryable: true,
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * Notification delivery to external channels
+ * Every notification is stored for the in-app inbox; users can also opt in to
+ * email and signed webhooks. Each channel gets a NotificationDelivery row
+ * (the delivery log) that is attempted immediately and retried with
+ * exponential backoff by the scheduler tick.
+ */
+
+import { randomBytes } from 'crypto';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { NotificationErrors } from './errors.js';
+import { sendEmail, sendWebhook } from './notification-channels.js';
+import { renderNotification, buildWebhookPayload } from './notification-templates.js';
+
+export const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_RETRY_LIMIT = 50;
+
+export const NOTIFICATION_EVENT_TYPES = [
+  'ONRAMP_CONFIRMED',
+  'QUOTED',
+  'SWAP_SIGNED',
+  'SWAP_SUBMITTED',
+  'SWAP_CONFIRMED',
+  'EXPIRED',
+  'FAILED',
+  'CANCELED',
+  'SCHEDULED_BUY_READY',
+  'SCHEDULED_BUY_UPCOMING',
+  'GOAL_COMPLETED',
+  'GOAL_PAUSED',
+  'GOAL_RESUMED',
+  'PAUSE_REJECTED',
+  'INVESTMENT_EVENT',
+];
+
+// Sent to email/webhooks when the user has not picked event types
+export const DEFAULT_EXTERNAL_EVENT_TYPES = [
+  'SWAP_CONFIRMED',
+  'FAILED',
+  'GOAL_COMPLETED',
+  'SCHEDULED_BUY_READY',
+  'SCHEDULED_BUY_UPCOMING',
+];
+
+const DEFAULT_PREFERENCES = {
+  inAppEnabled: true,
+  emailEnabled: false,
+  emailAddress: null,
+  webhookEnabled: false,
+  webhookUrl: null,
+  webhookSecret: null,
+  eventTypes: [],
+};
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m, ... capped at 1h
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Get a user's preferences (defaults when none are saved)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>}
+ */
+export async function getNotificationPreferences(userId) {
+  const preferences = await prisma.notificationPreference.findUnique({ where: { userId } });
+  return preferences || { userId, ...DEFAULT_PREFERENCES };
+}
+
+/**
+ * Shape preferences for API responses (the webhook secret is never returned here)
+ * @param {Object} preferences - Preference row or defaults
+ * @param {Object} user - User (for the default email address)
+ * @returns {Object}
+ */
+export function serializePreferences(preferences, user) {
+  return {
+    inAppEnabled: preferences.inAppEnabled,
+    emailEnabled: preferences.emailEnabled,
+    emailAddress: preferences.emailAddress || user?.email || null,
+    webhookEnabled: preferences.webhookEnabled,
+    webhookUrl: preferences.webhookUrl,
+    webhookSecretSet: Boolean(preferences.webhookSecret),
+    eventTypes: preferences.eventTypes.length > 0 ? preferences.eventTypes : DEFAULT_EXTERNAL_EVENT_TYPES,
+  };
+}
+
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw NotificationErrors.INVALID_PREFERENCES('webhookUrl must be a valid URL');
+  }
+
+  // Plain http is only accepted outside production (local receivers)
+  const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!allowed.includes(url.protocol)) {
+    throw NotificationErrors.INVALID_PREFERENCES(`webhookUrl must use ${allowed.join(' or ')}`);
+  }
+  return url.toString();
+}
+
+/**
+ * Update a user's channel preferences
+ * Enabling webhooks for the first time (or `rotateWebhookSecret`) generates a
+ * new signing secret, returned once as `webhookSecret`.
+ * @param {string} userId - User ID
+ * @param {Object} input - Partial preferences
+ * @returns {Promise<{preferences: Object, webhookSecret: string|null}>}
+ */
+export async function updateNotificationPreferences(userId, input) {
+  const current = await getNotificationPreferences(userId);
+  const data = {};
+
+  for (const field of ['inAppEnabled', 'emailEnabled', 'webhookEnabled']) {
+    if (input[field] !== undefined) {
+      if (typeof input[field] !== 'boolean') {
+        throw NotificationErrors.INVALID_PREFERENCES(`${field} must be a boolean`);
+      }
+      data[field] = input[field];
+    }
+  }
+
+  if (input.emailAddress !== undefined) {
+    if (input.emailAddress !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.emailAddress)) {
+      throw NotificationErrors.INVALID_PREFERENCES('emailAddress must be a valid email address');
+    }
+    data.emailAddress = input.emailAddress;
+  }
+
+  if (input.webhookUrl !== undefined) {
+    data.webhookUrl = input.webhookUrl === null ? null : validateWebhookUrl(input.webhookUrl);
+  }
+
+  if (input.eventTypes !== undefined) {
+    if (!Array.isArray(input.eventTypes)) {
+      throw NotificationErrors.INVALID_PREFERENCES('eventTypes must be an array');
+    }
+    const unknown = input.eventTypes.filter((type) => !NOTIFICATION_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw NotificationErrors.INVALID_PREFERENCES(`unknown event types: ${unknown.join(', ')}`);
+    }
+    data.eventTypes = [...new Set(input.eventTypes)];
+  }
+
+  const next = { ...current, ...data };
+  if (next.webhookEnabled && !next.webhookUrl) {
+    throw NotificationErrors.INVALID_PREFERENCES('webhookUrl is required to enable webhooks');
+  }
+
+  let webhookSecret = null;
+  if ((next.webhookEnabled && !current.webhookSecret) || input.rotateWebhookSecret === true) {
+    webhookSecret = randomBytes(32).toString('hex');
+    data.webhookSecret = webhookSecret;
+  }
+
+  const preferences = await prisma.notificationPreference.upsert({
+    where: { userId },
+    create: { userId, ...DEFAULT_PREFERENCES, ...data },
+    update: data,
+  });
+
+  logger.info('Notification preferences updated', {
+    userId,
+    fields: Object.keys(data).filter((field) => field !== 'webhookSecret'),
+    secretRotated: webhookSecret !== null,
+  });
+
+  return { preferences, webhookSecret };
+}
+
+function wantsEvent(preferences, type) {
+  const eventTypes = preferences.eventTypes.length > 0 ? preferences.eventTypes : DEFAULT_EXTERNAL_EVENT_TYPES;
+  return eventTypes.includes(type);
+}
+
+async function sendToChannel(delivery, notification, preferences) {
+  if (delivery.channel === 'EMAIL') {
+    return await sendEmail({ to: delivery.target, ...renderNotification(notification) });
+  }
+
+  if (!preferences.webhookSecret) {
+    return { ok: false, responseCode: null, error: 'Webhook secret missing', retryable: false };
+  }
+  return await sendWebhook({
+    url: delivery.target,
+    secret: preferences.webhookSecret,
+    payload: buildWebhookPayload(notification),
+  });
+}
+
+/**
+ * Attempt one delivery and record the outcome in the delivery log
+ * @param {Object} delivery - NotificationDelivery row
+ * @param {Object} notification - Notification row
+ * @param {Object} preferences - Sender's preferences (for the webhook secret)
+ * @param {Date} now - Attempt time
+ * @returns {Promise<Object>} Updated delivery
+ */
+async function attemptDelivery(delivery, notification, preferences, now = new Date()) {
+  const result = await sendToChannel(delivery, notification, preferences);
+  const attempts = delivery.attempts + 1;
+
+  let data;
+  if (result.ok) {
+    data = { status: 'SENT', deliveredAt: now, nextAttemptAt: null, lastError: null };
+  } else if (result.retryable && attempts < MAX_DELIVERY_ATTEMPTS) {
+    data = { status: 'PENDING', nextAttemptAt: new Date(now.getTime() + getRetryDelayMs(attempts)), lastError: result.error };
+  } else {
+    data = { status: 'FAILED', nextAttemptAt: null, lastError: result.error };
+  }
+
+  const updated = await prisma.notificationDelivery.update({
+    where: { id: delivery.id },
+    data: { ...data, attempts, responseCode: result.responseCode },
+  });
+
+  const context = {
+    deliveryId: delivery.id,
+    notificationId: notification.id,
+    channel: delivery.channel,
+    attempts,
+    responseCode: result.responseCode,
+  };
+  if (result.ok) {
+    logger.info('Notification delivered', context);
+  } else {
+    logger.warn(`Notification delivery ${updated.status === 'FAILED' ? 'failed' : 'will be retried'}`, {
+      ...context,
+      error: result.error,
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Fan a new notification out to the user's external channels
+ * Never throws: delivery problems are recorded in the delivery log.
+ * @param {Object} notification - Notification row (with userId)
+ * @param {Object} options
+ * @param {Object} options.preferences - Preferences (default: loaded)
+ * @returns {Promise<Object[]>} Delivery rows
+ */
+export async function deliverNotification(notification, { preferences = null } = {}) {
+  try {
+    const prefs = preferences || (await getNotificationPreferences(notification.userId));
+    if (!wantsEvent(prefs, notification.type)) return [];
+
+    const targets = [];
+    if (prefs.emailEnabled) {
+      const emailAddress = prefs.emailAddress || (await prisma.user.findUnique({
+        where: { id: notification.userId },
+        select: { email: true },
+      }))?.email;
+      if (emailAddress) targets.push({ channel: 'EMAIL', target: emailAddress });
+    }
+    if (prefs.webhookEnabled && prefs.webhookUrl) {
+      targets.push({ channel: 'WEBHOOK', target: prefs.webhookUrl });
+    }
+
+    const deliveries = [];
+    for (const { channel, target } of targets) {
+      const delivery = await prisma.notificationDelivery.create({
+        data: { notificationId: notification.id, channel, target, nextAttemptAt: new Date() },
+      });
+      deliveries.push(await attemptDelivery(delivery, notification, prefs));
+    }
+    return deliveries;
+  } catch (error) {
+    logger.error('Failed to deliver notification', {
+      notificationId: notification.id,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Retry deliveries whose backoff has elapsed
+ * Each row is claimed by bumping nextAttemptAt first, so overlapping ticks
+ * never send the same attempt twice.
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @param {number} options.limit - Maximum deliveries per call
+ * @returns {Promise<{due: number, sent: number, pending: number, failed: number}>}
+ */
+export async function retryDueDeliveries({ now = new Date(), limit = DEFAULT_RETRY_LIMIT } = {}) {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+    include: { notification: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: limit,
+  });
+
+  const counts = { due: due.length, sent: 0, pending: 0, failed: 0 };
+
+  for (const delivery of due) {
+    const { count } = await prisma.notificationDelivery.updateMany({
+      where: { id: delivery.id, status: 'PENDING', attempts: delivery.attempts },
+      data: { nextAttemptAt: new Date(now.getTime() + getRetryDelayMs(delivery.attempts + 1)) },
+    });
+    if (count !== 1) continue;
+
+    try {
+      const preferences = await getNotificationPreferences(delivery.notification.userId);
+      const updated = await attemptDelivery(delivery, delivery.notification, preferences, now);
+      counts[updated.status.toLowerCase()]++;
+    } catch (error) {
+      // Left PENDING with the bumped nextAttemptAt
+      logger.error('Notification retry failed', { deliveryId: delivery.id, error: error.message });
+      counts.pending++;
+    }
+  }
+
+  if (due.length > 0) {
+    logger.info('Notification retries processed', counts);
+  }
+
+  return counts;
+}
+
+/**
+ * Shape a delivery log row for API responses
+ * @param {Object} delivery - NotificationDelivery row
+ * @returns {Object}
+ */
+export function serializeDelivery(delivery) {
+  return {
+    id: delivery.id,
+    notificationId: delivery.notificationId,
+    channel: delivery.channel,
+    target: delivery.target,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    lastError: delivery.lastError,
+    responseCode: delivery.responseCode,
+    nextAttemptAt: delivery.nextAttemptAt ? delivery.nextAttemptAt.toISOString() : null,
+    deliveredAt: delivery.deliveredAt ? delivery.deliveredAt.toISOString() : null,
+    createdAt: delivery.createdAt.toISOString(),
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Email and webhook templates per notification type
+ * Types without a template fall back to the notification's own message.
+ */
+
+const APP_NAME = 'Wholecoiner';
+
+function dashboardUrl() {
+  const appUrl = (process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${appUrl}/dashboard`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatProgress(value) {
+  return typeof value === 'number' ? `${value.toFixed(1)}%` : null;
+}
+
+// type → (meta, message) => { subject, lines }
+const TEMPLATES = {
+  SWAP_CONFIRMED: (meta, message) => ({
+    subject: meta.legs
+      ? 'Your basket buy went through'
+      : `+${meta.outputAmount ?? ''} ${meta.goalCoin ?? ''} added to your goal`.replace(/\s+/g, ' '),
+    lines: [
+      message,
+      formatProgress(meta.progressPercentage) && `Goal progress: ${formatProgress(meta.progressPercentage)}`,
+    ],
+  }),
+  FAILED: (meta) => ({
+    subject: 'Your investment did not go through',
+    lines: [
+      `The swap failed: ${meta.reason || 'Unknown error'}.`,
+      'Your USDC stays in your wallet. You can retry from the dashboard.',
+    ],
+  }),
+  GOAL_COMPLETED: (meta, message) => ({
+    subject: `Goal reached: you own a whole ${meta.goalCoin || 'coin'}`,
+    lines: [
+      message,
+      'Recurring buys for this goal have stopped.',
+    ],
+  }),
+  GOAL_MILESTONE: (meta, message) => ({
+    subject: `Milestone reached on your ${meta.goalCoin || 'coin'} goal`,
+    lines: [
+      message,
+      'See every milestone on the goal page.',
+    ],
+  }),
+  SCHEDULED_BUY_UPCOMING: (meta) => ({
+    subject: `Upcoming ${meta.goalCoin || ''} buy`.replace(/\s+/g, ' '),
+    lines: [
+      `Your scheduled ${meta.amountUsdc ?? ''} USDC buy of ${meta.goalCoin || 'your goal coin'} runs on ` +
+        `${new Date(meta.scheduledFor).toUTCString()}.`,
+      'Make sure your wallet holds enough USDC. Pause the goal from the dashboard to skip it.',
+    ],
+  }),
+};
+
+/**
+ * Render a notification for external channels
+ * @param {Object} notification - Notification row (type, message, meta, timestamp)
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderNotification(notification) {
+  const meta = notification.meta || {};
+  const template = TEMPLATES[notification.type];
+  const { subject, lines } = template
+    ? template(meta, notification.message)
+    : { subject: notification.message, lines: [notification.message] };
+
+  const body = lines.filter(Boolean);
+  const url = dashboardUrl();
+
+  return {
+    subject: `${APP_NAME}: ${subject}`,
+    text: [...body, '', `Open your dashboard: ${url}`].join('\n'),
+    html: [
+      ...body.map((line) => `<p>${escapeHtml(line)}</p>`),
+      `<p><a href="${escapeHtml(url)}">Open your dashboard</a></p>`,
+    ].join('\n'),
+  };
+}
+
+/**
+ * Webhook payload for a notification
+ * @param {Object} notification - Notification row
+ * @returns {Object}
+ */
+export function buildWebhookPayload(notification) {
+  const { subject, text } = renderNotification(notification);
+
+  return {
+    id: notification.id,
+    type: notification.type,
+    message: notification.message,
+    subject,
+    text,
+    meta: notification.meta || {},
+    timestamp: new Date(notification.timestamp).toISOString(),
+  };
+}
@@ -1,9 +1,14 @@
 /**
  * Notification helper functions for investment events
+ * Every notification is stored for the inbox and then handed to
+ * lib/notification-delivery.js for the user's email/webhook channels.
  */
 
-import { prisma } from './prisma';
-import { logger } from './logger';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { NotificationErrors } from './errors.js';
+import { getNotificationPreferences, deliverNotification } from './notification-delivery.js';
+import { formatRawAmount } from './amount.js';
 
 /**
  * Create a notification for a user
@@ -15,12 +20,16 @@ import { logger } from './logger';
  */
 export async function createNotification(userId, type, message, meta = null) {
   try {
+    const preferences = await getNotificationPreferences(userId);
+
     const notification = await prisma.notification.create({
       data: {
         userId,
         type,
         message,
         meta: meta || undefined,
+        // Kept for the delivery log, but off the unread badge when in-app is disabled
+        status: preferences.inAppEnabled ? 'UNREAD' : 'READ',
       },
     });
 
@@ -30,6 +39,8 @@ export async function createNotification(userId, type, message, meta = null) {
       type 
     });
 
+    await deliverNotification(notification, { preferences });
+
     return notification;
   } catch (error) {
     logger.error('Failed to create notification', { 
@@ -50,10 +61,10 @@ export async function createNotification(userId, type, message, meta = null) {
  */
 export async function sendInvestmentNotification(batchId, eventType, data) {
   try {
-    // Get goal and user from transactions
+    // Get goal and user from transactions; batch events go to the member who paid
     const transaction = await prisma.transaction.findFirst({
       where: { batchId },
-      include: { goal: { include: { user: true } } },
+      include: { goal: { include: { user: true, rolloverGoal: true } }, contributor: true },
     });
 
     if (!transaction) {
@@ -61,8 +72,8 @@ export async function sendInvestmentNotification(batchId, eventType, data) {
       return null;
     }
 
-    const { goal, goal: { user } } = transaction;
-    const userId = user.id;
+    const { goal } = transaction;
+    const userId = transaction.contributor?.id ?? goal.user.id;
 
     let message = '';
     let notificationType = 'INVESTMENT_EVENT';
@@ -91,7 +102,11 @@ export async function sendInvestmentNotification(batchId, eventType, data) {
 
       case 'SWAP_CONFIRMED':
         const progress = data.progressPercentage || 0;
-        message = `Success! +${data.outputAmount || 0} ${goal.coin} added to your goal. Progress: ${progress.toFixed(1)}%.`;
+        // Basket buys report every leg that filled
+        const added = data.legs
+          ? data.legs.map(leg => `+${leg.outputAmount} ${leg.coin}`).join(', ')
+          : `+${data.outputAmount || 0} ${data.goalCoin || goal.coin}`;
+        message = `Success! ${added} added to your goal. Progress: ${progress.toFixed(1)}%.`;
         notificationType = 'SWAP_CONFIRMED';
         break;
 
@@ -106,6 +121,11 @@ export async function sendInvestmentNotification(batchId, eventType, data) {
         notificationType = 'FAILED';
         break;
 
+      case 'SCHEDULED_BUY_READY':
+        message = `Your scheduled ${data.amountUsdc || 0} USDC buy of ${goal.coin} is ready. Open the app to sign and complete it.`;
+        notificationType = 'SCHEDULED_BUY_READY';
+        break;
+
       case 'CANCELED':
         message = `Investment canceled. Your ${data.amountUsdc || 0} USDC remains in your wallet.`;
         notificationType = 'CANCELED';
@@ -116,12 +136,59 @@ export async function sendInvestmentNotification(batchId, eventType, data) {
         notificationType = 'INVESTMENT_EVENT';
     }
 
-    return await createNotification(userId, notificationType, message, {
+    const notification = await createNotification(userId, notificationType, message, {
       batchId,
       eventType,
       goalId: goal.id,
       ...data,
     });
+
+    // Milestones and completion are news for every member of a shared goal
+    const goalEvent = eventType === 'SWAP_CONFIRMED' && (data.milestones?.length > 0 || goal.status === 'COMPLETED');
+    const memberIds = goalEvent
+      ? (await prisma.goalMember.findMany({ where: { goalId: goal.id }, select: { userId: true } })).map(m => m.userId)
+      : [];
+    if (memberIds.length === 0) {
+      memberIds.push(goal.user.id);
+    }
+
+    // Milestones crossed by this swap; the 100% one is announced as the completion
+    const milestones = (eventType === 'SWAP_CONFIRMED' && data.milestones || [])
+      .filter(m => !(goal.status === 'COMPLETED' && m.thresholdPercentage === 100));
+    if (milestones.length > 0) {
+      const labels = milestones.map(m => m.label);
+      const listed = labels.length > 1
+        ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+        : labels[0];
+      for (const memberId of memberIds) {
+        await createNotification(
+          memberId,
+          'GOAL_MILESTONE',
+          `Milestone${labels.length > 1 ? 's' : ''} reached on your ${goal.coin} goal: ${listed}.`,
+          { goalId: goal.id, goalCoin: goal.coin, batchId, milestones }
+        );
+      }
+    }
+
+    // The swap that reaches the target also completes the goal
+    if (eventType === 'SWAP_CONFIRMED' && goal.status === 'COMPLETED') {
+      const { rolloverGoal } = goal;
+      const rolledOver = rolloverGoal
+        ? ` The extra ${formatRawAmount(rolloverGoal.investedAmountRaw, rolloverGoal.amountDecimals)} ${goal.coin} started your next ${goal.coin} goal.`
+        : '';
+      for (const memberId of memberIds) {
+        await createNotification(
+          memberId,
+          'GOAL_COMPLETED',
+          goal.kind === 'BASKET'
+            ? 'Goal complete! Every token in your basket reached its target.'
+            : `Goal complete! You now hold a whole ${goal.coin}.${rolledOver}`,
+          { goalId: goal.id, goalCoin: goal.coin, batchId, rolloverGoalId: rolloverGoal?.id ?? null }
+        );
+      }
+    }
+
+    return notification;
   } catch (error) {
     logger.error('Failed to send investment notification', { 
       error: error.message, 
@@ -133,24 +200,80 @@ export async function sendInvestmentNotification(batchId, eventType, data) {
   }
 }
 
+const NOTIFICATION_STATUSES = ['UNREAD', 'READ'];
+
+/**
+ * Shape a notification row for API responses
+ * @param {Object} notification - Notification row
+ * @returns {Object}
+ */
+export function serializeNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    message: notification.message,
+    status: notification.status,
+    meta: notification.meta ?? null,
+    timestamp: notification.timestamp.toISOString(),
+  };
+}
+
 /**
- * Get user notifications
+ * Get user notifications, newest first
  * @param {string} userId - User ID
- * @param {Object} options - Query options (limit, status, etc.)
- * @returns {Promise<Array>} List of notifications
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size (default: 50)
+ * @param {string} options.status - UNREAD | READ (default: all)
+ * @param {string} options.cursor - Last notification ID of the previous page
+ * @returns {Promise<{notifications: Array, nextCursor: string|null}>}
  */
 export async function getUserNotifications(userId, options = {}) {
-  const { limit = 50, status = null } = options;
+  const { limit = 50, status = null, cursor = null } = options;
+
+  if (status && !NOTIFICATION_STATUSES.includes(status)) {
+    throw NotificationErrors.INVALID_STATUS(status);
+  }
 
   const where = { userId };
   if (status) {
     where.status = status;
   }
 
-  return await prisma.notification.findMany({
+  if (cursor) {
+    const anchor = await prisma.notification.findFirst({
+      where: { id: cursor, userId },
+      select: { id: true },
+    });
+    if (!anchor) {
+      throw NotificationErrors.INVALID_CURSOR();
+    }
+  }
+
+  const notifications = await prisma.notification.findMany({
     where,
-    orderBy: { timestamp: 'desc' },
-    take: limit,
+    // id breaks timestamp ties so pages never overlap
+    orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+    take: limit + 1, // Fetch one extra to determine whether there is a next page
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+  });
+
+  const hasMore = notifications.length > limit;
+  const page = hasMore ? notifications.slice(0, limit) : notifications;
+
+  return {
+    notifications: page,
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+  };
+}
+
+/**
+ * Count unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+export async function getUnreadNotificationCount(userId) {
+  return await prisma.notification.count({
+    where: { userId, status: 'UNREAD' },
   });
 }
 
@@ -167,7 +290,11 @@ export async function markNotificationAsRead(notificationId, userId) {
   });
 
   if (!notification) {
-    throw new Error('Notification not found or unauthorized');
+    throw NotificationErrors.NOTIFICATION_NOT_FOUND();
+  }
+
+  if (notification.status === 'READ') {
+    return notification;
   }
 
   return await prisma.notification.update({
@@ -176,6 +303,22 @@ export async function markNotificationAsRead(notificationId, userId) {
   });
 }
 
+/**
+ * Mark every unread notification as read
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of notifications updated
+ */
+export async function markAllNotificationsAsRead(userId) {
+  const { count } = await prisma.notification.updateMany({
+    where: { userId, status: 'UNREAD' },
+    data: { status: 'READ' },
+  });
+
+  logger.info('Notifications marked as read', { userId, count });
+
+  return count;
+}
+
 
 
 
@@ -0,0 +1,71 @@
+/**
+ * Simulated onramp helpers shared by the onramp route and the scheduler
+ */
+
+import { prisma } from './prisma.js';
+import { ensureIdempotency } from './idempotency.js';
+import { ensureBatch, transitionBatch } from './investment-batch.js';
+import { TOKEN_MINTS, getNetwork } from './tokens.js';
+import { toRawAmount, USD_DECIMALS } from './amount.js';
+
+/**
+ * Record a simulated USDC onramp (database record only, no blockchain transaction)
+ * Idempotent on batchId: returns the existing ONRAMP row if one was already recorded.
+ * Creates the investment batch and moves it to ONRAMP_CONFIRMED.
+ * @param {Object} params
+ * @param {string} params.goalId - Goal ID
+ * @param {string} params.batchId - Investment batch ID
+ * @param {number} params.amountUsdc - USDC amount (human-readable)
+ * @param {string} params.walletAddress - User wallet address
+ * @param {string} params.contributorId - Member paying for the batch
+ * @param {Object} params.meta - Optional extra metadata stored on the transaction
+ * @returns {Promise<{transaction: Object, batch: Object, created: boolean, simulatedSignature: string}>}
+ */
+export async function recordSimulatedUsdcOnramp({ goalId, batchId, amountUsdc, walletAddress, contributorId = null, meta = {} }) {
+  const network = getNetwork();
+  const usdcMintInfo = TOKEN_MINTS.USDC;
+  const simulatedSignature = `sim_${crypto.randomUUID().replace(/-/g, '')}`;
+
+  let batch = await ensureBatch({ batchId, goalId, reason: 'Simulated USDC onramp requested' });
+
+  const transaction = await ensureIdempotency(batchId, 'ONRAMP', async () => {
+    return await prisma.transaction.create({
+      data: {
+        goalId,
+        batchId,
+        type: 'ONRAMP',
+        provider: 'FAUCET',
+        network: network === 'devnet' ? 'DEVNET' : 'MAINNET',
+        txnHash: simulatedSignature,
+        amountUsdRaw: toRawAmount(amountUsdc, USD_DECIMALS),
+        amountCryptoRaw: toRawAmount(amountUsdc, usdcMintInfo.decimals), // Amount in USDC (not converted)
+        cryptoDecimals: usdcMintInfo.decimals,
+        tokenMint: usdcMintInfo.mint, // Mainnet USDC mint
+        contributorId,
+        meta: {
+          simulation: true,
+          simulated: true,
+          solValidated: true,
+          userWalletAddress: walletAddress,
+          ...meta,
+        },
+      },
+    });
+  });
+
+  const created = transaction.txnHash === simulatedSignature;
+
+  if (created) {
+    batch = await transitionBatch(batchId, 'ONRAMP_CONFIRMED', {
+      reason: 'Simulated USDC onramp recorded',
+      meta: { transactionId: transaction.id, simulatedSignature },
+    });
+  }
+
+  return {
+    transaction,
+    batch,
+    created,
+    simulatedSignature,
+  };
+}
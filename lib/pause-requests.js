@@ -0,0 +1,449 @@
+/**
+ * Goal pause/resume workflow
+ *
+ * Users file a pause request (optional resume date and reason). Short, dated
+ * pauses within the yearly allowance are approved on the spot; open-ended or
+ * long pauses, and users over the allowance, wait in the admin queue.
+ * Approving pauses the goal and clears its next run; a resume (by the user,
+ * or by the scheduler once resumeAt passes) restarts the interval from then.
+ *
+ * Policy (environment):
+ * PAUSE_AUTO_APPROVE_MAX_DAYS - longest dated pause approved automatically (default 30)
+ * PAUSE_AUTO_APPROVE_PER_YEAR - approved pauses per goal in the last 365 days before review is required (default 2)
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { computeNextRunAt } from './schedule.js';
+import { createNotification } from './notifications.js';
+import { goalAccessWhere } from './goal-members.js';
+import { GoalErrors, PauseErrors } from './errors.js';
+
+export const PAUSE_MAX_DAYS = 365;
+export const PAUSE_REASON_MAX_LENGTH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_AUTO_APPROVE_MAX_DAYS = 30;
+const DEFAULT_AUTO_APPROVE_PER_YEAR = 2;
+const DEFAULT_QUEUE_LIMIT = 50;
+const DEFAULT_RESUME_LIMIT = 100;
+
+/**
+ * Read the auto-approval policy from the environment
+ * @returns {{autoApproveMaxDays: number, autoApprovePerYear: number}}
+ */
+export function getPausePolicy() {
+  const maxDays = parseInt(process.env.PAUSE_AUTO_APPROVE_MAX_DAYS || '', 10);
+  const perYear = parseInt(process.env.PAUSE_AUTO_APPROVE_PER_YEAR || '', 10);
+
+  return {
+    autoApproveMaxDays: Number.isFinite(maxDays) && maxDays >= 0 ? maxDays : DEFAULT_AUTO_APPROVE_MAX_DAYS,
+    autoApprovePerYear: Number.isFinite(perYear) && perYear >= 0 ? perYear : DEFAULT_AUTO_APPROVE_PER_YEAR,
+  };
+}
+
+/**
+ * Decide whether a pause request can skip admin review
+ * @param {Object} params
+ * @param {Date|null} params.resumeAt - Requested resume date (null = open-ended)
+ * @param {number} params.approvedInLastYear - Approved pauses for the goal in the last 365 days
+ * @param {Date} params.now - Reference time
+ * @param {Object} params.policy - From getPausePolicy()
+ * @returns {{autoApprove: boolean, reason: string}}
+ */
+export function evaluatePausePolicy({ resumeAt, approvedInLastYear, now = new Date(), policy = getPausePolicy() }) {
+  if (!resumeAt) {
+    return { autoApprove: false, reason: 'Open-ended pauses need review' };
+  }
+
+  const days = Math.ceil((resumeAt.getTime() - now.getTime()) / DAY_MS);
+  if (days > policy.autoApproveMaxDays) {
+    return { autoApprove: false, reason: `Pauses longer than ${policy.autoApproveMaxDays} days need review` };
+  }
+
+  if (approvedInLastYear >= policy.autoApprovePerYear) {
+    return { autoApprove: false, reason: `More than ${policy.autoApprovePerYear} pauses in a year need review` };
+  }
+
+  return { autoApprove: true, reason: 'Within the automatic approval policy' };
+}
+
+/**
+ * Shape a pause request for API responses
+ * @param {Object} request - PauseRequest row
+ * @returns {Object}
+ */
+export function serializePauseRequest(request) {
+  return {
+    id: request.id,
+    goalId: request.goalId,
+    status: request.status,
+    reason: request.reason,
+    resumeAt: request.resumeAt?.toISOString() || null,
+    requestedAt: request.requestedAt.toISOString(),
+    approvedAt: request.approvedAt?.toISOString() || null,
+    autoApproved: request.autoApproved,
+    reviewedAt: request.reviewedAt?.toISOString() || null,
+    reviewNote: request.reviewNote,
+    resumedAt: request.resumedAt?.toISOString() || null,
+  };
+}
+
+function parseResumeAt(value, now) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const resumeAt = new Date(value);
+  if (
+    Number.isNaN(resumeAt.getTime()) ||
+    resumeAt.getTime() <= now.getTime() ||
+    resumeAt.getTime() > now.getTime() + PAUSE_MAX_DAYS * DAY_MS
+  ) {
+    throw PauseErrors.INVALID_RESUME_DATE(PAUSE_MAX_DAYS);
+  }
+  return resumeAt;
+}
+
+function parseReason(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > PAUSE_REASON_MAX_LENGTH) {
+    throw PauseErrors.INVALID_REASON(PAUSE_REASON_MAX_LENGTH);
+  }
+  return value.trim() || null;
+}
+
+/**
+ * Pause the goal inside a transaction
+ * Only an ACTIVE goal can be paused; guards against a concurrent pause or completion.
+ */
+async function pauseGoalInTx(tx, goalId) {
+  const { count } = await tx.goal.updateMany({
+    where: { id: goalId, status: 'ACTIVE' },
+    data: { status: 'PAUSED', nextRunAt: null },
+  });
+  if (count !== 1) {
+    const goal = await tx.goal.findUnique({ where: { id: goalId }, select: { status: true } });
+    throw PauseErrors.GOAL_NOT_PAUSABLE(goal?.status ?? 'missing');
+  }
+}
+
+async function claimPending(tx, pauseRequestId, data) {
+  const { count } = await tx.pauseRequest.updateMany({
+    where: { id: pauseRequestId, status: 'PENDING' },
+    data,
+  });
+  if (count !== 1) {
+    throw PauseErrors.ALREADY_REVIEWED('reviewed');
+  }
+}
+
+function describePause(goal, request) {
+  return request.resumeAt
+    ? `Your ${goal.coin} goal is paused until ${request.resumeAt.toISOString().slice(0, 10)}.`
+    : `Your ${goal.coin} goal is paused until you resume it.`;
+}
+
+async function notifyQuietly(userId, type, message, meta) {
+  try {
+    await createNotification(userId, type, message, meta);
+  } catch (error) {
+    // The pause itself is already recorded; a missed notification is not fatal
+    logger.warn('[PAUSE] Failed to send notification', { userId, type, error: error.message });
+  }
+}
+
+/**
+ * File a pause request for a goal the user is an owner of
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user
+ * @param {string} params.goalId - Goal ID
+ * @param {string|Date} params.resumeAt - Optional resume date
+ * @param {string} params.reason - Optional reason
+ * @param {Date} params.now - Reference time
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {Promise<{pauseRequest: Object, policyReason: string}>}
+ */
+export async function createPauseRequest({ user, goalId, resumeAt, reason, now = new Date(), requestId = null }) {
+  const goal = await prisma.goal.findFirst({ where: { id: goalId, ...goalAccessWhere(user.id, 'OWNER') } });
+  if (!goal) {
+    throw GoalErrors.GOAL_NOT_FOUND();
+  }
+  if (goal.status !== 'ACTIVE') {
+    throw PauseErrors.GOAL_NOT_PAUSABLE(goal.status);
+  }
+
+  const parsedResumeAt = parseResumeAt(resumeAt, now);
+  const parsedReason = parseReason(reason);
+
+  const pending = await prisma.pauseRequest.findFirst({
+    where: { goalId, status: 'PENDING' },
+    select: { id: true },
+  });
+  if (pending) {
+    throw PauseErrors.PAUSE_ALREADY_PENDING();
+  }
+
+  const approvedInLastYear = await prisma.pauseRequest.count({
+    where: {
+      goalId,
+      status: 'APPROVED',
+      approvedAt: { gte: new Date(now.getTime() - 365 * DAY_MS) },
+    },
+  });
+  const decision = evaluatePausePolicy({ resumeAt: parsedResumeAt, approvedInLastYear, now });
+
+  const data = {
+    goalId,
+    requestedAt: now,
+    resumeAt: parsedResumeAt,
+    reason: parsedReason,
+  };
+
+  let pauseRequest;
+  if (decision.autoApprove) {
+    pauseRequest = await prisma.$transaction(async (tx) => {
+      await pauseGoalInTx(tx, goalId);
+      return tx.pauseRequest.create({
+        data: { ...data, status: 'APPROVED', approvedAt: now, autoApproved: true },
+      });
+    });
+    await notifyQuietly(user.id, 'GOAL_PAUSED', describePause(goal, pauseRequest), {
+      goalId,
+      goalCoin: goal.coin,
+      pauseRequestId: pauseRequest.id,
+      resumeAt: pauseRequest.resumeAt?.toISOString() || null,
+    });
+  } else {
+    pauseRequest = await prisma.pauseRequest.create({ data });
+  }
+
+  logger.info('[PAUSE] Pause requested', {
+    goalId,
+    pauseRequestId: pauseRequest.id,
+    status: pauseRequest.status,
+    policy: decision.reason,
+    requestId,
+  });
+
+  return { pauseRequest: serializePauseRequest(pauseRequest), policyReason: decision.reason };
+}
+
+/**
+ * Approve or reject a pending pause request (admin)
+ * @param {Object} params
+ * @param {Object} params.admin - Reviewing admin user
+ * @param {string} params.pauseRequestId - Pause request ID
+ * @param {string} params.decision - APPROVE or REJECT
+ * @param {string} params.note - Optional note shown to the user
+ * @param {Date} params.now - Reference time
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {Promise<Object>} Serialized pause request
+ */
+export async function reviewPauseRequest({ admin, pauseRequestId, decision, note, now = new Date(), requestId = null }) {
+  if (!['APPROVE', 'REJECT'].includes(decision)) {
+    throw PauseErrors.INVALID_DECISION(decision);
+  }
+  const reviewNote = parseReason(note);
+
+  const request = await prisma.pauseRequest.findUnique({
+    where: { id: pauseRequestId },
+    include: { goal: true },
+  });
+  if (!request) {
+    throw PauseErrors.PAUSE_REQUEST_NOT_FOUND();
+  }
+  if (request.status !== 'PENDING') {
+    throw PauseErrors.ALREADY_REVIEWED(request.status);
+  }
+
+  // Each branch claims the PENDING row so two reviewers cannot both decide it
+  let updated;
+  if (decision === 'APPROVE') {
+    updated = await prisma.$transaction(async (tx) => {
+      await claimPending(tx, request.id, {
+        status: 'APPROVED',
+        approvedAt: now,
+        reviewedBy: admin.id,
+        reviewedAt: now,
+        reviewNote,
+      });
+      await pauseGoalInTx(tx, request.goalId);
+      return tx.pauseRequest.findUnique({ where: { id: request.id } });
+    });
+    await notifyQuietly(request.goal.userId, 'GOAL_PAUSED', describePause(request.goal, updated), {
+      goalId: request.goalId,
+      goalCoin: request.goal.coin,
+      pauseRequestId: request.id,
+      resumeAt: updated.resumeAt?.toISOString() || null,
+    });
+  } else {
+    updated = await prisma.$transaction(async (tx) => {
+      await claimPending(tx, request.id, {
+        status: 'REJECTED',
+        reviewedBy: admin.id,
+        reviewedAt: now,
+        reviewNote,
+      });
+      return tx.pauseRequest.findUnique({ where: { id: request.id } });
+    });
+    await notifyQuietly(
+      request.goal.userId,
+      'PAUSE_REJECTED',
+      `Your request to pause your ${request.goal.coin} goal was declined${reviewNote ? `: ${reviewNote}` : '.'}`,
+      { goalId: request.goalId, goalCoin: request.goal.coin, pauseRequestId: request.id }
+    );
+  }
+
+  logger.info('[PAUSE] Pause request reviewed', {
+    pauseRequestId: request.id,
+    goalId: request.goalId,
+    decision,
+    adminUserId: admin.id,
+    requestId,
+  });
+
+  return serializePauseRequest(updated);
+}
+
+/**
+ * Resume a paused goal now
+ * The approved pause it ends is stamped with resumedAt.
+ * @param {Object} params
+ * @param {Object} params.goal - Goal row
+ * @param {Date} params.now - Reference time
+ * @param {boolean} params.scheduled - Resumed by the scheduler (resumeAt passed) rather than the user
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {Promise<Object>} Updated goal
+ */
+export async function resumeGoal({ goal, now = new Date(), scheduled = false, requestId = null }) {
+  const owner = await prisma.user.findUnique({ where: { id: goal.userId }, select: { timezone: true } });
+  const nextRunAt = computeNextRunAt(now, goal.frequency, { schedule: goal.schedule, timeZone: owner?.timezone });
+
+  const updatedGoal = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.goal.updateMany({
+      where: { id: goal.id, status: 'PAUSED' },
+      data: { status: 'ACTIVE', nextRunAt },
+    });
+    if (count !== 1) {
+      const current = await tx.goal.findUnique({ where: { id: goal.id }, select: { status: true } });
+      throw PauseErrors.GOAL_NOT_PAUSED(current?.status ?? 'missing');
+    }
+
+    await tx.pauseRequest.updateMany({
+      where: { goalId: goal.id, status: 'APPROVED', resumedAt: null },
+      data: { resumedAt: now },
+    });
+
+    return tx.goal.findUnique({ where: { id: goal.id } });
+  });
+
+  await notifyQuietly(
+    goal.userId,
+    'GOAL_RESUMED',
+    `Your ${goal.coin} goal is active again. Next buy: ${nextRunAt.toISOString().slice(0, 10)}.`,
+    { goalId: goal.id, goalCoin: goal.coin, nextRunAt: nextRunAt.toISOString(), scheduled }
+  );
+
+  logger.info('[PAUSE] Goal resumed', { goalId: goal.id, scheduled, nextRunAt: nextRunAt.toISOString(), requestId });
+
+  return updatedGoal;
+}
+
+/**
+ * Resume goals whose approved pause has reached its resume date
+ * Called from each scheduler tick.
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @param {number} options.limit - Maximum goals to resume per call
+ * @returns {Promise<number>} Goals resumed
+ */
+export async function applyScheduledResumes({ now = new Date(), limit = DEFAULT_RESUME_LIMIT } = {}) {
+  const due = await prisma.pauseRequest.findMany({
+    where: {
+      status: 'APPROVED',
+      resumedAt: null,
+      resumeAt: { lte: now },
+      goal: { status: 'PAUSED' },
+    },
+    include: { goal: true },
+    orderBy: { resumeAt: 'asc' },
+    take: limit,
+  });
+
+  let resumed = 0;
+  for (const request of due) {
+    try {
+      await resumeGoal({ goal: request.goal, now, scheduled: true });
+      resumed++;
+    } catch (error) {
+      logger.error('[PAUSE] Scheduled resume failed', { goalId: request.goalId, error: error.message });
+    }
+  }
+
+  return resumed;
+}
+
+/**
+ * The approved pause currently holding a goal, if any
+ * @param {string} goalId - Goal ID
+ * @returns {Promise<Object|null>} PauseRequest row
+ */
+export async function getActivePause(goalId) {
+  return prisma.pauseRequest.findFirst({
+    where: { goalId, status: 'APPROVED', resumedAt: null },
+    orderBy: { approvedAt: 'desc' },
+  });
+}
+
+/**
+ * When contributions to a goal restart, for ETA purposes
+ * @param {Object} goal - Goal row
+ * @param {Object|null} activePause - From getActivePause()
+ * @returns {Date|null} Resume date for a dated pause; null for active or open-ended paused goals
+ */
+export function getPausedUntil(goal, activePause) {
+  if (goal.status !== 'PAUSED') return null;
+  return activePause?.resumeAt || null;
+}
+
+/**
+ * A goal's pause requests, newest first
+ * @param {string} goalId - Goal ID
+ * @returns {Promise<Object[]>} Serialized pause requests
+ */
+export async function getGoalPauseRequests(goalId) {
+  const requests = await prisma.pauseRequest.findMany({
+    where: { goalId },
+    orderBy: { requestedAt: 'desc' },
+  });
+  return requests.map(serializePauseRequest);
+}
+
+/**
+ * Admin review queue
+ * @param {Object} options
+ * @param {string} options.status - PENDING (default), APPROVED or REJECTED
+ * @param {number} options.limit - Maximum rows
+ * @returns {Promise<Object[]>} Serialized pause requests with goal summary
+ */
+export async function listPauseRequests({ status = 'PENDING', limit = DEFAULT_QUEUE_LIMIT } = {}) {
+  if (!['PENDING', 'APPROVED', 'REJECTED'].includes(status)) {
+    throw PauseErrors.INVALID_STATUS(status);
+  }
+
+  const requests = await prisma.pauseRequest.findMany({
+    where: { status },
+    include: {
+      goal: {
+        select: { id: true, userId: true, coin: true, status: true, frequency: true, amountPerInterval: true },
+      },
+    },
+    // Oldest first so the queue is worked in order
+    orderBy: { requestedAt: status === 'PENDING' ? 'asc' : 'desc' },
+    take: limit,
+  });
+
+  return requests.map((request) => ({
+    ...serializePauseRequest(request),
+    goal: request.goal,
+  }));
+}
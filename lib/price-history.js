@@ -0,0 +1,330 @@
+/**
+ * Local price history
+ * Periodic snapshots from getPricesInUSD (the collector) plus backfilled
+ * imports, stored in price_snapshots and aggregated into OHLC candles.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getPricesInUSD } from './prices.js';
+import { getPopularTokenSymbols, isPopularToken } from './popular-tokens.js';
+import { PriceErrors } from './errors.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Supported ranges: how far back to look and the candle width
+ * `all` has no lower bound.
+ */
+export const PRICE_RANGES = {
+  '24h': { durationMs: DAY_MS, intervalMs: HOUR_MS, interval: '1h' },
+  '7d': { durationMs: 7 * DAY_MS, intervalMs: 4 * HOUR_MS, interval: '4h' },
+  '30d': { durationMs: 30 * DAY_MS, intervalMs: DAY_MS, interval: '1d' },
+  '90d': { durationMs: 90 * DAY_MS, intervalMs: DAY_MS, interval: '1d' },
+  '1y': { durationMs: 365 * DAY_MS, intervalMs: DAY_MS, interval: '1d' },
+  'all': { durationMs: null, intervalMs: 7 * DAY_MS, interval: '1w' },
+};
+
+const IMPORT_CHUNK_SIZE = 500;
+
+/**
+ * Aggregate snapshots into OHLC candles
+ * Buckets are aligned to the epoch so the same snapshot always lands in the
+ * same candle. Imported candles contribute their own open/high/low.
+ * @param {Object[]} snapshots - Snapshots sorted by capturedAt ascending
+ * @param {number} intervalMs - Candle width in milliseconds
+ * @returns {Array<{time: string, open: number, high: number, low: number, close: number, samples: number}>}
+ */
+export function aggregateCandles(snapshots, intervalMs) {
+  const candles = [];
+  let current = null;
+
+  for (const snapshot of snapshots) {
+    const capturedAt = new Date(snapshot.capturedAt).getTime();
+    const bucketStart = Math.floor(capturedAt / intervalMs) * intervalMs;
+    const high = snapshot.highUsd ?? snapshot.priceUsd;
+    const low = snapshot.lowUsd ?? snapshot.priceUsd;
+
+    if (!current || current.bucketStart !== bucketStart) {
+      current = {
+        bucketStart,
+        open: snapshot.openUsd ?? snapshot.priceUsd,
+        high,
+        low,
+        close: snapshot.priceUsd,
+        samples: 0,
+      };
+      candles.push(current);
+    }
+
+    current.high = Math.max(current.high, high);
+    current.low = Math.min(current.low, low);
+    current.close = snapshot.priceUsd;
+    current.samples++;
+  }
+
+  return candles.map(({ bucketStart, ...candle }) => ({
+    time: new Date(bucketStart).toISOString(),
+    ...candle,
+  }));
+}
+
+/**
+ * Validate a symbol/range pair for history queries
+ * @param {string} symbol - Token symbol
+ * @param {string} range - Range key
+ * @returns {{symbol: string, range: string}} Normalized values
+ */
+export function validateHistoryQuery(symbol, range) {
+  const normalized = (symbol || '').toUpperCase();
+  if (!isPopularToken(normalized)) {
+    throw PriceErrors.INVALID_COIN(symbol, getPopularTokenSymbols());
+  }
+  if (!PRICE_RANGES[range]) {
+    throw PriceErrors.INVALID_RANGE(range, Object.keys(PRICE_RANGES));
+  }
+  return { symbol: normalized, range };
+}
+
+/**
+ * Get OHLC candles for a token over a range
+ * @param {string} symbol - Token symbol (any POPULAR_TOKENS entry)
+ * @param {string} range - One of PRICE_RANGES
+ * @param {Object} options
+ * @param {Date} options.now - Range end (default: now)
+ * @returns {Promise<{symbol: string, range: string, interval: string, from: string|null, to: string, candles: Object[]}>}
+ */
+export async function getPriceHistory(symbol, range, { now = new Date() } = {}) {
+  const query = validateHistoryQuery(symbol, range);
+  const { durationMs, intervalMs, interval } = PRICE_RANGES[query.range];
+  const from = durationMs ? new Date(now.getTime() - durationMs) : null;
+
+  const snapshots = await prisma.priceSnapshot.findMany({
+    where: {
+      symbol: query.symbol,
+      capturedAt: {
+        ...(from && { gte: from }),
+        lte: now,
+      },
+    },
+    orderBy: { capturedAt: 'asc' },
+    select: {
+      priceUsd: true,
+      openUsd: true,
+      highUsd: true,
+      lowUsd: true,
+      capturedAt: true,
+    },
+  });
+
+  return {
+    symbol: query.symbol,
+    range: query.range,
+    interval,
+    from: from ? from.toISOString() : null,
+    to: now.toISOString(),
+    candles: aggregateCandles(snapshots, intervalMs),
+  };
+}
+
+/**
+ * Daily closes for a token, oldest first
+ * @param {string} symbol - Token symbol
+ * @param {Object} options
+ * @param {Date} options.now - Last day included (default: now)
+ * @returns {Promise<Array<{time: string, close: number}>>}
+ */
+export async function getDailyCloses(symbol, { now = new Date() } = {}) {
+  const snapshots = await prisma.priceSnapshot.findMany({
+    where: { symbol: symbol.toUpperCase(), capturedAt: { lte: now } },
+    orderBy: { capturedAt: 'asc' },
+    select: { priceUsd: true, capturedAt: true },
+  });
+
+  return aggregateCandles(snapshots, DAY_MS).map(({ time, close }) => ({ time, close }));
+}
+
+/**
+ * Highest stored price for a token over a lookback window
+ * @param {string} symbol - Token symbol
+ * @param {Object} options
+ * @param {number} options.lookbackDays - Window length in days
+ * @param {Date} options.now - Window end (default: now)
+ * @returns {Promise<{highUsd: number, samples: number}|null>} null when the window has no snapshots
+ */
+export async function getRecentHigh(symbol, { lookbackDays, now = new Date() }) {
+  const { _max: max, _count: samples } = await prisma.priceSnapshot.aggregate({
+    where: {
+      symbol: symbol.toUpperCase(),
+      capturedAt: { gte: new Date(now.getTime() - lookbackDays * DAY_MS), lte: now },
+    },
+    _max: { priceUsd: true, highUsd: true },
+    _count: true,
+  });
+
+  if (!samples) return null;
+  return { highUsd: Math.max(max.priceUsd ?? 0, max.highUsd ?? 0), samples };
+}
+
+/**
+ * Collect one snapshot per token from the live price feed
+ * Fixture prices are never stored: they are not market prices.
+ * @param {Object} options
+ * @param {string[]} options.symbols - Tokens to collect (default: every POPULAR_TOKENS entry)
+ * @param {Date} options.now - Snapshot time (default: now)
+ * @returns {Promise<{capturedAt: string, stored: number, missing: string[], source: string}>}
+ */
+export async function collectPriceSnapshots({ symbols = getPopularTokenSymbols(), now = new Date() } = {}) {
+  const { quotes, source } = await getPricesInUSD(symbols);
+  const capturedAt = new Date(Math.floor(now.getTime() / 1000) * 1000);
+  const live = Object.values(quotes).filter((quote) => quote.confidence !== 'fixture');
+  const missing = symbols.filter((symbol) => !live.some((quote) => quote.symbol === symbol));
+
+  const { count } = await prisma.priceSnapshot.createMany({
+    data: live.map((quote) => ({
+      symbol: quote.symbol,
+      priceUsd: quote.priceUsd,
+      source: 'COLLECTOR',
+      capturedAt,
+    })),
+    skipDuplicates: true,
+  });
+
+  logger.info('[PRICE_HISTORY] Snapshot collected', {
+    capturedAt: capturedAt.toISOString(),
+    stored: count,
+    missing,
+    source,
+  });
+
+  return { capturedAt: capturedAt.toISOString(), stored: count, missing, source };
+}
+
+function parseNumber(value, field, line) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw PriceErrors.INVALID_IMPORT(`${field} must be a positive number (record ${line})`);
+  }
+  return number;
+}
+
+/**
+ * Normalize one raw import record into a snapshot row
+ * Accepts `price` or OHLC (`close` plus optional `open`/`high`/`low`).
+ * Timestamps may be ISO strings, epoch seconds or epoch milliseconds.
+ * @param {Object} record - Raw record
+ * @param {Object} options
+ * @param {string} options.symbol - Symbol for records without one
+ * @param {number} options.line - Record number for error messages
+ * @returns {Object} Snapshot row
+ */
+export function normalizeImportRecord(record, { symbol = null, line = 0 } = {}) {
+  const recordSymbol = (record.symbol || record.coin || symbol || '').toUpperCase();
+  if (!isPopularToken(recordSymbol)) {
+    throw PriceErrors.INVALID_IMPORT(`unknown symbol "${recordSymbol}" (record ${line})`);
+  }
+
+  const rawTime = record.timestamp ?? record.time ?? record.date;
+  let capturedAt;
+  if (typeof rawTime === 'number' || /^\d+$/.test(String(rawTime ?? ''))) {
+    const epoch = Number(rawTime);
+    capturedAt = new Date(epoch < 1e12 ? epoch * 1000 : epoch);
+  } else {
+    capturedAt = new Date(rawTime);
+  }
+  if (!rawTime || Number.isNaN(capturedAt.getTime())) {
+    throw PriceErrors.INVALID_IMPORT(`invalid timestamp "${rawTime}" (record ${line})`);
+  }
+
+  const priceUsd = parseNumber(record.close ?? record.price ?? record.priceUsd, 'price', line);
+  if (priceUsd === null) {
+    throw PriceErrors.INVALID_IMPORT(`missing price/close (record ${line})`);
+  }
+
+  return {
+    symbol: recordSymbol,
+    priceUsd,
+    openUsd: parseNumber(record.open, 'open', line),
+    highUsd: parseNumber(record.high, 'high', line),
+    lowUsd: parseNumber(record.low, 'low', line),
+    source: 'IMPORT',
+    capturedAt,
+  };
+}
+
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const headers = lines[0].split(',').map((header) => header.trim().toLowerCase());
+  return lines.slice(1).map((line) => {
+    const values = line.split(',').map((value) => value.trim());
+    return Object.fromEntries(headers.map((header, i) => [header, values[i]]));
+  });
+}
+
+function parseJson(content) {
+  const data = JSON.parse(content);
+  const records = Array.isArray(data) ? data : data.prices || data.candles;
+  if (!Array.isArray(records)) {
+    throw PriceErrors.INVALID_IMPORT('JSON must be an array or have a "prices"/"candles" array');
+  }
+  return records;
+}
+
+// Import formats: name → (content) => raw records. Extend with registerPriceImporter.
+const PRICE_IMPORTERS = {
+  csv: parseCsv,
+  json: parseJson,
+};
+
+/**
+ * Register a backfill format
+ * @param {string} format - Format name (e.g. 'coingecko')
+ * @param {Function} parser - (content: string) => raw records for normalizeImportRecord
+ */
+export function registerPriceImporter(format, parser) {
+  PRICE_IMPORTERS[format.toLowerCase()] = parser;
+}
+
+/**
+ * Parse an import file into snapshot rows
+ * @param {string} content - File content
+ * @param {Object} options
+ * @param {string} options.format - Registered format (csv, json, ...)
+ * @param {string} options.symbol - Symbol for records without one
+ * @returns {Object[]} Snapshot rows
+ */
+export function parsePriceImport(content, { format, symbol = null }) {
+  const parser = PRICE_IMPORTERS[(format || '').toLowerCase()];
+  if (!parser) {
+    throw PriceErrors.INVALID_IMPORT(
+      `unsupported format "${format}" (supported: ${Object.keys(PRICE_IMPORTERS).join(', ')})`
+    );
+  }
+
+  return parser(content).map((record, i) => normalizeImportRecord(record, { symbol, line: i + 1 }));
+}
+
+/**
+ * Store imported snapshot rows, skipping times that already have a snapshot
+ * @param {Object[]} rows - Rows from parsePriceImport
+ * @returns {Promise<{received: number, stored: number}>}
+ */
+export async function importPriceSnapshots(rows) {
+  let stored = 0;
+
+  for (let i = 0; i < rows.length; i += IMPORT_CHUNK_SIZE) {
+    const { count } = await prisma.priceSnapshot.createMany({
+      data: rows.slice(i, i + IMPORT_CHUNK_SIZE),
+      skipDuplicates: true,
+    });
+    stored += count;
+  }
+
+  logger.info('[PRICE_HISTORY] Import stored', { received: rows.length, stored });
+
+  return { received: rows.length, stored };
+}
@@ -0,0 +1,220 @@
+/**
+ * lib/price-oracle.js
+ * Price oracle chain: asks every configured provider, drops stale quotes,
+ * takes the median and checks that the sources agree.
+ *
+ * Every price carries `source` (the providers behind it) and `confidence`:
+ * - high: two or more fresh sources agree within the deviation limit
+ * - medium: a single fresh source
+ * - low: fresh sources disagree beyond the deviation limit
+ * - fixture: fixture prices (never available in production)
+ */
+
+import { logger } from './logger.js';
+import { createPriceProviders } from './price-providers.js';
+
+export const PRICE_CONFIDENCE_RANK = {
+  fixture: 0,
+  low: 1,
+  medium: 2,
+  high: 3,
+};
+
+const DEFAULT_MAX_STALENESS_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_DEVIATION_BPS = 200; // 2%
+
+let providerCache = null;
+
+/**
+ * Staleness and deviation limits (PRICE_MAX_STALENESS_MS, PRICE_MAX_DEVIATION_BPS)
+ * @returns {{maxStalenessMs: number, maxDeviationBps: number}}
+ */
+export function getPricePolicy() {
+  return {
+    maxStalenessMs: parseInt(process.env.PRICE_MAX_STALENESS_MS || String(DEFAULT_MAX_STALENESS_MS), 10),
+    maxDeviationBps: parseInt(process.env.PRICE_MAX_DEVIATION_BPS || String(DEFAULT_MAX_DEVIATION_BPS), 10),
+  };
+}
+
+/**
+ * Whether production pricing rules apply (no fixture prices)
+ * @returns {boolean}
+ */
+export function isProductionPricing() {
+  return process.env.NODE_ENV === 'production';
+}
+
+/**
+ * Providers from PRICE_PROVIDERS (comma-separated, in order)
+ * Default: jupiter,pyth in production; jupiter,pyth,fixture elsewhere, where
+ * fixture only fills tokens no live source could price.
+ * @returns {Object[]} Providers
+ */
+export function getConfiguredProviders() {
+  const production = isProductionPricing();
+  const configured = process.env.PRICE_PROVIDERS || (production ? 'jupiter,pyth' : 'jupiter,pyth,fixture');
+  const cacheKey = `${production}|${configured}`;
+
+  if (providerCache?.key === cacheKey) {
+    return providerCache.providers;
+  }
+
+  let names = configured.split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+
+  if (production && names.includes('fixture')) {
+    logger.error('[PRICES] Fixture prices are disabled in production, ignoring provider', { configured });
+    names = names.filter(n => n !== 'fixture');
+  }
+
+  // Fixture prices never mix with live quotes: alone they are primary, otherwise a fallback
+  const fixtureFallbackOnly = names.some(n => n !== 'fixture');
+  const providers = createPriceProviders(names, { fixtureFallbackOnly });
+
+  providerCache = { key: cacheKey, providers };
+  return providers;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function deviationBps(price, reference) {
+  return (Math.abs(price - reference) / reference) * 10000;
+}
+
+/**
+ * Combine provider quotes for one token
+ * With three or more fresh quotes, outliers beyond the deviation limit are
+ * dropped before the median is taken.
+ * @param {Object[]} quotes - `{ provider, priceUsd, publishedAt }`
+ * @param {Object} policy
+ * @param {number} policy.maxStalenessMs - Oldest acceptable quote age
+ * @param {number} policy.maxDeviationBps - Largest acceptable spread between sources
+ * @param {Date} policy.now - Reference time
+ * @returns {{price: Object|null, reason: string|null}}
+ */
+export function aggregateQuotes(quotes, { maxStalenessMs, maxDeviationBps, now = new Date() }) {
+  const fresh = quotes.filter(q => now.getTime() - new Date(q.publishedAt).getTime() <= maxStalenessMs);
+
+  if (fresh.length === 0) {
+    return { price: null, reason: quotes.length > 0 ? 'all quotes are stale' : 'no source returned a price' };
+  }
+
+  let used = fresh;
+  let priceUsd = median(fresh.map(q => q.priceUsd));
+
+  if (fresh.length >= 3) {
+    const agreeing = fresh.filter(q => deviationBps(q.priceUsd, priceUsd) <= maxDeviationBps);
+    if (agreeing.length >= 2) {
+      used = agreeing;
+      priceUsd = median(used.map(q => q.priceUsd));
+    }
+  }
+
+  const usedPrices = used.map(q => q.priceUsd);
+  const spreadBps = ((Math.max(...usedPrices) - Math.min(...usedPrices)) / priceUsd) * 10000;
+
+  let confidence;
+  if (used.every(q => q.provider === 'fixture')) {
+    confidence = 'fixture';
+  } else if (spreadBps > maxDeviationBps) {
+    confidence = 'low';
+  } else {
+    confidence = used.length >= 2 ? 'high' : 'medium';
+  }
+
+  return {
+    price: {
+      priceUsd,
+      source: used.map(q => q.provider).join('+'),
+      confidence,
+      // The oldest quote used, so callers see the worst-case age
+      publishedAt: new Date(Math.min(...used.map(q => new Date(q.publishedAt).getTime()))),
+      spreadBps: Math.round(spreadBps),
+      sources: quotes.map(q => ({
+        provider: q.provider,
+        priceUsd: q.priceUsd,
+        publishedAt: new Date(q.publishedAt),
+        used: used.includes(q),
+      })),
+    },
+    reason: null,
+  };
+}
+
+async function queryProviders(providers, tokens) {
+  const quotesByMint = Object.fromEntries(tokens.map(t => [t.mint, []]));
+
+  const settled = await Promise.allSettled(providers.map(p => p.getPrices(tokens)));
+
+  settled.forEach((result, i) => {
+    const provider = providers[i].name;
+
+    if (result.status === 'rejected') {
+      logger.warn('[PRICES] Provider failed', { provider, error: result.reason?.message });
+      return;
+    }
+
+    for (const [mint, quote] of Object.entries(result.value)) {
+      if (quotesByMint[mint]) {
+        quotesByMint[mint].push({ provider, ...quote });
+      }
+    }
+  });
+
+  return quotesByMint;
+}
+
+/**
+ * Price tokens through the provider chain
+ * Fallback-only providers are asked only for tokens the others could not price.
+ * @param {Array<{symbol: string|null, mint: string}>} tokens - Tokens to price
+ * @param {Object} options
+ * @param {Object[]} options.providers - Providers (default: getConfiguredProviders())
+ * @param {Object} options.policy - Staleness/deviation limits (default: getPricePolicy())
+ * @param {Date} options.now - Reference time for staleness (default: after fetching)
+ * @returns {Promise<{prices: Object, unavailable: Object}>} mint → price, mint → reason
+ */
+export async function getOraclePrices(tokens, { providers = getConfiguredProviders(), policy = getPricePolicy(), now = null } = {}) {
+  const prices = {};
+  const unavailable = {};
+
+  const stages = [
+    providers.filter(p => !p.fallbackOnly),
+    providers.filter(p => p.fallbackOnly),
+  ];
+
+  let pending = tokens;
+  for (const stage of stages) {
+    if (stage.length === 0 || pending.length === 0) continue;
+
+    const quotesByMint = await queryProviders(stage, pending);
+    const reference = now || new Date();
+
+    for (const token of pending) {
+      const { price, reason } = aggregateQuotes(quotesByMint[token.mint], { ...policy, now: reference });
+      if (price) {
+        prices[token.mint] = price;
+        delete unavailable[token.mint];
+      } else {
+        unavailable[token.mint] = reason;
+      }
+    }
+
+    pending = pending.filter(t => !prices[t.mint]);
+  }
+
+  for (const [mint, price] of Object.entries(prices)) {
+    if (price.confidence === 'low') {
+      logger.warn('[PRICES] Price sources disagree', {
+        mint: mint.substring(0, 8),
+        spreadBps: price.spreadBps,
+        sources: price.sources.map(s => `${s.provider}=${s.priceUsd}`),
+      });
+    }
+  }
+
+  return { prices, unavailable };
+}
@@ -0,0 +1,221 @@
+/**
+ * lib/price-providers.js
+ * Price sources for the oracle chain (lib/price-oracle.js)
+ *
+ * A provider is `{ name, fallbackOnly, getPrices(tokens) }` where tokens are
+ * `{ symbol, mint }` and the result maps mint → `{ priceUsd, publishedAt, confidenceInterval }`.
+ * Tokens a provider cannot price are left out of its result.
+ */
+
+import { readFileSync } from 'fs';
+import { Connection, PublicKey } from '@solana/web3.js';
+import { logger } from './logger.js';
+
+const JUPITER_PRICE_API = 'https://lite-api.jup.ag/price/v3';
+const DEFAULT_PYTH_RPC_URL = 'https://api.mainnet-beta.solana.com';
+
+// Pyth push-oracle price accounts on mainnet (override with PYTH_PRICE_ACCOUNTS='{"BTC":"..."}')
+const PYTH_PRICE_ACCOUNTS = {
+  BTC: 'GVXRSBjFk6e6J3NbVPXohDJetcTjaeeuykUpbQF8UoMU',
+  ETH: 'JBu1AL4obBcCMqKBBxhpWCNUt136ijcuMZLFvTP7iWdB',
+  SOL: 'H6ARHf6YXhGYeQfUzQNGk6rDNnLBQKrenN712K4AQJEG',
+  USDC: 'Gnt27xtC473ZT2Mw5u8wZ68Z3gULkSTb5DuxJy7eJotD',
+  USDT: '3vxLXJqLqF3JG5TCbYycbKWRBbCJQLxQmBGCkyqEEefL',
+};
+
+// Pyth price account layout (pyth-client v2)
+const PYTH_MAGIC = 0xa1b2c3d4;
+const PYTH_ACCOUNT_TYPE_PRICE = 3;
+const PYTH_STATUS_TRADING = 1;
+const PYTH_OFFSETS = {
+  magic: 0,
+  accountType: 8,
+  exponent: 20,
+  timestamp: 96,
+  aggregatePrice: 208,
+  aggregateConfidence: 216,
+  aggregateStatus: 224,
+};
+
+// Fixture prices (USD) for local development and tests only
+export const FIXTURE_PRICES_USD = {
+  BTC: 106398.0,
+  ETH: 3610.75,
+  SOL: 168.67,
+  USDC: 1.0,
+  USDT: 1.0,
+  JUP: 0.47,
+  RAY: 1.59,
+  BONK: 0.00001338,
+  WIF: 0.491672,
+  PYTH: 0.10905,
+};
+
+/**
+ * Jupiter Lite price API
+ * Jupiter does not report a publish time, so prices are stamped at fetch time.
+ * @param {Object} options
+ * @param {string} options.apiUrl - Price endpoint
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} Price provider
+ */
+export function createJupiterPriceProvider({ apiUrl = JUPITER_PRICE_API, timeoutMs = 5000 } = {}) {
+  return {
+    name: 'jupiter',
+    fallbackOnly: false,
+    async getPrices(tokens) {
+      const ids = tokens.map(t => t.mint).join(',');
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(`${apiUrl}?ids=${ids}`, {
+          method: 'GET',
+          headers: { 'Accept': 'application/json' },
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          throw new Error(`Jupiter API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = (await response.json()) || {};
+        const fetchedAt = new Date();
+        const prices = {};
+
+        for (const { mint } of tokens) {
+          const usdPrice = data[mint]?.usdPrice;
+          if (typeof usdPrice === 'number' && usdPrice > 0) {
+            prices[mint] = { priceUsd: usdPrice, publishedAt: fetchedAt, confidenceInterval: null };
+          }
+        }
+
+        return prices;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    },
+  };
+}
+
+/**
+ * Decode a Pyth price account
+ * @param {Buffer} data - Account data
+ * @returns {{priceUsd: number, confidenceInterval: number, publishedAt: Date}|null} null unless trading
+ */
+export function parsePythPriceAccount(data) {
+  if (!data || data.length < PYTH_OFFSETS.aggregateStatus + 4) return null;
+  if (data.readUInt32LE(PYTH_OFFSETS.magic) !== PYTH_MAGIC) return null;
+  if (data.readUInt32LE(PYTH_OFFSETS.accountType) !== PYTH_ACCOUNT_TYPE_PRICE) return null;
+  if (data.readUInt32LE(PYTH_OFFSETS.aggregateStatus) !== PYTH_STATUS_TRADING) return null;
+
+  const scale = 10 ** data.readInt32LE(PYTH_OFFSETS.exponent);
+  const priceUsd = Number(data.readBigInt64LE(PYTH_OFFSETS.aggregatePrice)) * scale;
+  if (!(priceUsd > 0)) return null;
+
+  return {
+    priceUsd,
+    confidenceInterval: Number(data.readBigUInt64LE(PYTH_OFFSETS.aggregateConfidence)) * scale,
+    publishedAt: new Date(Number(data.readBigInt64LE(PYTH_OFFSETS.timestamp)) * 1000),
+  };
+}
+
+function getPythAccounts() {
+  if (!process.env.PYTH_PRICE_ACCOUNTS) return PYTH_PRICE_ACCOUNTS;
+  return { ...PYTH_PRICE_ACCOUNTS, ...JSON.parse(process.env.PYTH_PRICE_ACCOUNTS) };
+}
+
+/**
+ * On-chain Pyth price accounts
+ * Reads mainnet accounts (PYTH_RPC_URL) regardless of SOLANA_NETWORK.
+ * @param {Object} options
+ * @param {Connection} options.connection - Solana connection
+ * @param {Object} options.accounts - symbol → price account address
+ * @returns {Object} Price provider
+ */
+export function createPythPriceProvider({ connection = null, accounts = getPythAccounts() } = {}) {
+  let rpc = connection;
+
+  return {
+    name: 'pyth',
+    fallbackOnly: false,
+    async getPrices(tokens) {
+      const priced = tokens.filter(t => t.symbol && accounts[t.symbol]);
+      if (priced.length === 0) return {};
+
+      rpc = rpc || new Connection(process.env.PYTH_RPC_URL || DEFAULT_PYTH_RPC_URL, 'confirmed');
+      const infos = await rpc.getMultipleAccountsInfo(
+        priced.map(t => new PublicKey(accounts[t.symbol]))
+      );
+
+      const prices = {};
+      priced.forEach((token, i) => {
+        const parsed = parsePythPriceAccount(infos[i]?.data);
+        if (parsed) {
+          prices[token.mint] = parsed;
+        }
+      });
+
+      return prices;
+    },
+  };
+}
+
+/**
+ * Fixed fixture prices, always fresh
+ * Never used in production (see lib/price-oracle.js).
+ * @param {Object} options
+ * @param {Object} options.prices - symbol → USD price (default: PRICE_FIXTURE_FILE or FIXTURE_PRICES_USD)
+ * @param {boolean} options.fallbackOnly - Only consult when live sources return nothing
+ * @returns {Object} Price provider
+ */
+export function createFixturePriceProvider({ prices = null, fallbackOnly = true } = {}) {
+  let table = prices;
+
+  return {
+    name: 'fixture',
+    fallbackOnly,
+    async getPrices(tokens) {
+      if (!table) {
+        table = process.env.PRICE_FIXTURE_FILE
+          ? JSON.parse(readFileSync(process.env.PRICE_FIXTURE_FILE, 'utf-8'))
+          : FIXTURE_PRICES_USD;
+      }
+
+      const now = new Date();
+      const result = {};
+      for (const { symbol, mint } of tokens) {
+        if (symbol && typeof table[symbol] === 'number') {
+          result[mint] = { priceUsd: table[symbol], publishedAt: now, confidenceInterval: null };
+        }
+      }
+      return result;
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  jupiter: () => createJupiterPriceProvider(),
+  pyth: () => createPythPriceProvider(),
+  fixture: (options) => createFixturePriceProvider(options),
+};
+
+/**
+ * Build providers by name
+ * @param {string[]} names - Provider names, in chain order
+ * @param {Object} options
+ * @param {boolean} options.fixtureFallbackOnly - Whether the fixture provider only fills gaps
+ * @returns {Object[]} Providers (unknown names are skipped with a warning)
+ */
+export function createPriceProviders(names, { fixtureFallbackOnly = true } = {}) {
+  return names
+    .map((name) => {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) {
+        logger.warn('[PRICES] Unknown price provider, skipping', { name });
+        return null;
+      }
+      return factory({ fallbackOnly: fixtureFallbackOnly });
+    })
+    .filter(Boolean);
+}
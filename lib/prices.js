@@ -1,175 +1,137 @@
 /**
  * lib/prices.js
- * Enhanced price fetching using Jupiter Lite API
+ * USD prices from the price oracle chain (lib/price-oracle.js)
+ *
+ * Every price has a `source` and `confidence`. Fixture prices are only used
+ * outside production, and only for tokens no live source could price.
  */
 
 import { logger } from './logger.js';
 import { POPULAR_TOKENS, getPopularToken, isPopularToken } from './popular-tokens.js';
-
-// Mock prices as fallback (USD)
-const MOCK_PRICES_USD = {
-  BTC: 106398.0,
-  ETH: 3610.75,
-  SOL: 168.67,
-  USDC: 0.03754618,
-  USDT: 1.0,
-  JUP: 0.00075262,
-  RAY: 1.59,
-  BONK: 0.00001338,
-  WIF: 0.491672,
-  PYTH: 0.10905
-};
+import { getOraclePrices, getPricePolicy, isProductionPricing, PRICE_CONFIDENCE_RANK } from './price-oracle.js';
+import { PriceErrors } from './errors.js';
 
 // Cache layer with per-token TTL
-const priceCache = new Map(); // { tokenMint: { priceUSD, fetchedAt, errorCount } }
-const CACHE_TTL_MS = 2 * 60 * 1000; // 2 minutes for individual tokens
-const CACHE_TTL_MULTI_MS = 1 * 60 * 1000; // 1 minute for batch requests
-const MAX_ERROR_COUNT = 3; // After 3 errors, use mock price
+const priceCache = new Map(); // { tokenMint: { price, cachedAt } }
+const CACHE_TTL_MS = 60 * 1000;
 
-// Jupiter Lite API endpoint
-const JUPITER_PRICE_API = 'https://lite-api.jup.ag/price/v3';
+function findTokenByMint(tokenMint) {
+  const token = Object.values(POPULAR_TOKENS).find(t => t.mint === tokenMint);
+  return { symbol: token?.symbol ?? null, mint: tokenMint };
+}
 
 /**
- * Fetch prices from Jupiter Lite API (batch)
- * @param {string[]} mintAddresses - Array of token mint addresses
- * @returns {Promise<Object>} { mint: { usdPrice, ... } }
+ * Whether a price may be used for quotes, ETAs and cost basis
+ * @param {Object} price - Oracle price
+ * @param {string} minConfidence - Lowest acceptable confidence (default: medium)
+ * @returns {boolean}
  */
-async function fetchJupiterPrices(mintAddresses) {
-  try {
-    const ids = mintAddresses.join(',');
-    const url = `${JUPITER_PRICE_API}?ids=${ids}`;
-    
-    logger.info('Fetching prices from Jupiter Lite API', { 
-      count: mintAddresses.length,
-      mints: mintAddresses.map(m => m.substring(0, 8) + '...')
-    });
-
-    // Create AbortController for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-      },
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`Jupiter API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    
-    logger.info('Jupiter prices received', { 
-      count: Object.keys(data || {}).length 
-    });
-
-    return data || {};
-    
-  } catch (error) {
-    logger.error('Jupiter Lite API fetch failed', { 
-      error: error.message,
-      mints: mintAddresses.length
-    });
-    throw error;
+export function isUsablePrice(price, minConfidence = 'medium') {
+  if (price.confidence === 'fixture') {
+    return !isProductionPricing();
   }
+  return PRICE_CONFIDENCE_RANK[price.confidence] >= PRICE_CONFIDENCE_RANK[minConfidence];
+}
+
+function toPriceQuote(symbol, price) {
+  return {
+    symbol,
+    priceUsd: price.priceUsd,
+    source: price.source,
+    confidence: price.confidence,
+    publishedAt: price.publishedAt.toISOString(),
+  };
 }
 
 /**
- * Get price in USD using Jupiter Lite API
- * @param {string} tokenMint - Token mint address
- * @returns {Promise<number>} Price in USD
+ * Price several tokens, reusing cached prices that are still inside the TTL
+ * and the staleness limit
+ * @param {Array<{symbol: string|null, mint: string}>} tokens
+ * @returns {Promise<{prices: Object, unavailable: Object}>} mint → price, mint → reason
  */
-export async function getPriceUSD(tokenMint) {
-  const cached = priceCache.get(tokenMint);
+async function resolvePrices(tokens) {
   const now = Date.now();
-  
-  // Check cache (with TTL)
-  if (cached && (now - cached.fetchedAt < CACHE_TTL_MS)) {
-    // If error count too high, skip cache and try again
-    if (cached.errorCount >= MAX_ERROR_COUNT) {
-      logger.warn('Token has high error count, using cached mock price', { 
-        mint: tokenMint.substring(0, 8)
-      });
-      return cached.priceUSD; // Return cached mock price
+  const { maxStalenessMs } = getPricePolicy();
+  const prices = {};
+  const missing = [];
+
+  for (const token of tokens) {
+    const cached = priceCache.get(token.mint);
+    if (
+      cached &&
+      now - cached.cachedAt < CACHE_TTL_MS &&
+      now - cached.price.publishedAt.getTime() <= maxStalenessMs
+    ) {
+      prices[token.mint] = cached.price;
+    } else {
+      missing.push(token);
     }
-    
-    return cached.priceUSD;
   }
 
-  try {
-    const prices = await fetchJupiterPrices([tokenMint]);
-    const priceData = prices[tokenMint];
-    
-    if (!priceData || typeof priceData.usdPrice !== 'number') {
-      throw new Error(`Invalid price data for mint ${tokenMint}`);
-    }
-
-    const priceUSD = priceData.usdPrice;
-    
-    // Cache successful result
-    priceCache.set(tokenMint, {
-      priceUSD,
-      fetchedAt: now,
-      errorCount: 0
-    });
+  if (missing.length === 0) {
+    return { prices, unavailable: {} };
+  }
 
-    logger.info('Price fetched successfully', { 
-      mint: tokenMint.substring(0, 8),
-      priceUSD: priceUSD.toFixed(4)
-    });
+  const result = await getOraclePrices(missing);
 
-    return priceUSD;
+  for (const [mint, price] of Object.entries(result.prices)) {
+    priceCache.set(mint, { price, cachedAt: now });
+    prices[mint] = price;
+  }
 
-  } catch (error) {
-    logger.warn('Price fetch failed, incrementing error count', { 
-      mint: tokenMint.substring(0, 8),
-      error: error.message
-    });
-
-    // Increment error count or use mock
-    const tokenInfo = Object.values(POPULAR_TOKENS).find(t => t.mint === tokenMint);
-    const mockPrice = tokenInfo ? MOCK_PRICES_USD[tokenInfo.symbol] : null;
-    
-    if (!mockPrice) {
-      throw new Error(`No price available for mint ${tokenMint}`);
-    }
+  return { prices, unavailable: result.unavailable };
+}
 
-    const errorCount = cached ? cached.errorCount + 1 : 1;
-    
-    // Cache mock price with error count
-    priceCache.set(tokenMint, {
-      priceUSD: mockPrice,
-      fetchedAt: now,
-      errorCount
-    });
-
-    // If too many errors, log warning
-    if (errorCount >= MAX_ERROR_COUNT) {
-      logger.error('Token price fetch consistently failing, using mock price', { 
-        mint: tokenMint.substring(0, 8),
-        symbol: tokenInfo?.symbol,
-        errorCount
-      });
-    }
+/**
+ * Get a price with its source and confidence
+ * @param {string} tokenMint - Token mint address
+ * @param {Object} options
+ * @param {string} options.minConfidence - Lowest acceptable confidence (default: medium)
+ * @returns {Promise<{symbol: string|null, priceUsd: number, source: string, confidence: string, publishedAt: string}>}
+ * @throws {AppError} PRICE_UNAVAILABLE when no fresh, agreeing price exists
+ */
+export async function getPriceQuote(tokenMint, { minConfidence = 'medium' } = {}) {
+  const token = findTokenByMint(tokenMint);
+  const label = token.symbol || tokenMint.substring(0, 8);
+  const { prices, unavailable } = await resolvePrices([token]);
+  const price = prices[tokenMint];
+
+  if (!price) {
+    throw PriceErrors.PRICE_UNAVAILABLE(label, unavailable[tokenMint] || 'no source returned a price');
+  }
 
-    return mockPrice;
+  if (!isUsablePrice(price, minConfidence)) {
+    throw PriceErrors.PRICE_UNAVAILABLE(
+      label,
+      price.confidence === 'fixture'
+        ? 'fixture prices are disabled in production'
+        : `sources disagree by ${price.spreadBps} bps (${price.source})`
+    );
   }
+
+  return toPriceQuote(token.symbol, price);
 }
 
 /**
- * Get multiple prices in USD (batch - optimized)
- * Strict mode: Only returns prices from Jupiter API, no mock fallbacks
- * @param {string[]} coinSymbols - Array of coin symbols
- * @returns {Promise<{prices: Object, fetchedAt: string, stale: boolean, source: string}>}
+ * Get price in USD
+ * @param {string} tokenMint - Token mint address
+ * @returns {Promise<number>} Price in USD
+ * @throws {AppError} PRICE_UNAVAILABLE when no fresh, agreeing price exists
+ */
+export async function getPriceUSD(tokenMint) {
+  const quote = await getPriceQuote(tokenMint);
+  return quote.priceUsd;
+}
+
+/**
+ * Get multiple prices in USD (batch)
+ * Tokens without a usable price are left out of `prices` and listed in `unavailable`.
+ * @param {string[]} coinSymbols - Array of popular token symbols
+ * @returns {Promise<{prices: Object, quotes: Object, unavailable: Object, fetchedAt: string, source: string}>}
  */
 export async function getPricesInUSD(coinSymbols) {
   const normalized = [...new Set(coinSymbols.map(c => c.toUpperCase()))];
-  
+
   // Validate all coins
   for (const coin of normalized) {
     if (!isPopularToken(coin)) {
@@ -177,120 +139,48 @@ export async function getPricesInUSD(coinSymbols) {
     }
   }
 
-  const cacheKey = `usd_${normalized.sort().join(',')}`;
-  const now = Date.now();
-  
-  // Batch cache check
-  const batchCache = priceCache.get(`batch_${cacheKey}`);
-  if (batchCache && (now - batchCache.fetchedAt < CACHE_TTL_MULTI_MS)) {
-    return {
-      prices: batchCache.prices,
-      fetchedAt: new Date(batchCache.fetchedAt).toISOString(),
-      stale: false,
-      source: batchCache.source || 'jupiter'
-    };
-  }
+  return getPricesForTokens(normalized.map(symbol => ({ symbol, mint: getPopularToken(symbol).mint })));
+}
 
-  try {
-    // Get all token mints
-    const tokenInfos = normalized.map(symbol => {
-      const tokenInfo = getPopularToken(symbol);
-      if (!tokenInfo) {
-        throw new Error(`Token info not found for: ${symbol}`);
-      }
-      return {
-        symbol,
-        ...tokenInfo
-      };
-    });
-
-    // Fetch all prices in parallel (Jupiter batch API)
-    const mintAddresses = tokenInfos.map(t => t.mint);
-    const jupiterPrices = await fetchJupiterPrices(mintAddresses);
-
-    // Build result with USD prices (strict mode - Jupiter only)
-    const prices = {};
-    let hasCachedPrices = false;
-
-    for (const tokenInfo of tokenInfos) {
-      const jupiterData = jupiterPrices[tokenInfo.mint];
-      
-      if (jupiterData?.usdPrice && typeof jupiterData.usdPrice === 'number') {
-        // Real Jupiter price
-        const priceUSD = jupiterData.usdPrice;
-        prices[tokenInfo.symbol] = priceUSD;
-        
-        // Update individual cache
-        priceCache.set(tokenInfo.mint, {
-          priceUSD,
-          fetchedAt: now,
-          errorCount: 0
-        });
-      } else {
-        // If Jupiter doesn't return price, check cached price (only if from Jupiter)
-        const cached = priceCache.get(tokenInfo.mint);
-        if (cached?.priceUSD && cached.errorCount < MAX_ERROR_COUNT) {
-          // Use cached price only if it came from Jupiter (errorCount < MAX_ERROR_COUNT)
-          prices[tokenInfo.symbol] = cached.priceUSD;
-          hasCachedPrices = true;
-        } else {
-          // Skip tokens without Jupiter price (strict mode - no mock prices)
-          logger.warn('Price not available from Jupiter, skipping', { 
-            symbol: tokenInfo.symbol 
-          });
-        }
-      }
+/**
+ * Get prices in USD for tokens given by mint (any registry token)
+ * Same result shape as getPricesInUSD, keyed by symbol.
+ * @param {Array<{symbol: string, mint: string}>} tokens
+ * @returns {Promise<{prices: Object, quotes: Object, unavailable: Object, fetchedAt: string, source: string}>}
+ */
+export async function getPricesForTokens(tokens) {
+  const { prices: oraclePrices, unavailable: oracleUnavailable } = await resolvePrices(tokens);
+
+  const prices = {};
+  const quotes = {};
+  const unavailable = {};
+
+  for (const { symbol, mint } of tokens) {
+    const price = oraclePrices[mint];
+
+    if (price && isUsablePrice(price)) {
+      prices[symbol] = price.priceUsd;
+      quotes[symbol] = toPriceQuote(symbol, price);
+    } else {
+      unavailable[symbol] = price
+        ? `unusable ${price.confidence} price from ${price.source}`
+        : oracleUnavailable[mint] || 'no source returned a price';
     }
+  }
 
-    // Cache batch result
-    priceCache.set(`batch_${cacheKey}`, {
-      prices,
-      fetchedAt: now,
-      source: hasCachedPrices ? 'mixed' : 'jupiter'
-    });
-
-    return {
-      prices,
-      fetchedAt: new Date(now).toISOString(),
-      stale: false,
-      source: hasCachedPrices ? 'mixed' : 'jupiter'
-    };
-
-  } catch (error) {
-    logger.error('Batch price fetch failed', { 
-      error: error.message,
-      coins: normalized
-    });
-
-    // In strict mode, only return cached prices from Jupiter (no mock prices)
-    const prices = {};
-
-    for (const symbol of normalized) {
-      const tokenInfo = getPopularToken(symbol);
-      if (!tokenInfo) continue;
-      
-      const cached = priceCache.get(tokenInfo.mint);
-      
-      // Only use cached prices if they're from Jupiter (errorCount < MAX_ERROR_COUNT)
-      if (cached?.priceUSD && cached.errorCount < MAX_ERROR_COUNT) {
-        prices[symbol] = cached.priceUSD;
-      }
-    }
+  if (Object.keys(unavailable).length > 0) {
+    logger.warn('Prices unavailable for some tokens', { unavailable });
+  }
 
-    // Cache as stale batch
-    priceCache.set(`batch_${cacheKey}`, {
-      prices,
-      fetchedAt: now,
-      source: 'cached'
-    });
+  const sources = [...new Set(Object.values(quotes).map(q => q.source))];
 
-    return {
-      prices,
-      fetchedAt: new Date(now).toISOString(),
-      stale: true,
-      source: 'cached'
-    };
-  }
+  return {
+    prices,
+    quotes,
+    unavailable,
+    fetchedAt: new Date().toISOString(),
+    source: sources.length === 1 ? sources[0] : sources.length === 0 ? 'none' : 'mixed',
+  };
 }
 
 /**
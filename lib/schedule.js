@@ -0,0 +1,401 @@
+/**
+ * Investment schedules
+ * Calendar arithmetic for goal schedules, done in the owner's time zone so a
+ * buy keeps its local time of day across DST changes and a monthly buy lands
+ * on the same day of the month instead of every 30 days.
+ *
+ * - DAILY, WEEKLY, BIWEEKLY: 1, 7 or 14 local days later
+ * - MONTHLY, QUARTERLY: 1 or 3 months later on schedule.dayOfMonth (months
+ *   without that day use their last day)
+ * - CUSTOM: schedule.cron, a five-field cron expression evaluated in local
+ *   time, e.g. `0 9 1,15 * *` (9:00 on the 1st and 15th) or `30 8 * * 5`
+ *   (Fridays at 8:30); at most one buy per day
+ *
+ * No database access: the goal validation and the create page use it too.
+ */
+
+import { GoalErrors } from './errors.js';
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'BIWEEKLY', 'MONTHLY', 'QUARTERLY', 'CUSTOM'];
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_STEPS = { DAILY: 1, WEEKLY: 7, BIWEEKLY: 14 };
+const MONTH_STEPS = { MONTHLY: 1, QUARTERLY: 3 };
+
+// A cron schedule that does not fire within this many days is rejected (covers 29 February)
+const CRON_SEARCH_DAYS = 4 * 366;
+
+// Past this many runs, a cron schedule's later runs are extrapolated from their average spacing
+const MAX_WALKED_CRON_RUNS = 366;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check an IANA time zone name (e.g. Europe/Berlin)
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ */
+export function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant of a local wall-clock time; out-of-range fields roll over
+ * (day 32 is the 1st of the next month). Around a DST change the offsets
+ * from a day either side are tried: a time that occurs twice resolves to
+ * the first occurrence, and a time skipped by the change resolves to the
+ * same distance past it (02:30 on a spring-forward night is 03:30).
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  if (Number.isNaN(wallClock)) {
+    // Past the last date JavaScript can represent
+    return new Date(NaN);
+  }
+  const offsetBefore = offsetMs(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = offsetMs(new Date(wallClock + DAY_MS), timeZone);
+
+  const beforeChange = wallClock - offsetBefore;
+  if (offsetMs(new Date(beforeChange), timeZone) === offsetBefore) {
+    return new Date(beforeChange);
+  }
+  const afterChange = wallClock - offsetAfter;
+  if (offsetMs(new Date(afterChange), timeZone) === offsetAfter) {
+    return new Date(afterChange);
+  }
+  // Skipped: read with the offset in force before the change
+  return new Date(beforeChange);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function addLocalDays(from, days, timeZone) {
+  const p = getZonedParts(from, timeZone);
+  return zonedTimeToUtc({ ...p, day: p.day + days, ms: from.getUTCMilliseconds() }, timeZone);
+}
+
+function addLocalMonths(from, months, timeZone, dayOfMonth = null) {
+  const p = getZonedParts(from, timeZone);
+  const monthIndex = p.month - 1 + months;
+  const year = p.year + Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  const day = Math.min(dayOfMonth ?? p.day, daysInMonth(year, month));
+  return zonedTimeToUtc({ ...p, year, month, day, ms: from.getUTCMilliseconds() }, timeZone);
+}
+
+function parseCronValue(text, field) {
+  if (!/^\d+$/.test(text)) {
+    throw GoalErrors.INVALID_SCHEDULE(`"${text}" is not a number in the ${field.name} field`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw GoalErrors.INVALID_SCHEDULE(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Values one cron field allows, or null for `*`
+ * Supports lists, ranges and steps (`1,15`, `1-5`, `*\/2`, `1-31/7`).
+ */
+function parseCronField(text, field) {
+  if (text === '*') return null;
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseCronValue(stepText, { ...field, min: 1 });
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [startText, endText] = range.split('-');
+      start = parseCronValue(startText, field);
+      end = endText === undefined ? (stepText === undefined ? start : field.max) : parseCronValue(endText, field);
+      if (end < start) {
+        throw GoalErrors.INVALID_SCHEDULE(`range ${range} in the ${field.name} field is backwards`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * Minute and hour must be single values: a goal buys at most once a day.
+ * As in cron, when both day fields are restricted either one matching is enough.
+ * @param {string} expression - e.g. `0 9 1,15 * *`
+ * @returns {Object} Parsed schedule for nextCronRun
+ * @throws {GoalValidationError} INVALID_SCHEDULE
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== 'string') {
+    throw GoalErrors.INVALID_SCHEDULE('cron must be a string');
+  }
+
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw GoalErrors.INVALID_SCHEDULE('cron needs five fields: minute hour day-of-month month day-of-week');
+  }
+  if (!/^\d+$/.test(fields[0]) || !/^\d+$/.test(fields[1])) {
+    throw GoalErrors.INVALID_SCHEDULE('minute and hour must be single values (at most one buy per day)');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((text, i) => parseCronField(text, CRON_FIELDS[i]));
+
+  // 7 is Sunday too
+  if (dayOfWeek?.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    expression: fields.join(' '),
+    minute: [...minute][0],
+    hour: [...hour][0],
+    dayOfMonth,
+    month,
+    dayOfWeek,
+  };
+}
+
+function cronMatchesDay(cron, { month, day, weekday }) {
+  if (cron.month && !cron.month.has(month)) return false;
+  if (cron.dayOfMonth && cron.dayOfWeek) {
+    return cron.dayOfMonth.has(day) || cron.dayOfWeek.has(weekday);
+  }
+  if (cron.dayOfMonth) return cron.dayOfMonth.has(day);
+  if (cron.dayOfWeek) return cron.dayOfWeek.has(weekday);
+  return true;
+}
+
+/**
+ * First time a cron schedule fires strictly after `from`
+ * @param {Date} from
+ * @param {Object} cron - From parseCronExpression
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function nextCronRun(from, cron, timeZone = DEFAULT_TIME_ZONE) {
+  const start = getZonedParts(from, timeZone);
+
+  for (let offset = 0; offset <= CRON_SEARCH_DAYS; offset++) {
+    // Walk local calendar days; only a matching day needs a time zone conversion
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const local = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), weekday: day.getUTCDay() };
+    if (!cronMatchesDay(cron, local)) continue;
+
+    const runAt = zonedTimeToUtc({ ...local, hour: cron.hour, minute: cron.minute }, timeZone);
+    if (runAt > from) return runAt;
+  }
+
+  throw GoalErrors.INVALID_SCHEDULE(`cron "${cron.expression}" never fires`);
+}
+
+/**
+ * Validate a frequency and its schedule options for a goal
+ * @param {string} frequency - One of FREQUENCIES
+ * @param {Object|null} schedule - `{ cron }` for CUSTOM, optional `{ dayOfMonth }` for MONTHLY/QUARTERLY
+ * @param {Object} options
+ * @param {Date} options.now - Fills dayOfMonth when not given
+ * @param {string} options.timeZone - Owner's time zone
+ * @returns {Object|null} Normalized schedule to store
+ */
+export function parseGoalSchedule(frequency, schedule = null, { now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw GoalErrors.INVALID_FREQUENCY(frequency);
+  }
+  if (schedule !== null && schedule !== undefined && (typeof schedule !== 'object' || Array.isArray(schedule))) {
+    throw GoalErrors.INVALID_SCHEDULE('schedule must be an object');
+  }
+
+  if (frequency === 'CUSTOM') {
+    const cron = parseCronExpression(schedule?.cron);
+    nextCronRun(now, cron, timeZone);
+    return { cron: cron.expression };
+  }
+
+  if (MONTH_STEPS[frequency]) {
+    const dayOfMonth = schedule?.dayOfMonth ?? getZonedParts(now, timeZone).day;
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      throw GoalErrors.INVALID_SCHEDULE('dayOfMonth must be a whole number between 1 and 31');
+    }
+    return { dayOfMonth };
+  }
+
+  if (schedule !== null && schedule !== undefined) {
+    throw GoalErrors.INVALID_SCHEDULE('schedule only applies to MONTHLY, QUARTERLY and CUSTOM goals');
+  }
+  return null;
+}
+
+/**
+ * Next buy after `from`
+ * @param {Date} from - Previous buy or the time the schedule (re)starts
+ * @param {string} frequency - One of FREQUENCIES
+ * @param {Object} options
+ * @param {Object|null} options.schedule - Goal schedule (from parseGoalSchedule)
+ * @param {string} options.timeZone - Owner's time zone
+ * @returns {Date}
+ */
+export function computeNextRunAt(from, frequency, { schedule = null, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const start = new Date(from);
+
+  if (DAY_STEPS[frequency]) {
+    return addLocalDays(start, DAY_STEPS[frequency], timeZone);
+  }
+  if (MONTH_STEPS[frequency]) {
+    return addLocalMonths(start, MONTH_STEPS[frequency], timeZone, schedule?.dayOfMonth ?? null);
+  }
+  if (frequency === 'CUSTOM') {
+    return nextCronRun(start, parseCronExpression(schedule?.cron), timeZone);
+  }
+
+  throw new Error(`Unsupported frequency: ${frequency}`);
+}
+
+/**
+ * The next `count` buys after `from`
+ * @param {Date} from
+ * @param {string} frequency
+ * @param {number} count
+ * @param {Object} options - As for computeNextRunAt
+ * @returns {Date[]}
+ */
+export function listRunDates(from, frequency, count, options = {}) {
+  const dates = [];
+  let runAt = new Date(from);
+  for (let i = 0; i < count; i++) {
+    runAt = computeNextRunAt(runAt, frequency, options);
+    dates.push(runAt);
+  }
+  return dates;
+}
+
+/**
+ * The `count`th buy after `from`, without stepping through every buy in between
+ * Day and month frequencies jump there in one step of local time. A CUSTOM
+ * schedule walks its first MAX_WALKED_CRON_RUNS runs and extrapolates the
+ * rest from their average spacing, so the result is a run of the schedule
+ * near, not exactly at, the `count`th.
+ * @param {Date} from
+ * @param {string} frequency
+ * @param {number} count
+ * @param {Object} options - As for computeNextRunAt
+ * @returns {Date}
+ */
+export function computeNthRunAt(from, frequency, count, { schedule = null, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const start = new Date(from);
+  if (count <= 0) {
+    return start;
+  }
+
+  if (DAY_STEPS[frequency]) {
+    return addLocalDays(start, DAY_STEPS[frequency] * count, timeZone);
+  }
+  if (MONTH_STEPS[frequency]) {
+    return addLocalMonths(start, MONTH_STEPS[frequency] * count, timeZone, schedule?.dayOfMonth ?? null);
+  }
+
+  const walked = listRunDates(start, frequency, Math.min(count, MAX_WALKED_CRON_RUNS), { schedule, timeZone });
+  const last = walked[walked.length - 1];
+  if (walked.length === count) {
+    return last;
+  }
+  // Extrapolate to the run before, then land on a real run of the schedule
+  const averageMs = (last.getTime() - start.getTime()) / walked.length;
+  const estimate = new Date(last.getTime() + Math.round(averageMs * (count - walked.length - 1)));
+  return Number.isNaN(estimate.getTime()) ? estimate : computeNextRunAt(estimate, frequency, { schedule, timeZone });
+}
+
+/**
+ * Human-readable schedule, e.g. "Monthly on day 15" or "Custom (0 9 1,15 * *)"
+ * @param {string} frequency
+ * @param {Object|null} schedule
+ * @returns {string}
+ */
+export function describeSchedule(frequency, schedule = null) {
+  switch (frequency) {
+    case 'BIWEEKLY':
+      return 'Every 2 weeks';
+    case 'MONTHLY':
+    case 'QUARTERLY':
+      return schedule?.dayOfMonth
+        ? `${frequency === 'MONTHLY' ? 'Monthly' : 'Quarterly'} on day ${schedule.dayOfMonth}`
+        : frequency.charAt(0) + frequency.slice(1).toLowerCase();
+    case 'CUSTOM':
+      return schedule?.cron ? `Custom (${schedule.cron})` : 'Custom';
+    default:
+      return frequency ? frequency.charAt(0) + frequency.slice(1).toLowerCase() : '';
+  }
+}
@@ -0,0 +1,1068 @@
+/**
+ * Recurring investment scheduler
+ * Picks ACTIVE goals whose nextRunAt is due and drives each one through the
+ * onramp → quote → swap pipeline, recording every attempt as a ScheduledRun.
+ */
+
+import { nanoid } from 'nanoid';
+import { VersionedTransaction } from '@solana/web3.js';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getSwapQuote } from './swap-provider.js';
+import { isValidSolanaAddress } from './solana.js';
+import { getTokenMint, getGoalTokenMint, toSmallestUnits, fromSmallestUnits, getNetwork } from './tokens.js';
+import { splitContribution } from './basket.js';
+import { sendInvestmentNotification, createNotification } from './notifications.js';
+import { retryDueDeliveries } from './notification-delivery.js';
+import { recordSimulatedUsdcOnramp } from './onramp.js';
+import { transitionBatch } from './investment-batch.js';
+import { toRawAmount, USD_DECIMALS } from './amount.js';
+import { getSwapCostUsd } from './cost-basis.js';
+import { findUsableDelegation, executeDelegatedSwap } from './delegation.js';
+import { applyScheduledResumes } from './pause-requests.js';
+import { planContribution } from './contribution-strategies.js';
+import { capFinalContribution, capFinalContributionUsd } from './goal-overflow.js';
+import { getPriceQuote } from './prices.js';
+import { computeNextRunAt } from './schedule.js';
+import { prepareExecutionPolicy, quoteWithPolicy, recordExecutionPolicy } from './execution-policy.js';
+import { AppError, SwapError } from './errors.js';
+import { swapService as defaultSwapService } from './swap-service.js';
+
+const DEFAULT_TICK_LIMIT = 25;
+const DEFAULT_REMINDER_LEAD_HOURS = 24;
+
+/**
+ * Advance a schedule past `now`.
+ * Intervals missed while the scheduler was down are skipped, not replayed.
+ */
+function advanceSchedule(scheduledFor, frequency, now, options) {
+  let next = computeNextRunAt(scheduledFor, frequency, options);
+  while (next <= now) {
+    next = computeNextRunAt(next, frequency, options);
+  }
+  return next;
+}
+
+/**
+ * Get ACTIVE goals whose next run is due
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {number} options.limit - Maximum goals to return
+ * @returns {Promise<Array>} Goals with their user (and basket components) included
+ */
+export async function getDueGoals({ now = new Date(), limit = DEFAULT_TICK_LIMIT } = {}) {
+  return await prisma.goal.findMany({
+    where: {
+      status: 'ACTIVE',
+      nextRunAt: { lte: now },
+    },
+    include: { user: true, components: { orderBy: { createdAt: 'asc' } } },
+    orderBy: { nextRunAt: 'asc' },
+    take: limit,
+  });
+}
+
+/**
+ * Claim a due goal by advancing its schedule.
+ * The update is conditional on the nextRunAt we read, so two overlapping
+ * ticks can never run the same interval twice.
+ * @returns {Promise<Date|null>} New nextRunAt, or null if another tick claimed it
+ */
+async function claimGoalRun(goal, now) {
+  const nextRunAt = advanceSchedule(goal.nextRunAt, goal.frequency, now, {
+    schedule: goal.schedule,
+    timeZone: goal.user.timezone,
+  });
+
+  const { count } = await prisma.goal.updateMany({
+    where: {
+      id: goal.id,
+      status: 'ACTIVE',
+      nextRunAt: goal.nextRunAt,
+    },
+    data: {
+      nextRunAt,
+      lastRunAt: now,
+    },
+  });
+
+  return count === 1 ? nextRunAt : null;
+}
+
+async function finishRun(run, status, { error = null, meta = {} } = {}) {
+  return await prisma.scheduledRun.update({
+    where: { id: run.id },
+    data: {
+      status,
+      error,
+      finishedAt: new Date(),
+      meta: {
+        ...(run.meta || {}),
+        ...meta,
+      },
+    },
+  });
+}
+
+/**
+ * Wrap a Keypair as a scheduler signer
+ * @param {import('@solana/web3.js').Keypair} keypair
+ * @returns {{publicKey: string, signTransaction: Function}}
+ */
+export function createKeypairSigner(keypair) {
+  return {
+    publicKey: keypair.publicKey.toBase58(),
+    signTransaction: async (transaction) => {
+      transaction.sign([keypair]);
+      return transaction;
+    },
+  };
+}
+
+/**
+ * Wait for a locally signed swap sent through the swap service
+ * On-chain failures and expired block heights fail the run; anything else
+ * leaves the swap to reconciliation, as it may still land.
+ * @returns {Promise<boolean>} false when the swap is still pending
+ */
+async function confirmScheduledSwap(swapService, submitted, requestId) {
+  try {
+    return await swapService.confirm({
+      signature: submitted.signature,
+      blockhash: submitted.blockhash,
+      lastValidBlockHeight: submitted.lastValidBlockHeight,
+      requestId,
+    });
+  } catch (error) {
+    if (error instanceof SwapError) {
+      throw error;
+    }
+    logger.warn('[SCHEDULER] Confirmation did not complete', { signature: submitted.signature, error: error.message, requestId });
+    return false;
+  }
+}
+
+/**
+ * Quote one basket leg (USDC → component token)
+ * The run's execution policy is sized to the leg's own price impact.
+ * @returns {Promise<{quote: Object, slippageBps: number, outputAmountRaw: bigint, costUsdRaw: bigint, meta: Object}>}
+ */
+async function quoteBasketLeg(leg, index, inputTokenInfo, scheduledRunId, executionPolicy) {
+  const { component, amountRaw, amountUsdc } = leg;
+
+  const { result: { quote }, policy } = await quoteWithPolicy(executionPolicy, async (slippageBps) => ({
+    quote: await getSwapQuote(inputTokenInfo.mint, component.tokenMint, amountRaw.toString(), slippageBps),
+  }));
+  const { slippageBps } = policy.slippage;
+
+  const outputAmountRaw = BigInt(quote.outAmount);
+  const { costUsdRaw } = await getSwapCostUsd({
+    inputMint: inputTokenInfo.mint,
+    inputAmountRaw: quote.inAmount ?? amountRaw,
+    inputDecimals: inputTokenInfo.decimals,
+  });
+
+  return {
+    quote,
+    slippageBps,
+    outputAmountRaw,
+    costUsdRaw,
+    meta: {
+      expiresAt: quote.expiresAt,
+      quoteId: quote.quoteId,
+      inputMint: inputTokenInfo.mint,
+      outputMint: component.tokenMint,
+      inputAmount: amountUsdc,
+      inputDecimals: inputTokenInfo.decimals,
+      outputAmount: fromSmallestUnits(outputAmountRaw, component.amountDecimals),
+      inputAmountRaw: quote.inAmount ?? amountRaw.toString(),
+      quoteOutAmountRaw: quote.outAmount,
+      minOutAmountRaw: quote.otherAmountThreshold ?? quote.outAmount,
+      quoteOutAmountDecimals: component.amountDecimals,
+      priceImpactPct: quote.priceImpactPct,
+      slippageBps,
+      scheduled: true,
+      scheduledRunId,
+      basketLeg: index,
+      coin: component.coin,
+    },
+  };
+}
+
+/**
+ * Zero out basket legs that never filled
+ * Their batch still settles as SWAP_CONFIRMED, so the quoted amounts must not
+ * count as holdings or cost basis.
+ */
+async function markUnfilledLegs(swapTxns, meta) {
+  for (const swapTxn of swapTxns) {
+    await prisma.transaction.update({
+      where: { id: swapTxn.id },
+      data: {
+        amountCryptoRaw: 0n,
+        costUsdRaw: null,
+        meta: { ...swapTxn.meta, ...meta },
+      },
+    });
+  }
+}
+
+/**
+ * Run a scheduled buy for a BASKET goal
+ * The contribution is split across the components (lib/basket.js) and each
+ * leg is quoted, submitted and credited in turn under one batch, through the
+ * swap service like a single-coin run (or lib/delegation.js). Legs that
+ * confirmed stay credited when a later leg fails; a leg left unconfirmed ends
+ * the run as SUBMITTED for reconciliation, and the legs after it are skipped.
+ */
+async function runBasketInvestment(goal, run, { now, amountUsdc, resolveSigner, swapService, walletAddress, executionPolicy, requestId }) {
+  // Several swaps per interval: there is no in-app flow to sign them one by one
+  const signer = resolveSigner ? await resolveSigner(goal) : null;
+  const delegation = signer ? null : await findUsableDelegation(goal.userId, toRawAmount(amountUsdc, USD_DECIMALS), now);
+
+  if (!signer && !delegation) {
+    logger.info('[SCHEDULER] Skipping basket goal without a signer or delegation', {
+      runId: run.id,
+      goalId: goal.id,
+      requestId,
+    });
+    return await finishRun(run, 'SKIPPED', { error: 'Basket buys need a local signer or an active delegation' });
+  }
+
+  const batchId = nanoid();
+  const network = getNetwork() === 'devnet' ? 'DEVNET' : 'MAINNET';
+  const inputTokenInfo = getTokenMint('USDC', 'mainnet');
+  const legs = splitContribution(amountUsdc, goal.components);
+  const swapTxns = [];
+  const quotes = [];
+  const confirmedLegs = [];
+  const creditedTxnIds = new Set();
+  const milestones = [];
+  let currentLeg = null;
+  let submitted = false;
+  let progress = null;
+
+  try {
+    if (signer && signer.publicKey !== walletAddress) {
+      throw new AppError('Signer does not match the goal owner wallet', 400, 'SIGNER_MISMATCH');
+    }
+    if (legs.length === 0) {
+      throw new AppError('Every basket component has reached its target', 400, 'BASKET_COMPLETE');
+    }
+
+    // Step 1: Onramp the whole contribution
+    const onramp = await recordSimulatedUsdcOnramp({
+      goalId: goal.id,
+      batchId,
+      amountUsdc,
+      walletAddress,
+      contributorId: goal.userId,
+      meta: { scheduled: true, scheduledRunId: run.id },
+    });
+
+    run = await prisma.scheduledRun.update({
+      where: { id: run.id },
+      data: { batchId },
+    });
+
+    await sendInvestmentNotification(batchId, 'ONRAMP_CONFIRMED', {
+      amountUsdc,
+      goalCoin: goal.coin,
+    });
+
+    // Step 2: Quote every leg; each one is its own SWAP transaction
+    for (const [index, leg] of legs.entries()) {
+      const quoted = await quoteBasketLeg(leg, index, inputTokenInfo, run.id, executionPolicy);
+      quotes.push(quoted);
+      swapTxns.push(await prisma.transaction.create({
+        data: {
+          goalId: goal.id,
+          batchId,
+          type: 'SWAP',
+          leg: index,
+          componentId: leg.component.id,
+          contributorId: goal.userId,
+          provider: 'JUPITER',
+          network,
+          tokenMint: leg.component.tokenMint,
+          amountUsdRaw: leg.amountRaw,
+          amountCryptoRaw: quoted.outputAmountRaw,
+          cryptoDecimals: leg.component.amountDecimals,
+          costUsdRaw: quoted.costUsdRaw,
+          meta: quoted.meta,
+        },
+      }));
+    }
+
+    await transitionBatch(batchId, 'QUOTED', {
+      reason: `Scheduled basket buy quoted (${legs.length} swaps)`,
+      meta: { quoteIds: quotes.map(q => q.quote.quoteId), scheduledRunId: run.id },
+    });
+    await recordExecutionPolicy(batchId, executionPolicy);
+
+    // Step 3: Submit, confirm and credit the legs one at a time
+    let pendingSignature = null;
+
+    for (const [index, leg] of legs.entries()) {
+      currentLeg = index;
+      let swapTxn = swapTxns[index];
+      let { quote, slippageBps } = quotes[index];
+
+      // Earlier legs take time; never submit a stale quote
+      if (quote.expiresAt && new Date(quote.expiresAt) <= new Date()) {
+        const requoted = await quoteBasketLeg(leg, index, inputTokenInfo, run.id, executionPolicy);
+        ({ quote, slippageBps } = requoted);
+        swapTxn = await prisma.transaction.update({
+          where: { id: swapTxn.id },
+          data: {
+            amountCryptoRaw: requoted.outputAmountRaw,
+            costUsdRaw: requoted.costUsdRaw,
+            meta: requoted.meta,
+          },
+        });
+      }
+
+      let outcome;
+      if (signer) {
+        const built = await swapService.buildTransaction({
+          quote,
+          walletAddress,
+          slippageBps,
+          priorityFee: executionPolicy.priorityFee,
+          inputDecimals: inputTokenInfo.decimals,
+          outputDecimals: leg.component.amountDecimals,
+          requestId,
+        });
+        const signedTransaction = await signer.signTransaction(
+          VersionedTransaction.deserialize(Buffer.from(built.swapTransaction, 'base64'))
+        );
+        const submittedLeg = await swapService.submit({
+          batchId,
+          goal,
+          signedTransaction: Buffer.from(signedTransaction.serialize()).toString('base64'),
+          quoteResponse: quote,
+          lastValidBlockHeight: built.lastValidBlockHeight,
+          onramp,
+          walletAddress,
+          contributorId: goal.userId,
+          leg: index,
+          requestId,
+        });
+        swapTxn = submittedLeg.swapTxn;
+        swapTxns[index] = swapTxn;
+        const confirmed = await confirmScheduledSwap(swapService, submittedLeg, requestId);
+        outcome = { signature: submittedLeg.signature, confirmed };
+      } else {
+        outcome = await executeDelegatedSwap({
+          delegation,
+          goal,
+          batchId,
+          leg: index,
+          quote,
+          priorityFee: executionPolicy.priorityFee,
+          outputDecimals: leg.component.amountDecimals,
+          amountRaw: leg.amountRaw,
+          scheduledRunId: run.id,
+          onSubmitted: async (submittedSignature) => {
+            swapTxn = await prisma.transaction.update({
+              where: { id: swapTxn.id },
+              data: {
+                txnHash: submittedSignature,
+                meta: { ...swapTxn.meta, delegated: true, delegationId: delegation.id },
+              },
+            });
+            swapTxns[index] = swapTxn;
+
+            if (!submitted) {
+              submitted = true;
+              await transitionBatch(batchId, 'SWAP_SUBMITTED', {
+                reason: 'Scheduled basket swaps submitted under delegation',
+                meta: { signature: submittedSignature },
+              });
+              await sendInvestmentNotification(batchId, 'SWAP_SUBMITTED', {});
+            }
+          },
+          requestId,
+        });
+
+        if (outcome.onChainError) {
+          throw new AppError(
+            `Swap transaction failed: ${JSON.stringify(outcome.onChainError)}`,
+            500,
+            'SWAP_EXECUTION_FAILED'
+          );
+        }
+      }
+
+      if (!outcome.confirmed) {
+        pendingSignature = outcome.signature;
+        break;
+      }
+
+      // Credits the leg's component with the recorded quote; marked so
+      // reconciliation never credits it a second time
+      const outputAmountRaw = BigInt(swapTxn.meta.quoteOutAmountRaw);
+      const credited = await swapService.finalize({
+        swapTxn,
+        amountRaw: outputAmountRaw,
+        signature: outcome.signature,
+        goalCoin: leg.component.coin,
+        reason: 'Scheduled basket swap confirmed on-chain',
+        confirmBatch: false,
+      });
+
+      progress = credited.progress;
+      milestones.push(...credited.milestones);
+      creditedTxnIds.add(swapTxn.id);
+      confirmedLegs.push({
+        coin: leg.component.coin,
+        outputAmount: fromSmallestUnits(outputAmountRaw, leg.component.amountDecimals),
+        signature: outcome.signature,
+      });
+    }
+    currentLeg = null;
+
+    if (pendingSignature) {
+      // Left in SWAP_SUBMITTED: /api/investments/reconcile credits the pending
+      // leg; the legs after it were never sent and their USDC stays in the wallet
+      await markUnfilledLegs(swapTxns.filter(t => !t.txnHash), { skipped: true });
+      return await finishRun(run, 'SUBMITTED', {
+        meta: { signature: pendingSignature, legs: confirmedLegs, legCount: legs.length },
+      });
+    }
+
+    await transitionBatch(batchId, 'SWAP_CONFIRMED', {
+      reason: 'Scheduled basket swaps confirmed on-chain',
+      meta: { signatures: confirmedLegs.map(l => l.signature) },
+      from: ['SWAP_SUBMITTED'],
+    });
+
+    await sendInvestmentNotification(batchId, 'SWAP_CONFIRMED', {
+      legs: confirmedLegs,
+      goalCoin: goal.coin,
+      progressPercentage: progress,
+      milestones,
+    });
+
+    logger.info('[SCHEDULER] Scheduled basket run succeeded', {
+      runId: run.id,
+      goalId: goal.id,
+      batchId,
+      legs: confirmedLegs.length,
+      progress,
+      requestId,
+    });
+
+    return await finishRun(run, 'SUCCEEDED', {
+      meta: { legs: confirmedLegs, progressPercentage: progress },
+    });
+  } catch (error) {
+    logger.error('[SCHEDULER] Scheduled basket run failed', {
+      runId: run.id,
+      goalId: goal.id,
+      batchId,
+      leg: currentLeg,
+      legsConfirmed: confirmedLegs.length,
+      error: error.message,
+      errorCode: error.code,
+      requestId,
+    });
+
+    const failedTxn = currentLeg !== null ? swapTxns[currentLeg] : null;
+    if (failedTxn) {
+      failedTxn.meta = { ...failedTxn.meta, error: error.message, errorCode: error.code };
+      await prisma.transaction.update({
+        where: { id: failedTxn.id },
+        data: { meta: failedTxn.meta },
+      });
+    }
+    if (confirmedLegs.length > 0) {
+      await markUnfilledLegs(
+        swapTxns.filter(t => !creditedTxnIds.has(t.id)),
+        { skipped: true }
+      );
+    }
+
+    try {
+      if (confirmedLegs.length > 0) {
+        // What was bought stays credited; the batch settles as a partial fill
+        await transitionBatch(batchId, 'SWAP_CONFIRMED', {
+          reason: `Basket partially filled (${confirmedLegs.length}/${legs.length} swaps): ${error.message}`,
+          meta: { errorCode: error.code || null, signatures: confirmedLegs.map(l => l.signature) },
+          from: ['SWAP_SUBMITTED'],
+        });
+      } else {
+        await transitionBatch(batchId, 'FAILED', {
+          reason: error.message,
+          meta: { errorCode: error.code || null, scheduledRunId: run.id },
+        });
+      }
+    } catch (transitionError) {
+      logger.error('[SCHEDULER] Failed to settle basket batch', {
+        runId: run.id,
+        batchId,
+        error: transitionError.message,
+        requestId,
+      });
+    }
+
+    if (confirmedLegs.length > 0) {
+      await sendInvestmentNotification(batchId, 'SWAP_CONFIRMED', {
+        legs: confirmedLegs,
+        goalCoin: goal.coin,
+        progressPercentage: progress,
+        milestones,
+      });
+    } else {
+      await sendInvestmentNotification(batchId, 'FAILED', { reason: error.message });
+    }
+
+    return await finishRun(run, 'FAILED', {
+      error: error.message,
+      meta: { errorCode: error.code || null, legs: confirmedLegs },
+    });
+  }
+}
+
+/**
+ * Run a single scheduled investment for a due goal
+ * @param {Object} goal - Goal with user included (from getDueGoals)
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @param {Function} options.resolveSigner - async (goal) => signer|null
+ * @param {Object} options.swapService - Swap service for locally signed swaps (lib/swap-service.js)
+ * @param {string} options.requestId - Request ID for logging
+ * @returns {Promise<Object|null>} Finished ScheduledRun, or null if the goal was claimed elsewhere
+ */
+export async function runScheduledInvestment(goal, {
+  now = new Date(),
+  resolveSigner = null,
+  swapService = defaultSwapService,
+  requestId = null,
+} = {}) {
+  // Slippage and priority fee for this run, within the goal owner's maximums;
+  // the quotes size the slippage to their price impact. Chosen before the
+  // claim, so a failure leaves the interval due for the next tick.
+  const executionPolicy = await prepareExecutionPolicy({
+    symbols: ['USDC', ...(goal.kind === 'BASKET' ? goal.components.map(c => c.coin) : [goal.coin])],
+    userId: goal.userId,
+    now,
+  });
+
+  const nextRunAt = await claimGoalRun(goal, now);
+
+  if (!nextRunAt) {
+    logger.info('[SCHEDULER] Goal already claimed by another run', { goalId: goal.id, requestId });
+    return null;
+  }
+
+  // The goal's contribution strategy sets this interval's amount; a strategy
+  // that cannot run falls back to the base amount rather than missing the buy
+  let contribution;
+  try {
+    contribution = await planContribution(goal, { now });
+  } catch (error) {
+    logger.warn('[SCHEDULER] Contribution strategy failed, using the base amount', {
+      goalId: goal.id,
+      strategy: goal.strategy,
+      error: error.message,
+      requestId,
+    });
+    contribution = {
+      strategy: goal.strategy,
+      amountUsd: goal.amountPerInterval,
+      baseAmountUsd: goal.amountPerInterval,
+      capped: false,
+      reason: `Strategy failed (${error.message}); contributing the base amount`,
+    };
+  }
+
+  // An EXACT goal's last run only buys what the target still needs; without a
+  // price the quote below still trims the swap
+  if (goal.overflowPolicy === 'EXACT' && contribution.amountUsd > 0) {
+    try {
+      const { priceUsd } = await getPriceQuote(goal.tokenMint);
+      const final = capFinalContributionUsd(goal, contribution.amountUsd, {
+        priceUsd,
+        slippageBps: executionPolicy.slippage.slippageBps,
+      });
+      if (final.capped) {
+        contribution = {
+          ...contribution,
+          amountUsd: final.amountUsd,
+          capped: true,
+          reason: `Final contribution sized to land on the target (planned ${contribution.amountUsd} USDC)`,
+        };
+      }
+    } catch (error) {
+      logger.warn('[SCHEDULER] No price to size the final contribution', {
+        goalId: goal.id,
+        error: error.message,
+        requestId,
+      });
+    }
+  }
+  const amountUsdc = contribution.amountUsd;
+
+  let run = await prisma.scheduledRun.create({
+    data: {
+      goalId: goal.id,
+      scheduledFor: goal.nextRunAt,
+      amountUsd: amountUsdc,
+      meta: {
+        nextRunAt: nextRunAt.toISOString(),
+        requestId,
+        contribution: {
+          strategy: contribution.strategy,
+          baseAmountUsd: contribution.baseAmountUsd,
+          capped: contribution.capped,
+          reason: contribution.reason,
+        },
+      },
+    },
+  });
+
+  logger.info('[SCHEDULER] Starting scheduled run', {
+    runId: run.id,
+    goalId: goal.id,
+    coin: goal.coin,
+    amountUsd: amountUsdc,
+    strategy: contribution.strategy,
+    scheduledFor: goal.nextRunAt,
+    requestId,
+  });
+
+  if (amountUsdc <= 0) {
+    logger.info('[SCHEDULER] Strategy skipped this interval', { goalId: goal.id, reason: contribution.reason, requestId });
+    return await finishRun(run, 'SKIPPED', { error: contribution.reason });
+  }
+
+  const walletAddress = goal.user?.walletAddress;
+  if (!walletAddress || !isValidSolanaAddress(walletAddress)) {
+    logger.warn('[SCHEDULER] Skipping goal without a valid wallet', { goalId: goal.id, requestId });
+    return await finishRun(run, 'SKIPPED', { error: 'User has no valid wallet address' });
+  }
+
+  if (goal.kind === 'BASKET') {
+    return await runBasketInvestment(goal, run, { now, amountUsdc, resolveSigner, swapService, walletAddress, executionPolicy, requestId });
+  }
+
+  const batchId = nanoid();
+  const network = getNetwork() === 'devnet' ? 'DEVNET' : 'MAINNET';
+  let swapTxn = null;
+
+  try {
+    // Step 1: Onramp (simulated USDC, same record as /api/onramp/simulate-usdc)
+    const onramp = await recordSimulatedUsdcOnramp({
+      goalId: goal.id,
+      batchId,
+      amountUsdc,
+      walletAddress,
+      contributorId: goal.userId,
+      meta: { scheduled: true, scheduledRunId: run.id },
+    });
+
+    run = await prisma.scheduledRun.update({
+      where: { id: run.id },
+      data: { batchId },
+    });
+
+    await sendInvestmentNotification(batchId, 'ONRAMP_CONFIRMED', {
+      amountUsdc,
+      goalCoin: goal.coin,
+    });
+
+    // Step 2: Quote USDC → goal coin (mainnet mints, like every other quote)
+    const inputTokenInfo = getTokenMint('USDC', 'mainnet');
+    const outputTokenInfo = getGoalTokenMint(goal, 'mainnet');
+    const { result: quoted, policy } = await quoteWithPolicy(executionPolicy, (slippageBps) =>
+      capFinalContribution(goal, {
+        amountRaw: toSmallestUnits(amountUsdc, inputTokenInfo.decimals),
+        getQuote: (amountRaw) => getSwapQuote(
+          inputTokenInfo.mint,
+          outputTokenInfo.mint,
+          amountRaw.toString(),
+          slippageBps
+        ),
+      })
+    );
+    const { quote, amountRaw: inputAmountSmallestUnits } = quoted;
+    const { slippageBps } = policy.slippage;
+    // A trimmed swap spends only what the goal still needs; the rest of the
+    // onramped USDC stays in the member's wallet and is never pulled under delegation
+    const swapAmountUsdc = fromSmallestUnits(inputAmountSmallestUnits, inputTokenInfo.decimals);
+
+    const outputAmountRaw = BigInt(quote.outAmount);
+    const outputAmount = fromSmallestUnits(outputAmountRaw, outputTokenInfo.decimals);
+    const { costUsdRaw } = await getSwapCostUsd({
+      inputMint: inputTokenInfo.mint,
+      inputAmountRaw: quote.inAmount ?? inputAmountSmallestUnits,
+      inputDecimals: inputTokenInfo.decimals,
+    });
+    quote.inputMint = quote.inputMint || inputTokenInfo.mint;
+    quote.outputMint = quote.outputMint || outputTokenInfo.mint;
+    // The raw amounts are what swapService.submit checks a signed swap against
+    const quoteMeta = {
+      expiresAt: quote.expiresAt,
+      quoteId: quote.quoteId,
+      inputMint: inputTokenInfo.mint,
+      outputMint: outputTokenInfo.mint,
+      inputAmount: swapAmountUsdc,
+      inputDecimals: inputTokenInfo.decimals,
+      outputAmount,
+      inputAmountRaw: quote.inAmount ?? inputAmountSmallestUnits.toString(),
+      quoteOutAmountRaw: quote.outAmount,
+      minOutAmountRaw: quote.otherAmountThreshold ?? quote.outAmount,
+      quoteOutAmountDecimals: outputTokenInfo.decimals,
+      priceImpactPct: quote.priceImpactPct,
+      slippageBps,
+      scheduled: true,
+      scheduledRunId: run.id,
+    };
+
+    swapTxn = await prisma.transaction.create({
+      data: {
+        goalId: goal.id,
+        batchId,
+        type: 'SWAP',
+        provider: 'JUPITER',
+        network,
+        contributorId: goal.userId,
+        tokenMint: outputTokenInfo.mint,
+        amountUsdRaw: toRawAmount(swapAmountUsdc, USD_DECIMALS),
+        amountCryptoRaw: outputAmountRaw,
+        cryptoDecimals: outputTokenInfo.decimals,
+        costUsdRaw,
+        meta: quoteMeta,
+      },
+    });
+
+    await transitionBatch(batchId, 'QUOTED', {
+      reason: 'Scheduled buy quoted',
+      meta: { quoteId: quote.quoteId, slippageBps, scheduledRunId: run.id },
+    });
+    await recordExecutionPolicy(batchId, policy);
+
+    // Step 3: Sign. A local signer for the owner's wallet wins, then an active
+    // delegation; otherwise the user has to finish the buy in the app.
+    const signer = resolveSigner ? await resolveSigner(goal) : null;
+    const delegation = signer ? null : await findUsableDelegation(goal.userId, inputAmountSmallestUnits, now);
+
+    if (!signer && !delegation) {
+      logger.info('[SCHEDULER] No signer available, awaiting user signature', {
+        runId: run.id,
+        goalId: goal.id,
+        batchId,
+        requestId,
+      });
+
+      await sendInvestmentNotification(batchId, 'SCHEDULED_BUY_READY', {
+        amountUsdc,
+        goalCoin: goal.coin,
+      });
+
+      return await finishRun(run, 'AWAITING_SIGNATURE', {
+        meta: { quoteId: quote.quoteId, expectedOutputAmount: outputAmount },
+      });
+    }
+
+    // Step 4: Submit and confirm. A locally signed swap goes through the swap
+    // service like a member's; a delegated one is sent by lib/delegation.js
+    let outcome;
+    if (signer) {
+      if (signer.publicKey !== walletAddress) {
+        throw new AppError('Signer does not match the goal owner wallet', 400, 'SIGNER_MISMATCH');
+      }
+
+      const built = await swapService.buildTransaction({
+        quote,
+        walletAddress,
+        slippageBps,
+        priorityFee: policy.priorityFee,
+        inputDecimals: inputTokenInfo.decimals,
+        outputDecimals: outputTokenInfo.decimals,
+        requestId,
+      });
+      const signedTransaction = await signer.signTransaction(
+        VersionedTransaction.deserialize(Buffer.from(built.swapTransaction, 'base64'))
+      );
+      const submitted = await swapService.submit({
+        batchId,
+        goal,
+        signedTransaction: Buffer.from(signedTransaction.serialize()).toString('base64'),
+        quoteResponse: quote,
+        lastValidBlockHeight: built.lastValidBlockHeight,
+        onramp,
+        walletAddress,
+        contributorId: goal.userId,
+        requestId,
+      });
+      swapTxn = submitted.swapTxn;
+      const confirmed = await confirmScheduledSwap(swapService, submitted, requestId);
+      outcome = { signature: submitted.signature, confirmed };
+    } else {
+      logger.info('[SCHEDULER] Executing under delegation', {
+        runId: run.id,
+        goalId: goal.id,
+        delegationId: delegation.id,
+        requestId,
+      });
+
+      outcome = await executeDelegatedSwap({
+        delegation,
+        goal,
+        batchId,
+        quote,
+        priorityFee: policy.priorityFee,
+        outputDecimals: outputTokenInfo.decimals,
+        amountRaw: inputAmountSmallestUnits,
+        scheduledRunId: run.id,
+        onSubmitted: async (submittedSignature) => {
+          swapTxn = await prisma.transaction.update({
+            where: { id: swapTxn.id },
+            data: {
+              txnHash: submittedSignature,
+              meta: { ...swapTxn.meta, delegated: true, delegationId: delegation.id },
+            },
+          });
+          await transitionBatch(batchId, 'SWAP_SUBMITTED', {
+            reason: 'Scheduled swap submitted under delegation',
+            meta: { signature: submittedSignature },
+          });
+          await sendInvestmentNotification(batchId, 'SWAP_SUBMITTED', {});
+        },
+        requestId,
+      });
+
+      if (outcome.onChainError) {
+        throw new AppError(
+          `Swap transaction failed: ${JSON.stringify(outcome.onChainError)}`,
+          500,
+          'SWAP_EXECUTION_FAILED'
+        );
+      }
+    }
+
+    const { signature, confirmed } = outcome;
+
+    if (!confirmed) {
+      // Left in SWAP_SUBMITTED: /api/investments/reconcile will finalize it
+      return await finishRun(run, 'SUBMITTED', { meta: { signature } });
+    }
+
+    // Step 5: Finalize - confirm the batch and credit the goal with the recorded quote
+    const result = await swapService.finalize({
+      swapTxn,
+      amountRaw: BigInt(swapTxn.meta.quoteOutAmountRaw),
+      signature,
+      goalCoin: goal.coin,
+      reason: 'Scheduled swap confirmed on-chain',
+    });
+
+    logger.info('[SCHEDULER] Scheduled run succeeded', {
+      runId: run.id,
+      goalId: goal.id,
+      batchId,
+      signature,
+      outputAmount,
+      progress: result.progress,
+      requestId,
+    });
+
+    return await finishRun(run, 'SUCCEEDED', {
+      meta: { signature, outputAmount, progressPercentage: result.progress },
+    });
+  } catch (error) {
+    logger.error('[SCHEDULER] Scheduled run failed', {
+      runId: run.id,
+      goalId: goal.id,
+      batchId,
+      error: error.message,
+      errorCode: error.code,
+      requestId,
+    });
+
+    if (swapTxn) {
+      await prisma.transaction.update({
+        where: { id: swapTxn.id },
+        data: {
+          meta: {
+            ...swapTxn.meta,
+            error: error.message,
+            errorCode: error.code,
+          },
+        },
+      });
+    }
+
+    try {
+      await transitionBatch(batchId, 'FAILED', {
+        reason: error.message,
+        meta: { errorCode: error.code || null, scheduledRunId: run.id },
+      });
+    } catch (transitionError) {
+      // Keep the original failure as the run's error
+      logger.error('[SCHEDULER] Failed to mark batch as FAILED', {
+        runId: run.id,
+        batchId,
+        error: transitionError.message,
+        requestId,
+      });
+    }
+
+    await sendInvestmentNotification(batchId, 'FAILED', {
+      reason: error.message,
+    });
+
+    return await finishRun(run, 'FAILED', {
+      error: error.message,
+      meta: { errorCode: error.code || null },
+    });
+  }
+}
+
+/**
+ * Notify users about buys coming up within the reminder lead time
+ * (SCHEDULED_BUY_REMINDER_HOURS, default 24). Daily goals are skipped: their
+ * next buy is always less than a day away.
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @param {number} options.limit - Maximum reminders per call
+ * @returns {Promise<number>} Reminders sent
+ */
+export async function sendUpcomingBuyReminders({ now = new Date(), limit = DEFAULT_TICK_LIMIT } = {}) {
+  const leadHours = parseInt(process.env.SCHEDULED_BUY_REMINDER_HOURS || String(DEFAULT_REMINDER_LEAD_HOURS), 10);
+  const horizon = new Date(now.getTime() + leadHours * 60 * 60 * 1000);
+
+  const goals = await prisma.goal.findMany({
+    where: {
+      status: 'ACTIVE',
+      frequency: { not: 'DAILY' },
+      nextRunAt: { gt: now, lte: horizon },
+    },
+    orderBy: { nextRunAt: 'asc' },
+    take: limit,
+  });
+
+  let sent = 0;
+  for (const goal of goals) {
+    if (goal.reminderSentFor && goal.reminderSentFor.getTime() === goal.nextRunAt.getTime()) continue;
+
+    // Claim the reminder for this run so overlapping ticks send it once
+    const { count } = await prisma.goal.updateMany({
+      where: { id: goal.id, nextRunAt: goal.nextRunAt, reminderSentFor: goal.reminderSentFor },
+      data: { reminderSentFor: goal.nextRunAt },
+    });
+    if (count !== 1) continue;
+
+    try {
+      await createNotification(
+        goal.userId,
+        'SCHEDULED_BUY_UPCOMING',
+        // Other strategies only settle the amount when the buy runs
+        goal.strategy && goal.strategy !== 'FIXED'
+          ? `Your ${goal.coin} buy (base ${goal.amountPerInterval} USDC, adjusted by your contribution strategy) is scheduled for ${goal.nextRunAt.toISOString()}.`
+          : `Your ${goal.amountPerInterval} USDC buy of ${goal.coin} is scheduled for ${goal.nextRunAt.toISOString()}.`,
+        {
+          goalId: goal.id,
+          goalCoin: goal.coin,
+          amountUsdc: goal.amountPerInterval,
+          strategy: goal.strategy,
+          scheduledFor: goal.nextRunAt.toISOString(),
+        }
+      );
+      sent++;
+    } catch (error) {
+      logger.error('[SCHEDULER] Failed to send buy reminder', { goalId: goal.id, error: error.message });
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Run one scheduler tick: process every due goal (sequentially, to keep
+ * RPC and Jupiter load predictable)
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @param {number} options.limit - Maximum goals to process in this tick
+ * @param {Function} options.resolveSigner - async (goal) => signer|null
+ * @param {Object} options.swapService - Swap service for locally signed swaps (lib/swap-service.js)
+ * @param {string} options.requestId - Request ID for logging
+ * @returns {Promise<{due: number, processed: number, counts: Object, runs: Array, resumed: number, reminders: number, deliveries: Object|null}>}
+ */
+export async function runSchedulerTick({
+  now = new Date(),
+  limit = DEFAULT_TICK_LIMIT,
+  resolveSigner = null,
+  swapService = defaultSwapService,
+  requestId = null,
+} = {}) {
+  // Goals whose approved pause has reached its resume date become ACTIVE again
+  // (their first run is one interval from now, so they are not due this tick)
+  let resumed = 0;
+  try {
+    resumed = await applyScheduledResumes({ now });
+  } catch (error) {
+    logger.error('[SCHEDULER] Scheduled resumes failed', { error: error.message, requestId });
+  }
+
+  const dueGoals = await getDueGoals({ now, limit });
+
+  logger.info('[SCHEDULER] Tick started', { due: dueGoals.length, now: now.toISOString(), requestId });
+
+  const counts = {
+    SUCCEEDED: 0,
+    SUBMITTED: 0,
+    AWAITING_SIGNATURE: 0,
+    FAILED: 0,
+    SKIPPED: 0,
+  };
+  const runs = [];
+
+  for (const goal of dueGoals) {
+    try {
+      const run = await runScheduledInvestment(goal, { now, resolveSigner, swapService, requestId });
+      if (!run) continue;
+
+      counts[run.status] = (counts[run.status] || 0) + 1;
+      runs.push({
+        id: run.id,
+        goalId: run.goalId,
+        batchId: run.batchId,
+        status: run.status,
+        scheduledFor: run.scheduledFor.toISOString(),
+        error: run.error,
+      });
+    } catch (error) {
+      // Bookkeeping failure (DB unavailable, etc.) - keep going with the other goals
+      logger.error('[SCHEDULER] Failed to process goal', {
+        goalId: goal.id,
+        error: error.message,
+        requestId,
+      });
+    }
+  }
+
+  // Housekeeping: upcoming-buy reminders and notification delivery retries
+  let reminders = 0;
+  let deliveries = null;
+  try {
+    reminders = await sendUpcomingBuyReminders({ now, limit });
+    deliveries = await retryDueDeliveries({ now });
+  } catch (error) {
+    logger.error('[SCHEDULER] Notification housekeeping failed', { error: error.message, requestId });
+  }
+
+  logger.info('[SCHEDULER] Tick completed', { due: dueGoals.length, processed: runs.length, counts, resumed, reminders, requestId });
+
+  return {
+    due: dueGoals.length,
+    processed: runs.length,
+    counts,
+    runs,
+    resumed,
+    reminders,
+    deliveries,
+  };
+}
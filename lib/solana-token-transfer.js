@@ -11,7 +11,7 @@ import {
   TOKEN_2022_PROGRAM_ID,
   getAccount,
 } from '@solana/spl-token';
-import { PublicKey, Transaction, VersionedTransaction, TransactionMessage } from '@solana/web3.js';
+import { PublicKey, Transaction, VersionedTransaction, TransactionMessage, SystemProgram } from '@solana/web3.js';
 import { getSolanaConnection } from './solana.js';
 import { logger } from './logger.js';
 
@@ -376,3 +376,46 @@ export async function buildUnsignedTokenTransfer({
   }
 }
 
+/**
+ * Build an unsigned native SOL transfer transaction
+ * Native SOL lives in the wallet itself, not a token account, so SOL
+ * transfers use the system program instead of buildUnsignedTokenTransfer.
+ * @param {string} fromAddress - Sender wallet address (base58)
+ * @param {string} toAddress - Recipient wallet address (base58)
+ * @param {number} lamports - Amount in lamports
+ * @returns {Promise<{unsignedTransaction: string, recentBlockhash: string, lastValidBlockHeight: number, feeEstimateLamports: number|null}>}
+ */
+export async function buildUnsignedSolTransfer({ fromAddress, toAddress, lamports }) {
+  const connection = getSolanaConnection();
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+
+  const transferIx = SystemProgram.transfer({
+    fromPubkey: new PublicKey(fromAddress),
+    toPubkey: new PublicKey(toAddress),
+    lamports,
+  });
+
+  const messageV0 = new TransactionMessage({
+    instructions: [transferIx],
+    payerKey: new PublicKey(fromAddress),
+    recentBlockhash: blockhash,
+  }).compileToV0Message();
+
+  const transaction = new VersionedTransaction(messageV0);
+  const unsignedTransaction = Buffer.from(transaction.serialize()).toString('base64');
+
+  let feeEstimateLamports = null;
+  try {
+    const feeResult = await connection.getFeeForMessage(messageV0, 'confirmed');
+    feeEstimateLamports = feeResult.value ?? null;
+  } catch {
+    feeEstimateLamports = null;
+  }
+
+  return {
+    unsignedTransaction,
+    recentBlockhash: blockhash,
+    lastValidBlockHeight,
+    feeEstimateLamports,
+  };
+}
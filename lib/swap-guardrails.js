@@ -0,0 +1,418 @@
+/**
+ * lib/swap-guardrails.js
+ * Pre-trade checks of a swap transaction, before the member signs it and
+ * again before it is sent
+ *
+ * Swaps are sent with skipPreflight, so nothing else looks at what the
+ * provider's transaction actually does. inspectSwapTransaction:
+ * - allows only the provider's program and core Solana programs at the top
+ *   level, and only token account housekeeping from the core programs
+ * - rejects transactions another account must sign, or that pay fees or rent
+ *   from anywhere but the signing wallet (the member's, or the app wallet's
+ *   when it swaps for a member under a delegation)
+ * - rejects quotes whose price impact, against the oracle price
+ *   (calculatePriceImpact), is above SWAP_MAX_PRICE_IMPACT_PCT
+ * - simulates the transaction (simulateTransaction) and checks the wallet's
+ *   balance changes against the quote: no more input than quoted, at least the
+ *   quote's minimum output, and no other holdings touched or handed over
+ * It returns a summary of what the transaction will do for the UI.
+ */
+
+import {
+  ComputeBudgetProgram,
+  PublicKey,
+  SystemProgram,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import { logger } from './logger.js';
+import { SwapErrors } from './errors.js';
+import { getSolanaConnection } from './solana.js';
+import { calculatePriceImpact } from './prices.js';
+import { TOKEN_MINTS, fromSmallestUnits, isNativeSOL } from './tokens.js';
+
+export const GUARDRAIL_CONFIG = {
+  MAX_PRICE_IMPACT_PCT: Number(process.env.SWAP_MAX_PRICE_IMPACT_PCT || 5),
+  SIGNATURE_FEE_LAMPORTS: 5000,
+  // A token account's rent, rounded up for Token-2022 account extensions
+  TOKEN_ACCOUNT_RENT_LAMPORTS: 2100000,
+};
+
+const CORE_PROGRAMS = {
+  [ComputeBudgetProgram.programId.toBase58()]: 'Compute Budget',
+  [SystemProgram.programId.toBase58()]: 'System',
+  [TOKEN_PROGRAM_ID.toBase58()]: 'Token',
+  [TOKEN_2022_PROGRAM_ID.toBase58()]: 'Token-2022',
+  [ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()]: 'Associated Token Account',
+};
+
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID.toBase58(), TOKEN_2022_PROGRAM_ID.toBase58()];
+
+// Instruction tags (first data byte, or u32 for the System program)
+const COMPUTE_UNIT_LIMIT = 2;
+const COMPUTE_UNIT_PRICE = 3;
+const DEFAULT_COMPUTE_UNITS = 200000;
+const TOKEN_CLOSE_ACCOUNT = 9;
+const TOKEN_SYNC_NATIVE = 17;
+const SYSTEM_TRANSFER = 2;
+
+// SPL token account layout: mint, owner, amount, delegate (COption)
+const TOKEN_ACCOUNT_SIZE = 165;
+const OWNER_OFFSET = 32;
+const AMOUNT_OFFSET = 64;
+const DELEGATE_OFFSET = 72;
+
+function symbolFor(mint) {
+  return Object.values(TOKEN_MINTS).find(token => token.mint === mint)?.symbol ?? null;
+}
+
+function formatAmount(amountRaw, decimals) {
+  return decimals === null || decimals === undefined ? null : fromSmallestUnits(amountRaw, decimals);
+}
+
+function decodeTransaction(swapTransaction) {
+  if (swapTransaction instanceof VersionedTransaction) {
+    return swapTransaction;
+  }
+  try {
+    return VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+  } catch (error) {
+    throw SwapErrors.SIMULATION_FAILED(`the transaction could not be decoded (${error.message})`);
+  }
+}
+
+/**
+ * Parse an SPL token account (Token or Token-2022)
+ * @param {Buffer|null} data
+ * @returns {{mint: string, owner: string, amount: bigint, hasDelegate: boolean}|null}
+ */
+function parseTokenAccount(data) {
+  if (!data || data.length < TOKEN_ACCOUNT_SIZE) {
+    return null;
+  }
+  return {
+    mint: new PublicKey(data.subarray(0, OWNER_OFFSET)).toBase58(),
+    owner: new PublicKey(data.subarray(OWNER_OFFSET, AMOUNT_OFFSET)).toBase58(),
+    amount: data.readBigUInt64LE(AMOUNT_OFFSET),
+    hasDelegate: data.readUInt32LE(DELEGATE_OFFSET) === 1,
+  };
+}
+
+/**
+ * Check the top-level instructions and work out fees and new accounts
+ * Accounts loaded from lookup tables cannot be identified here, so an
+ * instruction that needs the signing wallet in one of them is rejected.
+ * @returns {{programs: Object[], networkFee: Object, newAccounts: Object[]}}
+ */
+function checkInstructions(transaction, walletAddress, destinationOwner, allowedPrograms) {
+  const { message } = transaction;
+  const staticKeys = message.staticAccountKeys.map(key => key.toBase58());
+  const keyAt = (index) => staticKeys[index] ?? null;
+  const wrappedSolAccount = getAssociatedTokenAddressSync(new PublicKey(TOKEN_MINTS.SOL.mint), new PublicKey(walletAddress)).toBase58();
+  const signerName = destinationOwner === walletAddress ? 'the member\'s wallet' : 'the app wallet';
+
+  if (staticKeys[0] !== walletAddress) {
+    throw SwapErrors.UNEXPECTED_ACCOUNT(`is paid for by ${staticKeys[0]}, not ${signerName}`);
+  }
+  if (message.header.numRequiredSignatures !== 1) {
+    throw SwapErrors.UNEXPECTED_ACCOUNT(`needs signatures from accounts other than ${signerName}`);
+  }
+
+  const programs = new Map();
+  const newAccounts = [];
+  let computeUnits = null;
+  let microLamportsPerCu = 0n;
+
+  for (const instruction of message.compiledInstructions) {
+    const programId = keyAt(instruction.programIdIndex);
+    if (!allowedPrograms[programId]) {
+      throw SwapErrors.UNEXPECTED_PROGRAM(programId);
+    }
+    programs.set(programId, allowedPrograms[programId]);
+
+    const data = Buffer.from(instruction.data);
+    const account = (position) => keyAt(instruction.accountKeyIndexes[position]);
+
+    if (programId === ComputeBudgetProgram.programId.toBase58()) {
+      if (data[0] === COMPUTE_UNIT_LIMIT) {
+        computeUnits = data.readUInt32LE(1);
+      } else if (data[0] === COMPUTE_UNIT_PRICE) {
+        microLamportsPerCu = data.readBigUInt64LE(1);
+      }
+    } else if (programId === SystemProgram.programId.toBase58()) {
+      // Only funding the wallet's own wrapped SOL account
+      if (data.length < 4 || data.readUInt32LE(0) !== SYSTEM_TRANSFER || account(0) !== walletAddress || account(1) !== wrappedSolAccount) {
+        throw SwapErrors.UNEXPECTED_ACCOUNT('moves SOL outside the swap');
+      }
+    } else if (TOKEN_PROGRAMS.includes(programId)) {
+      // Wrapping and unwrapping SOL; swaps themselves move tokens inside the provider's program
+      const closesToWallet = data[0] === TOKEN_CLOSE_ACCOUNT && account(1) === walletAddress;
+      if (data[0] !== TOKEN_SYNC_NATIVE && !closesToWallet) {
+        throw SwapErrors.UNEXPECTED_ACCOUNT(`uses token instruction ${data[0]} outside the swap`);
+      }
+    } else if (programId === ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()) {
+      // create / createIdempotent: payer, account, owner, mint
+      if (account(0) !== walletAddress || ![walletAddress, destinationOwner].includes(account(2))) {
+        throw SwapErrors.UNEXPECTED_ACCOUNT('creates a token account for another owner');
+      }
+      if (account(1) !== wrappedSolAccount) {
+        newAccounts.push({ address: account(1), mint: account(3) });
+      }
+    }
+  }
+
+  const units = BigInt(computeUnits ?? DEFAULT_COMPUTE_UNITS * message.compiledInstructions.length);
+  const baseLamports = GUARDRAIL_CONFIG.SIGNATURE_FEE_LAMPORTS * message.header.numRequiredSignatures;
+  const priorityLamports = Number((microLamportsPerCu * units + 999999n) / 1000000n);
+
+  return {
+    programs: [...programs].map(([programId, name]) => ({ programId, name })),
+    networkFee: {
+      baseLamports,
+      maxPriorityLamports: priorityLamports,
+      maxTotalLamports: baseLamports + priorityLamports,
+    },
+    newAccounts,
+  };
+}
+
+/**
+ * Simulate the transaction and read the balance changes of each wallet
+ * @returns {Promise<{balances: Map<string, {lamportDelta: bigint, tokenDeltas: Map<string, bigint>}>|null, existingAccounts: Set<string>, computeUnits: number|null}>}
+ *   balances is null when the RPC node returned no account state
+ */
+async function simulateBalances(connection, transaction, owners, mints, { requireAccounts }) {
+  const snapshots = await Promise.all(owners.map(async (owner) => {
+    const wallet = new PublicKey(owner);
+    const [lamports, ...owned] = await Promise.all([
+      connection.getBalance(wallet, 'confirmed'),
+      ...TOKEN_PROGRAMS.map(programId => connection.getTokenAccountsByOwner(wallet, { programId: new PublicKey(programId) }, 'confirmed')),
+    ]);
+
+    const before = new Map();
+    for (const { pubkey, account } of owned.flatMap(result => result.value)) {
+      before.set(pubkey.toBase58(), parseTokenAccount(account.data));
+    }
+    const existing = [...before.keys()];
+    // Accounts the swap may create for the input and output
+    for (const mint of mints) {
+      for (const programId of TOKEN_PROGRAMS) {
+        const address = getAssociatedTokenAddressSync(new PublicKey(mint), wallet, false, new PublicKey(programId)).toBase58();
+        if (!before.has(address)) {
+          before.set(address, null);
+        }
+      }
+    }
+    return { owner, lamports, before, existing };
+  }));
+
+  const existingAccounts = new Set(snapshots.flatMap(snapshot => snapshot.existing));
+  const tokenAddresses = snapshots.flatMap(snapshot => [...snapshot.before.keys()]);
+  const { value } = await connection.simulateTransaction(transaction, {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: 'confirmed',
+    accounts: { encoding: 'base64', addresses: [...owners, ...tokenAddresses] },
+  });
+
+  if (value.err) {
+    const logs = value.logs ?? [];
+    logger.warn('Swap simulation failed', { err: value.err, logs: logs.slice(-10) });
+    const error = SwapErrors.SIMULATION_FAILED(`${JSON.stringify(value.err)}${logs.length ? ` (${logs.at(-1)})` : ''}`);
+    error.simulationError = value.err;
+    throw error;
+  }
+  if (!value.accounts) {
+    if (requireAccounts) {
+      throw SwapErrors.SIMULATION_FAILED('the RPC node returned no account state');
+    }
+    return { balances: null, existingAccounts, computeUnits: value.unitsConsumed ?? null };
+  }
+
+  const balances = new Map();
+  let position = owners.length;
+  snapshots.forEach(({ owner, lamports, before }, index) => {
+    const tokenDeltas = new Map();
+    for (const [address, prior] of before) {
+      const post = value.accounts[position++];
+      const after = post ? parseTokenAccount(Buffer.from(post.data[0], 'base64')) : null;
+      const mint = after?.mint ?? prior?.mint;
+      if (!mint) {
+        continue;
+      }
+
+      if (after && (after.owner !== owner || (after.hasDelegate && !prior?.hasDelegate))) {
+        throw SwapErrors.UNEXPECTED_ACCOUNT(`hands control of the wallet's ${symbolFor(mint) ?? mint} account to another account`);
+      }
+      const delta = (after?.amount ?? 0n) - (prior?.amount ?? 0n);
+      tokenDeltas.set(mint, (tokenDeltas.get(mint) ?? 0n) + delta);
+    }
+
+    const walletAfter = value.accounts[index];
+    balances.set(owner, {
+      lamportDelta: BigInt(walletAfter?.lamports ?? 0) - BigInt(lamports),
+      tokenDeltas,
+    });
+  });
+
+  return {
+    balances,
+    existingAccounts,
+    computeUnits: value.unitsConsumed ?? null,
+  };
+}
+
+/**
+ * Check a swap transaction and describe what it will do
+ * @param {Object} params
+ * @param {string|VersionedTransaction} params.swapTransaction - Base64 (unsigned or signed) or decoded
+ * @param {Object} params.quote - Quote it was built from (inputMint, outputMint, inAmount, outAmount, otherAmountThreshold)
+ * @param {string} params.walletAddress - The only signer and fee payer allowed; it spends the input
+ * @param {string|null} params.destinationOwner - Wallet whose token account receives the output
+ *   (default walletAddress): the member's, when the app wallet swaps for them under a delegation
+ * @param {number|null} params.inputDecimals
+ * @param {number|null} params.outputDecimals
+ * @param {number} params.slippageBps - For the minimum output when the quote has no otherAmountThreshold
+ * @param {Object} params.programs - The provider's programs ({ programId: name }), on top of the core ones
+ * @param {boolean} params.settlesBalances - false for a provider whose transactions move no tokens (the mock)
+ * @param {boolean} params.checkPriceImpact - false when re-checking a quote that already passed
+ * @param {number} params.maxPriceImpactPct
+ * @param {Object} params.connection
+ * @param {Function} params.getPriceImpact - calculatePriceImpact's signature
+ * @returns {Promise<Object>} { walletAddress, destinationOwner, spends, receives, networkFee, newAccounts, programs, priceImpact, computeUnits, balancesChecked, checkedAt }
+ * @throws {SwapError} SIMULATION_FAILED, UNEXPECTED_PROGRAM, UNEXPECTED_ACCOUNT, BALANCE_MISMATCH, PRICE_IMPACT_TOO_HIGH
+ */
+export async function inspectSwapTransaction({
+  swapTransaction,
+  quote,
+  walletAddress,
+  destinationOwner = null,
+  inputDecimals = null,
+  outputDecimals = null,
+  slippageBps = 0,
+  programs = {},
+  settlesBalances = true,
+  checkPriceImpact = true,
+  maxPriceImpactPct = GUARDRAIL_CONFIG.MAX_PRICE_IMPACT_PCT,
+  connection = getSolanaConnection(),
+  getPriceImpact = calculatePriceImpact,
+}) {
+  const transaction = decodeTransaction(swapTransaction);
+  const { inputMint, outputMint } = quote;
+  const inAmount = BigInt(quote.inAmount);
+  const outAmount = BigInt(quote.outAmount);
+  const minOutAmount = quote.otherAmountThreshold
+    ? BigInt(quote.otherAmountThreshold)
+    : (outAmount * BigInt(10000 - slippageBps)) / 10000n;
+
+  const recipient = destinationOwner ?? walletAddress;
+  const delivered = recipient !== walletAddress;
+
+  const instructions = checkInstructions(transaction, walletAddress, recipient, { ...CORE_PROGRAMS, ...programs });
+
+  let priceImpact = null;
+  if (checkPriceImpact && inputDecimals !== null && outputDecimals !== null) {
+    const impact = await getPriceImpact(inputMint, outputMint, Number(inAmount), Number(outAmount), inputDecimals, outputDecimals);
+    priceImpact = { pct: impact.impact, description: impact.description, maxPct: maxPriceImpactPct };
+    // calculatePriceImpact is negative when the trade returns less than the oracle price
+    if (impact.description !== 'Unknown' && -impact.impact > maxPriceImpactPct) {
+      throw SwapErrors.PRICE_IMPACT_TOO_HIGH(Math.abs(impact.impact), maxPriceImpactPct);
+    }
+  }
+
+  const owners = delivered ? [walletAddress, recipient] : [walletAddress];
+  const simulated = await simulateBalances(connection, transaction, owners, [inputMint, outputMint].filter(mint => !isNativeSOL(mint)), {
+    requireAccounts: settlesBalances,
+  });
+
+  // Providers create accounts idempotently; only missing ones cost rent
+  const newAccounts = instructions.newAccounts.filter(account => !simulated.existingAccounts.has(account.address));
+
+  // Fees and rent for new accounts come out of the wallet's SOL on top of the swap
+  const overheadLamports = BigInt(instructions.networkFee.maxTotalLamports)
+    + BigInt(GUARDRAIL_CONFIG.TOKEN_ACCOUNT_RENT_LAMPORTS * newAccounts.length);
+
+  let receivedRaw = null;
+  if (settlesBalances) {
+    // Wrapped SOL counts as SOL
+    const solDeltaOf = ({ lamportDelta, tokenDeltas }) => lamportDelta + (tokenDeltas.get(TOKEN_MINTS.SOL.mint) ?? 0n);
+    const payer = simulated.balances.get(walletAddress);
+    const payee = simulated.balances.get(recipient);
+    const solDelta = solDeltaOf(payer);
+
+    const spentRaw = isNativeSOL(inputMint) ? -solDelta - overheadLamports : -(payer.tokenDeltas.get(inputMint) ?? 0n);
+    if (spentRaw > inAmount) {
+      throw SwapErrors.BALANCE_MISMATCH(`spends ${spentRaw} of ${symbolFor(inputMint) ?? inputMint}, more than the quoted ${inAmount}`);
+    }
+
+    if (!isNativeSOL(outputMint)) {
+      receivedRaw = payee.tokenDeltas.get(outputMint) ?? 0n;
+    } else {
+      receivedRaw = delivered ? solDeltaOf(payee) : solDelta + overheadLamports;
+    }
+    if (receivedRaw < minOutAmount) {
+      throw SwapErrors.BALANCE_MISMATCH(`receives ${receivedRaw} of ${symbolFor(outputMint) ?? outputMint}, under the quote's minimum of ${minOutAmount}`);
+    }
+
+    if (!isNativeSOL(inputMint) && (delivered || !isNativeSOL(outputMint)) && -solDelta > overheadLamports) {
+      throw SwapErrors.BALANCE_MISMATCH(`costs ${-solDelta} lamports, more than its fees and account rent (${overheadLamports})`);
+    }
+
+    for (const [mint, delta] of payer.tokenDeltas) {
+      if (delta !== 0n && ![inputMint, outputMint, TOKEN_MINTS.SOL.mint].includes(mint)) {
+        throw SwapErrors.UNEXPECTED_ACCOUNT(`changes the wallet's ${symbolFor(mint) ?? mint} balance`);
+      }
+    }
+    // The member only receives the output: nothing else of theirs may move
+    if (delivered) {
+      const outputMints = isNativeSOL(outputMint) ? [TOKEN_MINTS.SOL.mint] : [outputMint];
+      for (const [mint, delta] of payee.tokenDeltas) {
+        if (delta !== 0n && !(outputMints.includes(mint) && delta > 0n)) {
+          throw SwapErrors.UNEXPECTED_ACCOUNT(`changes the member's ${symbolFor(mint) ?? mint} balance`);
+        }
+      }
+      if (payee.lamportDelta < 0n) {
+        throw SwapErrors.UNEXPECTED_ACCOUNT('takes SOL from the member\'s wallet');
+      }
+    }
+  }
+
+  return {
+    walletAddress,
+    destinationOwner: recipient,
+    spends: {
+      mint: inputMint,
+      symbol: symbolFor(inputMint),
+      amountRaw: inAmount.toString(),
+      amount: formatAmount(inAmount, inputDecimals),
+    },
+    receives: {
+      mint: outputMint,
+      symbol: symbolFor(outputMint),
+      expectedAmountRaw: outAmount.toString(),
+      expectedAmount: formatAmount(outAmount, outputDecimals),
+      minimumAmountRaw: minOutAmount.toString(),
+      minimumAmount: formatAmount(minOutAmount, outputDecimals),
+      simulatedAmountRaw: receivedRaw?.toString() ?? null,
+    },
+    networkFee: {
+      ...instructions.networkFee,
+      maxTotalSol: fromSmallestUnits(instructions.networkFee.maxTotalLamports, TOKEN_MINTS.SOL.decimals),
+    },
+    newAccounts: newAccounts.map(account => ({
+      ...account,
+      symbol: symbolFor(account.mint),
+      rentLamports: GUARDRAIL_CONFIG.TOKEN_ACCOUNT_RENT_LAMPORTS,
+    })),
+    programs: instructions.programs,
+    priceImpact,
+    computeUnits: simulated.computeUnits,
+    balancesChecked: settlesBalances,
+    checkedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * lib/swap-provider.js
+ * Swap provider selection and the swap helpers the rest of the app calls
+ *
+ * A provider is `{ name, programs, getQuote(inputMint, outputMint, amount, slippageBps),
+ * getSwapTransaction(quoteResponse, userPublicKey, slippageBps, options) }`,
+ * where `programs` maps the program IDs its transactions call to a name (see
+ * lib/swap-guardrails.js) and `settlesBalances: false` marks transactions that
+ * move no tokens.
+ * Quotes are Jupiter-shaped (inAmount, outAmount, otherAmountThreshold,
+ * priceImpactPct, routePlan) and swap transactions are
+ * `{ swapTransaction, lastValidBlockHeight }` with an unsigned, base64
+ * versioned transaction. Failures are SwapErrors (NO_ROUTE_FOUND,
+ * RATE_LIMITED, ...).
+ *
+ * SWAP_PROVIDER picks the provider:
+ * - jupiter (default): the Jupiter API at JUPITER_API_URL
+ * - mock: the local mock Jupiter server (scripts/jupiter-mock.js) at JUPITER_MOCK_URL
+ */
+
+import { logger } from './logger.js';
+import { TOKEN_MINTS, toSmallestUnits } from './tokens.js';
+import { createJupiterSwapProvider } from './jupiter.js';
+
+const DEFAULT_MOCK_URL = 'http://127.0.0.1:8788';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const ROUTE_CACHE_TTL_MS = 10 * 60 * 1000;
+const NO_ROUTE_CODES = ['NO_ROUTE_FOUND', 'TOKEN_NOT_TRADABLE', 'AMOUNT_TOO_LARGE'];
+
+const routeCache = new Map(); // `${outputMint}:${amountUsdc}` → checkedAt
+
+let activeProvider = null;
+
+/**
+ * Build a swap provider by name
+ * @param {string} name - jupiter or mock
+ * @returns {Object} SwapProvider
+ */
+export function createSwapProvider(name) {
+  switch (name) {
+    case 'jupiter':
+      return createJupiterSwapProvider();
+    case 'mock':
+      return {
+        ...createJupiterSwapProvider({ apiUrl: process.env.JUPITER_MOCK_URL || DEFAULT_MOCK_URL }),
+        name: 'mock',
+        // The mock's swaps are memos: nothing changes hands
+        programs: { [MEMO_PROGRAM_ID]: 'Memo (mock swap)' },
+        settlesBalances: false,
+      };
+    default:
+      throw new Error(`Unknown swap provider: ${name}`);
+  }
+}
+
+/**
+ * The provider swaps go through (SWAP_PROVIDER, default jupiter)
+ * @returns {Object} SwapProvider
+ */
+export function getSwapProvider() {
+  if (!activeProvider) {
+    activeProvider = createSwapProvider(process.env.SWAP_PROVIDER || 'jupiter');
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider, e.g. from a test harness
+ * @param {Object|null} provider - SwapProvider, or null to go back to SWAP_PROVIDER
+ */
+export function setSwapProvider(provider) {
+  activeProvider = provider;
+  routeCache.clear();
+}
+
+/**
+ * Get a swap quote from the active provider
+ * @param {string} inputMint - Input token mint address
+ * @param {string} outputMint - Output token mint address
+ * @param {number|string|bigint} amount - Amount in smallest units
+ * @param {number} slippageBps - Slippage tolerance in basis points
+ * @returns {Promise<Object>} Quote response
+ */
+export function getSwapQuote(inputMint, outputMint, amount, slippageBps) {
+  return getSwapProvider().getQuote(inputMint, outputMint, amount, slippageBps);
+}
+
+/**
+ * Build an unsigned swap transaction for a quote with the active provider
+ * @param {Object} quoteResponse - Quote from getSwapQuote
+ * @param {string} userPublicKey - Wallet that signs the swap
+ * @param {number} slippageBps - Slippage tolerance in basis points
+ * @param {Object} options - { destinationTokenAccount, priorityFee }
+ * @returns {Promise<Object>} { swapTransaction, lastValidBlockHeight }
+ */
+export function getSwapTransaction(quoteResponse, userPublicKey, slippageBps, options) {
+  return getSwapProvider().getSwapTransaction(quoteResponse, userPublicKey, slippageBps, options);
+}
+
+/**
+ * Check that the active provider can route USDC into a token
+ * Only a definite "no route" answer is false; the provider being unreachable
+ * is reported as null so callers can decide whether to proceed.
+ * @param {string} outputMint - Output token mint address
+ * @param {number} amountUsdc - Input amount in USDC
+ * @returns {Promise<boolean|null>}
+ */
+export async function checkSwapRoute(outputMint, amountUsdc) {
+  const cacheKey = `${outputMint}:${amountUsdc}`;
+  const checkedAt = routeCache.get(cacheKey);
+  if (checkedAt && Date.now() - checkedAt < ROUTE_CACHE_TTL_MS) {
+    return true;
+  }
+
+  try {
+    await getSwapQuote(TOKEN_MINTS.USDC.mint, outputMint, toSmallestUnits(amountUsdc, TOKEN_MINTS.USDC.decimals));
+    routeCache.set(cacheKey, Date.now());
+    return true;
+  } catch (error) {
+    if (NO_ROUTE_CODES.includes(error.code)) {
+      return false;
+    }
+    logger.warn('Swap route check unavailable', { outputMint, amountUsdc, error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * lib/swap-routing.js
+ * Direct and two-hop (input → SOL → goal coin) swap routes
+ *
+ * A thin direct market can fill worse than two deep ones, so an AUTO quote
+ * prices both routes and takes the better output after network fees. A
+ * two-hop swap is two transactions under one batch, each its own SWAP leg:
+ * - leg 0 (INTERMEDIATE) buys SOL; it is never credited to the goal
+ * - leg 1 (FINAL) spends the SOL leg 0 delivered on the goal coin
+ * - leg 2 (RETURN) sells that SOL back for the input token instead, when the
+ *   member gives up on leg 1
+ */
+
+import { TOKEN_MINTS, isNativeSOL } from './tokens.js';
+import { ValidationError, SwapErrors } from './errors.js';
+
+export const ROUTE_MODES = ['DIRECT', 'AUTO', 'TWO_HOP'];
+
+export const HOPS = {
+  INTERMEDIATE: 'INTERMEDIATE',
+  FINAL: 'FINAL',
+  RETURN: 'RETURN',
+};
+
+export const HOP_LEGS = {
+  INTERMEDIATE: 0,
+  FINAL: 1,
+  RETURN: 2,
+};
+
+// Signature fee plus the default priority fee cap (lib/execution-policy.js)
+export const SWAP_FEE_LAMPORTS = 5000n + 10000n;
+
+// Quote errors that mean "not this way", as opposed to the provider being unavailable
+const NO_ROUTE_CODES = ['NO_ROUTE_FOUND', 'TOKEN_NOT_TRADABLE', 'AMOUNT_TOO_LARGE'];
+
+/**
+ * Normalize a requested route (direct, auto, two-hop; any case)
+ * @param {string|undefined} route
+ * @returns {string} One of ROUTE_MODES (DIRECT when not given)
+ */
+export function parseRouteMode(route) {
+  if (!route) {
+    return 'DIRECT';
+  }
+
+  const mode = String(route).toUpperCase().replace('-', '_');
+  if (!ROUTE_MODES.includes(mode)) {
+    throw new ValidationError(`route must be one of: direct, auto, two-hop (got ${route})`);
+  }
+  return mode;
+}
+
+async function tryRoute(quoteRoute) {
+  try {
+    return await quoteRoute();
+  } catch (error) {
+    if (NO_ROUTE_CODES.includes(error.code)) {
+      return { unavailable: error };
+    }
+    throw error;
+  }
+}
+
+function summarize(candidate, feeInOutputRaw) {
+  if (!candidate) {
+    return null;
+  }
+  if (candidate.unavailable) {
+    return { available: false, reason: candidate.unavailable.code };
+  }
+
+  return {
+    available: true,
+    outAmountRaw: candidate.outAmountRaw.toString(),
+    feeLamports: candidate.feeLamports.toString(),
+    netOutAmountRaw: feeInOutputRaw ? (candidate.outAmountRaw - feeInOutputRaw(candidate.feeLamports)).toString() : null,
+  };
+}
+
+/**
+ * Quote a swap by the requested route mode
+ * Both routes are priced on their expected output (outAmount). Network fees
+ * are converted into the output token at the quoted SOL → output rate; the
+ * AMM and platform fees are already out of each quote's outAmount. Ties go
+ * to the direct route, which has one transaction less to fail.
+ * @param {Object} params
+ * @param {string} params.inputMint
+ * @param {string} params.outputMint
+ * @param {bigint} params.amountRaw - Input amount in raw units
+ * @param {number} params.slippageBps
+ * @param {string} params.mode - DIRECT, AUTO or TWO_HOP
+ * @param {Function} params.getQuote - (inputMint, outputMint, amount, slippageBps) => Promise<Object>
+ * @returns {Promise<Object>} { route, legs, inAmount, outAmount, priceImpactPct, expiresAt, quoteId, comparison }
+ * @throws {SwapError} NO_ROUTE_FOUND when no requested route can be quoted
+ */
+export async function planSwapRoute({ inputMint, outputMint, amountRaw, slippageBps, mode = 'AUTO', getQuote }) {
+  const hopMint = TOKEN_MINTS.SOL.mint;
+  const canHop = !isNativeSOL(inputMint) && !isNativeSOL(outputMint);
+
+  if (mode === 'TWO_HOP' && !canHop) {
+    throw new ValidationError('A two-hop route goes through SOL, so neither side of the swap can be SOL');
+  }
+
+  const quoteLeg = async (legInput, legOutput, amount) => ({
+    ...await getQuote(legInput, legOutput, amount.toString(), slippageBps),
+    inputMint: legInput,
+    outputMint: legOutput,
+  });
+
+  // One at a time: the provider rate-limits bursts of quotes
+  const direct = mode === 'TWO_HOP' ? null : await tryRoute(async () => {
+    const quote = await quoteLeg(inputMint, outputMint, amountRaw);
+    return { route: 'DIRECT', legs: [quote], outAmountRaw: BigInt(quote.outAmount), feeLamports: SWAP_FEE_LAMPORTS };
+  });
+  const twoHop = mode === 'DIRECT' || !canHop ? null : await tryRoute(async () => {
+    const first = await quoteLeg(inputMint, hopMint, amountRaw);
+    const second = await quoteLeg(hopMint, outputMint, first.outAmount);
+    return { route: 'TWO_HOP', legs: [first, second], outAmountRaw: BigInt(second.outAmount), feeLamports: 2n * SWAP_FEE_LAMPORTS };
+  });
+
+  // The second hop prices SOL in the output token
+  const rateLeg = twoHop && !twoHop.unavailable ? twoHop.legs[1] : null;
+  const feeInOutputRaw = rateLeg && BigInt(rateLeg.inAmount) > 0n
+    ? (lamports) => (lamports * BigInt(rateLeg.outAmount)) / BigInt(rateLeg.inAmount)
+    : null;
+
+  const candidates = [direct, twoHop].filter(candidate => candidate && !candidate.unavailable);
+  if (candidates.length === 0) {
+    throw (direct ?? twoHop)?.unavailable ?? SwapErrors.NO_ROUTE_FOUND();
+  }
+
+  const net = (candidate) => (feeInOutputRaw ? candidate.outAmountRaw - feeInOutputRaw(candidate.feeLamports) : candidate.outAmountRaw);
+  const best = candidates.reduce((winner, candidate) => (net(candidate) > net(winner) ? candidate : winner));
+
+  const expiries = best.legs.map(leg => leg.expiresAt).filter(Boolean).sort();
+
+  return {
+    route: best.route,
+    legs: best.legs,
+    inAmount: amountRaw.toString(),
+    outAmount: best.outAmountRaw.toString(),
+    priceImpactPct: best.legs.reduce((sum, leg) => sum + Number(leg.priceImpactPct || 0), 0).toString(),
+    expiresAt: expiries[0] ?? null,
+    quoteId: best.legs[0].quoteId,
+    comparison: {
+      direct: summarize(direct, feeInOutputRaw),
+      twoHop: summarize(twoHop, feeInOutputRaw),
+    },
+  };
+}
+
+/**
+ * What a two-hop batch's SOL can still be used for
+ * Available once leg 0 has confirmed, until the final leg is credited or the
+ * SOL is returned, and never while a later leg is waiting on the chain.
+ * @param {Array<Object>} swapLegs - The batch's SWAP transactions
+ * @returns {{actions: string[], amountRaw: string, walletOwnerId: string|null}|null}
+ */
+export function getHopRecovery(swapLegs) {
+  const intermediate = swapLegs.find(txn => txn.meta?.hop === HOPS.INTERMEDIATE);
+  if (!intermediate?.meta?.hopConfirmedAt) {
+    return null;
+  }
+
+  const laterLegs = swapLegs.filter(txn => txn.meta?.hop && txn.meta.hop !== HOPS.INTERMEDIATE);
+  if (laterLegs.some(txn => txn.meta.creditedAt || txn.meta.returnedAt || txn.meta.status === 'SUBMITTED')) {
+    return null;
+  }
+
+  return {
+    actions: ['retry', 'return'],
+    amountRaw: intermediate.meta.receivedAmountRaw,
+    walletOwnerId: intermediate.contributorId ?? null,
+  };
+}
@@ -0,0 +1,1320 @@
+/**
+ * lib/swap-service.js
+ * Swap orchestration shared by the swap and invest routes, the reconciler and the scheduler
+ *
+ * A single-coin swap moves its batch through five operations:
+ * - quote: price the swap (trimmed for EXACT goals), build its transaction and record it (QUOTED)
+ * - buildTransaction: set up the output token account, get the unsigned transaction
+ *   and check it (lib/swap-guardrails.js)
+ * - submit: check the signed transaction again, send it and record the leg (SWAP_SUBMITTED)
+ * - confirm: wait for the signature; on-chain failures become SwapErrors
+ * - finalize: confirm the batch and credit the goal in one database transaction (SWAP_CONFIRMED)
+ * fail and retryWithHigherSlippage cover the two ways out of a failed swap.
+ *
+ * A two-hop swap (lib/swap-routing.js) runs the same operations once per leg.
+ * Between the legs the batch stays SWAP_SUBMITTED: completeHop records the
+ * SOL the first leg delivered, quoteHop quotes spending it on the goal coin
+ * (or selling it back, for recovery) and settleReturn closes a batch whose
+ * SOL went back to the input token.
+ *
+ * Scheduled buys (lib/scheduler.js) record their own quote and send a
+ * locally signed swap through buildTransaction, submit, confirm and finalize;
+ * a basket buy does so once per component, finalizing each leg without
+ * confirming the batch until the last one. Swaps under a delegation are
+ * built, signed and sent by the app wallet in lib/delegation.js and only
+ * finalized here.
+ *
+ * The Solana connection, swap provider, notifier, pricing and token account
+ * setup are injected so the service can run against fakes
+ * (scripts/test-swap-service.js); swapService is wired to the app's.
+ */
+
+import { VersionedTransaction } from '@solana/web3.js';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { SwapErrors, SwapError, ValidationError, BatchErrors } from './errors.js';
+import { getSwapProvider } from './swap-provider.js';
+import { getSolanaConnection, checkATAExists, createATAWithAppWallet, isToken2022 } from './solana.js';
+import { TOKEN_MINTS, getGoalTokenMint, fromSmallestUnits, getNetwork, isNativeSOL } from './tokens.js';
+import { getBatch, transitionBatch } from './investment-batch.js';
+import { creditGoalSwap } from './basket.js';
+import { capFinalContribution } from './goal-overflow.js';
+import { sendInvestmentNotification } from './notifications.js';
+import { getSwapCostUsd } from './cost-basis.js';
+import { planSwapRoute, getHopRecovery, HOPS, HOP_LEGS } from './swap-routing.js';
+import { SLIPPAGE_CONFIG, quoteWithPolicy, recordExecutionPolicy } from './execution-policy.js';
+import { inspectSwapTransaction } from './swap-guardrails.js';
+
+export { SLIPPAGE_CONFIG };
+
+export const MAX_SLIPPAGE_RETRIES = 2;
+
+const QUOTE_CLOCK_SKEW_MS = 8000;
+const QUOTE_GRACE_PERIOD_MS = 10000;
+const DEFAULT_CONFIRM_WAIT_MS = 30000;
+const POLL_INITIAL_BACKOFF_MS = 1000;
+const POLL_MAX_BACKOFF_MS = 4000;
+
+// Jupiter program errors raised when the price moved past the slippage tolerance
+const SLIPPAGE_ERROR_CODES = [6001, 6017, 6025];
+const SLIPPAGE_ERROR_PATTERN = /6001|6017|6025|0x1771|0x1781|0x1789/;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calculate next slippage level for retry attempts
+ * Progression: 50 bps (0.5%) → 100 bps (1%) → 150 bps (1.5%) → 200 bps (2% max)
+ * @param {number} currentSlippageBps - Current slippage in basis points
+ * @returns {number|null} Next slippage level in bps, or null if max reached
+ */
+export function calculateNextSlippage(currentSlippageBps) {
+  const current = currentSlippageBps || SLIPPAGE_CONFIG.DEFAULT;
+
+  if (current < 50) {
+    return 50; // Start at default if below
+  } else if (current < 100) {
+    return 100; // 0.5% → 1%
+  } else if (current < 150) {
+    return 150; // 1% → 1.5%
+  } else if (current < SLIPPAGE_CONFIG.MAX_ALLOWED) {
+    return SLIPPAGE_CONFIG.MAX_ALLOWED; // 1.5% → 2% (max)
+  } else {
+    return null; // Max reached
+  }
+}
+
+/**
+ * Where a quote stands against its expiry
+ * - live: more than the clock-skew allowance left
+ * - expiring: inside the allowance, still worth submitting
+ * - grace: expired moments ago, worth re-quoting automatically
+ * - expired: too old to do anything but request a new quote
+ * @param {string|null} expiresAt - Quote expiry (ISO)
+ * @param {number} now - Epoch ms
+ * @returns {{status: string, expiredMs: number}}
+ */
+export function checkQuoteExpiry(expiresAt, now = Date.now()) {
+  if (!expiresAt) {
+    return { status: 'live', expiredMs: 0 };
+  }
+
+  const expiredMs = now - new Date(expiresAt).getTime();
+  if (expiredMs >= QUOTE_GRACE_PERIOD_MS) {
+    return { status: 'expired', expiredMs };
+  }
+  if (expiredMs > 0) {
+    return { status: 'grace', expiredMs };
+  }
+  if (-expiredMs < QUOTE_CLOCK_SKEW_MS) {
+    return { status: 'expiring', expiredMs };
+  }
+  return { status: 'live', expiredMs };
+}
+
+/**
+ * Map a swap's on-chain error (confirmTransaction / getSignatureStatus `err`) to a SwapError
+ * @param {Object} err - Transaction error, e.g. `{ InstructionError: [2, { Custom: 6001 }] }`
+ * @returns {SwapError} SLIPPAGE_EXCEEDED or SWAP_EXECUTION_FAILED
+ */
+export function parseSwapFailure(err) {
+  const errorStr = JSON.stringify(err);
+  const [instructionIndex, detail] = Array.isArray(err?.InstructionError) ? err.InstructionError : [null, null];
+  const programErrorCode = detail?.Custom ?? null;
+
+  if (SLIPPAGE_ERROR_CODES.includes(programErrorCode) || SLIPPAGE_ERROR_PATTERN.test(errorStr)) {
+    return SwapErrors.SLIPPAGE_EXCEEDED(null);
+  }
+
+  return SwapErrors.SWAP_EXECUTION_FAILED(
+    `Transaction failed on-chain. ${programErrorCode !== null ? `Jupiter error code: ${programErrorCode}. ` : ''}${instructionIndex !== null ? `Failed at instruction #${instructionIndex}. ` : ''}This may be due to slippage, insufficient liquidity, or price movement.`
+  );
+}
+
+/**
+ * Tell a SwapError worth a slippage re-quote from other failures
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isSlippageError(error) {
+  return error instanceof SwapError && error.code === 'SLIPPAGE_EXCEEDED';
+}
+
+/**
+ * Decode a signed swap from the browser
+ * Signed transactions are submitted as-is: refreshing the blockhash would
+ * invalidate the signature, so an expired one is re-quoted instead.
+ */
+function decodeSignedTransaction(signedTransaction) {
+  if (!signedTransaction || typeof signedTransaction !== 'string') {
+    throw new ValidationError('Invalid signed transaction: must be a base64 string');
+  }
+
+  if (!/^[A-Za-z0-9+/=]+$/.test(signedTransaction)) {
+    throw new ValidationError('swapTransaction is not valid base64');
+  }
+
+  const buffer = Buffer.from(signedTransaction, 'base64');
+  if (buffer.length === 0) {
+    throw new ValidationError('Invalid signed transaction: empty buffer');
+  }
+
+  try {
+    return { buffer, transaction: VersionedTransaction.deserialize(buffer) };
+  } catch (error) {
+    throw new ValidationError(
+      `Transaction deserialization failed: ${error.message}. ` +
+      `This usually means the transaction string was corrupted or truncated. ` +
+      `Length: ${signedTransaction.length} chars, Buffer: ${buffer.length} bytes.`
+    );
+  }
+}
+
+function mapSubmitError(error) {
+  const message = error.message || '';
+
+  if (message.includes('blockhash') || message.includes('not found') || message.includes('expired')) {
+    return new ValidationError(`Transaction blockhash expired: ${message}. Please try again with a fresh transaction.`);
+  }
+  if (message.includes('insufficient') || message.includes('balance')) {
+    return SwapErrors.INSUFFICIENT_BALANCE();
+  }
+  // An RPC node that simulates on receipt rejects the swap before it lands
+  if (message.includes('slippage') || SLIPPAGE_ERROR_PATTERN.test(message)) {
+    return SwapErrors.SLIPPAGE_EXCEEDED();
+  }
+  return new Error(`Transaction submission failed: ${message || 'Unknown error'}`);
+}
+
+function isBlockHeightExceeded(error) {
+  const text = `${error?.name} ${error?.message}`.toLowerCase();
+  return text.includes('transactionexpiredblockheightexceedederror') ||
+    text.includes('block height exceeded') ||
+    text.includes('expired');
+}
+
+/**
+ * Create the wallet's token account for the swap output, paid by the app wallet
+ * Jupiter adds the account to the swap when it is missing, so this only spares
+ * the member the rent.
+ * @returns {Promise<{signature: string, address: string}|null>} null when nothing was created
+ */
+async function ensureOutputTokenAccount(mint, walletAddress) {
+  if (isNativeSOL(mint)) {
+    return null;
+  }
+
+  const token2022 = await isToken2022(mint);
+  const { exists, address } = await checkATAExists(mint, walletAddress, token2022);
+  if (exists) {
+    return null;
+  }
+
+  const { signature, alreadyExists } = await createATAWithAppWallet(mint, walletAddress, token2022);
+  return alreadyExists ? null : { signature, address: address.toBase58() };
+}
+
+function recordNetwork() {
+  return getNetwork() === 'devnet' ? 'DEVNET' : 'MAINNET';
+}
+
+function findSwapLeg(batchId, leg = 0, client = prisma) {
+  return client.transaction.findUnique({
+    where: {
+      batchId_type_leg: {
+        batchId,
+        type: 'SWAP',
+        leg,
+      },
+    },
+  });
+}
+
+/**
+ * Raw amounts of a quote, recorded on its leg when it is quoted
+ * submit checks and records the signed swap against these rather than the
+ * client's copy of the quote.
+ */
+function recordedAmounts(quote) {
+  return {
+    inputAmountRaw: quote.inAmount,
+    quoteOutAmountRaw: quote.outAmount,
+    minOutAmountRaw: quote.otherAmountThreshold ?? quote.outAmount,
+  };
+}
+
+/**
+ * The quote a leg was recorded with
+ * @throws {SwapError} QUOTE_EXPIRED when the leg holds no quote, or another one than the client's
+ */
+function recordedQuote(leg, quoteResponse) {
+  const meta = leg?.meta;
+  if (!meta?.quoteOutAmountRaw || (quoteResponse.quoteId ?? null) !== (meta.quoteId ?? null)) {
+    throw SwapErrors.QUOTE_EXPIRED();
+  }
+  return {
+    quoteId: meta.quoteId,
+    expiresAt: meta.expiresAt,
+    inAmount: meta.inputAmountRaw,
+    outAmount: meta.quoteOutAmountRaw,
+    otherAmountThreshold: meta.minOutAmountRaw,
+    priceImpactPct: meta.priceImpactPct,
+    slippageBps: meta.slippageBps,
+  };
+}
+
+function findSwapLegs(batchId) {
+  return prisma.transaction.findMany({
+    where: { batchId, type: 'SWAP' },
+    orderBy: { leg: 'asc' },
+  });
+}
+
+/**
+ * SOL a confirmed swap paid into the wallet that signed it
+ * The signer is the fee payer (account 0), so its balance change plus the fee
+ * is what the swap delivered.
+ * @returns {Promise<bigint|null>} null when the transaction cannot be read
+ */
+async function readReceivedLamports(connection, signature, requestId) {
+  try {
+    const transaction = await connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+    const { preBalances, postBalances, fee } = transaction?.meta ?? {};
+    if (!preBalances || !postBalances) {
+      return null;
+    }
+
+    const received = BigInt(postBalances[0]) - BigInt(preBalances[0]) + BigInt(fee ?? 0);
+    return received > 0n ? received : null;
+  } catch (error) {
+    logger.warn('Failed to read the SOL a swap delivered', { signature, error: error.message, requestId });
+    return null;
+  }
+}
+
+/**
+ * Build a swap service
+ * @param {Object} deps
+ * @param {Object|null} deps.provider - SwapProvider (null: the active one from lib/swap-provider.js)
+ * @param {Function} deps.getConnection - () => Solana Connection
+ * @param {Function} deps.notify - (batchId, eventType, data) => Promise, see sendInvestmentNotification
+ * @param {Function} deps.getInputCost - ({ inputMint, inputAmountRaw }) => Promise<{costUsdRaw, inputPriceUsd}>
+ * @param {Function} deps.ensureTokenAccount - (mint, walletAddress) => Promise<Object|null>
+ * @param {Function} deps.inspectTransaction - Pre-trade checks, see inspectSwapTransaction
+ * @returns {Object} { quote, buildTransaction, submit, confirm, finalize, fail, retryWithHigherSlippage }
+ */
+export function createSwapService({
+  provider = null,
+  getConnection = getSolanaConnection,
+  notify = sendInvestmentNotification,
+  getInputCost = getSwapCostUsd,
+  ensureTokenAccount = ensureOutputTokenAccount,
+  inspectTransaction = inspectSwapTransaction,
+} = {}) {
+  const swapProvider = () => provider ?? getSwapProvider();
+
+  // The provider's programs and balance behaviour, for inspectTransaction
+  const providerChecks = () => ({
+    programs: swapProvider().programs ?? {},
+    settlesBalances: swapProvider().settlesBalances !== false,
+  });
+
+  /**
+   * Get the unsigned transaction for a quote, checked before it goes to the member
+   * Sets up the output token account first; when that fails the swap goes
+   * ahead and Jupiter creates the account inside it.
+   * @param {Object} params
+   * @param {Object} params.quote - Provider quote (inputMint/outputMint set)
+   * @param {string} params.walletAddress - Wallet that signs the swap
+   * @param {number} params.slippageBps
+   * @param {Object|null} params.priorityFee - { maxLamports, priorityLevel } (provider default when null)
+   * @param {number|null} params.inputDecimals
+   * @param {number|null} params.outputDecimals
+   * @param {string|null} params.requestId
+   * @returns {Promise<{swapTransaction: string, lastValidBlockHeight: number, preview: Object}>} preview: what the transaction will do
+   * @throws {SwapError} When the transaction fails a pre-trade check (lib/swap-guardrails.js)
+   */
+  async function buildTransaction({
+    quote,
+    walletAddress,
+    slippageBps = SLIPPAGE_CONFIG.DEFAULT,
+    priorityFee = null,
+    inputDecimals = null,
+    outputDecimals = null,
+    requestId = null,
+  }) {
+    try {
+      const created = await ensureTokenAccount(quote.outputMint, walletAddress);
+      if (created) {
+        logger.info('Output token account created by the app wallet', {
+          outputMint: quote.outputMint,
+          ...created,
+          requestId
+        });
+      }
+    } catch (error) {
+      logger.warn('Output token account setup failed, Jupiter will create it in the swap', {
+        error: error.message,
+        outputMint: quote.outputMint,
+        walletAddress,
+        requestId
+      });
+    }
+
+    const built = await swapProvider().getSwapTransaction(quote, walletAddress, slippageBps, priorityFee ? { priorityFee } : undefined);
+
+    const preview = await inspectTransaction({
+      swapTransaction: built.swapTransaction,
+      quote,
+      walletAddress,
+      inputDecimals,
+      outputDecimals,
+      slippageBps,
+      connection: getConnection(),
+      ...providerChecks(),
+    });
+    logger.info('Swap transaction passed pre-trade checks', {
+      quoteId: quote.quoteId,
+      minimumAmountRaw: preview.receives.minimumAmountRaw,
+      simulatedAmountRaw: preview.receives.simulatedAmountRaw,
+      requestId
+    });
+
+    return { ...built, preview };
+  }
+
+  /**
+   * Quote a goal's swap, build its transaction and record it on the batch
+   * Re-quoting updates the same SWAP legs, so the batch can move to QUOTED from
+   * ONRAMP_CONFIRMED, QUOTED, EXPIRED or FAILED. With route AUTO or TWO_HOP the
+   * route is planned by lib/swap-routing.js; a two-hop plan records both legs
+   * and returns the first leg's transaction.
+   * @param {Object} params
+   * @param {Object} params.goal - Goal row; an EXACT goal's final swap is trimmed to its target
+   * @param {string} params.batchId
+   * @param {Object|null} params.onramp - The batch's ONRAMP transaction
+   * @param {Object} params.inputToken - { mint, decimals } of the token sold
+   * @param {bigint} params.amountRaw - Input amount in the input token's raw units
+   * @param {number} params.slippageBps - Used when no execution policy is given
+   * @param {Object|null} params.executionPolicy - From prepareExecutionPolicy; sets the slippage
+   *   (sized to the quote's price impact) and priority fee, and is recorded on the batch
+   * @param {string} params.route - DIRECT, AUTO or TWO_HOP
+   * @param {string} params.walletAddress - Wallet that signs and pays for the swap
+   * @param {string} params.contributorId - Member the swap is recorded for
+   * @param {string|null} params.requestId
+   * @returns {Promise<Object>} { quote, swapTransaction, lastValidBlockHeight, preview, inputAmount, capped, route, legs, routeComparison, executionPolicy }
+   * @throws {SwapError} HOP_IN_PROGRESS once a two-hop swap's first leg has confirmed
+   */
+  async function quote({
+    goal,
+    batchId,
+    onramp = null,
+    inputToken,
+    amountRaw,
+    slippageBps: requestedSlippageBps = SLIPPAGE_CONFIG.DEFAULT,
+    executionPolicy = null,
+    route = 'DIRECT',
+    walletAddress,
+    contributorId,
+    requestId = null,
+  }) {
+    // Quotes use mainnet mints for Jupiter's liquidity
+    const outputToken = getGoalTokenMint(goal, 'mainnet');
+
+    // Re-quoting would overwrite the record of SOL already bought
+    const currentLeg = await findSwapLeg(batchId);
+    if (currentLeg?.meta?.hopConfirmedAt) {
+      throw SwapErrors.HOP_IN_PROGRESS();
+    }
+
+    const getQuote = (...args) => swapProvider().getQuote(...args);
+    const quoteAt = (atSlippageBps) => capFinalContribution(goal, {
+      amountRaw: BigInt(amountRaw),
+      getQuote: (raw) => (route === 'DIRECT'
+        ? getQuote(inputToken.mint, outputToken.mint, raw.toString(), atSlippageBps)
+        : planSwapRoute({
+            inputMint: inputToken.mint,
+            outputMint: outputToken.mint,
+            amountRaw: raw,
+            slippageBps: atSlippageBps,
+            mode: route,
+            getQuote,
+          })),
+    });
+
+    let policy = null;
+    let quoted;
+    if (executionPolicy) {
+      ({ result: quoted, policy } = await quoteWithPolicy(executionPolicy, quoteAt));
+    } else {
+      quoted = await quoteAt(requestedSlippageBps);
+    }
+    const { quote: planned, amountRaw: quotedAmountRaw, capped } = quoted;
+    const slippageBps = policy ? policy.slippage.slippageBps : requestedSlippageBps;
+    const priorityFee = policy?.priorityFee ?? null;
+
+    const twoHop = planned.route === 'TWO_HOP';
+    const quoteResponse = planned.legs ? planned.legs[0] : planned;
+    quoteResponse.inputMint = quoteResponse.inputMint || inputToken.mint;
+    quoteResponse.outputMint = quoteResponse.outputMint || outputToken.mint;
+    const legOutputToken = twoHop ? TOKEN_MINTS.SOL : outputToken;
+
+    const inputAmount = fromSmallestUnits(quotedAmountRaw, inputToken.decimals);
+    const outputAmount = fromSmallestUnits(planned.outAmount, outputToken.decimals);
+    const legOutputAmount = fromSmallestUnits(quoteResponse.outAmount, legOutputToken.decimals);
+
+    if (capped) {
+      logger.info('Final contribution capped at the goal target', {
+        goalId: goal.id,
+        cappedAmount: inputAmount,
+        batchId,
+        requestId
+      });
+    }
+
+    const swapData = await buildTransaction({
+      quote: quoteResponse,
+      walletAddress,
+      slippageBps,
+      priorityFee,
+      inputDecimals: inputToken.decimals,
+      outputDecimals: legOutputToken.decimals,
+      requestId,
+    });
+
+    const routeMeta = planned.route
+      ? { route: planned.route, routeMode: route, routeComparison: planned.comparison }
+      : {};
+    const meta = {
+      expiresAt: quoteResponse.expiresAt,
+      quoteId: quoteResponse.quoteId,
+      inputMint: inputToken.mint,
+      outputMint: legOutputToken.mint,
+      inputAmount,
+      inputDecimals: inputToken.decimals,
+      outputAmount: legOutputAmount,
+      ...recordedAmounts(quoteResponse),
+      priceImpactPct: quoteResponse.priceImpactPct,
+      slippageBps,
+      ...routeMeta,
+      ...(twoHop && {
+        hop: HOPS.INTERMEDIATE,
+        status: 'QUOTED',
+        expectedOutputAmount: outputAmount,
+      }),
+    };
+
+    const batch = await getBatch(batchId);
+
+    // The SOL leg never counts as holdings; the goal coin is recorded on the final leg
+    const firstLeg = {
+      tokenMint: legOutputToken.mint,
+      amountUsdRaw: twoHop ? null : onramp?.amountUsdRaw,
+      amountCryptoRaw: twoHop ? 0n : BigInt(quoteResponse.outAmount),
+      cryptoDecimals: legOutputToken.decimals,
+    };
+    await prisma.transaction.upsert({
+      where: {
+        batchId_type_leg: {
+          batchId,
+          type: 'SWAP',
+          leg: 0,
+        },
+      },
+      create: {
+        goalId: goal.id,
+        batchId,
+        type: 'SWAP',
+        provider: 'JUPITER',
+        network: recordNetwork(),
+        ...firstLeg,
+        contributorId,
+        meta,
+      },
+      update: currentLeg?.meta?.route === 'TWO_HOP' || twoHop ? { ...firstLeg, meta } : { meta },
+    });
+
+    if (twoHop) {
+      // Planned only: it is re-quoted for the SOL leg 0 actually delivers
+      const [, finalQuote] = planned.legs;
+      const finalLeg = {
+        tokenMint: outputToken.mint,
+        amountUsdRaw: onramp?.amountUsdRaw,
+        amountCryptoRaw: BigInt(finalQuote.outAmount),
+        cryptoDecimals: outputToken.decimals,
+        txnHash: null,
+        meta: {
+          quoteId: finalQuote.quoteId,
+          inputMint: TOKEN_MINTS.SOL.mint,
+          outputMint: outputToken.mint,
+          inputAmount: legOutputAmount,
+          inputDecimals: TOKEN_MINTS.SOL.decimals,
+          outputAmount,
+          priceImpactPct: finalQuote.priceImpactPct,
+          slippageBps,
+          route: 'TWO_HOP',
+          hop: HOPS.FINAL,
+          status: 'PLANNED',
+        },
+      };
+      await prisma.transaction.upsert({
+        where: {
+          batchId_type_leg: {
+            batchId,
+            type: 'SWAP',
+            leg: HOP_LEGS.FINAL,
+          },
+        },
+        create: {
+          goalId: goal.id,
+          batchId,
+          type: 'SWAP',
+          leg: HOP_LEGS.FINAL,
+          provider: 'JUPITER',
+          network: recordNetwork(),
+          contributorId,
+          ...finalLeg,
+        },
+        update: finalLeg,
+      });
+    } else if (currentLeg?.meta?.route === 'TWO_HOP') {
+      // An earlier two-hop plan for this batch lost out to the direct route
+      await prisma.transaction.deleteMany({
+        where: { batchId, type: 'SWAP', leg: { gt: 0 } },
+      });
+    }
+
+    await transitionBatch(batchId, 'QUOTED', {
+      reason: batch?.state === 'ONRAMP_CONFIRMED' ? 'Swap quoted' : `Swap re-quoted from ${batch?.state}`,
+      meta: {
+        quoteId: quoteResponse.quoteId,
+        expiresAt: quoteResponse.expiresAt,
+        slippageBps,
+        ...(planned.route && { route: planned.route }),
+      },
+    });
+    if (policy) {
+      await recordExecutionPolicy(batchId, policy);
+    }
+
+    const expiresIn = quoteResponse.expiresAt
+      ? Math.round((new Date(quoteResponse.expiresAt).getTime() - Date.now()) / 1000)
+      : 30;
+    await notify(batchId, 'QUOTED', {
+      inputAmount,
+      outputAmount,
+      goalCoin: goal.coin,
+      expiresIn,
+    });
+
+    logger.info('Swap quoted', {
+      batchId,
+      quoteId: quoteResponse.quoteId,
+      route: planned.route ?? 'DIRECT',
+      inAmount: quoteResponse.inAmount,
+      outAmount: planned.outAmount,
+      slippageBps,
+      lastValidBlockHeight: swapData.lastValidBlockHeight,
+      requestId
+    });
+
+    return {
+      quote: {
+        inAmount: quoteResponse.inAmount,
+        outAmount: quoteResponse.outAmount,
+        outputAmount: legOutputAmount,
+        inputMint: inputToken.mint,
+        outputMint: legOutputToken.mint,
+        priceImpactPct: quoteResponse.priceImpactPct,
+        slippageBps,
+        expiresAt: quoteResponse.expiresAt,
+        quoteId: quoteResponse.quoteId,
+        ...(planned.route && { leg: 0, route: planned.route }),
+      },
+      swapTransaction: swapData.swapTransaction,
+      lastValidBlockHeight: swapData.lastValidBlockHeight,
+      preview: swapData.preview,
+      inputAmount,
+      capped,
+      route: planned.route ?? 'DIRECT',
+      legs: twoHop
+        ? planned.legs.map((leg, index) => ({
+            leg: index,
+            hop: index === 0 ? HOPS.INTERMEDIATE : HOPS.FINAL,
+            inputMint: leg.inputMint,
+            outputMint: leg.outputMint,
+            inAmount: leg.inAmount,
+            outAmount: leg.outAmount,
+          }))
+        : null,
+      routeComparison: planned.comparison ?? null,
+      executionPolicy: policy,
+    };
+  }
+
+  /**
+   * Send a signed swap and record it on the batch (SWAP_SUBMITTED)
+   * The swap is sent with skipPreflight, so the signed transaction is
+   * simulated and checked here first: the member's wallet signed whatever the
+   * browser handed back. It is checked against the quote recorded on the leg
+   * when it was quoted, whose amounts are the ones recorded and credited.
+   * Nothing is recorded when the checks or sending fail: the caller chooses
+   * between retryWithHigherSlippage and fail.
+   * @param {Object} params
+   * @param {string} params.batchId
+   * @param {Object} params.goal - Goal row
+   * @param {string} params.signedTransaction - Base64 signed versioned transaction
+   * @param {Object} params.quoteResponse - Client's copy of the quote; only its quoteId is used
+   * @param {number|null} params.lastValidBlockHeight
+   * @param {Object|null} params.onramp - The batch's ONRAMP transaction
+   * @param {string} params.walletAddress - Wallet of the member submitting; it must sign and pay for the swap
+   * @param {string} params.contributorId - Member the swap is recorded for
+   * @param {number} params.leg - SWAP leg the transaction belongs to (two-hop swaps have several)
+   * @param {string|null} params.requestId
+   * @returns {Promise<{signature: string, blockhash: string|null, lastValidBlockHeight: number|null, swapTxn: Object}>}
+   * @throws {ValidationError|SwapError} Undecodable transaction, QUOTE_EXPIRED (also for a quote the leg does not
+   *   hold), INSUFFICIENT_BALANCE, SLIPPAGE_EXCEEDED, or a failed pre-trade check
+   */
+  async function submit({
+    batchId,
+    goal,
+    signedTransaction,
+    quoteResponse,
+    lastValidBlockHeight = null,
+    onramp = null,
+    walletAddress,
+    contributorId,
+    leg = 0,
+    requestId = null,
+  }) {
+    const { buffer, transaction } = decodeSignedTransaction(signedTransaction);
+    const blockhash = transaction.message.recentBlockhash || null;
+    const connection = getConnection();
+
+    // Past its last valid block height the transaction can only expire
+    if (lastValidBlockHeight) {
+      const blockHeight = await connection.getBlockHeight('confirmed').catch((error) => {
+        logger.warn('Failed to get current block height', { error: error.message, requestId });
+        return null;
+      });
+      if (blockHeight !== null && blockHeight > lastValidBlockHeight) {
+        throw SwapErrors.QUOTE_EXPIRED();
+      }
+    }
+
+    const existing = await findSwapLeg(batchId, leg);
+    const quoted = recordedQuote(existing, quoteResponse);
+    const inputMint = existing.meta.inputMint || onramp?.tokenMint;
+    const hop = existing.meta.hop ?? null;
+    // Hop and basket legs were recorded with their own output token when they were quoted
+    const outputToken = hop || existing.componentId
+      ? { mint: existing.tokenMint, decimals: existing.cryptoDecimals }
+      : getGoalTokenMint(goal);
+    const slippageBps = quoted.slippageBps || SLIPPAGE_CONFIG.DEFAULT;
+
+    try {
+      await inspectTransaction({
+        swapTransaction: transaction,
+        quote: { ...quoted, inputMint, outputMint: outputToken.mint },
+        walletAddress,
+        outputDecimals: outputToken.decimals,
+        slippageBps,
+        // Already checked against the oracle when it was quoted
+        checkPriceImpact: false,
+        connection,
+        ...providerChecks(),
+      });
+    } catch (error) {
+      logger.warn('Signed swap failed pre-trade checks', { error: error.message, code: error.code, batchId, leg, requestId });
+      // The price moved past the slippage since the quote: re-quote rather than fail
+      if (error.simulationError && isSlippageError(parseSwapFailure(error.simulationError))) {
+        throw SwapErrors.SLIPPAGE_EXCEEDED();
+      }
+      throw error;
+    }
+
+    let signature;
+    try {
+      signature = await connection.sendRawTransaction(buffer, {
+        skipPreflight: true,
+        maxRetries: 3,
+        preflightCommitment: 'confirmed',
+      });
+    } catch (error) {
+      logger.error('Failed to submit swap transaction', {
+        error: error.message,
+        errorName: error.name,
+        batchId,
+        requestId
+      });
+      throw mapSubmitError(error);
+    }
+
+    logger.info('Swap transaction submitted', { signature, blockhash, lastValidBlockHeight, batchId, leg, requestId });
+
+    // USD cost of the input at execution time (cost basis for P&L)
+    const { costUsdRaw, inputPriceUsd } = await getInputCost({
+      inputMint,
+      inputAmountRaw: quoted.inAmount,
+    });
+
+    const meta = {
+      expiresAt: quoted.expiresAt,
+      quoteId: quoted.quoteId,
+      onrampTransactionId: onramp?.id,
+      inputMint,
+      outputMint: outputToken.mint,
+      inputAmountRaw: quoted.inAmount,
+      quoteOutAmountRaw: quoted.outAmount,
+      quoteOutAmountDecimals: outputToken.decimals,
+      slippageBps,
+      originalSlippageBps: existing.meta.originalSlippageBps || slippageBps,
+      slippageRetryCount: existing.meta.slippageRetryCount || 0,
+      inputPriceUsd,
+      ...(hop && { status: 'SUBMITTED' }),
+    };
+
+    // Only the goal coin leg carries amount and cost: the aggregates sum every
+    // SWAP leg of a confirmed batch. The final leg's cost is what the batch's
+    // input cost when leg 0 sold it.
+    let amountCryptoRaw = BigInt(quoted.outAmount);
+    let legCostUsdRaw = costUsdRaw;
+    if (hop === HOPS.INTERMEDIATE || hop === HOPS.RETURN) {
+      amountCryptoRaw = 0n;
+      legCostUsdRaw = null;
+      if (hop === HOPS.INTERMEDIATE) {
+        meta.inputCostUsdRaw = costUsdRaw?.toString() ?? null;
+      }
+    } else if (hop === HOPS.FINAL) {
+      const intermediate = await findSwapLeg(batchId, HOP_LEGS.INTERMEDIATE);
+      const inputCostUsdRaw = intermediate?.meta?.inputCostUsdRaw;
+      legCostUsdRaw = inputCostUsdRaw ? BigInt(inputCostUsdRaw) : null;
+    }
+
+    // Recorded as soon as the signature exists so the reconciler can settle it
+    const swapTxn = await prisma.transaction.upsert({
+      where: {
+        batchId_type_leg: {
+          batchId,
+          type: 'SWAP',
+          leg,
+        },
+      },
+      create: {
+        goalId: goal.id,
+        batchId,
+        type: 'SWAP',
+        leg,
+        provider: 'JUPITER',
+        network: recordNetwork(),
+        txnHash: signature,
+        amountUsdRaw: onramp?.amountUsdRaw,
+        amountCryptoRaw,
+        cryptoDecimals: outputToken.decimals,
+        tokenMint: outputToken.mint,
+        costUsdRaw: legCostUsdRaw,
+        contributorId,
+        meta,
+      },
+      update: {
+        txnHash: signature,
+        amountCryptoRaw,
+        costUsdRaw: legCostUsdRaw,
+        contributorId,
+        meta: { ...existing.meta, ...meta },
+      },
+    });
+
+    // Between the hops the batch stays SWAP_SUBMITTED
+    const batch = await getBatch(batchId);
+    if (batch?.state !== 'SWAP_SUBMITTED') {
+      await transitionBatch(batchId, 'SWAP_SUBMITTED', {
+        reason: hop ? `Signed ${hop.toLowerCase()} swap leg submitted` : 'Signed swap submitted',
+        meta: { signature, quoteId: quoted.quoteId, ...(hop && { leg }) },
+      });
+
+      await notify(batchId, 'SWAP_SUBMITTED', {});
+    }
+
+    return { signature, blockhash, lastValidBlockHeight, swapTxn };
+  }
+
+  async function pollSignature(connection, signature, maxWaitMs, requestId) {
+    const deadline = Date.now() + maxWaitMs;
+    let backoffMs = POLL_INITIAL_BACKOFF_MS;
+
+    while (Date.now() < deadline) {
+      const status = await connection.getSignatureStatus(signature).catch((error) => {
+        logger.warn('Failed to get signature status', { signature, error: error.message, requestId });
+        return null;
+      });
+
+      if (status?.value?.err) {
+        throw parseSwapFailure(status.value.err);
+      }
+      if (['confirmed', 'finalized'].includes(status?.value?.confirmationStatus)) {
+        return true;
+      }
+
+      await wait(Math.min(backoffMs, Math.max(deadline - Date.now(), 0)));
+      backoffMs = Math.min(backoffMs * 2, POLL_MAX_BACKOFF_MS);
+    }
+
+    return false;
+  }
+
+  /**
+   * Wait for a submitted swap to confirm
+   * With its blockhash the wait ends when the transaction lands or its block
+   * height passes; with only a signature (the reconciler) the status is
+   * polled for up to maxWaitMs.
+   * @param {Object} params
+   * @param {string} params.signature
+   * @param {string|null} params.blockhash
+   * @param {number|null} params.lastValidBlockHeight
+   * @param {number} params.maxWaitMs - Polling budget without a blockhash
+   * @param {string|null} params.requestId
+   * @returns {Promise<boolean>} false when the signature is still pending
+   * @throws {SwapError} SLIPPAGE_EXCEEDED, SWAP_EXECUTION_FAILED or QUOTE_EXPIRED
+   */
+  async function confirm({ signature, blockhash = null, lastValidBlockHeight = null, maxWaitMs = DEFAULT_CONFIRM_WAIT_MS, requestId = null }) {
+    const connection = getConnection();
+
+    if (!blockhash || !lastValidBlockHeight) {
+      return await pollSignature(connection, signature, maxWaitMs, requestId);
+    }
+
+    let result;
+    try {
+      result = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+    } catch (error) {
+      if (isBlockHeightExceeded(error)) {
+        logger.warn('Swap transaction expired before confirming', { signature, error: error.message, requestId });
+        throw SwapErrors.QUOTE_EXPIRED();
+      }
+      logger.error('Swap confirmation failed', { signature, error: error.message, errorName: error.name, requestId });
+      throw new Error(`Transaction confirmation failed: ${error.message || 'Unknown error'}`);
+    }
+
+    if (result.value?.err) {
+      logger.error('Swap transaction failed on-chain', { signature, error: result.value.err, requestId });
+      throw parseSwapFailure(result.value.err);
+    }
+
+    logger.info('Swap transaction confirmed', { signature, requestId });
+    return true;
+  }
+
+  /**
+   * Confirm a submitted swap's batch and credit its goal in one database transaction
+   * @param {Object} params
+   * @param {Object} params.swapTxn - The SWAP leg (a basket leg credits its component)
+   * @param {bigint} params.amountRaw - Amount bought, in the leg's raw units
+   * @param {string} params.signature
+   * @param {string} params.goalCoin - Coin named in the notification
+   * @param {string} params.reason - Transition log reason
+   * @param {Object} params.meta - Extra fields stamped on the leg's meta
+   * @param {boolean} params.confirmBatch - false for a basket leg with legs still to send:
+   *   the leg is credited, the batch stays SWAP_SUBMITTED and nothing is notified
+   * @returns {Promise<Object>} { transaction, goal, progress, milestones, rolloverGoal, outputAmount }
+   * @throws {AppError} INVALID_BATCH_TRANSITION when the batch already left SWAP_SUBMITTED
+   */
+  async function finalize({ swapTxn, amountRaw, signature, goalCoin, reason = 'Swap confirmed on-chain', meta = {}, confirmBatch = true }) {
+    const credited = await prisma.$transaction(async (tx) => {
+      if (confirmBatch) {
+        await transitionBatch(swapTxn.batchId, 'SWAP_CONFIRMED', {
+          reason,
+          meta: { signature, transactionId: swapTxn.id },
+          from: ['SWAP_SUBMITTED'],
+          tx,
+        });
+      } else {
+        const batch = await getBatch(swapTxn.batchId, { tx });
+        if (batch?.state !== 'SWAP_SUBMITTED') {
+          throw BatchErrors.INVALID_TRANSITION(batch?.state, 'SWAP_CONFIRMED');
+        }
+      }
+
+      const current = await tx.transaction.findUnique({ where: { id: swapTxn.id } });
+      const transaction = await tx.transaction.update({
+        where: { id: swapTxn.id },
+        data: {
+          meta: {
+            ...current.meta,
+            ...meta,
+            ...(current.meta?.hop && { status: 'CONFIRMED' }),
+            creditedAt: new Date().toISOString(),
+          },
+        },
+      });
+
+      // Credits the goal (and basket component), records crossed milestones and completes it at the target
+      const result = await creditGoalSwap(tx, {
+        goalId: swapTxn.goalId,
+        componentId: swapTxn.componentId ?? null,
+        amountRaw,
+        batchId: swapTxn.batchId,
+      });
+
+      return { transaction, ...result };
+    });
+
+    const outputAmount = fromSmallestUnits(amountRaw, swapTxn.cryptoDecimals);
+    if (confirmBatch) {
+      await notify(swapTxn.batchId, 'SWAP_CONFIRMED', {
+        outputAmount,
+        goalCoin,
+        progressPercentage: credited.progress,
+        milestones: credited.milestones,
+      });
+    }
+
+    return { ...credited, outputAmount };
+  }
+
+  /**
+   * Record a confirmed first leg of a two-hop swap
+   * Nothing is credited: the batch stays SWAP_SUBMITTED and the leg keeps the
+   * SOL it delivered, which the final (or return) leg spends.
+   * @param {Object} params
+   * @param {Object} params.swapTxn - The INTERMEDIATE leg
+   * @param {string} params.signature
+   * @param {string|null} params.requestId
+   * @returns {Promise<{transaction: Object, receivedAmountRaw: bigint}>}
+   */
+  async function completeHop({ swapTxn, signature, requestId = null }) {
+    const current = await prisma.transaction.findUnique({ where: { id: swapTxn.id } });
+    if (current.meta?.hopConfirmedAt) {
+      return { transaction: current, receivedAmountRaw: BigInt(current.meta.receivedAmountRaw) };
+    }
+
+    // Without the balance change, assume the least the quote allowed
+    const received = await readReceivedLamports(getConnection(), signature, requestId);
+    const receivedAmountRaw = received ?? BigInt(current.meta?.minOutAmountRaw ?? current.meta?.quoteOutAmountRaw);
+
+    const transaction = await prisma.transaction.update({
+      where: { id: swapTxn.id },
+      data: {
+        meta: {
+          ...current.meta,
+          status: 'CONFIRMED',
+          hopConfirmedAt: new Date().toISOString(),
+          receivedAmountRaw: receivedAmountRaw.toString(),
+          receivedAmountEstimated: received === null,
+        },
+      },
+    });
+
+    logger.info('First swap leg confirmed', {
+      batchId: swapTxn.batchId,
+      signature,
+      receivedAmountRaw: receivedAmountRaw.toString(),
+      requestId
+    });
+
+    return { transaction, receivedAmountRaw };
+  }
+
+  /**
+   * Quote spending a two-hop batch's SOL: on the goal coin (FINAL) or back
+   * into the input token (RETURN)
+   * Only the member whose wallet holds the SOL can spend it. The batch stays
+   * SWAP_SUBMITTED when the first leg just confirmed and goes back to QUOTED
+   * after a failed leg.
+   * @param {Object} params
+   * @param {string} params.batchId
+   * @param {Object} params.goal - Goal row
+   * @param {string} params.hop - FINAL or RETURN
+   * @param {number} params.slippageBps
+   * @param {string} params.walletAddress
+   * @param {string} params.contributorId
+   * @param {string|null} params.requestId
+   * @returns {Promise<Object>} { quote, swapTransaction, lastValidBlockHeight, preview, inputAmount }
+   * @throws {SwapError} HOP_NOT_RECOVERABLE when the SOL is not available to this member
+   */
+  async function quoteHop({
+    batchId,
+    goal,
+    hop,
+    slippageBps = SLIPPAGE_CONFIG.DEFAULT,
+    walletAddress,
+    contributorId,
+    requestId = null,
+  }) {
+    const legs = await findSwapLegs(batchId);
+    const recovery = getHopRecovery(legs);
+    if (!recovery) {
+      throw SwapErrors.HOP_NOT_RECOVERABLE('its SOL leg has not confirmed, or the SOL was already spent');
+    }
+    if (recovery.walletOwnerId && recovery.walletOwnerId !== contributorId) {
+      throw SwapErrors.HOP_NOT_RECOVERABLE('its SOL is in the wallet of the member who started it');
+    }
+
+    const intermediate = legs.find(txn => txn.meta?.hop === HOPS.INTERMEDIATE);
+    const leg = HOP_LEGS[hop];
+    const amountRaw = BigInt(recovery.amountRaw);
+    const inputToken = TOKEN_MINTS.SOL;
+    const outputToken = hop === HOPS.FINAL
+      ? getGoalTokenMint(goal, 'mainnet')
+      : { mint: intermediate.meta.inputMint, decimals: intermediate.meta.inputDecimals };
+
+    const getQuote = (raw) => swapProvider().getQuote(inputToken.mint, outputToken.mint, raw.toString(), slippageBps);
+    // Trimming to the target leaves the rest of the SOL in the member's wallet
+    const { quote: quoteResponse, amountRaw: quotedAmountRaw } = hop === HOPS.FINAL
+      ? await capFinalContribution(goal, { amountRaw, getQuote })
+      : { quote: await getQuote(amountRaw), amountRaw };
+    quoteResponse.inputMint = quoteResponse.inputMint || inputToken.mint;
+    quoteResponse.outputMint = quoteResponse.outputMint || outputToken.mint;
+
+    // Later legs pay the priority fee chosen when the batch was quoted
+    const batch = await getBatch(batchId);
+    const priorityFee = batch?.executionPolicy?.priorityFee ?? null;
+    const swapData = await buildTransaction({
+      quote: quoteResponse,
+      walletAddress,
+      slippageBps,
+      priorityFee,
+      inputDecimals: inputToken.decimals,
+      outputDecimals: outputToken.decimals,
+      requestId,
+    });
+
+    const inputAmount = fromSmallestUnits(quotedAmountRaw, inputToken.decimals);
+    const outputAmount = fromSmallestUnits(quoteResponse.outAmount, outputToken.decimals);
+    const existing = legs.find(txn => txn.leg === leg);
+    const record = {
+      tokenMint: outputToken.mint,
+      amountUsdRaw: hop === HOPS.FINAL ? existing?.amountUsdRaw ?? null : null,
+      amountCryptoRaw: hop === HOPS.FINAL ? BigInt(quoteResponse.outAmount) : 0n,
+      cryptoDecimals: outputToken.decimals,
+      txnHash: null,
+      meta: {
+        expiresAt: quoteResponse.expiresAt,
+        quoteId: quoteResponse.quoteId,
+        inputMint: inputToken.mint,
+        outputMint: outputToken.mint,
+        inputAmount,
+        inputDecimals: inputToken.decimals,
+        outputAmount,
+        ...recordedAmounts(quoteResponse),
+        priceImpactPct: quoteResponse.priceImpactPct,
+        slippageBps,
+        route: 'TWO_HOP',
+        hop,
+        status: 'QUOTED',
+        ...(existing?.txnHash && { previousTxnHash: existing.txnHash }),
+      },
+    };
+    await prisma.transaction.upsert({
+      where: {
+        batchId_type_leg: {
+          batchId,
+          type: 'SWAP',
+          leg,
+        },
+      },
+      create: {
+        goalId: goal.id,
+        batchId,
+        type: 'SWAP',
+        leg,
+        provider: 'JUPITER',
+        network: recordNetwork(),
+        contributorId,
+        ...record,
+      },
+      update: record,
+    });
+
+    if (batch?.state !== 'SWAP_SUBMITTED') {
+      await transitionBatch(batchId, 'QUOTED', {
+        reason: hop === HOPS.FINAL ? 'Final swap leg re-quoted' : 'Return of the SOL leg to the input token quoted',
+        meta: { quoteId: quoteResponse.quoteId, expiresAt: quoteResponse.expiresAt, slippageBps, leg },
+      });
+    }
+
+    logger.info('Swap leg quoted', {
+      batchId,
+      leg,
+      hop,
+      quoteId: quoteResponse.quoteId,
+      inAmount: quoteResponse.inAmount,
+      outAmount: quoteResponse.outAmount,
+      slippageBps,
+      requestId
+    });
+
+    return {
+      quote: {
+        inAmount: quoteResponse.inAmount,
+        outAmount: quoteResponse.outAmount,
+        outputAmount,
+        inputMint: inputToken.mint,
+        outputMint: outputToken.mint,
+        priceImpactPct: quoteResponse.priceImpactPct,
+        slippageBps,
+        expiresAt: quoteResponse.expiresAt,
+        quoteId: quoteResponse.quoteId,
+        leg,
+        hop,
+      },
+      swapTransaction: swapData.swapTransaction,
+      lastValidBlockHeight: swapData.lastValidBlockHeight,
+      preview: swapData.preview,
+      inputAmount,
+    };
+  }
+
+  /**
+   * Close a two-hop batch whose SOL was sold back for the input token
+   * The batch ends FAILED: the goal was never bought, but the member's funds
+   * are back where they started.
+   * @param {Object} params
+   * @param {Object} params.swapTxn - The RETURN leg
+   * @param {string} params.signature
+   * @returns {Promise<Object>} The updated leg
+   * @throws {AppError} INVALID_BATCH_TRANSITION when the batch already left SWAP_SUBMITTED
+   */
+  async function settleReturn({ swapTxn, signature }) {
+    const transaction = await prisma.$transaction(async (tx) => {
+      await transitionBatch(swapTxn.batchId, 'FAILED', {
+        reason: 'SOL returned to the input token',
+        meta: { signature, transactionId: swapTxn.id },
+        from: ['SWAP_SUBMITTED'],
+        tx,
+      });
+
+      const current = await tx.transaction.findUnique({ where: { id: swapTxn.id } });
+      return tx.transaction.update({
+        where: { id: swapTxn.id },
+        data: {
+          meta: {
+            ...current.meta,
+            status: 'CONFIRMED',
+            returnedAt: new Date().toISOString(),
+          },
+        },
+      });
+    });
+
+    await notify(swapTxn.batchId, 'FAILED', {
+      reason: `the goal coin was not bought and ${transaction.meta.outputAmount} USDC was returned to your wallet`,
+    });
+
+    return transaction;
+  }
+
+  /**
+   * Record a swap that will not complete: the error goes on the leg, the
+   * batch moves to FAILED and the member is notified
+   * @param {Object} params
+   * @param {string} params.batchId
+   * @param {Error} params.error
+   * @param {Object|null} params.swapTxn - Leg to annotate (default: the batch's SWAP leg `leg`)
+   * @param {number} params.leg
+   * @param {string|null} params.signature
+   * @param {string[]|null} params.from - Only fail from these states
+   * @param {Object} params.meta - Extra fields stamped on the leg's meta
+   */
+  async function fail({ batchId, error, swapTxn = null, leg = 0, signature = null, from = null, meta = {} }) {
+    const failedTxn = swapTxn ?? await findSwapLeg(batchId, leg);
+    if (failedTxn) {
+      await prisma.transaction.update({
+        where: { id: failedTxn.id },
+        data: {
+          meta: {
+            ...failedTxn.meta,
+            ...meta,
+            ...(failedTxn.meta?.hop && { status: 'FAILED' }),
+            error: error.message,
+            errorCode: error.code,
+          },
+        },
+      });
+    }
+
+    await transitionBatch(batchId, 'FAILED', {
+      reason: error.message,
+      meta: { errorCode: error.code, signature },
+      from,
+    });
+
+    await notify(batchId, 'FAILED', {
+      reason: error.message,
+    });
+  }
+
+  /**
+   * Re-quote a batch whose swap exceeded its slippage, one step up the ladder
+   * The batch goes FAILED → QUOTED and the leg counts the retries, up to
+   * MAX_SLIPPAGE_RETRIES and never past the member's maximum slippage.
+   * @param {Object} params
+   * @param {string} params.batchId
+   * @param {number} params.slippageBps - Slippage the failed swap was quoted with
+   * @param {string} params.stage - Where it failed (submission, confirmation), for the transition log
+   * @param {string|null} params.signature
+   * @param {Function} params.requote - (slippageBps) => Promise<Object> the caller's quote for this batch
+   * @param {number} params.leg - SWAP leg that exceeded its slippage
+   * @param {number|null} params.maxSlippageBps - Member's maximum (users.max_slippage_bps)
+   * @param {string|null} params.requestId
+   * @returns {Promise<Object|null>} The requote result with its slippageBps, or null when no retry is left
+   */
+  async function retryWithHigherSlippage({ batchId, slippageBps, stage, signature = null, requote, leg = 0, maxSlippageBps = null, requestId = null }) {
+    const swapTxn = await findSwapLeg(batchId, leg);
+    const retryCount = swapTxn?.meta?.slippageRetryCount || 0;
+    const nextSlippageBps = calculateNextSlippage(slippageBps);
+
+    if (retryCount >= MAX_SLIPPAGE_RETRIES || !nextSlippageBps || (maxSlippageBps !== null && nextSlippageBps > maxSlippageBps)) {
+      logger.warn('Slippage retries used up, not re-quoting', { batchId, leg, slippageBps, maxSlippageBps, retryCount, stage, requestId });
+      return null;
+    }
+
+    try {
+      // Fail the batch first so the re-quote moves FAILED → QUOTED
+      await transitionBatch(batchId, 'FAILED', {
+        reason: `Slippage exceeded during ${stage} - auto-requoting with increased slippage`,
+        meta: { errorCode: 'SLIPPAGE_EXCEEDED', signature, slippageBps },
+      });
+
+      const requoted = await requote(nextSlippageBps);
+
+      // The re-quote rewrote the leg's meta; carry the retry count over
+      const requotedTxn = await findSwapLeg(batchId, leg);
+      await prisma.transaction.update({
+        where: { id: requotedTxn.id },
+        data: {
+          meta: {
+            ...requotedTxn.meta,
+            slippageRetryCount: retryCount + 1,
+            originalSlippageBps: swapTxn?.meta?.originalSlippageBps || slippageBps,
+            currentSlippageBps: nextSlippageBps,
+            autoReQuoted: true,
+          },
+        },
+      });
+
+      logger.info('Re-quoted with increased slippage', { batchId, slippageBps, nextSlippageBps, stage, requestId });
+      return { ...requoted, slippageBps: nextSlippageBps };
+    } catch (error) {
+      logger.error('Re-quote with increased slippage failed', { batchId, stage, error: error.message, requestId });
+      return null;
+    }
+  }
+
+  return {
+    quote,
+    buildTransaction,
+    submit,
+    confirm,
+    finalize,
+    fail,
+    retryWithHigherSlippage,
+    completeHop,
+    quoteHop,
+    settleReturn,
+  };
+}
+
+export const swapService = createSwapService();
@@ -0,0 +1,240 @@
+/**
+ * Token registry
+ * Goals target any mint in the `tokens` table; the row supplies the symbol,
+ * decimals and per-token maxTarget. The migration seeds it with the popular
+ * tokens (lib/popular-tokens.js) and admins register more by mint.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { checkSwapRoute } from './swap-provider.js';
+import { isValidSolanaAddress } from './solana.js';
+import { TOKEN_MINTS } from './tokens.js';
+import { POPULAR_TOKENS } from './popular-tokens.js';
+import { GoalErrors, TokenErrors } from './errors.js';
+
+const JUPITER_API_BASE = process.env.JUPITER_API_URL || 'https://lite-api.jup.ag';
+const REGISTRY_TTL_MS = 60 * 1000;
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,12}$/;
+
+// Registration probes the route with the smallest contribution a goal allows
+const ROUTE_PROBE_USDC = 10;
+
+let registry = null; // { bySymbol, byMint, loadedAt }
+
+async function loadRegistry() {
+  if (registry && Date.now() - registry.loadedAt < REGISTRY_TTL_MS) {
+    return registry;
+  }
+
+  const tokens = await prisma.token.findMany({ orderBy: { symbol: 'asc' } });
+  registry = {
+    bySymbol: new Map(tokens.map(t => [t.symbol, t])),
+    byMint: new Map(tokens.map(t => [t.mint, t])),
+    loadedAt: Date.now(),
+  };
+  return registry;
+}
+
+/**
+ * Drop the cached registry (after writes)
+ */
+export function invalidateTokenRegistry() {
+  registry = null;
+}
+
+/**
+ * Shape a token row for API responses
+ * @param {Object} token - Token row
+ * @returns {Object}
+ */
+export function serializeToken(token) {
+  return {
+    mint: token.mint,
+    symbol: token.symbol,
+    name: token.name,
+    decimals: token.decimals,
+    maxTarget: token.maxTarget,
+    logoUri: token.logoUri,
+    enabled: token.enabled,
+  };
+}
+
+/**
+ * Look up a registered token by symbol or mint
+ * @param {string} symbolOrMint - Symbol (case-insensitive) or mint address
+ * @param {Object} options
+ * @param {boolean} options.includeDisabled - Also return disabled tokens (existing goals keep working)
+ * @returns {Promise<Object|null>} Token row or null
+ */
+export async function getRegisteredToken(symbolOrMint, { includeDisabled = false } = {}) {
+  if (!symbolOrMint || typeof symbolOrMint !== 'string') return null;
+
+  const { bySymbol, byMint } = await loadRegistry();
+  const token = byMint.get(symbolOrMint) || bySymbol.get(symbolOrMint.toUpperCase()) || null;
+
+  if (!token || (!token.enabled && !includeDisabled)) return null;
+  return token;
+}
+
+/**
+ * List registered tokens
+ * @param {Object} options
+ * @param {boolean} options.includeDisabled - Include disabled tokens
+ * @returns {Promise<Object[]>} Token rows sorted by symbol
+ */
+export async function listRegisteredTokens({ includeDisabled = false } = {}) {
+  const { bySymbol } = await loadRegistry();
+  return [...bySymbol.values()].filter(t => includeDisabled || t.enabled);
+}
+
+/**
+ * Resolve symbols to `{ symbol, mint }` for pricing
+ * Registered tokens first, then the popular list (USDC, USDT, ...).
+ * @param {string[]} symbols - Token symbols
+ * @returns {Promise<Array<{symbol: string, mint: string}>>}
+ * @throws {Error} When a symbol is neither registered nor popular
+ */
+export async function resolveTokenSymbols(symbols) {
+  const resolved = [];
+  for (const symbol of [...new Set(symbols.map(s => s.toUpperCase()))]) {
+    const token = (await getRegisteredToken(symbol, { includeDisabled: true })) || POPULAR_TOKENS[symbol];
+    if (!token) {
+      throw new Error(`Unsupported token: ${symbol}`);
+    }
+    resolved.push({ symbol, mint: token.mint });
+  }
+  return resolved;
+}
+
+/**
+ * Fetch symbol, name, decimals and icon for a mint from Jupiter's token list
+ * @param {string} mint - Mint address
+ * @returns {Promise<Object|null>}
+ */
+async function fetchJupiterTokenInfo(mint) {
+  try {
+    const response = await fetch(`${JUPITER_API_BASE}/tokens/v2/search?query=${encodeURIComponent(mint)}`);
+    if (!response.ok) return null;
+
+    const results = await response.json();
+    const token = Array.isArray(results) ? results.find(t => t.id === mint) : null;
+    return token
+      ? { symbol: token.symbol, name: token.name, decimals: token.decimals, logoUri: token.icon || null }
+      : null;
+  } catch (error) {
+    logger.warn('[TOKENS] Jupiter token lookup failed', { mint, error: error.message });
+    return null;
+  }
+}
+
+function validateMaxTarget(maxTarget) {
+  if (typeof maxTarget !== 'number' || !Number.isFinite(maxTarget) || maxTarget <= 0) {
+    throw TokenErrors.INVALID_TOKEN('maxTarget must be a positive number');
+  }
+}
+
+/**
+ * Register a mint so goals can target it
+ * Symbol, name and decimals default to Jupiter's token list; the mint must
+ * have a USDC route.
+ * @param {Object} params
+ * @param {string} params.mint - Mint address
+ * @param {number} params.maxTarget - Largest goal target allowed, in whole tokens
+ * @param {string} params.symbol - Optional symbol override
+ * @param {string} params.name - Optional name override
+ * @param {number} params.decimals - Optional decimals (required when Jupiter does not know the mint)
+ * @param {string} params.logoUri - Optional icon URL
+ * @param {string} params.requestId - Request ID for logging
+ * @returns {Promise<Object>} Created token row
+ */
+export async function registerToken({ mint, maxTarget, symbol, name, decimals, logoUri, requestId = null }) {
+  if (!mint || !isValidSolanaAddress(mint)) {
+    throw TokenErrors.INVALID_TOKEN('mint must be a valid Solana address');
+  }
+  if (mint === TOKEN_MINTS.USDC.mint) {
+    throw TokenErrors.INVALID_TOKEN('USDC funds goals and cannot be a goal token');
+  }
+  validateMaxTarget(maxTarget);
+
+  const info = await fetchJupiterTokenInfo(mint);
+  const token = {
+    mint,
+    symbol: (symbol ?? info?.symbol)?.toUpperCase(),
+    name: name ?? info?.name,
+    decimals: decimals ?? info?.decimals,
+    logoUri: logoUri ?? info?.logoUri ?? null,
+    maxTarget,
+  };
+
+  if (!token.symbol || !token.name || !Number.isInteger(token.decimals)) {
+    throw TokenErrors.TOKEN_METADATA_UNAVAILABLE(mint);
+  }
+  if (!SYMBOL_PATTERN.test(token.symbol)) {
+    throw TokenErrors.INVALID_TOKEN('symbol must be 1-12 letters or digits');
+  }
+  if (token.decimals < 0 || token.decimals > 18) {
+    throw TokenErrors.INVALID_TOKEN('decimals must be between 0 and 18');
+  }
+
+  const existing = await prisma.token.findFirst({
+    where: { OR: [{ mint }, { symbol: token.symbol }] },
+  });
+  if (existing) {
+    throw TokenErrors.TOKEN_ALREADY_REGISTERED(existing.mint === mint ? mint : token.symbol);
+  }
+
+  if ((await checkSwapRoute(mint, ROUTE_PROBE_USDC)) === false) {
+    throw GoalErrors.COIN_NOT_TRADABLE(token.symbol);
+  }
+
+  const created = await prisma.token.create({ data: token });
+  invalidateTokenRegistry();
+
+  logger.info('[TOKENS] Token registered', { mint, symbol: token.symbol, requestId });
+
+  return created;
+}
+
+/**
+ * Update a registered token's name, limits, icon or availability
+ * Symbol and decimals are fixed once goals may reference them.
+ * @param {string} mint - Mint address
+ * @param {Object} changes - { name, maxTarget, logoUri, enabled }
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} Updated token row
+ */
+export async function updateToken(mint, changes, requestId = null) {
+  const existing = await prisma.token.findUnique({ where: { mint } });
+  if (!existing) {
+    throw TokenErrors.TOKEN_NOT_FOUND(mint);
+  }
+
+  const data = {};
+  if (changes.name !== undefined) {
+    if (typeof changes.name !== 'string' || !changes.name.trim()) {
+      throw TokenErrors.INVALID_TOKEN('name must be a non-empty string');
+    }
+    data.name = changes.name.trim();
+  }
+  if (changes.maxTarget !== undefined) {
+    validateMaxTarget(changes.maxTarget);
+    data.maxTarget = changes.maxTarget;
+  }
+  if (changes.logoUri !== undefined) {
+    data.logoUri = changes.logoUri || null;
+  }
+  if (changes.enabled !== undefined) {
+    if (typeof changes.enabled !== 'boolean') {
+      throw TokenErrors.INVALID_TOKEN('enabled must be a boolean');
+    }
+    data.enabled = changes.enabled;
+  }
+
+  const updated = await prisma.token.update({ where: { mint }, data });
+  invalidateTokenRegistry();
+
+  logger.info('[TOKENS] Token updated', { mint, fields: Object.keys(data), requestId });
+
+  return updated;
+}
@@ -9,6 +9,8 @@
  * because Jupiter API provides accurate mainnet pricing even when testing.
  */
 
+import { toRawAmount, fromRawAmount } from './amount.js';
+
 // Native SOL mint address (same for mainnet and devnet)
 // Native SOL doesn't use token accounts - it's stored directly in wallet balances
 export const NATIVE_SOL_MINT = 'So11111111111111111111111111111111111111112';
@@ -116,6 +118,30 @@ export function getTokenMint(coinSymbol, network = null) {
   throw new Error(`Unsupported coin symbol: ${coinSymbol}`);
 }
 
+/**
+ * Get token mint info for a goal
+ * Goals carry their registry mint and decimals, so any registered token works.
+ * Only SOL exists on devnet.
+ * @param {Object} goal - Goal row (coin, tokenMint, amountDecimals)
+ * @param {string} network - Optional: 'devnet' or 'mainnet'. If not provided, uses current network.
+ * @returns {Object} { mint, decimals, symbol }
+ */
+export function getGoalTokenMint(goal, network = null) {
+  if (goal.tokenMint === NATIVE_SOL_MINT) {
+    return TOKEN_MINTS.SOL;
+  }
+
+  if ((network || getNetwork()) === 'devnet') {
+    throw new Error(`${goal.coin} is not supported on devnet`);
+  }
+
+  return {
+    mint: goal.tokenMint,
+    decimals: goal.amountDecimals,
+    symbol: goal.coin
+  };
+}
+
 /**
  * Check if coin symbol is supported for swaps
  */
@@ -126,16 +152,19 @@ export function isSupportedSwapCoin(coinSymbol) {
 
 /**
  * Convert human-readable amount to smallest units (lamports for SOL, decimals for tokens)
+ * Exact: parses the decimal digits instead of multiplying floats; extra digits are truncated.
+ * @returns {bigint}
  */
 export function toSmallestUnits(amount, decimals) {
-  return Math.floor(amount * Math.pow(10, decimals));
+  return toRawAmount(amount, decimals);
 }
 
 /**
  * Convert smallest units to human-readable amount
+ * @returns {number} For display; keep the raw value for accounting
  */
 export function fromSmallestUnits(amount, decimals) {
-  return amount / Math.pow(10, decimals);
+  return fromRawAmount(BigInt(amount), decimals);
 }
 
 /**
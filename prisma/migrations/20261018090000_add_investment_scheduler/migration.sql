@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "ScheduledRunStatus" AS ENUM ('RUNNING', 'AWAITING_SIGNATURE', 'SUBMITTED', 'SUCCEEDED', 'FAILED', 'SKIPPED');
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN     "next_run_at" TIMESTAMP(3),
+ADD COLUMN     "last_run_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "scheduled_runs" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "batch_id" TEXT,
+    "scheduled_for" TIMESTAMP(3) NOT NULL,
+    "status" "ScheduledRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "amount_usd" DOUBLE PRECISION NOT NULL,
+    "error" TEXT,
+    "meta" JSONB,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+
+    CONSTRAINT "scheduled_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "goals_status_next_run_at_idx" ON "goals"("status", "next_run_at");
+
+-- CreateIndex
+CREATE INDEX "scheduled_runs_goal_id_idx" ON "scheduled_runs"("goal_id");
+
+-- CreateIndex
+CREATE INDEX "scheduled_runs_status_idx" ON "scheduled_runs"("status");
+
+-- CreateIndex
+CREATE INDEX "scheduled_runs_scheduled_for_idx" ON "scheduled_runs"("scheduled_for");
+
+-- AddForeignKey
+ALTER TABLE "scheduled_runs" ADD CONSTRAINT "scheduled_runs_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: first scheduled run one interval after the migration for every ACTIVE goal
+UPDATE "goals"
+SET "next_run_at" = CASE "frequency"
+    WHEN 'DAILY' THEN CURRENT_TIMESTAMP + INTERVAL '1 day'
+    WHEN 'WEEKLY' THEN CURRENT_TIMESTAMP + INTERVAL '7 days'
+    WHEN 'MONTHLY' THEN CURRENT_TIMESTAMP + INTERVAL '1 month'
+END
+WHERE "status" = 'ACTIVE';
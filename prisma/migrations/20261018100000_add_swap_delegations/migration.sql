@@ -0,0 +1,67 @@
+-- CreateEnum
+CREATE TYPE "DelegationStatus" AS ENUM ('PENDING', 'ACTIVE', 'REVOKED', 'SUPERSEDED', 'EXPIRED', 'EXHAUSTED');
+
+-- CreateEnum
+CREATE TYPE "DelegatedExecutionStatus" AS ENUM ('PENDING', 'PULLED', 'SUBMITTED', 'SUCCEEDED', 'REFUNDED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "swap_delegations" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "delegate_address" TEXT NOT NULL,
+    "token_mint" TEXT NOT NULL,
+    "token_account" TEXT NOT NULL,
+    "amount_cap" DOUBLE PRECISION NOT NULL,
+    "amount_used" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "status" "DelegationStatus" NOT NULL DEFAULT 'PENDING',
+    "approve_signature" TEXT,
+    "revoke_signature" TEXT,
+    "activated_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "swap_delegations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "delegated_executions" (
+    "id" TEXT NOT NULL,
+    "delegation_id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "batch_id" TEXT NOT NULL,
+    "scheduled_run_id" TEXT,
+    "amount_usdc" DOUBLE PRECISION NOT NULL,
+    "status" "DelegatedExecutionStatus" NOT NULL DEFAULT 'PENDING',
+    "pull_signature" TEXT,
+    "swap_signature" TEXT,
+    "refund_signature" TEXT,
+    "error" TEXT,
+    "meta" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "delegated_executions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "swap_delegations_user_id_status_idx" ON "swap_delegations"("user_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delegated_executions_batch_id_key" ON "delegated_executions"("batch_id");
+
+-- CreateIndex
+CREATE INDEX "delegated_executions_delegation_id_idx" ON "delegated_executions"("delegation_id");
+
+-- CreateIndex
+CREATE INDEX "delegated_executions_goal_id_idx" ON "delegated_executions"("goal_id");
+
+-- AddForeignKey
+ALTER TABLE "swap_delegations" ADD CONSTRAINT "swap_delegations_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delegated_executions" ADD CONSTRAINT "delegated_executions_delegation_id_fkey" FOREIGN KEY ("delegation_id") REFERENCES "swap_delegations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delegated_executions" ADD CONSTRAINT "delegated_executions_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,139 @@
+-- CreateEnum
+CREATE TYPE "BatchState" AS ENUM ('PENDING_ONRAMP', 'ONRAMP_CONFIRMED', 'QUOTED', 'SWAP_SIGNED', 'SWAP_SUBMITTED', 'SWAP_CONFIRMED', 'EXPIRED', 'FAILED', 'CANCELED');
+
+-- CreateTable
+CREATE TABLE "investment_batches" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "state" "BatchState" NOT NULL DEFAULT 'PENDING_ONRAMP',
+    "failure_reason" TEXT,
+    "onramp_confirmed_at" TIMESTAMP(3),
+    "quoted_at" TIMESTAMP(3),
+    "swap_signed_at" TIMESTAMP(3),
+    "swap_submitted_at" TIMESTAMP(3),
+    "swap_confirmed_at" TIMESTAMP(3),
+    "expired_at" TIMESTAMP(3),
+    "failed_at" TIMESTAMP(3),
+    "canceled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "investment_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "batch_transitions" (
+    "id" TEXT NOT NULL,
+    "batch_id" TEXT NOT NULL,
+    "from_state" "BatchState",
+    "to_state" "BatchState" NOT NULL,
+    "reason" TEXT,
+    "meta" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "batch_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "investment_batches_goal_id_idx" ON "investment_batches"("goal_id");
+
+-- CreateIndex
+CREATE INDEX "investment_batches_state_updated_at_idx" ON "investment_batches"("state", "updated_at");
+
+-- CreateIndex
+CREATE INDEX "batch_transitions_batch_id_created_at_idx" ON "batch_transitions"("batch_id", "created_at");
+
+-- Backfill: one batch per existing batch_id.
+-- The state uses the same precedence /api/investments/[batchId]/status applied
+-- to transactions.meta.state, so every batch reports what it reported before.
+-- ONRAMP rows without a state were treated as confirmed by the swap route.
+WITH txn_states AS (
+    SELECT
+        "batch_id",
+        "goal_id",
+        "type",
+        "timestamp",
+        "meta",
+        COALESCE("meta"->>'state', CASE WHEN "type" = 'ONRAMP' THEN 'ONRAMP_CONFIRMED' END) AS "state"
+    FROM "transactions"
+),
+batches AS (
+    SELECT
+        "batch_id",
+        (ARRAY_AGG("goal_id" ORDER BY "timestamp"))[1] AS "goal_id",
+        MAX(CASE "state"
+            WHEN 'PENDING_ONRAMP' THEN 1
+            WHEN 'ONRAMP_CONFIRMED' THEN 2
+            WHEN 'QUOTED' THEN 3
+            WHEN 'SWAP_SIGNED' THEN 4
+            WHEN 'SWAP_SUBMITTED' THEN 5
+            WHEN 'SWAP_CONFIRMED' THEN 6
+            WHEN 'EXPIRED' THEN 7
+            WHEN 'FAILED' THEN 8
+            WHEN 'CANCELED' THEN 9
+            ELSE 0
+        END) AS "rank",
+        MIN("timestamp") AS "created_at",
+        MAX("timestamp") AS "last_at",
+        MIN("timestamp") FILTER (WHERE "type" = 'ONRAMP') AS "onramp_at",
+        MIN("timestamp") FILTER (WHERE "type" = 'SWAP') AS "swap_at",
+        MAX("meta"->>'error') FILTER (WHERE "type" = 'SWAP') AS "swap_error",
+        MAX("meta"->>'expiredAt') AS "expired_at",
+        MAX("meta"->>'canceledAt') AS "canceled_at",
+        MAX("meta"->>'reconciledAt') AS "reconciled_at"
+    FROM txn_states
+    GROUP BY "batch_id"
+)
+INSERT INTO "investment_batches" (
+    "id", "goal_id", "state", "failure_reason",
+    "onramp_confirmed_at", "quoted_at", "swap_submitted_at", "swap_confirmed_at",
+    "expired_at", "failed_at", "canceled_at", "created_at", "updated_at"
+)
+SELECT
+    "batch_id",
+    "goal_id",
+    (CASE "rank"
+        WHEN 2 THEN 'ONRAMP_CONFIRMED'
+        WHEN 3 THEN 'QUOTED'
+        WHEN 4 THEN 'SWAP_SIGNED'
+        WHEN 5 THEN 'SWAP_SUBMITTED'
+        WHEN 6 THEN 'SWAP_CONFIRMED'
+        WHEN 7 THEN 'EXPIRED'
+        WHEN 8 THEN 'FAILED'
+        WHEN 9 THEN 'CANCELED'
+        ELSE 'PENDING_ONRAMP'
+    END)::"BatchState",
+    CASE WHEN "rank" = 8 THEN "swap_error" END,
+    CASE WHEN "rank" >= 2 THEN "onramp_at" END,
+    "swap_at",
+    CASE WHEN "rank" IN (5, 6) THEN "swap_at" END,
+    CASE WHEN "rank" = 6 THEN COALESCE("reconciled_at"::TIMESTAMP(3), "last_at") END,
+    CASE WHEN "rank" = 7 THEN COALESCE("expired_at"::TIMESTAMP(3), "last_at") END,
+    CASE WHEN "rank" = 8 THEN "last_at" END,
+    CASE WHEN "rank" = 9 THEN COALESCE("canceled_at"::TIMESTAMP(3), "last_at") END,
+    "created_at",
+    "last_at"
+FROM batches;
+
+-- Backfill: seed each transition log with the migrated state
+INSERT INTO "batch_transitions" ("id", "batch_id", "from_state", "to_state", "reason", "created_at")
+SELECT
+    'bt_' || md5("id"),
+    "id",
+    NULL,
+    "state",
+    'Backfilled from transactions.meta.state',
+    "updated_at"
+FROM "investment_batches";
+
+-- State now lives on the batch
+UPDATE "transactions" SET "meta" = "meta" - 'state' WHERE "meta" ? 'state';
+
+-- AddForeignKey
+ALTER TABLE "investment_batches" ADD CONSTRAINT "investment_batches_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "batch_transitions" ADD CONSTRAINT "batch_transitions_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "investment_batches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "investment_batches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
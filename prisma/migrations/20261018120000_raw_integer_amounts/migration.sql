@@ -0,0 +1,57 @@
+-- Store amounts as raw on-chain integer units instead of floats.
+-- Decimals: USD/USDC 6, BTC (cbBTC) 8, ETH (Portal WETH) 8, SOL 9.
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN     "target_amount_raw" BIGINT,
+ADD COLUMN     "invested_amount_raw" BIGINT NOT NULL DEFAULT 0,
+ADD COLUMN     "amount_decimals" INTEGER;
+
+-- Backfill goals (ROUND recovers the intended value from float drift)
+UPDATE "goals"
+SET "amount_decimals" = CASE "coin" WHEN 'SOL' THEN 9 ELSE 8 END;
+
+UPDATE "goals"
+SET "target_amount_raw" = ROUND("target_amount"::numeric * POWER(10::numeric, "amount_decimals"))::BIGINT,
+    "invested_amount_raw" = ROUND(COALESCE("invested_amount", 0)::numeric * POWER(10::numeric, "amount_decimals"))::BIGINT;
+
+ALTER TABLE "goals" ALTER COLUMN "target_amount_raw" SET NOT NULL,
+ALTER COLUMN "amount_decimals" SET NOT NULL;
+
+ALTER TABLE "goals" DROP COLUMN "target_amount",
+DROP COLUMN "invested_amount";
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "amount_usd_raw" BIGINT,
+ADD COLUMN     "amount_crypto_raw" BIGINT,
+ADD COLUMN     "crypto_decimals" INTEGER;
+
+-- Backfill transactions: decimals follow the recorded token mint, falling back
+-- to USDC for onramps and the goal coin for swaps
+UPDATE "transactions" t
+SET "crypto_decimals" = CASE
+      WHEN t."token_mint" IN ('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', 'Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr') THEN 6
+      WHEN t."token_mint" = 'So11111111111111111111111111111111111111112' THEN 9
+      WHEN t."token_mint" IN ('cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij', '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs') THEN 8
+      WHEN t."type" = 'ONRAMP' THEN 6
+      WHEN g."coin" = 'SOL' THEN 9
+      ELSE 8
+    END
+FROM "goals" g
+WHERE g."id" = t."goal_id";
+
+UPDATE "transactions"
+SET "amount_usd_raw" = ROUND("amount_usd"::numeric * 1000000)::BIGINT
+WHERE "amount_usd" IS NOT NULL;
+
+UPDATE "transactions"
+SET "amount_crypto_raw" = ROUND("amount_crypto"::numeric * POWER(10::numeric, "crypto_decimals"))::BIGINT
+WHERE "amount_crypto" IS NOT NULL;
+
+-- Prefer the exact quoted output where the swap recorded it
+UPDATE "transactions"
+SET "amount_crypto_raw" = ("meta"->>'quoteOutAmountRaw')::BIGINT
+WHERE "type" = 'SWAP'
+  AND "meta"->>'quoteOutAmountRaw' ~ '^[0-9]+$';
+
+ALTER TABLE "transactions" DROP COLUMN "amount_usd",
+DROP COLUMN "amount_crypto";
@@ -0,0 +1,15 @@
+-- USD cost of each swap at execution time, in USDC base units (6 decimals).
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "cost_usd_raw" BIGINT;
+
+-- Backfill USDC-funded swaps from the recorded input amount (USDC counts as $1).
+-- Swaps funded with other tokens stay NULL: their execution price was never stored.
+UPDATE "transactions"
+SET "cost_usd_raw" = ROUND(("meta"->>'inputAmount')::numeric * 1000000)::BIGINT
+WHERE "type" = 'SWAP'
+  AND "meta"->>'inputMint' IN (
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    'Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr'
+  )
+  AND jsonb_typeof("meta"->'inputAmount') = 'number';
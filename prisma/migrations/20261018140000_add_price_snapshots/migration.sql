@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "PriceSource" AS ENUM ('COLLECTOR', 'IMPORT');
+
+-- CreateTable
+CREATE TABLE "price_snapshots" (
+    "id" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "price_usd" DOUBLE PRECISION NOT NULL,
+    "open_usd" DOUBLE PRECISION,
+    "high_usd" DOUBLE PRECISION,
+    "low_usd" DOUBLE PRECISION,
+    "source" "PriceSource" NOT NULL,
+    "captured_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "price_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_snapshots_symbol_captured_at_key" ON "price_snapshots"("symbol", "captured_at");
+
+-- CreateIndex
+CREATE INDEX "price_snapshots_captured_at_idx" ON "price_snapshots"("captured_at");
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "notifications_user_id_timestamp_idx" ON "notifications"("user_id", "timestamp");
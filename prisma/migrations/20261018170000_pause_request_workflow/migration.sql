@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "pause_requests" ADD COLUMN "reason" TEXT,
+ADD COLUMN "resume_at" TIMESTAMP(3),
+ADD COLUMN "auto_approved" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "reviewed_by" TEXT,
+ADD COLUMN "reviewed_at" TIMESTAMP(3),
+ADD COLUMN "review_note" TEXT,
+ADD COLUMN "resumed_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "pause_requests_status_requested_at_idx" ON "pause_requests"("status", "requested_at");
+
+-- CreateIndex
+CREATE INDEX "pause_requests_status_resume_at_idx" ON "pause_requests"("status", "resume_at");
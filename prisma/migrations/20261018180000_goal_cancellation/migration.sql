@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "GoalStatus" ADD VALUE 'CANCELLED';
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "cancelled_at" TIMESTAMP(3),
+ADD COLUMN "cancel_reason" TEXT,
+ADD COLUMN "deleted_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "goals_user_id_deleted_at_idx" ON "goals"("user_id", "deleted_at");
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "tokens" (
+    "mint" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "decimals" INTEGER NOT NULL,
+    "max_target" DOUBLE PRECISION NOT NULL,
+    "logo_uri" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tokens_pkey" PRIMARY KEY ("mint")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tokens_symbol_key" ON "tokens"("symbol");
+
+-- CreateIndex
+CREATE INDEX "tokens_enabled_idx" ON "tokens"("enabled");
+
+-- Seed the registry with the popular tokens (lib/popular-tokens.js); USDC funds buys and is not a goal token
+INSERT INTO "tokens" ("mint", "symbol", "name", "decimals", "max_target", "updated_at") VALUES
+    ('So11111111111111111111111111111111111111112', 'SOL', 'Solana', 9, 10000, CURRENT_TIMESTAMP),
+    ('cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij', 'BTC', 'Coinbase Wrapped BTC (cbBTC)', 8, 10, CURRENT_TIMESTAMP),
+    ('7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs', 'ETH', 'Wrapped Ethereum', 8, 100, CURRENT_TIMESTAMP),
+    ('Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', 'USDT', 'Tether', 6, 1000000, CURRENT_TIMESTAMP),
+    ('JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', 'JUP', 'Jupiter', 6, 100000, CURRENT_TIMESTAMP),
+    ('4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R', 'RAY', 'Raydium', 6, 50000, CURRENT_TIMESTAMP),
+    ('DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', 'BONK', 'Bonk', 5, 10000000, CURRENT_TIMESTAMP),
+    ('EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', 'WIF', 'dogwifhat', 6, 100000, CURRENT_TIMESTAMP),
+    ('HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3', 'PYTH', 'Pyth Network', 6, 50000, CURRENT_TIMESTAMP);
+
+-- AlterTable: goals reference a registry mint instead of the CoinType enum
+ALTER TABLE "goals" ALTER COLUMN "coin" TYPE TEXT USING "coin"::TEXT;
+ALTER TABLE "goals" ADD COLUMN "token_mint" TEXT;
+
+UPDATE "goals" SET "token_mint" = "tokens"."mint"
+FROM "tokens"
+WHERE "tokens"."symbol" = "goals"."coin";
+
+ALTER TABLE "goals" ALTER COLUMN "token_mint" SET NOT NULL;
+
+-- DropEnum
+DROP TYPE "CoinType";
+
+-- CreateIndex
+CREATE INDEX "goals_token_mint_idx" ON "goals"("token_mint");
+
+-- AddForeignKey
+ALTER TABLE "goals" ADD CONSTRAINT "goals_token_mint_fkey" FOREIGN KEY ("token_mint") REFERENCES "tokens"("mint") ON DELETE RESTRICT ON UPDATE CASCADE;
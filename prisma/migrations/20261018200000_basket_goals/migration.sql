@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "GoalKind" AS ENUM ('SINGLE', 'BASKET');
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "kind" "GoalKind" NOT NULL DEFAULT 'SINGLE';
+
+-- CreateTable
+CREATE TABLE "goal_components" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "token_mint" TEXT NOT NULL,
+    "coin" TEXT NOT NULL,
+    "weight_bps" INTEGER NOT NULL,
+    "target_amount_raw" BIGINT NOT NULL,
+    "invested_amount_raw" BIGINT NOT NULL DEFAULT 0,
+    "amount_decimals" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "goal_components_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "goal_components_goal_id_token_mint_key" ON "goal_components"("goal_id", "token_mint");
+
+-- AddForeignKey
+ALTER TABLE "goal_components" ADD CONSTRAINT "goal_components_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goal_components" ADD CONSTRAINT "goal_components_token_mint_fkey" FOREIGN KEY ("token_mint") REFERENCES "tokens"("mint") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- A basket batch holds one SWAP transaction per component (leg)
+ALTER TABLE "transactions" ADD COLUMN "leg" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "component_id" TEXT;
+
+DROP INDEX "transactions_batch_id_type_key";
+
+CREATE UNIQUE INDEX "transactions_batch_id_type_leg_key" ON "transactions"("batch_id", "type", "leg");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_component_id_fkey" FOREIGN KEY ("component_id") REFERENCES "goal_components"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Delegated buys of a basket execute once per leg
+ALTER TABLE "delegated_executions" ADD COLUMN "leg" INTEGER NOT NULL DEFAULT 0;
+
+DROP INDEX "delegated_executions_batch_id_key";
+
+CREATE UNIQUE INDEX "delegated_executions_batch_id_leg_key" ON "delegated_executions"("batch_id", "leg");
@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "ContributionStrategy" AS ENUM ('FIXED', 'VALUE_AVERAGING', 'BUY_THE_DIP');
+
+-- AlterTable: existing goals keep the fixed amountPerInterval
+ALTER TABLE "goals" ADD COLUMN "strategy" "ContributionStrategy" NOT NULL DEFAULT 'FIXED',
+ADD COLUMN "strategy_params" JSONB;
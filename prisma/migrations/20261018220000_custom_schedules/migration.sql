@@ -0,0 +1,15 @@
+-- AlterEnum
+ALTER TYPE "Frequency" ADD VALUE 'BIWEEKLY';
+ALTER TYPE "Frequency" ADD VALUE 'QUARTERLY';
+ALTER TYPE "Frequency" ADD VALUE 'CUSTOM';
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "timezone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "schedule" JSONB;
+
+-- Monthly goals keep buying on the day of the month they are due next
+UPDATE "goals"
+SET "schedule" = jsonb_build_object('dayOfMonth', EXTRACT(DAY FROM "next_run_at")::int)
+WHERE "frequency" = 'MONTHLY' AND "next_run_at" IS NOT NULL;
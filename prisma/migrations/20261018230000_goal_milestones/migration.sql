@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "MilestoneKind" AS ENUM ('PERCENT', 'AMOUNT');
+
+-- CreateTable
+CREATE TABLE "goal_milestones" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "kind" "MilestoneKind" NOT NULL,
+    "percent_bps" INTEGER,
+    "amount_raw" BIGINT,
+    "label" TEXT NOT NULL,
+    "reached_at" TIMESTAMP(3),
+    "batch_id" TEXT,
+    "invested_amount_raw" BIGINT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "goal_milestones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "goal_milestones_goal_id_reached_at_idx" ON "goal_milestones"("goal_id", "reached_at");
+
+-- CreateIndex
+CREATE INDEX "goal_milestones_batch_id_idx" ON "goal_milestones"("batch_id");
+
+-- AddForeignKey
+ALTER TABLE "goal_milestones" ADD CONSTRAINT "goal_milestones_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goal_milestones" ADD CONSTRAINT "goal_milestones_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "investment_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Open goals get the default checkpoints they have not passed yet; passed ones
+-- would otherwise all fire on the next confirmation
+INSERT INTO "goal_milestones" ("id", "goal_id", "kind", "percent_bps", "label")
+SELECT 'ms_' || md5(g."id" || ':' || p.bps), g."id", 'PERCENT', p.bps, (p.bps / 100) || '%'
+FROM "goals" g
+CROSS JOIN (VALUES (1000), (2500), (5000), (7500), (10000)) AS p(bps)
+WHERE g."status" IN ('ACTIVE', 'PAUSED')
+  AND g."deleted_at" IS NULL
+  AND g."invested_amount_raw"::numeric * 10000 < g."target_amount_raw"::numeric * p.bps;
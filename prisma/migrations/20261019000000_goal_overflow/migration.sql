@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "OverflowPolicy" AS ENUM ('KEEP', 'ROLLOVER', 'EXACT');
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "overflow_policy" "OverflowPolicy" NOT NULL DEFAULT 'KEEP',
+ADD COLUMN "rolled_over_from_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "goals_rolled_over_from_id_key" ON "goals"("rolled_over_from_id");
+
+-- AddForeignKey
+ALTER TABLE "goals" ADD CONSTRAINT "goals_rolled_over_from_id_fkey" FOREIGN KEY ("rolled_over_from_id") REFERENCES "goals"("id") ON DELETE SET NULL ON UPDATE CASCADE;
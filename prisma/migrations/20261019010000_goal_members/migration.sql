@@ -0,0 +1,77 @@
+-- CreateEnum
+CREATE TYPE "GoalRole" AS ENUM ('OWNER', 'CONTRIBUTOR', 'VIEWER');
+
+-- CreateTable
+CREATE TABLE "goal_members" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "role" "GoalRole" NOT NULL,
+    "invited_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "goal_members_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "goal_invites" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "role" "GoalRole" NOT NULL,
+    "created_by_id" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "accepted_by_id" TEXT,
+    "accepted_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "goal_invites_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "contributor_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "goal_members_goal_id_user_id_key" ON "goal_members"("goal_id", "user_id");
+
+-- CreateIndex
+CREATE INDEX "goal_members_user_id_idx" ON "goal_members"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "goal_invites_token_key" ON "goal_invites"("token");
+
+-- CreateIndex
+CREATE INDEX "goal_invites_goal_id_idx" ON "goal_invites"("goal_id");
+
+-- CreateIndex
+CREATE INDEX "transactions_goal_id_contributor_id_idx" ON "transactions"("goal_id", "contributor_id");
+
+-- AddForeignKey
+ALTER TABLE "goal_members" ADD CONSTRAINT "goal_members_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goal_members" ADD CONSTRAINT "goal_members_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goal_invites" ADD CONSTRAINT "goal_invites_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goal_invites" ADD CONSTRAINT "goal_invites_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goal_invites" ADD CONSTRAINT "goal_invites_accepted_by_id_fkey" FOREIGN KEY ("accepted_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_contributor_id_fkey" FOREIGN KEY ("contributor_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Every existing goal is owned by its creator, who paid for everything so far
+INSERT INTO "goal_members" ("id", "goal_id", "user_id", "role", "updated_at")
+SELECT 'gm_' || md5(g."id" || ':' || g."user_id"), g."id", g."user_id", 'OWNER', CURRENT_TIMESTAMP
+FROM "goals" g;
+
+UPDATE "transactions" t
+SET "contributor_id" = g."user_id"
+FROM "goals" g
+WHERE t."goal_id" = g."id";
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "max_slippage_bps" INTEGER,
+ADD COLUMN "max_priority_fee_lamports" INTEGER;
+
+-- AlterTable
+ALTER TABLE "investment_batches" ADD COLUMN "execution_policy" JSONB;
@@ -0,0 +1,26 @@
+-- Store delegation caps and pulled amounts as raw USDC units (6 decimals)
+-- instead of floats, like every other amount.
+
+-- AlterTable
+ALTER TABLE "swap_delegations" ADD COLUMN     "amount_cap_raw" BIGINT,
+ADD COLUMN     "amount_used_raw" BIGINT NOT NULL DEFAULT 0;
+
+-- Backfill (ROUND recovers the intended value from float drift)
+UPDATE "swap_delegations"
+SET "amount_cap_raw" = ROUND("amount_cap"::numeric * 1000000)::BIGINT,
+    "amount_used_raw" = ROUND("amount_used"::numeric * 1000000)::BIGINT;
+
+ALTER TABLE "swap_delegations" ALTER COLUMN "amount_cap_raw" SET NOT NULL;
+
+ALTER TABLE "swap_delegations" DROP COLUMN "amount_cap",
+DROP COLUMN "amount_used";
+
+-- AlterTable
+ALTER TABLE "delegated_executions" ADD COLUMN     "amount_raw" BIGINT;
+
+UPDATE "delegated_executions"
+SET "amount_raw" = ROUND("amount_usdc"::numeric * 1000000)::BIGINT;
+
+ALTER TABLE "delegated_executions" ALTER COLUMN "amount_raw" SET NOT NULL;
+
+ALTER TABLE "delegated_executions" DROP COLUMN "amount_usdc";
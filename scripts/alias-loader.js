@@ -0,0 +1,42 @@
+/**
+ * Module resolution hooks for running app code outside Next.js
+ * Resolves the `@/` alias from jsconfig.json and the extensionless imports
+ * Next.js allows (`@/lib/prisma`, `next/headers`), so scripts can import
+ * route handlers directly.
+ *
+ * Usage (before the first app import):
+ *   import { register } from 'node:module';
+ *   register('./alias-loader.js', import.meta.url);
+ */
+
+import { existsSync, statSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function resolveFile(filePath) {
+  if (existsSync(filePath) && statSync(filePath).isFile()) return filePath;
+  if (existsSync(`${filePath}.js`)) return `${filePath}.js`;
+  if (existsSync(path.join(filePath, 'index.js'))) return path.join(filePath, 'index.js');
+  return null;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) {
+    const filePath = resolveFile(path.join(ROOT, specifier.slice(2)));
+    if (filePath) {
+      return { url: pathToFileURL(filePath).href, shortCircuit: true };
+    }
+  }
+
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    // Bare subpaths without an exports map (next/headers) need the extension in ESM
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && !path.extname(specifier)) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Price history collector
+ * Stores price snapshots for every popular token (alternative to the cron route)
+ *
+ * Usage:
+ *   node scripts/collect-prices.js --once
+ *   node scripts/collect-prices.js --interval=300
+ *
+ * Options:
+ *   --once            Collect a single snapshot and exit
+ *   --interval=<sec>  Seconds between snapshots (default: 300)
+ */
+
+// Load environment variables from .env.local or .env
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Try to load .env.local first, then .env
+const envFiles = [
+  join(__dirname, '..', '.env.local'),
+  join(__dirname, '..', '.env'),
+];
+
+for (const envFile of envFiles) {
+  if (existsSync(envFile)) {
+    const envContent = readFileSync(envFile, 'utf-8');
+    const lines = envContent.split('\n');
+    
+    for (const line of lines) {
+      const trimmed = line.trim();
+      // Skip comments and empty lines
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      
+      // Parse KEY="VALUE" or KEY=VALUE
+      const match = trimmed.match(/^([^=]+)=(.*)$/);
+      if (match) {
+        const key = match[1].trim();
+        let value = match[2].trim();
+        
+        // Remove surrounding quotes if present
+        if ((value.startsWith('"') && value.endsWith('"')) || 
+            (value.startsWith("'") && value.endsWith("'"))) {
+          value = value.slice(1, -1);
+        }
+        
+        // Only set if not already in process.env
+        if (!process.env[key]) {
+          process.env[key] = value;
+        }
+      }
+    }
+    console.log(`📄 Loaded environment variables from ${envFile}`);
+    break;
+  }
+}
+
+function parseArgs(argv) {
+  const args = { once: false, interval: 300 };
+
+  for (const arg of argv) {
+    if (arg === '--once') {
+      args.once = true;
+    } else if (arg.startsWith('--interval=')) {
+      args.interval = parseInt(arg.split('=')[1], 10);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(args.interval) || args.interval < 1) {
+    throw new Error('--interval must be a positive integer');
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Imported after env loading so lib modules see DATABASE_URL
+  const { collectPriceSnapshots } = await import('../lib/price-history.js');
+  const { prisma } = await import('../lib/prisma.js');
+
+  let stopping = false;
+  const stop = () => {
+    stopping = true;
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  try {
+    do {
+      const result = await collectPriceSnapshots();
+      console.log(
+        `📈 ${result.capturedAt} stored=${result.stored} source=${result.source}` +
+        `${result.missing.length ? ` missing=${result.missing.join(',')}` : ''}`
+      );
+
+      if (args.once || stopping) break;
+      await new Promise(resolve => setTimeout(resolve, args.interval * 1000));
+    } while (!stopping);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Price collection failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Price history backfill
+ * Imports historical prices from a CSV or JSON file into price_snapshots.
+ * Times that already have a snapshot are skipped, so re-running is safe.
+ *
+ * Usage:
+ *   node scripts/import-prices.js --file=btc-daily.csv --symbol=BTC
+ *   node scripts/import-prices.js --file=prices.json --dry-run
+ *
+ * Options:
+ *   --file=<path>      File to import (required)
+ *   --format=<name>    csv or json (default: from the file extension)
+ *   --symbol=<coin>    Symbol for records without a symbol/coin column
+ *   --dry-run          Parse and validate only
+ *
+ * CSV needs a header row: timestamp (or time/date), price or close, and
+ * optionally symbol, open, high, low. JSON is an array of the same fields
+ * (or { "prices": [...] }). Timestamps: ISO strings or epoch seconds/ms.
+ */
+
+// Load environment variables from .env.local or .env
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, extname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Try to load .env.local first, then .env
+const envFiles = [
+  join(__dirname, '..', '.env.local'),
+  join(__dirname, '..', '.env'),
+];
+
+for (const envFile of envFiles) {
+  if (existsSync(envFile)) {
+    const envContent = readFileSync(envFile, 'utf-8');
+    const lines = envContent.split('\n');
+    
+    for (const line of lines) {
+      const trimmed = line.trim();
+      // Skip comments and empty lines
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      
+      // Parse KEY="VALUE" or KEY=VALUE
+      const match = trimmed.match(/^([^=]+)=(.*)$/);
+      if (match) {
+        const key = match[1].trim();
+        let value = match[2].trim();
+        
+        // Remove surrounding quotes if present
+        if ((value.startsWith('"') && value.endsWith('"')) || 
+            (value.startsWith("'") && value.endsWith("'"))) {
+          value = value.slice(1, -1);
+        }
+        
+        // Only set if not already in process.env
+        if (!process.env[key]) {
+          process.env[key] = value;
+        }
+      }
+    }
+    console.log(`📄 Loaded environment variables from ${envFile}`);
+    break;
+  }
+}
+
+function parseArgs(argv) {
+  const args = { file: null, format: null, symbol: null, dryRun: false };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--file=')) {
+      args.file = arg.slice('--file='.length);
+    } else if (arg.startsWith('--format=')) {
+      args.format = arg.split('=')[1];
+    } else if (arg.startsWith('--symbol=')) {
+      args.symbol = arg.split('=')[1];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!args.file) {
+    throw new Error('--file is required');
+  }
+  args.format = args.format || extname(args.file).slice(1);
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Imported after env loading so lib modules see DATABASE_URL
+  const { parsePriceImport, importPriceSnapshots } = await import('../lib/price-history.js');
+
+  const rows = parsePriceImport(readFileSync(args.file, 'utf-8'), {
+    format: args.format,
+    symbol: args.symbol,
+  });
+
+  const symbols = [...new Set(rows.map(row => row.symbol))];
+  console.log(`📄 Parsed ${rows.length} records (${symbols.join(', ') || 'none'}) from ${args.file}`);
+
+  if (args.dryRun || rows.length === 0) {
+    return;
+  }
+
+  const { prisma } = await import('../lib/prisma.js');
+  try {
+    const result = await importPriceSnapshots(rows);
+    console.log(`✅ Stored ${result.stored} of ${result.received} (${result.received - result.stored} already present)`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Price import failed:', error.message);
+  process.exit(1);
+});
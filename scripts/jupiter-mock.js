@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+/**
+ * Deterministic local stand-in for the Jupiter swap API (/swap/v1)
+ * Quotes come from a fixed price table, and /swap returns real unsigned
+ * versioned transactions built against a local solana-test-validator, so the
+ * whole sign → submit → confirm path runs without mainnet.
+ *
+ * Usage:
+ *   solana-test-validator --reset
+ *   node scripts/jupiter-mock.js --port=8788 --rpc=http://127.0.0.1:8899 [--config=mock.json]
+ *
+ * Then point the app at it:
+ *   SWAP_PROVIDER=mock JUPITER_MOCK_URL=http://127.0.0.1:8788
+ *   SOLANA_RPC_URL=http://127.0.0.1:8899
+ *
+ * With --rpc-proxy-port=8910 it also fronts the validator's RPC (HTTP on that
+ * port, websocket on the next one, as @solana/web3.js expects). A
+ * slippage-marked swap fails through it the way a Jupiter route past its
+ * slippage tolerance does: simulating it unsigned (when it is quoted) passes,
+ * simulating or submitting it signed fails with the slippage error. Point
+ * SOLANA_RPC_URL at the proxy to exercise the app's slippage handling.
+ *
+ * Config (--config file, or POST /__mock/config at runtime, merged into the current one):
+ *   {
+ *     "prices": { "<mint>": 168.67 },               // USD per whole token
+ *     "decimals": { "<mint>": 9 },
+ *     "noRoute": ["<mint>", "<inputMint>:<outputMint>"],
+ *     "priceImpactPct": "0.001",
+ *     "slippageFailure": false,                      // every /swap builds a transaction that fails on-chain
+ *     "rateLimit": { "every": 0, "retryAfterSec": 2 } // every Nth request answers 429
+ *   }
+ * One-shot failures go on a queue with POST /__mock/fail:
+ *   { "endpoint": "quote" | "swap", "type": "NO_ROUTE" | "RATE_LIMITED" | "SLIPPAGE", "times": 1 }
+ * GET /__mock/requests lists the requests served; POST /__mock/reset restores the defaults.
+ */
+
+import http from 'http';
+import net from 'net';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  Connection,
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+  ComputeBudgetProgram,
+} from '@solana/web3.js';
+import { TOKEN_MINTS } from '../lib/tokens.js';
+import { FIXTURE_PRICES_USD } from '../lib/price-providers.js';
+
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8899';
+
+// Memo data of the instruction that makes a slippage-failure swap fail (invalid UTF-8)
+export const SLIPPAGE_MARKER = Buffer.from([0xff, 0xfe, 0xfd]);
+
+function defaultConfig() {
+  const prices = {};
+  const decimals = {};
+  for (const token of Object.values(TOKEN_MINTS)) {
+    prices[token.mint] = FIXTURE_PRICES_USD[token.symbol];
+    decimals[token.mint] = token.decimals;
+  }
+  return {
+    prices,
+    decimals,
+    noRoute: [],
+    priceImpactPct: '0.001',
+    slippageFailure: false,
+    rateLimit: { every: 0, retryAfterSec: 2 },
+  };
+}
+
+function mergeConfig(config, patch) {
+  return {
+    ...config,
+    ...patch,
+    prices: { ...config.prices, ...patch.prices },
+    decimals: { ...config.decimals, ...patch.decimals },
+    rateLimit: { ...config.rateLimit, ...patch.rateLimit },
+  };
+}
+
+/**
+ * Output amount for an exact-in quote at the configured prices
+ * Rounds down, like a real route.
+ * @returns {bigint|null} null when either side has no price
+ */
+export function quoteOutAmount(config, inputMint, outputMint, amountRaw) {
+  const inPrice = config.prices[inputMint];
+  const outPrice = config.prices[outputMint];
+  const inDecimals = config.decimals[inputMint];
+  const outDecimals = config.decimals[outputMint];
+  if (!(inPrice > 0) || !(outPrice > 0) || inDecimals === undefined || outDecimals === undefined) {
+    return null;
+  }
+
+  // Prices are scaled to integers so the same inputs always give the same output
+  const inPriceScaled = BigInt(Math.round(inPrice * 1e12));
+  const outPriceScaled = BigInt(Math.round(outPrice * 1e12));
+  return (amountRaw * inPriceScaled * 10n ** BigInt(outDecimals))
+    / (outPriceScaled * 10n ** BigInt(inDecimals));
+}
+
+function hasRoute(config, inputMint, outputMint) {
+  return !config.noRoute.some(entry =>
+    entry === inputMint || entry === outputMint || entry === `${inputMint}:${outputMint}`
+  );
+}
+
+function buildQuote(config, { inputMint, outputMint, amount, slippageBps, contextSlot }) {
+  const inAmount = BigInt(amount);
+  const outAmount = quoteOutAmount(config, inputMint, outputMint, inAmount);
+  if (outAmount === null || outAmount === 0n || !hasRoute(config, inputMint, outputMint)) {
+    return null;
+  }
+
+  const otherAmountThreshold = outAmount * BigInt(10000 - slippageBps) / 10000n;
+  return {
+    inputMint,
+    inAmount: inAmount.toString(),
+    outputMint,
+    outAmount: outAmount.toString(),
+    otherAmountThreshold: otherAmountThreshold.toString(),
+    swapMode: 'ExactIn',
+    slippageBps,
+    platformFee: null,
+    priceImpactPct: config.priceImpactPct,
+    routePlan: [{
+      swapInfo: {
+        ammKey: 'MockAmm111111111111111111111111111111111111',
+        label: 'Jupiter Mock',
+        inputMint,
+        outputMint,
+        inAmount: inAmount.toString(),
+        outAmount: outAmount.toString(),
+        feeAmount: '0',
+        feeMint: inputMint,
+      },
+      percent: 100,
+    }],
+    contextSlot,
+    timeTaken: 0,
+  };
+}
+
+/**
+ * Unsigned v0 transaction the user's wallet signs in place of a real route
+ * A memo records the swap; a slippage failure adds a memo instruction with
+ * invalid UTF-8, which the memo program rejects, so the transaction fails
+ * on-chain like a route whose output fell under otherAmountThreshold.
+ */
+async function buildSwapTransaction(connection, { quoteResponse, userPublicKey, prioritizationFeeLamports, fail }) {
+  const payer = new PublicKey(userPublicKey);
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+
+  // A number, or Jupiter's { priorityLevelWithMaxLamports: { maxLamports } } cap
+  const feeLamports = prioritizationFeeLamports?.priorityLevelWithMaxLamports?.maxLamports ?? prioritizationFeeLamports;
+
+  const instructions = [ComputeBudgetProgram.setComputeUnitLimit({ units: 200_000 })];
+  if (typeof feeLamports === 'number' && feeLamports > 0) {
+    instructions.push(ComputeBudgetProgram.setComputeUnitPrice({
+      microLamports: Math.floor(feeLamports * 1_000_000 / 200_000),
+    }));
+  }
+  instructions.push(new TransactionInstruction({
+    programId: MEMO_PROGRAM_ID,
+    keys: [{ pubkey: payer, isSigner: true, isWritable: false }],
+    data: Buffer.from(
+      `jupiter-mock swap ${quoteResponse.inAmount} ${quoteResponse.inputMint} -> ${quoteResponse.outAmount} ${quoteResponse.outputMint}`,
+      'utf-8'
+    ),
+  }));
+  if (fail) {
+    instructions.push(new TransactionInstruction({
+      programId: MEMO_PROGRAM_ID,
+      keys: [],
+      data: SLIPPAGE_MARKER,
+    }));
+  }
+
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+
+  return {
+    swapTransaction: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64'),
+    lastValidBlockHeight,
+    prioritizationFeeLamports: feeLamports || 0,
+  };
+}
+
+function decodeMarked(base64Transaction) {
+  try {
+    const transaction = VersionedTransaction.deserialize(Buffer.from(base64Transaction, 'base64'));
+    const { message } = transaction;
+    const marked = message.compiledInstructions.some(instruction =>
+      message.staticAccountKeys[instruction.programIdIndex].equals(MEMO_PROGRAM_ID)
+      && SLIPPAGE_MARKER.equals(Buffer.from(instruction.data))
+    );
+    return marked ? transaction : null;
+  } catch {
+    return null;
+  }
+}
+
+function isSlippageMarked(base64Transaction) {
+  return decodeMarked(base64Transaction) !== null;
+}
+
+// An unsigned transaction carries an all-zero signature
+function isSigned(transaction) {
+  return transaction.signatures.some(signature => signature.some(byte => byte !== 0));
+}
+
+/**
+ * simulateTransaction result for a slippage-marked swap: the price only moves
+ * past the slippage once the member has signed
+ */
+function simulateMarked(transaction) {
+  const signed = isSigned(transaction);
+  return {
+    context: { slot: 0 },
+    value: {
+      err: signed ? { InstructionError: [2, { Custom: 6001 }] } : null,
+      logs: signed
+        ? ['Program log: Error: slippage tolerance exceeded', 'Program failed: custom program error: 0x1771']
+        : ['Program log: Memo (mock swap)'],
+      accounts: null,
+      unitsConsumed: 0,
+      returnData: null,
+    },
+  };
+}
+
+/**
+ * JSON-RPC passthrough to the validator that rejects slippage-marked swaps
+ * Websocket traffic (port + 1) is piped through untouched.
+ */
+function startRpcProxy({ port, rpcUrl }) {
+  const upstream = new URL(rpcUrl);
+  const upstreamWsPort = Number(upstream.port || 80) + 1;
+
+  const httpServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk.toString('utf-8'); });
+    req.on('end', async () => {
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        // Forwarded as-is; the validator answers the parse error
+      }
+
+      const marked = payload?.method === 'simulateTransaction' ? decodeMarked(payload.params?.[0]) : null;
+      if (marked) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: payload.id, result: simulateMarked(marked) }));
+        return;
+      }
+
+      if (payload?.method === 'sendTransaction' && isSlippageMarked(payload.params?.[0])) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          jsonrpc: '2.0',
+          id: payload.id,
+          error: {
+            code: -32002,
+            message: 'Transaction simulation failed: Error processing Instruction 2: custom program error: 0x1771 (slippage tolerance exceeded)',
+          },
+        }));
+        return;
+      }
+
+      try {
+        const response = await fetch(rpcUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+        });
+        res.writeHead(response.status, { 'Content-Type': 'application/json' });
+        res.end(await response.text());
+      } catch (error) {
+        res.writeHead(502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: payload?.id ?? null, error: { code: -32603, message: error.message } }));
+      }
+    });
+  });
+
+  const wsServer = net.createServer((socket) => {
+    const target = net.connect(upstreamWsPort, upstream.hostname);
+    socket.pipe(target).pipe(socket);
+    socket.on('error', () => target.destroy());
+    target.on('error', () => socket.destroy());
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    wsServer.once('error', reject);
+    httpServer.listen(port, '127.0.0.1', () => {
+      wsServer.listen(port + 1, '127.0.0.1', () => {
+        resolve({
+          url: `http://127.0.0.1:${port}`,
+          close: () => Promise.all([
+            new Promise((done) => httpServer.close(done)),
+            new Promise((done) => wsServer.close(done)),
+          ]),
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Start the mock Jupiter server
+ * @param {Object} options
+ * @param {number} options.port - Port (0 = random)
+ * @param {string} options.rpcUrl - Local validator RPC used for blockhashes
+ * @param {number|null} options.rpcProxyPort - Also front the validator's RPC on this port (and the next)
+ * @param {Object} options.config - Overrides merged into the default config
+ * @returns {Promise<{port: number, url: string, rpcProxyUrl: string|null, requests: Object[], configure: Function, fail: Function, reset: Function, close: Function}>}
+ */
+export async function startJupiterMock({ port = 0, rpcUrl = DEFAULT_RPC_URL, rpcProxyPort = null, config: overrides = {} } = {}) {
+  const connection = new Connection(rpcUrl, 'confirmed');
+  const rpcProxy = rpcProxyPort ? await startRpcProxy({ port: rpcProxyPort, rpcUrl }) : null;
+  const requests = [];
+  let config = mergeConfig(defaultConfig(), overrides);
+  let failures = [];
+  let served = 0;
+  let quotesServed = 0;
+
+  const configure = (patch) => { config = mergeConfig(config, patch); return config; };
+  const fail = ({ endpoint, type, times = 1 }) => {
+    failures.push({ endpoint, type, remaining: times });
+  };
+  const reset = () => {
+    config = mergeConfig(defaultConfig(), overrides);
+    failures = [];
+    served = 0;
+    requests.length = 0;
+  };
+
+  // One-shot failures first, then the periodic rate limit
+  const takeFailure = (endpoint) => {
+    const failure = failures.find(f => f.endpoint === endpoint && f.remaining > 0);
+    if (failure) {
+      failure.remaining -= 1;
+      failures = failures.filter(f => f.remaining > 0);
+      return failure.type;
+    }
+    served += 1;
+    if (config.rateLimit.every > 0 && served % config.rateLimit.every === 0) {
+      return 'RATE_LIMITED';
+    }
+    return null;
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+  const rateLimited = (res) => send(res, 429, { error: 'Too many requests' }, {
+    'Retry-After': String(config.rateLimit.retryAfterSec),
+  });
+  const noRoute = (res) => send(res, 400, {
+    error: 'Could not find any route',
+    errorCode: 'COULD_NOT_FIND_ANY_ROUTE',
+  });
+
+  const handle = async (req, res, body) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+
+    if (url.pathname === '/__mock/config' && req.method === 'POST') {
+      return send(res, 200, configure(JSON.parse(body || '{}')));
+    }
+    if (url.pathname === '/__mock/fail' && req.method === 'POST') {
+      fail(JSON.parse(body || '{}'));
+      return send(res, 200, { queued: failures.length });
+    }
+    if (url.pathname === '/__mock/reset' && req.method === 'POST') {
+      reset();
+      return send(res, 200, { reset: true });
+    }
+    if (url.pathname === '/__mock/requests') {
+      return send(res, 200, { requests });
+    }
+
+    if (url.pathname === '/swap/v1/quote' && req.method === 'GET') {
+      const params = {
+        inputMint: url.searchParams.get('inputMint'),
+        outputMint: url.searchParams.get('outputMint'),
+        amount: url.searchParams.get('amount'),
+        slippageBps: parseInt(url.searchParams.get('slippageBps') || '50', 10),
+      };
+      requests.push({ endpoint: 'quote', ...params });
+
+      const failure = takeFailure('quote');
+      if (failure === 'RATE_LIMITED') return rateLimited(res);
+      if (failure === 'NO_ROUTE') return noRoute(res);
+      if (!/^\d+$/.test(params.amount || '')) {
+        return send(res, 400, { error: 'amount must be an integer', errorCode: 'INVALID_AMOUNT' });
+      }
+
+      quotesServed += 1;
+      const quote = buildQuote(config, { ...params, contextSlot: quotesServed });
+      return quote ? send(res, 200, quote) : noRoute(res);
+    }
+
+    if (url.pathname === '/swap/v1/swap' && req.method === 'POST') {
+      const { quoteResponse, userPublicKey, prioritizationFeeLamports } = JSON.parse(body || '{}');
+      requests.push({ endpoint: 'swap', userPublicKey, outAmount: quoteResponse?.outAmount });
+
+      const failure = takeFailure('swap');
+      if (failure === 'RATE_LIMITED') return rateLimited(res);
+      if (failure === 'NO_ROUTE') return noRoute(res);
+      if (!quoteResponse || !userPublicKey) {
+        return send(res, 400, { error: 'quoteResponse and userPublicKey are required' });
+      }
+
+      const swap = await buildSwapTransaction(connection, {
+        quoteResponse,
+        userPublicKey,
+        prioritizationFeeLamports,
+        fail: failure === 'SLIPPAGE' || config.slippageFailure,
+      });
+      return send(res, 200, swap);
+    }
+
+    return send(res, 404, { error: 'Not found' });
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk.toString('utf-8'); });
+    req.on('end', () => {
+      handle(req, res, body).catch((error) => send(res, 500, { error: error.message }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        port: actualPort,
+        url: `http://127.0.0.1:${actualPort}`,
+        rpcProxyUrl: rpcProxy?.url ?? null,
+        requests,
+        configure,
+        fail,
+        reset,
+        close: async () => {
+          await new Promise((done) => server.close(done));
+          await rpcProxy?.close();
+        },
+      });
+    });
+  });
+}
+
+async function main() {
+  const args = Object.fromEntries(
+    process.argv.slice(2).map((arg) => arg.replace(/^--/, '').split('='))
+  );
+
+  const mock = await startJupiterMock({
+    port: parseInt(args.port || '8788', 10),
+    rpcUrl: args.rpc || DEFAULT_RPC_URL,
+    rpcProxyPort: args['rpc-proxy-port'] ? parseInt(args['rpc-proxy-port'], 10) : null,
+    config: args.config ? JSON.parse(readFileSync(args.config, 'utf-8')) : {},
+  });
+
+  console.log(`🪐 Mock Jupiter on ${mock.url}/swap/v1 (validator ${args.rpc || DEFAULT_RPC_URL})`);
+  if (mock.rpcProxyUrl) {
+    console.log(`🔁 RPC proxy on ${mock.rpcProxyUrl}`);
+  }
+
+  let seen = 0;
+  const interval = setInterval(() => {
+    for (const request of mock.requests.slice(seen)) {
+      console.log(request.endpoint === 'quote'
+        ? `💱 quote ${request.amount} ${request.inputMint} -> ${request.outputMint}`
+        : `🧾 swap for ${request.userPublicKey} (${request.outAmount} out)`);
+    }
+    seen = mock.requests.length;
+  }, 500);
+
+  const stop = async () => {
+    clearInterval(interval);
+    await mock.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error('❌ Mock Jupiter failed:', error.message);
+    process.exit(1);
+  });
+}
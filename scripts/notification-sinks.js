@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Local notification sinks: an SMTP sink and a webhook receiver
+ * Used by scripts/test-notification-delivery.js, or run standalone to watch
+ * deliveries from a dev server.
+ *
+ * Usage:
+ *   node scripts/notification-sinks.js --smtp-port=2525 --http-port=4000 --secret=<webhook secret>
+ *
+ * Then point the app at them:
+ *   SMTP_HOST=127.0.0.1 SMTP_PORT=2525
+ *   webhookUrl=http://127.0.0.1:4000/webhook
+ *
+ * Recipients containing "reject" get a permanent 550; webhook paths ending in
+ * /fail respond 500 (retryable) and /gone respond 410 (permanent).
+ */
+
+import net from 'net';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { verifyWebhookSignature } from '../lib/notification-channels.js';
+
+/**
+ * Start a minimal SMTP server that stores every accepted message
+ * @param {Object} options
+ * @param {number} options.port - Port (0 = random)
+ * @returns {Promise<{port: number, messages: Object[], close: Function}>}
+ */
+export function startSmtpSink({ port = 0 } = {}) {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let current = { from: null, to: [], data: '' };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 wholecoiner-smtp-sink ready');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf-8');
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          current.data += buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push(current);
+          current = { from: null, to: [], data: '' };
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 wholecoiner-smtp-sink');
+        } else if (command === 'MAIL') {
+          current.from = line.slice(10).trim();
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const recipient = line.slice(8).trim().replace(/[<>]/g, '');
+          if (recipient.includes('reject')) {
+            reply('550 Mailbox unavailable');
+          } else {
+            current.to.push(recipient);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          current = { from: null, to: [], data: '' };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+          return;
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Start an HTTP receiver that records webhook requests and checks signatures
+ * @param {Object} options
+ * @param {number} options.port - Port (0 = random)
+ * @param {string} options.secret - Webhook secret for signature checks (optional)
+ * @returns {Promise<{port: number, requests: Object[], close: Function}>}
+ */
+export function startWebhookReceiver({ port = 0, secret = null } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const signature = req.headers['x-wholecoiner-signature'];
+      requests.push({
+        path: req.url,
+        body,
+        signature,
+        verified: secret ? verifyWebhookSignature(secret, signature, body) : null,
+      });
+
+      const status = req.url.endsWith('/fail') ? 500 : req.url.endsWith('/gone') ? 410 : 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: status === 200 }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+async function main() {
+  const args = Object.fromEntries(
+    process.argv.slice(2).map((arg) => arg.replace(/^--/, '').split('='))
+  );
+
+  const smtp = await startSmtpSink({ port: parseInt(args['smtp-port'] || '2525', 10) });
+  const webhook = await startWebhookReceiver({
+    port: parseInt(args['http-port'] || '4000', 10),
+    secret: args.secret || null,
+  });
+
+  console.log(`📬 SMTP sink on 127.0.0.1:${smtp.port}`);
+  console.log(`🪝 Webhook receiver on http://127.0.0.1:${webhook.port}/webhook`);
+
+  let seenMessages = 0;
+  let seenRequests = 0;
+  const interval = setInterval(() => {
+    for (const message of smtp.messages.slice(seenMessages)) {
+      const subject = message.data.match(/^Subject: (.*)$/m)?.[1] || '(no subject)';
+      console.log(`✉️  ${message.to.join(', ')}: ${subject}`);
+    }
+    for (const request of webhook.requests.slice(seenRequests)) {
+      const verified = request.verified === null ? 'unchecked' : request.verified ? 'valid' : 'INVALID';
+      console.log(`🪝 ${request.path} signature=${verified} ${request.body}`);
+    }
+    seenMessages = smtp.messages.length;
+    seenRequests = webhook.requests.length;
+  }, 500);
+
+  const stop = async () => {
+    clearInterval(interval);
+    await Promise.all([smtp.close(), webhook.close()]);
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error('❌ Sinks failed:', error.message);
+    process.exit(1);
+  });
+}
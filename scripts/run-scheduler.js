@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Recurring investment scheduler worker
+ * Runs scheduler ticks locally (alternative to the cron route)
+ *
+ * Usage:
+ *   node scripts/run-scheduler.js --once
+ *   node scripts/run-scheduler.js --interval=60
+ *   node scripts/run-scheduler.js --once --keypair=~/.config/solana/id.json
+ *
+ * Options:
+ *   --once            Run a single tick and exit
+ *   --interval=<sec>  Seconds between ticks (default: 60)
+ *   --limit=<n>       Maximum goals per tick (default: 25)
+ *   --keypair=<path>  solana-keygen JSON keypair used to sign swaps for goals
+ *                     owned by that wallet (dev/test only); other goals wait
+ *                     for the user to sign
+ */
+
+// Load environment variables from .env.local or .env
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Try to load .env.local first, then .env
+const envFiles = [
+  join(__dirname, '..', '.env.local'),
+  join(__dirname, '..', '.env'),
+];
+
+for (const envFile of envFiles) {
+  if (existsSync(envFile)) {
+    const envContent = readFileSync(envFile, 'utf-8');
+    const lines = envContent.split('\n');
+    
+    for (const line of lines) {
+      const trimmed = line.trim();
+      // Skip comments and empty lines
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      
+      // Parse KEY="VALUE" or KEY=VALUE
+      const match = trimmed.match(/^([^=]+)=(.*)$/);
+      if (match) {
+        const key = match[1].trim();
+        let value = match[2].trim();
+        
+        // Remove surrounding quotes if present
+        if ((value.startsWith('"') && value.endsWith('"')) || 
+            (value.startsWith("'") && value.endsWith("'"))) {
+          value = value.slice(1, -1);
+        }
+        
+        // Only set if not already in process.env
+        if (!process.env[key]) {
+          process.env[key] = value;
+        }
+      }
+    }
+    console.log(`📄 Loaded environment variables from ${envFile}`);
+    break;
+  }
+}
+
+function parseArgs(argv) {
+  const args = { once: false, interval: 60, limit: 25, keypair: null };
+
+  for (const arg of argv) {
+    if (arg === '--once') {
+      args.once = true;
+    } else if (arg.startsWith('--interval=')) {
+      args.interval = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--limit=')) {
+      args.limit = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--keypair=')) {
+      args.keypair = arg.split('=')[1].replace(/^~/, homedir());
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(args.interval) || args.interval < 1) {
+    throw new Error('--interval must be a positive integer');
+  }
+  if (!Number.isInteger(args.limit) || args.limit < 1) {
+    throw new Error('--limit must be a positive integer');
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Imported after env loading so lib modules see DATABASE_URL, SOLANA_RPC_URL, etc.
+  const { Keypair } = await import('@solana/web3.js');
+  const { runSchedulerTick, createKeypairSigner } = await import('../lib/scheduler.js');
+  const { prisma } = await import('../lib/prisma.js');
+
+  let resolveSigner = null;
+  if (args.keypair) {
+    const secretKey = Uint8Array.from(JSON.parse(readFileSync(args.keypair, 'utf-8')));
+    const signer = createKeypairSigner(Keypair.fromSecretKey(secretKey));
+    console.log(`🔑 Signing swaps for wallet ${signer.publicKey}`);
+
+    resolveSigner = async (goal) => (goal.user?.walletAddress === signer.publicKey ? signer : null);
+  }
+
+  let stopping = false;
+  const stop = () => {
+    stopping = true;
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  try {
+    do {
+      const result = await runSchedulerTick({ limit: args.limit, resolveSigner });
+      console.log(`⏱️  ${new Date().toISOString()} due=${result.due} processed=${result.processed}`, result.counts);
+
+      for (const run of result.runs) {
+        console.log(`   ${run.status.padEnd(18)} goal=${run.goalId} batch=${run.batchId || '-'}${run.error ? ` error=${run.error}` : ''}`);
+      }
+
+      if (args.once || stopping) break;
+      await new Promise(resolve => setTimeout(resolve, args.interval * 1000));
+    } while (!stopping);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Scheduler failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+/**
+ * Test script for exact amount accounting (lib/amount.js, lib/cost-basis.js)
+ * Checks raw-unit conversions, that goals complete exactly at target, and
+ * cost basis / P&L math
+ *
+ * Usage: node scripts/test-amounts.js
+ */
+
+import assert from 'node:assert/strict';
+import {
+  toRawAmount,
+  formatRawAmount,
+  fromRawAmount,
+  progressPercentage,
+  serializeGoalAmounts,
+  serializeDelegation,
+} from '../lib/amount.js';
+import { calculateProgress, shouldAutoComplete } from '../lib/goalValidation.js';
+import { toSmallestUnits, TOKEN_MINTS } from '../lib/tokens.js';
+import { getSwapCostUsd, summarizeCostBasis } from '../lib/cost-basis.js';
+import { createTestRunner } from './test-harness.js';
+
+const BTC_DECIMALS = 8;
+const SOL_DECIMALS = 9;
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Amount Accounting Test');
+console.log('========================\n');
+
+await test('parses decimal strings and numbers exactly', () => {
+  assert.equal(toRawAmount('1.00000000', BTC_DECIMALS), 100000000n);
+  assert.equal(toRawAmount(0.1, BTC_DECIMALS), 10000000n);
+  assert.equal(toRawAmount(0.3, SOL_DECIMALS), 300000000n);
+  assert.equal(toRawAmount('.5', 6), 500000n);
+  assert.equal(toRawAmount(1e-7, BTC_DECIMALS), 10n);
+  assert.equal(toRawAmount(123n, BTC_DECIMALS), 123n);
+});
+
+await test('truncates digits beyond the token decimals', () => {
+  assert.equal(toRawAmount('0.123456789', BTC_DECIMALS), 12345678n);
+  assert.equal(toRawAmount('10.9999999', 6), 10999999n);
+});
+
+await test('rejects malformed amounts', () => {
+  assert.throws(() => toRawAmount('abc', BTC_DECIMALS));
+  assert.throws(() => toRawAmount('', BTC_DECIMALS));
+  assert.throws(() => toRawAmount(Number.NaN, BTC_DECIMALS));
+});
+
+await test('toSmallestUnits avoids float multiplication drift', () => {
+  // Math.floor(0.29 * 1e8) === 28999999
+  assert.equal(toSmallestUnits(0.29, BTC_DECIMALS), 29000000n);
+  assert.equal(toSmallestUnits(1.15, 6), 1150000n);
+});
+
+await test('formats raw amounts exactly', () => {
+  assert.equal(formatRawAmount(100000000n, BTC_DECIMALS), '1');
+  assert.equal(formatRawAmount(100000000n, BTC_DECIMALS, { trimZeros: false }), '1.00000000');
+  assert.equal(formatRawAmount(1n, BTC_DECIMALS), '0.00000001');
+  assert.equal(formatRawAmount(-1500000n, 6), '-1.5');
+  assert.equal(fromRawAmount('12345678', BTC_DECIMALS), 0.12345678);
+  assert.equal(fromRawAmount(null, BTC_DECIMALS), null);
+});
+
+await test('1.00000000 BTC target completes exactly after ten 0.1 BTC buys', () => {
+  const targetRaw = toRawAmount('1.00000000', BTC_DECIMALS);
+  let investedRaw = 0n;
+
+  for (let i = 0; i < 10; i++) {
+    assert.equal(shouldAutoComplete(investedRaw, targetRaw), false);
+    investedRaw += toRawAmount(0.1, BTC_DECIMALS);
+  }
+
+  assert.equal(investedRaw, targetRaw);
+  assert.equal(shouldAutoComplete(investedRaw, targetRaw), true);
+  assert.equal(calculateProgress(investedRaw, targetRaw), 100);
+
+  // The float version of the same sum never reaches 1
+  let investedFloat = 0;
+  for (let i = 0; i < 10; i++) investedFloat += 0.1;
+  assert.notEqual(investedFloat, 1);
+});
+
+await test('one unit short of target does not complete', () => {
+  const targetRaw = toRawAmount('1.00000000', BTC_DECIMALS);
+  const investedRaw = targetRaw - 1n;
+
+  assert.equal(shouldAutoComplete(investedRaw, targetRaw), false);
+  assert.equal(calculateProgress(investedRaw, targetRaw), 99.99);
+  assert.equal(progressPercentage(toRawAmount('0.99', BTC_DECIMALS), targetRaw), 99);
+});
+
+await test('progress percentage rounds to 2 decimals and caps at 100', () => {
+  assert.equal(progressPercentage(1n, 3n), 33.33);
+  assert.equal(progressPercentage(2n, 3n), 66.67);
+  assert.equal(progressPercentage(5n, 3n), 100);
+  assert.equal(progressPercentage(0n, 0n), 0);
+});
+
+await test('serializes goal amounts as numbers plus raw strings', () => {
+  const amounts = serializeGoalAmounts({
+    targetAmountRaw: 100000000n,
+    investedAmountRaw: 25000000n,
+    amountDecimals: BTC_DECIMALS,
+  });
+
+  assert.deepEqual(amounts, {
+    targetAmount: 1,
+    investedAmount: 0.25,
+    targetAmountRaw: '100000000',
+    investedAmountRaw: '25000000',
+    amountDecimals: BTC_DECIMALS,
+  });
+  assert.doesNotThrow(() => JSON.stringify(amounts));
+});
+
+await test('serializes delegation caps as USDC numbers plus raw strings', () => {
+  const delegation = serializeDelegation({ id: 'delegation_1', amountCapRaw: 300000n, amountUsedRaw: 100000n });
+
+  assert.deepEqual(delegation, {
+    id: 'delegation_1',
+    amountCap: 0.3,
+    amountUsed: 0.1,
+    amountRemaining: 0.2,
+    amountCapRaw: '300000',
+    amountUsedRaw: '100000',
+    amountRemainingRaw: '200000',
+  });
+  assert.equal(serializeDelegation({ amountCapRaw: 1n, amountUsedRaw: 2n }).amountRemainingRaw, '0');
+  assert.equal(serializeDelegation(null), null);
+});
+
+await test('USDC-funded swaps cost exactly the USDC spent', async () => {
+  const { costUsdRaw, inputPriceUsd } = await getSwapCostUsd({
+    inputMint: TOKEN_MINTS.USDC.mint,
+    inputAmountRaw: '25000000',
+  });
+
+  assert.equal(costUsdRaw, 25000000n);
+  assert.equal(inputPriceUsd, 1);
+});
+
+await test('cost basis, average entry and unrealized P&L', () => {
+  // $100 at $50k, then $100 at $25k
+  const swaps = [
+    { amountCryptoRaw: 200000n, costUsdRaw: 100000000n, timestamp: '2026-01-01T00:00:00Z' },
+    { amountCryptoRaw: 400000n, costUsdRaw: 100000000n, timestamp: '2026-02-01T00:00:00Z' },
+    { amountCryptoRaw: 100000n, costUsdRaw: null, timestamp: '2025-12-01T00:00:00Z' },
+  ];
+
+  const summary = summarizeCostBasis(swaps, { decimals: BTC_DECIMALS, currentPriceUSD: 40000 });
+
+  assert.equal(summary.totalCostUSD, 200);
+  assert.equal(summary.totalCostUsdRaw, '200000000');
+  assert.equal(summary.costedAmount, 0.006);
+  assert.equal(summary.averageEntryPriceUSD, 33333.33);
+  assert.equal(summary.currentValueUSD, 240);
+  assert.equal(summary.unrealizedPnlUSD, 40);
+  assert.equal(summary.unrealizedPnlPercentage, 20);
+  assert.equal(summary.uncostedSwapCount, 1);
+});
+
+await test('DCA beats a lump sum at the first price when the price falls', () => {
+  const swaps = [
+    { amountCryptoRaw: 400000n, costUsdRaw: 100000000n, timestamp: '2026-02-01T00:00:00Z' },
+    { amountCryptoRaw: 200000n, costUsdRaw: 100000000n, timestamp: '2026-01-01T00:00:00Z' },
+  ];
+
+  const { dcaVsLumpSum } = summarizeCostBasis(swaps, { decimals: BTC_DECIMALS, currentPriceUSD: 40000 });
+
+  assert.equal(dcaVsLumpSum.firstBuyPriceUSD, 50000);
+  assert.equal(dcaVsLumpSum.lumpSumAmount, 0.004);
+  assert.equal(dcaVsLumpSum.dcaAmount, 0.006);
+  assert.equal(dcaVsLumpSum.differenceUSD, 80);
+  assert.equal(dcaVsLumpSum.differencePercentage, 50);
+  assert.equal(dcaVsLumpSum.better, 'DCA');
+});
+
+await test('no priced swaps means no P&L', () => {
+  const summary = summarizeCostBasis([], { decimals: BTC_DECIMALS, currentPriceUSD: 40000 });
+
+  assert.equal(summary.totalCostUSD, 0);
+  assert.equal(summary.averageEntryPriceUSD, null);
+  assert.equal(summary.unrealizedPnlPercentage, null);
+  assert.equal(summary.dcaVsLumpSum, null);
+});
+
+finish();
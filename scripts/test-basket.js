@@ -0,0 +1,166 @@
+/**
+ * Test script for basket goals (lib/basket.js)
+ * Checks how a contribution is split across the components, that the legs
+ * always add up to it after rounding, how small legs are folded, and how
+ * component credits roll up into the goal's reference progress
+ *
+ * Usage: node scripts/test-basket.js
+ */
+
+import assert from 'node:assert/strict';
+import { createFakePrisma, createTestRunner } from './test-harness.js';
+
+// lib/prisma.js reuses a global client; set it before lib/basket.js is imported
+const db = createFakePrisma();
+global.prisma = db.client;
+
+const {
+  parseBasketComponents,
+  splitContribution,
+  basketInvestedRaw,
+  creditGoalSwap,
+} = await import('../lib/basket.js');
+
+let componentId = 0;
+
+/** A component row; amounts in the component's raw units */
+function component(weightBps, { target = 100_000_000n, invested = 0n } = {}) {
+  componentId++;
+  return {
+    id: `component_${componentId}`,
+    coin: `COIN${componentId}`,
+    weightBps,
+    targetAmountRaw: target,
+    investedAmountRaw: invested,
+  };
+}
+
+const amounts = (legs) => legs.map(leg => leg.amountRaw);
+const total = (legs) => legs.reduce((sum, leg) => sum + leg.amountRaw, 0n);
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Basket Test');
+console.log('==============\n');
+
+await test('a fresh basket is split by weight', () => {
+  const components = [component(6000), component(4000)];
+  const legs = splitContribution(25, components);
+
+  assert.deepEqual(legs.map(leg => leg.component), components);
+  assert.deepEqual(amounts(legs), [15_000_000n, 10_000_000n]);
+  assert.deepEqual(legs.map(leg => leg.amountUsdc), [15, 10]);
+});
+
+await test('components behind their target get more, complete ones nothing', () => {
+  const halfway = component(5000, { invested: 50_000_000n });
+  const behind = component(5000);
+  assert.deepEqual(amounts(splitContribution(30, [halfway, behind])), [10_000_000n, 20_000_000n]);
+
+  const done = component(5000, { invested: 100_000_000n });
+  const legs = splitContribution(30, [done, behind]);
+  assert.deepEqual(legs.map(leg => leg.component), [behind]);
+  assert.deepEqual(amounts(legs), [30_000_000n]);
+
+  // Past the target counts as complete too
+  assert.deepEqual(splitContribution(30, [component(5000, { invested: 200_000_000n }), component(5000, { invested: 100_000_000n })]), []);
+});
+
+await test('rounding dust goes to the component furthest behind, so the legs add up', () => {
+  const components = [component(3333), component(3333), component(3334)];
+  const legs = splitContribution(10.000001, components);
+  assert.deepEqual(amounts(legs), [3_333_000n, 3_333_000n, 3_334_001n]);
+
+  // Whatever the amounts and progress, nothing is lost or made up
+  const uneven = [
+    component(1700, { target: 3_000_000_000n, invested: 1_234_567n }),
+    component(2900, { target: 7_777_777n, invested: 11n }),
+    component(5400, { target: 99_999n, invested: 33_333n }),
+  ];
+  for (const amount of [10, 12.345678, 33.333333, 99.999999, 1000.000007]) {
+    assert.equal(total(splitContribution(amount, uneven)), BigInt(Math.round(amount * 1e6)), `${amount} USDC`);
+  }
+});
+
+await test('legs under 1 USDC are folded into the others', () => {
+  const small = component(500);
+  const large = component(9500);
+  const legs = splitContribution(10, [large, small]);
+  assert.deepEqual(legs.map(leg => leg.component), [large]);
+  assert.deepEqual(amounts(legs), [10_000_000n]);
+
+  // Enough for both: nothing is folded
+  assert.deepEqual(amounts(splitContribution(40, [large, small])), [38_000_000n, 2_000_000n]);
+
+  // A single component keeps even a small leg
+  assert.deepEqual(amounts(splitContribution(0.5, [large])), [500_000n]);
+});
+
+await test('goal progress counts each component up to its own target', () => {
+  const target = 100_000_000n;
+  assert.equal(basketInvestedRaw(target, [component(6000), component(4000)]), 0n);
+
+  // Half of the 60% component: 30% of the reference
+  assert.equal(basketInvestedRaw(target, [component(6000, { invested: 50_000_000n }), component(4000)]), 30_000_000n);
+
+  // Overbuying one component does not stand in for another
+  const overbought = [component(6000, { invested: 500_000_000n }), component(4000, { target: 7n, invested: 6n })];
+  assert.equal(basketInvestedRaw(target, overbought), 60_000_000n + (target * 4000n * 6n) / (7n * 10000n));
+  assert.ok(basketInvestedRaw(target, overbought) < target);
+
+  // Only a complete basket reaches the target, whatever the rounding
+  const complete = [component(3333, { target: 3n, invested: 3n }), component(6667, { target: 7n, invested: 9n })];
+  assert.equal(basketInvestedRaw(target, complete), target);
+});
+
+await test('crediting a leg updates its component and the goal, and completes the basket once', async () => {
+  const goal = db.seed('goal', {
+    userId: 'user_1',
+    coin: 'BTC',
+    tokenMint: 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij',
+    kind: 'BASKET',
+    targetAmountRaw: 100_000_000n,
+    amountDecimals: 8,
+    frequency: 'WEEKLY',
+    amountPerInterval: 25,
+  });
+  const [btc, eth] = [
+    { coin: 'BTC', weightBps: 6000, targetAmountRaw: 60_000_000n },
+    { coin: 'ETH', weightBps: 4000, targetAmountRaw: 1_000_000_000n },
+  ].map((fields, index) => db.seed('goalComponent', { goalId: goal.id, tokenMint: `mint_${index}`, amountDecimals: 8, ...fields }));
+
+  const credit = (componentRow, amountRaw) => db.client.$transaction(tx => creditGoalSwap(tx, {
+    goalId: goal.id,
+    componentId: componentRow.id,
+    amountRaw,
+  }));
+
+  const first = await credit(btc, 60_000_000n);
+  assert.equal(db.find('goalComponent', btc.id).investedAmountRaw, 60_000_000n);
+  assert.equal(first.goal.investedAmountRaw, 60_000_000n);
+  assert.equal(first.progress, 60);
+  assert.equal(db.find('goal', goal.id).status, 'ACTIVE');
+
+  const last = await credit(eth, 1_000_000_000n);
+  assert.equal(last.goal.investedAmountRaw, 100_000_000n);
+  assert.equal(db.find('goal', goal.id).status, 'COMPLETED');
+  assert.equal(db.find('goal', goal.id).nextRunAt, null);
+});
+
+await test('components are parsed from percentages that add up to 100', () => {
+  assert.deepEqual(parseBasketComponents([{ coin: ' BTC ', weight: 33.33 }, { coin: 'SOL', weight: 66.67 }]), [
+    { coin: 'BTC', weightBps: 3333 },
+    { coin: 'SOL', weightBps: 6667 },
+  ]);
+
+  const invalid = (components, pattern) => assert.throws(
+    () => parseBasketComponents(components),
+    (error) => error.code === 'INVALID_BASKET' && pattern.test(error.message)
+  );
+  invalid([{ coin: 'BTC', weight: 100 }], /2 to 5/);
+  invalid([{ coin: 'BTC', weight: 50 }, { coin: 'SOL', weight: 49.99 }], /add up to 100/);
+  invalid([{ coin: 'BTC', weight: 50.005 }, { coin: 'SOL', weight: 49.995 }], /two decimals/);
+  invalid([{ coin: 'BTC', weight: 0 }, { coin: 'SOL', weight: 100 }], /positive/);
+});
+
+finish();
@@ -0,0 +1,477 @@
+/**
+ * Test script for delegated swaps (lib/delegation.js)
+ * Checks the amount cap, expiry and the reservation against it through every
+ * way an execution can end: swapped, refunded, never pulled, or left to
+ * reconciliation (and settled by it), and the pre-trade checks of the swap the app wallet signs.
+ * Runs against an in-memory database, a fake Solana connection and a fake
+ * swap provider.
+ *
+ * Usage: node scripts/test-delegation.js [--verbose]
+ */
+
+import assert from 'node:assert/strict';
+import {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import {
+  AccountLayout,
+  ACCOUNT_SIZE,
+  TOKEN_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import { createFakePrisma, createTestRunner, silenceLogs } from './test-harness.js';
+
+const verbose = process.argv.includes('--verbose');
+
+const BTC_MINT = 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij';
+const SWAP_PROGRAM = Keypair.generate().publicKey;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lib/prisma.js reuses a global client; set it before anything imports it
+const db = createFakePrisma();
+global.prisma = db.client;
+const appWallet = Keypair.generate();
+Object.assign(process.env, {
+  SOLANA_RPC_URL: 'http://127.0.0.1:8899',
+  APP_WALLET_PRIVATE_KEY: Buffer.from(appWallet.secretKey).toString('base64'),
+});
+
+const {
+  findUsableDelegation,
+  executeDelegatedSwap,
+  settleDelegatedExecution,
+  prepareDelegationGrant,
+  DELEGATION_MAX_CAP_USDC,
+} = await import('../lib/delegation.js');
+const { getSolanaConnection } = await import('../lib/solana.js');
+const { setSwapProvider } = await import('../lib/swap-provider.js');
+const { getUsdcMint, toSmallestUnits, fromSmallestUnits } = await import('../lib/tokens.js');
+
+if (!verbose) {
+  silenceLogs();
+}
+
+const USDC = getUsdcMint();
+
+function tokenAccountData({ mint, owner, amount, delegate = null, delegatedAmount = 0n }) {
+  const data = Buffer.alloc(ACCOUNT_SIZE);
+  AccountLayout.encode({
+    mint: new PublicKey(mint),
+    owner: new PublicKey(owner),
+    amount: BigInt(amount),
+    delegateOption: delegate ? 1 : 0,
+    delegate: delegate ? new PublicKey(delegate) : PublicKey.default,
+    state: 1,
+    isNativeOption: 0,
+    isNative: 0n,
+    delegatedAmount: BigInt(delegatedAmount),
+    closeAuthorityOption: 0,
+    closeAuthority: PublicKey.default,
+  }, data);
+  return data;
+}
+
+/**
+ * The parts of a Solana connection the delegation uses
+ * Accounts are set with setTokenAccount/setAccount; sends are recorded and can
+ * fail through `failSend(index)`, confirmations through `confirmResult(index)`.
+ * Simulations are recorded and return no account state.
+ */
+function createFakeChain() {
+  const accounts = new Map();
+  const sent = [];
+  const simulations = [];
+  const chain = {
+    sent,
+    simulations,
+    failSend: () => null,
+    confirmResult: () => ({ value: { err: null } }),
+    failAccountReads: false,
+    setAccount(address, owner, data = Buffer.alloc(0)) {
+      accounts.set(address.toString(), { owner, data, lamports: 2039280, executable: false, rentEpoch: 0 });
+    },
+    setTokenAccount(address, state) {
+      chain.setAccount(address, TOKEN_PROGRAM_ID, tokenAccountData(state));
+    },
+  };
+
+  const connection = {
+    getAccountInfo: async (address) => {
+      if (chain.failAccountReads) throw new Error('fetch failed');
+      return accounts.get(address.toString()) ?? null;
+    },
+    getLatestBlockhash: async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 1000 }),
+    sendRawTransaction: async (buffer) => {
+      const index = sent.length;
+      const transaction = VersionedTransaction.deserialize(buffer);
+      const failure = chain.failSend(index, transaction);
+      if (failure) throw failure;
+      sent.push(transaction);
+      return `sig_${index + 1}`;
+    },
+    confirmTransaction: async () => {
+      const result = chain.confirmResult(sent.length - 1);
+      if (result instanceof Error) throw result;
+      return result;
+    },
+    getBalance: async () => 1000000000,
+    getTokenAccountsByOwner: async () => ({ value: [] }),
+    simulateTransaction: async (transaction, config) => {
+      simulations.push({ transaction, config });
+      return { value: { err: null, logs: [], accounts: null, unitsConsumed: 150000 } };
+    },
+  };
+
+  // The delegation reads the shared connection from lib/solana.js
+  Object.assign(getSolanaConnection(), connection);
+  return chain;
+}
+
+/**
+ * A provider whose swaps set up the member's output account and call its own
+ * program; `extraInstructions(payer)` adds to them. Its swaps move no balances.
+ */
+function createFakeProvider(recipient) {
+  const builds = [];
+  const provider = {
+    builds,
+    name: 'fake',
+    programs: { [SWAP_PROGRAM.toBase58()]: 'Fake swap' },
+    settlesBalances: false,
+    extraInstructions: () => [],
+    getQuote: async () => {
+      throw new Error('not used');
+    },
+    getSwapTransaction: async (quote, walletAddress, slippageBps, options) => {
+      builds.push({ walletAddress, slippageBps, options });
+      const payer = new PublicKey(walletAddress);
+      const outputMint = new PublicKey(quote.outputMint);
+      const message = new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [
+          createAssociatedTokenAccountIdempotentInstruction(payer, new PublicKey(options.destinationTokenAccount), recipient, outputMint),
+          new TransactionInstruction({ programId: SWAP_PROGRAM, keys: [{ pubkey: payer, isSigner: true, isWritable: true }], data: Buffer.from([1]) }),
+          ...provider.extraInstructions(payer),
+        ],
+      }).compileToV0Message();
+      return {
+        swapTransaction: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64'),
+        lastValidBlockHeight: 1000,
+      };
+    },
+  };
+  return provider;
+}
+
+let fixtureId = 0;
+
+/**
+ * A member with a USDC account that approved the app wallet for `cap` USDC,
+ * an ACTIVE delegation for it, a BTC goal and a batch, and fresh fakes
+ */
+function setup({ cap = 100, used = 0, expiresInDays = 30, onChainCap = cap, balance = 500, delegate = appWallet.publicKey } = {}) {
+  fixtureId++;
+  const wallet = Keypair.generate().publicKey;
+  const userTokenAccount = getAssociatedTokenAddressSync(new PublicKey(USDC.mint), wallet);
+
+  const user = db.seed('user', {
+    id: `user_${fixtureId}`,
+    privyId: `did:privy:${fixtureId}`,
+    email: `member-${fixtureId}@example.com`,
+    walletAddress: wallet.toBase58(),
+  });
+  const goal = db.seed('goal', {
+    userId: user.id,
+    coin: 'BTC',
+    tokenMint: BTC_MINT,
+    targetAmountRaw: 1_000_000n,
+    amountDecimals: 8,
+    frequency: 'WEEKLY',
+    amountPerInterval: 25,
+  });
+  const delegation = db.seed('swapDelegation', {
+    userId: user.id,
+    delegateAddress: appWallet.publicKey.toBase58(),
+    tokenMint: USDC.mint,
+    tokenAccount: userTokenAccount.toBase58(),
+    amountCapRaw: toSmallestUnits(cap, USDC.decimals),
+    amountUsedRaw: toSmallestUnits(used, USDC.decimals),
+    expiresAt: new Date(Date.now() + expiresInDays * DAY_MS),
+    status: 'ACTIVE',
+  });
+
+  const chain = createFakeChain();
+  chain.setTokenAccount(userTokenAccount, {
+    mint: USDC.mint,
+    owner: wallet,
+    amount: toSmallestUnits(balance, USDC.decimals),
+    delegate,
+    delegatedAmount: toSmallestUnits(onChainCap, USDC.decimals),
+  });
+  // The user's BTC account exists already, so nothing is created for it
+  const btcAccount = getAssociatedTokenAddressSync(new PublicKey(BTC_MINT), wallet, true);
+  chain.setAccount(btcAccount, TOKEN_PROGRAM_ID);
+  chain.setAccount(new PublicKey(BTC_MINT), TOKEN_PROGRAM_ID);
+
+  const provider = createFakeProvider(wallet);
+  setSwapProvider(provider);
+
+  const run = (amountUsdc, overrides = {}) => {
+    fixtureId++;
+    const batchId = `batch_${fixtureId}`;
+    db.seed('investmentBatch', { id: batchId, goalId: goal.id, state: 'QUOTED' });
+    return executeDelegatedSwap({
+      delegation,
+      goal: { ...goal, user },
+      batchId,
+      quote: {
+        inputMint: USDC.mint,
+        outputMint: BTC_MINT,
+        inAmount: toSmallestUnits(amountUsdc, USDC.decimals).toString(),
+        outAmount: '25000',
+        slippageBps: 50,
+        quoteId: `quote_${fixtureId}`,
+      },
+      amountRaw: toSmallestUnits(amountUsdc, USDC.decimals),
+      ...overrides,
+    });
+  };
+
+  return { user, goal, delegation, chain, provider, run, btcAccount };
+}
+
+const usdc = (amount) => toSmallestUnits(amount, USDC.decimals);
+const amountUsed = (delegation) => fromSmallestUnits(db.find('swapDelegation', delegation.id).amountUsedRaw, USDC.decimals);
+const delegationStatus = (delegation) => db.find('swapDelegation', delegation.id).status;
+const executions = (delegation) => db.rows('delegatedExecution').filter(e => e.delegationId === delegation.id);
+const lastExecution = (delegation) => executions(delegation).at(-1);
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Delegation Test');
+console.log('==================\n');
+
+await test('findUsableDelegation needs an ACTIVE, unexpired delegation with room under the cap', async () => {
+  const { user, delegation } = setup({ cap: 100, used: 60 });
+
+  assert.equal((await findUsableDelegation(user.id, usdc(40))).id, delegation.id);
+  assert.equal(await findUsableDelegation(user.id, usdc(40.01)), null);
+  assert.equal(delegationStatus(delegation), 'EXHAUSTED');
+  assert.equal(await findUsableDelegation(user.id, usdc(1)), null);
+
+  const expired = setup({ expiresInDays: -1 });
+  assert.equal(await findUsableDelegation(expired.user.id, usdc(10)), null);
+  assert.equal(delegationStatus(expired.delegation), 'EXPIRED');
+
+  assert.equal(await findUsableDelegation('user_without_delegation', usdc(10)), null);
+});
+
+await test('a grant is refused outside the cap and expiry limits', async () => {
+  const { user } = setup();
+  for (const amountCapUsdc of [5, DELEGATION_MAX_CAP_USDC + 1, '50', NaN]) {
+    await assert.rejects(
+      prepareDelegationGrant({ user, amountCapUsdc, expiresInDays: 30 }),
+      (error) => error.code === 'VALIDATION_ERROR' && /amountCapUsdc/.test(error.message)
+    );
+  }
+  await assert.rejects(
+    prepareDelegationGrant({ user, amountCapUsdc: 100, expiresInDays: 0 }),
+    (error) => error.code === 'VALIDATION_ERROR' && /expiresInDays/.test(error.message)
+  );
+});
+
+await test('a successful swap keeps its amount reserved and delivers to the member', async () => {
+  const { user, delegation, chain, provider, run, btcAccount } = setup({ cap: 100 });
+  const submitted = [];
+
+  const result = await run(25, { onSubmitted: async (signature) => submitted.push(signature) });
+
+  assert.deepEqual(result, { signature: 'sig_2', confirmed: true, onChainError: null, executionId: lastExecution(delegation).id });
+  assert.deepEqual(submitted, ['sig_2']);
+  assert.equal(amountUsed(delegation), 25);
+  assert.equal(lastExecution(delegation).status, 'SUCCEEDED');
+  assert.equal(lastExecution(delegation).pullSignature, 'sig_1');
+  assert.equal(chain.sent.length, 2);
+
+  // The app wallet signs the swap; the coin goes to the member's account
+  assert.equal(provider.builds[0].walletAddress, appWallet.publicKey.toBase58());
+  assert.equal(provider.builds[0].options.destinationTokenAccount, btcAccount.toBase58());
+
+  // Checked before signing, with both wallets' balances simulated
+  assert.equal(chain.simulations.length, 1);
+  const [{ config }] = chain.simulations;
+  assert.ok(config.accounts.addresses.includes(appWallet.publicKey.toBase58()));
+  assert.ok(config.accounts.addresses.includes(user.walletAddress));
+});
+
+await test('concurrent executions stay within the cap', async () => {
+  const { delegation, run } = setup({ cap: 100 });
+
+  const results = await Promise.allSettled([run(60), run(60)]);
+  const rejected = results.filter(r => r.status === 'rejected');
+
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].reason.code, 'DELEGATION_INVALID_STATE');
+  assert.equal(amountUsed(delegation), 60);
+  assert.deepEqual(executions(delegation).map(e => e.status).sort(), ['FAILED', 'SUCCEEDED']);
+});
+
+await test('amounts that do not add up exactly in floating point still fill the cap', async () => {
+  // 0.1 + 0.1 + 0.1 overshoots 0.3 as a float
+  const { delegation, run } = setup({ cap: 0.3 });
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await run(0.1)).confirmed, true);
+  }
+  assert.equal(db.find('swapDelegation', delegation.id).amountUsedRaw, 300000n);
+  await assert.rejects(run(0.000001), (error) => error.code === 'DELEGATION_INVALID_STATE');
+});
+
+await test('the reservation is released when the allowance is gone or the balance is short', async () => {
+  const revoked = setup({ delegate: Keypair.generate().publicKey });
+  await assert.rejects(revoked.run(25), (error) => error.code === 'DELEGATION_NOT_VERIFIED');
+  assert.equal(amountUsed(revoked.delegation), 0);
+  assert.equal(delegationStatus(revoked.delegation), 'REVOKED');
+  assert.equal(lastExecution(revoked.delegation).status, 'FAILED');
+
+  const lowAllowance = setup({ cap: 100, onChainCap: 10 });
+  await assert.rejects(lowAllowance.run(25), (error) => error.code === 'DELEGATION_NOT_VERIFIED');
+  assert.equal(amountUsed(lowAllowance.delegation), 0);
+
+  const poor = setup({ balance: 5 });
+  await assert.rejects(poor.run(25), (error) => error.code === 'INSUFFICIENT_BALANCE');
+  assert.equal(amountUsed(poor.delegation), 0);
+  assert.equal(delegationStatus(poor.delegation), 'ACTIVE');
+  assert.equal(poor.chain.sent.length, 0);
+});
+
+await test('the reservation is released when an RPC error or a failed pull stops the run', async () => {
+  const offline = setup();
+  offline.chain.failAccountReads = true;
+  await assert.rejects(offline.run(25), /fetch failed/);
+  assert.equal(amountUsed(offline.delegation), 0);
+  assert.equal(lastExecution(offline.delegation).status, 'FAILED');
+
+  const pullFails = setup();
+  pullFails.chain.failSend = () => new Error('Blockhash not found');
+  await assert.rejects(pullFails.run(25), /Blockhash not found/);
+  assert.equal(amountUsed(pullFails.delegation), 0);
+  assert.equal(lastExecution(pullFails.delegation).pullSignature, null);
+
+  // Released amounts can be used again
+  pullFails.chain.failSend = () => null;
+  assert.equal((await pullFails.run(100)).confirmed, true);
+  assert.equal(amountUsed(pullFails.delegation), 100);
+});
+
+await test('a failed swap refunds the USDC and releases the reservation', async () => {
+  const { delegation, chain, run } = setup();
+  chain.confirmResult = (index) => ({ value: { err: index === 1 ? { InstructionError: [2, { Custom: 6001 }] } : null } });
+
+  await assert.rejects(run(25), (error) => error.code === 'SWAP_EXECUTION_FAILED');
+  assert.equal(chain.sent.length, 3);
+  assert.equal(lastExecution(delegation).status, 'REFUNDED');
+  assert.equal(lastExecution(delegation).refundSignature, 'sig_3');
+  assert.equal(amountUsed(delegation), 0);
+});
+
+await test('a swap that fails the pre-trade checks is never signed, and the USDC is refunded', async () => {
+  const { delegation, chain, provider, run } = setup();
+  const stranger = Keypair.generate().publicKey;
+  provider.extraInstructions = (payer) => [SystemProgram.transfer({ fromPubkey: payer, toPubkey: stranger, lamports: 1000000 })];
+
+  await assert.rejects(run(25), (error) => error.code === 'UNEXPECTED_ACCOUNT' && /moves SOL outside the swap/.test(error.message));
+  // Pull, then the refund: the swap itself is never sent
+  assert.equal(chain.sent.length, 2);
+  assert.equal(lastExecution(delegation).status, 'REFUNDED');
+  assert.equal(amountUsed(delegation), 0);
+
+  // Nor may any other wallet pay for it
+  const { delegation: other, chain: otherChain, provider: otherProvider, run: otherRun } = setup();
+  const getSwapTransaction = otherProvider.getSwapTransaction;
+  otherProvider.getSwapTransaction = (quote, walletAddress, ...rest) => getSwapTransaction(quote, Keypair.generate().publicKey.toBase58(), ...rest);
+  await assert.rejects(otherRun(25), (error) => error.code === 'UNEXPECTED_ACCOUNT' && /not the app wallet/.test(error.message));
+  assert.equal(otherChain.sent.length, 2);
+  assert.equal(amountUsed(other), 0);
+});
+
+await test('the reservation is kept while the USDC is out of the member\'s account', async () => {
+  // Swap sent but not confirmed: it may still land, reconciliation settles it
+  const pending = setup();
+  pending.chain.confirmResult = (index) => (index === 1 ? new Error('block height exceeded') : { value: { err: null } });
+  const result = await pending.run(25);
+  assert.equal(result.confirmed, false);
+  assert.equal(lastExecution(pending.delegation).status, 'SUBMITTED');
+  assert.equal(amountUsed(pending.delegation), 25);
+
+  // Refund failed: the USDC sits in the app wallet until refunded by hand
+  const stuck = setup();
+  stuck.chain.confirmResult = (index) => ({ value: { err: index === 1 ? { InstructionError: [2, 'Custom'] } : null } });
+  stuck.chain.failSend = (index) => (index === 2 ? new Error('refund send failed') : null);
+  await assert.rejects(stuck.run(25), (error) => error.code === 'SWAP_EXECUTION_FAILED');
+  assert.equal(lastExecution(stuck.delegation).status, 'FAILED');
+  assert.match(lastExecution(stuck.delegation).error, /refund failed/);
+  assert.equal(amountUsed(stuck.delegation), 25);
+});
+
+await test('reconciliation refunds a timed-out swap that failed, and keeps one that landed', async () => {
+  const timedOut = (index) => (index === 1 ? new Error('fetch failed') : { value: { err: null } });
+
+  const failed = setup();
+  failed.chain.confirmResult = timedOut;
+  await failed.run(25);
+  const { batchId } = lastExecution(failed.delegation);
+  failed.chain.confirmResult = () => ({ value: { err: null } });
+
+  const settled = await settleDelegatedExecution({ batchId, succeeded: false, error: new Error('Slippage exceeded') });
+  assert.equal(settled.status, 'REFUNDED');
+  assert.equal(settled.refundSignature, 'sig_3');
+  assert.equal(amountUsed(failed.delegation), 0);
+  // The refund goes back to the member's USDC account
+  const refund = failed.chain.sent[2];
+  assert.ok(refund.message.staticAccountKeys.some(key => key.toBase58() === failed.delegation.tokenAccount));
+
+  // Settled once, however often reconciliation sees it
+  assert.equal(await settleDelegatedExecution({ batchId, succeeded: false }), null);
+  assert.equal(failed.chain.sent.length, 3);
+
+  const landed = setup();
+  landed.chain.confirmResult = timedOut;
+  await landed.run(25);
+  const confirmed = await settleDelegatedExecution({ batchId: lastExecution(landed.delegation).batchId, succeeded: true });
+  assert.equal(confirmed.status, 'SUCCEEDED');
+  assert.equal(lastExecution(landed.delegation).status, 'SUCCEEDED');
+  assert.equal(amountUsed(landed.delegation), 25);
+  assert.equal(landed.chain.sent.length, 2);
+});
+
+await test('a reconciled refund that fails is left for a manual refund with the cap still reserved', async () => {
+  const { delegation, chain, run } = setup();
+  chain.confirmResult = (index) => (index === 1 ? new Error('fetch failed') : { value: { err: null } });
+  await run(25);
+  chain.failSend = (index) => (index === 2 ? new Error('refund send failed') : null);
+
+  const settled = await settleDelegatedExecution({ batchId: lastExecution(delegation).batchId, succeeded: false, error: new Error('Slippage exceeded') });
+  assert.equal(settled.status, 'FAILED');
+  assert.match(settled.error, /refund failed/);
+  assert.equal(amountUsed(delegation), 25);
+});
+
+await test('a quote for another input token is refused before anything is reserved', async () => {
+  const { delegation, run, chain } = setup();
+  await assert.rejects(
+    run(25, { quote: { inputMint: BTC_MINT, outputMint: USDC.mint, slippageBps: 50 } }),
+    (error) => error.code === 'DELEGATION_MINT_MISMATCH'
+  );
+  assert.equal(amountUsed(delegation), 0);
+  assert.equal(executions(delegation).length, 0);
+  assert.equal(chain.sent.length, 0);
+});
+
+finish();
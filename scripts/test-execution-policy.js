@@ -0,0 +1,219 @@
+/**
+ * Test script for per-trade slippage and priority fees (lib/execution-policy.js)
+ * Checks the volatility measure, the slippage and fee picks against member and
+ * app limits, and re-quoting once the price impact is known, against an
+ * in-memory price history and a fake Solana connection
+ *
+ * Usage: node scripts/test-execution-policy.js [--verbose]
+ */
+
+import assert from 'node:assert/strict';
+import { createFakePrisma, createTestRunner, silenceLogs } from './test-harness.js';
+
+const verbose = process.argv.includes('--verbose');
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lib/prisma.js reuses a global client; set it before the policy is imported
+const db = createFakePrisma();
+global.prisma = db.client;
+process.env.SOLANA_RPC_URL = 'http://127.0.0.1:8899';
+
+const {
+  SLIPPAGE_CONFIG,
+  PRIORITY_FEE_CONFIG,
+  measureVolatility,
+  pickSlippage,
+  pickPriorityFee,
+  validateExecutionLimits,
+  prepareExecutionPolicy,
+  quoteWithPolicy,
+} = await import('../lib/execution-policy.js');
+const { ValidationError } = await import('../lib/errors.js');
+
+if (!verbose) {
+  silenceLogs();
+}
+
+/**
+ * Daily closes for a symbol over the last `days` days, moving up and down by
+ * `swing` each day (daily log returns of about ±swing)
+ */
+async function seedHistory(symbol, { days, swing, start = 100 }) {
+  await db.client.priceSnapshot.deleteMany({ where: { symbol } });
+  for (let day = days; day >= 0; day--) {
+    db.seed('priceSnapshot', {
+      symbol,
+      priceUsd: day % 2 === 0 ? start : start * (1 + swing),
+      source: 'COLLECTOR',
+      capturedAt: new Date(NOW.getTime() - day * DAY_MS),
+    });
+  }
+}
+
+function fakeConnection(fees) {
+  return {
+    getRecentPrioritizationFees: async () => {
+      if (fees instanceof Error) throw fees;
+      return fees.map((prioritizationFee, slot) => ({ slot, prioritizationFee }));
+    },
+  };
+}
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Execution Policy Test');
+console.log('========================\n');
+
+await test('measureVolatility combines the volatile sides and skips stablecoins', async () => {
+  await seedHistory('BTC', { days: 30, swing: 0.02 });
+  await seedHistory('SOL', { days: 30, swing: 0.04 });
+
+  const btc = await measureVolatility(['USDC', 'BTC'], { now: NOW });
+  assert.deepEqual(Object.keys(btc.bySymbol), ['BTC']);
+  assert.ok(btc.bySymbol.BTC > 190 && btc.bySymbol.BTC < 210, `BTC ${btc.bySymbol.BTC} bps`);
+
+  const pair = await measureVolatility(['SOL', 'BTC'], { now: NOW });
+  const combined = Math.round(Math.sqrt(pair.bySymbol.SOL ** 2 + pair.bySymbol.BTC ** 2));
+  assert.equal(pair.dailyBps, combined);
+});
+
+await test('measureVolatility needs a week of history for every volatile side', async () => {
+  await seedHistory('BONK', { days: 5, swing: 0.1 });
+  assert.equal(await measureVolatility(['USDC', 'BONK'], { now: NOW }), null);
+  assert.equal(await measureVolatility(['BTC', 'BONK'], { now: NOW }), null);
+  assert.equal(await measureVolatility(['USDC', 'NOHISTORY'], { now: NOW }), null);
+});
+
+await test('pickSlippage adds volatility and price impact to the floor', () => {
+  const fallback = pickSlippage({});
+  assert.equal(fallback.slippageBps, SLIPPAGE_CONFIG.DEFAULT);
+  assert.match(fallback.reasons[0], /default/);
+
+  // 400 bps a day is about 24 bps over five minutes
+  const calm = pickSlippage({ volatility: { dailyBps: 400 } });
+  assert.equal(calm.volatilityBps, 24);
+  assert.equal(calm.slippageBps, SLIPPAGE_CONFIG.MIN + 24);
+
+  const large = pickSlippage({ volatility: { dailyBps: 400 }, priceImpactPct: '0.8' });
+  assert.equal(large.slippageBps, SLIPPAGE_CONFIG.MIN + 24 + 40);
+  assert.equal(large.priceImpactPct, 0.8);
+  assert.equal(large.reasons.length, 2);
+});
+
+await test('pickSlippage stays within the member and app maximums', () => {
+  const member = pickSlippage({ volatility: { dailyBps: 400 }, priceImpactPct: 0.8, maxSlippageBps: 60 });
+  assert.equal(member.slippageBps, 60);
+  assert.match(member.reasons.at(-1), /your maximum of 60/);
+
+  const app = pickSlippage({ volatility: { dailyBps: 5000 }, priceImpactPct: 3 });
+  assert.equal(app.slippageBps, SLIPPAGE_CONFIG.MAX_ALLOWED);
+  assert.match(app.reasons.at(-1), /limit/);
+
+  // A member maximum above the app's does not raise it
+  assert.equal(pickSlippage({ volatility: { dailyBps: 5000 }, maxSlippageBps: 500 }).slippageBps, SLIPPAGE_CONFIG.MAX_ALLOWED);
+});
+
+await test('pickPriorityFee follows recent fees and stays within the maximums', () => {
+  const quiet = pickPriorityFee({ recentFees: [] });
+  assert.equal(quiet.maxLamports, PRIORITY_FEE_CONFIG.DEFAULT_LAMPORTS);
+  assert.equal(quiet.priorityLevel, 'medium');
+
+  // 75th percentile of 0, 0, 10000, 50000 is 50000 micro-lamports per CU → 15000 lamports
+  const busy = pickPriorityFee({ recentFees: [0, 50000, 0, 10000].map(prioritizationFee => ({ prioritizationFee })) });
+  assert.equal(busy.microLamportsPerCu, 50000);
+  assert.equal(busy.maxLamports, 15000);
+  assert.equal(busy.priorityLevel, 'high');
+
+  const congested = pickPriorityFee({
+    recentFees: [1000000].map(prioritizationFee => ({ prioritizationFee })),
+    maxPriorityFeeLamports: 100000,
+  });
+  assert.equal(congested.priorityLevel, 'veryHigh');
+  assert.equal(congested.maxLamports, 100000);
+  assert.match(congested.reasons.at(-1), /your maximum/);
+
+  // Near-zero fees still pay the minimum
+  assert.equal(pickPriorityFee({ recentFees: [{ prioritizationFee: 1 }] }).maxLamports, PRIORITY_FEE_CONFIG.MIN_LAMPORTS);
+});
+
+await test('validateExecutionLimits accepts integers in range and null', () => {
+  assert.deepEqual(validateExecutionLimits({ maxSlippageBps: 75, maxPriorityFeeLamports: 20000 }), {
+    maxSlippageBps: 75,
+    maxPriorityFeeLamports: 20000,
+  });
+  assert.deepEqual(validateExecutionLimits({ maxSlippageBps: null }), { maxSlippageBps: null });
+  assert.deepEqual(validateExecutionLimits({ timezone: 'UTC' }), {});
+
+  assert.throws(() => validateExecutionLimits({ maxSlippageBps: 10 }), ValidationError);
+  assert.throws(() => validateExecutionLimits({ maxSlippageBps: 500 }), ValidationError);
+  assert.throws(() => validateExecutionLimits({ maxSlippageBps: '75' }), ValidationError);
+  assert.throws(() => validateExecutionLimits({ maxPriorityFeeLamports: -1 }), ValidationError);
+});
+
+await test('prepareExecutionPolicy applies the member limits and survives a failing fee lookup', async () => {
+  await seedHistory('BTC', { days: 30, swing: 0.02 });
+  db.seed('user', {
+    id: 'user_1',
+    privyId: 'privy_1',
+    email: 'member@example.com',
+    maxSlippageBps: 40,
+    maxPriorityFeeLamports: 8000,
+  });
+
+  const policy = await prepareExecutionPolicy({
+    symbols: ['USDC', 'BTC'],
+    userId: 'user_1',
+    connection: fakeConnection(new Error('RPC down')),
+    now: NOW,
+  });
+  // 30 + 12 bps of volatility, over the member's maximum
+  assert.equal(policy.slippage.volatilityBps, 12);
+  assert.equal(policy.slippage.slippageBps, 40);
+  assert.equal(policy.priorityFee.maxLamports, 8000);
+  assert.deepEqual(policy.limits, { maxSlippageBps: 40, maxPriorityFeeLamports: 8000 });
+  assert.equal(policy.chosenAt, NOW.toISOString());
+
+  await assert.rejects(
+    prepareExecutionPolicy({ symbols: ['USDC', 'BTC'], userId: 'user_1', slippageBps: 100, connection: fakeConnection([]), now: NOW }),
+    ValidationError
+  );
+
+  const requested = await prepareExecutionPolicy({ symbols: ['USDC', 'BTC'], userId: 'user_2', slippageBps: 100, connection: fakeConnection([]), now: NOW });
+  assert.equal(requested.slippage.slippageBps, 100);
+  assert.equal(requested.slippage.requested, true);
+  assert.equal(requested.volatility, null);
+});
+
+await test('quoteWithPolicy re-quotes when the price impact raises the slippage', async () => {
+  const base = {
+    slippage: pickSlippage({ volatility: { dailyBps: 400 } }),
+    priorityFee: pickPriorityFee({}),
+    volatility: { dailyBps: 400 },
+    limits: { maxSlippageBps: null, maxPriorityFeeLamports: null },
+  };
+  const quotes = [];
+  const getQuote = (impact) => async (slippageBps) => {
+    quotes.push(slippageBps);
+    return { quote: { priceImpactPct: impact, slippageBps } };
+  };
+
+  const { result, policy } = await quoteWithPolicy(base, getQuote('0.5'));
+  assert.deepEqual(quotes, [54, 79]);
+  assert.equal(result.quote.slippageBps, 79);
+  assert.equal(policy.slippage.slippageBps, 79);
+  assert.equal(policy.slippage.priceImpactPct, 0.5);
+
+  quotes.length = 0;
+  await quoteWithPolicy(base, getQuote('0'));
+  assert.deepEqual(quotes, [54]);
+
+  quotes.length = 0;
+  const requested = { ...base, slippage: { slippageBps: 100, requested: true } };
+  const kept = await quoteWithPolicy(requested, getQuote('5'));
+  assert.deepEqual(quotes, [100]);
+  assert.equal(kept.policy, requested);
+});
+
+finish();
@@ -0,0 +1,327 @@
+/**
+ * Test script for shared goals (lib/goal-members.js)
+ * Checks role checks, invite links, owner hand-over and contribution shares,
+ * and calls the cancel, swap, invest, history and members routes as
+ * different members, against an in-memory database
+ *
+ * Usage: node scripts/test-goal-members.js [--verbose]
+ */
+
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import jwt from 'jsonwebtoken';
+import { createFakePrisma, createTestRunner, silenceLogs } from './test-harness.js';
+
+// Route handlers import through the `@/` alias
+register('./alias-loader.js', import.meta.url);
+
+const verbose = process.argv.includes('--verbose');
+
+const BTC_MINT = 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij';
+const NOW = new Date('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lib/prisma.js reuses a global client; set it before anything imports it
+const db = createFakePrisma();
+global.prisma = db.client;
+Object.assign(process.env, {
+  SOLANA_RPC_URL: 'http://127.0.0.1:8899',
+  JWT_SECRET: 'goal-members-test-secret',
+  PRIVY_APP_ID: process.env.PRIVY_APP_ID || 'goal-members-test',
+  PRIVY_APP_SECRET: process.env.PRIVY_APP_SECRET || 'goal-members-test',
+});
+
+const {
+  goalAccessWhere,
+  findGoalForMember,
+  getBatchContributorId,
+  splitHolding,
+  createGoalInvite,
+  acceptGoalInvite,
+  revokeGoalInvite,
+  updateMemberRole,
+  removeGoalMember,
+} = await import('../lib/goal-members.js');
+const cancelRoute = await import('../app/api/investments/[batchId]/cancel/route.js');
+const swapRoute = await import('../app/api/swap/execute/route.js');
+const investRoute = await import('../app/api/invest/execute/route.js');
+const historyRoute = await import('../app/api/history/route.js');
+const membersRoute = await import('../app/api/goals/[id]/members/route.js');
+
+if (!verbose) {
+  silenceLogs();
+}
+
+db.seed('token', { mint: BTC_MINT, symbol: 'BTC', name: 'Bitcoin', decimals: 8, maxTarget: 10 });
+
+let fixtureId = 0;
+
+function seedUser(name) {
+  fixtureId++;
+  return db.seed('user', {
+    id: `${name}_${fixtureId}`,
+    privyId: `did:privy:${name}-${fixtureId}`,
+    email: `${name}-${fixtureId}@example.com`,
+  });
+}
+
+/**
+ * A goal owned by a new user, with members joining a day apart in the
+ * order given (`{ alice: 'CONTRIBUTOR', victor: 'VIEWER' }`)
+ */
+function seedGoal(roles = {}) {
+  const owner = seedUser('owner');
+  const goal = db.seed('goal', {
+    userId: owner.id,
+    coin: 'BTC',
+    tokenMint: BTC_MINT,
+    targetAmountRaw: 1_000_000n,
+    investedAmountRaw: 0n,
+    amountDecimals: 8,
+    frequency: 'MONTHLY',
+    amountPerInterval: 10,
+  });
+  const users = { owner };
+  db.seed('goalMember', { goalId: goal.id, userId: owner.id, role: 'OWNER', createdAt: new Date(NOW.getTime() - 30 * DAY_MS) });
+
+  Object.entries(roles).forEach(([name, role], i) => {
+    users[name] = seedUser(name);
+    db.seed('goalMember', {
+      goalId: goal.id,
+      userId: users[name].id,
+      role,
+      invitedById: owner.id,
+      createdAt: new Date(NOW.getTime() - (20 - i) * DAY_MS),
+    });
+  });
+
+  return { goal, users };
+}
+
+/**
+ * A batch funded by a member (contributorId null: recorded before goals were shared)
+ */
+function seedBatch(goal, contributorId, state = 'ONRAMP_CONFIRMED') {
+  fixtureId++;
+  const batch = db.seed('investmentBatch', { id: `batch_${fixtureId}`, goalId: goal.id, state });
+  db.seed('transaction', {
+    goalId: goal.id,
+    batchId: batch.id,
+    type: 'ONRAMP',
+    provider: 'FAUCET',
+    network: 'DEVNET',
+    amountUsdRaw: 10_000_000n,
+    contributorId,
+  });
+  return batch;
+}
+
+async function call(handler, user, { path, method = 'POST', body, params } = {}) {
+  const token = jwt.sign({ sub: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  const request = new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', cookie: `app_session=${token}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const response = await handler(request, { params: Promise.resolve(params || {}) });
+  return { status: response.status, data: await response.json() };
+}
+
+const cancel = (user, batch) => call(cancelRoute.POST, user, {
+  path: `/api/investments/${batch.id}/cancel`,
+  params: { batchId: batch.id },
+});
+
+const errorCode = (code) => (error) => error.code === code;
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Goal Members Test');
+console.log('====================\n');
+
+await test('members need the role an action asks for; non-members do not see the goal', async () => {
+  const { goal, users } = seedGoal({ alice: 'CONTRIBUTOR', victor: 'VIEWER' });
+  const outsider = seedUser('outsider');
+
+  assert.equal((await findGoalForMember(goal.id, users.alice.id, 'CONTRIBUTOR')).role, 'CONTRIBUTOR');
+  assert.equal((await findGoalForMember(goal.id, users.victor.id)).role, 'VIEWER');
+  await assert.rejects(findGoalForMember(goal.id, users.victor.id, 'CONTRIBUTOR'), errorCode('AUTHORIZATION_ERROR'));
+  await assert.rejects(findGoalForMember(goal.id, users.alice.id, 'OWNER'), errorCode('AUTHORIZATION_ERROR'));
+  await assert.rejects(findGoalForMember(goal.id, outsider.id), errorCode('NOT_FOUND'));
+
+  const visible = (userId, role) => db.client.goal.count({ where: { id: goal.id, ...goalAccessWhere(userId, role) } });
+  assert.equal(await visible(users.victor.id), 1);
+  assert.equal(await visible(users.victor.id, 'CONTRIBUTOR'), 0);
+  assert.equal(await visible(users.alice.id, 'CONTRIBUTOR'), 1);
+  assert.equal(await visible(outsider.id), 0);
+});
+
+await test('an invite link works once and cannot be used expired or revoked', async () => {
+  const { goal, users } = seedGoal();
+  const [friend, stranger] = [seedUser('friend'), seedUser('stranger')];
+
+  await assert.rejects(
+    createGoalInvite({ goal, user: users.owner, role: 'ADMIN', now: NOW }),
+    errorCode('VALIDATION_ERROR')
+  );
+
+  const invite = await createGoalInvite({ goal, user: users.owner, role: 'CONTRIBUTOR', now: NOW });
+  const joined = await acceptGoalInvite({ token: invite.token, user: friend, now: NOW });
+  assert.equal(joined.role, 'CONTRIBUTOR');
+  assert.equal((await findGoalForMember(goal.id, friend.id)).role, 'CONTRIBUTOR');
+
+  // Accepting again is a no-op; anyone else is turned away
+  assert.equal((await acceptGoalInvite({ token: invite.token, user: friend, now: NOW })).role, 'CONTRIBUTOR');
+  await assert.rejects(acceptGoalInvite({ token: invite.token, user: stranger, now: NOW }), errorCode('INVITE_ALREADY_USED'));
+
+  const expiring = await createGoalInvite({ goal, user: users.owner, role: 'VIEWER', expiresInDays: 1, now: NOW });
+  const later = new Date(NOW.getTime() + 2 * DAY_MS);
+  await assert.rejects(acceptGoalInvite({ token: expiring.token, user: stranger, now: later }), errorCode('INVITE_EXPIRED'));
+
+  const revoked = await createGoalInvite({ goal, user: users.owner, role: 'VIEWER', now: NOW });
+  await revokeGoalInvite(goal, revoked.id, NOW);
+  await assert.rejects(acceptGoalInvite({ token: revoked.token, user: stranger, now: NOW }), errorCode('INVITE_REVOKED'));
+  await assert.rejects(findGoalForMember(goal.id, stranger.id), errorCode('NOT_FOUND'));
+});
+
+await test('accepting an invite keeps the higher of two roles', async () => {
+  const { goal, users } = seedGoal({ victor: 'VIEWER' });
+
+  const promote = await createGoalInvite({ goal, user: users.owner, role: 'OWNER', now: NOW });
+  assert.equal((await acceptGoalInvite({ token: promote.token, user: users.victor, now: NOW })).role, 'OWNER');
+
+  const demote = await createGoalInvite({ goal, user: users.owner, role: 'VIEWER', now: NOW });
+  assert.equal((await acceptGoalInvite({ token: demote.token, user: users.victor, now: NOW })).role, 'OWNER');
+  assert.equal(db.rows('goalMember').filter(m => m.goalId === goal.id && m.userId === users.victor.id).length, 1);
+});
+
+await test('the last owner cannot step down; the primary owner leaving hands the goal on', async () => {
+  const { goal, users } = seedGoal({ alice: 'CONTRIBUTOR', olaf: 'OWNER', oona: 'OWNER' });
+
+  await assert.rejects(
+    updateMemberRole({ goal, memberUserId: users.alice.id, role: 'OWNER?' }),
+    errorCode('VALIDATION_ERROR')
+  );
+  await assert.rejects(
+    removeGoalMember({ goal, memberUserId: seedUser('nobody').id }),
+    errorCode('NOT_FOUND')
+  );
+
+  // The longest-standing other owner takes over
+  const { primaryOwnerId } = await removeGoalMember({ goal, memberUserId: users.owner.id });
+  assert.equal(primaryOwnerId, users.olaf.id);
+  assert.equal(db.find('goal', goal.id).userId, users.olaf.id);
+
+  const current = { ...goal, userId: users.olaf.id };
+  const demoted = await updateMemberRole({ goal: current, memberUserId: users.olaf.id, role: 'VIEWER' });
+  assert.deepEqual(demoted, { role: 'VIEWER', primaryOwnerId: users.oona.id });
+
+  const last = { ...goal, userId: users.oona.id };
+  await assert.rejects(updateMemberRole({ goal: last, memberUserId: users.oona.id, role: 'CONTRIBUTOR' }), errorCode('LAST_OWNER'));
+  await assert.rejects(removeGoalMember({ goal: last, memberUserId: users.oona.id }), errorCode('LAST_OWNER'));
+  assert.equal((await findGoalForMember(goal.id, users.oona.id)).role, 'OWNER');
+});
+
+await test('a holding splits by confirmed swaps, with unattributed swaps going to the primary owner', () => {
+  const shares = splitHolding(1000n, [
+    { contributorId: 'alice', amountRaw: 200n },
+    { contributorId: null, amountRaw: 100n },
+    { contributorId: 'bob', amountRaw: 400n },
+  ], 'owner');
+  assert.deepEqual(Object.fromEntries(shares), { alice: 285n, owner: 142n, bob: 573n });
+  assert.equal([...shares.values()].reduce((sum, share) => sum + share, 0n), 1000n);
+
+  assert.deepEqual(Object.fromEntries(splitHolding(500n, [], 'owner')), { owner: 500n });
+  assert.equal(splitHolding(0n, [], 'owner').size, 0);
+});
+
+await test('a batch belongs to the member who funded it, or the primary owner before sharing', async () => {
+  const { goal, users } = seedGoal({ alice: 'CONTRIBUTOR' });
+
+  assert.equal(await getBatchContributorId(seedBatch(goal, users.alice.id).id, goal), users.alice.id);
+  assert.equal(await getBatchContributorId(seedBatch(goal, null).id, goal), users.owner.id);
+  assert.equal(await getBatchContributorId('batch_missing', goal), null);
+});
+
+await test('only the funding member or an owner can cancel an investment', async () => {
+  const { goal, users } = seedGoal({ alice: 'CONTRIBUTOR', bob: 'CONTRIBUTOR', victor: 'VIEWER' });
+  const aliceBatch = seedBatch(goal, users.alice.id);
+
+  for (const other of [users.bob, users.victor, seedUser('outsider')]) {
+    const { status, data } = await cancel(other, aliceBatch);
+    assert.equal(status, 403);
+    assert.equal(data.error.code, 'UNAUTHORIZED');
+  }
+  assert.equal(db.find('investmentBatch', aliceBatch.id).state, 'ONRAMP_CONFIRMED');
+
+  assert.equal((await cancel(users.alice, aliceBatch)).status, 200);
+  assert.equal(db.find('investmentBatch', aliceBatch.id).state, 'CANCELED');
+
+  // Owners can cancel any member's, and their own from before the goal was shared
+  assert.equal((await cancel(users.owner, seedBatch(goal, users.bob.id))).status, 200);
+  assert.equal((await cancel(users.owner, seedBatch(goal, null))).status, 200);
+  assert.equal((await cancel(users.alice, seedBatch(goal, null))).status, 403);
+});
+
+await test('only the funding member can quote or submit a batch swap', async () => {
+  const { goal, users } = seedGoal({ alice: 'CONTRIBUTOR' });
+  const ownerBatch = seedBatch(goal, users.owner.id, 'QUOTED');
+
+  const quote = await call(swapRoute.POST, users.alice, {
+    path: '/api/swap/execute',
+    body: { mode: 'quote', goalId: goal.id, batchId: ownerBatch.id, inputMint: 'USDC', outputMint: 'BTC' },
+  });
+  assert.equal(quote.status, 403);
+  assert.equal(quote.data.error.code, 'AUTHORIZATION_ERROR');
+
+  const submit = await call(investRoute.POST, users.alice, {
+    path: '/api/invest/execute',
+    body: { goalId: goal.id, batchId: ownerBatch.id, signedTransaction: 'AAAA', quoteResponse: { outAmount: '1' } },
+  });
+  assert.equal(submit.status, 403);
+  assert.equal(submit.data.error.code, 'AUTHORIZATION_ERROR');
+  assert.equal(db.find('investmentBatch', ownerBatch.id).state, 'QUOTED');
+});
+
+await test('members see who paid for each batch, and only owners see email addresses', async () => {
+  const { goal, users } = seedGoal({ alice: 'CONTRIBUTOR', victor: 'VIEWER' });
+  seedBatch(goal, users.alice.id);
+  seedBatch(goal, users.owner.id);
+
+  const history = async (user) => {
+    const { status, data } = await call(historyRoute.GET, user, { method: 'GET', path: `/api/history?goalId=${goal.id}` });
+    assert.equal(status, 200);
+    return data.history.map(batch => batch.contributor);
+  };
+
+  const alicePart = `alice-${users.alice.id.split('_')[1]}`;
+  for (const contributor of await history(users.victor)) {
+    assert.equal(contributor.email, undefined);
+    assert.ok(contributor.displayName);
+  }
+  const seenByAlice = await history(users.alice);
+  assert.equal(seenByAlice.find(c => c.userId === users.alice.id).email, users.alice.email);
+  assert.equal(seenByAlice.find(c => c.userId === users.owner.id).email, undefined);
+  assert.deepEqual((await history(users.owner)).map(c => c.email).sort(), [users.alice.email, users.owner.email].sort());
+
+  const members = async (user) => {
+    const { status, data } = await call(membersRoute.GET, user, {
+      method: 'GET',
+      path: `/api/goals/${goal.id}/members`,
+      params: { id: goal.id },
+    });
+    assert.equal(status, 200);
+    return data;
+  };
+
+  const viewerList = await members(users.victor);
+  assert.equal(viewerList.invites, undefined);
+  assert.deepEqual(viewerList.members.map(m => m.email), [undefined, undefined, users.victor.email]);
+  assert.equal(viewerList.members.find(m => m.userId === users.alice.id).displayName, alicePart);
+
+  const ownerList = await members(users.owner);
+  assert.deepEqual(ownerList.members.map(m => m.email), [users.owner.email, users.alice.email, users.victor.email]);
+  assert.deepEqual(ownerList.invites, []);
+});
+
+finish();
@@ -0,0 +1,656 @@
+/**
+ * Shared helpers for the test scripts
+ * A pass/fail runner, and an in-memory stand-in for the Prisma client built
+ * from prisma/schema.prisma so fixtures get the same defaults, relations and
+ * unique constraints as the database
+ *
+ * Usage:
+ *   const { test, finish } = createTestRunner();
+ *   const db = createFakePrisma();
+ *   global.prisma = db.client; // before importing anything that uses lib/prisma.js
+ */
+
+import { readFileSync } from 'node:fs';
+
+const SCHEMA_PATH = new URL('../prisma/schema.prisma', import.meta.url);
+
+/**
+ * Runs tests one at a time, printing ✅/❌ per test and a summary from finish()
+ * @returns {{test: (name: string, fn: Function) => Promise<void>, finish: () => never}}
+ */
+export function createTestRunner() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  function finish() {
+    console.log(`\n📊 ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+  }
+
+  return { test, finish };
+}
+
+/**
+ * Drops the library's own logging so only test results are printed
+ * (console.log is left alone)
+ */
+export function silenceLogs() {
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+const SCALAR_TYPES = new Set(['String', 'Int', 'BigInt', 'Float', 'Decimal', 'Boolean', 'DateTime', 'Json', 'Bytes']);
+
+function parseList(text) {
+  return text ? text.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+function parseDefault(expression, type) {
+  const value = expression.trim();
+  if (value === 'cuid()' || value === 'uuid()') return { generate: 'id' };
+  if (value === 'autoincrement()') return { generate: 'increment' };
+  if (value === 'now()') return { generate: 'now' };
+  if (value === '[]') return { value: [] };
+  if (value === 'true' || value === 'false') return { value: value === 'true' };
+  if (value.startsWith('"')) return { value: JSON.parse(value) };
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return { value: type === 'BigInt' ? BigInt(value) : Number(value) };
+  }
+  // Enum constant
+  return { value };
+}
+
+/**
+ * Reads models, fields, defaults, relations and unique keys from the schema
+ */
+function parseSchema(source) {
+  const enums = new Set([...source.matchAll(/^enum\s+(\w+)/gm)].map(m => m[1]));
+  const modelNames = new Set([...source.matchAll(/^model\s+(\w+)/gm)].map(m => m[1]));
+  const models = {};
+
+  for (const [, name, body] of source.matchAll(/^model\s+(\w+)\s*\{([\s\S]*?)^\}/gm)) {
+    const model = { name, fields: {}, idFields: [], uniques: [] };
+
+    for (const rawLine of body.split('\n')) {
+      const line = rawLine.replace(/\/\/.*$/, '').trim();
+      if (!line) continue;
+
+      if (line.startsWith('@@')) {
+        const block = line.match(/^@@(id|unique)\(\[([^\]]*)\]/);
+        if (block?.[1] === 'id') model.idFields = parseList(block[2]);
+        if (block?.[1] === 'unique') model.uniques.push(parseList(block[2]));
+        continue;
+      }
+
+      const match = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+      if (!match) continue;
+      const [, fieldName, type, list, optional, attributes] = match;
+      const field = {
+        name: fieldName,
+        type,
+        list: Boolean(list),
+        optional: Boolean(optional),
+        isRelation: modelNames.has(type),
+        isEnum: enums.has(type),
+        updatedAt: attributes.includes('@updatedAt'),
+      };
+
+      const defaultMatch = attributes.match(/@default\(((?:[^()]|\([^()]*\))*)\)/);
+      if (defaultMatch) field.default = parseDefault(defaultMatch[1], type);
+      if (/@id\b/.test(attributes)) model.idFields = [fieldName];
+      if (/@unique\b/.test(attributes)) model.uniques.push([fieldName]);
+
+      const relation = attributes.match(/@relation\(([^)]*)\)/);
+      if (field.isRelation) {
+        field.relationName = relation?.[1].match(/^\s*(?:name:\s*)?"([^"]+)"/)?.[1] ?? null;
+        field.fields = parseList(relation?.[1].match(/fields:\s*\[([^\]]*)\]/)?.[1]);
+        field.references = parseList(relation?.[1].match(/references:\s*\[([^\]]*)\]/)?.[1]);
+      } else if (!SCALAR_TYPES.has(type) && !field.isEnum) {
+        continue;
+      }
+
+      model.fields[fieldName] = field;
+    }
+
+    models[name] = model;
+  }
+
+  return models;
+}
+
+// ---------------------------------------------------------------------------
+// Values and filters
+// ---------------------------------------------------------------------------
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !Buffer.isBuffer(value);
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return true;
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return (left ?? null) === (right ?? null);
+  }
+  // BigInt columns compared with numbers, as Prisma coerces them
+  return (typeof left === 'bigint' || typeof right === 'bigint') && left == right;
+}
+
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+const SCALAR_OPERATORS = new Set([
+  'equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte',
+  'contains', 'startsWith', 'endsWith', 'mode', 'has', 'hasSome', 'hasEvery', 'isEmpty',
+]);
+
+function matchesScalar(value, filter) {
+  if (!isPlainObject(filter) || !Object.keys(filter).every(key => SCALAR_OPERATORS.has(key))) {
+    return equals(value, filter);
+  }
+
+  const insensitive = filter.mode === 'insensitive';
+  const text = (s) => (insensitive ? String(s).toLowerCase() : String(s));
+
+  for (const [operator, operand] of Object.entries(filter)) {
+    if (operand === undefined) continue;
+    switch (operator) {
+      case 'equals': if (!equals(value, operand)) return false; break;
+      case 'in': if (!operand.some(item => equals(value, item))) return false; break;
+      case 'notIn': if (operand.some(item => equals(value, item))) return false; break;
+      case 'not': if (matchesScalar(value, operand)) return false; break;
+      case 'lt': if (value === null || value === undefined || compare(value, operand) >= 0) return false; break;
+      case 'lte': if (value === null || value === undefined || compare(value, operand) > 0) return false; break;
+      case 'gt': if (value === null || value === undefined || compare(value, operand) <= 0) return false; break;
+      case 'gte': if (value === null || value === undefined || compare(value, operand) < 0) return false; break;
+      case 'contains': if (value === null || !text(value).includes(text(operand))) return false; break;
+      case 'startsWith': if (value === null || !text(value).startsWith(text(operand))) return false; break;
+      case 'endsWith': if (value === null || !text(value).endsWith(text(operand))) return false; break;
+      case 'has': if (!value?.some(item => equals(item, operand))) return false; break;
+      case 'hasSome': if (!operand.some(item => value?.some(v => equals(v, item)))) return false; break;
+      case 'hasEvery': if (!operand.every(item => value?.some(v => equals(v, item)))) return false; break;
+      case 'isEmpty': if ((value?.length === 0) !== operand) return false; break;
+      default: break;
+    }
+  }
+  return true;
+}
+
+/**
+ * Sorts rows by a Prisma orderBy (an object or a list of objects)
+ */
+function sortRows(rows, orderBy) {
+  if (!orderBy) return rows;
+  const keys = (Array.isArray(orderBy) ? orderBy : [orderBy]).flatMap(Object.entries);
+  return [...rows].sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const order = compare(a[field], b[field]);
+      if (order !== 0) return direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+}
+
+function pageRows(rows, { skip, take } = {}) {
+  const start = skip ?? 0;
+  if (take === undefined) return rows.slice(start);
+  return take < 0 ? rows.slice(Math.max(0, rows.length + take - start), rows.length - start) : rows.slice(start, start + take);
+}
+
+function notFound(model, action) {
+  return Object.assign(new Error(`No ${model} found for ${action}`), { code: 'P2025' });
+}
+
+// ---------------------------------------------------------------------------
+// Fake client
+// ---------------------------------------------------------------------------
+
+const delegateName = (modelName) => modelName[0].toLowerCase() + modelName.slice(1);
+
+/**
+ * In-memory Prisma client over the models in prisma/schema.prisma
+ *
+ * Supports the queries the app makes: find/create/update/upsert/delete (and
+ * their *Many forms), count, aggregate and groupBy, where filters with
+ * operators, AND/OR/NOT and relation filters (some/none/every, is/isNot),
+ * compound unique keys, atomic number operations, nested connect/create,
+ * select/include with nested where/orderBy/take, and $transaction (rolled
+ * back when the callback throws)
+ *
+ * @returns {{client: Object, rows: (model: string) => Object[], seed: (model: string, data: Object) => Object, find: (model: string, id: string) => Object|undefined}}
+ */
+export function createFakePrisma() {
+  const schema = parseSchema(readFileSync(SCHEMA_PATH, 'utf8'));
+  const byDelegate = Object.fromEntries(Object.keys(schema).map(name => [delegateName(name), name]));
+  let tables = Object.fromEntries(Object.keys(schema).map(name => [name, []]));
+  let nextId = 1;
+
+  const modelOf = (name) => {
+    const model = schema[name] ?? schema[byDelegate[name]];
+    if (!model) throw new Error(`Unknown model: ${name}`);
+    return model;
+  };
+
+  /**
+   * Resolves a relation field to the related model and the pairs of
+   * [local field, remote field] that join them
+   */
+  function relationOf(model, field) {
+    if (field.fields.length > 0) {
+      return { target: schema[field.type], many: false, pairs: field.fields.map((f, i) => [f, field.references[i]]) };
+    }
+    const target = schema[field.type];
+    const owning = Object.values(target.fields).find(f => f.isRelation
+      && f.type === model.name
+      && f.fields.length > 0
+      && f.relationName === field.relationName
+      && f !== field);
+    if (!owning) throw new Error(`Cannot resolve relation ${model.name}.${field.name}`);
+    return { target, many: field.list, pairs: owning.references.map((r, i) => [r, owning.fields[i]]) };
+  }
+
+  function related(model, row, field) {
+    const { target, many, pairs } = relationOf(model, field);
+    const matches = tables[target.name].filter(other => pairs.every(([local, remote]) => row[local] !== null
+      && row[local] !== undefined
+      && equals(row[local], other[remote])));
+    return { target, many, rows: many ? matches : matches.slice(0, 1) };
+  }
+
+  function matchesWhere(model, row, where) {
+    if (!where) return true;
+
+    for (const [key, filter] of Object.entries(where)) {
+      if (filter === undefined) continue;
+
+      if (key === 'AND') {
+        if (!(Array.isArray(filter) ? filter : [filter]).every(w => matchesWhere(model, row, w))) return false;
+        continue;
+      }
+      if (key === 'OR') {
+        if (!filter.some(w => matchesWhere(model, row, w))) return false;
+        continue;
+      }
+      if (key === 'NOT') {
+        if ((Array.isArray(filter) ? filter : [filter]).some(w => matchesWhere(model, row, w))) return false;
+        continue;
+      }
+
+      const field = model.fields[key];
+      if (!field) {
+        // Compound unique key, e.g. goalId_userId: { goalId, userId }
+        const parts = key.split('_');
+        if (isPlainObject(filter) && parts.every(part => part in filter)) {
+          if (!parts.every(part => equals(row[part], filter[part]))) return false;
+          continue;
+        }
+        throw new Error(`Unknown field ${model.name}.${key} in where`);
+      }
+
+      if (field.isRelation) {
+        const { target, many, rows } = related(model, row, field);
+        if (many) {
+          if (filter.some && !rows.some(r => matchesWhere(target, r, filter.some))) return false;
+          if (filter.none && rows.some(r => matchesWhere(target, r, filter.none))) return false;
+          if (filter.every && !rows.every(r => matchesWhere(target, r, filter.every))) return false;
+          continue;
+        }
+        const [one] = rows;
+        if (filter === null) {
+          if (one) return false;
+        } else if ('is' in filter || 'isNot' in filter) {
+          if ('is' in filter && !(filter.is === null ? !one : one && matchesWhere(target, one, filter.is))) return false;
+          if ('isNot' in filter && (filter.isNot === null ? !one : one && matchesWhere(target, one, filter.isNot))) return false;
+        } else if (!one || !matchesWhere(target, one, filter)) {
+          return false;
+        }
+        continue;
+      }
+
+      if (!matchesScalar(row[key], filter)) return false;
+    }
+    return true;
+  }
+
+  function applyDefaults(model, data) {
+    const row = {};
+    for (const field of Object.values(model.fields)) {
+      if (field.isRelation) continue;
+      if (field.default?.generate === 'id') {
+        row[field.name] = `${delegateName(model.name)}_${nextId++}`;
+      } else if (field.default?.generate === 'increment') {
+        row[field.name] = nextId++;
+      } else if (field.default?.generate === 'now' || field.updatedAt) {
+        row[field.name] = new Date();
+      } else if (field.default) {
+        row[field.name] = structuredClone(field.default.value);
+      } else if (field.optional) {
+        row[field.name] = null;
+      }
+    }
+    return Object.assign(row, data);
+  }
+
+  function assertUnique(model, row, ignore) {
+    for (const fields of [model.idFields, ...model.uniques]) {
+      if (fields.length === 0 || fields.some(f => row[f] === null || row[f] === undefined)) continue;
+      const clash = tables[model.name].find(other => other !== ignore && fields.every(f => equals(other[f], row[f])));
+      if (clash) {
+        throw Object.assign(new Error(`Unique constraint failed on ${model.name}(${fields.join(', ')})`), {
+          code: 'P2002',
+          meta: { target: fields },
+        });
+      }
+    }
+  }
+
+  /**
+   * Applies scalar values, atomic operations and nested relation writes;
+   * returns the nested creates to run once the row exists
+   */
+  function writeFields(model, row, data) {
+    const nested = [];
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      const field = model.fields[key];
+      if (!field) {
+        throw new Error(`Unknown field ${model.name}.${key} in data`);
+      }
+
+      if (field.isRelation) {
+        const relation = relationOf(model, field);
+        if (!relation.many) {
+          if (value.connect) {
+            for (const [local, remote] of relation.pairs) row[local] = value.connect[remote];
+          }
+          if (value.disconnect) {
+            for (const [local] of relation.pairs) row[local] = null;
+          }
+          if (value.create) {
+            const created = insert(relation.target, value.create);
+            for (const [local, remote] of relation.pairs) row[local] = created[remote];
+          }
+          continue;
+        }
+        const creates = [
+          ...(value.create ? (Array.isArray(value.create) ? value.create : [value.create]) : []),
+          ...(value.createMany?.data ?? []),
+        ];
+        nested.push(() => {
+          for (const child of creates) {
+            const links = Object.fromEntries(relation.pairs.map(([local, remote]) => [remote, row[local]]));
+            insert(relation.target, { ...child, ...links });
+          }
+        });
+        continue;
+      }
+
+      if (isPlainObject(value) && field.type !== 'Json') {
+        const current = row[key];
+        if ('set' in value) row[key] = value.set;
+        if ('increment' in value) row[key] = current + (typeof current === 'bigint' ? BigInt(value.increment) : value.increment);
+        if ('decrement' in value) row[key] = current - (typeof current === 'bigint' ? BigInt(value.decrement) : value.decrement);
+        if ('multiply' in value) row[key] = current * (typeof current === 'bigint' ? BigInt(value.multiply) : value.multiply);
+        if ('divide' in value) row[key] = current / (typeof current === 'bigint' ? BigInt(value.divide) : value.divide);
+        if ('push' in value) row[key] = [...(current ?? []), ...[].concat(value.push)];
+        continue;
+      }
+
+      row[key] = structuredClone(value);
+    }
+    return nested;
+  }
+
+  function insert(model, data) {
+    const scalars = {};
+    const relations = {};
+    for (const [key, value] of Object.entries(data)) {
+      (model.fields[key]?.isRelation ? relations : scalars)[key] = value;
+    }
+    const row = applyDefaults(model, {});
+    const nested = writeFields(model, row, { ...scalars, ...relations });
+    assertUnique(model, row);
+    tables[model.name].push(row);
+    for (const run of nested) run();
+    return row;
+  }
+
+  function update(model, row, data) {
+    const next = { ...row };
+    const nested = writeFields(model, next, data);
+    for (const field of Object.values(model.fields)) {
+      if (field.updatedAt && !(field.name in data)) next[field.name] = new Date();
+    }
+    assertUnique(model, next, row);
+    Object.assign(row, next);
+    for (const run of nested) run();
+    return row;
+  }
+
+  /**
+   * Copies a stored row into a result, honouring select/include
+   */
+  function shape(model, row, { select, include } = {}) {
+    const result = {};
+    const scalarNames = Object.values(model.fields).filter(f => !f.isRelation).map(f => f.name);
+
+    if (!select) {
+      for (const name of scalarNames) result[name] = structuredClone(row[name]);
+    }
+
+    const wanted = select ?? include ?? {};
+    for (const [key, option] of Object.entries(wanted)) {
+      if (!option) continue;
+
+      if (key === '_count') {
+        const counts = {};
+        for (const [name, countOption] of Object.entries(option.select ?? {})) {
+          const { target, rows } = related(model, row, model.fields[name]);
+          counts[name] = rows.filter(r => matchesWhere(target, r, countOption?.where)).length;
+        }
+        result._count = counts;
+        continue;
+      }
+
+      const field = model.fields[key];
+      if (!field) throw new Error(`Unknown field ${model.name}.${key} in select`);
+
+      if (!field.isRelation) {
+        result[key] = structuredClone(row[key]);
+        continue;
+      }
+
+      const nested = option === true ? {} : option;
+      const { target, many, rows } = related(model, row, field);
+      if (many) {
+        const filtered = rows.filter(r => matchesWhere(target, r, nested.where));
+        result[key] = pageRows(sortRows(filtered, nested.orderBy), nested).map(r => shape(target, r, nested));
+      } else {
+        result[key] = rows[0] ? shape(target, rows[0], nested) : null;
+      }
+    }
+    return result;
+  }
+
+  function findRows(model, args = {}) {
+    const rows = tables[model.name].filter(row => matchesWhere(model, row, args.where));
+    return pageRows(sortRows(rows, args.orderBy), args);
+  }
+
+  function aggregateRows(model, rows, args) {
+    const result = {};
+    if (args._count) {
+      result._count = args._count === true
+        ? rows.length
+        : Object.fromEntries(Object.keys(args._count).map(key => [key, key === '_all'
+          ? rows.length
+          : rows.filter(r => r[key] !== null && r[key] !== undefined).length]));
+    }
+    for (const operation of ['_sum', '_avg', '_min', '_max']) {
+      if (!args[operation]) continue;
+      result[operation] = {};
+      for (const key of Object.keys(args[operation])) {
+        const values = rows.map(r => r[key]).filter(v => v !== null && v !== undefined);
+        if (values.length === 0) {
+          result[operation][key] = null;
+        } else if (operation === '_sum') {
+          result[operation][key] = values.reduce((sum, v) => sum + v);
+        } else if (operation === '_avg') {
+          result[operation][key] = Number(values.reduce((sum, v) => sum + v)) / values.length;
+        } else {
+          const sorted = [...values].sort(compare);
+          result[operation][key] = operation === '_min' ? sorted[0] : sorted[sorted.length - 1];
+        }
+      }
+    }
+    return result;
+  }
+
+  function createDelegate(name) {
+    const model = modelOf(name);
+    const findOne = (args) => findRows(model, args)[0];
+
+    return {
+      findUnique: async (args) => {
+        const row = findOne(args);
+        return row ? shape(model, row, args) : null;
+      },
+      findUniqueOrThrow: async (args) => {
+        const row = findOne(args);
+        if (!row) throw notFound(model.name, 'findUniqueOrThrow');
+        return shape(model, row, args);
+      },
+      findFirst: async (args) => {
+        const row = findOne(args);
+        return row ? shape(model, row, args) : null;
+      },
+      findFirstOrThrow: async (args) => {
+        const row = findOne(args);
+        if (!row) throw notFound(model.name, 'findFirstOrThrow');
+        return shape(model, row, args);
+      },
+      findMany: async (args) => findRows(model, args).map(row => shape(model, row, args)),
+      count: async (args) => findRows(model, args).length,
+      create: async (args) => shape(model, insert(model, args.data), args),
+      createMany: async ({ data, skipDuplicates }) => {
+        let count = 0;
+        for (const item of Array.isArray(data) ? data : [data]) {
+          try {
+            insert(model, item);
+            count++;
+          } catch (error) {
+            if (!skipDuplicates || error.code !== 'P2002') throw error;
+          }
+        }
+        return { count };
+      },
+      update: async (args) => {
+        const row = findOne({ where: args.where });
+        if (!row) throw notFound(model.name, 'update');
+        return shape(model, update(model, row, args.data), args);
+      },
+      updateMany: async ({ where, data }) => {
+        const rows = findRows(model, { where });
+        for (const row of rows) update(model, row, data);
+        return { count: rows.length };
+      },
+      upsert: async (args) => {
+        const row = findOne({ where: args.where });
+        const saved = row ? update(model, row, args.update) : insert(model, args.create);
+        return shape(model, saved, args);
+      },
+      delete: async (args) => {
+        const row = findOne({ where: args.where });
+        if (!row) throw notFound(model.name, 'delete');
+        tables[model.name] = tables[model.name].filter(r => r !== row);
+        return shape(model, row, args);
+      },
+      deleteMany: async ({ where } = {}) => {
+        const before = tables[model.name].length;
+        tables[model.name] = tables[model.name].filter(row => !matchesWhere(model, row, where));
+        return { count: before - tables[model.name].length };
+      },
+      aggregate: async (args) => aggregateRows(model, findRows(model, args), args),
+      groupBy: async (args) => {
+        const groups = new Map();
+        for (const row of findRows(model, { where: args.where })) {
+          const key = JSON.stringify(args.by.map(f => String(comparable(row[f]))));
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(row);
+        }
+        const results = [...groups.values()].map(rows => ({
+          ...Object.fromEntries(args.by.map(f => [f, structuredClone(rows[0][f])])),
+          ...aggregateRows(model, rows, args),
+        }));
+        return pageRows(sortRows(results, args.orderBy), args);
+      },
+    };
+  }
+
+  const delegates = {};
+  const client = new Proxy({
+    async $transaction(work) {
+      if (Array.isArray(work)) {
+        const results = [];
+        for (const operation of work) results.push(await operation);
+        return results;
+      }
+      const snapshot = structuredClone(tables);
+      try {
+        return await work(client);
+      } catch (error) {
+        tables = snapshot;
+        throw error;
+      }
+    },
+    async $connect() {},
+    async $disconnect() {},
+  }, {
+    get(target, property) {
+      if (property in target || typeof property !== 'string') return target[property];
+      if (!byDelegate[property]) return undefined;
+      delegates[property] ??= createDelegate(property);
+      return delegates[property];
+    },
+  });
+
+  return {
+    client,
+    /** Live rows of a model (by model or delegate name), for assertions */
+    rows: (name) => tables[modelOf(name).name],
+    /** Inserts a fixture row with schema defaults, bypassing the client */
+    seed: (name, data) => insert(modelOf(name), data),
+    /** Live row by id */
+    find: (name, id) => tables[modelOf(name).name].find(row => row.id === id),
+  };
+}
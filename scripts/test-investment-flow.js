@@ -287,7 +287,14 @@ async function testInvestmentStatus(baseUrl, cookie, batchId) {
     if (response.data.transactions && response.data.transactions.length > 0) {
       logInfo('Transaction details:');
       response.data.transactions.forEach((tx, idx) => {
-        log(`  ${idx + 1}. ${tx.type} - ${tx.state || 'N/A'} - ${tx.amountCrypto} ${tx.tokenMint || ''}`, 'yellow');
+        log(`  ${idx + 1}. ${tx.type} - ${tx.amountCrypto} ${tx.tokenMint || ''}`, 'yellow');
+      });
+    }
+    
+    if (response.data.transitions && response.data.transitions.length > 0) {
+      logInfo('State transitions:');
+      response.data.transitions.forEach((transition, idx) => {
+        log(`  ${idx + 1}. ${transition.fromState || '-'} → ${transition.toState}${transition.reason ? ` (${transition.reason})` : ''}`, 'yellow');
       });
     }
     
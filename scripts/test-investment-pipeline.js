@@ -0,0 +1,404 @@
+/**
+ * Integration test for the investment pipeline
+ * Calls the route handlers directly against a test database, the mock Jupiter
+ * server (scripts/jupiter-mock.js) and a local solana-test-validator, then
+ * checks batch state, goal progress and notifications in the database.
+ *
+ * Covers onramp → quote → sign → execute → confirm, auto re-quote of an
+ * expired quote, slippage escalation, cancel, and reconciliation of a swap
+ * the server never saw confirmed.
+ *
+ * Usage:
+ *   TEST_DATABASE_URL=postgresql://localhost/wholecoiner_test node scripts/test-investment-pipeline.js [--rpc=http://127.0.0.1:8899] [--verbose]
+ *
+ * The test database is reset with `prisma migrate reset`; it must not be the
+ * app's DATABASE_URL. Without --rpc a throwaway solana-test-validator is started
+ * (the solana CLI must be on PATH) and stopped at the end.
+ */
+
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { spawn, execFileSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { Connection, Keypair, LAMPORTS_PER_SOL, VersionedTransaction } from '@solana/web3.js';
+import { startJupiterMock } from './jupiter-mock.js';
+import { createTestRunner, silenceLogs } from './test-harness.js';
+
+register('./alias-loader.js', import.meta.url);
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const VALIDATOR_PORT = 18899;
+const RPC_PROXY_PORT = 18910;
+const SWAP_LAMPORTS = '50000000'; // 0.05 SOL per swap
+const BTC_MINT = 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij';
+
+const { test, finish } = createTestRunner();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitForValidator(rpcUrl, timeoutMs = 60000) {
+  const connection = new Connection(rpcUrl, 'confirmed');
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      await connection.getVersion();
+      return connection;
+    } catch {
+      await sleep(500);
+    }
+  }
+  throw new Error(`Validator at ${rpcUrl} did not start within ${timeoutMs / 1000}s`);
+}
+
+function startValidator() {
+  const ledger = mkdtempSync(path.join(tmpdir(), 'wholecoiner-ledger-'));
+  const child = spawn('solana-test-validator', [
+    '--reset', '--quiet', '--ledger', ledger, '--rpc-port', String(VALIDATOR_PORT),
+  ], { stdio: 'ignore' });
+  return {
+    rpcUrl: `http://127.0.0.1:${VALIDATOR_PORT}`,
+    stop: () => {
+      child.kill('SIGTERM');
+      rmSync(ledger, { recursive: true, force: true });
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Environment: test database, validator, mock Jupiter in front of it
+// ---------------------------------------------------------------------------
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+if (!databaseUrl) {
+  console.error('❌ TEST_DATABASE_URL is required (it is reset by this test)');
+  process.exit(1);
+}
+if (databaseUrl === process.env.DATABASE_URL) {
+  console.error('❌ TEST_DATABASE_URL must not be the app database');
+  process.exit(1);
+}
+
+console.log('🧪 Investment Pipeline Test');
+console.log('===========================\n');
+
+execFileSync('npx', ['prisma', 'migrate', 'reset', '--force', '--skip-seed', '--skip-generate'], {
+  env: { ...process.env, DATABASE_URL: databaseUrl },
+  stdio: args.verbose ? 'inherit' : 'ignore',
+});
+
+const validator = args.rpc ? null : startValidator();
+const validatorUrl = args.rpc || validator.rpcUrl;
+const chain = await waitForValidator(validatorUrl);
+const mock = await startJupiterMock({ rpcUrl: validatorUrl, rpcProxyPort: RPC_PROXY_PORT });
+
+Object.assign(process.env, {
+  DATABASE_URL: databaseUrl,
+  SOLANA_RPC_URL: mock.rpcProxyUrl,
+  SWAP_PROVIDER: 'mock',
+  JUPITER_MOCK_URL: mock.url,
+  JWT_SECRET: 'pipeline-test-secret',
+  PRIVY_APP_ID: process.env.PRIVY_APP_ID || 'pipeline-test',
+  PRIVY_APP_SECRET: process.env.PRIVY_APP_SECRET || 'pipeline-test',
+});
+
+// lib/prisma.js reuses a global client; this one skips the query log
+const { PrismaClient } = await import('@prisma/client');
+global.prisma = new PrismaClient({ log: ['error'] });
+const prisma = global.prisma;
+
+if (!args.verbose) {
+  silenceLogs();
+}
+
+const onrampRoute = await import('../app/api/onramp/simulate-usdc/route.js');
+const swapRoute = await import('../app/api/swap/execute/route.js');
+const statusRoute = await import('../app/api/investments/[batchId]/status/route.js');
+const cancelRoute = await import('../app/api/investments/[batchId]/cancel/route.js');
+const reconcileRoute = await import('../app/api/investments/reconcile/route.js');
+const { transitionBatch } = await import('../lib/investment-batch.js');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Seed a user with a funded wallet, a session cookie and an ACTIVE BTC goal
+ * Each scenario gets its own, so the per-user onramp rate limit never trips.
+ */
+async function seedInvestor(name) {
+  const wallet = Keypair.generate();
+  const airdrop = await chain.requestAirdrop(wallet.publicKey, 2 * LAMPORTS_PER_SOL);
+  await chain.confirmTransaction(airdrop, 'confirmed');
+
+  const user = await prisma.user.create({
+    data: {
+      privyId: `did:privy:${name}-${Date.now()}`,
+      email: `${name}-${Date.now()}@pipeline.test`,
+      walletAddress: wallet.publicKey.toBase58(),
+    },
+  });
+  const goal = await prisma.goal.create({
+    data: {
+      userId: user.id,
+      coin: 'BTC',
+      tokenMint: BTC_MINT,
+      targetAmountRaw: 1_000_000n, // 0.01 BTC
+      amountDecimals: 8,
+      frequency: 'MONTHLY',
+      amountPerInterval: 10,
+      members: { create: { userId: user.id, role: 'OWNER' } },
+    },
+  });
+
+  const token = jwt.sign({ sub: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  return { user, goal, wallet, cookie: `app_session=${token}` };
+}
+
+async function call(handler, investor, { path: urlPath, method = 'POST', body, params } = {}) {
+  const request = new Request(`http://localhost${urlPath}`, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(investor && { cookie: investor.cookie }),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const response = await handler(request, { params: Promise.resolve(params || {}) });
+  return { status: response.status, data: await response.json() };
+}
+
+function sign(swapTransaction, wallet) {
+  const transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+  transaction.sign([wallet]);
+  return Buffer.from(transaction.serialize()).toString('base64');
+}
+
+async function onramp(investor) {
+  const { status, data } = await call(onrampRoute.POST, investor, {
+    path: '/api/onramp/simulate-usdc',
+    body: { goalId: investor.goal.id, amountUsdc: 10 },
+  });
+  assert.equal(status, 201, `onramp failed: ${data.error?.message}`);
+  return data.batchId;
+}
+
+async function quote(investor, batchId) {
+  const { status, data } = await call(swapRoute.POST, investor, {
+    path: '/api/swap/execute',
+    body: {
+      mode: 'quote',
+      goalId: investor.goal.id,
+      batchId,
+      inputMint: 'SOL',
+      outputMint: 'BTC',
+      amount: SWAP_LAMPORTS,
+    },
+  });
+  assert.equal(status, 200, `quote failed: ${data.error?.message}`);
+  return data;
+}
+
+function execute(investor, batchId, { quote: quoteResponse, swapTransaction, lastValidBlockHeight }) {
+  return call(swapRoute.POST, investor, {
+    path: '/api/swap/execute',
+    body: {
+      mode: 'execute',
+      goalId: investor.goal.id,
+      batchId,
+      signedTransaction: sign(swapTransaction, investor.wallet),
+      quoteResponse,
+      lastValidBlockHeight,
+    },
+  });
+}
+
+async function batchState(investor, batchId) {
+  const { data } = await call(statusRoute.GET, investor, {
+    path: `/api/investments/${batchId}/status`,
+    method: 'GET',
+    params: { batchId },
+  });
+  return data.state ?? data.batch?.state;
+}
+
+async function notificationTypes(investor) {
+  const notifications = await prisma.notification.findMany({
+    where: { userId: investor.user.id },
+    orderBy: { timestamp: 'asc' },
+  });
+  return notifications.map((notification) => notification.type);
+}
+
+async function investedRaw(investor) {
+  const goal = await prisma.goal.findUnique({ where: { id: investor.goal.id } });
+  return goal.investedAmountRaw;
+}
+
+// ---------------------------------------------------------------------------
+// Scenarios
+// ---------------------------------------------------------------------------
+
+try {
+  await test('onramp → quote → sign → execute → confirm credits the goal', async () => {
+    const investor = await seedInvestor('happy');
+    const batchId = await onramp(investor);
+    assert.equal(await batchState(investor, batchId), 'ONRAMP_CONFIRMED');
+
+    const quoted = await quote(investor, batchId);
+    assert.equal(await batchState(investor, batchId), 'QUOTED');
+
+    const { status, data } = await execute(investor, batchId, quoted);
+    assert.equal(status, 201, `execute failed: ${data.error?.message}`);
+    assert.equal(data.transaction.state, 'SWAP_CONFIRMED');
+
+    const swap = await prisma.transaction.findFirst({ where: { batchId, type: 'SWAP' } });
+    assert.equal(swap.amountCryptoRaw, BigInt(quoted.quote.outAmount));
+    assert.equal(swap.contributorId, investor.user.id);
+    assert.equal(await investedRaw(investor), BigInt(quoted.quote.outAmount));
+    assert.equal(await batchState(investor, batchId), 'SWAP_CONFIRMED');
+
+    const onChain = await chain.getSignatureStatus(data.transaction.txnHash);
+    assert.equal(onChain.value?.err, null, 'swap transaction failed on-chain');
+
+    const types = await notificationTypes(investor);
+    for (const type of ['ONRAMP_CONFIRMED', 'QUOTED', 'SWAP_SUBMITTED', 'SWAP_CONFIRMED']) {
+      assert.ok(types.includes(type), `missing ${type} notification (got ${types.join(', ')})`);
+    }
+  });
+
+  await test('an expired quote is re-quoted automatically and the new one executes', async () => {
+    const investor = await seedInvestor('expiry');
+    const batchId = await onramp(investor);
+    const quoted = await quote(investor, batchId);
+
+    // Inside the 10s grace period after expiry
+    const stale = { ...quoted, quote: { ...quoted.quote, expiresAt: new Date(Date.now() - 3000).toISOString() } };
+    const retry = await execute(investor, batchId, stale);
+    assert.equal(retry.status, 400);
+    assert.equal(retry.data.error.code, 'QUOTE_EXPIRED');
+    assert.equal(retry.data.retryable, true);
+    assert.ok(retry.data.newSwapTransaction, 'no re-quoted transaction');
+    assert.equal(await batchState(investor, batchId), 'QUOTED');
+
+    const { status, data } = await execute(investor, batchId, {
+      quote: retry.data.newQuote,
+      swapTransaction: retry.data.newSwapTransaction,
+      lastValidBlockHeight: retry.data.newLastValidBlockHeight,
+    });
+    assert.equal(status, 201, `execute after re-quote failed: ${data.error?.message}`);
+    assert.equal(await investedRaw(investor), BigInt(retry.data.newQuote.outAmount));
+
+    const transitions = await prisma.batchTransition.findMany({ where: { batchId }, orderBy: { createdAt: 'asc' } });
+    assert.ok(transitions.some((t) => t.toState === 'EXPIRED'), 'no EXPIRED transition recorded');
+  });
+
+  await test('a quote expired past the grace period is rejected', async () => {
+    const investor = await seedInvestor('expired');
+    const batchId = await onramp(investor);
+    const quoted = await quote(investor, batchId);
+
+    const stale = { ...quoted, quote: { ...quoted.quote, expiresAt: new Date(Date.now() - 60000).toISOString() } };
+    const { status, data } = await execute(investor, batchId, stale);
+    assert.equal(status, 422);
+    assert.equal(data.error.code, 'QUOTE_EXPIRED');
+    assert.equal(await batchState(investor, batchId), 'EXPIRED');
+    assert.equal(await investedRaw(investor), 0n);
+    assert.ok((await notificationTypes(investor)).includes('EXPIRED'));
+  });
+
+  await test('a slippage failure escalates slippage and the re-quote executes', async () => {
+    const investor = await seedInvestor('slippage');
+    const batchId = await onramp(investor);
+
+    mock.fail({ endpoint: 'swap', type: 'SLIPPAGE' });
+    const quoted = await quote(investor, batchId);
+    assert.equal(quoted.quote.slippageBps, 50);
+
+    const retry = await execute(investor, batchId, quoted);
+    assert.equal(retry.status, 400);
+    assert.equal(retry.data.error.code, 'SLIPPAGE_EXCEEDED');
+    assert.equal(retry.data.retryable, true);
+    assert.equal(retry.data.newSlippageBps, 100);
+
+    const { status, data } = await execute(investor, batchId, {
+      quote: retry.data.newQuote,
+      swapTransaction: retry.data.newSwapTransaction,
+      lastValidBlockHeight: retry.data.newLastValidBlockHeight,
+    });
+    assert.equal(status, 201, `execute after escalation failed: ${data.error?.message}`);
+
+    const swap = await prisma.transaction.findFirst({ where: { batchId, type: 'SWAP' } });
+    assert.equal(swap.meta.slippageBps, 100);
+    assert.equal(swap.meta.originalSlippageBps, 50);
+    assert.equal(await batchState(investor, batchId), 'SWAP_CONFIRMED');
+  });
+
+  await test('a quoted batch can be canceled and no longer executes', async () => {
+    const investor = await seedInvestor('cancel');
+    const batchId = await onramp(investor);
+    const quoted = await quote(investor, batchId);
+
+    const canceled = await call(cancelRoute.POST, investor, {
+      path: `/api/investments/${batchId}/cancel`,
+      params: { batchId },
+    });
+    assert.equal(canceled.status, 200, `cancel failed: ${canceled.data.error?.message}`);
+    assert.equal(await batchState(investor, batchId), 'CANCELED');
+
+    const { status, data } = await execute(investor, batchId, quoted);
+    assert.equal(status, 409);
+    assert.equal(data.error.code, 'INVALID_BATCH_TRANSITION');
+    assert.equal(await investedRaw(investor), 0n);
+    assert.ok((await notificationTypes(investor)).includes('CANCELED'));
+  });
+
+  await test('reconciliation confirms a swap submitted without a recorded confirmation', async () => {
+    const investor = await seedInvestor('reconcile');
+    const batchId = await onramp(investor);
+    const quoted = await quote(investor, batchId);
+
+    // The wallet lands the swap but the server dies before confirming it
+    const signature = await chain.sendRawTransaction(
+      Buffer.from(sign(quoted.swapTransaction, investor.wallet), 'base64')
+    );
+    await chain.confirmTransaction({
+      signature,
+      blockhash: VersionedTransaction.deserialize(Buffer.from(quoted.swapTransaction, 'base64')).message.recentBlockhash,
+      lastValidBlockHeight: quoted.lastValidBlockHeight,
+    }, 'confirmed');
+
+    const swap = await prisma.transaction.findFirst({ where: { batchId, type: 'SWAP' } });
+    await prisma.transaction.update({
+      where: { id: swap.id },
+      data: { txnHash: signature, meta: { ...swap.meta, quoteOutAmountRaw: quoted.quote.outAmount } },
+    });
+    await transitionBatch(batchId, 'SWAP_SUBMITTED', { reason: 'Submitted by the pipeline test' });
+    await prisma.investmentBatch.update({
+      where: { id: batchId },
+      data: { swapSubmittedAt: new Date(Date.now() - 2 * 60 * 1000) },
+    });
+
+    const { status, data } = await call(reconcileRoute.POST, null, { path: '/api/investments/reconcile' });
+    assert.equal(status, 200, `reconcile failed: ${data.error?.message}`);
+    assert.ok(data.reconciled >= 1, `nothing reconciled (${JSON.stringify(data)})`);
+
+    assert.equal(await batchState(investor, batchId), 'SWAP_CONFIRMED');
+    assert.equal(await investedRaw(investor), BigInt(quoted.quote.outAmount));
+    assert.ok((await notificationTypes(investor)).includes('SWAP_CONFIRMED'));
+  });
+} finally {
+  await prisma.$disconnect();
+  await mock.close();
+  validator?.stop();
+}
+
+finish();
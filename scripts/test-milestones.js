@@ -0,0 +1,189 @@
+/**
+ * Test script for goal milestones (lib/milestones.js)
+ * Checks where percent thresholds land in raw units, that a credit reaches a
+ * milestone exactly at its threshold and not a base unit before, that one
+ * buy can cross several milestones at once, that each milestone is claimed
+ * only once, and the timeline and replacement of upcoming milestones
+ *
+ * Usage: node scripts/test-milestones.js
+ */
+
+import assert from 'node:assert/strict';
+import { createFakePrisma, createTestRunner } from './test-harness.js';
+
+// lib/prisma.js reuses a global client; set it before the milestones are imported
+const db = createFakePrisma();
+global.prisma = db.client;
+
+const {
+  milestoneThresholdRaw,
+  parseMilestones,
+  recordReachedMilestones,
+  getMilestoneTimeline,
+  replaceUpcomingMilestones,
+} = await import('../lib/milestones.js');
+const { creditGoalSwap } = await import('../lib/basket.js');
+
+const BTC = { coin: 'BTC', decimals: 8, targetAmountRaw: 100_000_000n };
+
+let fixtureId = 0;
+
+/** A stored BTC goal with the given milestones (default: 10/25/50/75/100%) */
+function seedGoal({ targetAmountRaw = 100_000_000n, milestones, ...fields } = {}) {
+  fixtureId++;
+  const goal = db.seed('goal', {
+    userId: `user_${fixtureId}`,
+    coin: 'BTC',
+    tokenMint: 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij',
+    targetAmountRaw,
+    amountDecimals: 8,
+    frequency: 'WEEKLY',
+    amountPerInterval: 100,
+    ...fields,
+  });
+  for (const milestone of parseMilestones(milestones, { ...BTC, targetAmountRaw })) {
+    db.seed('goalMilestone', { goalId: goal.id, ...milestone });
+  }
+  return goal;
+}
+
+const credit = (goal, amountRaw, batchId = null) => db.client.$transaction(tx => creditGoalSwap(tx, {
+  goalId: goal.id,
+  amountRaw,
+  batchId,
+}));
+
+const labels = (milestones) => milestones.map(milestone => milestone.label);
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Milestones Test');
+console.log('==================\n');
+
+await test('percent thresholds round up to whole raw units', () => {
+  const percent = (percentBps) => ({ kind: 'PERCENT', percentBps });
+
+  assert.equal(milestoneThresholdRaw(percent(2500), 100_000_000n), 25_000_000n);
+  // 25% of 100,000,001 is 25,000,000.25: the quarter is only there at 25,000,001
+  assert.equal(milestoneThresholdRaw(percent(2500), 100_000_001n), 25_000_001n);
+  assert.equal(milestoneThresholdRaw(percent(5000), 3n), 2n);
+  assert.equal(milestoneThresholdRaw(percent(1), 1n), 1n);
+  assert.equal(milestoneThresholdRaw(percent(10000), 99_999n), 99_999n);
+
+  assert.equal(milestoneThresholdRaw({ kind: 'AMOUNT', amountRaw: 12_345n }, 100_000_000n), 12_345n);
+});
+
+await test('milestones are parsed, sorted by threshold, and duplicates collapse', () => {
+  assert.deepEqual(labels(parseMilestones(undefined, BTC)), ['10%', '25%', '50%', '75%', '100%']);
+
+  const parsed = parseMilestones([75, { amount: 0.1, label: ' First tenth ' }, '12.5', { percent: 10 }, { amount: '0.5' }], BTC);
+  assert.deepEqual(labels(parsed), ['First tenth', '12.5%', '0.5 BTC', '75%']);
+  assert.deepEqual(parsed.map(m => m.kind), ['AMOUNT', 'PERCENT', 'AMOUNT', 'PERCENT']);
+  assert.equal(parsed[0].amountRaw, 10_000_000n);
+  assert.equal(parsed[1].percentBps, 1250);
+
+  // On a 3-unit target, 50% and 51% both land on the second unit
+  assert.deepEqual(labels(parseMilestones([50, 51], { ...BTC, targetAmountRaw: 3n })), ['50%']);
+
+  const invalid = (input, pattern) => assert.throws(
+    () => parseMilestones(input, BTC),
+    (error) => error.code === 'INVALID_MILESTONE' && pattern.test(error.message)
+  );
+  invalid([0], /above 0/);
+  invalid([100.01], /at most 100/);
+  invalid([33.333], /two decimals/);
+  invalid([{ amount: 0 }], /at least 1 base unit/);
+  invalid([{ amount: 1.5 }], /above the goal target/);
+  invalid([{ percent: 10, amount: 0.1 }], /\{ percent \} or \{ amount \}/);
+  invalid([{ percent: 10, label: '' }], /label/);
+  invalid(Array.from({ length: 11 }, (_, i) => i + 1), /at most 10/);
+});
+
+await test('a milestone is reached at its threshold, not a base unit before', async () => {
+  const goal = seedGoal({ targetAmountRaw: 100_000_001n, milestones: [25] });
+
+  const short = await credit(goal, 25_000_000n);
+  assert.deepEqual(short.milestones, []);
+  assert.equal(db.rows('goalMilestone').find(m => m.goalId === goal.id).reachedAt, null);
+
+  const exact = await credit(goal, 1n, 'batch_exact');
+  assert.equal(exact.milestones.length, 1);
+  assert.equal(exact.milestones[0].label, '25%');
+  assert.equal(exact.milestones[0].thresholdAmountRaw, '25000001');
+  assert.equal(exact.milestones[0].batchId, 'batch_exact');
+  assert.equal(exact.milestones[0].investedAmountAtReach, 0.25000001);
+});
+
+await test('one buy can cross several milestones, reported lowest first', async () => {
+  const goal = seedGoal();
+
+  const first = await credit(goal, 5_000_000n);
+  assert.deepEqual(first.milestones, []);
+
+  const big = await credit(goal, 75_000_000n, 'batch_big');
+  assert.deepEqual(labels(big.milestones), ['10%', '25%', '50%', '75%']);
+  const [reachedAt] = big.milestones.map(m => m.reachedAt);
+  for (const milestone of big.milestones) {
+    assert.equal(milestone.reachedAt, reachedAt);
+    assert.equal(milestone.batchId, 'batch_big');
+    assert.equal(milestone.investedAmountAtReach, 0.8);
+    assert.equal(milestone.remainingAmount, 0);
+  }
+
+  // Overshooting the target reaches the last one and completes the goal
+  const last = await credit(goal, 30_000_000n, 'batch_last');
+  assert.deepEqual(labels(last.milestones), ['100%']);
+  assert.equal(db.find('goal', goal.id).status, 'COMPLETED');
+});
+
+await test('a milestone is claimed once, even by concurrent confirmations', async () => {
+  const goal = seedGoal({ milestones: [10, 25, 50] });
+  const updated = await db.client.goal.update({ where: { id: goal.id }, data: { investedAmountRaw: 30_000_000n } });
+
+  const [a, b] = await Promise.all([
+    recordReachedMilestones(db.client, { goal: updated, batchId: 'batch_a' }),
+    recordReachedMilestones(db.client, { goal: updated, batchId: 'batch_b' }),
+  ]);
+  assert.deepEqual(labels([...a, ...b]).sort(), ['10%', '25%']);
+
+  const stored = db.rows('goalMilestone').filter(m => m.goalId === goal.id && m.reachedAt !== null);
+  assert.equal(stored.length, 2);
+  for (const milestone of stored) {
+    const winner = a.some(m => m.id === milestone.id) ? 'batch_a' : 'batch_b';
+    assert.equal(milestone.batchId, winner);
+  }
+
+  // Already reached: a later credit finds nothing new below its progress
+  assert.deepEqual(await recordReachedMilestones(db.client, { goal: updated, batchId: 'batch_c' }), []);
+});
+
+await test('the timeline lists reached milestones in crossing order, then the upcoming ones', async () => {
+  const goal = seedGoal({ milestones: [10, 50, { amount: 0.2 }] });
+  await credit(goal, 15_000_000n, 'batch_1');
+  await credit(goal, 10_000_000n, 'batch_2');
+
+  const timeline = await getMilestoneTimeline(db.find('goal', goal.id));
+  assert.deepEqual(labels(timeline.reached), ['10%', '0.2 BTC']);
+  assert.deepEqual(labels(timeline.upcoming), ['50%']);
+  assert.equal(timeline.next.label, '50%');
+  assert.equal(timeline.next.remainingAmount, 0.25);
+});
+
+await test('replacing milestones keeps the reached ones and skips thresholds already passed', async () => {
+  const goal = seedGoal({ milestones: [10, 50] });
+  await credit(goal, 30_000_000n, 'batch_1');
+
+  const result = await replaceUpcomingMilestones(db.find('goal', goal.id), [20, { amount: 0.3 }, 60, 90]);
+  assert.deepEqual(result, { created: 2, skipped: ['20%', '0.3 BTC'] });
+
+  const timeline = await getMilestoneTimeline(db.find('goal', goal.id));
+  assert.deepEqual(labels(timeline.reached), ['10%']);
+  assert.deepEqual(labels(timeline.upcoming), ['60%', '90%']);
+
+  await assert.rejects(
+    replaceUpcomingMilestones(db.find('goal', goal.id), undefined),
+    (error) => error.code === 'INVALID_MILESTONE'
+  );
+});
+
+finish();
@@ -0,0 +1,144 @@
+/**
+ * Test script for notification delivery channels (lib/notification-channels.js,
+ * lib/notification-templates.js)
+ * Sends real email and webhook requests to local sinks (scripts/notification-sinks.js)
+ *
+ * Usage: node scripts/test-notification-delivery.js
+ */
+
+import assert from 'node:assert/strict';
+import nodemailer from 'nodemailer';
+import {
+  sendEmail,
+  sendWebhook,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from '../lib/notification-channels.js';
+import { renderNotification, buildWebhookPayload } from '../lib/notification-templates.js';
+import { startSmtpSink, startWebhookReceiver } from './notification-sinks.js';
+import { createTestRunner } from './test-harness.js';
+
+const SECRET = 'test-webhook-secret';
+
+const NOTIFICATION = {
+  id: 'ntf_test',
+  userId: 'usr_test',
+  type: 'SWAP_CONFIRMED',
+  message: 'Success! +0.0012 BTC added to your goal. Progress: 12.0%.',
+  meta: { goalId: 'goal_test', goalCoin: 'BTC', outputAmount: 0.0012, progressPercentage: 12 },
+  timestamp: new Date('2026-10-18T12:00:00Z'),
+};
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Notification Delivery Test');
+console.log('============================\n');
+
+const smtp = await startSmtpSink();
+const receiver = await startWebhookReceiver({ secret: SECRET });
+const transport = {
+  from: 'Wholecoiner <notifications@wholecoiner.local>',
+  transporter: nodemailer.createTransport({ host: '127.0.0.1', port: smtp.port, secure: false, ignoreTLS: true }),
+};
+const webhookUrl = (path) => `http://127.0.0.1:${receiver.port}${path}`;
+
+try {
+  await test('templates render each event type', () => {
+    const confirmed = renderNotification(NOTIFICATION);
+    assert.equal(confirmed.subject, 'Wholecoiner: +0.0012 BTC added to your goal');
+    assert.match(confirmed.text, /Goal progress: 12\.0%/);
+
+    const failedSwap = renderNotification({ ...NOTIFICATION, type: 'FAILED', meta: { reason: 'Slippage <exceeded>' } });
+    assert.match(failedSwap.text, /Slippage <exceeded>/);
+    assert.match(failedSwap.html, /Slippage &lt;exceeded&gt;/);
+
+    const completed = renderNotification({ ...NOTIFICATION, type: 'GOAL_COMPLETED', meta: { goalCoin: 'ETH' } });
+    assert.equal(completed.subject, 'Wholecoiner: Goal reached: you own a whole ETH');
+
+    const upcoming = renderNotification({
+      ...NOTIFICATION,
+      type: 'SCHEDULED_BUY_UPCOMING',
+      meta: { goalCoin: 'SOL', amountUsdc: 25, scheduledFor: '2026-10-19T09:00:00Z' },
+    });
+    assert.match(upcoming.text, /25 USDC buy of SOL runs on Mon, 19 Oct 2026 09:00:00 GMT/);
+
+    const fallback = renderNotification({ ...NOTIFICATION, type: 'QUOTED' });
+    assert.equal(fallback.subject, `Wholecoiner: ${NOTIFICATION.message}`);
+  });
+
+  await test('webhook signatures verify and reject tampering or old timestamps', () => {
+    const body = JSON.stringify(buildWebhookPayload(NOTIFICATION));
+    const now = new Date();
+    const header = signWebhookPayload(SECRET, Math.floor(now.getTime() / 1000), body);
+
+    assert.equal(verifyWebhookSignature(SECRET, header, body, { now }), true);
+    assert.equal(verifyWebhookSignature('other-secret', header, body, { now }), false);
+    assert.equal(verifyWebhookSignature(SECRET, header, body.replace('BTC', 'ETH'), { now }), false);
+    assert.equal(
+      verifyWebhookSignature(SECRET, header, body, { now: new Date(now.getTime() + 10 * 60 * 1000) }),
+      false
+    );
+  });
+
+  await test('email is delivered to the SMTP sink', async () => {
+    const result = await sendEmail({ to: 'holder@example.com', ...renderNotification(NOTIFICATION) }, { transport });
+
+    assert.equal(result.ok, true);
+    assert.equal(smtp.messages.length, 1);
+    assert.deepEqual(smtp.messages[0].to, ['holder@example.com']);
+    assert.match(smtp.messages[0].data, /Subject: Wholecoiner: \+0\.0012 BTC added to your goal/);
+  });
+
+  await test('a rejected mailbox is a permanent email failure', async () => {
+    const result = await sendEmail({ to: 'reject@example.com', ...renderNotification(NOTIFICATION) }, { transport });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.responseCode, 550);
+    assert.equal(result.retryable, false);
+  });
+
+  await test('missing SMTP config is reported, not thrown', async () => {
+    const result = await sendEmail({ to: 'holder@example.com', subject: 's', text: 't' }, { transport: null });
+    assert.deepEqual(result, { ok: false, responseCode: null, error: 'SMTP is not configured', retryable: false });
+  });
+
+  await test('signed webhook reaches the receiver', async () => {
+    const result = await sendWebhook({ url: webhookUrl('/webhook'), secret: SECRET, payload: buildWebhookPayload(NOTIFICATION) });
+
+    assert.equal(result.ok, true);
+    const request = receiver.requests.at(-1);
+    assert.equal(request.verified, true);
+    assert.equal(JSON.parse(request.body).type, 'SWAP_CONFIRMED');
+  });
+
+  await test('webhook 5xx is retryable and 410 is permanent', async () => {
+    const payload = buildWebhookPayload(NOTIFICATION);
+
+    const serverError = await sendWebhook({ url: webhookUrl('/webhook/fail'), secret: SECRET, payload });
+    assert.equal(serverError.ok, false);
+    assert.equal(serverError.responseCode, 500);
+    assert.equal(serverError.retryable, true);
+
+    const gone = await sendWebhook({ url: webhookUrl('/webhook/gone'), secret: SECRET, payload });
+    assert.equal(gone.responseCode, 410);
+    assert.equal(gone.retryable, false);
+  });
+
+  await test('unreachable webhook is retryable', async () => {
+    const closed = await startWebhookReceiver();
+    await closed.close();
+
+    const result = await sendWebhook({
+      url: `http://127.0.0.1:${closed.port}/webhook`,
+      secret: SECRET,
+      payload: buildWebhookPayload(NOTIFICATION),
+    });
+    assert.equal(result.ok, false);
+    assert.equal(result.retryable, true);
+  });
+} finally {
+  transport.transporter.close();
+  await Promise.all([smtp.close(), receiver.close()]);
+}
+
+finish();
@@ -0,0 +1,152 @@
+/**
+ * Test script for the price oracle chain (lib/price-oracle.js, lib/price-providers.js)
+ * Checks staleness and deviation guards, fallback ordering and that fixture
+ * prices stay out of production
+ *
+ * Usage: node scripts/test-price-oracle.js
+ */
+
+import assert from 'node:assert/strict';
+import { aggregateQuotes, getOraclePrices } from '../lib/price-oracle.js';
+import { createFixturePriceProvider, parsePythPriceAccount } from '../lib/price-providers.js';
+import { isUsablePrice } from '../lib/prices.js';
+import { createTestRunner } from './test-harness.js';
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const POLICY = { maxStalenessMs: 5 * 60 * 1000, maxDeviationBps: 200 };
+const SOL = { symbol: 'SOL', mint: 'So11111111111111111111111111111111111111112' };
+
+const { test, finish } = createTestRunner();
+
+function secondsAgo(seconds) {
+  return new Date(NOW.getTime() - seconds * 1000);
+}
+
+function fakeProvider(name, prices, { fallbackOnly = false, fails = false } = {}) {
+  return {
+    name,
+    fallbackOnly,
+    calls: 0,
+    async getPrices(tokens) {
+      this.calls++;
+      if (fails) throw new Error(`${name} is down`);
+      return Object.fromEntries(
+        tokens
+          .filter((t) => prices[t.symbol])
+          .map((t) => [t.mint, { priceUsd: prices[t.symbol], publishedAt: NOW, confidenceInterval: null }])
+      );
+    },
+  };
+}
+
+console.log('🧪 Price Oracle Test');
+console.log('===================\n');
+
+await test('agreeing sources give a high-confidence median', () => {
+  const { price } = aggregateQuotes([
+    { provider: 'jupiter', priceUsd: 100, publishedAt: secondsAgo(5) },
+    { provider: 'pyth', priceUsd: 101, publishedAt: secondsAgo(20) },
+  ], { ...POLICY, now: NOW });
+
+  assert.equal(price.priceUsd, 100.5);
+  assert.equal(price.source, 'jupiter+pyth');
+  assert.equal(price.confidence, 'high');
+  assert.deepEqual(price.publishedAt, secondsAgo(20));
+});
+
+await test('stale quotes are dropped', () => {
+  const { price } = aggregateQuotes([
+    { provider: 'jupiter', priceUsd: 100, publishedAt: secondsAgo(5) },
+    { provider: 'pyth', priceUsd: 90, publishedAt: secondsAgo(600) },
+  ], { ...POLICY, now: NOW });
+
+  assert.equal(price.priceUsd, 100);
+  assert.equal(price.source, 'jupiter');
+  assert.equal(price.confidence, 'medium');
+  assert.equal(price.sources.find((s) => s.provider === 'pyth').used, false);
+});
+
+await test('only stale quotes means no price', () => {
+  const { price, reason } = aggregateQuotes([
+    { provider: 'pyth', priceUsd: 90, publishedAt: secondsAgo(600) },
+  ], { ...POLICY, now: NOW });
+
+  assert.equal(price, null);
+  assert.equal(reason, 'all quotes are stale');
+});
+
+await test('disagreeing sources are low confidence and not usable', () => {
+  const { price } = aggregateQuotes([
+    { provider: 'jupiter', priceUsd: 100, publishedAt: NOW },
+    { provider: 'pyth', priceUsd: 110, publishedAt: NOW },
+  ], { ...POLICY, now: NOW });
+
+  assert.equal(price.confidence, 'low');
+  assert.equal(price.spreadBps, 952);
+  assert.equal(isUsablePrice(price), false);
+});
+
+await test('an outlier among three sources is dropped', () => {
+  const { price } = aggregateQuotes([
+    { provider: 'a', priceUsd: 100, publishedAt: NOW },
+    { provider: 'b', priceUsd: 100.5, publishedAt: NOW },
+    { provider: 'c', priceUsd: 150, publishedAt: NOW },
+  ], { ...POLICY, now: NOW });
+
+  assert.equal(price.source, 'a+b');
+  assert.equal(price.confidence, 'high');
+});
+
+await test('fallback providers only price what the others could not', async () => {
+  const jupiter = fakeProvider('jupiter', { SOL: 150 });
+  const pyth = fakeProvider('pyth', {}, { fails: true });
+  const fixture = createFixturePriceProvider({ prices: { SOL: 1, BONK: 0.00002 } });
+  const bonk = { symbol: 'BONK', mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263' };
+
+  const { prices, unavailable } = await getOraclePrices([SOL, bonk], {
+    providers: [jupiter, pyth, fixture],
+    policy: POLICY,
+    now: NOW,
+  });
+
+  assert.equal(prices[SOL.mint].priceUsd, 150);
+  assert.equal(prices[SOL.mint].source, 'jupiter');
+  assert.equal(prices[bonk.mint].confidence, 'fixture');
+  assert.deepEqual(unavailable, {});
+});
+
+await test('fixture prices are only usable outside production', async () => {
+  const fixture = createFixturePriceProvider({ prices: { SOL: 1 }, fallbackOnly: false });
+  const { prices } = await getOraclePrices([SOL], { providers: [fixture], policy: POLICY, now: NOW });
+  const env = process.env.NODE_ENV;
+
+  try {
+    process.env.NODE_ENV = 'development';
+    assert.equal(isUsablePrice(prices[SOL.mint]), true);
+    process.env.NODE_ENV = 'production';
+    assert.equal(isUsablePrice(prices[SOL.mint]), false);
+  } finally {
+    process.env.NODE_ENV = env;
+  }
+});
+
+await test('Pyth price accounts decode only while trading', () => {
+  const data = Buffer.alloc(240);
+  data.writeUInt32LE(0xa1b2c3d4, 0);
+  data.writeUInt32LE(3, 8);
+  data.writeInt32LE(-8, 20);
+  data.writeBigInt64LE(BigInt(NOW.getTime() / 1000), 96);
+  data.writeBigInt64LE(15012345678n, 208);
+  data.writeBigUInt64LE(1000000n, 216);
+  data.writeUInt32LE(1, 224);
+
+  const parsed = parsePythPriceAccount(data);
+  assert.equal(parsed.priceUsd, 150.12345678);
+  assert.equal(parsed.confidenceInterval, 0.01);
+  assert.deepEqual(parsed.publishedAt, NOW);
+
+  data.writeUInt32LE(0, 224);
+  assert.equal(parsePythPriceAccount(data), null);
+});
+
+finish();
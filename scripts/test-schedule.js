@@ -0,0 +1,202 @@
+/**
+ * Test script for goal schedules (lib/schedule.js)
+ * Checks local-time stepping across DST changes, month-end days, cron
+ * list, range and weekday fields, and jumping many runs ahead for ETAs
+ *
+ * Usage: node scripts/test-schedule.js
+ */
+
+import assert from 'node:assert/strict';
+import {
+  parseCronExpression,
+  nextCronRun,
+  parseGoalSchedule,
+  computeNextRunAt,
+  computeNthRunAt,
+  listRunDates,
+  getZonedParts,
+} from '../lib/schedule.js';
+import { calculateEstimatedCompletion } from '../lib/goalValidation.js';
+import { createTestRunner, silenceLogs } from './test-harness.js';
+
+// The ETA test prices BTC from fixtures; the live sources log their failures
+silenceLogs();
+
+const NEW_YORK = 'America/New_York';
+const BTC_MINT = 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BERLIN = 'Europe/Berlin';
+
+const iso = (dates) => dates.map(date => date.toISOString());
+const cronRuns = (expression, from, count, timeZone = 'UTC') => iso(listRunDates(new Date(from), 'CUSTOM', count, {
+  schedule: { cron: expression },
+  timeZone,
+}));
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Schedule Test');
+console.log('================\n');
+
+await test('a time skipped by spring-forward runs that far past the change', () => {
+  // 2026-03-08 02:00 EST jumps to 03:00 EDT in New York
+  assert.deepEqual(cronRuns('30 2 * * *', '2026-03-07T12:00:00Z', 3, NEW_YORK), [
+    '2026-03-08T07:30:00.000Z', // 03:30 EDT
+    '2026-03-09T06:30:00.000Z', // 02:30 EDT
+    '2026-03-10T06:30:00.000Z',
+  ]);
+
+  // 2026-03-29 02:00 CET jumps to 03:00 CEST in Berlin
+  const berlin = nextCronRun(new Date('2026-03-28T12:00:00Z'), parseCronExpression('15 2 * * *'), BERLIN);
+  assert.equal(berlin.toISOString(), '2026-03-29T01:15:00.000Z'); // 03:15 CEST
+});
+
+await test('a time repeated by fall-back runs once, at its first occurrence', () => {
+  // 2026-11-01 02:00 EDT falls back to 01:00 EST in New York
+  assert.deepEqual(cronRuns('30 1 * * *', '2026-10-31T12:00:00Z', 2, NEW_YORK), [
+    '2026-11-01T05:30:00.000Z', // 01:30 EDT
+    '2026-11-02T06:30:00.000Z', // 01:30 EST
+  ]);
+});
+
+await test('day steps keep the local time of day across DST changes', () => {
+  // 09:00 in New York, before each change
+  const spring = computeNextRunAt(new Date('2026-03-07T14:00:00Z'), 'DAILY', { timeZone: NEW_YORK });
+  assert.equal(spring.toISOString(), '2026-03-08T13:00:00.000Z');
+
+  const autumn = computeNextRunAt(new Date('2026-10-29T13:00:00Z'), 'WEEKLY', { timeZone: NEW_YORK });
+  assert.equal(autumn.toISOString(), '2026-11-05T14:00:00.000Z');
+
+  for (const runAt of [spring, autumn]) {
+    const local = getZonedParts(runAt, NEW_YORK);
+    assert.deepEqual([local.hour, local.minute], [9, 0]);
+  }
+});
+
+await test('a monthly day 31 uses the last day of shorter months and comes back', () => {
+  const options = { schedule: { dayOfMonth: 31 }, timeZone: NEW_YORK };
+  // 2026-01-31 09:00 EST
+  assert.deepEqual(iso(listRunDates(new Date('2026-01-31T14:00:00Z'), 'MONTHLY', 4, options)), [
+    '2026-02-28T14:00:00.000Z',
+    '2026-03-31T13:00:00.000Z', // 09:00 EDT
+    '2026-04-30T13:00:00.000Z',
+    '2026-05-31T13:00:00.000Z',
+  ]);
+
+  // Leap year
+  const leap = computeNextRunAt(new Date('2028-01-31T09:00:00Z'), 'MONTHLY', { schedule: { dayOfMonth: 31 } });
+  assert.equal(leap.toISOString(), '2028-02-29T09:00:00.000Z');
+
+  const quarterly = listRunDates(new Date('2026-11-30T09:00:00Z'), 'QUARTERLY', 2, { schedule: { dayOfMonth: 30 } });
+  assert.deepEqual(iso(quarterly), ['2027-02-28T09:00:00.000Z', '2027-05-30T09:00:00.000Z']);
+});
+
+await test('cron list, range and step fields', () => {
+  assert.deepEqual(cronRuns('0 9 1,15 * *', '2026-10-18T00:00:00Z', 3), [
+    '2026-11-01T09:00:00.000Z',
+    '2026-11-15T09:00:00.000Z',
+    '2026-12-01T09:00:00.000Z',
+  ]);
+
+  // Quarter months only
+  assert.deepEqual(cronRuns('0 9 1 */3 *', '2026-10-18T00:00:00Z', 2), [
+    '2027-01-01T09:00:00.000Z',
+    '2027-04-01T09:00:00.000Z',
+  ]);
+
+  const cron = parseCronExpression('  0   9  1-31/10  *  * ');
+  assert.equal(cron.expression, '0 9 1-31/10 * *');
+  assert.deepEqual([...cron.dayOfMonth], [1, 11, 21, 31]);
+});
+
+await test('cron weekday fields, including 7 for Sunday', () => {
+  // 2026-10-18 is a Sunday
+  assert.deepEqual(cronRuns('30 8 * * 5', '2026-10-18T00:00:00Z', 2), [
+    '2026-10-23T08:30:00.000Z',
+    '2026-10-30T08:30:00.000Z',
+  ]);
+
+  const weekdays = cronRuns('0 9 * * 1-5', '2026-10-23T10:00:00Z', 2);
+  assert.deepEqual(weekdays, ['2026-10-26T09:00:00.000Z', '2026-10-27T09:00:00.000Z']);
+
+  assert.deepEqual([...parseCronExpression('0 9 * * 0,7').dayOfWeek], [0]);
+  assert.equal(cronRuns('0 9 * * 7', '2026-10-18T10:00:00Z', 1)[0], '2026-10-25T09:00:00.000Z');
+
+  // Weekdays are local: 23:30 Friday in New York is Saturday in UTC
+  const local = nextCronRun(new Date('2026-10-18T00:00:00Z'), parseCronExpression('30 23 * * 5'), NEW_YORK);
+  assert.equal(local.toISOString(), '2026-10-24T03:30:00.000Z');
+});
+
+await test('cron with both day fields fires when either matches', () => {
+  // The 13th, or any Friday
+  assert.deepEqual(cronRuns('0 9 13 * 5', '2026-11-01T00:00:00Z', 4), [
+    '2026-11-06T09:00:00.000Z',
+    '2026-11-13T09:00:00.000Z', // both
+    '2026-11-20T09:00:00.000Z',
+    '2026-11-27T09:00:00.000Z',
+  ]);
+  assert.deepEqual(cronRuns('0 9 13 * 5', '2026-12-05T00:00:00Z', 2), [
+    '2026-12-11T09:00:00.000Z',
+    '2026-12-13T09:00:00.000Z',
+  ]);
+});
+
+await test('schedules that cannot run or buy more than once a day are rejected', () => {
+  const invalid = (fn, pattern) => assert.throws(fn, (error) => error.code === 'INVALID_SCHEDULE' && pattern.test(error.message));
+
+  invalid(() => parseCronExpression('0 9,17 * * *'), /single values/);
+  invalid(() => parseCronExpression('*/30 9 * * *'), /single values/);
+  invalid(() => parseCronExpression('0 9 * *'), /five fields/);
+  invalid(() => parseCronExpression('0 24 * * *'), /hour/);
+  invalid(() => parseCronExpression('0 9 * * 5-1'), /backwards/);
+  invalid(() => parseGoalSchedule('CUSTOM', { cron: '0 9 31 2 *' }), /never fires/);
+  invalid(() => parseGoalSchedule('MONTHLY', { dayOfMonth: 32 }), /dayOfMonth/);
+
+  // 29 February fires, once every four years
+  assert.deepEqual(parseGoalSchedule('CUSTOM', { cron: '0 9 29 2 *' }), { cron: '0 9 29 2 *' });
+  assert.equal(cronRuns('0 9 29 2 *', '2026-10-18T00:00:00Z', 1)[0], '2028-02-29T09:00:00.000Z');
+});
+
+await test('the nth run lands where stepping run by run does', () => {
+  const from = new Date('2026-01-31T14:00:00Z');
+  for (const [frequency, options] of [
+    ['DAILY', { timeZone: NEW_YORK }],
+    ['WEEKLY', { timeZone: BERLIN }],
+    ['BIWEEKLY', {}],
+    ['MONTHLY', { schedule: { dayOfMonth: 31 }, timeZone: NEW_YORK }],
+    ['QUARTERLY', { schedule: { dayOfMonth: 30 }, timeZone: BERLIN }],
+  ]) {
+    for (const count of [1, 7, 500]) {
+      assert.equal(
+        computeNthRunAt(from, frequency, count, options).toISOString(),
+        listRunDates(from, frequency, count, options).at(-1).toISOString(),
+        `${frequency} x${count}`
+      );
+    }
+  }
+
+  // Cron runs are walked exactly up to a limit, then estimated onto a real run
+  const cron = { schedule: { cron: '0 9 1,15 * *' } };
+  assert.equal(computeNthRunAt(from, 'CUSTOM', 24, cron).toISOString(), '2027-01-15T09:00:00.000Z');
+  const far = getZonedParts(computeNthRunAt(from, 'CUSTOM', 2000, cron));
+  assert.ok([1, 15].includes(far.day) && far.hour === 9);
+  assert.equal(far.year, 2026 + Math.floor(2000 / 24));
+});
+
+await test('an ETA millions of intervals out is reached in one step', async () => {
+  const before = Date.now();
+  const eta = await calculateEstimatedCompletion(BTC_MINT, 1000, 10, 'DAILY');
+  const after = Date.now();
+
+  assert.ok(eta.intervalsNeeded > 1_000_000);
+  assert.ok(after - before < 5000);
+  const completion = new Date(eta.estimatedCompletionDate).getTime();
+  assert.ok(completion >= before + eta.intervalsNeeded * DAY_MS && completion <= after + eta.intervalsNeeded * DAY_MS);
+
+  // Beyond the last date JavaScript can represent there is no date to give
+  const never = await calculateEstimatedCompletion(BTC_MINT, 100000, 10, 'QUARTERLY');
+  assert.equal(never.estimatedCompletionDate, null);
+  assert.equal(never.monthsToComplete, null);
+});
+
+finish();
@@ -0,0 +1,510 @@
+/**
+ * Test script for scheduled buys (lib/scheduler.js)
+ * Runs scheduler ticks for single-coin and basket goals against an in-memory
+ * database, a fake Solana connection and a fake swap provider, with locally
+ * signed swaps (and basket legs) going through the real swap service:
+ * claiming and skipping intervals, each way a run can end, and what a run
+ * records and credits, including a delegated buy trimmed to what an EXACT
+ * goal still needs
+ *
+ * Usage: node scripts/test-scheduler.js [--verbose]
+ */
+
+import assert from 'node:assert/strict';
+import {
+  Keypair,
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import {
+  AccountLayout,
+  ACCOUNT_SIZE,
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import { createFakePrisma, createTestRunner, silenceLogs } from './test-harness.js';
+
+const verbose = process.argv.includes('--verbose');
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BTC_MINT = 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij';
+const ETH_MINT = '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs';
+const SATS_PER_USDC = 1000n; // BTC at $100,000
+const SWAP_PROGRAM = Keypair.generate().publicKey;
+
+// lib/prisma.js reuses a global client; set it before the scheduler is imported
+const db = createFakePrisma();
+global.prisma = db.client;
+const appWallet = Keypair.generate();
+Object.assign(process.env, {
+  SOLANA_RPC_URL: 'http://127.0.0.1:8899',
+  APP_WALLET_PRIVATE_KEY: Buffer.from(appWallet.secretKey).toString('base64'),
+});
+
+const { runSchedulerTick, runScheduledInvestment, createKeypairSigner } = await import('../lib/scheduler.js');
+const { createSwapService } = await import('../lib/swap-service.js');
+const { getSolanaConnection } = await import('../lib/solana.js');
+const { setSwapProvider } = await import('../lib/swap-provider.js');
+const { getUsdcMint } = await import('../lib/tokens.js');
+
+if (!verbose) {
+  silenceLogs();
+}
+
+/**
+ * Quotes at SATS_PER_USDC; swap transactions call the provider's own program
+ * and are paid for by the wallet they are built for, so a keypair signer (or
+ * the app wallet, under delegation) can sign them. They move no balances.
+ */
+function createFakeProvider() {
+  const quotes = [];
+  const builds = [];
+  return {
+    quotes,
+    builds,
+    name: 'fake',
+    programs: { [SWAP_PROGRAM.toBase58()]: 'Fake swap' },
+    settlesBalances: false,
+    getQuote: async (inputMint, outputMint, amount, slippageBps) => {
+      quotes.push({ inputMint, outputMint, amount, slippageBps });
+      return {
+        inputMint,
+        outputMint,
+        inAmount: amount,
+        outAmount: ((BigInt(amount) * SATS_PER_USDC) / 10n ** 6n).toString(),
+        priceImpactPct: '0.01',
+        quoteId: `quote_${quotes.length}`,
+        expiresAt: new Date(Date.now() + 30000).toISOString(),
+      };
+    },
+    getSwapTransaction: async (quote, walletAddress, slippageBps, options) => {
+      builds.push({ walletAddress, slippageBps, options });
+      const payer = new PublicKey(walletAddress);
+      const message = new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [
+          new TransactionInstruction({ programId: SWAP_PROGRAM, keys: [{ pubkey: payer, isSigner: true, isWritable: true }], data: Buffer.from([1]) }),
+        ],
+      }).compileToV0Message();
+      return {
+        swapTransaction: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64'),
+        lastValidBlockHeight: 200,
+      };
+    },
+  };
+}
+
+function tokenAccountData({ mint, owner, amount, delegate = null, delegatedAmount = 0n }) {
+  const data = Buffer.alloc(ACCOUNT_SIZE);
+  AccountLayout.encode({
+    mint: new PublicKey(mint),
+    owner: new PublicKey(owner),
+    amount: BigInt(amount),
+    delegateOption: delegate ? 1 : 0,
+    delegate: delegate ? new PublicKey(delegate) : PublicKey.default,
+    state: 1,
+    isNativeOption: 0,
+    isNative: 0n,
+    delegatedAmount: BigInt(delegatedAmount),
+    closeAuthorityOption: 0,
+    closeAuthority: PublicKey.default,
+  }, data);
+  return data;
+}
+
+/**
+ * The parts of a Solana connection a scheduled run uses; confirmations come
+ * from `confirmResult()` (an Error is thrown). Accounts are set with
+ * setAccount; simulations return no account state.
+ */
+function createFakeChain() {
+  const accounts = new Map();
+  const sent = [];
+  const chain = {
+    sent,
+    confirmResult: () => ({ value: { err: null } }),
+    setAccount(address, owner, data = Buffer.alloc(0)) {
+      accounts.set(address.toString(), { owner, data, lamports: 2039280, executable: false, rentEpoch: 0 });
+    },
+    getAccountInfo: async (address) => accounts.get(address.toString()) ?? null,
+    getLatestBlockhash: async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 200 }),
+    getBalance: async () => 1000000000,
+    getTokenAccountsByOwner: async () => ({ value: [] }),
+    simulateTransaction: async () => ({ value: { err: null, logs: [], accounts: null, unitsConsumed: 150000 } }),
+    getRecentPrioritizationFees: async () => [],
+    getBlockHeight: async () => 100,
+    sendRawTransaction: async (buffer) => {
+      sent.push(VersionedTransaction.deserialize(buffer));
+      return `sig_${sent.length}`;
+    },
+    confirmTransaction: async () => {
+      const result = chain.confirmResult();
+      if (result instanceof Error) throw result;
+      return result;
+    },
+  };
+
+  // The execution policy reads the shared connection from lib/solana.js
+  Object.assign(getSolanaConnection(), chain);
+  return chain;
+}
+
+let fixtureId = 0;
+
+/**
+ * A member with a wallet and a weekly 25 USDC BTC goal due at `nextRunAt`,
+ * a swap service over fresh fakes, and a signer for the member's wallet
+ */
+function setup({ nextRunAt = new Date(NOW.getTime() - 60000), walletAddress, amountPerInterval = 25, ...goalFields } = {}) {
+  fixtureId++;
+  const member = Keypair.generate();
+  const user = db.seed('user', {
+    id: `user_${fixtureId}`,
+    privyId: `did:privy:${fixtureId}`,
+    email: `member-${fixtureId}@example.com`,
+    walletAddress: walletAddress === undefined ? member.publicKey.toBase58() : walletAddress,
+  });
+  const goal = db.seed('goal', {
+    id: `goal_${fixtureId}`,
+    userId: user.id,
+    coin: 'BTC',
+    tokenMint: BTC_MINT,
+    targetAmountRaw: 1_000_000n,
+    amountDecimals: 8,
+    frequency: 'WEEKLY',
+    amountPerInterval,
+    nextRunAt,
+    ...goalFields,
+  });
+
+  const chain = createFakeChain();
+  // The member's BTC account exists already, so nothing is created for it
+  chain.setAccount(getAssociatedTokenAddressSync(new PublicKey(BTC_MINT), member.publicKey, true), TOKEN_PROGRAM_ID);
+  chain.setAccount(new PublicKey(BTC_MINT), TOKEN_PROGRAM_ID);
+  const provider = createFakeProvider();
+  setSwapProvider(provider);
+
+  // Pre-trade checks (lib/swap-guardrails.js) have their own test script
+  const inspections = [];
+  const swapService = createSwapService({
+    getConnection: () => chain,
+    getInputCost: async () => ({ costUsdRaw: 25000000n, inputPriceUsd: 1 }),
+    inspectTransaction: async (params) => {
+      inspections.push(params);
+      return { receives: { minimumAmountRaw: '0', simulatedAmountRaw: null }, checkedAt: new Date().toISOString() };
+    },
+  });
+
+  const signer = createKeypairSigner(member);
+  const tick = (options = {}) => runSchedulerTick({ now: NOW, swapService, resolveSigner: async () => signer, ...options });
+
+  return { user, goal, member, chain, provider, inspections, swapService, signer, tick };
+}
+
+/**
+ * An ACTIVE delegation of `cap` USDC from the member's USDC account to the
+ * app wallet, backed on-chain
+ */
+function delegate({ user, member, chain }, { cap = 100, balance = 500 } = {}) {
+  const usdc = getUsdcMint();
+  const userTokenAccount = getAssociatedTokenAddressSync(new PublicKey(usdc.mint), member.publicKey);
+  const capRaw = BigInt(cap) * 10n ** BigInt(usdc.decimals);
+  chain.setAccount(userTokenAccount, TOKEN_PROGRAM_ID, tokenAccountData({
+    mint: usdc.mint,
+    owner: member.publicKey,
+    amount: BigInt(balance) * 10n ** BigInt(usdc.decimals),
+    delegate: appWallet.publicKey,
+    delegatedAmount: capRaw,
+  }));
+
+  return db.seed('swapDelegation', {
+    userId: user.id,
+    delegateAddress: appWallet.publicKey.toBase58(),
+    tokenMint: usdc.mint,
+    tokenAccount: userTokenAccount.toBase58(),
+    amountCapRaw: capRaw,
+    expiresAt: new Date(NOW.getTime() + 30 * DAY_MS),
+    status: 'ACTIVE',
+  });
+}
+
+// A transferChecked's amount sits after its one-byte tag
+const transferredRaw = (transaction) => Buffer.from(transaction.message.compiledInstructions[0].data).readBigUInt64LE(1);
+
+/**
+ * Turn a setup() goal into a 60/40 BTC/ETH basket, with the member's ETH
+ * account open like their BTC one
+ */
+function basket({ goal, member, chain }) {
+  db.find('goal', goal.id).kind = 'BASKET';
+  chain.setAccount(getAssociatedTokenAddressSync(new PublicKey(ETH_MINT), member.publicKey, true), TOKEN_PROGRAM_ID);
+  chain.setAccount(new PublicKey(ETH_MINT), TOKEN_PROGRAM_ID);
+  return [
+    { coin: 'BTC', tokenMint: BTC_MINT, weightBps: 6000, targetAmountRaw: 600_000n },
+    { coin: 'ETH', tokenMint: ETH_MINT, weightBps: 4000, targetAmountRaw: 40_000_000n },
+  ].map(component => db.seed('goalComponent', { goalId: goal.id, amountDecimals: 8, ...component }));
+}
+
+const goalRuns = (goal) => db.rows('scheduledRun').filter(run => run.goalId === goal.id);
+const batchOf = (run) => db.find('investmentBatch', run.batchId);
+const swapOf = (run) => db.rows('transaction').find(t => t.batchId === run.batchId && t.type === 'SWAP');
+const legsOf = (run) => db.rows('transaction').filter(t => t.batchId === run.batchId && t.type === 'SWAP').sort((a, b) => a.leg - b.leg);
+const componentInvested = (component) => db.find('goalComponent', component.id).investedAmountRaw;
+const invested = (goal) => db.find('goal', goal.id).investedAmountRaw;
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Scheduler Test');
+console.log('=================\n');
+
+await test('a locally signed buy is checked, sent and credited from its recorded quote', async () => {
+  const { goal, member, chain, provider, inspections, tick } = setup();
+
+  const result = await tick();
+  assert.equal(result.counts.SUCCEEDED, 1);
+
+  const [run] = goalRuns(goal);
+  assert.equal(run.status, 'SUCCEEDED');
+  assert.equal(run.amountUsd, 25);
+  assert.equal(batchOf(run).state, 'SWAP_CONFIRMED');
+  assert.equal(invested(goal), 25000n);
+
+  // Built and checked for the member's wallet, and signed by it
+  const walletAddress = member.publicKey.toBase58();
+  assert.equal(provider.builds[0].walletAddress, walletAddress);
+  assert.deepEqual(inspections.map(params => params.walletAddress), [walletAddress, walletAddress]);
+  assert.equal(chain.sent.length, 1);
+  assert.ok(chain.sent[0].signatures[0].some(byte => byte !== 0));
+
+  const swap = swapOf(run);
+  assert.equal(swap.txnHash, 'sig_1');
+  assert.equal(swap.meta.quoteOutAmountRaw, '25000');
+  assert.equal(swap.meta.scheduledRunId, run.id);
+});
+
+await test('the run\'s slippage and priority fee are used and recorded on the batch', async () => {
+  const { goal, provider, tick } = setup();
+
+  await tick();
+  const [run] = goalRuns(goal);
+  const { executionPolicy } = batchOf(run);
+
+  assert.ok(executionPolicy.slippage.slippageBps > 0);
+  // The quote's price impact raises the slippage, so the buy is quoted again at it
+  assert.equal(provider.quotes.at(-1).slippageBps, executionPolicy.slippage.slippageBps);
+  assert.equal(swapOf(run).meta.quoteId, `quote_${provider.quotes.length}`);
+  assert.equal(provider.builds[0].slippageBps, executionPolicy.slippage.slippageBps);
+  assert.equal(provider.builds[0].options.priorityFee.maxLamports, executionPolicy.priorityFee.maxLamports);
+  assert.equal(swapOf(run).meta.slippageBps, executionPolicy.slippage.slippageBps);
+});
+
+await test('overlapping ticks run an interval once', async () => {
+  const { goal, swapService, signer } = setup();
+  // Both read the goal before either claimed it
+  const due = { ...db.find('goal', goal.id), user: db.find('user', goal.userId), components: [] };
+  const options = { now: NOW, swapService, resolveSigner: async () => signer };
+
+  const [first, second] = await Promise.all([
+    runScheduledInvestment(due, options),
+    runScheduledInvestment(due, options),
+  ]);
+  assert.deepEqual([first?.status, second?.status].sort(), ['SUCCEEDED', undefined]);
+  assert.equal(goalRuns(goal).length, 1);
+  assert.equal(invested(goal), 25000n);
+});
+
+await test('intervals missed while the scheduler was down are skipped, not replayed', async () => {
+  const missedFrom = new Date(NOW.getTime() - 20 * DAY_MS);
+  const { goal, tick } = setup({ nextRunAt: missedFrom });
+
+  await tick();
+  await tick();
+
+  const runs = goalRuns(goal);
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].scheduledFor.getTime(), missedFrom.getTime());
+  // The next run is the first weekly slot after now
+  const { nextRunAt, lastRunAt } = db.find('goal', goal.id);
+  assert.equal(nextRunAt.toISOString(), new Date(missedFrom.getTime() + 21 * DAY_MS).toISOString());
+  assert.equal(lastRunAt.getTime(), NOW.getTime());
+});
+
+await test('without a signer or delegation the quoted buy waits for the member', async () => {
+  const { goal, chain, tick } = setup();
+
+  const result = await tick({ resolveSigner: null });
+  assert.equal(result.counts.AWAITING_SIGNATURE, 1);
+
+  const [run] = goalRuns(goal);
+  assert.equal(run.status, 'AWAITING_SIGNATURE');
+  assert.equal(batchOf(run).state, 'QUOTED');
+  assert.ok(batchOf(run).executionPolicy);
+  assert.equal(chain.sent.length, 0);
+  assert.equal(invested(goal), 0n);
+  assert.ok(db.rows('notification').some(n => n.userId === goal.userId && n.type === 'SCHEDULED_BUY_READY'));
+
+  // The member finishes it in the app against the recorded quote
+  const swap = swapOf(run);
+  assert.equal(swap.meta.inputAmountRaw, '25000000');
+  assert.equal(swap.meta.minOutAmountRaw, '25000');
+});
+
+await test('goals without a wallet, or with nothing to buy, are skipped', async () => {
+  const walletless = setup({ walletAddress: null });
+  await walletless.tick();
+  const [walletlessRun] = goalRuns(walletless.goal);
+  assert.equal(walletlessRun.status, 'SKIPPED');
+  assert.match(walletlessRun.error, /no valid wallet/);
+  assert.equal(walletlessRun.batchId, null);
+
+  const tiny = setup({ amountPerInterval: 0.001 });
+  await tiny.tick();
+  const [tinyRun] = goalRuns(tiny.goal);
+  assert.equal(tinyRun.status, 'SKIPPED');
+  assert.equal(tiny.provider.quotes.length, 0);
+
+  // Skipped intervals still move the schedule on
+  assert.ok(db.find('goal', tiny.goal.id).nextRunAt > NOW);
+});
+
+await test('a swap that fails on-chain fails the run and its batch without crediting', async () => {
+  const { goal, chain, tick } = setup();
+  chain.confirmResult = () => ({ value: { err: { InstructionError: [2, { Custom: 1 }] } } });
+
+  const result = await tick();
+  assert.equal(result.counts.FAILED, 1);
+
+  const [run] = goalRuns(goal);
+  assert.equal(run.status, 'FAILED');
+  assert.equal(batchOf(run).state, 'FAILED');
+  assert.ok(swapOf(run).meta.errorCode);
+  assert.equal(invested(goal), 0n);
+});
+
+await test('a swap whose confirmation does not complete is left to reconciliation', async () => {
+  const { goal, chain, tick } = setup();
+  chain.confirmResult = () => new Error('fetch failed');
+
+  const result = await tick();
+  assert.equal(result.counts.SUBMITTED, 1);
+
+  const [run] = goalRuns(goal);
+  assert.equal(run.status, 'SUBMITTED');
+  assert.equal(run.meta.signature, 'sig_1');
+  assert.equal(batchOf(run).state, 'SWAP_SUBMITTED');
+  assert.equal(swapOf(run).txnHash, 'sig_1');
+  assert.equal(invested(goal), 0n);
+});
+
+await test('an execution policy that cannot be chosen leaves the interval due for the next tick', async () => {
+  const { goal, tick } = setup();
+  const dueAt = db.find('goal', goal.id).nextRunAt.getTime();
+  const { findUnique } = db.client.user;
+  db.client.user.findUnique = async () => {
+    throw new Error('connection reset');
+  };
+
+  try {
+    const result = await tick();
+    assert.equal(result.counts.SUCCEEDED ?? 0, 0);
+  } finally {
+    db.client.user.findUnique = findUnique;
+  }
+  assert.equal(goalRuns(goal).length, 0);
+  assert.equal(db.find('goal', goal.id).nextRunAt.getTime(), dueAt);
+
+  await tick();
+  assert.equal(goalRuns(goal)[0].status, 'SUCCEEDED');
+});
+
+await test('a signer for another wallet is refused before anything is sent', async () => {
+  const { goal, chain, tick } = setup();
+  const stranger = createKeypairSigner(Keypair.generate());
+
+  await tick({ resolveSigner: async () => stranger });
+  const [run] = goalRuns(goal);
+  assert.equal(run.status, 'FAILED');
+  assert.equal(run.meta.errorCode, 'SIGNER_MISMATCH');
+  assert.equal(batchOf(run).state, 'FAILED');
+  assert.equal(chain.sent.length, 0);
+});
+
+await test('a delegated buy trimmed for an EXACT goal pulls and reserves only the trimmed amount', async () => {
+  // 10,000 sats short of the target: the run is sized with a slippage margin,
+  // then the quote trims it to the 10 USDC that buys exactly that
+  const fixture = setup({ overflowPolicy: 'EXACT', investedAmountRaw: 990_000n });
+  const { goal, chain, provider, tick } = fixture;
+  const delegation = delegate(fixture);
+
+  const result = await tick({ resolveSigner: null });
+  assert.equal(result.counts.SUCCEEDED, 1);
+
+  const [run] = goalRuns(goal);
+  assert.equal(provider.quotes.at(-1).amount, '10000000');
+  assert.equal(provider.builds[0].walletAddress, appWallet.publicKey.toBase58());
+  assert.equal(swapOf(run).meta.delegated, true);
+
+  // The pull, then the swap, both signed by the app wallet
+  assert.equal(chain.sent.length, 2);
+  assert.equal(transferredRaw(chain.sent[0]), 10_000_000n);
+  const [execution] = db.rows('delegatedExecution').filter(e => e.delegationId === delegation.id);
+  assert.equal(execution.amountRaw, 10_000_000n);
+  assert.equal(execution.status, 'SUCCEEDED');
+  assert.equal(db.find('swapDelegation', delegation.id).amountUsedRaw, 10_000_000n);
+
+  assert.equal(invested(goal), 1_000_000n);
+});
+
+await test('a locally signed basket buy sends each leg through the swap service and confirms the batch once', async () => {
+  const fixture = setup();
+  const { goal, member, chain, provider, inspections, tick } = fixture;
+  const components = basket(fixture);
+
+  const result = await tick();
+  assert.equal(result.counts.SUCCEEDED, 1);
+
+  const [run] = goalRuns(goal);
+  assert.equal(batchOf(run).state, 'SWAP_CONFIRMED');
+  const legs = legsOf(run);
+  assert.deepEqual(legs.map(leg => leg.componentId), components.map(c => c.id));
+
+  // Each leg is built, checked when built and again when signed, and sent
+  const walletAddress = member.publicKey.toBase58();
+  assert.deepEqual(provider.builds.map(build => build.walletAddress), [walletAddress, walletAddress]);
+  assert.equal(inspections.length, 4);
+  assert.deepEqual(inspections.map(params => params.quote.outputMint), [BTC_MINT, BTC_MINT, ETH_MINT, ETH_MINT]);
+  assert.deepEqual(legs.map(leg => leg.txnHash), ['sig_1', 'sig_2']);
+  assert.equal(chain.sent.length, 2);
+
+  // Each component is credited once with its leg's recorded quote
+  for (const [index, component] of components.entries()) {
+    assert.ok(legs[index].meta.creditedAt);
+    assert.equal(componentInvested(component), BigInt(legs[index].meta.quoteOutAmountRaw));
+  }
+  const confirmations = db.rows('notification').filter(n => n.userId === goal.userId && n.type === 'SWAP_CONFIRMED');
+  assert.equal(confirmations.length, 1);
+});
+
+await test('a basket leg that fails on-chain leaves the legs before it credited as a partial fill', async () => {
+  const fixture = setup();
+  const { goal, chain, tick } = fixture;
+  const [btc, eth] = basket(fixture);
+  chain.confirmResult = () => ({ value: { err: chain.sent.length === 2 ? { InstructionError: [0, { Custom: 1 }] } : null } });
+
+  const result = await tick();
+  assert.equal(result.counts.FAILED, 1);
+
+  const [run] = goalRuns(goal);
+  assert.equal(batchOf(run).state, 'SWAP_CONFIRMED');
+  const [first, second] = legsOf(run);
+  assert.equal(componentInvested(btc), BigInt(first.meta.quoteOutAmountRaw));
+  assert.equal(componentInvested(eth), 0n);
+  assert.ok(second.meta.errorCode);
+  assert.equal(second.amountCryptoRaw, 0n);
+});
+
+finish();
@@ -0,0 +1,155 @@
+/**
+ * Test script for the goal projection simulator (lib/goal-simulator.js)
+ * Checks completion dates against known price paths, that the percentiles
+ * are ordered, that buy-the-dip is replayed with its drawdowns, the horizon
+ * cut-off and the chart series, and the minimum history
+ * Runs against an in-memory price-history store; today's price comes from
+ * fixtures when the live price sources are out of reach.
+ *
+ * Usage: node scripts/test-simulator.js
+ */
+
+import assert from 'node:assert/strict';
+import { createFakePrisma, createTestRunner, silenceLogs } from './test-harness.js';
+
+// lib/prisma.js reuses a global client; set it before the simulator is imported
+const db = createFakePrisma();
+global.prisma = db.client;
+
+const { simulateGoal, MIN_HISTORY_DAYS, MAX_HORIZON_DAYS } = await import('../lib/goal-simulator.js');
+const { getPriceQuote } = await import('../lib/prices.js');
+
+silenceLogs();
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BTC_MINT = 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij';
+
+/**
+ * Stores one close a day ending yesterday, starting at $100 and moved by
+ * `dailyReturn(day)`; each history gets its own symbol, priced today as BTC
+ */
+function seedHistory(symbol, days, dailyReturn = () => 1) {
+  let priceUsd = 100;
+  for (let day = 0; day < days; day++) {
+    db.seed('priceSnapshot', {
+      symbol,
+      priceUsd,
+      source: 'IMPORT',
+      capturedAt: new Date(NOW.getTime() - (days - day) * DAY_MS),
+    });
+    priceUsd *= dailyReturn(day);
+  }
+  return { symbol, mint: BTC_MINT };
+}
+
+const simulate = (token, params) => simulateGoal({
+  token,
+  targetAmount: 0.01,
+  frequency: 'WEEKLY',
+  timeZone: 'UTC',
+  amountPerInterval: 100,
+  now: NOW,
+  ...params,
+});
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Goal Simulator Test');
+console.log('======================\n');
+
+await test('a flat history completes every scenario when today\'s price says it would', async () => {
+  const { priceUsd } = await getPriceQuote(BTC_MINT);
+  const result = await simulate(seedHistory('FLAT', 61));
+
+  const intervals = Math.ceil((0.01 * priceUsd) / 100);
+  assert.equal(result.scenarios, 60);
+  assert.equal(result.completedScenarios, 60);
+  assert.equal(result.history.days, 61);
+  assert.equal(result.currentPriceUsd, priceUsd);
+  assert.equal(result.staticTotalUsd, Math.round(0.01 * priceUsd * 100) / 100);
+
+  for (const projection of Object.values(result.projections)) {
+    assert.deepEqual(projection, {
+      completed: true,
+      completionDate: new Date(NOW.getTime() + intervals * 7 * DAY_MS).toISOString(),
+      intervals,
+      totalUsd: intervals * 100,
+    });
+  }
+});
+
+await test('a falling market completes sooner than a rising one', async () => {
+  const flat = await simulate(seedHistory('LEVEL', 61));
+  const rising = await simulate(seedHistory('RISING', 61, () => 1.01));
+  const falling = await simulate(seedHistory('FALLING', 61, () => 0.99));
+
+  assert.ok(rising.projections.median.intervals > flat.projections.median.intervals);
+  assert.ok(falling.projections.median.intervals < flat.projections.median.intervals);
+});
+
+await test('scenarios start on different days, and the percentiles are ordered', async () => {
+  // A month-long crash then a month-long recovery: where a scenario starts decides its path
+  const result = await simulate(seedHistory('CYCLE', 61, (day) => (day < 30 ? 0.97 : 1 / 0.97)), { targetAmount: 0.05 });
+  const { optimistic, median, pessimistic } = result.projections;
+
+  assert.equal(result.completedScenarios, 60);
+  assert.ok(optimistic.intervals <= median.intervals && median.intervals <= pessimistic.intervals);
+  assert.ok(optimistic.intervals < pessimistic.intervals);
+  assert.ok(optimistic.completionDate < pessimistic.completionDate);
+});
+
+await test('buy-the-dip buys more in a falling market and finishes first', async () => {
+  const token = seedHistory('DIPPING', 61, () => 0.99);
+  const params = { targetAmount: 0.05, frequency: 'DAILY' };
+  const fixed = await simulate(token, params);
+  const dip = await simulate(token, { ...params, strategy: 'BUY_THE_DIP', strategyParams: { lookbackDays: 30 } });
+
+  assert.equal(dip.strategy, 'BUY_THE_DIP');
+  assert.ok(dip.projections.median.intervals < fixed.projections.median.intervals);
+
+  // Same day, deeper drawdown than the 10% tier: more invested per interval
+  const day = dip.projections.median.intervals - 1;
+  const invested = (result) => result.series.find(point => point.interval >= day).investedUsd;
+  assert.ok(invested(dip) > invested(fixed));
+});
+
+await test('scenarios still short at the horizon do not complete, and the chart stays small', async () => {
+  const result = await simulate(seedHistory('STALLED', 61), { targetAmount: 1000, amountPerInterval: 10 });
+
+  assert.equal(result.completedScenarios, 0);
+  assert.equal(result.horizonDays, MAX_HORIZON_DAYS);
+  for (const projection of Object.values(result.projections)) {
+    assert.deepEqual(projection, { completed: false, completionDate: null, intervals: null, totalUsd: null });
+  }
+
+  // Weekly for twenty years, thinned to at most 60 points up to the last run
+  assert.ok(result.series.length <= 60);
+  const last = result.series[result.series.length - 1];
+  assert.ok(new Date(last.date).getTime() <= NOW.getTime() + MAX_HORIZON_DAYS * DAY_MS);
+  assert.equal(last.investedUsd, last.interval * 10);
+  assert.ok(last.progressPct.median < 100);
+  for (let i = 1; i < result.series.length; i++) {
+    assert.ok(result.series[i].investedUsd > result.series[i - 1].investedUsd);
+  }
+});
+
+await test('too little history, counting only closes up to now, is refused', async () => {
+  const rejected = (token) => assert.rejects(
+    simulate(token),
+    (error) => error.code === 'INSUFFICIENT_PRICE_HISTORY' && error.message.includes(`${MIN_HISTORY_DAYS} needed`)
+  );
+
+  await rejected(seedHistory('NEW', MIN_HISTORY_DAYS - 1));
+
+  // Closes after the projection start do not count
+  const token = seedHistory('LATE', MIN_HISTORY_DAYS - 1);
+  for (let day = 1; day <= 10; day++) {
+    db.seed('priceSnapshot', { symbol: 'LATE', priceUsd: 100, source: 'IMPORT', capturedAt: new Date(NOW.getTime() + day * DAY_MS) });
+  }
+  await rejected(token);
+
+  await simulate(seedHistory('ENOUGH', MIN_HISTORY_DAYS));
+});
+
+finish();
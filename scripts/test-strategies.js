@@ -0,0 +1,195 @@
+/**
+ * Test script for contribution strategies (lib/contribution-strategies.js)
+ * Checks value averaging's target path (interval index, growth and current
+ * holdings), buy-the-dip tiers from the price-history store, the
+ * per-interval caps, and the market state a scheduled run reads
+ * Runs against an in-memory database; BTC is priced from fixtures when the
+ * live price sources are out of reach.
+ *
+ * Usage: node scripts/test-strategies.js
+ */
+
+import assert from 'node:assert/strict';
+import { createFakePrisma, createTestRunner, silenceLogs } from './test-harness.js';
+
+// lib/prisma.js reuses a global client; set it before the strategies are imported
+const db = createFakePrisma();
+global.prisma = db.client;
+
+const {
+  computeNextContribution,
+  loadMarketState,
+  planContribution,
+  parseContributionStrategy,
+  DEFAULT_MAX_MULTIPLIER,
+} = await import('../lib/contribution-strategies.js');
+const { getPriceQuote } = await import('../lib/prices.js');
+
+silenceLogs();
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BTC_MINT = 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij';
+
+const goal = (strategy, strategyParams = {}, fields = {}) => ({ strategy, strategyParams, amountPerInterval: 100, ...fields });
+const market = (state) => ({ holdingsValueUsd: null, drawdownPct: null, intervalIndex: 1, ...state });
+
+let fixtureId = 0;
+
+/** A stored BTC goal with `runs` scheduled runs behind it */
+function seedGoal({ runs = 0, investedAmountRaw = 0n, ...fields } = {}) {
+  fixtureId++;
+  const row = db.seed('goal', {
+    userId: `user_${fixtureId}`,
+    coin: 'BTC',
+    tokenMint: BTC_MINT,
+    targetAmountRaw: 100_000_000n,
+    investedAmountRaw,
+    amountDecimals: 8,
+    frequency: 'WEEKLY',
+    amountPerInterval: 100,
+    ...fields,
+  });
+  for (let i = 0; i < runs; i++) {
+    db.seed('scheduledRun', { goalId: row.id, scheduledFor: new Date(NOW.getTime() - (i + 1) * 7 * DAY_MS) });
+  }
+  return row;
+}
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Contribution Strategies Test');
+console.log('===============================\n');
+
+await test('value averaging fills the gap to a target that grows by the base amount each interval', () => {
+  const va = goal('VALUE_AVERAGING');
+
+  // Interval 4: the path is at $400
+  const behind = computeNextContribution(va, market({ intervalIndex: 4, holdingsValueUsd: 250 }));
+  assert.equal(behind.amountUsd, 150);
+  assert.equal(behind.details.targetValueUsd, 400);
+  assert.equal(behind.capped, false);
+
+  // The first interval buys the base amount
+  assert.equal(computeNextContribution(va, market({ intervalIndex: 1, holdingsValueUsd: 0 })).amountUsd, 100);
+
+  // Holdings above the path: nothing this interval
+  const ahead = computeNextContribution(va, market({ intervalIndex: 4, holdingsValueUsd: 450 }));
+  assert.equal(ahead.amountUsd, 0);
+  assert.match(ahead.reason, /already above the \$400 target for interval 4/);
+});
+
+await test('value averaging compounds its path by the growth rate', () => {
+  const va = goal('VALUE_AVERAGING', { growthRatePct: 10 });
+
+  // 100 + 110 + 121 = 331 after three intervals
+  const result = computeNextContribution(va, market({ intervalIndex: 3, holdingsValueUsd: 200 }));
+  assert.equal(result.details.targetValueUsd, 331);
+  assert.equal(result.amountUsd, 131);
+});
+
+await test('value averaging without a price contributes the base amount', () => {
+  const result = computeNextContribution(goal('VALUE_AVERAGING'), market({ intervalIndex: 9 }));
+  assert.equal(result.amountUsd, 100);
+  assert.match(result.reason, /No current price/);
+});
+
+await test('scaling strategies are capped at three times the base unless capped otherwise', () => {
+  const far = market({ intervalIndex: 20, holdingsValueUsd: 0 });
+  const capped = computeNextContribution(goal('VALUE_AVERAGING'), far);
+  assert.equal(capped.amountUsd, 100 * DEFAULT_MAX_MULTIPLIER);
+  assert.equal(capped.capped, true);
+
+  assert.equal(computeNextContribution(goal('VALUE_AVERAGING', { maxContribution: 1000 }), far).amountUsd, 1000);
+
+  // A floor applies even when the holdings are ahead
+  const floored = computeNextContribution(goal('VALUE_AVERAGING', { minContribution: 20 }), market({ intervalIndex: 2, holdingsValueUsd: 900 }));
+  assert.equal(floored.amountUsd, 20);
+  assert.equal(floored.capped, true);
+
+  // Under 1 USDC is not worth a swap
+  assert.equal(computeNextContribution(goal('VALUE_AVERAGING'), market({ intervalIndex: 2, holdingsValueUsd: 199.5 })).amountUsd, 0);
+});
+
+await test('buy-the-dip picks the deepest tier the drawdown reaches', () => {
+  const dip = goal('BUY_THE_DIP');
+  const at = (drawdownPct) => computeNextContribution(dip, market({ drawdownPct }));
+
+  assert.equal(at(5).amountUsd, 100);
+  assert.equal(at(10).amountUsd, 150);
+  assert.equal(at(25).amountUsd, 200);
+  assert.equal(at(60).amountUsd, 300);
+  assert.equal(at(null).amountUsd, 100);
+
+  const custom = goal('BUY_THE_DIP', { tiers: [{ drawdownPct: 50, multiplier: 0 }, { drawdownPct: 5, multiplier: 1.25 }] });
+  assert.equal(computeNextContribution(custom, market({ drawdownPct: 7 })).amountUsd, 125);
+  assert.equal(computeNextContribution(custom, market({ drawdownPct: 50 })).amountUsd, 0);
+});
+
+await test('the interval index counts every scheduled run so far, and holdings are valued at the current price', async () => {
+  const { priceUsd } = await getPriceQuote(BTC_MINT);
+
+  const fresh = seedGoal();
+  const state = await loadMarketState(fresh, { now: NOW });
+  assert.equal(state.intervalIndex, 1);
+  assert.equal(state.holdingsValueUsd, 0);
+
+  // Skipped and failed runs count too: the path moves on with time
+  const running = seedGoal({ runs: 5, investedAmountRaw: 1_000_000n });
+  const runningState = await loadMarketState(running, { now: NOW });
+  assert.equal(runningState.intervalIndex, 6);
+  assert.equal(runningState.holdingsValueUsd, Math.round(0.01 * priceUsd * 100) / 100);
+
+  // A preview has no runs yet
+  assert.equal((await loadMarketState({ ...running, id: undefined }, { now: NOW })).intervalIndex, 1);
+});
+
+await test('a scheduled run plans value averaging from the stored goal', async () => {
+  const { priceUsd } = await getPriceQuote(BTC_MINT);
+  // Holdings worth $250 after three runs; interval 4 targets $400
+  const investedAmountRaw = BigInt(Math.round((250 / priceUsd) * 1e8));
+  const row = seedGoal({ runs: 3, investedAmountRaw, strategy: 'VALUE_AVERAGING', strategyParams: {} });
+
+  const plan = await planContribution(row, { now: NOW });
+  assert.equal(plan.market.intervalIndex, 4);
+  assert.ok(Math.abs(plan.amountUsd - 150) <= 0.01, `${plan.amountUsd}`);
+});
+
+await test('the drawdown is measured from the high in the price-history store', async () => {
+  const { priceUsd } = await getPriceQuote(BTC_MINT);
+  const snapshot = (daysAgo, price, highUsd = null) => db.seed('priceSnapshot', {
+    symbol: 'BTC',
+    priceUsd: price,
+    highUsd,
+    source: 'IMPORT',
+    capturedAt: new Date(NOW.getTime() - daysAgo * DAY_MS),
+  });
+  // An imported candle's high counts; anything before the window does not
+  snapshot(3, priceUsd);
+  snapshot(10, priceUsd, priceUsd * 1.25);
+  snapshot(45, priceUsd * 4);
+
+  const state = await loadMarketState(seedGoal(), { now: NOW });
+  assert.equal(state.recentHighUsd, priceUsd * 1.25);
+  assert.equal(state.drawdownPct, 20);
+
+  const plan = await planContribution(seedGoal({ strategy: 'BUY_THE_DIP', strategyParams: {} }), { now: NOW });
+  assert.equal(plan.amountUsd, 200);
+});
+
+await test('strategy params are validated and defaulted', () => {
+  assert.deepEqual(parseContributionStrategy('VALUE_AVERAGING', {}, 100).strategyParams, { growthRatePct: 0 });
+  assert.equal(parseContributionStrategy('BUY_THE_DIP', {}, 100).strategyParams.lookbackDays, 30);
+
+  const invalid = (strategy, params, pattern) => assert.throws(
+    () => parseContributionStrategy(strategy, params, 100),
+    (error) => error.code === 'INVALID_STRATEGY' && pattern.test(error.message)
+  );
+  invalid('VALUE_AVERAGING', { growthRatePct: 11 }, /growthRatePct/);
+  invalid('BUY_THE_DIP', { tiers: [{ drawdownPct: 100, multiplier: 2 }] }, /drawdownPct/);
+  invalid('FIXED', { maxContribution: 50 }, /below amountPerInterval/);
+  invalid('FIXED', { minContribution: 20, maxContribution: 10 }, /cannot exceed/);
+  invalid('MARTINGALE', {}, /must be one of/);
+});
+
+finish();
@@ -0,0 +1,427 @@
+/**
+ * Test script for the pre-trade swap checks (lib/swap-guardrails.js)
+ * Builds real versioned transactions and runs them against a fake Solana
+ * connection whose simulateTransaction returns the wallet's accounts after
+ * the swap, so each check can be tripped on its own
+ *
+ * Usage: node scripts/test-swap-guardrails.js [--verbose]
+ */
+
+import assert from 'node:assert/strict';
+import {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  createApproveInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createCloseAccountInstruction,
+  createSyncNativeInstruction,
+  getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+import { createTestRunner, silenceLogs } from './test-harness.js';
+
+const verbose = process.argv.includes('--verbose');
+
+process.env.SOLANA_RPC_URL = 'http://127.0.0.1:8899';
+
+const { inspectSwapTransaction, GUARDRAIL_CONFIG } = await import('../lib/swap-guardrails.js');
+const { JUPITER_PROGRAM_ID } = await import('../lib/jupiter.js');
+const { TOKEN_MINTS } = await import('../lib/tokens.js');
+
+if (!verbose) {
+  silenceLogs();
+}
+
+const USDC = TOKEN_MINTS.USDC;
+const BTC = TOKEN_MINTS.BTC;
+const ETH = TOKEN_MINTS.ETH;
+const SOL = TOKEN_MINTS.SOL;
+const JUPITER = new PublicKey(JUPITER_PROGRAM_ID);
+const WALLET_LAMPORTS = 1000000000n;
+
+const wallet = Keypair.generate();
+const ata = (token, owner = wallet.publicKey) => getAssociatedTokenAddressSync(new PublicKey(token.mint), owner);
+
+// 100 USDC for 0.001 BTC, at least 0.000995 BTC after 0.5% slippage
+const USDC_TO_BTC = {
+  inputMint: USDC.mint,
+  outputMint: BTC.mint,
+  inAmount: '100000000',
+  outAmount: '100000',
+  otherAmountThreshold: '99500',
+};
+
+/**
+ * SPL token account data (165 bytes): mint, owner, amount, delegate
+ */
+function tokenAccountData({ mint, owner = wallet.publicKey, amount, delegate = null }) {
+  const data = Buffer.alloc(165);
+  new PublicKey(mint).toBuffer().copy(data, 0);
+  owner.toBuffer().copy(data, 32);
+  data.writeBigUInt64LE(BigInt(amount), 64);
+  if (delegate) {
+    data.writeUInt32LE(1, 72);
+    delegate.toBuffer().copy(data, 76);
+  }
+  data[108] = 1; // initialized
+  return data;
+}
+
+/**
+ * Compute budget, the output account, then the swap itself
+ * @param {Object} options
+ * @param {TransactionInstruction[]} options.before - Extra instructions ahead of the swap
+ * @param {TransactionInstruction[]} options.after - Extra instructions after it
+ * @param {Keypair} options.signer - Wallet that spends the input
+ * @param {Keypair} options.payer
+ * @param {PublicKey} options.recipient - Owner of the output account
+ */
+function buildSwap({ before = [], after = [], signer = wallet, payer = signer, recipient = signer.publicKey, input = USDC, output = BTC } = {}) {
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions: [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 300000 }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 50000 }),
+      createAssociatedTokenAccountIdempotentInstruction(signer.publicKey, ata(output, recipient), recipient, new PublicKey(output.mint)),
+      ...before,
+      new TransactionInstruction({
+        programId: JUPITER,
+        keys: [
+          { pubkey: signer.publicKey, isSigner: true, isWritable: true },
+          { pubkey: ata(input, signer.publicKey), isSigner: false, isWritable: true },
+          { pubkey: ata(output, recipient), isSigner: false, isWritable: true },
+        ],
+        data: Buffer.from([1]),
+      }),
+      ...after,
+    ],
+  }).compileToV0Message();
+  return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+}
+
+/**
+ * Connection holding the wallets' SOL and token accounts before the swap
+ * @param {Object} options
+ * @param {Object} options.accounts - { address: { mint, owner, amount, delegate } } before the swap
+ * @param {Object} options.after - Same shape after it (null: account closed)
+ * @param {bigint} options.lamportDelta - Change in the wallet's SOL
+ * @param {Object} options.lamportDeltas - { address: change } for other wallets
+ * @param {Object|null} options.err - Simulation error
+ * @param {boolean} options.returnAccounts - false for an RPC node that returns no account state
+ */
+function createFakeConnection({ accounts = {}, after = {}, lamportDelta = 0n, lamportDeltas = {}, err = null, returnAccounts = true } = {}) {
+  const simulations = [];
+  const deltas = { [wallet.publicKey.toBase58()]: lamportDelta, ...lamportDeltas };
+  return {
+    simulations,
+    getBalance: async () => Number(WALLET_LAMPORTS),
+    getTokenAccountsByOwner: async (owner, { programId }) => ({
+      value: programId.equals(TOKEN_PROGRAM_ID)
+        ? Object.entries(accounts).filter(([, account]) => (account.owner ?? wallet.publicKey).equals(owner)).map(([address, account]) => ({
+            pubkey: new PublicKey(address),
+            account: { data: tokenAccountData(account), owner: TOKEN_PROGRAM_ID, lamports: 2039280 },
+          }))
+        : [],
+    }),
+    simulateTransaction: async (transaction, config) => {
+      simulations.push({ transaction, config });
+      const state = (address) => {
+        const account = address in after ? after[address] : accounts[address];
+        return account ? { lamports: 2039280, owner: TOKEN_PROGRAM_ID.toBase58(), data: [tokenAccountData(account).toString('base64'), 'base64'] } : null;
+      };
+      return {
+        value: {
+          err,
+          logs: err ? ['Program failed: custom program error: 0x1771'] : [],
+          accounts: returnAccounts
+            ? config.accounts.addresses.map(address => (address in deltas
+                ? { lamports: Number(WALLET_LAMPORTS + deltas[address]), owner: SystemProgram.programId.toBase58(), data: ['', 'base64'] }
+                : state(address)))
+            : null,
+          unitsConsumed: 180000,
+        },
+      };
+    },
+  };
+}
+
+const NETWORK_FEE = 5000n + 15000n; // signature + 50,000 micro-lamports × 300,000 CU
+const BTC_ACCOUNT_RENT = 2039280n;
+
+/**
+ * The wallet holds 250 USDC and no BTC; the swap spends `spent` and
+ * creates the BTC account holding `received`
+ */
+function usdcToBtc({ spent = 100000000n, received = 100200n, lamportDelta = -(NETWORK_FEE + BTC_ACCOUNT_RENT), ...rest } = {}) {
+  const usdc = ata(USDC).toBase58();
+  return createFakeConnection({
+    accounts: { [usdc]: { mint: USDC.mint, amount: 250000000n } },
+    after: {
+      [usdc]: { mint: USDC.mint, amount: 250000000n - spent },
+      [ata(BTC).toBase58()]: { mint: BTC.mint, amount: received },
+    },
+    lamportDelta,
+    ...rest,
+  });
+}
+
+function inspect(overrides = {}) {
+  return inspectSwapTransaction({
+    swapTransaction: buildSwap(),
+    quote: USDC_TO_BTC,
+    walletAddress: wallet.publicKey.toBase58(),
+    inputDecimals: USDC.decimals,
+    outputDecimals: BTC.decimals,
+    slippageBps: 50,
+    programs: { [JUPITER_PROGRAM_ID]: 'Jupiter' },
+    connection: usdcToBtc(),
+    getPriceImpact: async () => ({ impact: -0.3, description: 'Low' }),
+    ...overrides,
+  });
+}
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Swap Guardrails Test');
+console.log('=======================\n');
+
+await test('a swap that matches its quote is described for the member', async () => {
+  const connection = usdcToBtc();
+  const preview = await inspect({ connection });
+
+  assert.equal(preview.spends.symbol, 'USDC');
+  assert.equal(preview.spends.amount, 100);
+  assert.equal(preview.receives.symbol, 'BTC');
+  assert.equal(preview.receives.minimumAmountRaw, '99500');
+  assert.equal(preview.receives.simulatedAmountRaw, '100200');
+  assert.deepEqual(preview.networkFee, { baseLamports: 5000, maxPriorityLamports: 15000, maxTotalLamports: 20000, maxTotalSol: 0.00002 });
+  assert.deepEqual(preview.newAccounts.map(account => account.symbol), ['BTC']);
+  assert.deepEqual(preview.programs.map(program => program.name), ['Compute Budget', 'Associated Token Account', 'Jupiter']);
+  assert.deepEqual(preview.priceImpact, { pct: -0.3, description: 'Low', maxPct: GUARDRAIL_CONFIG.MAX_PRICE_IMPACT_PCT });
+  assert.equal(preview.balancesChecked, true);
+
+  // Simulated unsigned, with the wallet's accounts and the ones the swap may create
+  const [{ config }] = connection.simulations;
+  assert.equal(config.sigVerify, false);
+  assert.equal(config.replaceRecentBlockhash, true);
+  assert.ok(config.accounts.addresses.includes(ata(BTC).toBase58()));
+});
+
+await test('only the provider\'s program and core programs may be called', async () => {
+  const connection = usdcToBtc();
+  const stranger = Keypair.generate().publicKey;
+
+  await assert.rejects(inspect({ programs: {}, connection }), { code: 'UNEXPECTED_PROGRAM' });
+  await assert.rejects(
+    inspect({
+      swapTransaction: buildSwap({ after: [new TransactionInstruction({ programId: stranger, keys: [], data: Buffer.alloc(0) })] }),
+      connection,
+    }),
+    { code: 'UNEXPECTED_PROGRAM', message: new RegExp(stranger.toBase58()) }
+  );
+  assert.equal(connection.simulations.length, 0);
+});
+
+await test('core programs may only wrap SOL and set up the member\'s own accounts', async () => {
+  const stranger = Keypair.generate().publicKey;
+  const rejects = (swapTransaction, message) => assert.rejects(inspect({ swapTransaction }), { code: 'UNEXPECTED_ACCOUNT', message });
+
+  await rejects(
+    buildSwap({ after: [SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: stranger, lamports: 1000 })] }),
+    /moves SOL outside the swap/
+  );
+  await rejects(
+    buildSwap({ before: [createApproveInstruction(ata(USDC), stranger, wallet.publicKey, 1000000n)] }),
+    /token instruction 4/
+  );
+  await rejects(
+    buildSwap({ after: [createCloseAccountInstruction(ata(USDC), stranger, wallet.publicKey)] }),
+    /token instruction 9/
+  );
+  await rejects(
+    buildSwap({ before: [createAssociatedTokenAccountIdempotentInstruction(wallet.publicKey, ata(ETH, stranger), stranger, new PublicKey(ETH.mint))] }),
+    /another owner/
+  );
+  await rejects(buildSwap({ payer: Keypair.generate() }), /not the member's wallet/);
+});
+
+await test('price impact over the limit is refused before simulating', async () => {
+  const connection = usdcToBtc();
+  await assert.rejects(
+    inspect({ connection, getPriceImpact: async () => ({ impact: -7.5, description: 'High' }) }),
+    { code: 'PRICE_IMPACT_TOO_HIGH', message: /7\.5% is above the 5% limit/ }
+  );
+  assert.equal(connection.simulations.length, 0);
+
+  // No oracle price, or a re-check of a quote that already passed
+  const unknown = await inspect({ getPriceImpact: async () => ({ impact: -50, description: 'Unknown' }) });
+  assert.equal(unknown.priceImpact.description, 'Unknown');
+  const skipped = await inspect({
+    checkPriceImpact: false,
+    getPriceImpact: async () => {
+      throw new Error('should not be called');
+    },
+  });
+  assert.equal(skipped.priceImpact, null);
+});
+
+await test('balance changes must match the quote', async () => {
+  await assert.rejects(
+    inspect({ connection: usdcToBtc({ received: 99000n }) }),
+    { code: 'BALANCE_MISMATCH', message: /receives 99000 of BTC, under the quote's minimum of 99500/ }
+  );
+  await assert.rejects(
+    inspect({ connection: usdcToBtc({ spent: 101000000n }) }),
+    { code: 'BALANCE_MISMATCH', message: /spends 101000000 of USDC/ }
+  );
+  // Half a SOL gone on a token-to-token swap
+  await assert.rejects(
+    inspect({ connection: usdcToBtc({ lamportDelta: -500000000n }) }),
+    { code: 'BALANCE_MISMATCH', message: /costs 500000000 lamports/ }
+  );
+
+  // Without otherAmountThreshold the minimum comes from the slippage
+  const { otherAmountThreshold, ...quote } = USDC_TO_BTC;
+  assert.ok(otherAmountThreshold);
+  const preview = await inspect({ quote, slippageBps: 100 });
+  assert.equal(preview.receives.minimumAmountRaw, '99000');
+});
+
+await test('other holdings may not change or be handed over', async () => {
+  const usdc = ata(USDC).toBase58();
+  const eth = ata(ETH).toBase58();
+  const withEth = (after) => createFakeConnection({
+    accounts: {
+      [usdc]: { mint: USDC.mint, amount: 250000000n },
+      [eth]: { mint: ETH.mint, amount: 5000000n },
+    },
+    after: {
+      [usdc]: { mint: USDC.mint, amount: 150000000n },
+      [ata(BTC).toBase58()]: { mint: BTC.mint, amount: 100000n },
+      ...after,
+    },
+    lamportDelta: -(NETWORK_FEE + BTC_ACCOUNT_RENT),
+  });
+
+  await assert.rejects(
+    inspect({ connection: withEth({ [eth]: { mint: ETH.mint, amount: 0n } }) }),
+    { code: 'UNEXPECTED_ACCOUNT', message: /changes the wallet's ETH balance/ }
+  );
+  await assert.rejects(
+    inspect({ connection: withEth({ [usdc]: { mint: USDC.mint, amount: 150000000n, delegate: Keypair.generate().publicKey } }) }),
+    { code: 'UNEXPECTED_ACCOUNT', message: /hands control of the wallet's USDC account/ }
+  );
+  await assert.rejects(
+    inspect({ connection: withEth({ [eth]: { mint: ETH.mint, amount: 5000000n, owner: Keypair.generate().publicKey } }) }),
+    { code: 'UNEXPECTED_ACCOUNT', message: /hands control of the wallet's ETH account/ }
+  );
+});
+
+await test('a failed simulation is reported with its error', async () => {
+  const err = { InstructionError: [3, { Custom: 6001 }] };
+  const error = await inspect({ connection: usdcToBtc({ err }) }).catch(e => e);
+  assert.equal(error.code, 'SIMULATION_FAILED');
+  assert.deepEqual(error.simulationError, err);
+
+  // A provider whose swaps move nothing needs no account state
+  await assert.rejects(inspect({ connection: usdcToBtc({ returnAccounts: false }) }), { code: 'SIMULATION_FAILED' });
+  const unsettled = await inspect({ connection: usdcToBtc({ returnAccounts: false }), settlesBalances: false });
+  assert.equal(unsettled.balancesChecked, false);
+  assert.equal(unsettled.receives.simulatedAmountRaw, null);
+});
+
+await test('the app wallet may pay for a swap delivered to the member\'s account', async () => {
+  // The app wallet (here `wallet`) holds the USDC it pulled; the member holds 40 USDC of their own
+  const member = Keypair.generate().publicKey;
+  const appUsdc = ata(USDC).toBase58();
+  const memberUsdc = ata(USDC, member).toBase58();
+  const memberBtc = ata(BTC, member).toBase58();
+  const delegated = (after) => createFakeConnection({
+    accounts: {
+      [appUsdc]: { mint: USDC.mint, amount: 100000000n },
+      [memberUsdc]: { mint: USDC.mint, owner: member, amount: 40000000n },
+    },
+    after: {
+      [appUsdc]: { mint: USDC.mint, amount: 0n },
+      [memberBtc]: { mint: BTC.mint, owner: member, amount: 100200n },
+      ...after,
+    },
+    lamportDelta: -(NETWORK_FEE + BTC_ACCOUNT_RENT),
+    lamportDeltas: { [member.toBase58()]: 0n },
+  });
+  const inspectDelegated = (connection, swapTransaction = buildSwap({ recipient: member })) => inspect({
+    swapTransaction,
+    destinationOwner: member.toBase58(),
+    connection,
+  });
+
+  const preview = await inspectDelegated(delegated());
+  assert.equal(preview.walletAddress, wallet.publicKey.toBase58());
+  assert.equal(preview.destinationOwner, member.toBase58());
+  assert.equal(preview.receives.simulatedAmountRaw, '100200');
+  assert.deepEqual(preview.newAccounts.map(account => account.symbol), ['BTC']);
+
+  // Without a destination owner the member's account is someone else's
+  await assert.rejects(inspect({ swapTransaction: buildSwap({ recipient: member }) }), { code: 'UNEXPECTED_ACCOUNT', message: /another owner/ });
+  // Only the app wallet may pay
+  await assert.rejects(
+    inspectDelegated(delegated(), buildSwap({ payer: Keypair.generate(), recipient: member })),
+    { code: 'UNEXPECTED_ACCOUNT', message: /not the app wallet/ }
+  );
+  // Output left in the app wallet instead of the member's
+  await assert.rejects(
+    inspectDelegated(delegated({ [memberBtc]: null, [ata(BTC).toBase58()]: { mint: BTC.mint, amount: 100200n } })),
+    { code: 'BALANCE_MISMATCH', message: /receives 0 of BTC/ }
+  );
+  // Anything else of the member's that moves, such as more of their USDC
+  await assert.rejects(
+    inspectDelegated(delegated({ [memberUsdc]: { mint: USDC.mint, owner: member, amount: 30000000n } })),
+    { code: 'UNEXPECTED_ACCOUNT', message: /changes the member's USDC balance/ }
+  );
+  await assert.rejects(
+    inspectDelegated(createFakeConnection({
+      accounts: { [appUsdc]: { mint: USDC.mint, amount: 100000000n } },
+      after: { [appUsdc]: { mint: USDC.mint, amount: 0n }, [memberBtc]: { mint: BTC.mint, owner: member, amount: 100200n } },
+      lamportDelta: -(NETWORK_FEE + BTC_ACCOUNT_RENT),
+      lamportDeltas: { [member.toBase58()]: -1000000n },
+    })),
+    { code: 'UNEXPECTED_ACCOUNT', message: /takes SOL from the member's wallet/ }
+  );
+});
+
+await test('a SOL swap may wrap and unwrap SOL in the member\'s wallet', async () => {
+  const wsol = ata(SOL);
+  const swapTransaction = buildSwap({
+    input: SOL,
+    before: [
+      createAssociatedTokenAccountIdempotentInstruction(wallet.publicKey, wsol, wallet.publicKey, new PublicKey(SOL.mint)),
+      SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: wsol, lamports: 500000000 }),
+      createSyncNativeInstruction(wsol),
+    ],
+    after: [createCloseAccountInstruction(wsol, wallet.publicKey, wallet.publicKey)],
+  });
+  const preview = await inspect({
+    swapTransaction,
+    quote: { ...USDC_TO_BTC, inputMint: SOL.mint, inAmount: '500000000' },
+    inputDecimals: SOL.decimals,
+    connection: createFakeConnection({
+      after: { [ata(BTC).toBase58()]: { mint: BTC.mint, amount: 100000n } },
+      lamportDelta: -(500000000n + NETWORK_FEE + BTC_ACCOUNT_RENT),
+    }),
+  });
+
+  assert.equal(preview.spends.amount, 0.5);
+  // The wrapped SOL account is closed again, so only the BTC account is new
+  assert.deepEqual(preview.newAccounts.map(account => account.symbol), ['BTC']);
+  assert.deepEqual(preview.programs.map(program => program.name), ['Compute Budget', 'Associated Token Account', 'System', 'Token', 'Jupiter']);
+});
+
+finish();
@@ -0,0 +1,723 @@
+/**
+ * Test script for swap orchestration (lib/swap-service.js)
+ * Runs each operation, and the two-hop route planning and recovery
+ * (lib/swap-routing.js), against an in-memory database and fake Solana
+ * connection, swap provider and notifier, so nothing touches the network
+ *
+ * Usage: node scripts/test-swap-service.js [--verbose]
+ */
+
+import assert from 'node:assert/strict';
+import {
+  Keypair,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import { createFakePrisma, createTestRunner, silenceLogs } from './test-harness.js';
+
+const verbose = process.argv.includes('--verbose');
+
+const USDC = { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 };
+const BTC_MINT = 'cbbtcf3aa214zXHbiAZQwf4122FBYbraNdFqgw4iMij';
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const SATS_PER_USDC = 1000n; // BTC at $100,000
+
+// Per-pair rates for route tests: SOL at $100, and a direct USDC → BTC market 1% worse
+const TWO_HOP_RATES = {
+  [`${USDC.mint}>${BTC_MINT}`]: (raw) => (raw * 990n) / 10n ** 6n,
+  [`${USDC.mint}>${SOL_MINT}`]: (raw) => raw * 10n,
+  [`${SOL_MINT}>${BTC_MINT}`]: (lamports) => lamports / 10000n,
+  [`${SOL_MINT}>${USDC.mint}`]: (lamports) => lamports / 10n,
+};
+
+// lib/prisma.js reuses a global client; set it before the service is imported
+const db = createFakePrisma();
+global.prisma = db.client;
+process.env.SOLANA_RPC_URL = 'http://127.0.0.1:8899';
+
+const {
+  createSwapService,
+  calculateNextSlippage,
+  checkQuoteExpiry,
+  MAX_SLIPPAGE_RETRIES,
+} = await import('../lib/swap-service.js');
+const { planSwapRoute, getHopRecovery } = await import('../lib/swap-routing.js');
+const { SwapErrors } = await import('../lib/errors.js');
+
+if (!verbose) {
+  silenceLogs();
+}
+
+function signedTransaction() {
+  const payer = Keypair.generate();
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions: [
+      SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: payer.publicKey, lamports: 1 }),
+    ],
+  }).compileToV0Message();
+  const transaction = new VersionedTransaction(message);
+  transaction.sign([payer]);
+  return Buffer.from(transaction.serialize()).toString('base64');
+}
+
+/**
+ * Quotes at SATS_PER_USDC, or at rates['inputMint>outputMint'] when given
+ * (null: no route for that pair)
+ */
+function createFakeProvider(rates = {}) {
+  const quotes = [];
+  const builds = [];
+  return {
+    quotes,
+    builds,
+    name: 'fake',
+    getQuote: async (inputMint, outputMint, amount, slippageBps) => {
+      quotes.push({ inputMint, outputMint, amount, slippageBps });
+      const rate = rates[`${inputMint}>${outputMint}`];
+      if (rate === null) {
+        throw Object.assign(new Error('No swap route found for this token pair'), { code: 'NO_ROUTE_FOUND' });
+      }
+      return {
+        inAmount: amount,
+        outAmount: (rate ? rate(BigInt(amount)) : (BigInt(amount) * SATS_PER_USDC) / 10n ** BigInt(USDC.decimals)).toString(),
+        priceImpactPct: '0.01',
+        quoteId: `quote_${quotes.length}`,
+        expiresAt: new Date(Date.now() + 30000).toISOString(),
+      };
+    },
+    getSwapTransaction: async (quote, walletAddress, slippageBps, options) => {
+      builds.push({ slippageBps, options });
+      return { swapTransaction: 'unsigned-transaction', lastValidBlockHeight: 200 };
+    },
+  };
+}
+
+function createFakeConnection(overrides = {}) {
+  const sent = [];
+  return {
+    sent,
+    getBlockHeight: async () => 100,
+    sendRawTransaction: async (buffer) => {
+      sent.push(buffer);
+      return `sig_${sent.length}`;
+    },
+    confirmTransaction: async () => ({ value: { err: null } }),
+    getSignatureStatus: async () => ({ value: { confirmationStatus: 'confirmed', err: null } }),
+    getTransaction: async () => null,
+    ...overrides,
+  };
+}
+
+let fixtureId = 0;
+
+/**
+ * A goal (0.01 BTC target, 0.004 invested, 50% milestone) with a batch in
+ * the given state, and a service wired to fresh fakes
+ */
+function setup({ batchState = 'ONRAMP_CONFIRMED', overflowPolicy = 'KEEP', connection = createFakeConnection(), ensureTokenAccount, rates, inspect } = {}) {
+  fixtureId++;
+  const goal = {
+    id: `goal_${fixtureId}`,
+    coin: 'BTC',
+    tokenMint: BTC_MINT,
+    amountDecimals: 8,
+    targetAmountRaw: 1000000n,
+    investedAmountRaw: 400000n,
+    status: 'ACTIVE',
+    overflowPolicy,
+  };
+  const batchId = `batch_${fixtureId}`;
+  db.seed('goal', goal);
+  db.seed('investmentBatch', { id: batchId, goalId: goal.id, state: batchState });
+  db.seed('goalMilestone', {
+    id: `milestone_${fixtureId}`,
+    goalId: goal.id,
+    kind: 'PERCENT',
+    percentBps: 5000,
+    amountRaw: null,
+    label: '50%',
+    reachedAt: null,
+    batchId: null,
+    investedAmountRaw: null,
+  });
+
+  const provider = createFakeProvider(rates);
+  const notifications = [];
+  // Pre-trade checks (lib/swap-guardrails.js) have their own test script
+  const inspections = [];
+  const service = createSwapService({
+    provider,
+    getConnection: () => connection,
+    notify: async (id, type, data) => notifications.push({ batchId: id, type, data }),
+    getInputCost: async () => ({ costUsdRaw: 100000000n, inputPriceUsd: 1 }),
+    ensureTokenAccount: ensureTokenAccount ?? (async () => null),
+    inspectTransaction: async (params) => {
+      inspections.push(params);
+      if (inspect) await inspect(params);
+      return { receives: { minimumAmountRaw: '0', simulatedAmountRaw: null }, checkedAt: new Date().toISOString() };
+    },
+  });
+
+  const quoteParams = {
+    goal,
+    batchId,
+    inputToken: USDC,
+    amountRaw: 100000000n, // 100 USDC
+    walletAddress: Keypair.generate().publicKey.toBase58(),
+    contributorId: 'user_1',
+  };
+
+  return { goal, batchId, provider, connection, notifications, inspections, service, quoteParams };
+}
+
+const batchState = (batchId) => db.find('investmentBatch', batchId).state;
+const swapLeg = (batchId, leg = 0) => db.rows('transaction').find(t => t.batchId === batchId && t.type === 'SWAP' && t.leg === leg);
+const swapLegs = (batchId) => db.rows('transaction').filter(t => t.batchId === batchId && t.type === 'SWAP');
+
+function submitLeg(fixture, quoted, leg = 0) {
+  return fixture.service.submit({
+    batchId: fixture.batchId,
+    goal: fixture.goal,
+    signedTransaction: signedTransaction(),
+    quoteResponse: quoted.quote,
+    lastValidBlockHeight: quoted.lastValidBlockHeight,
+    walletAddress: fixture.quoteParams.walletAddress,
+    contributorId: 'user_1',
+    leg,
+  });
+}
+
+async function submitQuoted(fixture) {
+  const quoted = await fixture.service.quote(fixture.quoteParams);
+  const submitted = await submitLeg(fixture, quoted);
+  return { quoted, submitted };
+}
+
+const { test, finish } = createTestRunner();
+
+console.log('🧪 Swap Service Test');
+console.log('====================\n');
+
+await test('slippage ladder and quote expiry windows', () => {
+  assert.deepEqual([50, 100, 150, 200].map(calculateNextSlippage), [100, 150, 200, null]);
+  assert.equal(calculateNextSlippage(null), 100);
+
+  const now = Date.parse('2026-10-18T12:00:00Z');
+  const at = (offsetMs) => new Date(now + offsetMs).toISOString();
+  assert.equal(checkQuoteExpiry(null, now).status, 'live');
+  assert.equal(checkQuoteExpiry(at(20000), now).status, 'live');
+  assert.equal(checkQuoteExpiry(at(5000), now).status, 'expiring');
+  assert.equal(checkQuoteExpiry(at(-5000), now).status, 'grace');
+  assert.equal(checkQuoteExpiry(at(-10000), now).status, 'expired');
+});
+
+await test('quote records the SWAP leg, moves the batch to QUOTED and notifies', async () => {
+  const fixture = setup();
+  const result = await fixture.service.quote(fixture.quoteParams);
+
+  assert.equal(result.quote.outAmount, '100000');
+  assert.equal(result.swapTransaction, 'unsigned-transaction');
+  assert.equal(result.lastValidBlockHeight, 200);
+  assert.equal(result.capped, false);
+  assert.equal(fixture.provider.quotes[0].outputMint, BTC_MINT);
+
+  const leg = swapLeg(fixture.batchId);
+  assert.equal(leg.amountCryptoRaw, 100000n);
+  assert.equal(leg.meta.slippageBps, 50);
+  assert.equal(batchState(fixture.batchId), 'QUOTED');
+  assert.deepEqual(fixture.notifications.map(n => n.type), ['QUOTED']);
+  assert.equal(fixture.notifications[0].data.goalCoin, 'BTC');
+});
+
+await test('quote trims an EXACT goal\'s final swap to its target', async () => {
+  const fixture = setup({ overflowPolicy: 'EXACT' });
+  const result = await fixture.service.quote({ ...fixture.quoteParams, amountRaw: 1000000000n }); // 1000 USDC
+
+  assert.equal(result.capped, true);
+  assert.equal(result.inputAmount, 600);
+  assert.equal(result.quote.outAmount, '600000');
+  assert.equal(fixture.provider.quotes.length, 2);
+});
+
+await test('quote takes slippage and priority fee from an execution policy and records it', async () => {
+  const fixture = setup();
+  const executionPolicy = {
+    slippage: { slippageBps: 41, volatilityBps: 11, priceImpactPct: null, reasons: [] },
+    priorityFee: { maxLamports: 20000, priorityLevel: 'high', microLamportsPerCu: 66667, reasons: [] },
+    volatility: { dailyBps: 170, bySymbol: { BTC: 170 } },
+    limits: { maxSlippageBps: null, maxPriorityFeeLamports: null },
+    chosenAt: new Date().toISOString(),
+  };
+  const result = await fixture.service.quote({ ...fixture.quoteParams, executionPolicy });
+
+  // The quote's 0.01% price impact adds a basis point, so it is quoted again
+  assert.deepEqual(fixture.provider.quotes.map(q => q.slippageBps), [41, 42]);
+  assert.equal(result.quote.slippageBps, 42);
+  assert.equal(swapLeg(fixture.batchId).meta.slippageBps, 42);
+  assert.deepEqual(fixture.provider.builds[0].options, { priorityFee: executionPolicy.priorityFee });
+  assert.equal(db.find('investmentBatch', fixture.batchId).executionPolicy.slippage.slippageBps, 42);
+  assert.equal(result.executionPolicy.priorityFee.maxLamports, 20000);
+});
+
+await test('buildTransaction goes ahead when token account setup fails', async () => {
+  const fixture = setup({
+    ensureTokenAccount: async () => {
+      throw new Error('app wallet out of SOL');
+    },
+  });
+  const result = await fixture.service.buildTransaction({
+    quote: { outputMint: BTC_MINT },
+    walletAddress: fixture.quoteParams.walletAddress,
+  });
+  assert.equal(result.swapTransaction, 'unsigned-transaction');
+});
+
+await test('submit rejects an undecodable transaction without sending it', async () => {
+  const fixture = setup({ batchState: 'QUOTED' });
+  const submit = (signed) => fixture.service.submit({
+    batchId: fixture.batchId,
+    goal: fixture.goal,
+    signedTransaction: signed,
+    quoteResponse: { inAmount: '100000000', outAmount: '100000' },
+    contributorId: 'user_1',
+  });
+
+  await assert.rejects(submit('not base64!'), { name: 'ValidationError' });
+  await assert.rejects(submit(Buffer.from('garbage').toString('base64')), { message: /deserialization failed/ });
+  assert.equal(fixture.connection.sent.length, 0);
+  assert.equal(batchState(fixture.batchId), 'QUOTED');
+});
+
+await test('submit refuses a transaction past its last valid block height', async () => {
+  const fixture = setup({ connection: createFakeConnection({ getBlockHeight: async () => 500 }) });
+  const quoted = await fixture.service.quote(fixture.quoteParams);
+
+  await assert.rejects(
+    fixture.service.submit({
+      batchId: fixture.batchId,
+      goal: fixture.goal,
+      signedTransaction: signedTransaction(),
+      quoteResponse: quoted.quote,
+      lastValidBlockHeight: quoted.lastValidBlockHeight,
+      contributorId: 'user_1',
+    }),
+    { code: 'QUOTE_EXPIRED' }
+  );
+  assert.equal(fixture.connection.sent.length, 0);
+});
+
+await test('submit maps a slippage rejection from the RPC node', async () => {
+  const fixture = setup({
+    connection: createFakeConnection({
+      sendRawTransaction: async () => {
+        throw new Error('Transaction simulation failed: custom program error: 0x1771');
+      },
+    }),
+  });
+  const quoted = await fixture.service.quote(fixture.quoteParams);
+
+  await assert.rejects(
+    fixture.service.submit({
+      batchId: fixture.batchId,
+      goal: fixture.goal,
+      signedTransaction: signedTransaction(),
+      quoteResponse: quoted.quote,
+      contributorId: 'user_1',
+    }),
+    { code: 'SLIPPAGE_EXCEEDED' }
+  );
+  assert.equal(batchState(fixture.batchId), 'QUOTED');
+});
+
+await test('quote and submit check the transaction before it is signed and sent', async () => {
+  const fixture = setup();
+  const { quoted } = await submitQuoted(fixture);
+
+  assert.ok(quoted.preview.checkedAt);
+  const [unsigned, signed] = fixture.inspections;
+  assert.equal(unsigned.swapTransaction, 'unsigned-transaction');
+  assert.equal(unsigned.walletAddress, fixture.quoteParams.walletAddress);
+  assert.deepEqual([unsigned.inputDecimals, unsigned.outputDecimals], [USDC.decimals, 8]);
+  assert.equal(unsigned.checkPriceImpact, undefined);
+
+  // The signed transaction is checked against the quote, without the oracle
+  assert.equal(signed.checkPriceImpact, false);
+  assert.equal(signed.quote.outputMint, BTC_MINT);
+  assert.equal(signed.slippageBps, 50);
+  assert.equal(fixture.connection.sent.length, 1);
+
+  // ...and must be paid by the member submitting it, not whoever signed it
+  assert.equal(signed.walletAddress, fixture.quoteParams.walletAddress);
+});
+
+await test('submit checks and records the quote recorded on the leg, not the client\'s copy', async () => {
+  const fixture = setup();
+  const quoted = await fixture.service.quote(fixture.quoteParams);
+
+  // An inflated outAmount from the client changes nothing
+  const { swapTxn } = await submitLeg(fixture, { ...quoted, quote: { ...quoted.quote, outAmount: '99999999', inAmount: '1' } });
+  const [, signed] = fixture.inspections;
+  assert.equal(signed.quote.outAmount, '100000');
+  assert.equal(signed.quote.inAmount, '100000000');
+  assert.equal(swapTxn.amountCryptoRaw, 100000n);
+  assert.equal(swapTxn.meta.quoteOutAmountRaw, '100000');
+
+  // A quote the leg does not hold is refused before anything is sent
+  const other = setup();
+  const otherQuoted = await other.service.quote(other.quoteParams);
+  await assert.rejects(
+    submitLeg(other, { ...otherQuoted, quote: { ...otherQuoted.quote, quoteId: 'quote_from_elsewhere' } }),
+    { code: 'QUOTE_EXPIRED' }
+  );
+  const unquoted = setup({ batchState: 'QUOTED' });
+  await assert.rejects(submitLeg(unquoted, otherQuoted), { code: 'QUOTE_EXPIRED' });
+  assert.equal(other.connection.sent.length + unquoted.connection.sent.length, 0);
+});
+
+await test('submit sends nothing when the signed transaction fails its checks', async () => {
+  const failWith = (error) => async ({ swapTransaction }) => {
+    if (swapTransaction !== 'unsigned-transaction') throw error;
+  };
+
+  // A simulated slippage failure is re-quoted like one from the RPC node
+  const slipped = setup({
+    inspect: failWith(Object.assign(SwapErrors.SIMULATION_FAILED('slippage'), {
+      simulationError: { InstructionError: [2, { Custom: 6001 }] },
+    })),
+  });
+  await assert.rejects(submitQuoted(slipped), { code: 'SLIPPAGE_EXCEEDED' });
+  assert.equal(slipped.connection.sent.length, 0);
+  assert.equal(batchState(slipped.batchId), 'QUOTED');
+
+  const drained = setup({ inspect: failWith(SwapErrors.UNEXPECTED_ACCOUNT('changes the wallet\'s USDT balance')) });
+  await assert.rejects(submitQuoted(drained), { code: 'UNEXPECTED_ACCOUNT' });
+  assert.equal(drained.connection.sent.length, 0);
+});
+
+await test('submit records the signature and moves the batch to SWAP_SUBMITTED', async () => {
+  const fixture = setup();
+  const { submitted } = await submitQuoted(fixture);
+
+  assert.equal(submitted.signature, 'sig_1');
+  assert.ok(submitted.blockhash);
+  assert.equal(batchState(fixture.batchId), 'SWAP_SUBMITTED');
+
+  const leg = swapLeg(fixture.batchId);
+  assert.equal(leg.txnHash, 'sig_1');
+  assert.equal(leg.costUsdRaw, 100000000n);
+  assert.equal(leg.meta.quoteOutAmountRaw, '100000');
+  assert.equal(leg.meta.originalSlippageBps, 50);
+  assert.deepEqual(fixture.notifications.map(n => n.type), ['QUOTED', 'SWAP_SUBMITTED']);
+});
+
+await test('confirm maps on-chain failures and expired block heights', async () => {
+  const confirmWith = (confirmTransaction) => setup({
+    connection: createFakeConnection({ confirmTransaction }),
+  }).service.confirm({ signature: 'sig', blockhash: 'hash', lastValidBlockHeight: 200 });
+
+  assert.equal(await confirmWith(async () => ({ value: { err: null } })), true);
+  await assert.rejects(
+    confirmWith(async () => ({ value: { err: { InstructionError: [2, { Custom: 6001 }] } } })),
+    { code: 'SLIPPAGE_EXCEEDED' }
+  );
+  await assert.rejects(
+    confirmWith(async () => ({ value: { err: { InstructionError: [3, { Custom: 1 }] } } })),
+    { code: 'SWAP_EXECUTION_FAILED', message: /Jupiter error code: 1\. Failed at instruction #3/ }
+  );
+  await assert.rejects(
+    confirmWith(async () => {
+      const error = new Error('Signature sig has expired: block height exceeded.');
+      error.name = 'TransactionExpiredBlockheightExceededError';
+      throw error;
+    }),
+    { code: 'QUOTE_EXPIRED' }
+  );
+});
+
+await test('confirm polls a bare signature until it lands or the wait runs out', async () => {
+  const statuses = [null, { confirmationStatus: 'processed', err: null }, { confirmationStatus: 'confirmed', err: null }];
+  const landing = setup({
+    connection: createFakeConnection({ getSignatureStatus: async () => ({ value: statuses.shift() ?? null }) }),
+  });
+  assert.equal(await landing.service.confirm({ signature: 'sig', maxWaitMs: 10000 }), true);
+
+  const pending = setup({
+    connection: createFakeConnection({ getSignatureStatus: async () => ({ value: null }) }),
+  });
+  assert.equal(await pending.service.confirm({ signature: 'sig', maxWaitMs: 200 }), false);
+
+  const reverted = setup({
+    connection: createFakeConnection({
+      getSignatureStatus: async () => ({ value: { err: { InstructionError: [1, { Custom: 6017 }] } } }),
+    }),
+  });
+  await assert.rejects(reverted.service.confirm({ signature: 'sig', maxWaitMs: 1000 }), { code: 'SLIPPAGE_EXCEEDED' });
+});
+
+await test('finalize credits the goal once and records crossed milestones', async () => {
+  const fixture = setup();
+  await submitQuoted(fixture);
+  const swapTxn = { ...swapLeg(fixture.batchId) };
+
+  const result = await fixture.service.finalize({
+    swapTxn,
+    amountRaw: 200000n,
+    signature: 'sig_1',
+    goalCoin: 'BTC',
+  });
+
+  assert.equal(batchState(fixture.batchId), 'SWAP_CONFIRMED');
+  assert.equal(db.find('goal', fixture.goal.id).investedAmountRaw, 600000n);
+  assert.equal(result.outputAmount, 0.002);
+  assert.equal(result.progress, 60);
+  assert.deepEqual(result.milestones.map(m => m.label), ['50%']);
+  assert.ok(swapLeg(fixture.batchId).meta.creditedAt);
+  assert.equal(fixture.notifications.at(-1).type, 'SWAP_CONFIRMED');
+
+  // A second settlement (the reconciler racing the route) is refused, not double-credited
+  await assert.rejects(
+    fixture.service.finalize({ swapTxn, amountRaw: 200000n, signature: 'sig_1', goalCoin: 'BTC' }),
+    { code: 'INVALID_BATCH_TRANSITION' }
+  );
+  assert.equal(db.find('goal', fixture.goal.id).investedAmountRaw, 600000n);
+});
+
+await test('retryWithHigherSlippage re-quotes up the ladder and stops after the limit', async () => {
+  const fixture = setup();
+  await submitQuoted(fixture);
+  const requote = (slippageBps) => fixture.service.quote({ ...fixture.quoteParams, slippageBps });
+
+  let slippageBps = 50;
+  for (let attempt = 1; attempt <= MAX_SLIPPAGE_RETRIES; attempt++) {
+    const retried = await fixture.service.retryWithHigherSlippage({
+      batchId: fixture.batchId,
+      slippageBps,
+      stage: 'confirmation',
+      requote,
+    });
+    assert.equal(retried.slippageBps, slippageBps === 50 ? 100 : 150);
+    assert.equal(batchState(fixture.batchId), 'QUOTED');
+    assert.equal(swapLeg(fixture.batchId).meta.slippageRetryCount, attempt);
+    assert.equal(swapLeg(fixture.batchId).meta.originalSlippageBps, 50);
+    slippageBps = retried.slippageBps;
+  }
+  assert.equal(fixture.provider.quotes.at(-1).slippageBps, 150);
+
+  const exhausted = await fixture.service.retryWithHigherSlippage({
+    batchId: fixture.batchId,
+    slippageBps,
+    stage: 'confirmation',
+    requote,
+  });
+  assert.equal(exhausted, null);
+  assert.equal(batchState(fixture.batchId), 'QUOTED');
+});
+
+await test('retryWithHigherSlippage never goes past the member\'s maximum slippage', async () => {
+  const fixture = setup();
+  await submitQuoted(fixture);
+
+  const retried = await fixture.service.retryWithHigherSlippage({
+    batchId: fixture.batchId,
+    slippageBps: 50,
+    stage: 'confirmation',
+    requote: (slippageBps) => fixture.service.quote({ ...fixture.quoteParams, slippageBps }),
+    maxSlippageBps: 80,
+  });
+  assert.equal(retried, null);
+  assert.equal(batchState(fixture.batchId), 'SWAP_SUBMITTED');
+});
+
+await test('fail records the error on the leg, fails the batch and notifies', async () => {
+  const fixture = setup();
+  const { submitted } = await submitQuoted(fixture);
+  const error = new Error('Transaction failed on-chain.');
+  error.code = 'SWAP_EXECUTION_FAILED';
+
+  await fixture.service.fail({
+    batchId: fixture.batchId,
+    error,
+    signature: submitted.signature,
+    from: ['SWAP_SUBMITTED'],
+  });
+
+  assert.equal(batchState(fixture.batchId), 'FAILED');
+  assert.equal(swapLeg(fixture.batchId).meta.errorCode, 'SWAP_EXECUTION_FAILED');
+  const transition = db.rows('batchTransition').at(-1);
+  assert.equal(transition.toState, 'FAILED');
+  assert.equal(transition.meta.signature, 'sig_1');
+  assert.deepEqual(fixture.notifications.at(-1), {
+    batchId: fixture.batchId,
+    type: 'FAILED',
+    data: { reason: 'Transaction failed on-chain.' },
+  });
+});
+
+await test('planSwapRoute takes the better route after network fees', async () => {
+  const plan = (rates, mode = 'AUTO', inputMint = USDC.mint) => planSwapRoute({
+    inputMint,
+    outputMint: BTC_MINT,
+    amountRaw: 100000000n,
+    slippageBps: 50,
+    mode,
+    getQuote: createFakeProvider(rates).getQuote,
+  });
+
+  const thinDirect = await plan(TWO_HOP_RATES);
+  assert.equal(thinDirect.route, 'TWO_HOP');
+  assert.equal(thinDirect.outAmount, '100000');
+  assert.deepEqual(thinDirect.legs.map(leg => [leg.inputMint, leg.outputMint]), [[USDC.mint, SOL_MINT], [SOL_MINT, BTC_MINT]]);
+  assert.equal(thinDirect.legs[1].inAmount, '1000000000');
+  // 15000 lamports per transaction, 1.5 sats at the second hop's rate
+  assert.deepEqual(thinDirect.comparison.direct, { available: true, outAmountRaw: '99000', feeLamports: '15000', netOutAmountRaw: '98999' });
+  assert.equal(thinDirect.comparison.twoHop.netOutAmountRaw, '99997');
+
+  // As deep as the two hops, the direct market wins on fees
+  const deepDirect = await plan({ ...TWO_HOP_RATES, [`${USDC.mint}>${BTC_MINT}`]: (raw) => (raw * SATS_PER_USDC) / 10n ** 6n });
+  assert.equal(deepDirect.route, 'DIRECT');
+
+  const noDirect = await plan({ ...TWO_HOP_RATES, [`${USDC.mint}>${BTC_MINT}`]: null });
+  assert.equal(noDirect.route, 'TWO_HOP');
+  assert.deepEqual(noDirect.comparison.direct, { available: false, reason: 'NO_ROUTE_FOUND' });
+
+  assert.equal((await plan(TWO_HOP_RATES, 'DIRECT')).comparison.twoHop, null);
+  await assert.rejects(plan(TWO_HOP_RATES, 'TWO_HOP', SOL_MINT), { name: 'ValidationError' });
+  await assert.rejects(
+    planSwapRoute({
+      inputMint: USDC.mint,
+      outputMint: BTC_MINT,
+      amountRaw: 100000000n,
+      slippageBps: 50,
+      getQuote: async () => {
+        throw Object.assign(new Error('Swap provider is rate limiting requests'), { code: 'RATE_LIMITED' });
+      },
+    }),
+    { code: 'RATE_LIMITED' }
+  );
+});
+
+await test('a two-hop quote records an uncredited SOL leg and plans the final leg', async () => {
+  const fixture = setup({ rates: TWO_HOP_RATES });
+  const result = await fixture.service.quote({ ...fixture.quoteParams, route: 'AUTO' });
+
+  assert.equal(result.route, 'TWO_HOP');
+  assert.equal(result.quote.leg, 0);
+  assert.equal(result.quote.outputMint, SOL_MINT);
+  assert.deepEqual(result.legs.map(leg => leg.hop), ['INTERMEDIATE', 'FINAL']);
+  assert.equal(batchState(fixture.batchId), 'QUOTED');
+
+  const solLeg = swapLeg(fixture.batchId);
+  assert.equal(solLeg.tokenMint, SOL_MINT);
+  assert.equal(solLeg.amountCryptoRaw, 0n);
+  assert.equal(solLeg.meta.hop, 'INTERMEDIATE');
+  assert.equal(solLeg.meta.routeMode, 'AUTO');
+  const finalLeg = swapLeg(fixture.batchId, 1);
+  assert.equal(finalLeg.tokenMint, BTC_MINT);
+  assert.equal(finalLeg.amountCryptoRaw, 100000n);
+  assert.equal(finalLeg.meta.status, 'PLANNED');
+
+  // Re-quoted direct, the planned leg goes
+  await fixture.service.quote({ ...fixture.quoteParams, route: 'DIRECT' });
+  assert.equal(swapLegs(fixture.batchId).length, 1);
+  assert.equal(swapLeg(fixture.batchId).tokenMint, BTC_MINT);
+  assert.equal(swapLeg(fixture.batchId).amountCryptoRaw, 99000n);
+});
+
+await test('a two-hop swap credits only the final leg, at the cost of the USDC sold', async () => {
+  const receivedLamports = 990000000; // a little less SOL than quoted
+  const fixture = setup({
+    rates: TWO_HOP_RATES,
+    connection: createFakeConnection({
+      getTransaction: async () => ({
+        meta: { preBalances: [5000000000], postBalances: [5000000000 + receivedLamports - 5000], fee: 5000 },
+      }),
+    }),
+  });
+
+  const first = await fixture.service.quote({ ...fixture.quoteParams, route: 'TWO_HOP' });
+  const { swapTxn } = await submitLeg(fixture, first);
+  const hop = await fixture.service.completeHop({ swapTxn, signature: 'sig_1' });
+  assert.equal(hop.receivedAmountRaw, 990000000n);
+  assert.equal(batchState(fixture.batchId), 'SWAP_SUBMITTED');
+
+  const next = await fixture.service.quoteHop({
+    batchId: fixture.batchId,
+    goal: fixture.goal,
+    hop: 'FINAL',
+    walletAddress: fixture.quoteParams.walletAddress,
+    contributorId: 'user_1',
+  });
+  assert.equal(next.quote.leg, 1);
+  assert.equal(fixture.provider.quotes.at(-1).amount, '990000000');
+  assert.equal(next.quote.outAmount, '99000');
+
+  const { swapTxn: finalTxn } = await submitLeg(fixture, next, 1);
+  await fixture.service.finalize({ swapTxn: finalTxn, amountRaw: 99000n, signature: 'sig_2', goalCoin: 'BTC' });
+
+  assert.equal(batchState(fixture.batchId), 'SWAP_CONFIRMED');
+  assert.equal(db.find('goal', fixture.goal.id).investedAmountRaw, 499000n);
+  const [solLeg, coinLeg] = swapLegs(fixture.batchId);
+  assert.equal(solLeg.amountCryptoRaw, 0n);
+  assert.equal(solLeg.costUsdRaw, null);
+  assert.equal(solLeg.meta.inputCostUsdRaw, '100000000');
+  assert.equal(coinLeg.amountCryptoRaw, 99000n);
+  assert.equal(coinLeg.costUsdRaw, 100000000n);
+  assert.equal(coinLeg.meta.status, 'CONFIRMED');
+  assert.deepEqual(fixture.notifications.map(n => n.type), ['QUOTED', 'SWAP_SUBMITTED', 'SWAP_CONFIRMED']);
+});
+
+await test('a failed final leg leaves the SOL to retry or return to USDC', async () => {
+  const fixture = setup({ rates: TWO_HOP_RATES });
+  const quoteHop = (hop, contributorId = 'user_1') => fixture.service.quoteHop({
+    batchId: fixture.batchId,
+    goal: fixture.goal,
+    hop,
+    walletAddress: fixture.quoteParams.walletAddress,
+    contributorId,
+  });
+
+  const first = await fixture.service.quote({ ...fixture.quoteParams, route: 'TWO_HOP' });
+  const { swapTxn } = await submitLeg(fixture, first);
+  // Without the transaction's balances, the quoted amount is assumed
+  await fixture.service.completeHop({ swapTxn, signature: 'sig_1' });
+  assert.equal(swapLeg(fixture.batchId).meta.receivedAmountEstimated, true);
+
+  await submitLeg(fixture, await quoteHop('FINAL'), 1);
+  assert.equal(getHopRecovery(swapLegs(fixture.batchId)), null);
+
+  const error = Object.assign(new Error('Transaction failed on-chain.'), { code: 'SWAP_EXECUTION_FAILED' });
+  await fixture.service.fail({ batchId: fixture.batchId, error, leg: 1, signature: 'sig_2' });
+  assert.equal(batchState(fixture.batchId), 'FAILED');
+  assert.equal(swapLeg(fixture.batchId, 1).meta.status, 'FAILED');
+  assert.deepEqual(getHopRecovery(swapLegs(fixture.batchId)), {
+    actions: ['retry', 'return'],
+    amountRaw: '1000000000',
+    walletOwnerId: 'user_1',
+  });
+
+  await assert.rejects(fixture.service.quote({ ...fixture.quoteParams, route: 'AUTO' }), { code: 'HOP_IN_PROGRESS' });
+  await assert.rejects(quoteHop('RETURN', 'user_2'), { code: 'HOP_NOT_RECOVERABLE' });
+
+  const back = await quoteHop('RETURN');
+  assert.equal(back.quote.leg, 2);
+  assert.equal(back.quote.outputMint, USDC.mint);
+  assert.equal(back.quote.outAmount, '100000000');
+  assert.equal(batchState(fixture.batchId), 'QUOTED');
+
+  const { swapTxn: returnTxn } = await submitLeg(fixture, back, 2);
+  await fixture.service.settleReturn({ swapTxn: returnTxn, signature: 'sig_3' });
+
+  assert.equal(batchState(fixture.batchId), 'FAILED');
+  const returnLeg = swapLeg(fixture.batchId, 2);
+  assert.ok(returnLeg.meta.returnedAt);
+  assert.equal(returnLeg.amountCryptoRaw, 0n);
+  assert.equal(returnLeg.costUsdRaw, null);
+  assert.equal(getHopRecovery(swapLegs(fixture.batchId)), null);
+  assert.equal(db.find('goal', fixture.goal.id).investedAmountRaw, 400000n);
+  assert.match(fixture.notifications.at(-1).data.reason, /100 USDC was returned/);
+});
+
+finish();